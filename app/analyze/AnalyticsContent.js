@@ -1,13 +1,16 @@
 // app/analyze/AnalyticsContent.js
 'use client'
 
-import { useState, useEffect, useRef } from 'react'
-import { useSearchParams, useRouter } from 'next/navigation'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { useSearchParams, useRouter, usePathname } from 'next/navigation'
 import { useAuth } from '@/lib/AuthContext'
 import AuthScreen from './components/AuthScreen'
 import { analyzeData } from './utils/masterAnalyzer'
+import { DEFAULT_COST_BASIS_METHOD, getSavedCostBasisMethod, saveCostBasisMethod, normalizeCostBasisMethod } from './utils/costBasis'
 import { getCurrencySymbol } from './utils/currencyFormatter'
 import { getCurrencyRates } from './utils/currencyConverter'
+import { fetchMarkPrices, getMarkPriceSymbols } from './utils/openPositions'
+import { parseAnalyticsFilters, applyAnalyticsFiltersToParams, hasActiveAnalyticsFilters, filterAnalyticsData, getAnalyticsFilterOptions } from './utils/analyticsFilters'
 import AnalyticsView from './components/AnalyticsView'
 import demoFuturesData from './demo-data/demo-futures-data.json'
 import demoSpotData from './demo-data/demo-spot-data.json'
@@ -15,6 +18,24 @@ import { EXCHANGES } from './utils/exchanges'
 import { TrendingUp, BarChart3, Brain, Zap, Sparkles } from 'lucide-react'
 import { trackFeatureUsage, trackPageView } from '@/lib/analytics'
 
+const CURRENCY_STORAGE_KEY = 'tradeclarity_currency'
+
+/**
+ * Display currency for a signed-in user: saved base currency (profile) > this browser's last pick > data default
+ */
+async function loadBaseCurrency(fallback) {
+  try {
+    const response = await fetch('/api/user/preferences')
+    const data = await response.json()
+    if (data.success && data.preferences?.baseCurrency) {
+      return data.preferences.baseCurrency
+    }
+  } catch (error) {
+    console.warn('⚠️ Could not load base currency preference:', error.message)
+  }
+  return localStorage.getItem(CURRENCY_STORAGE_KEY) || fallback || 'USD'
+}
+
 // Loading screens (same as TradeClarityContent)
 function DemoLoadingScreen({ progress, onComplete }) {
   const [loadingProgress, setLoadingProgress] = useState(0)
@@ -289,12 +310,14 @@ function RealModeLoadingScreen({ progress, onComplete }) {
 
 export default function AnalyticsContent() {
   const router = useRouter()
+  const pathname = usePathname()
   const { user, loading: authLoading } = useAuth()
   const searchParams = useSearchParams()
   const [status, setStatus] = useState('loading')
   const [analytics, setAnalytics] = useState(null)
   const [currency, setCurrency] = useState('USD')
   const [currencyMetadata, setCurrencyMetadata] = useState(null)
+  const [costBasisMethod, setCostBasisMethod] = useState(DEFAULT_COST_BASIS_METHOD)
   const [isDemoMode, setIsDemoMode] = useState(false)
   const [loadingComplete, setLoadingComplete] = useState(false)
   const [cachedData, setCachedData] = useState(null)
@@ -302,6 +325,23 @@ export default function AnalyticsContent() {
   const hasLoadedRef = useRef(false) // Track if we've already loaded data to prevent double-loading
   const [activeTabFromUrl, setActiveTabFromUrl] = useState('overview')
   const previousUserIdRef = useRef(null) // Track user ID changes
+  const [filteredAnalytics, setFilteredAnalytics] = useState(null) // analyzeData on the filtered subset
+  const [filtersApplying, setFiltersApplying] = useState(false)
+  const markPricesRef = useRef({ data: null, prices: {} })
+
+  // Global filters live in the URL so filtered views can be shared
+  // Re-parsed from the filter-only query string so the object only changes with the filters (not the tab)
+  const filtersKey = applyAnalyticsFiltersToParams(parseAnalyticsFilters(searchParams)).toString()
+  const analyticsFilters = useMemo(() => parseAnalyticsFilters(new URLSearchParams(filtersKey)), [filtersKey])
+
+  // Mark prices for open spot lots, fetched once per trade data set and reused by every re-analysis
+  // (cost basis method or filter changes) - analyzeData itself doesn't go to the network
+  const loadMarkPrices = useCallback(async (data) => {
+    if (markPricesRef.current.data !== data) {
+      markPricesRef.current = { data, prices: await fetchMarkPrices(getMarkPriceSymbols(data?.spotTrades || [])) }
+    }
+    return markPricesRef.current.prices
+  }, [])
 
   // Handle OAuth errors that redirect directly to /analyze (bypassing callback route)
   useEffect(() => {
@@ -422,6 +462,9 @@ export default function AnalyticsContent() {
       }
       
       hasLoadedRef.current = true
+
+      const savedCostBasisMethod = getSavedCostBasisMethod()
+      setCostBasisMethod(savedCostBasisMethod)
       
       if (demo === 'true') {
         // Demo mode
@@ -478,11 +521,12 @@ export default function AnalyticsContent() {
             }
           }
 
-          const analysis = await analyzeData(demoData)
+          const analysis = await analyzeData(demoData, { costBasisMethod: savedCostBasisMethod, markPrices: await loadMarkPrices(demoData) })
           setAnalytics(analysis)
+          setCachedData(demoData)
           setCurrencyMetadata(demoData.metadata)
           // Load saved currency preference from localStorage
-          const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem('tradeclarity_currency') : null
+          const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem(CURRENCY_STORAGE_KEY) : null
           if (savedCurrency) {
             setCurrency(savedCurrency)
           }
@@ -513,13 +557,7 @@ export default function AnalyticsContent() {
             setCurrencyMetadata(preAnalyzedData.currencyMetadata)
             setCachedData(preAnalyzedData.data)
             
-            // Use persisted currency or the one from preAnalyzedData
-            const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem('tradeclarity_currency') : null
-            if (savedCurrency) {
-              setCurrency(savedCurrency)
-            } else {
-              setCurrency(preAnalyzedData.currency || 'USD')
-            }
+            setCurrency(await loadBaseCurrency(preAnalyzedData.currency))
             
             setProgress('Preparing your dashboard...')
             await new Promise(resolve => setTimeout(resolve, 50))
@@ -535,16 +573,14 @@ export default function AnalyticsContent() {
           const cacheResponse = await fetch('/api/analytics/cache')
           const cacheData = await cacheResponse.json()
           
-          if (cacheData.success && cacheData.analytics) {
+          // Only usable if it was computed with the user's cost basis method
+          const cacheMatchesMethod = normalizeCostBasisMethod(cacheData.analytics?.costBasisMethod) === savedCostBasisMethod
+
+          if (cacheData.success && cacheData.analytics && cacheMatchesMethod) {
             // Cache hit - use cached analytics (fast path!)
             setAnalytics(cacheData.analytics)
             setCurrencyMetadata(cacheData.analytics.metadata || { primaryCurrency: 'USD' })
-            
-            // Use persisted currency or default to USD
-            const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem('tradeclarity_currency') : null
-            if (savedCurrency) {
-              setCurrency(savedCurrency)
-            }
+            setCurrency(await loadBaseCurrency(cacheData.analytics.metadata?.primaryCurrency))
             
             setProgress('Preparing your dashboard...')
             await new Promise(resolve => setTimeout(resolve, 50))
@@ -621,15 +657,10 @@ export default function AnalyticsContent() {
             console.warn('⚠️ Could not fetch currency rates:', rateError.message)
           }
           
-          const analysis = await analyzeData(data)
+          const analysis = await analyzeData(data, { costBasisMethod: savedCostBasisMethod, markPrices: await loadMarkPrices(data) })
           setAnalytics(analysis)
           setCurrencyMetadata(data.metadata)
-          
-          // Use persisted currency or default to USD
-          const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem('tradeclarity_currency') : null
-          if (savedCurrency) {
-            setCurrency(savedCurrency)
-          }
+          setCurrency(await loadBaseCurrency(data.metadata?.primaryCurrency))
           
           // Trigger background cache update after client-side computation
           // Don't await - fire and forget
@@ -638,7 +669,8 @@ export default function AnalyticsContent() {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ 
               userId: user.id, 
-              trigger: 'analytics_page_load' 
+              trigger: 'analytics_page_load',
+              costBasisMethod: savedCostBasisMethod
             })
           }).catch(err => {
             console.error('Background cache update failed:', err)
@@ -664,68 +696,123 @@ export default function AnalyticsContent() {
     }
 
     loadData()
-  }, [searchParams, authLoading, user]) // Re-run when auth state changes so we can fetch after sign-in
+  }, [searchParams, authLoading, user, loadMarkPrices]) // Re-run when auth state changes so we can fetch after sign-in
+
+  // The currency switcher sets the base currency: remembered in this browser, and on the profile for
+  // exports and Vega (saving drops the server cache, so recompute it in the background)
+  const handleCurrencyChange = (newCurrency) => {
+    setCurrency(newCurrency)
+    localStorage.setItem(CURRENCY_STORAGE_KEY, newCurrency)
+
+    if (isDemoMode || !user?.id) return
+
+    fetch('/api/user/preferences', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ baseCurrency: newCurrency })
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        return fetch('/api/analytics/compute', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            userId: user.id,
+            trigger: 'base_currency_change',
+            costBasisMethod
+          })
+        })
+      })
+      .catch(err => {
+        console.error('Failed to save base currency:', err)
+      })
+  }
+
+  // Re-run analysis when the user picks a different cost basis method
+  const handleCostBasisMethodChange = async (method) => {
+    const nextMethod = normalizeCostBasisMethod(method)
+    if (nextMethod === costBasisMethod) return
+
+    setCostBasisMethod(nextMethod)
+    saveCostBasisMethod(nextMethod)
 
-  // Handle filter changes (re-fetch with filters)
-  const handleFilterExchanges = async (exchanges) => {
     try {
-      const response = await fetch('/api/exchange/list')
-      const data = await response.json()
-
-      if (data.success && data.connections) {
-        const selectedSources = exchanges.map(exchangeName => {
-          const connection = data.connections.find(conn =>
-            conn.exchange.toLowerCase() === exchangeName.toLowerCase()
-          )
-          return connection ? { type: 'exchange', id: connection.id, name: exchangeName } : null
-        }).filter(Boolean)
-
-        if (selectedSources.length === 0) return
-
-        const params = new URLSearchParams()
-        const exchangeIds = selectedSources.filter(s => s.type === 'exchange').map(s => s.id)
-        if (exchangeIds.length > 0) {
-          params.append('connectionIds', exchangeIds.join(','))
-        }
+      let data = cachedData
+      if (!data) {
+        // Cache fast path skips raw trades - fetch them now
+        const response = await fetch('/api/trades/fetch')
+        const fetchData = await response.json()
+        if (!fetchData.success) return
+        data = fetchData
+        setCachedData(fetchData)
+      }
 
-        const fetchResponse = await fetch(`/api/trades/fetch?${params.toString()}`)
-        const fetchData = await fetchResponse.json()
+      const analysis = await analyzeData(data, { costBasisMethod: nextMethod, markPrices: await loadMarkPrices(data) })
+      setAnalytics(analysis)
+
+      // Recompute server cache so Vega sees the same method
+      if (!isDemoMode && user?.id) {
+        fetch('/api/analytics/compute', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            userId: user.id,
+            trigger: 'cost_basis_change',
+            costBasisMethod: nextMethod
+          })
+        }).catch(err => {
+          console.error('Background cache update failed:', err)
+        })
+      }
+    } catch (error) {
+      console.error('Error applying cost basis method:', error)
+    }
+  }
 
-        if (fetchData.success) {
-          // Ensure currency rates are cached before conversion
-          try {
-            await getCurrencyRates()
-          } catch (rateError) {
-            console.warn('?? Could not fetch currency rates:', rateError.message)
-          }
-          
-          const analysis = await analyzeData(fetchData)
-          setAnalytics(analysis)
-          setCurrencyMetadata(fetchData.metadata)
-          // Preserve currency preference from localStorage
-          const savedCurrency = typeof window !== 'undefined' ? localStorage.getItem('tradeclarity_currency') : null
-          if (savedCurrency) {
-            setCurrency(savedCurrency)
-          }
-          
-          // Trigger background cache update after client-side computation
-          if (user?.id) {
-            fetch('/api/analytics/compute', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ 
-                userId: user.id, 
-                trigger: 'analytics_page_filter' 
-              })
-            }).catch(err => {
-              console.error('Background cache update failed:', err)
-            })
-          }
+  // Re-run analysis on the filtered subset whenever filters, data or cost basis method change
+  const hasAnalytics = !!analytics
+  useEffect(() => {
+    if (!hasAnalytics || !hasActiveAnalyticsFilters(analyticsFilters)) {
+      setFilteredAnalytics(null)
+      return
+    }
+
+    let cancelled = false
+    const applyFilters = async () => {
+      setFiltersApplying(true)
+      try {
+        if (!cachedData) {
+          // Cache fast path skips raw trades - fetch them now (this effect re-runs once they land)
+          const response = await fetch('/api/trades/fetch')
+          const fetchData = await response.json()
+          if (!cancelled && fetchData.success) setCachedData(fetchData)
+          return
         }
+
+        const markPrices = await loadMarkPrices(cachedData)
+        const analysis = await analyzeData(filterAnalyticsData(cachedData, analyticsFilters), { costBasisMethod, markPrices })
+        if (!cancelled) setFilteredAnalytics(analysis)
+      } catch (error) {
+        console.error('Error applying analytics filters:', error)
+      } finally {
+        if (!cancelled) setFiltersApplying(false)
       }
-    } catch (error) {
-      console.error('Error filtering exchanges:', error)
     }
+
+    applyFilters()
+    return () => { cancelled = true }
+  }, [analyticsFilters, cachedData, costBasisMethod, hasAnalytics, loadMarkPrices])
+
+  const filterOptions = useMemo(() => {
+    const records = cachedData
+      ? [...(cachedData.spotTrades || []), ...(cachedData.futuresIncome || [])]
+      : analytics?.allTrades || []
+    return getAnalyticsFilterOptions(records)
+  }, [cachedData, analytics])
+
+  const handleFiltersChange = (nextFilters) => {
+    const query = applyAnalyticsFiltersToParams(nextFilters, searchParams).toString()
+    router.replace(query ? `${pathname}?${query}` : pathname, { scroll: false })
   }
 
   // Transition to connected when loading completes
@@ -843,18 +930,23 @@ export default function AnalyticsContent() {
 
     return (
       <AnalyticsView
-        analytics={analytics}
+        analytics={filteredAnalytics || analytics}
         currency={currency}
         currSymbol={getCurrencySymbol(currency)}
         currencyMetadata={currencyMetadata}
-        setCurrency={setCurrency}
+        setCurrency={handleCurrencyChange}
         isDemoMode={isDemoMode}
         isAuthenticated={!!user}
         exchangeConfig={EXCHANGES.binance}
         onDisconnect={() => router.push('/dashboard')}
         onUploadClick={() => router.push('/dashboard')}
         onViewAllExchanges={() => router.push('/vega')}
-        onFilterExchanges={handleFilterExchanges}
+        analyticsFilters={analyticsFilters}
+        filterOptions={filterOptions}
+        onFiltersChange={handleFiltersChange}
+        filtersApplying={filtersApplying}
+        costBasisMethod={costBasisMethod}
+        onCostBasisMethodChange={handleCostBasisMethodChange}
         initialTab={currentTab}
         key={currentTab} // Force re-render when tab changes
       />
@@ -6,6 +6,7 @@ import { useSearchParams, useRouter } from 'next/navigation'
 import { useAuth } from '@/lib/AuthContext' // NEW: Auth context
 import AuthScreen from './components/AuthScreen' // NEW: Auth screen
 import { analyzeData } from './utils/masterAnalyzer'
+import { getSavedCostBasisMethod } from './utils/costBasis'
 import { EXCHANGES, getExchangeList } from './utils/exchanges'
 import { getCurrencySymbol } from './utils/currencyFormatter'
 import LoginForm from './components/LoginForm'
@@ -350,7 +351,7 @@ export default function TradeClarityContent() {
   }
   useEffect(() => {
     if (pendingTradeStorage && status === 'connected' && !isDemoMode) {
-      const { spotTrades, futuresIncome, userId, exchange: exchangeName, connectionId, metadata } = pendingTradeStorage
+      const { spotTrades, futuresIncome, futuresTrades, userId, exchange: exchangeName, connectionId, metadata } = pendingTradeStorage
 
       // Call storage endpoint in background (fire and forget)
       fetch('/api/trades/store', {
@@ -359,6 +360,7 @@ export default function TradeClarityContent() {
         body: JSON.stringify({
           spotTrades,
           futuresIncome,
+          futuresTrades,
           userId,
           exchange: exchangeName,
           connectionId,
@@ -428,7 +430,7 @@ export default function TradeClarityContent() {
       if (cachedData && currentConnectionId === cacheKey) {
         setProgress('Analyzing your trading data...')
 
-        const analysis = await analyzeData(cachedData)
+        const analysis = await analyzeData(cachedData, { costBasisMethod: getSavedCostBasisMethod() })
         setAnalytics(analysis)
         setCurrencyMetadata(cachedData.metadata)
         
@@ -567,7 +569,7 @@ export default function TradeClarityContent() {
 
       setProgress('Analyzing your trading data...')
 
-      const analysis = await analyzeData(data)
+      const analysis = await analyzeData(data, { costBasisMethod: getSavedCostBasisMethod() })
 
       setAnalytics(analysis)
       setCurrencyMetadata(data.metadata)
@@ -620,7 +622,7 @@ export default function TradeClarityContent() {
 
       setProgress('Analyzing your trading data...')
 
-      const analysis = await analyzeData(data)
+      const analysis = await analyzeData(data, { costBasisMethod: getSavedCostBasisMethod() })
 
       setAnalytics(analysis)
       setCurrencyMetadata(data.metadata)
@@ -635,6 +637,7 @@ export default function TradeClarityContent() {
         setPendingTradeStorage({
           spotTrades: preFetchedData.spotTrades || [],
           futuresIncome: preFetchedData.futuresIncome || [],
+          futuresTrades: preFetchedData.futuresTrades || [],
           userId: preFetchedData.userId,
           exchange: preFetchedData.exchange,
           connectionId: preFetchedData.connectionId,
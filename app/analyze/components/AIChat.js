@@ -24,6 +24,48 @@ import { MessageActions } from '@/components/ui/MessageActions'
 import { trackFeatureUsage } from '@/lib/analytics'
 import { AI_MODELS } from '@/lib/ai/client'
 
+// Answer in progress, kept across reloads so it can be resumed (see /api/ai/chat/stream/[streamId])
+const ACTIVE_STREAM_KEY = 'vega-active-stream'
+const ACTIVE_STREAM_MAX_AGE_MS = 30 * 60 * 1000
+const MAX_STREAM_RESUMES = 3
+
+const createStreamId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`
+
+const getActiveStream = () => {
+  try {
+    const stored = JSON.parse(sessionStorage.getItem(ACTIVE_STREAM_KEY) || 'null')
+    if (stored?.streamId && Date.now() - stored.startedAt < ACTIVE_STREAM_MAX_AGE_MS) return stored
+  } catch (e) {
+    // Unavailable or corrupt - nothing to resume
+  }
+  return null
+}
+
+const saveActiveStream = (activeStream) => {
+  try {
+    if (activeStream) sessionStorage.setItem(ACTIVE_STREAM_KEY, JSON.stringify(activeStream))
+    else sessionStorage.removeItem(ACTIVE_STREAM_KEY)
+  } catch (e) {
+    // Storage unavailable (private mode) - resuming after a reload just won't be offered
+  }
+}
+
+// Reconnect to an answer that is still generating server-side, from the first event not yet received
+const resumeChatStream = async (streamId, offset, signal) => {
+  const response = await fetch(`/api/ai/chat/stream/${streamId}?offset=${offset}`, { signal })
+  if (!response.ok || !response.body) {
+    const error = new Error(response.status === 404
+      ? 'This response is no longer available. Please ask again.'
+      : `Request failed with status ${response.status}`)
+    error.status = response.status
+    throw error
+  }
+  return response
+}
+
 const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConnectExchange, onUploadCSV, isVegaPage = false, isFullPage = false, coachMode = false, conversationId: initialConversationId = null, onOpenMobileSidebar }, ref) => {
   const { user } = useAuth()
   const router = useRouter()
@@ -158,11 +200,20 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
   const [toolStatus, setToolStatus] = useState(null) // Current tool status message
   
   // Model selection state
-  const [selectedProvider, setSelectedProvider] = useState('anthropic') // 'anthropic' or 'deepseek'
+  const [selectedProvider, setSelectedProvider] = useState('anthropic') // 'anthropic', 'deepseek' or 'openai' (OpenAI-compatible)
   const [selectedModel, setSelectedModel] = useState(null) // null = auto-select based on tier
   const [showModelSelector, setShowModelSelector] = useState(false)
+  const [compatibleModels, setCompatibleModels] = useState([]) // OpenAI-compatible models configured on the server
   const modelSelectorRef = useRef(null)
   
+  // Load OpenAI-compatible models (OpenAI, Groq, OpenRouter, local Ollama / llama.cpp) once
+  useEffect(() => {
+    fetch('/api/ai/models')
+      .then(res => res.ok ? res.json() : { models: [] })
+      .then(data => setCompatibleModels(data.models || []))
+      .catch(() => setCompatibleModels([]))
+  }, [])
+  
   // Log provider/model state changes (dev only)
   useEffect(() => {
     if (process.env.NODE_ENV === 'development') {
@@ -759,7 +810,8 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
   }, [])
 
   // Helper function to send a message (extracted from handleSend for reuse)
-  const sendMessage = useCallback(async (messageText) => {
+  // resumeStream ({ streamId, conversationId }) re-attaches to an answer started before a reload instead of sending
+  const sendMessage = useCallback(async (messageText, resumeStream = null) => {
     if (!messageText || !messageText.trim() || isLoading) return false
 
     const userMessage = messageText.trim()
@@ -770,6 +822,7 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
 
     // Create abort controller for this request
     abortControllerRef.current = new AbortController()
+    const requestSignal = abortControllerRef.current.signal // handleStop clears the ref
 
     // Ensure we auto-scroll when user sends a message
     shouldAutoScrollRef.current = true
@@ -783,7 +836,7 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
     let newDepth = conversationDepth
     let newTopic = currentTopic
     
-    if (coachMode) {
+    if (coachMode && !resumeStream) {
       const detectedTopic = detectTopicFromMessage(userMessage)
       
       // Check if this is a follow-up on the same topic
@@ -803,7 +856,7 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
     
     // Track conversation started (first message)
     const isFirstMessage = messages.length === 0
-    if (isFirstMessage) {
+    if (isFirstMessage && !resumeStream) {
       trackFeatureUsage.aiConversationStarted()
     }
     
@@ -818,7 +871,9 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
     setSessionMessages(prev => [...prev, { role: 'user', content: userMessage }])
     
     // Track message sent
-    trackFeatureUsage.aiChatMessageSent(conversationId || 'new', false)
+    if (!resumeStream) {
+      trackFeatureUsage.aiChatMessageSent(conversationId || 'new', false)
+    }
     
     // Track if user has sent messages without data
     if (hasNoData && !hasSentMessagesWithoutData) {
@@ -835,6 +890,8 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
       isLoading: true
     }])
 
+    const streamId = resumeStream?.streamId || createStreamId()
+
     try {
       const requestPayload = {
         message: userMessage,
@@ -853,7 +910,8 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
           currentTopic: newTopic
         } : null,
         provider: selectedProvider,
-        model: selectedModel // null = auto-select based on tier
+        model: selectedModel, // null = auto-select based on tier
+        streamId // Lets the answer be resumed if the connection drops
       }
       
       // Log request (dev only)
@@ -861,14 +919,16 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
         console.log('[AIChat] Sending request:', { provider: selectedProvider, model: selectedModel })
       }
       
-      const response = await fetch('/api/ai/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        signal: abortControllerRef.current.signal,
-        body: JSON.stringify(requestPayload)
-      })
+      const response = resumeStream
+        ? await resumeChatStream(streamId, 0, abortControllerRef.current.signal)
+        : await fetch('/api/ai/chat', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          signal: abortControllerRef.current.signal,
+          body: JSON.stringify(requestPayload)
+        })
 
       if (!response.ok) {
         let errorData = {}
@@ -891,11 +951,22 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
         throw new Error('No response body received from server')
       }
 
-      const reader = response.body.getReader()
-      const decoder = new TextDecoder()
+      saveActiveStream({
+        streamId,
+        message: userMessage,
+        conversationId: resumeStream?.conversationId || conversationId || null,
+        startedAt: Date.now()
+      })
+
+      let reader = response.body.getReader()
+      let decoder = new TextDecoder()
       let assistantContent = ''
       let currentTokens = { input: 0, output: 0 }
       let streamComplete = false
+      let receivedTerminal = false // done/error event seen - otherwise the connection dropped
+      let receivedEvents = 0 // Offset of the next event, where a resume picks up
+      let resumeAttempts = 0
+      let lineBuffer = ''
 
       try {
         while (true) {
@@ -905,14 +976,36 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
             break
           }
 
-          const { done, value } = await reader.read()
+          let readResult
+          try {
+            readResult = await reader.read()
+          } catch (networkError) {
+            if (networkError.name === 'AbortError' || requestSignal.aborted || resumeAttempts >= MAX_STREAM_RESUMES) {
+              throw networkError
+            }
+            console.warn('[AIChat] Connection lost, resuming stream:', networkError.message)
+            readResult = { done: true }
+          }
+
+          const { done, value } = readResult
           if (done) {
+            // Connection ended before the answer did - pick up where we left off
+            if (!receivedTerminal && resumeAttempts < MAX_STREAM_RESUMES && !requestSignal.aborted) {
+              resumeAttempts++
+              await new Promise(resolve => setTimeout(resolve, 1000 * resumeAttempts))
+              const resumed = await resumeChatStream(streamId, receivedEvents, requestSignal)
+              reader = resumed.body.getReader()
+              decoder = new TextDecoder()
+              lineBuffer = ''
+              continue
+            }
             streamComplete = true
             break
           }
 
-          const chunk = decoder.decode(value, { stream: true })
-          const lines = chunk.split('\n')
+          lineBuffer += decoder.decode(value, { stream: true })
+          const lines = lineBuffer.split('\n')
+          lineBuffer = lines.pop() // Partial line - completed by the next read
 
           for (const line of lines) {
             if (line.trim() === '') continue
@@ -920,8 +1013,25 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
             if (line.startsWith('data: ')) {
               try {
                 const data = JSON.parse(line.substring(6))
+
+                // A resumed stream can repeat events we already have
+                if (typeof data.offset === 'number') {
+                  if (data.offset < receivedEvents) continue
+                  receivedEvents = data.offset + 1
+                }
+                if (data.type === 'done' || data.type === 'error') {
+                  receivedTerminal = true
+                }
                 
-                if (data.type === 'token' && data.chunk) {
+                if (data.type === 'stream_start') {
+                  // Remember the conversation so a reload can resume into it
+                  if (data.conversationId) {
+                    const activeStream = getActiveStream()
+                    if (activeStream?.streamId === streamId) {
+                      saveActiveStream({ ...activeStream, conversationId: data.conversationId })
+                    }
+                  }
+                } else if (data.type === 'token' && data.chunk) {
                   assistantContent += data.chunk
                   
                   // Coach mode: Parse options during streaming to show clean content
@@ -1166,6 +1276,11 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
         })
         throw readError
       } finally {
+        // Nothing left to resume once the answer finished or the user stopped it
+        if (receivedTerminal || requestSignal.aborted) {
+          saveActiveStream(null)
+        }
+
         // Ensure loading state is always cleared
         setIsLoading(false)
         setActiveTools([]) // Clear active tools
@@ -1199,6 +1314,10 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
       return true
     } catch (error) {
       console.error('[AIChat] Chat error:', error)
+      if (resumeStream) {
+        // Couldn't re-attach after a reload - don't offer it again
+        saveActiveStream(null)
+      }
       console.error('[AIChat] Error details:', {
         name: error.name,
         message: error.message,
@@ -1267,6 +1386,23 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
     }
   }, [isLoading, coachMode, conversationDepth, currentTopic, sessionMessages, conversationId, tradesStats, effectiveAnalytics, effectiveAllTrades, previousSummaries, hasNoData, hasSentMessagesWithoutData, formatToolName, selectedProvider, selectedModel])
 
+  // Resume an answer that was still streaming when the page was reloaded
+  const resumeCheckedRef = useRef(false)
+  useEffect(() => {
+    if (!user || resumeCheckedRef.current) return
+    resumeCheckedRef.current = true
+
+    const activeStream = getActiveStream()
+    if (!activeStream) {
+      saveActiveStream(null)
+      return
+    }
+    if (activeStream.conversationId) {
+      setConversationId(activeStream.conversationId)
+    }
+    sendMessage(activeStream.message, activeStream)
+  }, [user, sendMessage])
+
   const handleStop = () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort()
@@ -1914,8 +2050,8 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
               disabled={isLoading}
             >
               <span>
-                {selectedProvider === 'anthropic' ? 'Claude' : 'DeepSeek'}
-                {selectedModel && ` (${Object.values(AI_MODELS).find(m => m.id === selectedModel)?.name || selectedModel})`}
+                {selectedProvider === 'anthropic' ? 'Claude' : selectedProvider === 'deepseek' ? 'DeepSeek' : 'Other'}
+                {selectedModel && ` (${[...Object.values(AI_MODELS), ...compatibleModels].find(m => m.id === selectedModel)?.name || selectedModel})`}
               </span>
               <ChevronDown className={`w-3 h-3 transition-transform ${showModelSelector ? 'rotate-180' : ''}`} />
             </button>
@@ -1956,6 +2092,22 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
                   >
                     DeepSeek
                   </button>
+                  {compatibleModels.length > 0 && (
+                    <button
+                      onClick={() => {
+                        setSelectedProvider('openai')
+                        setSelectedModel(compatibleModels[0].id)
+                        setShowModelSelector(false)
+                      }}
+                      className={`w-full text-left px-2 py-1.5 text-[11px] rounded-md transition-colors ${
+                        selectedProvider === 'openai' 
+                          ? 'bg-white/10 text-white/90' 
+                          : 'text-white/60 hover:bg-white/5'
+                      }`}
+                    >
+                      Other (OpenAI-compatible)
+                    </button>
+                  )}
                   
                   <div className="border-t border-white/10 my-1.5"></div>
                   
@@ -2002,6 +2154,26 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
                         {AI_MODELS.SONNET.name}
                       </button>
                     </>
+                  ) : selectedProvider === 'openai' ? (
+                    <>
+                      {compatibleModels.map(compatibleModel => (
+                        <button
+                          key={compatibleModel.id}
+                          onClick={() => {
+                            setSelectedModel(compatibleModel.id)
+                            setShowModelSelector(false)
+                          }}
+                          className={`w-full text-left px-2 py-1.5 text-[11px] rounded-md transition-colors ${
+                            selectedModel === compatibleModel.id 
+                              ? 'bg-white/10 text-white/90' 
+                              : 'text-white/60 hover:bg-white/5'
+                          }`}
+                        >
+                          {compatibleModel.name}
+                          <span className="text-white/30"> · {compatibleModel.local ? 'local' : compatibleModel.endpoint}</span>
+                        </button>
+                      ))}
+                    </>
                   ) : (
                     <>
                       <button
@@ -2143,7 +2315,7 @@ const AIChat = forwardRef(({ analytics, allTrades, tradesStats, metadata, onConn
       </div>
     </div>
     )
-  }, [messages, input, isInputFocused, displayedSample, isTypingSample, isDeletingSample, isLoading, tokenUsage, handleSend, handleStop, handleInputChange, handleInputFocus, handleInputBlur, handleInputClick, handleKeyPress, handleClear, hasNoData, hasSentMessagesWithoutData, onConnectExchange, onUploadCSV, isVegaPage, tradesStats, portfolioData, insights, sampleQuestions, coachMode, coachModeStarters, sendMessage, selectedProvider, selectedModel, showModelSelector])
+  }, [messages, input, isInputFocused, displayedSample, isTypingSample, isDeletingSample, isLoading, tokenUsage, handleSend, handleStop, handleInputChange, handleInputFocus, handleInputBlur, handleInputClick, handleKeyPress, handleClear, hasNoData, hasSentMessagesWithoutData, onConnectExchange, onUploadCSV, isVegaPage, tradesStats, portfolioData, insights, sampleQuestions, coachMode, coachModeStarters, sendMessage, selectedProvider, selectedModel, showModelSelector, compatibleModels])
 
   return (
     <>
@@ -0,0 +1,240 @@
+// app/analyze/components/AnalyticsFilterPanel.js
+// Global filter panel for AnalyticsView: date range, symbols, base/quote asset, account type, side,
+// journal tags and exchange. Edits are drafted locally and pushed to the URL on Apply (see utils/analyticsFilters)
+
+'use client'
+
+import { useState, useEffect } from 'react'
+import { X, Loader2 } from 'lucide-react'
+import {
+  EMPTY_ANALYTICS_FILTERS,
+  DATE_RANGE_PRESETS,
+  getDateRangePreset,
+  hasActiveAnalyticsFilters
+} from '../utils/analyticsFilters'
+import { JOURNAL_TAG_CATEGORIES } from '../utils/tradeJournal'
+
+const selectClassName = 'w-full px-2 py-1.5 text-xs bg-slate-900/50 border border-slate-700 rounded text-slate-200 focus:outline-none focus:ring-1 focus:ring-purple-500/50 focus:border-purple-500/50 disabled:opacity-50'
+
+const formatExchange = (exchange) => exchange.charAt(0).toUpperCase() + exchange.slice(1)
+
+/**
+ * Add-from-dropdown multi select; selected values show as removable chips
+ * @param {Array} props.options - [{ value, label, group? }]
+ */
+function MultiValueSelect({ label, options, value, onChange, emptyLabel }) {
+  const available = options.filter(option => !value.includes(option.value))
+  const labelFor = (v) => options.find(option => option.value === v)?.label || v
+  const groups = [...new Set(available.map(option => option.group).filter(Boolean))]
+
+  return (
+    <div className="space-y-1">
+      <label className="text-[10px] text-slate-400 font-medium">{label}</label>
+      <select
+        value=""
+        onChange={(e) => e.target.value && onChange([...value, e.target.value])}
+        disabled={available.length === 0}
+        className={selectClassName}
+      >
+        <option value="">{options.length === 0 ? emptyLabel : value.length > 0 ? 'Add another...' : 'All'}</option>
+        {groups.length > 0
+          ? groups.map(group => (
+            <optgroup key={group} label={group}>
+              {available.filter(option => option.group === group).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </optgroup>
+          ))
+          : available.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+      </select>
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {value.map(v => (
+            <button
+              key={v}
+              onClick={() => onChange(value.filter(item => item !== v))}
+              className="inline-flex items-center gap-1 rounded-full border border-purple-500/30 bg-purple-500/10 px-2 py-0.5 text-[10px] text-purple-200 hover:border-purple-400/50"
+            >
+              {labelFor(v)}
+              <X className="w-2.5 h-2.5" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.filters - Filters currently applied (from the URL)
+ * @param {Object} props.options - getAnalyticsFilterOptions() result
+ * @param {Object} props.tagsByCategory - Journal tags (collectJournalTags); null hides the tag filter
+ * @param {Function} props.onApply - Called with the new filters
+ * @param {boolean} props.applying - A filtered analysis is being computed
+ */
+export default function AnalyticsFilterPanel({ filters, options, tagsByCategory = null, onApply, applying = false }) {
+  const [draft, setDraft] = useState(filters)
+
+  // Follow external changes (back/forward navigation, shared links)
+  useEffect(() => {
+    setDraft(filters)
+  }, [filters])
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const toOptions = (values, format = v => v) => values.map(v => ({ value: v, label: format(v) }))
+  const tagOptions = JOURNAL_TAG_CATEGORIES.flatMap(category =>
+    (tagsByCategory?.[category.id] || []).map(tag => ({ value: `${category.id}:${tag}`, label: tag, group: category.label }))
+  )
+
+  const activePreset = DATE_RANGE_PRESETS.find(preset => {
+    const range = getDateRangePreset(preset.id)
+    return draft.from === range.from && draft.to === range.to
+  })?.id
+
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(filters)
+
+  return (
+    <div className="border-b border-white/5 bg-white/[0.03] px-4 py-3 space-y-3">
+      {/* Date range */}
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="space-y-1">
+          <label className="text-[10px] text-slate-400 font-medium">Date Range</label>
+          <div className="flex flex-wrap items-center gap-1">
+            <button
+              onClick={() => update({ from: null, to: null })}
+              className={`rounded-full px-2.5 py-1 text-[10px] font-semibold transition-all ${!draft.from && !draft.to ? 'bg-purple-500/20 text-purple-200' : 'text-slate-400 hover:bg-white/10 hover:text-white'}`}
+            >
+              All
+            </button>
+            {DATE_RANGE_PRESETS.map(preset => (
+              <button
+                key={preset.id}
+                onClick={() => update(getDateRangePreset(preset.id))}
+                className={`rounded-full px-2.5 py-1 text-[10px] font-semibold transition-all ${activePreset === preset.id ? 'bg-purple-500/20 text-purple-200' : 'text-slate-400 hover:bg-white/10 hover:text-white'}`}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            type="date"
+            value={draft.from || ''}
+            min={options?.minDate || undefined}
+            max={draft.to || options?.maxDate || undefined}
+            onChange={(e) => update({ from: e.target.value || null })}
+            className="px-2 py-1 text-xs bg-slate-900/50 border border-slate-700 rounded text-slate-200 [color-scheme:dark]"
+          />
+          <span className="text-xs text-slate-500">to</span>
+          <input
+            type="date"
+            value={draft.to || ''}
+            min={draft.from || options?.minDate || undefined}
+            max={options?.maxDate || undefined}
+            onChange={(e) => update({ to: e.target.value || null })}
+            className="px-2 py-1 text-xs bg-slate-900/50 border border-slate-700 rounded text-slate-200 [color-scheme:dark]"
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="space-y-1">
+          <label className="text-[10px] text-slate-400 font-medium">Account Type</label>
+          <select value={draft.accountType} onChange={(e) => update({ accountType: e.target.value })} className={selectClassName}>
+            <option value="all">Spot & Futures</option>
+            <option value="spot">Spot only</option>
+            <option value="futures">Futures only</option>
+          </select>
+        </div>
+
+        <div className="space-y-1">
+          <label className="text-[10px] text-slate-400 font-medium">Side</label>
+          <select value={draft.side} onChange={(e) => update({ side: e.target.value })} className={selectClassName}>
+            <option value="all">Long & Short</option>
+            <option value="long">Long (incl. spot)</option>
+            <option value="short">Short</option>
+          </select>
+        </div>
+
+        <MultiValueSelect
+          label="Exchange"
+          options={toOptions(options?.exchanges || [], formatExchange)}
+          value={draft.exchanges}
+          onChange={(exchanges) => update({ exchanges })}
+          emptyLabel="No exchanges"
+        />
+
+        <MultiValueSelect
+          label="Symbol"
+          options={toOptions(options?.symbols || [])}
+          value={draft.symbols}
+          onChange={(symbols) => update({ symbols })}
+          emptyLabel="No symbols"
+        />
+
+        <MultiValueSelect
+          label="Base Asset"
+          options={toOptions(options?.baseAssets || [])}
+          value={draft.baseAssets}
+          onChange={(baseAssets) => update({ baseAssets })}
+          emptyLabel="No assets"
+        />
+
+        <MultiValueSelect
+          label="Quote Asset"
+          options={toOptions(options?.quoteAssets || [])}
+          value={draft.quoteAssets}
+          onChange={(quoteAssets) => update({ quoteAssets })}
+          emptyLabel="No assets"
+        />
+
+        {tagsByCategory && (
+          <MultiValueSelect
+            label="Journal Tags (all must match)"
+            options={tagOptions}
+            value={draft.tags}
+            onChange={(tags) => update({ tags })}
+            emptyLabel="No tags yet"
+          />
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={() => onApply(draft)}
+          disabled={!isDirty || applying}
+          className="rounded-full px-4 py-1.5 text-sm font-semibold transition-all bg-gradient-to-r from-purple-500 to-purple-400 text-white shadow-lg shadow-purple-500/30 hover:from-purple-400 hover:to-purple-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Apply
+        </button>
+
+        {(hasActiveAnalyticsFilters(draft) || hasActiveAnalyticsFilters(filters)) && (
+          <button
+            onClick={() => {
+              setDraft(EMPTY_ANALYTICS_FILTERS)
+              onApply(EMPTY_ANALYTICS_FILTERS)
+            }}
+            className="inline-flex items-center gap-1 text-xs text-slate-400 transition-colors hover:text-purple-200"
+          >
+            <X className="w-3 h-3" />
+            Clear all
+          </button>
+        )}
+
+        {applying && (
+          <span className="inline-flex items-center gap-1 text-xs text-slate-400">
+            <Loader2 className="w-3 h-3 animate-spin" />
+            Recalculating...
+          </span>
+        )}
+      </div>
+      <p className="text-xs text-slate-400/80">
+        Filters apply to every tab and are saved in the page link. Futures side needs position data from the exchange; spot trades count as long.
+      </p>
+    </div>
+  )
+}
@@ -11,7 +11,7 @@ import {
   AlertCircle, Sparkles, ChevronRight, ChevronLeft, ChevronDown, ChevronUp,
   Scissors, Shuffle,   Coffee, Tv, Pizza, Fuel, Utensils,
   Database, FileText, Briefcase, Filter, X, Wallet, TrendingUp as TrendingUpIcon, Percent,
-  Moon, Info, BookOpen, GraduationCap, HelpCircle, Globe, Newspaper
+  Moon, Info, BookOpen, GraduationCap, HelpCircle, Globe, Newspaper, History
 } from 'lucide-react'
 import { generatePerformanceAnalogies } from '../utils/performanceAnalogies'
 import { analyzeDrawdowns } from '../utils/drawdownAnalysis'
@@ -20,9 +20,23 @@ import { analyzeSymbols } from '../utils/symbolAnalysis'
 import { convertAnalyticsForDisplay } from '../utils/currencyFormatter'
 import { getCurrencyRates, convertCurrencySync, setCurrency } from '../utils/currencyConverter'
 import { generateValueFirstInsights } from '../utils/insights/valueFirstInsights'
+import { loadPlatformBenchmarks } from '../utils/insights/benchmarks'
 import { prioritizeInsights, enhanceInsightForDisplay } from '../utils/insights/insightsPrioritizationEngine'
 import AhaMomentsSection from './AhaMomentsSection'
 import MarketContextTab from './MarketContextTab'
+import TaxReportCard from './TaxReportCard'
+import { JournalButton, JournalTagFilter, JournalEditorDialog, TagPerformanceCard } from './TradeJournal'
+import StrategyComparison from './StrategyComparison'
+import RiskMetricsCards from './RiskMetricsCards'
+import FeeAttribution from './FeeAttribution'
+import ExcursionAnalysisCard from './ExcursionAnalysisCard'
+import FuturesPositionBreakdown from './FuturesPositionBreakdown'
+import LeverageRiskCard from './LeverageRiskCard'
+import TradeReplayDialog from './TradeReplayDialog'
+import { positionToReplayTarget, roundTripToReplayTarget, tradeToReplayTarget } from '../utils/tradeReplay'
+import AnalyticsFilterPanel from './AnalyticsFilterPanel'
+import { collectJournalTags, getTradeTags, getJournalKey } from '../utils/tradeJournal'
+import { countActiveAnalyticsFilters } from '../utils/analyticsFilters'
 import { ExchangeIcon, SeparatorText, Separator, Card as ShadcnCard, CardHeader, CardTitle, CardDescription, CardContent, Table, TableHeader, TableBody, TableRow, TableHead, TableCell, TableFooter } from '@/components/ui'
 import { Tabs, TabsList, TabsTrigger, TabsContent } from '@/components/ui/tabs'
 import { Badge } from '@/components/ui/badge'
@@ -31,8 +45,11 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
 import { getCurrencySymbol, formatCurrencyNumber } from '../utils/currencyFormatter'
+import { COST_BASIS_METHODS, COST_BASIS_METHOD_LABELS, getPickedCostBasisMethod } from '../utils/costBasis'
 import { trackFeatureUsage } from '@/lib/analytics'
 import { useAuth } from '@/lib/AuthContext'
+import { useTradeJournal } from '@/lib/hooks/useTradeJournal'
+import { useExcursionAnalysis } from '@/lib/hooks/useExcursionAnalysis'
 import {
   AreaChart, Area, BarChart, Bar, LineChart as RechartsLineChart,
   Line, XAxis, YAxis, Tooltip, ResponsiveContainer, PieChart as RechartsPieChart,
@@ -94,6 +111,36 @@ const getIconComponent = (iconName) => {
 // HERO SECTION - REDESIGNED
 // ============================================
 
+/**
+ * Short label + explanation for how non-USD trades were converted (metadata.fxConversion from autoConvertToUSD)
+ */
+const describeFxConversion = (fxConversion) => {
+  if (!fxConversion) return null
+  const { sourceCurrencies = [], method, historicalRecords = 0, currentRateRecords = 0, unconvertedRecords = 0 } = fxConversion
+  const total = historicalRecords + currentRateRecords
+  const currencies = sourceCurrencies.join('/')
+  const excluded = unconvertedRecords > 0
+    ? `; ${unconvertedRecords} records had no rate at all and are excluded`
+    : ''
+
+  if (method === 'historical') {
+    return {
+      label: 'Trade-date FX',
+      detail: `All ${total} ${currencies}-quoted records converted to USD at the rate for their own date`
+    }
+  }
+  if (method === 'mixed') {
+    return {
+      label: 'Trade-date FX (partial)',
+      detail: `${historicalRecords} of ${total} ${currencies}-quoted records converted at their trade-date rate; ${currentRateRecords} had no rate history nearby and used today's rate${excluded}`
+    }
+  }
+  return {
+    label: "Today's FX rate",
+    detail: `No ${currencies} rate history available - records converted to USD at today's rate${excluded}`
+  }
+}
+
 function HeroSection({ analytics, currSymbol, currency, metadata }) {
   const isProfitable = analytics.totalPnL >= 0
   const tradeCount = analytics.totalTrades || 0
@@ -363,8 +410,12 @@ function AccountTypeCard({ type, trades, pnl, winRate, currSymbol, currency, ico
 function LiveHoldings({ analytics, metadata, currSymbol }) {
   const hasSpotHoldings = metadata?.spotHoldings && metadata.spotHoldings.length > 0
   const hasFuturesPositions = analytics.futuresOpenPositions && analytics.futuresOpenPositions.length > 0
+  // Open lots from trade history valued at mark price - available without an exchange snapshot
+  const openAssets = analytics.spotPositionValuation?.byAsset || []
+  const openTotals = analytics.spotPositionValuation?.totals
+  const hasOpenPositions = openAssets.length > 0
 
-  if (!hasSpotHoldings && !hasFuturesPositions) {
+  if (!hasSpotHoldings && !hasFuturesPositions && !hasOpenPositions) {
     return null
   }
 
@@ -423,6 +474,61 @@ function LiveHoldings({ analytics, metadata, currSymbol }) {
           </div>
         )}
 
+        {/* Open Spot Positions (trade history at mark price) */}
+        {hasOpenPositions && (
+          <div className="overflow-hidden rounded-2xl border border-white/5 bg-white/[0.02]">
+            <div className="flex items-center gap-2 border-b border-white/5 bg-white/[0.02] px-4 py-3 text-sm font-semibold text-slate-200">
+              <TrendingUp className="h-4 w-4 text-emerald-200" />
+              Open Spot Positions
+            </div>
+            <div className="max-h-64 space-y-2 overflow-y-auto p-4">
+              {openAssets.slice(0, 5).map((asset) => (
+                <div key={asset.asset} className="rounded-xl border border-white/5 bg-white/[0.03] px-3 py-3">
+                  <div className="mb-2 flex items-start justify-between">
+                    <div>
+                      <p className="text-sm font-semibold text-white/90">{asset.asset}</p>
+                      <p className="font-mono text-[11px] text-slate-400">
+                        {asset.quantity?.toFixed(4)} · {asset.exposurePercent?.toFixed(1)}% of exposure
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <p className={`text-sm font-semibold ${(asset.unrealizedPnL || 0) >= 0 ? 'text-emerald-200' : 'text-rose-200'}`}>
+                        {(asset.unrealizedPnL || 0) >= 0 ? '+' : '-'}{currSymbol}{Math.abs(asset.unrealizedPnL || 0).toFixed(2)}
+                      </p>
+                      <p className="text-[11px] text-slate-400">
+                        {(asset.unrealizedReturnPercent || 0) >= 0 ? '+' : ''}{(asset.unrealizedReturnPercent || 0).toFixed(1)}%
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-4 text-[11px] text-slate-400">
+                    <span>Avg entry {currSymbol}{asset.avgEntryPrice?.toFixed(2)}</span>
+                    <span>Mark {currSymbol}{asset.markPrice?.toFixed(2)}</span>
+                    <span>Value {currSymbol}{asset.marketValue?.toFixed(2)}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+            {openAssets.length > 5 && (
+              <div className="border-t border-white/5 px-4 py-2 text-center text-xs text-slate-400/80">
+                +{openAssets.length - 5} more assets
+              </div>
+            )}
+            <div className="border-t border-white/5 bg-white/[0.02] px-4 py-3">
+              <div className="flex items-center justify-between text-xs text-slate-400">
+                <span>Unrealized P&L ({currSymbol}{openTotals.marketValue.toFixed(2)} exposure)</span>
+                <span className={`text-sm font-semibold ${openTotals.unrealizedPnL >= 0 ? 'text-emerald-200' : 'text-rose-200'}`}>
+                  {openTotals.unrealizedPnL >= 0 ? '+' : '-'}{currSymbol}{Math.abs(openTotals.unrealizedPnL).toFixed(2)}
+                </span>
+              </div>
+              {openTotals.unpricedPositions > 0 && (
+                <p className="mt-1 text-[10px] text-slate-500">
+                  {openTotals.unpricedPositions} position(s) without a current price are excluded
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Futures Positions */}
         {hasFuturesPositions && (
           <div className="overflow-hidden rounded-2xl border border-white/5 bg-white/[0.02]">
@@ -1926,19 +2032,33 @@ function calculateMissingInsightValues(insight, analytics) {
   return calculated
 }
 
-function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setActiveTab, setCurrency, currencyMetadata }) {
+function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setActiveTab, setCurrency, currencyMetadata, costBasisMethod, onCostBasisMethodChange, journal = null, excursions = null, excursionsLoading = false }) {
   const [selectedInsight, setSelectedInsight] = useState(null)
   const [showCharts, setShowCharts] = useState(false)
   const [showSymbols, setShowSymbols] = useState(false)
   const [showAllInsights, setShowAllInsights] = useState(false)
   const [breakdownModalOpen, setBreakdownModalOpen] = useState(false)
   const [selectedMetric, setSelectedMetric] = useState(null)
+  const [benchmarks, setBenchmarks] = useState(null) // Live cohort distributions; static table until they load
   const psychology = analytics.psychology || {}
+  const fxConversion = describeFxConversion(analytics.metadata?.fxConversion)
+
+  useEffect(() => {
+    if (!analytics.benchmarkProfile) return
+    let cancelled = false
+    loadPlatformBenchmarks(analytics.benchmarkProfile).then(loaded => {
+      if (!cancelled) setBenchmarks(loaded)
+    })
+    return () => { cancelled = true }
+  }, [analytics.benchmarkProfile])
+
+  // Excursions load after the analysis (useExcursionAnalysis); stop and exit insights use them once they arrive
+  const insightAnalytics = useMemo(() => excursions ? { ...analytics, excursions } : analytics, [analytics, excursions])
 
   // Generate value-first insights with money calculations
   let valueFirstInsights = null
   try {
-    valueFirstInsights = generateValueFirstInsights(analytics, psychology, analytics.allTrades || [])
+    valueFirstInsights = generateValueFirstInsights(insightAnalytics, psychology, analytics.allTrades || [], benchmarks)
   } catch (error) {
     console.error('Error generating value-first insights:', error)
     valueFirstInsights = { critical: [], opportunities: [], behavioral: [], all: [], allScored: [] }
@@ -2483,6 +2603,11 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
     })
   }
 
+  // 9. Leverage & liquidation warnings (built by leverageRiskAnalyzer)
+  if (analytics.leverageRisk?.warnings?.length > 0) {
+    allAvailableInsights.push(...analytics.leverageRisk.warnings)
+  }
+
   // Now properly score ALL insights using the prioritization engine
   const prioritizedInsights = prioritizeInsights(allAvailableInsights, analytics)
   
@@ -2829,7 +2954,7 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
           <ShadcnCard className="relative overflow-hidden border-slate-800 bg-black shadow-xl flex-1 flex flex-col">
             <CardHeader className="relative pb-3">
               {/* Trading Period and Currency Switcher */}
-              {(dateRange || (currencyMetadata?.supportsCurrencySwitch && currencyMetadata.availableCurrencies.length > 1)) && (
+              {(dateRange || onCostBasisMethodChange || (currencyMetadata?.supportsCurrencySwitch && currencyMetadata.availableCurrencies.length > 1)) && (
                 <div className="flex items-center justify-between gap-4 mb-3 pb-3 border-b border-slate-800 flex-wrap">
                   {dateRange && (
                     <div className="flex items-center gap-2">
@@ -2881,6 +3006,45 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
                               </DropdownMenuItem>
                             )
                           })}
+                          {fxConversion && (
+                            <div className="mt-1 border-t border-slate-700/50 px-2 pt-2 pb-1 text-[10px] leading-relaxed text-slate-400">
+                              <span className="font-semibold text-slate-300">{fxConversion.label}: </span>
+                              {fxConversion.detail}. Display currencies use today&apos;s rate.
+                            </div>
+                          )}
+                        </DropdownMenuContent>
+                      </DropdownMenu>
+                      {fxConversion && (
+                        <span className="text-[10px] text-slate-500" title={fxConversion.detail}>
+                          {fxConversion.label}
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  {onCostBasisMethodChange && (
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs font-semibold text-slate-300">Cost Basis:</span>
+                      <DropdownMenu>
+                        <DropdownMenuTrigger asChild>
+                          <button className="flex items-center gap-1.5 rounded-full border border-white/5 bg-white/[0.02] px-3 py-1.5 text-xs font-medium text-slate-300 transition hover:border-emerald-400/40 hover:bg-emerald-400/10 hover:text-white">
+                            <span>{costBasisMethod || analytics.costBasisMethod || COST_BASIS_METHODS.AVERAGE}</span>
+                            <ChevronDown className="h-3 w-3 transition-transform" />
+                          </button>
+                        </DropdownMenuTrigger>
+                        <DropdownMenuContent align="end" className="w-56 bg-slate-800/95 backdrop-blur-xl border-slate-700/50">
+                          {Object.values(COST_BASIS_METHODS).map((method) => (
+                            <DropdownMenuItem
+                              key={method}
+                              onClick={() => onCostBasisMethodChange(method)}
+                              className={`flex items-center gap-2 text-xs cursor-pointer ${
+                                (costBasisMethod || analytics.costBasisMethod) === method
+                                  ? 'bg-emerald-400/20 text-emerald-300 font-medium'
+                                  : 'text-slate-300 hover:bg-slate-700/50 hover:text-white'
+                              }`}
+                            >
+                              {COST_BASIS_METHOD_LABELS[method]}
+                            </DropdownMenuItem>
+                          ))}
                         </DropdownMenuContent>
                       </DropdownMenu>
                     </div>
@@ -2975,6 +3139,28 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
                 )}
               </div>
 
+              {/* Total Return - realized + unrealized */}
+              {analytics.totalReturn && (
+                <div className={`flex items-center justify-between rounded-lg border p-3 bg-slate-950 ${
+                  analytics.totalReturn.totalReturn >= 0 ? 'border-emerald-500/20' : 'border-red-500/20'
+                }`}>
+                  <div>
+                    <div className="text-[10px] font-medium text-slate-300 mb-1">Total Return</div>
+                    <div className="text-[9px] text-slate-500">
+                      Realized {currSymbol}{formatNumber(analytics.totalReturn.realizedPnL, 2, currency || 'USD')} + Unrealized {currSymbol}{formatNumber(analytics.totalReturn.unrealizedPnL, 2, currency || 'USD')}
+                    </div>
+                  </div>
+                  <div className="text-right">
+                    <div className={`text-lg font-bold ${analytics.totalReturn.totalReturn >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                      {analytics.totalReturn.totalReturn >= 0 ? '+' : ''}{currSymbol}{formatNumber(analytics.totalReturn.totalReturn, 2, currency || 'USD')}
+                    </div>
+                    <div className="text-[10px] text-slate-400">
+                      {analytics.totalReturn.totalReturnPercent >= 0 ? '+' : ''}{analytics.totalReturn.totalReturnPercent.toFixed(1)}% of peak capital
+                    </div>
+                  </div>
+                </div>
+              )}
+
               {/* Bottom Stats Row - Total Trades and Exchanges */}
               <div className="grid grid-cols-2 gap-3 pt-3 border-t border-slate-800">
                 <div 
@@ -3228,6 +3414,18 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
           })()}
       </div>
 
+      {/* Open positions at mark price, exchange holdings and futures positions */}
+      <LiveHoldings analytics={analytics} metadata={metadata} currSymbol={currSymbol} />
+
+      {/* Sharpe, Sortino, Calmar, Ulcer, SQN, tail ratio and R-multiples from the daily return series */}
+      <RiskMetricsCards riskMetrics={analytics.riskMetrics} currSymbol={currSymbol} currency={currency} />
+
+      {/* MAE / MFE distributions and exit efficiency from historical candles */}
+      <ExcursionAnalysisCard excursions={excursions} loading={excursionsLoading} />
+
+      {/* Per-strategy metrics from journal strategy tags */}
+      <StrategyComparison analytics={analytics} journal={journal} currSymbol={currSymbol} currency={currency} />
+
       {/* TRADING BALANCE SHEET: Improvements vs Strengths */}
       {(improvements.length > 0 || meaningfulStrengths.length > 0) ? (
         <div className="space-y-4">
@@ -3746,7 +3944,7 @@ function OverviewTab({ analytics, currSymbol, currency = 'USD', metadata, setAct
   )
 }
 
-function SpotTab({ analytics, currSymbol, currency, metadata }) {
+function SpotTab({ analytics, currSymbol, currency, metadata, isDemoMode = false, journal = null }) {
   const [showAllHoldings, setShowAllHoldings] = useState(false)
   const [showAllTrades, setShowAllTrades] = useState(false)
   const [showLowBalances, setShowLowBalances] = useState(false) // Toggle for showing dust holdings (< $0.01 USD equivalent)
@@ -3758,7 +3956,21 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
   const [filterSymbol, setFilterSymbol] = useState('')
   const [filterSide, setFilterSide] = useState('') // 'buy', 'sell', or ''
   const [filterExchange, setFilterExchange] = useState('')
+  const [filterTag, setFilterTag] = useState('') // 'category:tag' from the trade journal
+  const [journalTrade, setJournalTrade] = useState(null) // Trade whose journal editor is open
+  const [replayTarget, setReplayTarget] = useState(null) // Position / trade open in the replay dialog
+  const journalTags = useMemo(() => collectJournalTags(journal?.entries), [journal?.entries])
   const spotAnalysis = analytics.spotAnalysis || {}
+
+  // Sells replay the round trip they closed (lot ledger); buys replay from the fill
+  const openSpotReplay = (trade) => {
+    const time = new Date(trade.timestamp).getTime()
+    const roundTrip = trade.side === 'sell' && (spotAnalysis.lotLedger || []).find(entry =>
+      entry.symbol === trade.symbol && entry.sellTime === time && (entry.sellTradeId ?? null) === trade.tradeId
+    )
+    setReplayTarget(roundTrip ? roundTripToReplayTarget(roundTrip) : tradeToReplayTarget({ ...trade, type: 'spot' }))
+  }
+
   const hasSpotData = analytics.spotTrades > 0
   const displayCurrency = currency || 'USD'
 
@@ -4100,6 +4312,7 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
               timestamp: trade.timestamp || trade.time,
               exchange: trade.exchange || metadata?.exchanges?.[0] || 'Unknown',
               pnl: trade.realizedPnl || 0,
+              tradeId: trade.id ?? null, // Stored trade_id - null means the trade can't be journaled
               id: trade.id || trade.tradeId || trade.orderId || `${trade.symbol}-${trade.timestamp}-${trade.side || (trade.isBuyer ? 'buy' : 'sell')}-${index}-${trade.quantity || trade.qty || 0}`
             }))
         } else if (Array.isArray(metadata?.spotTrades)) {
@@ -4114,6 +4327,7 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
             timestamp: trade.time,
             exchange: trade.exchange || metadata?.exchanges?.[0] || 'Unknown',
             pnl: 0, // Will need to calculate from position tracking
+            tradeId: trade.id ?? null,
             id: trade.id || trade.orderId || `${trade.symbol}-${trade.time}-${trade.isBuyer ? 'buy' : 'sell'}-${index}-${trade.qty || 0}`
           }))
         }
@@ -4132,13 +4346,17 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
           if (filterExchange && trade.exchange.toLowerCase() !== filterExchange.toLowerCase()) {
             return false
           }
+          // Journal tag filter
+          if (filterTag && !getTradeTags({ exchange: trade.exchange, id: trade.tradeId }, journal?.journalIndex).includes(filterTag)) {
+            return false
+          }
           return true
         })
 
         // Get unique symbols and exchanges for filter dropdowns
         const uniqueSymbols = [...new Set(spotTradesList.map(t => t.symbol))].sort()
         const uniqueExchanges = [...new Set(spotTradesList.map(t => t.exchange))].sort()
-        const activeFilterCount = (filterSymbol ? 1 : 0) + (filterSide ? 1 : 0) + (filterExchange ? 1 : 0)
+        const activeFilterCount = (filterSymbol ? 1 : 0) + (filterSide ? 1 : 0) + (filterExchange ? 1 : 0) + (filterTag ? 1 : 0)
 
         // Apply sorting
         const sortedTrades = [...filteredTrades].sort((a, b) => {
@@ -4250,7 +4468,7 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
             {/* Filter Panel */}
             {showFilters && (
               <div className="px-3 py-3 border-b border-slate-700/30 bg-slate-800/20 space-y-3">
-                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div className={`grid grid-cols-1 gap-3 ${journal ? 'md:grid-cols-4' : 'md:grid-cols-3'}`}>
                   {/* Symbol Filter */}
                   <div className="space-y-1">
                     <label className="text-[10px] text-slate-400 font-medium">Symbol</label>
@@ -4293,6 +4511,11 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
                       ))}
                     </select>
                   </div>
+
+                  {/* Journal Tag Filter */}
+                  {journal && (
+                    <JournalTagFilter tagsByCategory={journalTags} value={filterTag} onChange={setFilterTag} />
+                  )}
                 </div>
 
                 {/* Clear Filters Button */}
@@ -4303,6 +4526,7 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
                         setFilterSymbol('')
                         setFilterSide('')
                         setFilterExchange('')
+                        setFilterTag('')
                       }}
                       className="text-[10px] text-purple-400 hover:text-purple-300 transition-colors flex items-center gap-1"
                     >
@@ -4325,6 +4549,8 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
                     <TableHead className="text-[10px] text-slate-400 font-medium text-right">Value</TableHead>
                     <TableHead className="text-[10px] text-slate-400 font-medium text-right">Commission</TableHead>
                     <TableHead className="text-[10px] text-slate-400 font-medium">Exchange</TableHead>
+                    <TableHead className="text-[10px] text-slate-400 font-medium">Replay</TableHead>
+                    {journal && <TableHead className="text-[10px] text-slate-400 font-medium">Journal</TableHead>}
                   </TableRow>
                 </TableHeader>
                 <TableBody>
@@ -4378,6 +4604,25 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
                             <span className="capitalize">{trade.exchange}</span>
                           </span>
                         </TableCell>
+                        <TableCell>
+                          <button
+                            onClick={() => openSpotReplay(trade)}
+                            disabled={!(trade.price > 0)}
+                            title="Replay on the price chart"
+                            className="inline-flex items-center rounded px-1.5 py-0.5 text-slate-500 hover:text-cyan-300 hover:bg-white/5 disabled:opacity-40 disabled:cursor-not-allowed"
+                          >
+                            <History className="w-3 h-3" />
+                          </button>
+                        </TableCell>
+                        {journal && (
+                          <TableCell>
+                            <JournalButton
+                              entry={journal.journalIndex.get(getJournalKey(trade.exchange, trade.tradeId))}
+                              disabled={trade.tradeId === null}
+                              onClick={() => setJournalTrade({ ...trade, id: trade.tradeId })}
+                            />
+                          </TableCell>
+                        )}
                       </TableRow>
                     )
                   })}
@@ -4398,6 +4643,26 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
         )
       })()}
 
+      {/* Journal: P&L per tag + editor for the trade table */}
+      {journal && (
+        <>
+          <TagPerformanceCard
+            trades={(analytics.allTrades || []).filter(trade => trade.type === 'spot')}
+            journalIndex={journal.journalIndex}
+            currSymbol={currSymbol}
+            currency={displayCurrency}
+          />
+          <JournalEditorDialog trade={journalTrade} journal={journal} tagsByCategory={journalTags} onClose={() => setJournalTrade(null)} />
+        </>
+      )}
+
+      <TradeReplayDialog target={replayTarget} onClose={() => setReplayTarget(null)} currSymbol={currSymbol} currency={displayCurrency} />
+
+      {/* Capital Gains Report */}
+      {hasSpotData && (
+        <TaxReportCard costBasisMethod={isDemoMode ? null : getPickedCostBasisMethod()} baseCurrency={currency} isDemoMode={isDemoMode} />
+      )}
+
       {/* Premium Teaser - Portfolio Rebalancing */}
       <div className="bg-gradient-to-br from-emerald-500/5 to-cyan-500/5 border border-emerald-500/20 rounded-lg p-3 relative overflow-hidden">
         <div className="flex items-start gap-3">
@@ -4412,11 +4677,15 @@ function SpotTab({ analytics, currSymbol, currency, metadata }) {
   )
 }
 
-function FuturesTab({ analytics, currSymbol, currency, metadata }) {
+function FuturesTab({ analytics, currSymbol, currency, metadata, journal = null }) {
   const futuresAnalysis = analytics.futuresAnalysis || {}
   const hasFuturesData = analytics.futuresTrades > 0
   const displayCurrency = currency || 'USD'
   const [showAllTrades, setShowAllTrades] = useState(false)
+  const [filterTag, setFilterTag] = useState('') // 'category:tag' from the trade journal
+  const [journalTrade, setJournalTrade] = useState(null) // Trade whose journal editor is open
+  const [replayTarget, setReplayTarget] = useState(null) // Position / trade open in the replay dialog
+  const journalTags = useMemo(() => collectJournalTags(journal?.entries), [journal?.entries])
 
   if (!hasFuturesData) {
     return <EmptyState icon={Zap} title="No Futures Trading Data" variant="info" />
@@ -4447,9 +4716,9 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
         incomeType: 'REALIZED_PNL',
         time: trade.timestamp || trade.time, // timestamp is ISO string in normalized format
         timestamp: trade.timestamp || trade.time, // Keep both for compatibility
-        tradeId: trade.tradeId || trade.id,
-        tranId: trade.tranId || trade.id,
-        id: trade.id
+        tranId: trade.id,
+        id: trade.id,
+        exchange: trade.exchange
       }))
     }
     
@@ -4471,7 +4740,9 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
           symbol: inc.symbol || 'UNKNOWN',
           pnl: pnl,
           time: inc.time || inc.timestamp || Date.now(),
-          tradeId: inc.tradeId || inc.tranId || inc.id || null
+          // Stored trade id (not the fill's tradeId) - journal entries and tag analytics key on it
+          tradeId: inc.id || inc.tranId || null,
+          exchange: inc.exchange || metadata?.exchanges?.[0] || 'unknown'
         }
       })
       .sort((a, b) => a.pnl - b.pnl) // Sort by worst PnL first
@@ -4479,8 +4750,12 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
     return realizedTrades
   })()
 
-  const displayedTrades = showAllTrades ? tradeHistory : tradeHistory.slice(0, 6)
-  const hasMoreTrades = tradeHistory.length > 6
+  // Journal tag filter
+  const filteredHistory = filterTag
+    ? tradeHistory.filter(trade => getTradeTags({ exchange: trade.exchange, id: trade.tradeId }, journal?.journalIndex).includes(filterTag))
+    : tradeHistory
+  const displayedTrades = showAllTrades ? filteredHistory : filteredHistory.slice(0, 6)
+  const hasMoreTrades = filteredHistory.length > 6
 
   return (
     <div className="space-y-4 md:space-y-6">
@@ -4617,27 +4892,34 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
               <Clock className="w-3 h-3 text-cyan-400" />
               Past Trades
               <span className="text-[10px] text-slate-500 font-normal ml-1">
-                ({showAllTrades ? tradeHistory.length : `Top ${Math.min(6, tradeHistory.length)} of ${tradeHistory.length}`})
+                ({showAllTrades ? filteredHistory.length : `Top ${Math.min(6, filteredHistory.length)} of ${filteredHistory.length}`})
               </span>
             </h3>
-            {hasMoreTrades && (
-              <button
-                onClick={() => setShowAllTrades(!showAllTrades)}
-                className="text-[10px] text-purple-400 hover:text-purple-300 transition-colors flex items-center gap-1"
-              >
-                {showAllTrades ? (
-                  <>
-                    <ChevronUp className="w-3 h-3" />
-                    Show Less
-                  </>
-                ) : (
-                  <>
-                    <ChevronDown className="w-3 h-3" />
-                    Show All
-                  </>
-                )}
-              </button>
-            )}
+            <div className="flex items-center gap-2">
+              {journal && (
+                <div className="w-40">
+                  <JournalTagFilter tagsByCategory={journalTags} value={filterTag} onChange={setFilterTag} label={null} />
+                </div>
+              )}
+              {hasMoreTrades && (
+                <button
+                  onClick={() => setShowAllTrades(!showAllTrades)}
+                  className="text-[10px] text-purple-400 hover:text-purple-300 transition-colors flex items-center gap-1"
+                >
+                  {showAllTrades ? (
+                    <>
+                      <ChevronUp className="w-3 h-3" />
+                      Show Less
+                    </>
+                  ) : (
+                    <>
+                      <ChevronDown className="w-3 h-3" />
+                      Show All
+                    </>
+                  )}
+                </button>
+              )}
+            </div>
           </div>
           <div className="overflow-x-auto -mx-4 px-4">
             <table className="w-full text-xs min-w-[500px]">
@@ -4646,6 +4928,7 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
                   <th className="px-2 py-2 whitespace-nowrap">Symbol</th>
                   <th className="px-2 py-2 text-right whitespace-nowrap">P&L</th>
                   <th className="px-2 py-2 text-right whitespace-nowrap">Date</th>
+                  {journal && <th className="px-2 py-2 text-right whitespace-nowrap">Journal</th>}
                 </tr>
               </thead>
               <tbody>
@@ -4682,6 +4965,15 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
                         {trade.pnl >= 0 ? '+' : ''}{currSymbol}{formattedPnl} <span className="text-[9px] text-slate-400 font-normal">{displayCurrency}</span>
                       </td>
                       <td className="px-2 py-2 text-right text-slate-400 whitespace-nowrap">{dateStr}</td>
+                      {journal && (
+                        <td className="px-2 py-2 text-right whitespace-nowrap">
+                          <JournalButton
+                            entry={journal.journalIndex.get(getJournalKey(trade.exchange, trade.tradeId))}
+                            disabled={!trade.tradeId}
+                            onClick={() => setJournalTrade({ ...trade, id: trade.tradeId, side: 'close', timestamp: trade.time })}
+                          />
+                        </td>
+                      )}
                     </tr>
                   )
                 })}
@@ -4691,6 +4983,28 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
         </div>
       )}
 
+      {/* Journal: P&L per tag + editor for the trade table */}
+      {journal && (
+        <>
+          <TagPerformanceCard
+            trades={(analytics.allTrades || []).filter(trade => trade.type === 'futures')}
+            journalIndex={journal.journalIndex}
+            currSymbol={currSymbol}
+            currency={displayCurrency}
+          />
+          <JournalEditorDialog trade={journalTrade} journal={journal} tagsByCategory={journalTags} onClose={() => setJournalTrade(null)} />
+        </>
+      )}
+
+      {/* Positions rebuilt from fills: long vs short, holding time, leverage-adjusted returns */}
+      <FuturesPositionBreakdown
+        positionHistory={futuresAnalysis.positionHistory}
+        currSymbol={currSymbol}
+        currency={displayCurrency}
+        onReplay={(position) => setReplayTarget(positionToReplayTarget(position))}
+      />
+      <TradeReplayDialog target={replayTarget} onClose={() => setReplayTarget(null)} currSymbol={currSymbol} currency={displayCurrency} />
+
       {/* Risk Metrics - Compact */}
       <div className="bg-slate-800/20 border border-slate-700/30 rounded-md p-2">
         <div className="text-[10px] text-slate-400 uppercase tracking-wider mb-1.5">Risk Metrics</div>
@@ -4714,18 +5028,22 @@ function FuturesTab({ analytics, currSymbol, currency, metadata }) {
         </div>
       </div>
 
-      {/* Premium Teaser - Leverage Analysis */}
-      <div className="bg-gradient-to-br from-cyan-500/5 to-purple-500/5 border border-cyan-500/20 rounded-lg p-3 relative overflow-hidden">
-        <div className="flex items-start gap-3">
-          <TrendingUp className="w-4 h-4 text-cyan-400 mt-0.5" />
-          <div className="flex-1">
-            <h4 className="text-xs font-semibold text-slate-200 mb-1">Leverage & Risk Analysis</h4>
-            <p className="text-[10px] text-slate-400 mb-2">
-              Discover optimal leverage levels, position sizing recommendations, and liquidation risk warnings.
-            </p>
+      {/* Leverage & liquidation risk, or the teaser until positions can be rebuilt */}
+      {analytics.leverageRisk?.available ? (
+        <LeverageRiskCard leverageRisk={analytics.leverageRisk} currSymbol={currSymbol} currency={displayCurrency} />
+      ) : (
+        <div className="bg-gradient-to-br from-cyan-500/5 to-purple-500/5 border border-cyan-500/20 rounded-lg p-3 relative overflow-hidden">
+          <div className="flex items-start gap-3">
+            <TrendingUp className="w-4 h-4 text-cyan-400 mt-0.5" />
+            <div className="flex-1">
+              <h4 className="text-xs font-semibold text-slate-200 mb-1">Leverage & Risk Analysis</h4>
+              <p className="text-[10px] text-slate-400 mb-2">
+                Discover optimal leverage levels, position sizing recommendations, and liquidation risk warnings.
+              </p>
+            </div>
           </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
@@ -5762,6 +6080,8 @@ function BehavioralTab({ analytics, currSymbol, currency }) {
 
         {/* Fees & Efficiency Sub-tab */}
         <TabsContent value="fees" className="mt-4 space-y-4 md:space-y-6">
+          <FeeAttribution fees={analytics.fees} currSymbol={currSymbol} currency={displayCurrency} />
+
           {/* Fee Analysis */}
           {behavioral.feeAnalysis && (
             <div className="relative overflow-hidden rounded-2xl border border-orange-500/20 bg-orange-500/5 p-4 md:p-5">
@@ -6027,7 +6347,13 @@ export default function AnalyticsView({
   onDisconnect,
   onUploadClick,
   onViewAllExchanges,
-  onFilterExchanges, // Callback to re-fetch data with filtered exchanges
+  onFilterExchanges, // Callback to re-fetch data with filtered exchanges (used when global filters are not wired)
+  analyticsFilters = null, // Global filters applied to analytics (see utils/analyticsFilters)
+  filterOptions = null, // Values offered by the filter panel
+  onFiltersChange, // Callback with new global filters; the owner re-runs analyzeData on the subset
+  filtersApplying = false, // A filtered analysis is being computed
+  costBasisMethod, // Lot-matching method used for spot realized P&L
+  onCostBasisMethodChange, // Callback to re-run analysis with a different method
   isDemoMode = false,
   isAuthenticated = true,
   initialTab = 'overview' // New prop to set initial tab from URL
@@ -6052,7 +6378,14 @@ export default function AnalyticsView({
     }
   }, [activeTab, initialTab])
 
-  // Filter state - Only data source filtering
+  // Trade journal (notes/tags per trade) - shared by the Spot and Futures tabs
+  const journal = useTradeJournal({ enabled: !isDemoMode && !!user?.id })
+
+  const journalTags = useMemo(() => collectJournalTags(journal.entries), [journal.entries])
+  const activeFilterCount = countActiveAnalyticsFilters(analyticsFilters)
+  const filtersActive = activeFilterCount > 0
+
+  // Legacy filter state - data source filtering only
   const [selectedExchanges, setSelectedExchanges] = useState([])
   const [appliedExchanges, setAppliedExchanges] = useState([]) // Track what's currently applied
 
@@ -6128,6 +6461,9 @@ export default function AnalyticsView({
   // Use converted analytics throughout the component
   const displayAnalytics = convertedAnalytics || analytics
 
+  // MAE / MFE needs a candle request per closed trade, so it loads on its own, only while the Overview tab is open
+  const { excursions, loading: excursionsLoading } = useExcursionAnalysis(analytics, { enabled: activeTab === 'overview' })
+
   const hasFutures = displayAnalytics.futuresTrades > 0
   const hasSpot = displayAnalytics.spotTrades > 0
   const hasBehavioral = displayAnalytics.behavioral && displayAnalytics.behavioral.healthScore
@@ -6252,20 +6588,48 @@ export default function AnalyticsView({
               <div className="flex-shrink-0 border-l border-white/5 px-3">
                 <button
                   onClick={() => setShowFilters(!showFilters)}
-                  className={`p-2 rounded-lg transition-all ${
-                    showFilters
+                  className={`relative p-2 rounded-lg transition-all ${
+                    showFilters || filtersActive
                       ? 'bg-purple-500/20 text-purple-200'
                       : 'text-slate-400 hover:bg-white/10 hover:text-white'
                   }`}
                   title="Filter data"
                 >
                   <Filter className="w-4 h-4" />
+                  {filtersActive && (
+                    <span className="absolute -top-1 -right-1 flex h-4 min-w-4 items-center justify-center rounded-full bg-purple-500 px-1 text-[9px] font-bold text-white">
+                      {activeFilterCount}
+                    </span>
+                  )}
                 </button>
               </div>
             </div>
 
-            {/* Filter Panel */}
-            {showFilters && currencyMetadata?.exchanges && currencyMetadata.exchanges.length > 0 && (
+            {/* Global Filter Panel */}
+            {showFilters && onFiltersChange && (
+              <AnalyticsFilterPanel
+                filters={analyticsFilters}
+                options={filterOptions}
+                tagsByCategory={isDemoMode ? null : journalTags}
+                onApply={onFiltersChange}
+                applying={filtersApplying}
+              />
+            )}
+
+            {/* Active filters summary while the panel is closed */}
+            {!showFilters && filtersActive && (
+              <div className="flex flex-wrap items-center gap-3 border-b border-white/5 bg-purple-500/5 px-4 py-2 text-xs text-purple-200">
+                <span>
+                  Filtered view: {activeFilterCount} {activeFilterCount === 1 ? 'filter' : 'filters'}
+                  {analyticsFilters.from || analyticsFilters.to ? ` · ${analyticsFilters.from || 'start'} to ${analyticsFilters.to || 'today'}` : ''}
+                </span>
+                {filtersApplying && <span className="text-slate-400">Recalculating...</span>}
+                <button onClick={() => setShowFilters(true)} className="text-slate-400 hover:text-purple-200 transition-colors">Edit</button>
+              </div>
+            )}
+
+            {/* Legacy Filter Panel (data sources only) */}
+            {showFilters && !onFiltersChange && currencyMetadata?.exchanges && currencyMetadata.exchanges.length > 0 && (
               <div className="border-b border-white/5 bg-white/[0.03] px-4 py-3">
                 <div className="flex flex-wrap items-center gap-3">
                   {/* Exchange Dropdown */}
@@ -6370,16 +6734,16 @@ export default function AnalyticsView({
             <div className="p-3 md:p-4">
               <div className="transition-all duration-300 ease-in-out">
                 <TabsContent value="overview" className="mt-0 animate-in fade-in duration-300">
-                  <OverviewTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} setActiveTab={setActiveTab} setCurrency={setCurrency} currencyMetadata={currencyMetadata} />
+                  <OverviewTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} setActiveTab={setActiveTab} setCurrency={setCurrency} currencyMetadata={currencyMetadata} costBasisMethod={costBasisMethod} onCostBasisMethodChange={onCostBasisMethodChange} journal={isDemoMode ? null : journal} excursions={excursions} excursionsLoading={excursionsLoading} />
                 </TabsContent>
                 <TabsContent value="behavioral" className="mt-0 animate-in fade-in duration-300">
                   <BehavioralTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} />
                 </TabsContent>
                 <TabsContent value="spot" className="mt-0 animate-in fade-in duration-300">
-                  <SpotTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} />
+                  <SpotTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} isDemoMode={isDemoMode} journal={isDemoMode ? null : journal} />
                 </TabsContent>
                 <TabsContent value="futures" className="mt-0 animate-in fade-in duration-300">
-                  <FuturesTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} />
+                  <FuturesTab analytics={displayAnalytics} currSymbol={currSymbol} currency={currency} metadata={currencyMetadata} journal={isDemoMode ? null : journal} />
                 </TabsContent>
                 <TabsContent value="context" className="mt-0 animate-in fade-in duration-300">
                   <MarketContextTab analytics={displayAnalytics} />
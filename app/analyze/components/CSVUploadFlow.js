@@ -24,6 +24,8 @@ import {
 import { UploadedFilesSkeleton } from '@/app/components/LoadingSkeletons'
 import Sidebar from './Sidebar'
 import { trackDataConnection } from '@/lib/analytics'
+import { parseCSVFile } from '../utils/csvParser'
+import { isWorkbookFile, parseWorkbookFile } from '../utils/workbookReader'
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB per file
 
@@ -97,8 +99,8 @@ export default function CSVUploadFlow({ onBack }) {
 
   const handleFileSelect = async (selectedFiles) => {
     const fileArray = Array.from(selectedFiles).filter(file => {
-      // Only allow CSV files
-      return file.name.toLowerCase().endsWith('.csv') && file.size <= MAX_FILE_SIZE
+      // Only allow CSV and Excel (.xlsx) files
+      return (file.name.toLowerCase().endsWith('.csv') || isWorkbookFile(file)) && file.size <= MAX_FILE_SIZE
     })
 
     for (const file of fileArray) {
@@ -124,6 +126,12 @@ export default function CSVUploadFlow({ onBack }) {
         warning: warning,
         tradesCount: null,
         duplicatesCount: null,
+        rowErrors: [], // Row-level parse errors ({ line, message }) from /api/csv/parse
+        rowErrorCount: 0,
+        isWorkbook: isWorkbookFile(file),
+        sheetNames: [], // Workbook sheets (xlsx only)
+        sheetName: null,
+        headerRow: null, // Spreadsheet row holding the column headers (xlsx only)
         columnMapping: null, // AI-detected mapping
         detectedExchange: null,
         detectedType: null,
@@ -132,68 +140,104 @@ export default function CSVUploadFlow({ onBack }) {
 
       setFileConfigs(prev => [...prev, newConfig])
 
-      // Try AI detection (priority)
-      try {
-        const preview = await readCSVPreview(file)
+      await detectFileColumns(newConfig.id, file)
+    }
+  }
 
-        const response = await fetch('/api/csv/detect-columns', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            headers: preview.headers,
-            sampleData: preview.rows
-          })
+  // Detect exchange/column mapping from the file's header and first rows
+  // Re-run when the user picks a different workbook sheet
+  const detectFileColumns = async (configId, file, sheetName = null) => {
+    let preview
+    try {
+      preview = await readFilePreview(file, sheetName)
+    } catch (error) {
+      // Unreadable file (e.g. legacy .xls or corrupt workbook) - nothing to detect or parse
+      console.error('File preview error:', error)
+      updateConfig(configId, {
+        status: 'error',
+        progress: '',
+        message: error.message || 'Could not read file'
+      })
+      return
+    }
+
+    if (preview.sheetNames) {
+      updateConfig(configId, {
+        sheetNames: preview.sheetNames,
+        sheetName: preview.sheetName,
+        headerRow: preview.headerRow
+      })
+    }
+
+    // Try AI detection (priority)
+    try {
+      const response = await fetch('/api/csv/detect-columns', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          headers: preview.headers,
+          sampleData: preview.rows
         })
+      })
 
-        const detection = await response.json()
-
-        if (response.ok && detection.confidence >= 0.7) {
-          // AI detection successful - use it!
-          updateConfig(newConfig.id, {
-            status: 'ready',
-            progress: '',
-            columnMapping: detection.mapping,
-            detectedExchange: detection.detectedExchange,
-            detectedType: detection.detectedType,
-            confidence: detection.confidence,
-            message: `✓ ${detection.detectedExchange || 'Format'} detected (${Math.round(detection.confidence * 100)}% confidence)`
-          })
+      const detection = await response.json()
 
-          // Show success toast for AI detection
-          toast.success(
-            `Format detected: ${detection.detectedExchange || 'Unknown'} (${Math.round(detection.confidence * 100)}% confidence)`,
-            { duration: 3000 }
-          )
-        } else {
-          // Low confidence - fall back to manual selection
-          updateConfig(newConfig.id, {
-            status: 'ready',
-            progress: '',
-            warning: 'Auto-detection uncertain. Fallback to manual selection.',
-            confidence: detection.confidence || 0
-          })
-        }
-      } catch (error) {
-        console.error('AI detection error:', error)
-        // AI failed - fall back to traditional method
-        updateConfig(newConfig.id, {
+      if (response.ok && detection.confidence >= 0.7) {
+        // AI detection successful - use it!
+        updateConfig(configId, {
           status: 'ready',
           progress: '',
-          warning: 'Auto-detection failed. Using traditional parser.'
+          columnMapping: detection.mapping,
+          detectedExchange: detection.detectedExchange,
+          detectedType: detection.detectedType,
+          confidence: detection.confidence,
+          message: `✓ ${detection.detectedExchange || 'Format'} detected (${Math.round(detection.confidence * 100)}% confidence)`
+        })
+
+        // Show success toast for AI detection
+        toast.success(
+          `Format detected: ${detection.detectedExchange || 'Unknown'} (${Math.round(detection.confidence * 100)}% confidence)`,
+          { duration: 3000 }
+        )
+      } else {
+        // Low confidence - fall back to manual selection
+        updateConfig(configId, {
+          status: 'ready',
+          progress: '',
+          warning: 'Auto-detection uncertain. Fallback to manual selection.',
+          confidence: detection.confidence || 0
         })
       }
+    } catch (error) {
+      console.error('AI detection error:', error)
+      // AI failed - fall back to traditional method
+      updateConfig(configId, {
+        status: 'ready',
+        progress: '',
+        warning: 'Auto-detection failed. Using traditional parser.'
+      })
     }
   }
 
-  // Helper: Read CSV preview (headers + first 5 rows)
-  async function readCSVPreview(file) {
-    const text = await file.text()
-    const lines = text.split('\n').slice(0, 6)
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-    const rows = lines.slice(1).filter(l => l.trim()).map(line => {
-      return line.split(',').map(v => v.trim().replace(/"/g, ''))
-    })
-    return { headers, rows }
+  // Helper: Read CSV/workbook preview (headers + first 5 rows)
+  // CSV streams only the start of the file through the shared tokenizer
+  async function readFilePreview(file, sheetName = null) {
+    if (isWorkbookFile(file)) {
+      const table = await parseWorkbookFile(file, { sheetName, maxRows: 5 })
+      return {
+        headers: table.headers,
+        rows: table.rows.map(row => row.values),
+        sheetNames: table.sheetNames,
+        sheetName: table.sheetName,
+        headerRow: table.headerRow
+      }
+    }
+
+    const table = await parseCSVFile(file, { maxRows: 5 })
+    return {
+      headers: table.headers,
+      rows: table.rows.map(row => row.values)
+    }
   }
 
   const handleDrag = (e) => {
@@ -222,6 +266,21 @@ export default function CSVUploadFlow({ onBack }) {
     ))
   }
 
+  const handleSheetChange = (config, sheetName) => {
+    updateConfig(config.id, {
+      sheetName,
+      headerRow: null,
+      status: 'detecting',
+      progress: 'Analyzing sheet...',
+      warning: '',
+      columnMapping: null,
+      detectedExchange: null,
+      detectedType: null,
+      confidence: null
+    })
+    detectFileColumns(config.id, config.file, sheetName)
+  }
+
   const removeFile = (id) => {
     setFileConfigs(prev => prev.filter(config => config.id !== id))
   }
@@ -285,6 +344,12 @@ export default function CSVUploadFlow({ onBack }) {
       formData.append('exchange', exchange)
       formData.append('accountType', config.accountType)
 
+      // Workbooks: parse the same sheet/header row the preview was detected from
+      if (config.isWorkbook) {
+        if (config.sheetName) formData.append('sheetName', config.sheetName)
+        if (config.headerRow) formData.append('headerRow', String(config.headerRow))
+      }
+
       // Add AI mapping if available (PRIORITY)
       if (config.columnMapping) {
         formData.append('columnMapping', JSON.stringify(config.columnMapping))
@@ -311,6 +376,20 @@ export default function CSVUploadFlow({ onBack }) {
       // Show success toast for successful parsing
       toast.success('File parsed successfully', { duration: 2000 })
 
+      // Rows that couldn't be read are reported with their line numbers rather than silently dropped
+      const rowErrorCount = parseData.rowErrorCount || 0
+      updateConfig(configId, {
+        rowErrors: parseData.rowErrors || [],
+        rowErrorCount
+      })
+      if (rowErrorCount > 0) {
+        const firstLines = (parseData.rowErrors || []).slice(0, 3).map(e => e.line).join(', ')
+        toast.warning(
+          `${rowErrorCount} row${rowErrorCount !== 1 ? 's' : ''} with problems`,
+          { description: `See line${rowErrorCount !== 1 ? 's' : ''} ${firstLines}${rowErrorCount > 3 ? '...' : ''}`, duration: 5000 }
+        )
+      }
+
       // Step 2: Save CSV metadata first (to get csvUploadId for linking trades)
       updateConfig(configId, {
         progress: 'Creating CSV record...'
@@ -620,15 +699,15 @@ export default function CSVUploadFlow({ onBack }) {
                   }`} />
                 </div>
                 <p className="text-sm text-slate-200 font-semibold mb-1">
-                  Drop CSV files here or click to browse
+                  Drop CSV or Excel files here or click to browse
                 </p>
                 <p className="text-xs text-slate-400 mb-4 flex items-center gap-1">
-                  Max 10MB per file <Separator className="mx-1" /> CSV format only
+                  Max 10MB per file <Separator className="mx-1" /> CSV or .xlsx
                 </p>
                 <input
                   type="file"
                   multiple
-                  accept=".csv"
+                  accept=".csv,.xlsx,.xlsm"
                   onChange={(e) => handleFileSelect(e.target.files)}
                   className="hidden"
                   id="file-upload"
@@ -682,6 +761,7 @@ export default function CSVUploadFlow({ onBack }) {
                     otherExchanges={otherExchanges}
                     onUpdate={(updates) => updateConfig(config.id, updates)}
                     onRemove={() => removeFile(config.id)}
+                    onSheetChange={(sheetName) => handleSheetChange(config, sheetName)}
                     getStatusColor={getStatusColor}
                   />
                 ))}
@@ -732,7 +812,7 @@ export default function CSVUploadFlow({ onBack }) {
 }
 
 // Separate component for each file config card
-function FileConfigCard({ config, connectedExchanges, otherExchanges, onUpdate, onRemove, getStatusColor }) {
+function FileConfigCard({ config, connectedExchanges, otherExchanges, onUpdate, onRemove, onSheetChange, getStatusColor }) {
   const [showExchangeDropdown, setShowExchangeDropdown] = useState(false)
   const [showOtherInput, setShowOtherInput] = useState(config.useOtherExchange || false)
 
@@ -925,6 +1005,26 @@ function FileConfigCard({ config, connectedExchanges, otherExchanges, onUpdate,
             )}
           </div>
 
+          {/* Sheet picker (Excel workbooks) */}
+          {config.isWorkbook && config.sheetNames.length > 0 && (
+            <div>
+              <Label htmlFor="sheet-name-csv" className="block text-xs text-slate-300 mb-2">Sheet</Label>
+              <Select value={config.sheetName || config.sheetNames[0]} onValueChange={onSheetChange}>
+                <SelectTrigger id="sheet-name-csv" className="bg-slate-800/60 border-slate-600/50 text-slate-200 focus:border-emerald-500/50 focus:ring-emerald-500/20">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700 text-slate-200">
+                  {config.sheetNames.map(name => (
+                    <SelectItem key={name} value={name}>{name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              {config.headerRow && (
+                <p className="mt-1.5 text-xs text-slate-400">Column headers found on row {config.headerRow}</p>
+              )}
+            </div>
+          )}
+
           {/* Account type dropdown */}
           <div>
             <Label htmlFor="account-type-csv" className="block text-xs text-slate-300 mb-2">Account Type</Label>
@@ -972,6 +1072,21 @@ function FileConfigCard({ config, connectedExchanges, otherExchanges, onUpdate,
                   )}
                 </p>
               )}
+              {config.rowErrorCount > 0 && (
+                <details className="mt-2 text-xs text-yellow-300">
+                  <summary className="cursor-pointer">
+                    {config.rowErrorCount} row{config.rowErrorCount !== 1 ? 's' : ''} with problems
+                  </summary>
+                  <ul className="mt-1.5 space-y-0.5 max-h-32 overflow-y-auto text-slate-400">
+                    {config.rowErrors.map((rowError, idx) => (
+                      <li key={idx}>Line {rowError.line}: {rowError.message}</li>
+                    ))}
+                    {config.rowErrorCount > config.rowErrors.length && (
+                      <li>...and {config.rowErrorCount - config.rowErrors.length} more</li>
+                    )}
+                  </ul>
+                </details>
+              )}
             </div>
           </div>
         </div>
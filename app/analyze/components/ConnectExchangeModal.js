@@ -4,8 +4,11 @@
 import { Upload, Link as LinkIcon, FileText, ArrowRight, Building2 } from 'lucide-react'
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog'
 import { Badge } from '@/components/ui/badge'
+import { getExchangeList } from '../utils/exchanges'
 
 export default function ConnectExchangeModal({ isOpen, onClose, onSelectMethod }) {
+  const apiExchangeNames = getExchangeList().map(exchange => exchange.displayName).join(', ')
+
   const methods = [
     {
       id: 'api',
@@ -106,7 +109,7 @@ export default function ConnectExchangeModal({ isOpen, onClose, onSelectMethod }
             <FileText className="w-3 h-3 text-white/20 flex-shrink-0 mt-0.5" />
             <p>
               <span className="font-medium text-white/40">Supported exchanges:</span>{' '}
-              Binance, CoinDCX, Snaptrade (20+ brokerages), CSV upload
+              {apiExchangeNames}, Snaptrade (20+ brokerages), CSV upload
             </p>
           </div>
         </div>
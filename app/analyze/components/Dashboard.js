@@ -717,7 +717,7 @@ export default function Dashboard({ onConnectExchange, onTryDemo, onConnectWithC
       if (pendingConnection) {
         try {
           const connectionData = JSON.parse(pendingConnection)
-          const { exchange, apiKey, apiSecret, timestamp } = connectionData
+          const { exchange, apiKey, apiSecret, passphrase, timestamp } = connectionData
           
           // Check if data is not too old (24 hours max)
           const age = Date.now() - timestamp
@@ -739,7 +739,8 @@ export default function Dashboard({ onConnectExchange, onTryDemo, onConnectWithC
                 body: JSON.stringify({
                   exchange,
                   apiKey,
-                  apiSecret
+                  apiSecret,
+                  passphrase
                 })
               })
               
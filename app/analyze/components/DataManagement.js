@@ -6,6 +6,8 @@ import { useRouter } from 'next/navigation'
 import { Database, Upload, FileText, X, AlertCircle, CheckCircle, Trash2, Loader2, Check, ChevronDown, Link2, Plus, KeyRound, Clock, TrendingUp, HelpCircle, RefreshCw } from 'lucide-react'
 import { useAuth } from '@/lib/AuthContext'
 import { getEffectiveTier } from '@/lib/featureGates'
+import { getCooldownRemainingMs } from '@/lib/syncCursor'
+import { getExchangeAdapter } from '../utils/exchanges'
 import { ExchangeIcon, Separator } from '@/components/ui'
 import { toast } from 'sonner'
 import { getUpgradeToastConfig, getUpgradePromptFromApiError } from '@/app/components/UpgradePrompt'
@@ -36,6 +38,9 @@ import { UploadedFilesSkeleton } from '@/app/components/LoadingSkeletons'
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024 // 10MB per file
 
+// "45m" under an hour, otherwise rounded up to hours
+const formatCooldown = (minutes) => minutes < 60 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`
+
 export default function DataManagement() {
   const router = useRouter()
   const { user } = useAuth()
@@ -63,11 +68,13 @@ export default function DataManagement() {
   const [refreshPreview, setRefreshPreview] = useState(null)
   const [isRefreshing, setIsRefreshing] = useState(false)
   const [refreshProgress, setRefreshProgress] = useState({ current: null, total: 0, completed: 0 })
+  const [syncHistory, setSyncHistory] = useState({}) // connection_id -> recent runs, newest first
   const fileInputRef = useRef(null)
 
   useEffect(() => {
     fetchConnectedExchanges()
     fetchUploadedFiles()
+    fetchSyncHistory()
   }, [])
 
   useEffect(() => {
@@ -131,6 +138,7 @@ export default function DataManagement() {
             createdAt: conn.created_at,
             updatedAt: conn.updated_at,
             lastSynced: conn.last_synced,
+            incrementalSync: !!conn.incremental_sync,
             primaryBrokerage: conn.brokerage_name || conn.metadata?.brokerage_name || conn.primary_brokerage,
             brokerageNames: conn.brokerage_names || (conn.brokerage_name ? [conn.brokerage_name] : null),
             brokerageName: conn.brokerage_name || conn.metadata?.brokerage_name, // Store for delete operations
@@ -151,6 +159,25 @@ export default function DataManagement() {
     }
   }
 
+  const fetchSyncHistory = async () => {
+    try {
+      const response = await fetch('/api/exchange/sync-history')
+      const data = await response.json()
+
+      if (data.success) {
+        const byConnection = {}
+        data.history.forEach(run => {
+          if (!byConnection[run.connection_id]) byConnection[run.connection_id] = []
+          byConnection[run.connection_id].push(run)
+        })
+        setSyncHistory(byConnection)
+      }
+    } catch (error) {
+      // Non-critical - cards just won't show sync history
+      console.error('Error fetching sync history:', error)
+    }
+  }
+
   const fetchUploadedFiles = async () => {
     const startTime = Date.now()
     try {
@@ -207,8 +234,8 @@ export default function DataManagement() {
 
       if (previewData.exchangesReady.length === 0) {
         if (previewData.exchangesOnCooldown.length > 0) {
-          const hoursRemaining = previewData.exchangesOnCooldown[0]?.hoursRemaining || 0
-          toast.info(`All exchanges are on cooldown. Next refresh available in ${hoursRemaining} hour(s)`)
+          const minutesRemaining = previewData.exchangesOnCooldown[0]?.minutesRemaining || 0
+          toast.info(`All exchanges are on cooldown. Next refresh available in ${formatCooldown(minutesRemaining)}`)
         } else {
           toast.info('No exchanges ready to refresh')
         }
@@ -248,7 +275,21 @@ export default function DataManagement() {
       // Show success summary
       if (data.refreshed && data.refreshed.length > 0) {
         const totalNewTrades = data.totalNewTrades || 0
-        toast.success(`Refreshed ${data.refreshed.length} exchange(s), ${totalNewTrades} new trades added`)
+        // Per-symbol counts come from the sync cursor diff - show the busiest few
+        const bySymbol = {}
+        data.refreshed.forEach(r => {
+          Object.entries(r.newBySymbol || {}).forEach(([symbol, count]) => {
+            bySymbol[symbol] = (bySymbol[symbol] || 0) + count
+          })
+        })
+        const topSymbols = Object.entries(bySymbol)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([symbol, count]) => `${symbol} +${count}`)
+          .join(', ')
+        toast.success(`Refreshed ${data.refreshed.length} exchange(s), ${totalNewTrades} new trades added`, topSymbols ? {
+          description: topSymbols
+        } : undefined)
       }
 
       if (data.errors && data.errors.length > 0) {
@@ -257,6 +298,7 @@ export default function DataManagement() {
 
       // Refresh exchange list
       await fetchConnectedExchanges()
+      await fetchSyncHistory()
       await fetchSubscription()
     } catch (error) {
       console.error('Error refreshing exchanges:', error)
@@ -270,17 +312,16 @@ export default function DataManagement() {
   const getCooldownInfo = () => {
     if (!connectedExchanges.length) return null
     
-    const now = new Date()
-    const cooldownMs = 24 * 60 * 60 * 1000
+    const now = Date.now()
     const cooldowns = connectedExchanges
       .filter(e => e.lastSynced)
       .map(e => {
-        const lastSynced = new Date(e.lastSynced)
-        const timeSince = now - lastSynced
-        return { exchange: e.exchange, hoursRemaining: Math.ceil((cooldownMs - timeSince) / (60 * 60 * 1000)) }
+        // Incrementally synced connections use the short cooldown
+        const remainingMs = getCooldownRemainingMs(e.lastSynced, e.incrementalSync, now)
+        return { exchange: e.exchange, minutesRemaining: Math.ceil(remainingMs / (60 * 1000)) }
       })
-      .filter(c => c.hoursRemaining > 0)
-      .sort((a, b) => a.hoursRemaining - b.hoursRemaining)
+      .filter(c => c.minutesRemaining > 0)
+      .sort((a, b) => a.minutesRemaining - b.minutesRemaining)
 
     return cooldowns.length > 0 ? cooldowns[0] : null
   }
@@ -515,7 +556,7 @@ export default function DataManagement() {
     }
   }
 
-  const handleUpdateKeysConfirm = async (apiKey, apiSecret) => {
+  const handleUpdateKeysConfirm = async (apiKey, apiSecret, passphrase) => {
     if (!updatingExchange) return
 
     setIsUpdatingKeys(true)
@@ -526,7 +567,8 @@ export default function DataManagement() {
         body: JSON.stringify({
           connectionId: updatingExchange.id,
           apiKey,
-          apiSecret
+          apiSecret,
+          ...(passphrase && { passphrase })
         })
       })
 
@@ -1079,7 +1121,7 @@ export default function DataManagement() {
                     onClick={handleRefreshClick}
                     disabled={isRefreshing || connectedExchanges.length === 0}
                     className="group px-4 py-2 bg-white/10 hover:bg-white/15 border border-white/10 hover:border-white/20 rounded-lg text-sm font-medium transition-all inline-flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
-                    title={getCooldownInfo() ? `Next refresh in ${getCooldownInfo().hoursRemaining}h` : 'Refresh exchange data'}
+                    title={getCooldownInfo() ? `Next refresh in ${formatCooldown(getCooldownInfo().minutesRemaining)}` : 'Refresh exchange data'}
                   >
                     {isRefreshing ? (
                       <>
@@ -1213,6 +1255,11 @@ export default function DataManagement() {
                           </TooltipProvider>
                         </div>
                       )}
+
+                      {/* Sync History (manual refreshes and background auto-sync) */}
+                      {syncHistory[exchange.id]?.length > 0 && (
+                        <SyncHistoryLine runs={syncHistory[exchange.id]} />
+                      )}
                       
                       {/* Action Buttons */}
                       <div className="flex gap-2">
@@ -1566,7 +1613,7 @@ export default function DataManagement() {
                       {refreshPreview.exchangesOnCooldown.length} exchange(s) on cooldown
                     </p>
                     <p className="text-xs text-yellow-400/70">
-                      Next refresh available in {refreshPreview.exchangesOnCooldown[0]?.hoursRemaining || 0} hour(s)
+                      Next refresh available in {formatCooldown(refreshPreview.exchangesOnCooldown[0]?.minutesRemaining || 0)}
                     </p>
                   </div>
                 )}
@@ -1586,7 +1633,7 @@ export default function DataManagement() {
               <div className="bg-yellow-500/10 border border-yellow-500/20 rounded-xl p-4">
                 <p className="text-sm text-yellow-400">
                   {refreshPreview?.exchangesOnCooldown?.length > 0
-                    ? `All exchanges are on cooldown. Next refresh available in ${refreshPreview.exchangesOnCooldown[0]?.hoursRemaining || 0} hour(s)`
+                    ? `All exchanges are on cooldown. Next refresh available in ${formatCooldown(refreshPreview.exchangesOnCooldown[0]?.minutesRemaining || 0)}`
                     : 'No exchanges ready to refresh'}
                 </p>
               </div>
@@ -1665,6 +1712,56 @@ export default function DataManagement() {
 }
 
 // FileConfigCard component (simplified - full version copied from CSVUploadFlow)
+// Latest sync run for a connection, with the previous few in a tooltip
+function SyncHistoryLine({ runs }) {
+  const [lastRun, ...olderRuns] = runs
+
+  const formatRunTime = (run) => new Date(run.started_at).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+
+  const describeRun = (run) => {
+    const label = run.trigger === 'auto' ? 'Auto-sync' : 'Refresh'
+    if (run.status !== 'success') return `${label} failed`
+    return `${label}: ${run.new_trades > 0 ? `+${run.new_trades} trades` : 'up to date'}`
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-white/50">
+      {lastRun.status === 'success'
+        ? <CheckCircle className="w-3.5 h-3.5 text-emerald-400/70" />
+        : <AlertCircle className="w-3.5 h-3.5 text-red-400/70" />}
+      <span>{describeRun(lastRun)} · {formatRunTime(lastRun)}</span>
+      <TooltipProvider>
+        <Tooltip>
+          <TooltipTrigger asChild>
+            <HelpCircle className="w-3.5 h-3.5 text-white/40 hover:text-white/60 transition-colors  ml-auto" />
+          </TooltipTrigger>
+          <TooltipContent side="top" className="max-w-xs">
+            <p className="font-medium mb-1">Recent Syncs</p>
+            {lastRun.status === 'error' && lastRun.error && (
+              <p className="text-xs leading-relaxed text-red-300 mb-1">{lastRun.error}</p>
+            )}
+            {olderRuns.slice(0, 4).map(run => (
+              <p key={run.id} className="text-xs leading-relaxed">
+                {formatRunTime(run)} - {describeRun(run)}
+              </p>
+            ))}
+            {olderRuns.length === 0 && (
+              <p className="text-xs leading-relaxed">
+                Trader and Pro plans sync connected exchanges automatically in the background.
+              </p>
+            )}
+          </TooltipContent>
+        </Tooltip>
+      </TooltipProvider>
+    </div>
+  )
+}
+
 function FileConfigCard({ config, connectedExchanges, otherExchanges, onUpdate, onRemove, getStatusColor }) {
   const [showExchangeDropdown, setShowExchangeDropdown] = useState(false)
   const [showOtherInput, setShowOtherInput] = useState(config.useOtherExchange || false)
@@ -2059,10 +2156,14 @@ function UploadedFileCard({ file, connectedExchanges, onRefresh, onDelete, isDel
 function UpdateKeysModal({ exchange, isOpen, onClose, onConfirm, isUpdating }) {
   const [apiKey, setApiKey] = useState('')
   const [apiSecret, setApiSecret] = useState('')
+  const [passphrase, setPassphrase] = useState('')
   const [showSecret, setShowSecret] = useState(false)
   const [apiKeyValid, setApiKeyValid] = useState(null)
   const [apiSecretValid, setApiSecretValid] = useState(null)
 
+  // OKX and KuCoin sign every request with the passphrase chosen when creating the key
+  const requiresPassphrase = !!getExchangeAdapter(exchange.exchange)?.capabilities.requiresPassphrase
+
   // Validate API key format (exchange-specific validation)
   const validateApiKey = (key) => {
     if (key.length === 0) {
@@ -2109,11 +2210,12 @@ function UpdateKeysModal({ exchange, isOpen, onClose, onConfirm, isUpdating }) {
   }
 
   const handleSubmit = () => {
-    if (apiKeyValid && apiSecretValid && apiKey && apiSecret) {
-      onConfirm(apiKey, apiSecret)
+    if (apiKeyValid && apiSecretValid && apiKey && apiSecret && (!requiresPassphrase || passphrase)) {
+      onConfirm(apiKey, apiSecret, requiresPassphrase ? passphrase : null)
       // Reset form after submit
       setApiKey('')
       setApiSecret('')
+      setPassphrase('')
       setApiKeyValid(null)
       setApiSecretValid(null)
     }
@@ -2234,6 +2336,24 @@ function UpdateKeysModal({ exchange, isOpen, onClose, onConfirm, isUpdating }) {
               </p>
             )}
           </div>
+
+          {/* API Passphrase Field (OKX, KuCoin) */}
+          {requiresPassphrase && (
+            <div>
+              <Label htmlFor="update-api-passphrase" className="block text-sm text-white/70 mb-2">
+                API Passphrase
+              </Label>
+              <Input
+                id="update-api-passphrase"
+                type={showSecret ? 'text' : 'password'}
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                placeholder="Passphrase you set when creating the key"
+                disabled={isUpdating}
+                className="bg-white/5 border-white/10 text-white/90 placeholder-white/40 disabled:opacity-50 disabled:cursor-not-allowed focus:ring-white/10"
+              />
+            </div>
+          )}
         </div>
 
         {/* Footer */}
@@ -2247,7 +2367,7 @@ function UpdateKeysModal({ exchange, isOpen, onClose, onConfirm, isUpdating }) {
           </button>
           <button
             onClick={handleSubmit}
-            disabled={isUpdating || !apiKey || !apiSecret || apiKeyValid !== true || apiSecretValid !== true}
+            disabled={isUpdating || !apiKey || !apiSecret || (requiresPassphrase && !passphrase) || apiKeyValid !== true || apiSecretValid !== true}
             className="px-6 py-2 bg-white/10 hover:bg-white/15 border border-white/10 hover:border-white/20 rounded-lg text-sm font-medium transition-all disabled:opacity-50 disabled:cursor-not-allowed inline-flex items-center gap-2"
           >
             {isUpdating ? (
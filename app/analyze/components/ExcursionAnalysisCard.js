@@ -0,0 +1,129 @@
+// app/analyze/components/ExcursionAnalysisCard.js
+// MAE / MFE distributions and exit efficiency for the Overview tab (lib/hooks/useExcursionAnalysis)
+
+'use client'
+
+import { Crosshair } from 'lucide-react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts'
+
+const formatPercent = (value, digits = 1) => value === null || value === undefined || !isFinite(value) ? '-' : `${value.toFixed(digits)}%`
+
+function ExcursionStat({ label, value, tone = 'text-slate-200', hint }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 p-3">
+      <div className="text-[10px] font-medium text-slate-300 mb-1">{label}</div>
+      <div className={`text-lg font-bold ${tone}`}>{value}</div>
+      {hint && <div className="text-[9px] text-slate-500 mt-1">{hint}</div>}
+    </div>
+  )
+}
+
+function DistributionChart({ title, data }) {
+  return (
+    <div className="space-y-2">
+      <div className="text-[10px] font-medium text-slate-400">{title}</div>
+      <ResponsiveContainer width="100%" height={160}>
+        <BarChart data={data}>
+          <XAxis dataKey="label" stroke="#64748b" style={{ fontSize: '10px' }} tick={{ fill: '#64748b' }} tickLine={false} />
+          <YAxis allowDecimals={false} stroke="#64748b" style={{ fontSize: '10px' }} tick={{ fill: '#64748b' }} tickLine={false} width={24} />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: '#1e293b',
+              border: '1px solid #334155',
+              borderRadius: '8px',
+              fontSize: '12px'
+            }}
+          />
+          <Bar dataKey="winners" name="Winners" stackId="trips" fill="#10b981" />
+          <Bar dataKey="losers" name="Losers" stackId="trips" fill="#ef4444" />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.excursions - utils/excursionAnalysis result
+ * @param {boolean} props.loading - Candles are still loading
+ */
+export default function ExcursionAnalysisCard({ excursions, loading = false }) {
+  if (!excursions?.available) {
+    if (!loading) return null
+    return (
+      <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 md:p-6">
+        <div className="text-xs text-slate-400 flex items-center gap-2">
+          <Crosshair className="w-4 h-4 text-cyan-400 animate-pulse" />
+          Measuring how far price moved during your closed trades...
+        </div>
+      </div>
+    )
+  }
+
+  const { winners, losers, diagnosis } = excursions
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 md:p-6 space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Crosshair className="w-4 h-4 text-cyan-400" />
+          Entries, Stops & Exits
+        </h3>
+        <p className="text-xs text-slate-500 mt-1">
+          How far price moved against (MAE) and for (MFE) your last {excursions.analyzedTrips} closed trades while they were open
+          {excursions.skippedTrips > 0 && ` (${excursions.skippedTrips} without price history)`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <ExcursionStat
+          label="Winners' MAE"
+          value={formatPercent(winners.medianMaePercent)}
+          hint={`Median heat taken; losers avg ${formatPercent(losers.avgMaePercent)}`}
+        />
+        <ExcursionStat
+          label="Winners' MFE"
+          value={formatPercent(winners.avgMfePercent)}
+          tone="text-emerald-400"
+          hint="Average best move before exit"
+        />
+        <ExcursionStat
+          label="Exit Efficiency"
+          value={formatPercent(winners.avgExitEfficiency, 0)}
+          tone={winners.avgExitEfficiency === null ? 'text-slate-400' : winners.avgExitEfficiency >= 50 ? 'text-emerald-400' : 'text-yellow-400'}
+          hint="Share of the best move your winners kept"
+        />
+        <ExcursionStat
+          label="Suggested Stop"
+          value={formatPercent(excursions.suggestedStopPercent)}
+          tone="text-cyan-300"
+          hint={`${excursions.stopPercentile}% of winners never went further against you`}
+        />
+      </div>
+
+      {diagnosis && (diagnosis.stopsTooTight || diagnosis.stopsTooWide || diagnosis.targetsTooEarly) && (
+        <div className="flex flex-wrap gap-2">
+          {diagnosis.stopsTooTight && (
+            <span className="rounded-md border border-yellow-500/30 bg-yellow-500/10 px-2 py-1 text-[10px] text-yellow-300">
+              Stops too tight: {diagnosis.cutEarlyShare.toFixed(0)}% of losers were cut inside normal winner heat
+            </span>
+          )}
+          {diagnosis.stopsTooWide && (
+            <span className="rounded-md border border-red-500/30 bg-red-500/10 px-2 py-1 text-[10px] text-red-300">
+              Stops too wide: losers run {formatPercent(losers.avgMaePercent)} against you on average
+            </span>
+          )}
+          {diagnosis.targetsTooEarly && (
+            <span className="rounded-md border border-yellow-500/30 bg-yellow-500/10 px-2 py-1 text-[10px] text-yellow-300">
+              Targets too early: {diagnosis.moveLeftOnTablePercent.toFixed(0)}% of the favorable move left on the table
+            </span>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <DistributionChart title="Maximum Adverse Excursion" data={excursions.maeDistribution} />
+        <DistributionChart title="Exit Efficiency (winners)" data={excursions.exitEfficiencyDistribution} />
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,156 @@
+// app/analyze/components/FeeAttribution.js
+// Fee & funding attribution for the Fees & Efficiency sub-tab (analytics.fees from utils/feeNormalization)
+
+'use client'
+
+import { Receipt } from 'lucide-react'
+import { ComposedChart, Bar, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const MAX_SYMBOL_ROWS = 12
+
+const formatMoney = (value, currSymbol, currency) =>
+  `${value < 0 ? '-' : ''}${currSymbol}${formatCurrencyNumber(Math.abs(value || 0), currency, 2)}`
+const formatPercent = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value.toFixed(1)}%`
+const formatBps = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value.toFixed(1)} bps`
+
+function FeeCard({ label, value, tone = 'text-slate-200', hint }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 p-3">
+      <div className="text-[10px] font-medium text-slate-300 mb-1">{label}</div>
+      <div className={`text-lg md:text-xl font-bold ${tone}`}>{value}</div>
+      {hint && <div className="text-[9px] text-slate-500 mt-1">{hint}</div>}
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.fees - analytics.fees (display currency)
+ */
+export default function FeeAttribution({ fees, currSymbol, currency = 'USD' }) {
+  if (!fees || (fees.totalFees === 0 && fees.monthly.length === 0)) {
+    return null
+  }
+
+  const classified = fees.makerFees + fees.takerFees
+  const makerShare = classified > 0 ? (fees.makerFees / classified) * 100 : null
+  const { valuation } = fees
+  const estimated = valuation.current + valuation.unvalued
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 md:p-6 space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Receipt className="w-4 h-4 text-orange-400" />
+          Fee & Funding Attribution
+        </h3>
+        <p className="text-xs text-slate-500 mt-1">
+          Every fee valued at the time it was charged, whatever asset it was paid in
+          {estimated > 0 && ` (${valuation.current} at today's price, ${valuation.unvalued} without a price)`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <FeeCard
+          label="Trading Fees"
+          value={formatMoney(fees.tradingFees, currSymbol, currency)}
+          tone="text-red-400"
+          hint={makerShare !== null ? `${makerShare.toFixed(0)}% of classified fees as maker` : 'Maker/taker not reported'}
+        />
+        <FeeCard
+          label="Net Funding"
+          value={`${fees.netFunding >= 0 ? '+' : ''}${formatMoney(fees.netFunding, currSymbol, currency)}`}
+          tone={fees.netFunding >= 0 ? 'text-emerald-400' : 'text-red-400'}
+          hint={`Paid ${formatMoney(fees.fundingPaid, currSymbol, currency)} / received ${formatMoney(fees.fundingReceived, currSymbol, currency)}`}
+        />
+        <FeeCard
+          label="Liquidation Fees"
+          value={formatMoney(fees.liquidationFees, currSymbol, currency)}
+          tone={fees.liquidationFees > 0 ? 'text-red-400' : 'text-slate-200'}
+          hint="Clearance fees on liquidated positions"
+        />
+        <FeeCard
+          label="Fee Drag"
+          value={formatPercent(fees.feeDragPercent)}
+          tone={fees.feeDragPercent === null ? 'text-slate-400' : fees.feeDragPercent > 30 ? 'text-red-400' : fees.feeDragPercent > 10 ? 'text-yellow-400' : 'text-emerald-400'}
+          hint={`Of gross profit; spot fee rate ${formatBps(fees.feeRateBps)}`}
+        />
+      </div>
+
+      {fees.monthly.length > 1 && (
+        <div className="space-y-2">
+          <div className="text-[10px] font-medium text-slate-400">Fees by Month <span className="text-slate-500">(line: fee drag % of gross profit)</span></div>
+          <ResponsiveContainer width="100%" height={200}>
+            <ComposedChart data={fees.monthly}>
+              <XAxis dataKey="month" stroke="#64748b" style={{ fontSize: '10px' }} tick={{ fill: '#64748b' }} tickLine={false} />
+              <YAxis yAxisId="fees" stroke="#64748b" style={{ fontSize: '10px' }} tick={{ fill: '#64748b' }} tickLine={false} />
+              <YAxis yAxisId="drag" orientation="right" stroke="#64748b" style={{ fontSize: '10px' }} tick={{ fill: '#64748b' }} tickLine={false} unit="%" />
+              <Tooltip
+                contentStyle={{
+                  backgroundColor: '#1e293b',
+                  border: '1px solid #334155',
+                  borderRadius: '8px',
+                  fontSize: '12px'
+                }}
+                formatter={(value, name) => name === 'Fee drag'
+                  ? [formatPercent(value), name]
+                  : [formatMoney(value, currSymbol, currency), name]}
+              />
+              <Bar yAxisId="fees" dataKey="tradingFees" name="Trading" stackId="fees" fill="#f97316" />
+              <Bar yAxisId="fees" dataKey="fundingFees" name="Funding" stackId="fees" fill="#eab308" />
+              <Bar yAxisId="fees" dataKey="liquidationFees" name="Liquidation" stackId="fees" fill="#ef4444" />
+              <Line yAxisId="drag" dataKey="feeDragPercent" name="Fee drag" stroke="#22d3ee" dot={false} connectNulls />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      {fees.bySymbol.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs min-w-[720px]">
+            <thead className="bg-slate-800/30">
+              <tr className="text-left text-[10px] text-slate-400">
+                <th className="px-2 py-2 whitespace-nowrap">Symbol</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Maker</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Taker</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Funding</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Liquidation</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Total</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Fee Rate</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Fee Drag</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fees.bySymbol.slice(0, MAX_SYMBOL_ROWS).map(row => (
+                <tr key={`${row.market}:${row.symbol}`} className="border-b border-slate-800/30 hover:bg-slate-700/10">
+                  <td className="px-2 py-2 font-semibold text-slate-200 whitespace-nowrap">
+                    {row.symbol} <span className="text-[9px] font-normal text-slate-500 uppercase">{row.market}</span>
+                  </td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{formatMoney(row.makerFees, currSymbol, currency)}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{formatMoney(row.takerFees + row.unclassifiedFees, currSymbol, currency)}</td>
+                  <td className={`px-2 py-2 text-right whitespace-nowrap ${row.fundingFees < 0 ? 'text-emerald-400' : ''}`}>{formatMoney(row.fundingFees, currSymbol, currency)}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{row.liquidationFees ? formatMoney(row.liquidationFees, currSymbol, currency) : '-'}</td>
+                  <td className="px-2 py-2 text-right font-bold text-red-400 whitespace-nowrap">{formatMoney(row.totalFees, currSymbol, currency)}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{formatBps(row.feeRateBps)}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{formatPercent(row.feeDragPercent)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {fees.byCommissionAsset.length > 1 && (
+        <div className="flex flex-wrap gap-2">
+          {fees.byCommissionAsset.map(asset => (
+            <div key={asset.asset} className="rounded-md border border-slate-800 bg-slate-950 px-2 py-1 text-[10px] text-slate-400">
+              <span className="font-semibold text-slate-300">{asset.asset}</span>{' '}
+              {Number(asset.quantity).toFixed(6).replace(/\.?0+$/, '')} = {formatMoney(asset.value, currSymbol, currency)}
+              <span className="text-slate-500"> ({asset.trades} trades)</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
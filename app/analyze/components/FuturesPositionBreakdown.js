@@ -0,0 +1,138 @@
+// app/analyze/components/FuturesPositionBreakdown.js
+// Long vs short performance, holding time and leverage-adjusted returns per reconstructed futures position
+// (analytics.futuresAnalysis.positionHistory from utils/futuresPositions)
+
+'use client'
+
+import { Layers, History } from 'lucide-react'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const MAX_POSITION_ROWS = 10
+
+const formatMoney = (value, currSymbol, currency) =>
+  `${value < 0 ? '-' : ''}${currSymbol}${formatCurrencyNumber(Math.abs(value || 0), currency, 2)}`
+const formatPercent = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`
+
+const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-'
+  const hours = Math.floor(ms / (1000 * 60 * 60))
+  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60))
+
+  if (hours >= 24) return `${Math.floor(hours / 24)}d ${hours % 24}h`
+  if (hours > 0) return `${hours}h ${minutes}m`
+  return `${minutes}m`
+}
+
+function SideCard({ label, stats, tone, currSymbol, currency }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 p-3 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className={`text-xs font-semibold ${tone}`}>{label}</span>
+        <span className="text-[10px] text-slate-500">{stats.positions} positions</span>
+      </div>
+      <div className={`text-lg font-bold ${stats.netPnL >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+        {formatMoney(stats.netPnL, currSymbol, currency)}
+      </div>
+      <div className="grid grid-cols-2 gap-x-3 gap-y-1 text-[10px]">
+        <span className="text-slate-400">Win rate</span>
+        <span className="text-right text-slate-200">{stats.positions > 0 ? `${stats.winRate.toFixed(0)}%` : '-'}</span>
+        <span className="text-slate-400">Avg hold</span>
+        <span className="text-right text-slate-200">{formatDuration(stats.avgHoldingTimeMs)}</span>
+        <span className="text-slate-400">Return on margin</span>
+        <span className="text-right text-slate-200">{formatPercent(stats.avgReturnOnMargin)}</span>
+        <span className="text-slate-400">Funding</span>
+        <span className={`text-right ${stats.funding >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{formatMoney(stats.funding, currSymbol, currency)}</span>
+      </div>
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.positionHistory - futuresAnalysis.positionHistory (display currency)
+ * @param {Function} props.onReplay - Optional; called with a position to open it in the trade replay
+ */
+export default function FuturesPositionBreakdown({ positionHistory, currSymbol, currency = 'USD', onReplay = null }) {
+  if (!positionHistory?.available || positionHistory.closedPositions === 0) {
+    return null
+  }
+
+  const { bySide } = positionHistory
+  const recent = positionHistory.positions
+    .filter(position => position.status === 'CLOSED')
+    .slice(-MAX_POSITION_ROWS)
+    .reverse()
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Layers className="w-4 h-4 text-cyan-400" />
+          Positions
+        </h3>
+        <p className="text-xs text-slate-500 mt-1">
+          {positionHistory.closedPositions} closed positions rebuilt from fills
+          {positionHistory.avgScaleIns !== null && `, ${positionHistory.avgScaleIns.toFixed(1)} scale-ins and ${positionHistory.avgPartialCloses.toFixed(1)} partial closes on average`}
+          {positionHistory.avgLeverage !== null && `, ${positionHistory.avgLeverage.toFixed(1)}x average leverage`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <SideCard label="Long" stats={bySide.LONG} tone="text-emerald-400" currSymbol={currSymbol} currency={currency} />
+        <SideCard label="Short" stats={bySide.SHORT} tone="text-red-400" currSymbol={currSymbol} currency={currency} />
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs min-w-[640px]">
+          <thead className="bg-slate-800/30">
+            <tr className="text-left text-[10px] text-slate-400">
+              <th className="px-2 py-2 whitespace-nowrap">Symbol</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Entry / Exit</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Peak Size</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Held</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Funding</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Net P&L</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">On Margin</th>
+              {onReplay && <th className="px-2 py-2 whitespace-nowrap" />}
+            </tr>
+          </thead>
+          <tbody>
+            {recent.map(position => (
+              <tr key={position.id} className="border-b border-slate-800/30 hover:bg-slate-700/10">
+                <td className="px-2 py-2 font-semibold text-slate-200 whitespace-nowrap">
+                  {position.symbol}{' '}
+                  <span className={`text-[9px] font-normal ${position.side === 'LONG' ? 'text-emerald-400' : 'text-red-400'}`}>{position.side}</span>
+                  {position.leverage && <span className="text-[9px] font-normal text-slate-500"> {position.leverage}x</span>}
+                </td>
+                <td className="px-2 py-2 text-right whitespace-nowrap">
+                  {currSymbol}{formatCurrencyNumber(position.entryPrice, currency, 2)} / {currSymbol}{formatCurrencyNumber(position.exitPrice || 0, currency, 2)}
+                </td>
+                <td className="px-2 py-2 text-right whitespace-nowrap">{formatMoney(position.peakNotional, currSymbol, currency)}</td>
+                <td className="px-2 py-2 text-right whitespace-nowrap">{formatDuration(position.durationMs)}</td>
+                <td className={`px-2 py-2 text-right whitespace-nowrap ${position.funding >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{formatMoney(position.funding, currSymbol, currency)}</td>
+                <td className={`px-2 py-2 text-right font-bold whitespace-nowrap ${position.netPnL >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{formatMoney(position.netPnL, currSymbol, currency)}</td>
+                <td className="px-2 py-2 text-right whitespace-nowrap">{formatPercent(position.returnOnMargin)}</td>
+                {onReplay && (
+                  <td className="px-2 py-2 text-right">
+                    <button
+                      onClick={() => onReplay(position)}
+                      title="Replay on the price chart"
+                      className="inline-flex items-center rounded px-1.5 py-0.5 text-slate-500 hover:text-cyan-300 hover:bg-white/5"
+                    >
+                      <History className="w-3 h-3" />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {positionHistory.unmatchedFills > 0 && (
+        <p className="text-[10px] text-slate-500">
+          {positionHistory.unmatchedFills} closing fills belong to positions opened before your synced history and are left out
+        </p>
+      )}
+    </div>
+  )
+}
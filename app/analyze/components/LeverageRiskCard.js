@@ -0,0 +1,127 @@
+// app/analyze/components/LeverageRiskCard.js
+// Liquidations, near-liquidations and leverage vs outcome for the Futures tab
+// (analytics.leverageRisk from utils/leverageRiskAnalyzer)
+
+'use client'
+
+import { AlertTriangle, Gauge } from 'lucide-react'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const MAX_WARNINGS = 3
+
+const formatMoney = (value, currSymbol, currency) =>
+  `${value < 0 ? '-' : ''}${currSymbol}${formatCurrencyNumber(Math.abs(value || 0), currency, 2)}`
+const formatPercent = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+const formatLeverage = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value.toFixed(1)}x`
+
+function RiskStat({ label, value, tone = 'text-slate-200', hint }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 p-3">
+      <div className="text-[10px] font-medium text-slate-300 mb-1">{label}</div>
+      <div className={`text-lg font-bold ${tone}`}>{value}</div>
+      {hint && <div className="text-[9px] text-slate-500 mt-1">{hint}</div>}
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.leverageRisk - analytics.leverageRisk (display currency)
+ */
+export default function LeverageRiskCard({ leverageRisk, currSymbol, currency = 'USD' }) {
+  if (!leverageRisk?.available) {
+    return null
+  }
+
+  const { liquidations, nearLiquidations, openAtRisk, warnings } = leverageRisk
+  const buckets = leverageRisk.buckets.filter(bucket => bucket.positions > 0)
+  const fromBalance = leverageRisk.positionLeverage.filter(p => p.effectiveLeverageSource === 'balance').length
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 space-y-3">
+      <div>
+        <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <Gauge className="w-4 h-4 text-cyan-400" />
+          Leverage & Liquidation Risk
+        </h3>
+        <p className="text-xs text-slate-500 mt-1">
+          Effective leverage is peak position size against your futures balance
+          {fromBalance < leverageRisk.positionLeverage.length && ` (leverage setting used for ${leverageRisk.positionLeverage.length - fromBalance} positions without a balance snapshot)`}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <RiskStat
+          label="Liquidations"
+          value={liquidations.length}
+          tone={liquidations.length > 0 ? 'text-red-400' : 'text-emerald-400'}
+          hint={`Fees ${formatMoney(liquidations.reduce((sum, l) => sum + l.fee, 0), currSymbol, currency)}`}
+        />
+        <RiskStat
+          label="Near Misses"
+          value={nearLiquidations.length}
+          tone={nearLiquidations.length > 0 ? 'text-yellow-400' : 'text-emerald-400'}
+          hint="Closed after losing 75%+ of margin"
+        />
+        <RiskStat
+          label="Avg Effective Leverage"
+          value={formatLeverage(leverageRisk.avgEffectiveLeverage)}
+          hint={`Max ${formatLeverage(leverageRisk.maxEffectiveLeverage)}`}
+        />
+        <RiskStat
+          label="Open Near Liquidation"
+          value={openAtRisk.length}
+          tone={openAtRisk.length > 0 ? 'text-red-400' : 'text-emerald-400'}
+          hint={openAtRisk[0] ? `${openAtRisk[0].symbol} ${openAtRisk[0].distancePercent.toFixed(1)}% away` : 'Within 10% of liquidation price'}
+        />
+      </div>
+
+      {buckets.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs min-w-[520px]">
+            <thead className="bg-slate-800/30">
+              <tr className="text-left text-[10px] text-slate-400">
+                <th className="px-2 py-2 whitespace-nowrap">Leverage</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Positions</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Win Rate</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Avg Return</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Net P&L</th>
+                <th className="px-2 py-2 text-right whitespace-nowrap">Liquidated</th>
+              </tr>
+            </thead>
+            <tbody>
+              {buckets.map(bucket => (
+                <tr key={bucket.label} className="border-b border-slate-800/30 hover:bg-slate-700/10">
+                  <td className="px-2 py-2 font-semibold text-slate-200 whitespace-nowrap">{bucket.label}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{bucket.positions}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{bucket.winRate.toFixed(0)}%</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{formatPercent(bucket.avgReturnOnNotional)}</td>
+                  <td className={`px-2 py-2 text-right font-bold whitespace-nowrap ${bucket.netPnL >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>{formatMoney(bucket.netPnL, currSymbol, currency)}</td>
+                  <td className={`px-2 py-2 text-right whitespace-nowrap ${bucket.liquidations > 0 ? 'text-red-400' : ''}`}>{bucket.liquidations || '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {leverageRisk.leverageReturnCorrelation !== null && (
+            <p className="text-[10px] text-slate-500 mt-2">
+              Leverage vs return correlation: {leverageRisk.leverageReturnCorrelation.toFixed(2)}
+            </p>
+          )}
+        </div>
+      )}
+
+      {warnings.length > 0 && (
+        <div className="space-y-2">
+          {warnings.slice(0, MAX_WARNINGS).map(warning => (
+            <div key={warning.title} className="flex items-start gap-2 rounded-lg border border-red-500/20 bg-red-500/5 p-2">
+              <AlertTriangle className="w-3.5 h-3.5 text-red-400 mt-0.5 flex-shrink-0" />
+              <div>
+                <div className="text-xs font-semibold text-slate-200">{warning.title}</div>
+                <div className="text-[10px] text-slate-400">{warning.message}</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -196,6 +196,7 @@ export default function LoginForm({
   const [showHelpModal, setShowHelpModal] = useState(false)
   const [apiKeyValid, setApiKeyValid] = useState(null)
   const [apiSecretValid, setApiSecretValid] = useState(null)
+  const [passphrase, setPassphrase] = useState('')
   const [isSubmitting, setIsSubmitting] = useState(false)
   const [submitError, setSubmitError] = useState('')
   const [localProgress, setLocalProgress] = useState('')
@@ -226,7 +227,8 @@ export default function LoginForm({
         body: JSON.stringify({
           exchange,
           apiKey,
-          apiSecret
+          apiSecret,
+          ...(requiresPassphrase && { passphrase })
         })
       })
 
@@ -245,6 +247,7 @@ export default function LoginForm({
             exchange: exchange.toLowerCase(),
             apiKey,
             apiSecret,
+            ...(requiresPassphrase && { passphrase }),
             timestamp: Date.now()
           }))
           
@@ -297,87 +300,26 @@ export default function LoginForm({
     }
   }
   
-  // Validate API key format (exchange-specific validation)
-  const validateApiKey = (key) => {
-    if (key.length === 0) {
-      setApiKeyValid(null)
-      return
-    }
-
-    let isValid = false
-
-    if (exchange === 'binance') {
-      // Binance: 64 chars, alphanumeric
-      isValid = key.length >= 60 && /^[A-Za-z0-9]+$/.test(key)
-    } else if (exchange === 'coindcx') {
-      // CoinDCX: Variable length, alphanumeric with hyphens
-      // Format: typically UUID-like or hex string
-      isValid = key.length >= 20 && /^[A-Za-z0-9\-]+$/.test(key)
-    } else {
-      // Default: just check if not empty and reasonable length
-      isValid = key.length >= 20
-    }
+  // Validate API key format (exchange-specific pattern from the adapter config)
+  const validateCredential = (value, field) => {
+    if (value.length === 0) return null
+    const pattern = currentExchange?.config.credentialFormat?.[field]
+    // Default: just check reasonable length
+    return pattern ? pattern.test(value) : value.length >= 20
+  }
 
-    setApiKeyValid(isValid)
+  const validateApiKey = (key) => {
+    setApiKeyValid(validateCredential(key, 'apiKey'))
   }
 
   const validateApiSecret = (secret) => {
-    if (secret.length === 0) {
-      setApiSecretValid(null)
-      return
-    }
-
-    let isValid = false
-
-    if (exchange === 'binance') {
-      // Binance: 64 chars, alphanumeric
-      isValid = secret.length >= 60 && /^[A-Za-z0-9]+$/.test(secret)
-    } else if (exchange === 'coindcx') {
-      // CoinDCX: Variable length, alphanumeric with hyphens
-      isValid = secret.length >= 20 && /^[A-Za-z0-9\-]+$/.test(secret)
-    } else {
-      // Default: just check if not empty and reasonable length
-      isValid = secret.length >= 20
-    }
-
-    setApiSecretValid(isValid)
+    setApiSecretValid(validateCredential(secret, 'apiSecret'))
   }
 
-  // Exchange data map for preview
-  const exchangeDataMap = {
-    binance: {
-      displayName: 'Binance',
-      description: 'World\'s largest crypto exchange',
-      dataPoints: [
-        'AI-powered analysis of your trading performance',
-        'Real-time insights on spot and futures trading',
-        'How much money you\'re really making (P&L analysis)',
-        'When you trade your best (time-based patterns)',
-        'Where you\'re losing money and how to stop',
-        'Which assets are working for you (symbol analysis)',
-        'Trading psychology scores and behavioral insights',
-        'How fees are eating into your profits',
-        'Smart AI recommendations to improve your results',
-        'Pattern detection across thousands of trades'
-      ]
-    },
-    coindcx: {
-      displayName: 'CoinDCX',
-      description: 'India\'s #1 crypto exchange',
-      dataPoints: [
-        'AI-powered analysis of your spot trading performance',
-        'How much money you\'re really making (P&L analysis)',
-        'When you trade your best (time-based patterns)',
-        'Where you\'re losing money and how to stop',
-        'Which assets are working for you (symbol analysis)',
-        'Trading psychology scores and behavioral insights',
-        'How fees are eating into your profits',
-        'Smart AI recommendations to improve your results',
-        'Pattern detection across thousands of trades',
-        'Note: Futures trading requires manual CSV upload'
-      ]
-    }
-  }
+  // Exchange data map for preview (description/dataPoints/capabilities come from the adapter registry)
+  const exchangeDataMap = Object.fromEntries(exchangeList.map(ex => [ex.id, ex]))
+
+  const requiresPassphrase = !!currentExchange?.capabilities?.requiresPassphrase
 
   const selectedExchangeData = exchange ? exchangeDataMap[exchange] : null
 
@@ -546,7 +488,7 @@ export default function LoginForm({
                           <div className="space-y-1">
                             <p className="text-white/80 font-medium">Complete your picture</p>
                             <p>
-                              {exchange === 'binance' ? (
+                              {selectedExchangeData.capabilities?.futures ? (
                                 <>
                                   API connection supports both spot and futures trading data. Data retrieval is subject to exchange rate limits and may not include your complete trading history. For comprehensive analysis, you can supplement this by uploading additional trade history CSV files directly from your exchange's account settings or data export section.
                                 </>
@@ -798,6 +740,39 @@ export default function LoginForm({
                 )}
               </div>
 
+              {/* API Passphrase Field (OKX, KuCoin) */}
+              {requiresPassphrase && (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="api-passphrase" className="text-white/80">
+                      API Passphrase
+                    </Label>
+                    <TooltipProvider>
+                      <Tooltip>
+                        <TooltipTrigger asChild>
+                          <HelpCircle className="w-4 h-4 text-white/40 hover:text-white/60 transition-colors " />
+                        </TooltipTrigger>
+                        <TooltipContent side="top" className="max-w-xs">
+                          <p className="font-medium mb-1">What is an API Passphrase?</p>
+                          <p className="text-xs leading-relaxed">
+                            {currentExchange.config.displayName} asks you to choose a passphrase when creating the API key. It is required to sign every request and is encrypted like your secret.
+                          </p>
+                        </TooltipContent>
+                      </Tooltip>
+                    </TooltipProvider>
+                  </div>
+                  <Input
+                    id="api-passphrase"
+                    type={showSecret ? "text" : "password"}
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    placeholder="Passphrase you set when creating the key"
+                    className="bg-black border border-white/10 text-white placeholder-white/40 focus:ring-white/20"
+                    disabled={status === 'connecting'}
+                  />
+                </div>
+              )}
+
               {(error || submitError) && (
                 <Alert variant="destructive" className="bg-red-500/10 border-red-500/30">
                   <AlertCircle className="w-5 h-5 text-red-400" />
@@ -826,7 +801,7 @@ export default function LoginForm({
               {/* CTA */}
               <button
                 onClick={handleSubmit}
-                disabled={isSubmitting || status === 'connecting' || !apiKey || !apiSecret || apiKeyValid === false || apiSecretValid === false}
+                disabled={isSubmitting || status === 'connecting' || !apiKey || !apiSecret || (requiresPassphrase && !passphrase) || apiKeyValid === false || apiSecretValid === false}
                 className="w-full px-6 py-3.5 sm:py-4 bg-emerald-400/10 hover:bg-emerald-400/15 border border-emerald-400/30 hover:border-emerald-400/40 disabled:bg-white/5 disabled:border-white/10 disabled:cursor-not-allowed rounded-lg font-medium transition-all text-base sm:text-lg flex items-center justify-center gap-2 group text-emerald-400 hover:text-emerald-300 disabled:text-white/40 mt-2"
               >
                 {(isSubmitting || status === 'connecting') ? (
@@ -0,0 +1,145 @@
+// app/analyze/components/RiskMetricsCards.js
+// Risk-adjusted return cards for the Overview tab (analytics.riskMetrics from utils/riskMetrics)
+
+'use client'
+
+import { ShieldCheck } from 'lucide-react'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const formatRatio = (value, digits = 2) => value === null || value === undefined || !isFinite(value) ? '-' : value.toFixed(digits)
+const formatPercent = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value.toFixed(1)}%`
+
+// Rough quality bands for colouring; the thresholds are the commonly quoted ones for annualized ratios
+const ratioTone = (value, good, ok) => {
+  if (value === null || value === undefined) return 'text-slate-400'
+  if (value >= good) return 'text-emerald-400'
+  if (value >= ok) return 'text-yellow-400'
+  return 'text-red-400'
+}
+
+function MetricCard({ label, value, tone = 'text-slate-200', hint, description }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 p-3" title={description}>
+      <div className="text-[10px] font-medium text-slate-300 mb-1">{label}</div>
+      <div className={`text-lg md:text-xl font-bold ${tone}`}>{value}</div>
+      {hint && <div className="text-[9px] text-slate-500 mt-1">{hint}</div>}
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.riskMetrics - analytics.riskMetrics (display currency)
+ */
+export default function RiskMetricsCards({ riskMetrics, currSymbol, currency = 'USD' }) {
+  if (!riskMetrics || riskMetrics.days < 2) {
+    return null
+  }
+
+  const isReturns = riskMetrics.basis === 'returns'
+  const maxBucket = Math.max(1, ...(riskMetrics.rMultiples || []).map(bucket => bucket.count))
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 md:p-6 space-y-4">
+      <div>
+        <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+          <ShieldCheck className="w-4 h-4 text-cyan-400" />
+          Risk-Adjusted Returns
+        </h3>
+        <p className="text-xs text-slate-500 mt-1">
+          {riskMetrics.days} days of {riskMetrics.includesUnrealized ? 'realized + open-position' : 'realized'} P&L
+          {isReturns
+            ? ` on a ${currSymbol}${formatCurrencyNumber(riskMetrics.capitalBase, currency, 0)} capital base`
+            : ' (no capital base - ratios use daily P&L)'}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <MetricCard
+          label="Sharpe Ratio"
+          value={formatRatio(riskMetrics.sharpeRatio)}
+          tone={ratioTone(riskMetrics.sharpeRatio, 1, 0)}
+          hint="Annualized return per unit of volatility"
+          description="Mean daily return divided by its standard deviation, annualized over 365 days"
+        />
+        <MetricCard
+          label="Sortino Ratio"
+          value={formatRatio(riskMetrics.sortinoRatio)}
+          tone={ratioTone(riskMetrics.sortinoRatio, 1.5, 0)}
+          hint="Like Sharpe, but only downside volatility counts"
+          description="Mean daily return divided by downside deviation, annualized"
+        />
+        <MetricCard
+          label="Calmar Ratio"
+          value={formatRatio(riskMetrics.calmarRatio)}
+          tone={ratioTone(riskMetrics.calmarRatio, 1, 0)}
+          hint={isReturns && riskMetrics.maxDrawdownPercent !== null ? `Max drawdown ${formatPercent(riskMetrics.maxDrawdownPercent)}` : 'Annual return vs max drawdown'}
+          description="Annualized return divided by maximum drawdown"
+        />
+        <MetricCard
+          label="Ulcer Index"
+          value={formatRatio(riskMetrics.ulcerIndex)}
+          tone={riskMetrics.ulcerIndex === null ? 'text-slate-400' : riskMetrics.ulcerIndex <= 5 ? 'text-emerald-400' : riskMetrics.ulcerIndex <= 15 ? 'text-yellow-400' : 'text-red-400'}
+          hint="Depth and duration of drawdowns (lower is better)"
+          description="Root mean square of daily % drawdown from the running equity peak"
+        />
+        <MetricCard
+          label="Expectancy"
+          value={`${riskMetrics.expectancy >= 0 ? '+' : '-'}${currSymbol}${formatCurrencyNumber(Math.abs(riskMetrics.expectancy || 0), currency, 2)}`}
+          tone={riskMetrics.expectancy >= 0 ? 'text-emerald-400' : 'text-red-400'}
+          hint={`Per closed trade over ${riskMetrics.closedTrades} trades`}
+          description="Win rate x average win minus loss rate x average loss"
+        />
+        <MetricCard
+          label="SQN"
+          value={formatRatio(riskMetrics.sqn)}
+          tone={ratioTone(riskMetrics.sqn, 2.5, 1.6)}
+          hint={riskMetrics.sqnRating || 'Needs winning and losing trades'}
+          description="System Quality Number: sqrt(N, max 100) x mean R-multiple / std dev of R-multiples"
+        />
+        <MetricCard
+          label="Tail Ratio"
+          value={formatRatio(riskMetrics.tailRatio)}
+          tone={ratioTone(riskMetrics.tailRatio, 1, 0.8)}
+          hint="Best 5% of days vs worst 5%"
+          description="95th percentile daily return divided by the absolute 5th percentile"
+        />
+        <MetricCard
+          label={isReturns ? 'Annualized Return' : 'Winning Days'}
+          value={isReturns
+            ? formatPercent(riskMetrics.annualizedReturnPercent)
+            : formatPercent(riskMetrics.positiveDaysPercent)}
+          tone={isReturns && riskMetrics.annualizedReturnPercent !== null
+            ? (riskMetrics.annualizedReturnPercent >= 0 ? 'text-emerald-400' : 'text-red-400')
+            : 'text-slate-200'}
+          hint={isReturns
+            ? (riskMetrics.annualizedReturnPercent === null ? 'Needs 30+ days of history' : `Volatility ${formatPercent(riskMetrics.annualizedVolatilityPercent)} a year`)
+            : 'Share of trading days that closed green'}
+        />
+      </div>
+
+      {riskMetrics.rMultiples?.length > 0 && (
+        <div className="space-y-2">
+          <div className="text-[10px] font-medium text-slate-400">
+            R-Multiple Distribution <span className="text-slate-500">(1R = average loss{riskMetrics.avgRMultiple !== null ? `, mean ${riskMetrics.avgRMultiple.toFixed(2)}R` : ''})</span>
+          </div>
+          <div className="grid grid-cols-7 gap-1 items-end h-20">
+            {riskMetrics.rMultiples.map(bucket => (
+              <div key={bucket.label} className="flex flex-col items-center justify-end h-full" title={`${bucket.count} trades (${bucket.percent.toFixed(1)}%)`}>
+                <div className="text-[9px] text-slate-400 mb-0.5">{bucket.count}</div>
+                <div
+                  className={`w-full rounded-t ${bucket.label.startsWith('-') || bucket.label.startsWith('<') ? 'bg-red-500/60' : 'bg-emerald-500/60'}`}
+                  style={{ height: `${(bucket.count / maxBucket) * 100}%`, minHeight: bucket.count > 0 ? '2px' : 0 }}
+                />
+              </div>
+            ))}
+          </div>
+          <div className="grid grid-cols-7 gap-1">
+            {riskMetrics.rMultiples.map(bucket => (
+              <div key={bucket.label} className="text-[9px] text-slate-500 text-center whitespace-nowrap">{bucket.label}</div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
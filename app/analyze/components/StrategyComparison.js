@@ -0,0 +1,137 @@
+// app/analyze/components/StrategyComparison.js
+// Side-by-side core metrics per journal strategy tag (analytics.strategyBreakdown) for the Overview tab
+
+'use client'
+
+import { useMemo } from 'react'
+import { Layers } from 'lucide-react'
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Cell, ReferenceLine } from 'recharts'
+import { analyzeStrategies } from '../utils/strategyAnalysis'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const formatSigned = (value, currSymbol, currency) =>
+  `${value >= 0 ? '+' : '-'}${currSymbol}${formatCurrencyNumber(Math.abs(value || 0), currency, 2)}`
+
+/**
+ * @param {Object} props.analytics - Display-currency analytics (allTrades, strategyBreakdown)
+ * @param {Object} props.journal - useTradeJournal() result; once loaded, the breakdown follows journal edits live
+ */
+export default function StrategyComparison({ analytics, journal = null, currSymbol, currency = 'USD' }) {
+  const breakdown = useMemo(() => {
+    if (journal?.loaded) {
+      return analyzeStrategies(analytics.allTrades || [], journal.entries)
+    }
+    return analytics.strategyBreakdown
+  }, [analytics.allTrades, analytics.strategyBreakdown, journal?.loaded, journal?.entries])
+
+  if (!breakdown || breakdown.strategies.length === 0) {
+    return null
+  }
+
+  const rows = breakdown.untagged ? [...breakdown.strategies, breakdown.untagged] : breakdown.strategies
+  const chartData = breakdown.strategies.map(s => ({ strategy: s.strategy, totalPnL: s.totalPnL, expectancy: s.expectancy }))
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-xl p-4 md:p-6 space-y-4">
+      <div className="flex items-start justify-between gap-2 flex-wrap">
+        <div>
+          <h3 className="text-sm font-medium text-slate-300 flex items-center gap-2">
+            <Layers className="w-4 h-4 text-purple-400" />
+            Strategy Comparison
+          </h3>
+          <p className="text-xs text-slate-500 mt-1">
+            {breakdown.taggedTrades} trades tagged across {breakdown.strategies.length} {breakdown.strategies.length === 1 ? 'strategy' : 'strategies'}
+          </p>
+        </div>
+        {breakdown.bestStrategy && (
+          <div className="text-[10px] text-slate-400 text-right">
+            <div>Best: <span className="text-emerald-400 font-semibold">{breakdown.bestStrategy}</span></div>
+            {breakdown.worstStrategy && (
+              <div>Worst: <span className="text-red-400 font-semibold">{breakdown.worstStrategy}</span></div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <ResponsiveContainer width="100%" height={Math.max(160, chartData.length * 36)}>
+        <BarChart data={chartData} layout="vertical" margin={{ left: 10, right: 20 }}>
+          <XAxis
+            type="number"
+            stroke="#64748b"
+            style={{ fontSize: '10px' }}
+            tick={{ fill: '#64748b' }}
+            tickLine={false}
+          />
+          <YAxis
+            type="category"
+            dataKey="strategy"
+            width={100}
+            stroke="#64748b"
+            style={{ fontSize: '10px' }}
+            tick={{ fill: '#94a3b8' }}
+            tickLine={false}
+          />
+          <ReferenceLine x={0} stroke="#475569" />
+          <Tooltip
+            contentStyle={{
+              backgroundColor: '#1e293b',
+              border: '1px solid #334155',
+              borderRadius: '8px',
+              fontSize: '12px'
+            }}
+            formatter={(value, name) => [formatSigned(value, currSymbol, currency), name === 'totalPnL' ? 'Realized P&L' : 'Expectancy / trade']}
+          />
+          <Bar dataKey="totalPnL" radius={[0, 4, 4, 0]}>
+            {chartData.map((entry, index) => (
+              <Cell key={`cell-${index}`} fill={entry.totalPnL >= 0 ? '#10b981' : '#ef4444'} />
+            ))}
+          </Bar>
+        </BarChart>
+      </ResponsiveContainer>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs min-w-[720px]">
+          <thead className="bg-slate-800/30">
+            <tr className="text-left text-[10px] text-slate-400">
+              <th className="px-2 py-2 whitespace-nowrap">Strategy</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Closed</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Win Rate</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Profit Factor</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Avg Win</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Avg Loss</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Expectancy</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Max DD</th>
+              <th className="px-2 py-2 text-right whitespace-nowrap">Realized P&L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const isUntagged = row === breakdown.untagged
+              return (
+                <tr key={row.strategy} className={`border-b border-slate-800/30 hover:bg-slate-700/10 ${isUntagged ? 'text-slate-500' : ''}`}>
+                  <td className={`px-2 py-2 font-semibold whitespace-nowrap ${isUntagged ? 'italic' : 'text-slate-200'}`}>{row.strategy}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{row.closedTrades}</td>
+                  <td className={`px-2 py-2 text-right whitespace-nowrap ${!isUntagged && row.winRate >= 50 ? 'text-emerald-400' : ''}`}>
+                    {row.wins + row.losses > 0 ? `${row.winRate.toFixed(1)}%` : '-'}
+                  </td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{row.profitFactor > 0 ? `${row.profitFactor.toFixed(2)}x` : '-'}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{currSymbol}{formatCurrencyNumber(row.avgWin, currency, 2)}</td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">{currSymbol}{formatCurrencyNumber(row.avgLoss, currency, 2)}</td>
+                  <td className={`px-2 py-2 text-right whitespace-nowrap ${row.expectancy >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {formatSigned(row.expectancy, currSymbol, currency)}
+                  </td>
+                  <td className="px-2 py-2 text-right whitespace-nowrap">
+                    {row.maxDrawdownAmount > 0 ? `-${currSymbol}${formatCurrencyNumber(row.maxDrawdownAmount, currency, 2)}` : '-'}
+                  </td>
+                  <td className={`px-2 py-2 text-right font-bold whitespace-nowrap ${row.totalPnL >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {formatSigned(row.totalPnL, currSymbol, currency)}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  )
+}
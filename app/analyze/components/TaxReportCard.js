@@ -0,0 +1,207 @@
+// app/analyze/components/TaxReportCard.js
+// Capital gains report export (CSV / printable PDF) for the Spot tab
+
+'use client'
+
+import { useState, useEffect, useCallback } from 'react'
+import { FileText, Download, Loader2, AlertCircle } from 'lucide-react'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { TAX_JURISDICTIONS, getFiscalYearRange, isCostBasisMethodAllowed } from '../utils/taxReport'
+import { COST_BASIS_METHOD_LABELS } from '../utils/costBasis'
+import { formatCurrencyNumber, getCurrencySymbol } from '../utils/currencyFormatter'
+
+// Jurisdiction whose reporting currency matches the user's base currency, if any
+const getJurisdictionForCurrency = (currency) =>
+  Object.values(TAX_JURISDICTIONS).find(config => config.currency === currency)?.id || null
+
+export default function TaxReportCard({ costBasisMethod = null, baseCurrency = 'USD', isDemoMode = false }) {
+  const currentYear = new Date().getUTCFullYear()
+  const [jurisdiction, setJurisdiction] = useState(() => getJurisdictionForCurrency(baseCurrency) || 'US')
+  const [fiscalYear, setFiscalYear] = useState(currentYear - 1)
+  const [summary, setSummary] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Follow base currency changes (it loads from the profile after first render)
+  useEffect(() => {
+    const match = getJurisdictionForCurrency(baseCurrency)
+    if (match) setJurisdiction(match)
+  }, [baseCurrency])
+
+  const jurisdictionConfig = TAX_JURISDICTIONS[jurisdiction]
+  const years = Array.from({ length: 6 }, (_, i) => currentYear - i)
+  // costBasisMethod is only set when the user picked one; otherwise the jurisdiction default applies.
+  // A pick the jurisdiction doesn't accept (average cost for the US) falls back to the default too
+  const reportCostBasisMethod = costBasisMethod && isCostBasisMethodAllowed(jurisdiction, costBasisMethod) ? costBasisMethod : null
+  const ignoredCostBasisMethod = costBasisMethod && jurisdictionConfig.costBasisMethods && !reportCostBasisMethod ? costBasisMethod : null
+
+  const buildUrl = useCallback((format) => {
+    const params = new URLSearchParams({ jurisdiction, fiscalYear: String(fiscalYear), format })
+    // UK matching rules are fixed; US/India honour the user's lot method
+    if (reportCostBasisMethod) {
+      params.set('costBasisMethod', reportCostBasisMethod)
+    }
+    return `/api/tax/report?${params.toString()}`
+  }, [jurisdiction, fiscalYear, reportCostBasisMethod])
+
+  // Preview summary whenever the selection changes
+  useEffect(() => {
+    if (isDemoMode) return
+
+    let cancelled = false
+    const fetchSummary = async () => {
+      setLoading(true)
+      setError(null)
+      try {
+        const response = await fetch(buildUrl('json'))
+        const data = await response.json()
+        if (cancelled) return
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to load tax report')
+        }
+        setSummary(data.report)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('Error loading tax report:', err)
+          setError(err.message)
+          setSummary(null)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchSummary()
+    return () => { cancelled = true }
+  }, [buildUrl, isDemoMode])
+
+  const handleDownloadCSV = () => {
+    window.location.href = buildUrl('csv')
+  }
+
+  const handleOpenPrintable = () => {
+    // Same flow as invoices: open print-ready HTML, user saves as PDF from the browser
+    window.open(buildUrl('html'), '_blank')
+  }
+
+  const { label: fiscalYearLabel } = getFiscalYearRange(jurisdiction, fiscalYear)
+  const currSymbol = getCurrencySymbol(jurisdictionConfig.currency)
+  const format = (value) => `${currSymbol}${formatCurrencyNumber(value || 0, jurisdictionConfig.currency, 2)}`
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-700/50 rounded-lg p-3 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <div className="flex items-center gap-2">
+          <FileText className="w-4 h-4 text-emerald-400" />
+          <div>
+            <h4 className="text-xs font-semibold text-slate-200">Capital Gains Report</h4>
+            <p className="text-[10px] text-slate-400">Per-disposal schedule for your tax filing</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={jurisdiction} onValueChange={setJurisdiction}>
+            <SelectTrigger className="h-8 w-[210px] bg-black border-white/10 text-xs text-white/90">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-black border-white/10">
+              {Object.values(TAX_JURISDICTIONS).map(j => (
+                <SelectItem key={j.id} value={j.id} className="text-xs text-white/90 hover:bg-white/10 focus:bg-white/10">
+                  {j.label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={String(fiscalYear)} onValueChange={(value) => setFiscalYear(parseInt(value, 10))}>
+            <SelectTrigger className="h-8 w-[110px] bg-black border-white/10 text-xs text-white/90">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-black border-white/10">
+              {years.map(year => (
+                <SelectItem key={year} value={String(year)} className="text-xs text-white/90 hover:bg-white/10 focus:bg-white/10">
+                  FY {getFiscalYearRange(jurisdiction, year).label}
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {isDemoMode ? (
+        <p className="text-[10px] text-slate-400">Connect an exchange or upload your trade history to generate a tax report.</p>
+      ) : loading ? (
+        <div className="flex items-center gap-2 text-[10px] text-slate-400">
+          <Loader2 className="w-3 h-3 animate-spin" />
+          <span>Matching disposals for FY {fiscalYearLabel}...</span>
+        </div>
+      ) : error ? (
+        <div className="flex items-center gap-2 text-[10px] text-red-400">
+          <AlertCircle className="w-3 h-3" />
+          <span>{error}</span>
+        </div>
+      ) : summary && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+          <div className="bg-slate-800/40 rounded p-2">
+            <div className="text-[10px] text-slate-400">Disposals</div>
+            <div className="text-sm font-semibold text-slate-200">{summary.summary.disposalCount}</div>
+          </div>
+          <div className="bg-slate-800/40 rounded p-2">
+            <div className="text-[10px] text-slate-400">Proceeds</div>
+            <div className="text-sm font-semibold text-slate-200">{format(summary.summary.totalProceeds)}</div>
+          </div>
+          <div className="bg-slate-800/40 rounded p-2">
+            <div className="text-[10px] text-slate-400">Net Gain / Loss</div>
+            <div className={`text-sm font-semibold ${summary.summary.netGain >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+              {format(summary.summary.netGain)}
+            </div>
+          </div>
+          <div className="bg-slate-800/40 rounded p-2">
+            {summary.summary.estimatedTax !== undefined ? (
+              <>
+                <div className="text-[10px] text-slate-400">Est. Tax ({(summary.summary.flatRate * 100).toFixed(0)}%)</div>
+                <div className="text-sm font-semibold text-amber-400">{format(summary.summary.estimatedTax)}</div>
+              </>
+            ) : summary.summary.longTermNet !== undefined ? (
+              <>
+                <div className="text-[10px] text-slate-400">Short / Long-term</div>
+                <div className="text-xs font-semibold text-slate-200">
+                  {format(summary.summary.shortTermNet)} / {format(summary.summary.longTermNet)}
+                </div>
+              </>
+            ) : (
+              <>
+                <div className="text-[10px] text-slate-400">Section 104 Disposals</div>
+                <div className="text-sm font-semibold text-slate-200">{summary.summary.byMatchRule?.SECTION_104?.count || 0}</div>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {!isDemoMode && (
+        <div className="flex items-center gap-2">
+          <button
+            onClick={handleDownloadCSV}
+            className="inline-flex items-center gap-1.5 rounded-full border border-white/10 px-3 py-1.5 text-[10px] font-medium text-slate-300 transition hover:border-emerald-400/40 hover:bg-emerald-400/10 hover:text-white"
+          >
+            <Download className="w-3 h-3" />
+            CSV
+          </button>
+          <button
+            onClick={handleOpenPrintable}
+            className="inline-flex items-center gap-1.5 rounded-full border border-white/10 px-3 py-1.5 text-[10px] font-medium text-slate-300 transition hover:border-emerald-400/40 hover:bg-emerald-400/10 hover:text-white"
+          >
+            <FileText className="w-3 h-3" />
+            Printable / PDF
+          </button>
+          <span className="text-[10px] text-slate-500">Informational only, not tax advice</span>
+        </div>
+      )}
+
+      {!isDemoMode && ignoredCostBasisMethod && (
+        <p className="text-[10px] text-amber-400/80">
+          {COST_BASIS_METHOD_LABELS[ignoredCostBasisMethod]} isn&apos;t accepted for {jurisdictionConfig.label} reports - using {COST_BASIS_METHOD_LABELS[jurisdictionConfig.defaultCostBasisMethod]}.
+        </p>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,346 @@
+// app/analyze/components/TradeJournal.js
+// Trade journal UI: per-trade notes/tags/screenshots editor, tag filter for trade tables
+// and P&L / win rate per tag. State comes from lib/hooks/useTradeJournal (owned by AnalyticsView)
+
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { NotebookPen, Tags, Image as ImageIcon, Loader2, Trash2, X } from 'lucide-react'
+import { toast } from 'sonner'
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog'
+import { Textarea } from '@/components/ui/textarea'
+import { Button } from '@/components/ui/button'
+import {
+  JOURNAL_TAG_CATEGORIES,
+  MAX_NOTES_LENGTH,
+  normalizeJournalTags,
+  getJournalKey,
+  analyzeByTag
+} from '../utils/tradeJournal'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const MAX_SCREENSHOTS = 5
+
+/**
+ * Table cell button - highlighted when the trade already has a journal entry
+ */
+export function JournalButton({ entry, onClick, disabled = false }) {
+  const tagCount = entry ? Object.values(entry.tags || {}).reduce((sum, list) => sum + list.length, 0) : 0
+
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      title={disabled ? 'Journal is available for your own trades' : entry ? 'Edit journal entry' : 'Add note or tags'}
+      className={`inline-flex items-center gap-1 rounded px-1.5 py-0.5 text-[10px] transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${
+        entry
+          ? 'bg-purple-500/20 text-purple-300 hover:bg-purple-500/30'
+          : 'text-slate-500 hover:text-slate-300 hover:bg-white/5'
+      }`}
+    >
+      <NotebookPen className="w-3 h-3" />
+      {tagCount > 0 && <span>{tagCount}</span>}
+      {entry?.attachments?.length > 0 && <ImageIcon className="w-3 h-3" />}
+    </button>
+  )
+}
+
+/**
+ * Tag dropdown for trade table filter panels; value is a "category:tag" string or ''
+ */
+export function JournalTagFilter({ tagsByCategory, value, onChange, label = 'Journal Tag' }) {
+  const hasTags = Object.values(tagsByCategory || {}).some(list => list.length > 0)
+
+  return (
+    <div className="space-y-1">
+      {label && <label className="text-[10px] text-slate-400 font-medium">{label}</label>}
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={!hasTags}
+        className="w-full px-2 py-1.5 text-xs bg-slate-900/50 border border-slate-700 rounded text-slate-200 focus:outline-none focus:ring-1 focus:ring-purple-500/50 focus:border-purple-500/50 disabled:opacity-50"
+      >
+        <option value="">{hasTags ? 'All Tags' : 'No tags yet'}</option>
+        {JOURNAL_TAG_CATEGORIES.map(category => (tagsByCategory?.[category.id] || []).length > 0 && (
+          <optgroup key={category.id} label={category.label}>
+            {tagsByCategory[category.id].map(tag => (
+              <option key={`${category.id}:${tag}`} value={`${category.id}:${tag}`}>{tag}</option>
+            ))}
+          </optgroup>
+        ))}
+      </select>
+    </div>
+  )
+}
+
+/**
+ * Edit notes, tags and screenshots for one trade
+ * @param {Object} props.trade - { exchange, id, symbol, side, timestamp } (null closes the dialog)
+ * @param {Object} props.journal - useTradeJournal() result
+ * @param {Object} props.tagsByCategory - Existing tags offered as suggestions
+ */
+export function JournalEditorDialog({ trade, journal, tagsByCategory, onClose }) {
+  const entry = trade ? journal.journalIndex.get(getJournalKey(trade.exchange, trade.id)) : null
+  const [notes, setNotes] = useState('')
+  const [tagInputs, setTagInputs] = useState({})
+  const [attachments, setAttachments] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [uploading, setUploading] = useState(false)
+
+  // Reset the form whenever a different trade is opened or its saved entry arrives
+  // (entries keep their identity until saved, so typing isn't overwritten)
+  useEffect(() => {
+    if (!trade) return
+    setNotes(entry?.notes || '')
+    setTagInputs(Object.fromEntries(JOURNAL_TAG_CATEGORIES.map(c => [c.id, (entry?.tags?.[c.id] || []).join(', ')])))
+    setAttachments(entry?.attachments || [])
+  }, [trade, entry])
+
+  const handleUpload = async (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ''
+    if (files.length === 0) return
+
+    if (attachments.length + files.length > MAX_SCREENSHOTS) {
+      toast.error(`At most ${MAX_SCREENSHOTS} screenshots per trade`)
+      return
+    }
+
+    setUploading(true)
+    try {
+      const { uploaded, errors } = await journal.uploadScreenshots(files)
+      setAttachments(prev => [...prev, ...uploaded])
+      errors.forEach(message => toast.error(message))
+    } catch (error) {
+      console.error('Screenshot upload error:', error)
+      toast.error(error.message || 'Failed to upload screenshots')
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      await journal.saveEntry({
+        exchange: trade.exchange,
+        tradeId: trade.id,
+        notes,
+        tags: normalizeJournalTags(tagInputs),
+        attachmentIds: attachments.map(a => a.id)
+      })
+      toast.success('Journal entry saved')
+      onClose()
+    } catch (error) {
+      console.error('Journal save error:', error)
+      toast.error(error.message || 'Failed to save journal entry')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    setSaving(true)
+    try {
+      await journal.deleteEntry(trade.exchange, trade.id)
+      toast.success('Journal entry removed')
+      onClose()
+    } catch (error) {
+      console.error('Journal delete error:', error)
+      toast.error(error.message || 'Failed to delete journal entry')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={!!trade} onOpenChange={(open) => { if (!open) onClose() }}>
+      <DialogContent className="bg-zinc-900 border-white/10 max-w-lg [&>button]:text-white [&>button]:hover:text-white/80">
+        <DialogHeader>
+          <DialogTitle className="text-white/90 flex items-center gap-2">
+            <NotebookPen className="w-4 h-4 text-purple-400" />
+            Trade Journal
+          </DialogTitle>
+          {trade && (
+            <DialogDescription className="text-white/60">
+              {trade.symbol} · {String(trade.side || '').toUpperCase()} · {new Date(trade.timestamp).toLocaleString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })} · <span className="capitalize">{trade.exchange}</span>
+            </DialogDescription>
+          )}
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <label className="text-[10px] text-slate-400 font-medium">Notes</label>
+            <Textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              maxLength={MAX_NOTES_LENGTH}
+              placeholder="Why did you take this trade? What did you see, feel, get right or wrong?"
+              className="min-h-[100px] bg-slate-900/50 border-slate-700 text-xs text-slate-200"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            {JOURNAL_TAG_CATEGORIES.map(category => (
+              <div key={category.id} className="space-y-1">
+                <label className="text-[10px] text-slate-400 font-medium">{category.label}</label>
+                <input
+                  type="text"
+                  value={tagInputs[category.id] || ''}
+                  onChange={(e) => setTagInputs(prev => ({ ...prev, [category.id]: e.target.value }))}
+                  list={`journal-tags-${category.id}`}
+                  placeholder="Comma-separated"
+                  className="w-full px-2 py-1.5 text-xs bg-slate-900/50 border border-slate-700 rounded text-slate-200 placeholder-slate-500 focus:outline-none focus:ring-1 focus:ring-purple-500/50 focus:border-purple-500/50"
+                />
+                <datalist id={`journal-tags-${category.id}`}>
+                  {(tagsByCategory?.[category.id] || []).map(tag => <option key={tag} value={tag} />)}
+                </datalist>
+              </div>
+            ))}
+          </div>
+
+          <div className="space-y-1">
+            <div className="flex items-center justify-between">
+              <label className="text-[10px] text-slate-400 font-medium">Screenshots ({attachments.length}/{MAX_SCREENSHOTS})</label>
+              <label className={`text-[10px] flex items-center gap-1 ${attachments.length >= MAX_SCREENSHOTS || uploading ? 'text-slate-600 cursor-not-allowed' : 'text-purple-400 hover:text-purple-300 cursor-pointer'}`}>
+                {uploading ? <Loader2 className="w-3 h-3 animate-spin" /> : <ImageIcon className="w-3 h-3" />}
+                {uploading ? 'Uploading...' : 'Add screenshot'}
+                <input
+                  type="file"
+                  accept="image/png,image/jpeg,image/webp,image/gif"
+                  multiple
+                  className="hidden"
+                  disabled={attachments.length >= MAX_SCREENSHOTS || uploading}
+                  onChange={handleUpload}
+                />
+              </label>
+            </div>
+            {attachments.length > 0 && (
+              <div className="flex flex-wrap gap-2">
+                {attachments.map(attachment => (
+                  <div key={attachment.id} className="relative group flex items-center gap-1 rounded border border-slate-700 bg-slate-800/50 px-2 py-1 text-[10px] text-slate-300">
+                    {attachment.url ? (
+                      <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="hover:text-purple-300 max-w-[140px] truncate">
+                        {attachment.filename}
+                      </a>
+                    ) : (
+                      <span className="max-w-[140px] truncate">{attachment.filename}</span>
+                    )}
+                    <button
+                      onClick={() => setAttachments(prev => prev.filter(a => a.id !== attachment.id))}
+                      className="text-slate-500 hover:text-red-400"
+                      title="Remove screenshot"
+                    >
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between pt-2">
+          {entry ? (
+            <Button
+              variant="ghost"
+              onClick={handleDelete}
+              disabled={saving}
+              className="text-xs text-red-400 hover:text-red-300 hover:bg-red-500/10"
+            >
+              <Trash2 className="w-3 h-3 mr-1" />
+              Delete entry
+            </Button>
+          ) : <span />}
+          <Button onClick={handleSave} disabled={saving || uploading} className="text-xs">
+            {saving && <Loader2 className="w-3 h-3 mr-1 animate-spin" />}
+            Save
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * Realized P&L and win rate per journal tag
+ * @param {Array} props.trades - analytics.allTrades (display currency)
+ * @param {Map} props.journalIndex - useTradeJournal().journalIndex
+ */
+export function TagPerformanceCard({ trades, journalIndex, currSymbol, currency = 'USD' }) {
+  const [category, setCategory] = useState('strategy')
+
+  const tagStats = useMemo(
+    () => analyzeByTag(trades || [], journalIndex, category),
+    [trades, journalIndex, category]
+  )
+
+  if (!journalIndex || journalIndex.size === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-slate-800/20 border border-slate-700/30 rounded-lg overflow-hidden">
+      <div className="px-3 py-2 border-b border-slate-700/30 bg-slate-800/30 flex items-center justify-between gap-2 flex-wrap">
+        <h3 className="text-xs font-semibold text-slate-300 flex items-center gap-2">
+          <Tags className="w-3 h-3 text-purple-400" />
+          Performance by Tag
+        </h3>
+        <div className="flex items-center gap-1">
+          {JOURNAL_TAG_CATEGORIES.map(c => (
+            <button
+              key={c.id}
+              onClick={() => setCategory(c.id)}
+              className={`text-[10px] px-2 py-1 rounded transition-colors ${
+                category === c.id
+                  ? 'bg-purple-500/20 text-purple-300'
+                  : 'text-slate-400 hover:text-slate-300 hover:bg-white/5'
+              }`}
+            >
+              {c.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {tagStats.length === 0 ? (
+        <p className="px-3 py-4 text-[10px] text-slate-400">
+          No trades tagged with a {JOURNAL_TAG_CATEGORIES.find(c => c.id === category)?.label.toLowerCase()} yet. Use the journal button in the trade tables to add tags.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-800/30">
+              <tr className="text-left text-[10px] text-slate-400">
+                <th className="px-3 py-2 whitespace-nowrap">Tag</th>
+                <th className="px-3 py-2 text-right whitespace-nowrap">Trades</th>
+                <th className="px-3 py-2 text-right whitespace-nowrap">Win Rate</th>
+                <th className="px-3 py-2 text-right whitespace-nowrap">Avg P&L</th>
+                <th className="px-3 py-2 text-right whitespace-nowrap">Realized P&L</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tagStats.map(stat => (
+                <tr key={stat.tag} className="border-b border-slate-800/30 hover:bg-slate-700/10">
+                  <td className="px-3 py-2 font-semibold text-slate-200 whitespace-nowrap">{stat.tag}</td>
+                  <td className="px-3 py-2 text-right text-slate-300 whitespace-nowrap">
+                    {stat.trades}
+                    <span className="text-[9px] text-slate-500 ml-1">({stat.closedTrades} closed)</span>
+                  </td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${stat.winRate >= 50 ? 'text-emerald-400' : 'text-slate-300'}`}>
+                    {stat.wins + stat.losses > 0 ? `${stat.winRate.toFixed(1)}%` : '-'}
+                  </td>
+                  <td className={`px-3 py-2 text-right whitespace-nowrap ${stat.avgPnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {stat.avgPnl >= 0 ? '+' : '-'}{currSymbol}{formatCurrencyNumber(Math.abs(stat.avgPnl), currency, 2)}
+                  </td>
+                  <td className={`px-3 py-2 text-right font-bold whitespace-nowrap ${stat.realizedPnl >= 0 ? 'text-emerald-400' : 'text-red-400'}`}>
+                    {stat.realizedPnl >= 0 ? '+' : '-'}{currSymbol}{formatCurrencyNumber(Math.abs(stat.realizedPnl), currency, 2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
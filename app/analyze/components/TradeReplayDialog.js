@@ -0,0 +1,220 @@
+// app/analyze/components/TradeReplayDialog.js
+// Bar-by-bar replay of one position, round trip or fill on its price chart, with every fill marked and
+// MAE/MFE as the trade unfolds. Targets come from utils/tradeReplay; candles from an OHLC provider
+
+'use client'
+
+import { useState, useEffect, useMemo } from 'react'
+import { Play, Pause, SkipBack, SkipForward, ChevronLeft, ChevronRight, Loader2, History } from 'lucide-react'
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog'
+import TradeReplayChart from '@/components/charts/TradeReplayChart'
+import { loadTradeReplay, getReplayFrame } from '../utils/tradeReplay'
+import { convertCurrencySync } from '../utils/currencyConverter'
+import { formatCurrencyNumber } from '../utils/currencyFormatter'
+
+const PLAY_SPEED_MS = 400
+
+const formatPercent = (value) => value === null || value === undefined || !isFinite(value) ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`
+const formatTime = (ms) => new Date(ms).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+
+// Candles are USD(T)-quoted; fills in analytics are already in the display currency
+const toDisplayCandles = (candles, currency) => {
+  if (currency === 'USD') return candles
+  const convert = (value) => {
+    const converted = convertCurrencySync(value, 'USD', currency)
+    return typeof converted === 'number' ? converted : value
+  }
+  return candles.map(candle => ({
+    ...candle,
+    open: convert(candle.open),
+    high: convert(candle.high),
+    low: convert(candle.low),
+    close: convert(candle.close)
+  }))
+}
+
+function ReplayStat({ label, value, tone = 'text-slate-200' }) {
+  return (
+    <div className="rounded-lg border border-slate-800 bg-slate-950 px-3 py-2">
+      <div className="text-[10px] text-slate-400">{label}</div>
+      <div className={`text-sm font-bold ${tone}`}>{value}</div>
+    </div>
+  )
+}
+
+/**
+ * @param {Object} props.target - Replay target (positionToReplayTarget / roundTripToReplayTarget / tradeToReplayTarget), null when closed
+ * @param {Object} props.provider - Optional OHLC provider (utils/ohlcProviders), e.g. a fixture provider
+ */
+export default function TradeReplayDialog({ target, onClose, provider = null, currSymbol = '$', currency = 'USD' }) {
+  const [replay, setReplay] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(null)
+  const [barIndex, setBarIndex] = useState(0)
+  const [playing, setPlaying] = useState(false)
+
+  // Load candles whenever a different trade is opened
+  useEffect(() => {
+    if (!target) return
+    let cancelled = false
+    setReplay(null)
+    setError(null)
+    setPlaying(false)
+    setLoading(true)
+
+    loadTradeReplay(target, { provider })
+      .then(result => {
+        if (cancelled) return
+        const candles = toDisplayCandles(result.candles, currency)
+        setReplay({ ...result, candles })
+        // Start just before entry so the fills play out
+        setBarIndex(Math.max(0, result.entryIndex - 1))
+      })
+      .catch(err => {
+        if (cancelled) return
+        console.error('Trade replay error:', err)
+        setError(err.message || 'Could not load price history')
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [target, provider, currency])
+
+  const lastIndex = replay ? replay.candles.length - 1 : 0
+
+  useEffect(() => {
+    if (!playing) return
+    if (barIndex >= lastIndex) {
+      setPlaying(false)
+      return
+    }
+    const timeoutId = setTimeout(() => setBarIndex(index => Math.min(index + 1, lastIndex)), PLAY_SPEED_MS)
+    return () => clearTimeout(timeoutId)
+  }, [playing, barIndex, lastIndex])
+
+  const frame = useMemo(() => replay && replay.candles.length > 0 ? getReplayFrame(replay, barIndex) : null, [replay, barIndex])
+
+  const step = (delta) => {
+    setPlaying(false)
+    setBarIndex(index => Math.max(0, Math.min(index + delta, lastIndex)))
+  }
+
+  const excursion = frame?.excursion
+  const finalExcursion = replay?.excursion
+
+  return (
+    <Dialog open={!!target} onOpenChange={(open) => { if (!open) onClose() }}>
+      <DialogContent className="bg-zinc-900 border-white/10 max-w-4xl [&>button]:text-white [&>button]:hover:text-white/80">
+        <DialogHeader>
+          <DialogTitle className="text-white/90 flex items-center gap-2">
+            <History className="w-4 h-4 text-cyan-400" />
+            Trade Replay
+          </DialogTitle>
+          {target && (
+            <DialogDescription className="text-white/60">
+              {target.symbol} · {target.side} · {formatTime(target.entryTime)}
+              {target.exitTime && ` → ${formatTime(target.exitTime)}`}
+              {replay && ` · ${replay.interval} bars`}
+            </DialogDescription>
+          )}
+        </DialogHeader>
+
+        {loading && (
+          <div className="flex items-center justify-center h-[320px] text-xs text-slate-400 gap-2">
+            <Loader2 className="w-4 h-4 animate-spin" />
+            Loading price history...
+          </div>
+        )}
+
+        {!loading && (error || (replay && replay.candles.length === 0)) && (
+          <div className="flex items-center justify-center h-[320px] text-xs text-slate-400">
+            {error || `No price history for ${target?.symbol} in this window`}
+          </div>
+        )}
+
+        {!loading && frame && (
+          <div className="space-y-3">
+            <TradeReplayChart frame={frame} intervalMs={replay.intervalMs} entryPrice={target.entryPrice} />
+
+            <div className="flex items-center gap-2">
+              <button onClick={() => { setPlaying(false); setBarIndex(0) }} className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/5" title="First bar">
+                <SkipBack className="w-4 h-4" />
+              </button>
+              <button onClick={() => step(-1)} className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/5" title="Previous bar">
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => {
+                  if (barIndex >= lastIndex) setBarIndex(0)
+                  setPlaying(value => !value)
+                }}
+                className="p-1.5 rounded bg-cyan-500/20 text-cyan-300 hover:bg-cyan-500/30"
+                title={playing ? 'Pause' : 'Play'}
+              >
+                {playing ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              </button>
+              <button onClick={() => step(1)} className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/5" title="Next bar">
+                <ChevronRight className="w-4 h-4" />
+              </button>
+              <button onClick={() => { setPlaying(false); setBarIndex(lastIndex) }} className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-white/5" title="Last bar">
+                <SkipForward className="w-4 h-4" />
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={lastIndex}
+                value={frame.index}
+                onChange={(e) => { setPlaying(false); setBarIndex(Number(e.target.value)) }}
+                className="flex-1 accent-cyan-400"
+              />
+              <span className="text-[10px] text-slate-400 font-mono whitespace-nowrap">
+                {formatTime(frame.bar.time)} · {frame.index + 1}/{lastIndex + 1}
+              </span>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
+              <ReplayStat label="Close" value={`${currSymbol}${formatCurrencyNumber(frame.bar.close, currency, 2)}`} />
+              <ReplayStat
+                label="Open Move"
+                value={formatPercent(frame.openMovePercent)}
+                tone={frame.openMovePercent === null ? 'text-slate-400' : frame.openMovePercent >= 0 ? 'text-emerald-400' : 'text-red-400'}
+              />
+              <ReplayStat label="MAE" value={excursion ? formatPercent(-excursion.maePercent) : '-'} tone="text-red-400" />
+              <ReplayStat label="MFE" value={excursion ? formatPercent(excursion.mfePercent) : '-'} tone="text-emerald-400" />
+              <ReplayStat
+                label="Exit Efficiency"
+                value={finalExcursion?.exitEfficiency != null ? `${finalExcursion.exitEfficiency.toFixed(0)}%` : '-'}
+                tone="text-cyan-300"
+              />
+            </div>
+
+            <div className="max-h-32 overflow-y-auto">
+              <table className="w-full text-[10px]">
+                <tbody>
+                  {target.fills.map((fill, index) => {
+                    const executed = fill.time < frame.bar.time + replay.intervalMs
+                    return (
+                      <tr key={`${fill.id ?? ''}-${index}`} className={`border-b border-slate-800/30 ${executed ? 'text-slate-200' : 'text-slate-600'}`}>
+                        <td className="px-2 py-1 whitespace-nowrap">{formatTime(fill.time)}</td>
+                        <td className={`px-2 py-1 font-semibold ${fill.side === 'BUY' ? 'text-emerald-400' : 'text-red-400'}`}>{fill.side}</td>
+                        <td className="px-2 py-1">{fill.action === 'ENTRY' ? 'Entry' : 'Exit'}</td>
+                        <td className="px-2 py-1 text-right">{Number(fill.qty).toLocaleString('en-US', { maximumFractionDigits: 6 })}</td>
+                        <td className="px-2 py-1 text-right">{currSymbol}{formatCurrencyNumber(fill.price, currency, 2)}</td>
+                      </tr>
+                    )
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <p className="text-[10px] text-slate-500">
+              MAE / MFE: worst and best price reached while the trade was open, from {replay.interval} candles ({replay.source})
+            </p>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,388 @@
+// app/analyze/utils/analyticsFilters.js
+// Global analytics filters: date range, symbols, base/quote asset, account type, side, journal tags and exchange
+// Filters live in the URL query string so filtered views are shareable; they slice the raw trade data
+// that analyzeData consumes, so every tab is computed from the same subset
+
+import { parseSymbolBaseCurrency, parseSymbolQuoteCurrency } from './currencyFormatter'
+import { indexJournalEntries, getTradeTags } from './tradeJournal'
+import { reconstructFuturesPositions } from './futuresPositions'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const ACCOUNT_TYPE_FILTERS = ['all', 'spot', 'futures']
+export const SIDE_FILTERS = ['all', 'long', 'short']
+
+export const DATE_RANGE_PRESETS = [
+  { id: '7d', label: '7D', days: 7 },
+  { id: '30d', label: '30D', days: 30 },
+  { id: '90d', label: '90D', days: 90 },
+  { id: 'ytd', label: 'YTD' },
+  { id: '1y', label: '1Y', days: 365 }
+]
+
+export const EMPTY_ANALYTICS_FILTERS = {
+  from: null, // YYYY-MM-DD (UTC, inclusive)
+  to: null, // YYYY-MM-DD (UTC, inclusive)
+  symbols: [],
+  baseAssets: [],
+  quoteAssets: [],
+  accountType: 'all',
+  side: 'all',
+  tags: [], // "category:tag" - a trade must carry every selected tag
+  exchanges: []
+}
+
+// Filter field -> query param
+const URL_PARAMS = {
+  from: 'from',
+  to: 'to',
+  symbols: 'symbols',
+  baseAssets: 'base',
+  quoteAssets: 'quote',
+  accountType: 'account',
+  side: 'side',
+  tags: 'tags',
+  exchanges: 'exchange'
+}
+
+const LIST_FIELDS = ['symbols', 'baseAssets', 'quoteAssets', 'tags', 'exchanges']
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+const parseList = (value, { upper = false, lower = false } = {}) => {
+  if (!value) return []
+  const items = value.split(',').map(item => item.trim()).filter(Boolean)
+  const normalized = items.map(item => upper ? item.toUpperCase() : lower ? item.toLowerCase() : item)
+  return [...new Set(normalized)]
+}
+
+const parseDate = (value) => value && DATE_PATTERN.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`)) ? value : null
+
+const toDateString = (ms) => new Date(ms).toISOString().split('T')[0]
+
+/**
+ * Read filters from URLSearchParams (or Next's ReadonlyURLSearchParams); invalid values fall back to defaults
+ */
+export const parseAnalyticsFilters = (searchParams) => {
+  const get = (field) => searchParams?.get(URL_PARAMS[field]) || null
+  const accountType = get('accountType')
+  const side = get('side')
+
+  return {
+    from: parseDate(get('from')),
+    to: parseDate(get('to')),
+    symbols: parseList(get('symbols'), { upper: true }),
+    baseAssets: parseList(get('baseAssets'), { upper: true }),
+    quoteAssets: parseList(get('quoteAssets'), { upper: true }),
+    accountType: ACCOUNT_TYPE_FILTERS.includes(accountType) ? accountType : 'all',
+    side: SIDE_FILTERS.includes(side) ? side : 'all',
+    tags: parseList(get('tags')),
+    exchanges: parseList(get('exchanges'), { lower: true })
+  }
+}
+
+/**
+ * Write filters into a copy of the given query params; other params (tab, demo, ...) are kept
+ * @returns {URLSearchParams}
+ */
+export const applyAnalyticsFiltersToParams = (filters, searchParams) => {
+  const params = new URLSearchParams(searchParams ? searchParams.toString() : '')
+
+  Object.entries(URL_PARAMS).forEach(([field, param]) => {
+    const value = filters?.[field]
+    const serialized = LIST_FIELDS.includes(field)
+      ? (value || []).join(',')
+      : value && value !== 'all' ? value : ''
+
+    if (serialized) {
+      params.set(param, serialized)
+    } else {
+      params.delete(param)
+    }
+  })
+
+  return params
+}
+
+export const hasActiveAnalyticsFilters = (filters) => {
+  if (!filters) return false
+  return !!(filters.from || filters.to) ||
+    LIST_FIELDS.some(field => (filters[field] || []).length > 0) ||
+    filters.accountType !== 'all' ||
+    filters.side !== 'all'
+}
+
+/**
+ * Number of filter dimensions in use (date range counts once)
+ */
+export const countActiveAnalyticsFilters = (filters) => {
+  if (!filters) return 0
+  return (filters.from || filters.to ? 1 : 0) +
+    LIST_FIELDS.filter(field => (filters[field] || []).length > 0).length +
+    (filters.accountType !== 'all' ? 1 : 0) +
+    (filters.side !== 'all' ? 1 : 0)
+}
+
+/**
+ * { from, to } for a DATE_RANGE_PRESETS id, ending today (UTC)
+ */
+export const getDateRangePreset = (presetId, now = Date.now()) => {
+  const preset = DATE_RANGE_PRESETS.find(p => p.id === presetId)
+  if (!preset) return { from: null, to: null }
+
+  const to = toDateString(now)
+  if (preset.id === 'ytd') {
+    return { from: `${new Date(now).getUTCFullYear()}-01-01`, to }
+  }
+  return { from: toDateString(now - (preset.days - 1) * DAY_MS), to }
+}
+
+/**
+ * Values available to filter on
+ * @param {Array} records - Unfiltered trades: raw spot trades / futures income ({ time }) or analytics.allTrades ({ timestamp })
+ * @returns {{ symbols, baseAssets, quoteAssets, exchanges, minDate, maxDate }}
+ */
+export const getAnalyticsFilterOptions = (records = []) => {
+  const symbols = new Set()
+  const baseAssets = new Set()
+  const quoteAssets = new Set()
+  const exchanges = new Set()
+  let minTime = Infinity
+  let maxTime = -Infinity
+
+  records.forEach(record => {
+    if (!record.symbol) return
+    const symbol = String(record.symbol).toUpperCase()
+    symbols.add(symbol)
+    baseAssets.add(parseSymbolBaseCurrency(symbol))
+    quoteAssets.add(parseSymbolQuoteCurrency(symbol))
+    if (record.exchange) exchanges.add(String(record.exchange).toLowerCase())
+
+    const time = new Date(record.time ?? record.timestamp).getTime()
+    if (!isNaN(time)) {
+      minTime = Math.min(minTime, time)
+      maxTime = Math.max(maxTime, time)
+    }
+  })
+
+  return {
+    symbols: [...symbols].sort(),
+    baseAssets: [...baseAssets].filter(Boolean).sort(),
+    quoteAssets: [...quoteAssets].filter(Boolean).sort(),
+    exchanges: [...exchanges].sort(),
+    minDate: isFinite(minTime) ? toDateString(minTime) : null,
+    maxDate: isFinite(maxTime) ? toDateString(maxTime) : null
+  }
+}
+
+/**
+ * Long/short for a futures record; null when the source does not say (e.g. Binance income history)
+ */
+const getPositionSide = (record) => {
+  const side = String(record.positionSide || record.side || '').toUpperCase()
+  if (side === 'LONG' || side === 'BUY') return 'long'
+  if (side === 'SHORT' || side === 'SELL') return 'short'
+  const amount = parseFloat(record.positionAmt)
+  if (!isNaN(amount) && amount !== 0) return amount > 0 ? 'long' : 'short'
+  return null
+}
+
+const toTime = (value) => new Date(value).getTime()
+
+/**
+ * Split futures fills and income by the side of the position they belong to
+ *
+ * Fills and income records don't say long or short themselves (a SELL fill can close a long or open a
+ * short, Binance income has no side at all), so positions are rebuilt first. A fill belongs to the
+ * positions it opened, scaled or closed - a flip fill belongs to both, split by quantity. COMMISSION
+ * follows its fill by tradeId (split the same way), REALIZED_PNL the position the fill closed; income
+ * without a fill (FUNDING_FEE) belongs to the side that held the symbol at that time.
+ *
+ * @param {Array} fills - Futures fills (context fills included, so earlier positions reconstruct)
+ * @param {Array} income - Futures income records
+ * @param {string} side - 'long' | 'short'
+ * @returns {{ fills: Array, getIncomeShare: Function }} Fills of the side, and the share of an income record on it
+ */
+const filterFuturesBySide = (fills, income, side) => {
+  const positionSide = side.toUpperCase()
+  const { positions } = reconstructFuturesPositions(fills, income)
+  const sidePositions = positions.filter(position => position.side === positionSide)
+
+  // Fill key -> quantity that went into positions of the selected side, and fills that closed one
+  const sideQty = new Map()
+  const exitKeys = new Set()
+  sidePositions.forEach(position => {
+    position.fills.forEach(fill => {
+      const key = `${position.symbol}:${fill.id}`
+      sideQty.set(key, (sideQty.get(key) || 0) + fill.qty)
+      if (fill.action === 'EXIT') exitKeys.add(key)
+    })
+  })
+
+  // Share of each fill on the selected side (below 1 only for flip fills)
+  const shares = new Map()
+  const sideFills = []
+  fills.forEach(fill => {
+    const key = `${fill.symbol}:${fill.id}`
+    const qty = sideQty.get(key)
+    if (!qty) return
+    const share = Math.min(1, qty / parseFloat(fill.qty))
+    shares.set(key, share)
+    if (share === 1) {
+      sideFills.push(fill)
+      return
+    }
+    // Keep only the part on this side so the flip doesn't rebuild a sliver of the other side
+    const commission = parseFloat(fill.commission)
+    sideFills.push({ ...fill, qty, ...(isNaN(commission) ? {} : { commission: commission * share }) })
+  })
+
+  const heldBySide = (record) => {
+    const time = toTime(record.time)
+    return sidePositions.some(position =>
+      position.symbol === record.symbol &&
+      position.entryTime <= time && (position.exitTime === null || position.exitTime >= time)
+    )
+  }
+
+  // Share (0-1) of an income record that belongs to the selected side
+  const getIncomeShare = (record) => {
+    const key = `${record.symbol}:${record.tradeId}`
+    if (record.tradeId && record.incomeType === 'REALIZED_PNL') return exitKeys.has(key) ? 1 : 0
+    if (record.tradeId && record.incomeType === 'COMMISSION') return shares.get(key) || 0
+    const recordSide = getPositionSide(record)
+    return (recordSide ? recordSide === side : heldBySide(record)) ? 1 : 0
+  }
+
+  return { fills: sideFills, getIncomeShare }
+}
+
+/**
+ * Slice raw trade data down to the filtered subset, in the shape analyzeData expects
+ *
+ * Spot trades outside the date range or tag selection (same symbol/asset/exchange, up to the end of the
+ * range) are kept as isContextTrade: analyzeSpotTrades replays them into the lot book so a sale inside the
+ * range is still matched against buys made before it, but they are not counted as trades of the view
+ *
+ * @param {Object} data - Raw { spotTrades, futuresIncome, futuresTrades, futuresPositions, metadata, journalEntries }
+ * @param {Object} filters - See EMPTY_ANALYTICS_FILTERS
+ * @returns {Object} Filtered data; metadata.appliedFilters records the filters
+ */
+export const filterAnalyticsData = (data, filters) => {
+  if (!data || !hasActiveAnalyticsFilters(filters)) return data
+
+  const fromMs = filters.from ? Date.parse(`${filters.from}T00:00:00Z`) : -Infinity
+  const toMs = filters.to ? Date.parse(`${filters.to}T00:00:00Z`) + DAY_MS - 1 : Infinity
+  const journalIndex = filters.tags.length > 0 ? indexJournalEntries(data.journalEntries || []) : null
+
+  const matchesInstrument = (record) => {
+    const symbol = String(record.symbol || '').toUpperCase()
+    if (filters.symbols.length > 0 && !filters.symbols.includes(symbol)) return false
+    if (filters.baseAssets.length > 0 && !filters.baseAssets.includes(parseSymbolBaseCurrency(symbol))) return false
+    if (filters.quoteAssets.length > 0 && !filters.quoteAssets.includes(parseSymbolQuoteCurrency(symbol))) return false
+    if (filters.exchanges.length > 0 && !filters.exchanges.includes(String(record.exchange || '').toLowerCase())) return false
+    return true
+  }
+
+  const matchesTags = (record) => {
+    if (!journalIndex) return true
+    const tags = getTradeTags(record, journalIndex)
+    return filters.tags.every(tag => tags.includes(tag))
+  }
+
+  const inRange = (record) => {
+    const time = new Date(record.time).getTime()
+    return time >= fromMs && time <= toMs
+  }
+
+  // Spot positions are always long
+  const includeSpot = filters.accountType !== 'futures' && filters.side !== 'short'
+  const includeFutures = filters.accountType !== 'spot'
+
+  const spotTrades = []
+  if (includeSpot) {
+    (data.spotTrades || []).forEach(trade => {
+      if (!matchesInstrument(trade)) return
+      if (inRange(trade) && matchesTags(trade)) {
+        spotTrades.push(trade)
+      } else if (new Date(trade.time).getTime() <= toMs) {
+        spotTrades.push({ ...trade, isContextTrade: true })
+      }
+    })
+  }
+
+  const matchesSide = (record) => filters.side === 'all' || getPositionSide(record) === filters.side
+
+  let futuresIncome = includeFutures
+    ? (data.futuresIncome || []).filter(record => matchesInstrument(record) && inRange(record) && matchesTags(record))
+    : []
+
+  // Futures fills before the range are kept as context so positions opened earlier still reconstruct;
+  // futuresPositions.js leaves out positions made only of context fills
+  let futuresTrades = []
+  if (includeFutures) {
+    (data.futuresTrades || []).forEach(fill => {
+      if (!matchesInstrument(fill)) return
+      const time = new Date(fill.time).getTime()
+      if (time > toMs) return
+      futuresTrades.push(time >= fromMs ? fill : { ...fill, isContextTrade: true })
+    })
+  }
+
+  // Long/short is decided per position, so fills and income are assigned to the positions they built
+  if (includeFutures && filters.side !== 'all') {
+    const instrumentIncome = (data.futuresIncome || []).filter(record => matchesInstrument(record) && toTime(record.time) <= toMs)
+    const { fills, getIncomeShare } = filterFuturesBySide(futuresTrades, instrumentIncome, filters.side)
+    futuresTrades = fills
+    futuresIncome = futuresIncome.flatMap(record => {
+      const share = getIncomeShare(record)
+      if (share === 0) return []
+      return share === 1 ? [record] : [{ ...record, income: parseFloat(record.income) * share }]
+    })
+  }
+
+  // Open positions are a current snapshot: no date or tag dimension
+  const futuresPositions = includeFutures
+    ? (data.futuresPositions || []).filter(position => matchesInstrument(position) && matchesSide(position))
+    : []
+
+  const counted = [...spotTrades.filter(trade => !trade.isContextTrade), ...futuresIncome]
+  const times = counted.map(record => new Date(record.time).getTime()).filter(time => !isNaN(time))
+
+  const metadata = {
+    ...(data.metadata || {}),
+    spotTrades: counted.length - futuresIncome.length,
+    futuresIncome: futuresIncome.length,
+    totalTrades: counted.length,
+    oldestTrade: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+    newestTrade: times.length > 0 ? new Date(Math.max(...times)).toISOString() : null,
+    appliedFilters: filters
+  }
+
+  // Holdings snapshot follows the exchange, asset and account type filters
+  if (Array.isArray(data.metadata?.spotHoldings)) {
+    const filterAssets = [...filters.baseAssets, ...filters.symbols.map(parseSymbolBaseCurrency)]
+    const spotHoldings = includeSpot
+      ? data.metadata.spotHoldings.filter(holding =>
+        (filters.exchanges.length === 0 || filters.exchanges.includes(String(holding.exchange || '').toLowerCase())) &&
+        (filterAssets.length === 0 || filterAssets.includes(String(holding.asset || '').toUpperCase())))
+      : []
+
+    if (spotHoldings.length !== data.metadata.spotHoldings.length) {
+      const totalSpotValue = spotHoldings.reduce((sum, holding) => sum + (holding.usdValue || 0), 0)
+      const totalFuturesValue = includeFutures ? (data.metadata.totalFuturesValue || 0) : 0
+      metadata.spotHoldings = spotHoldings
+      metadata.totalSpotValue = totalSpotValue
+      metadata.totalFuturesValue = totalFuturesValue
+      metadata.totalPortfolioValue = totalSpotValue + totalFuturesValue
+    }
+  }
+
+  return {
+    ...data,
+    spotTrades,
+    futuresIncome,
+    futuresTrades,
+    futuresPositions,
+    metadata
+  }
+}
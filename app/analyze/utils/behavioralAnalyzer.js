@@ -1,8 +1,6 @@
 // app/analyze/utils/behavioralAnalyzer.js
 // Deep behavioral analysis - reveals hidden trading patterns and psychology
 
-import { parseSymbolQuoteCurrency } from './currencyFormatter'
-
 /**
  * Analyzes trading behavior and psychology to provide actionable insights
  * that most traders never see
@@ -153,40 +151,13 @@ function analyzeTradeStyle(trades) {
 
 /**
  * Analyze fee efficiency
- * NOTE: Keeps commission amounts in their native currency
+ * NOTE: commission is already USD at trade time (feeNormalization); commissionByAsset keeps the charged amounts
  */
 function analyzeFeeEfficiency(trades) {
   const makerTrades = trades.filter(t => t.isMaker)
   const takerTrades = trades.filter(t => !t.isMaker)
 
-  // Helper function to get commission in quote currency
-  const getCommissionValue = (trade) => {
-    const commission = parseFloat(trade.commission || 0)
-    const commissionAsset = trade.commissionAsset || 'USDT'
-
-    // Parse the quote currency from the symbol (e.g., BTCUSDT → USDT, BTCINR → INR)
-    const quoteCurrency = parseSymbolQuoteCurrency(trade.symbol)
-
-    // If commission is already in quote currency, return as-is
-    if (commissionAsset === quoteCurrency) {
-      return commission
-    }
-
-    // If commission is in a fiat/stablecoin currency (USDT, USD, USDC, INR), return as-is
-    if (['USDT', 'USD', 'USDC', 'INR'].includes(commissionAsset)) {
-      return commission
-    }
-
-    // If commission is in crypto (like BTC, ETH), convert using trade price
-    // For buy orders: commission is in base asset (e.g., BTC)
-    if (trade.isBuyer && !['USDT', 'USD', 'USDC', 'INR'].includes(commissionAsset)) {
-      // Commission is in crypto, convert to quote currency using trade price
-      return commission * parseFloat(trade.price)
-    }
-
-    // Default: return as-is
-    return commission
-  }
+  const getCommissionValue = (trade) => parseFloat(trade.commission || 0)
 
   const makerFees = makerTrades.reduce((sum, t) => sum + getCommissionValue(t), 0)
   const takerFees = takerTrades.reduce((sum, t) => sum + getCommissionValue(t), 0)
@@ -199,7 +170,7 @@ function analyzeFeeEfficiency(trades) {
   const commissionByAsset = {}
   trades.forEach(t => {
     const asset = t.commissionAsset || 'USDT'
-    commissionByAsset[asset] = (commissionByAsset[asset] || 0) + parseFloat(t.commission || 0)
+    commissionByAsset[asset] = (commissionByAsset[asset] || 0) + parseFloat(t.commissionRaw ?? t.commission ?? 0)
   })
 
   const totalTradeVolume = trades.reduce((sum, t) => sum + parseFloat(t.quoteQty || 0), 0)
@@ -209,10 +180,10 @@ function analyzeFeeEfficiency(trades) {
   const efficiencyPercent = trades.length > 0 ? (makerTrades.length / trades.length) * 100 : 0
 
   return {
-    totalFees,        // Now in USDT equivalent
-    makerFees,        // Now in USDT equivalent
-    takerFees,        // Now in USDT equivalent
-    potentialSavings, // Now in USDT equivalent
+    totalFees,        // USD
+    makerFees,        // USD
+    takerFees,        // USD
+    potentialSavings, // USD
     commissionByAsset,
     feePercentage,
     efficiency: efficiencyPercent,
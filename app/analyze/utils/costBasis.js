@@ -0,0 +1,186 @@
+// app/analyze/utils/costBasis.js
+// Lot-matching engine for spot cost basis (FIFO / LIFO / HIFO / average cost)
+// Each buy opens a lot; each sell consumes lots according to the selected method
+// and produces a ledger entry recording exactly which lots were used.
+
+export const COST_BASIS_METHODS = {
+  FIFO: 'FIFO',       // First in, first out - oldest lots sold first
+  LIFO: 'LIFO',       // Last in, first out - newest lots sold first
+  HIFO: 'HIFO',       // Highest in, first out - most expensive lots sold first
+  AVERAGE: 'AVERAGE'  // Running average cost across all open lots
+}
+
+export const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.AVERAGE
+
+export const COST_BASIS_METHOD_LABELS = {
+  FIFO: 'FIFO (First In, First Out)',
+  LIFO: 'LIFO (Last In, First Out)',
+  HIFO: 'HIFO (Highest Cost First)',
+  AVERAGE: 'Average Cost'
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Quantities below this are treated as fully consumed (floating point dust)
+const QTY_EPSILON = 1e-12
+
+/**
+ * Normalize a user-supplied method name, falling back to the default
+ */
+export const normalizeCostBasisMethod = (method) => {
+  const upper = String(method || '').toUpperCase()
+  return COST_BASIS_METHODS[upper] || DEFAULT_COST_BASIS_METHOD
+}
+
+/**
+ * Order open lots so the first element is the next lot to be consumed
+ */
+const orderLotsForMethod = (lots, method) => {
+  switch (method) {
+    case COST_BASIS_METHODS.LIFO:
+      return [...lots].sort((a, b) => b.time - a.time)
+    case COST_BASIS_METHODS.HIFO:
+      return [...lots].sort((a, b) => b.price - a.price || a.time - b.time)
+    case COST_BASIS_METHODS.FIFO:
+    default:
+      return [...lots].sort((a, b) => a.time - b.time)
+  }
+}
+
+/**
+ * Create a lot book for a single symbol
+ * @param {string} method - One of COST_BASIS_METHODS
+ * @returns {Object} Lot book with addLot / consume / snapshot helpers
+ */
+export const createLotBook = (method = DEFAULT_COST_BASIS_METHOD) => {
+  const costBasisMethod = normalizeCostBasisMethod(method)
+  let lots = []
+  let nextLotId = 1
+
+  const getPosition = () => lots.reduce((sum, lot) => sum + lot.remainingQty, 0)
+  const getTotalCost = () => lots.reduce((sum, lot) => sum + lot.remainingQty * lot.costPerUnit, 0)
+
+  /**
+   * Open a new lot from a buy fill
+   */
+  const addLot = ({ qty, price, time, tradeId }) => {
+    if (!(qty > 0)) return null
+
+    const lot = {
+      lotId: nextLotId++,
+      tradeId: tradeId ?? null,
+      time,
+      price,
+      originalQty: qty,
+      remainingQty: qty,
+      // costPerUnit diverges from price only under AVERAGE, where lots are re-pooled
+      costPerUnit: price
+    }
+    lots.push(lot)
+
+    if (costBasisMethod === COST_BASIS_METHODS.AVERAGE) {
+      const position = getPosition()
+      const avgCost = position > 0 ? getTotalCost() / position : 0
+      lots.forEach(l => { l.costPerUnit = avgCost })
+    }
+
+    return lot
+  }
+
+  /**
+   * Consume up to `qty` from open lots
+   * @returns {{ matches: Array, matchedQty: number, costBasis: number }}
+   */
+  const consume = (qty, sellTime) => {
+    const matches = []
+    let remaining = qty
+    let costBasis = 0
+
+    if (costBasisMethod === COST_BASIS_METHODS.AVERAGE) {
+      // Average cost draws from every open lot pro-rata so the pool stays uniform
+      const position = getPosition()
+      const ratio = position > 0 ? Math.min(1, qty / position) : 0
+
+      lots.forEach(lot => {
+        const takeQty = lot.remainingQty * ratio
+        if (takeQty <= QTY_EPSILON) return
+        lot.remainingQty -= takeQty
+        costBasis += takeQty * lot.costPerUnit
+        remaining -= takeQty
+        matches.push(buildMatch(lot, takeQty, sellTime))
+      })
+    } else {
+      for (const lot of orderLotsForMethod(lots, costBasisMethod)) {
+        if (remaining <= QTY_EPSILON) break
+        const takeQty = Math.min(lot.remainingQty, remaining)
+        lot.remainingQty -= takeQty
+        costBasis += takeQty * lot.costPerUnit
+        remaining -= takeQty
+        matches.push(buildMatch(lot, takeQty, sellTime))
+      }
+    }
+
+    lots = lots.filter(lot => lot.remainingQty > QTY_EPSILON)
+
+    return {
+      matches,
+      matchedQty: qty - Math.max(0, remaining),
+      costBasis
+    }
+  }
+
+  const getOpenLots = () => lots.map(lot => ({ ...lot }))
+
+  return {
+    method: costBasisMethod,
+    addLot,
+    consume,
+    getPosition,
+    getTotalCost,
+    getOpenLots
+  }
+}
+
+const buildMatch = (lot, qty, sellTime) => {
+  const holdingPeriodMs = sellTime != null && lot.time != null ? Math.max(0, sellTime - lot.time) : null
+  return {
+    lotId: lot.lotId,
+    buyTradeId: lot.tradeId,
+    buyTime: lot.time,
+    buyPrice: lot.price,
+    costPerUnit: lot.costPerUnit,
+    qty,
+    cost: qty * lot.costPerUnit,
+    holdingPeriodMs,
+    holdingPeriodDays: holdingPeriodMs != null ? holdingPeriodMs / DAY_MS : null
+  }
+}
+
+// localStorage key for the user's preferred method (mirrors tradeclarity_currency)
+export const COST_BASIS_STORAGE_KEY = 'tradeclarity_cost_basis_method'
+
+/**
+ * Read the saved method preference (client only; server callers get the default)
+ */
+export const getSavedCostBasisMethod = () => {
+  if (typeof window === 'undefined') return DEFAULT_COST_BASIS_METHOD
+  return normalizeCostBasisMethod(localStorage.getItem(COST_BASIS_STORAGE_KEY))
+}
+
+/**
+ * The method the user explicitly picked, or null when they never chose one
+ * (callers with their own default - e.g. tax jurisdictions - use it instead of ours)
+ */
+export const getPickedCostBasisMethod = () => {
+  if (typeof window === 'undefined') return null
+  const saved = localStorage.getItem(COST_BASIS_STORAGE_KEY)
+  return saved ? normalizeCostBasisMethod(saved) : null
+}
+
+/**
+ * Persist the method preference
+ */
+export const saveCostBasisMethod = (method) => {
+  if (typeof window === 'undefined') return
+  localStorage.setItem(COST_BASIS_STORAGE_KEY, normalizeCostBasisMethod(method))
+}
@@ -0,0 +1,407 @@
+// app/analyze/utils/csvParser.js
+// RFC 4180 CSV tokenizer shared by the upload flow and the /api/csv routes
+// Handles quoted fields (embedded delimiters, newlines and "" escapes), CRLF/CR line endings,
+// byte order marks, delimiter sniffing (comma, semicolon, tab, pipe) and non-UTF-8 exports.
+// Works on strings or on ReadableStreams (File.stream()) in both the browser and Node.
+
+export const CSV_DELIMITERS = [',', ';', '\t', '|']
+
+// Cap on individual row errors returned to the client (errorCount keeps the real total)
+export const MAX_ROW_ERRORS = 100
+
+// Characters decoded before sniffing the delimiter on a stream
+const SNIFF_SAMPLE_SIZE = 16 * 1024
+const SNIFF_ROWS = 20
+
+const STATE = {
+  FIELD_START: 0,
+  UNQUOTED: 1,
+  QUOTED: 2,
+  QUOTE_IN_QUOTED: 3
+}
+
+/**
+ * Detect text encoding from the first bytes of a file
+ * BOMs win; otherwise valid UTF-8 is assumed, falling back to Windows-1252 (Excel "CSV" on Windows)
+ * @param {Uint8Array} bytes - Leading bytes of the file
+ * @returns {string} TextDecoder label
+ */
+export const detectEncoding = (bytes) => {
+  if (!bytes || bytes.length === 0) return 'utf-8'
+
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8'
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le'
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be'
+
+  try {
+    // stream: true so a multi-byte character cut at the chunk boundary is not treated as invalid
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true })
+    return 'utf-8'
+  } catch {
+    return 'windows-1252'
+  }
+}
+
+/**
+ * Normalize a header cell (strip BOM, surrounding whitespace)
+ */
+export const normalizeCSVHeader = (header) => {
+  return String(header ?? '').replace(/^\uFEFF/, '').trim()
+}
+
+/**
+ * Parse a numeric CSV cell, tolerating thousands separators and decimal commas
+ * "1,234.50" -> 1234.5, "1.234,50" -> 1234.5, "0,5" -> 0.5 (only when decimalComma is set)
+ * @param {string} value - Raw cell value
+ * @param {Object} options
+ * @param {boolean} options.decimalComma - Treat a lone comma as the decimal separator (semicolon exports)
+ * @returns {number} Parsed number or NaN
+ */
+export const parseCSVNumber = (value, { decimalComma = false } = {}) => {
+  if (value === null || value === undefined) return NaN
+  let str = String(value).trim().replace(/[\s']/g, '')
+  if (!str) return NaN
+
+  const lastComma = str.lastIndexOf(',')
+  const lastDot = str.lastIndexOf('.')
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Both present - whichever comes last is the decimal separator
+    str = lastComma > lastDot
+      ? str.replace(/\./g, '').replace(',', '.')
+      : str.replace(/,/g, '')
+  } else if (lastComma !== -1) {
+    str = decimalComma ? str.replace(',', '.') : str.replace(/,/g, '')
+  }
+
+  return parseFloat(str)
+}
+
+/**
+ * Numeric cell of a parsed table; empty cells count as 0 like the exchange exports do
+ * @param {Object} table - Result of parseCSV/parseCSVStream (for decimalComma)
+ * @param {string} value - Raw cell value
+ * @returns {number} Parsed number or NaN
+ */
+export const parseCSVAmount = (table, value) => {
+  if (value === undefined || value === null || value === '') return 0
+  return parseCSVNumber(value, { decimalComma: table.decimalComma })
+}
+
+/**
+ * Parse a date cell into ms; numeric millisecond timestamps are accepted as-is
+ * @param {string} value - Raw cell value
+ * @returns {number} Timestamp in ms or NaN when unparseable
+ */
+export const parseCSVTimestamp = (value) => {
+  // Numeric millisecond timestamps (>year 2001)
+  const numericTimestamp = Number(value)
+  if (!isNaN(numericTimestamp) && numericTimestamp > 1000000000000) {
+    return Math.floor(numericTimestamp)
+  }
+  return new Date(value).getTime()
+}
+
+/**
+ * Create an incremental RFC 4180 tokenizer
+ * Feed text with push() as it arrives and call end() once; records are emitted through onRow
+ * @param {Object} options
+ * @param {string} options.delimiter - Field delimiter
+ * @param {Function} options.onRow - Called with (fields, line) for each record; line is where the record starts (1-based)
+ * @param {Function} options.onError - Called with ({ line, message }) for malformed input
+ * @returns {{ push: Function, end: Function }}
+ */
+export const createCSVTokenizer = ({ delimiter = ',', onRow = () => {}, onError = () => {} } = {}) => {
+  const quote = '"'
+  let state = STATE.FIELD_START
+  let field = ''
+  let fields = []
+  let line = 1
+  let recordLine = 1
+  let recordQuoted = false
+  let skipLF = false
+
+  const endField = () => {
+    fields.push(field)
+    field = ''
+  }
+
+  const endRecord = () => {
+    endField()
+    // Blank lines are not records
+    if (!(fields.length === 1 && fields[0] === '' && !recordQuoted)) {
+      onRow(fields, recordLine)
+    }
+    fields = []
+    recordQuoted = false
+  }
+
+  const newline = (char) => {
+    endRecord()
+    line++
+    recordLine = line
+    state = STATE.FIELD_START
+    if (char === '\r') skipLF = true
+  }
+
+  const push = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i]
+
+      // Second half of a CRLF pair (possibly split across chunks)
+      if (skipLF) {
+        skipLF = false
+        if (char === '\n') continue
+      }
+
+      switch (state) {
+        case STATE.FIELD_START:
+          if (char === quote) {
+            state = STATE.QUOTED
+            recordQuoted = true
+          } else if (char === delimiter) {
+            endField()
+          } else if (char === '\n' || char === '\r') {
+            newline(char)
+          } else {
+            field += char
+            state = STATE.UNQUOTED
+          }
+          break
+
+        case STATE.UNQUOTED:
+          if (char === delimiter) {
+            endField()
+            state = STATE.FIELD_START
+          } else if (char === '\n' || char === '\r') {
+            newline(char)
+          } else {
+            // Stray quotes inside an unquoted field are kept as literal characters
+            field += char
+          }
+          break
+
+        case STATE.QUOTED:
+          if (char === quote) {
+            state = STATE.QUOTE_IN_QUOTED
+          } else if (char === '\n' || char === '\r') {
+            // Embedded line break - keep it in the value, normalized to \n
+            field += '\n'
+            line++
+            if (char === '\r') skipLF = true
+          } else {
+            field += char
+          }
+          break
+
+        case STATE.QUOTE_IN_QUOTED:
+          if (char === quote) {
+            // "" escape
+            field += quote
+            state = STATE.QUOTED
+          } else if (char === delimiter) {
+            endField()
+            state = STATE.FIELD_START
+          } else if (char === '\n' || char === '\r') {
+            newline(char)
+          } else {
+            onError({ line, message: `Unexpected character "${char}" after closing quote` })
+            field += char
+            state = STATE.UNQUOTED
+          }
+          break
+      }
+    }
+  }
+
+  const end = () => {
+    if (state === STATE.QUOTED) {
+      // Everything after the opening quote was swallowed into one field - don't emit it as data
+      onError({ line: recordLine, message: 'Unterminated quoted field' })
+      fields = []
+      field = ''
+      recordQuoted = false
+    } else if (state !== STATE.FIELD_START || fields.length > 0) {
+      endRecord()
+    }
+    state = STATE.FIELD_START
+  }
+
+  return { push, end }
+}
+
+/**
+ * Guess the delimiter from a text sample
+ * Picks the candidate that splits the header into 2+ columns with the most consistent column count
+ * @param {string} sample - Leading text of the file
+ * @returns {string} Delimiter
+ */
+export const sniffDelimiter = (sample) => {
+  let best = { delimiter: ',', consistency: 0, columns: 0 }
+
+  for (const delimiter of CSV_DELIMITERS) {
+    const counts = []
+    const tokenizer = createCSVTokenizer({
+      delimiter,
+      onRow: (fields) => {
+        if (counts.length < SNIFF_ROWS) counts.push(fields.length)
+      }
+    })
+    tokenizer.push(sample)
+    tokenizer.end()
+
+    // The sample may end mid-record
+    if (counts.length > 2) counts.pop()
+
+    const columns = counts[0] || 0
+    if (columns < 2) continue
+
+    const consistency = counts.filter(count => count === columns).length / counts.length
+    if (consistency > best.consistency || (consistency === best.consistency && columns > best.columns)) {
+      best = { delimiter, consistency, columns }
+    }
+  }
+
+  return best.delimiter
+}
+
+// Collects tokenizer output into { headers, rows, errors }
+const createTableBuilder = ({ maxRows = Infinity } = {}) => {
+  const table = {
+    headers: [],
+    rows: [],
+    errors: [],
+    errorCount: 0,
+    delimiter: ',',
+    encoding: 'utf-8',
+    decimalComma: false
+  }
+  let hasHeader = false
+
+  const addError = (error) => {
+    table.errorCount++
+    if (table.errors.length < MAX_ROW_ERRORS) table.errors.push(error)
+  }
+
+  const onRow = (fields, line) => {
+    if (!hasHeader) {
+      // Leading whitespace-only rows are skipped before the header
+      if (fields.every(value => !value.trim())) return
+      table.headers = fields.map(normalizeCSVHeader)
+      hasHeader = true
+      return
+    }
+
+    if (table.rows.length >= maxRows) return
+    if (fields.every(value => !value.trim())) return
+
+    if (fields.length !== table.headers.length) {
+      addError({
+        line,
+        message: `Expected ${table.headers.length} columns but found ${fields.length}`
+      })
+    }
+
+    table.rows.push({ line, values: fields.map(value => value.trim()) })
+  }
+
+  return {
+    table,
+    onRow,
+    onError: addError,
+    isFull: () => table.rows.length >= maxRows
+  }
+}
+
+/**
+ * Parse CSV text into a header row and data rows
+ * @param {string} text - CSV content
+ * @param {Object} options
+ * @param {string} options.delimiter - Force a delimiter (sniffed when omitted)
+ * @param {number} options.maxRows - Stop collecting after this many data rows
+ * @returns {{ headers: string[], rows: Array<{line: number, values: string[]}>, errors: Array<{line: number, message: string}>, errorCount: number, delimiter: string, encoding: string, decimalComma: boolean }}
+ */
+export const parseCSV = (text, { delimiter = null, maxRows = Infinity } = {}) => {
+  const source = String(text ?? '').replace(/^\uFEFF/, '')
+  const builder = createTableBuilder({ maxRows })
+  const chosen = delimiter || sniffDelimiter(source.slice(0, SNIFF_SAMPLE_SIZE))
+
+  const tokenizer = createCSVTokenizer({ delimiter: chosen, onRow: builder.onRow, onError: builder.onError })
+  tokenizer.push(source)
+  tokenizer.end()
+
+  builder.table.delimiter = chosen
+  // European exports pair ";" with decimal commas
+  builder.table.decimalComma = chosen === ';'
+  return builder.table
+}
+
+/**
+ * Parse a CSV byte stream without loading the whole file into one string
+ * @param {ReadableStream<Uint8Array>} stream - e.g. File.stream()
+ * @param {Object} options - Same as parseCSV
+ * @returns {Promise<Object>} Same shape as parseCSV
+ */
+export const parseCSVStream = async (stream, { delimiter = null, maxRows = Infinity } = {}) => {
+  const builder = createTableBuilder({ maxRows })
+  const reader = stream.getReader()
+  let decoder = null
+  let tokenizer = null
+  let sample = ''
+
+  const startTokenizer = () => {
+    const chosen = delimiter || sniffDelimiter(sample)
+    builder.table.delimiter = chosen
+    builder.table.decimalComma = chosen === ';'
+    tokenizer = createCSVTokenizer({ delimiter: chosen, onRow: builder.onRow, onError: builder.onError })
+    tokenizer.push(sample)
+    sample = ''
+  }
+
+  while (true) {
+    const { value, done } = await reader.read()
+    if (done) break
+
+    if (!decoder) {
+      builder.table.encoding = detectEncoding(value)
+      decoder = new TextDecoder(builder.table.encoding)
+    }
+
+    const text = decoder.decode(value, { stream: true })
+
+    if (tokenizer) {
+      tokenizer.push(text)
+    } else {
+      sample += text
+      if (sample.length >= SNIFF_SAMPLE_SIZE) startTokenizer()
+    }
+
+    if (builder.isFull()) {
+      await reader.cancel()
+      break
+    }
+  }
+
+  if (decoder && !builder.isFull()) {
+    const rest = decoder.decode()
+    if (tokenizer) tokenizer.push(rest)
+    else sample += rest
+  }
+  if (!tokenizer) startTokenizer()
+  tokenizer.end()
+
+  return builder.table
+}
+
+/**
+ * Parse a File/Blob, streaming when the runtime supports it
+ * @param {File|Blob} file - Uploaded file
+ * @param {Object} options - Same as parseCSV
+ * @returns {Promise<Object>} Same shape as parseCSV
+ */
+export const parseCSVFile = async (file, options = {}) => {
+  if (typeof file?.stream === 'function') {
+    return parseCSVStream(file.stream(), options)
+  }
+  return parseCSV(await file.text(), options)
+}
@@ -5,10 +5,15 @@
  * Works with both API-fetched data and CSV uploads
  */
 
+import { fetchMarkPrices } from './openPositions'
+import { fetchDailyCloses } from './historicalPrices'
+
 // Use Next.js API route instead of external backend
 // This allows the frontend to fetch rates without requiring a separate backend server
 const API_ROUTE = '/api/currency-rate'
 
+const HISTORY_API_ROUTE = '/api/currency-rate/history'
+
 // Cache for exchange rates (client-side)
 let ratesCache = null
 let cacheTimestamp = null
@@ -22,6 +27,15 @@ const CACHE_DURATION = 15 * 60 * 1000 // 15 minutes
 let conversionCache = new Map()
 let currentCurrency = null // Track currency changes to clear cache
 
+// Daily rate history per currency + date range (client-side)
+// Key format: `${currency}|${from}|${to}` -> { 'YYYY-MM-DD': units per 1 USD }
+let historyCache = new Map()
+
+// A record uses the closest stored day at or before its date (weekends, missed cron runs),
+// or just after it at the start of the history; beyond this gap the current rate is used
+const MAX_FX_RATE_GAP_DAYS = 7
+const DAY_MS = 24 * 60 * 60 * 1000
+
 /**
  * Static fallback rates (last resort)
  */
@@ -38,6 +52,61 @@ const STATIC_FALLBACK_RATES = {
   'CHF': 0.88
 }
 
+// Quote currencies whose amounts are already USD
+export const USD_EQUIVALENTS = ['USD', 'USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI']
+
+// Currencies a user can pick as their base (reporting/display) currency
+export const SUPPORTED_CURRENCIES = Object.keys(STATIC_FALLBACK_RATES)
+export const DEFAULT_BASE_CURRENCY = 'USD'
+
+// Crypto assets that quote other pairs (ETHBTC, SOLBNB); valued from daily closes
+const CRYPTO_QUOTES = ['BTC', 'ETH', 'BNB']
+
+// Longest first so FDUSD isn't read as USD
+const KNOWN_QUOTES = [...new Set([...USD_EQUIVALENTS, ...SUPPORTED_CURRENCIES, ...CRYPTO_QUOTES])]
+  .sort((a, b) => b.length - a.length)
+
+/**
+ * Normalize a base currency choice, falling back to USD for anything unsupported
+ * @param {string} currency
+ * @returns {string}
+ */
+export function normalizeBaseCurrency(currency) {
+  const code = String(currency || '').trim().toUpperCase()
+  return SUPPORTED_CURRENCIES.includes(code) ? code : DEFAULT_BASE_CURRENCY
+}
+
+/**
+ * How a currency's amounts are converted to USD
+ * @param {string} currency
+ * @returns {'usd'|'fiat'|'crypto'}
+ */
+export function getCurrencyKind(currency) {
+  if (USD_EQUIVALENTS.includes(currency)) return 'usd'
+  if (SUPPORTED_CURRENCIES.includes(currency)) return 'fiat'
+  return 'crypto'
+}
+
+/**
+ * Currency a trade, income record or position is denominated in
+ * Futures income uses its settlement asset; everything else the symbol's quote
+ * (BTCUSDT, I-BTC_INR, B-ETH_USDT, ETHBTC). Unparseable symbols fall back to the
+ * exchange's home currency (CoinDCX: INR, others: USD)
+ * @param {object} record
+ * @returns {string} e.g. 'USDT', 'INR', 'BTC'
+ */
+export function getRecordQuoteCurrency(record) {
+  if (!record) return DEFAULT_BASE_CURRENCY
+
+  if (record.asset) return String(record.asset).toUpperCase()
+
+  const cleaned = String(record.symbol || '').toUpperCase().replace(/^[A-Z]-/, '').replace(/[_/-]/g, '')
+  const quote = KNOWN_QUOTES.find(currency => cleaned.length > currency.length && cleaned.endsWith(currency))
+  if (quote) return quote
+
+  return record.exchange === 'coindcx' ? 'INR' : DEFAULT_BASE_CURRENCY
+}
+
 /**
  * Get cached rates synchronously (returns fallback if cache not ready)
  * @returns {Object} Rates object
@@ -271,6 +340,176 @@ export async function convertCurrency(amount, from, to) {
   return convertedAmount
 }
 
+const toRateDate = (time) => {
+  const ms = new Date(typeof time === 'string' && /^\d+$/.test(time) ? Number(time) : time).getTime()
+  return isNaN(ms) ? null : new Date(ms).toISOString().split('T')[0]
+}
+
+/**
+ * Date range of rate history needed to convert a data set's trades and income
+ * Padded back by the allowed gap so a first trade on a weekend still finds the previous rate
+ * @param {object} data - { spotTrades, futuresIncome, futuresTrades } with record.time
+ * @returns {{ from: string, to: string }|null} YYYY-MM-DD bounds, or null without dated records
+ */
+export function getFxHistoryRange(data) {
+  const times = [...(data?.spotTrades || []), ...(data?.futuresIncome || []), ...(data?.futuresTrades || [])]
+    .map(record => toRateDate(record.time))
+    .filter(Boolean)
+    .map(date => Date.parse(`${date}T00:00:00Z`))
+  if (times.length === 0) return null
+
+  const first = times.reduce((min, time) => Math.min(min, time), Infinity)
+  const last = times.reduce((max, time) => Math.max(max, time), -Infinity)
+  return {
+    from: toRateDate(first - MAX_FX_RATE_GAP_DAYS * DAY_MS),
+    to: toRateDate(last)
+  }
+}
+
+/**
+ * Fetch daily rates for a currency over a date range (cached per range)
+ * Server-side there is no relative API route to call: returns null and callers pass the history in
+ * (see /api/analytics/compute)
+ * @param {string} currency - Currency code (e.g., 'INR')
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Promise<Object|null>} { 'YYYY-MM-DD': units per 1 USD } or null if unavailable
+ */
+export async function getHistoricalRates(currency, fromDate, toDate) {
+  if (typeof window === 'undefined' || !currency || currency === 'USD' || !fromDate || !toDate) {
+    return null
+  }
+
+  const cacheKey = `${currency}|${fromDate}|${toDate}`
+  if (historyCache.has(cacheKey)) {
+    return historyCache.get(cacheKey)
+  }
+
+  try {
+    const params = new URLSearchParams({ currency, from: fromDate, to: toDate })
+    const response = await fetch(`${HISTORY_API_ROUTE}?${params.toString()}`)
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const data = await response.json()
+    if (!data.success || !data.rates) {
+      throw new Error(data.error || 'Invalid response format: no rates')
+    }
+
+    historyCache.set(cacheKey, data.rates)
+    return data.rates
+  } catch (error) {
+    console.error(`⚠️ Failed to fetch ${currency} rate history:`, error.message)
+    return null
+  }
+}
+
+/**
+ * Build a per-record USD rate resolver for one source currency
+ * @param {Object|null} history - { 'YYYY-MM-DD': units per 1 USD } for the source currency
+ * @param {number|null} currentRate - USD per 1 unit at today's rate (used when no dated rate is close enough)
+ * @returns {{ rateFor: Function, stats: Object }} rateFor(time) -> USD per 1 unit, or null when neither a dated
+ *   nor a current rate exists; stats counts each outcome
+ */
+export function createUsdRateResolver(history, currentRate) {
+  const days = Object.keys(history || {})
+    .filter(date => parseFloat(history[date]) > 0)
+    .sort()
+  const dayTimes = days.map(date => Date.parse(`${date}T00:00:00Z`))
+  const stats = { historical: 0, current: 0, unconverted: 0, firstRateDate: days[0] || null, lastRateDate: days[days.length - 1] || null }
+  const resolved = new Map()
+
+  const lookup = (date) => {
+    if (days.length === 0) return null
+    const target = Date.parse(`${date}T00:00:00Z`)
+
+    // Last stored day at or before the record's date
+    let low = 0
+    let high = days.length - 1
+    let before = -1
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (dayTimes[mid] <= target) {
+        before = mid
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+
+    if (before !== -1 && target - dayTimes[before] <= MAX_FX_RATE_GAP_DAYS * DAY_MS) {
+      return 1 / parseFloat(history[days[before]])
+    }
+    const after = before + 1
+    if (after < days.length && dayTimes[after] - target <= MAX_FX_RATE_GAP_DAYS * DAY_MS) {
+      return 1 / parseFloat(history[days[after]])
+    }
+    return null
+  }
+
+  const rateFor = (time) => {
+    const date = toRateDate(time)
+    if (date && !resolved.has(date)) resolved.set(date, lookup(date))
+
+    const rate = date ? resolved.get(date) : null
+    if (rate) {
+      stats.historical++
+      return rate
+    }
+    if (!currentRate) {
+      stats.unconverted++
+      return null
+    }
+    stats.current++
+    return currentRate
+  }
+
+  return { rateFor, stats }
+}
+
+/**
+ * Dated-rate resolvers for several non-USD currencies: FX history for fiat, daily closes for crypto
+ * @param {string[]} currencies - Currency codes or crypto assets (no USD equivalents)
+ * @param {Object} recordsByCurrency - { [currency]: records with time } - sets each history's date range
+ * @param {object} options - { fxRateHistory, cryptoPriceHistory } as for autoConvertToUSD
+ * @returns {Promise<{ resolvers: Object, currentRates: Object }>} resolvers keyed by currency (see
+ *   createUsdRateResolver) and today's USD per 1 unit (null when unknown)
+ */
+export async function createUsdRateResolvers(currencies, recordsByCurrency = {}, options = {}) {
+  // Today's crypto prices for records outside the price history (and for positions)
+  const cryptoCurrencies = currencies.filter(currency => getCurrencyKind(currency) === 'crypto')
+  const cryptoMarks = cryptoCurrencies.length > 0
+    ? await fetchMarkPrices(cryptoCurrencies.map(currency => `${currency}USDT`))
+    : {}
+
+  const resolvers = {}
+  const currentRates = {}
+  for (const currency of currencies) {
+    const range = getFxHistoryRange({ spotTrades: recordsByCurrency[currency] || [] })
+    let history = null
+
+    if (getCurrencyKind(currency) === 'fiat') {
+      currentRates[currency] = await convertCurrency(1, currency, 'USD')
+      history = options.fxRateHistory?.[currency] ||
+        (range ? await getHistoricalRates(currency, range.from, range.to) : null)
+    } else {
+      currentRates[currency] = cryptoMarks[`${currency}USDT`] || null
+      // Closes are USD per unit; the resolver takes units per USD like the FX history
+      const closes = options.cryptoPriceHistory?.[currency] ||
+        (range ? await fetchDailyCloses(currency, range.from, range.to) : null)
+      history = closes
+        ? Object.fromEntries(Object.entries(closes).map(([date, close]) => [date, 1 / close]))
+        : null
+    }
+
+    resolvers[currency] = createUsdRateResolver(history, currentRates[currency])
+  }
+
+  return { resolvers, currentRates }
+}
+
 /**
  * Detect currency from metadata
  * @param {object} metadata - Trade data metadata
@@ -296,92 +535,135 @@ export function detectCurrency(metadata) {
 }
 
 /**
- * Convert spot trades to USD
- * @param {Array} spotTrades - Array of spot trade objects
- * @param {string} sourceCurrency - Source currency code
- * @returns {Promise<Array>} Converted trades
+ * Convert spot trades to USD, each at its quote currency's rate for the trade date
+ * @param {Array} spotTrades - Spot trades tagged with quoteCurrency (see autoConvertToUSD)
+ * @param {Object} resolvers - { [currency]: createUsdRateResolver() } for every non-USD quote currency
+ * @returns {Array} Converted trades; trades whose quote currency has no rate at all are dropped
  */
-export async function convertSpotTradesToUSD(spotTrades, sourceCurrency) {
+export function convertSpotTradesToUSD(spotTrades, resolvers = {}) {
   if (!spotTrades || spotTrades.length === 0) {
     return []
   }
 
-  // No conversion needed if already in USD
-  if (sourceCurrency === 'USD') {
-    return spotTrades
-  }
+  const convertedTrades = []
+  spotTrades.forEach(trade => {
+    const resolver = resolvers[trade.quoteCurrency]
+    if (!resolver) {
+      convertedTrades.push(trade)
+      return
+    }
 
-  // Get conversion rate once (more efficient than per-trade)
-  const rate = await convertCurrency(1, sourceCurrency, 'USD')
+    const rate = resolver.rateFor(trade.time)
+    if (rate === null) return
 
     // Convert all price-related fields
-    const convertedTrades = spotTrades.map(trade => ({
+    // Commission charged in another asset (BNB, the base asset) is valued by feeNormalization
+    const commissionInQuote = !trade.commissionAsset || trade.commissionAsset.toUpperCase() === trade.quoteCurrency
+    convertedTrades.push({
       ...trade,
       price: String(parseFloat(trade.price || 0) * rate),
       quoteQty: String(parseFloat(trade.quoteQty || 0) * rate),
-      commission: String(parseFloat(trade.commission || 0) * rate)
+      commission: commissionInQuote ? String(parseFloat(trade.commission || 0) * rate) : trade.commission
       // qty stays the same (it's the base asset quantity)
-    }))
+    })
+  })
 
-    return convertedTrades
+  return convertedTrades
 }
 
 /**
- * Convert futures income records to USD
- * @param {Array} futuresIncome - Array of futures income objects
- * @param {string} sourceCurrency - Source currency code
- * @returns {Promise<Array>} Converted income records
+ * Convert futures income records to USD, each at its margin asset's rate for the record date
+ * @param {Array} futuresIncome - Income records tagged with quoteCurrency (see autoConvertToUSD)
+ * @param {Object} resolvers - { [currency]: createUsdRateResolver() }
+ * @returns {Array} Converted income records; records without any rate are dropped
  */
-export async function convertFuturesIncomeToUSD(futuresIncome, sourceCurrency) {
+export function convertFuturesIncomeToUSD(futuresIncome, resolvers = {}) {
   if (!futuresIncome || futuresIncome.length === 0) {
     return []
   }
 
-  // No conversion needed if already in USD
-  if (sourceCurrency === 'USD') {
-    return futuresIncome
-  }
+  const convertedIncome = []
+  futuresIncome.forEach(record => {
+    const resolver = resolvers[record.quoteCurrency]
+    if (!resolver) {
+      convertedIncome.push(record)
+      return
+    }
 
-  // Get conversion rate once
-  const rate = await convertCurrency(1, sourceCurrency, 'USD')
+    const rate = resolver.rateFor(record.time)
+    if (rate === null) return
 
-  // Convert income amounts
-  const convertedIncome = futuresIncome.map(record => ({
-    ...record,
-    income: String(parseFloat(record.income || 0) * rate)
-  }))
+    convertedIncome.push({
+      ...record,
+      income: String(parseFloat(record.income || 0) * rate)
+    })
+  })
 
   return convertedIncome
 }
 
+/**
+ * Convert futures fills to USD, each at its quote currency's rate for the fill date
+ * @param {Array} futuresTrades - Futures fills tagged with quoteCurrency (see autoConvertToUSD)
+ * @param {Object} resolvers - { [currency]: createUsdRateResolver() }
+ * @returns {Array} Converted fills; fills whose quote currency has no rate at all are dropped
+ */
+export function convertFuturesTradesToUSD(futuresTrades, resolvers = {}) {
+  if (!futuresTrades || futuresTrades.length === 0) {
+    return []
+  }
+
+  const convertedTrades = []
+  futuresTrades.forEach(fill => {
+    const resolver = resolvers[fill.quoteCurrency]
+    if (!resolver) {
+      convertedTrades.push(fill)
+      return
+    }
+
+    const rate = resolver.rateFor(fill.time)
+    if (rate === null) return
+
+    const commissionInQuote = !fill.commissionAsset || fill.commissionAsset.toUpperCase() === fill.quoteCurrency
+    convertedTrades.push({
+      ...fill,
+      price: String(parseFloat(fill.price || 0) * rate),
+      quoteQty: String(parseFloat(fill.quoteQty || 0) * rate),
+      commission: commissionInQuote ? String(parseFloat(fill.commission || 0) * rate) : fill.commission,
+      ...(fill.realizedPnl !== undefined && { realizedPnl: String(parseFloat(fill.realizedPnl || 0) * rate) })
+    })
+  })
+
+  return convertedTrades
+}
+
 /**
  * Convert futures positions to USD
+ * Positions are a current snapshot, so every position uses today's rate for its quote currency
  * @param {Array} futuresPositions - Array of futures position objects
- * @param {string} sourceCurrency - Source currency code
- * @returns {Promise<Array>} Converted positions
+ * @param {Object} currentRates - { [currency]: USD per 1 unit } for non-USD quote currencies
+ * @returns {Array} Converted positions
  */
-export async function convertFuturesPositionsToUSD(futuresPositions, sourceCurrency) {
+export function convertFuturesPositionsToUSD(futuresPositions, currentRates = {}) {
   if (!futuresPositions || futuresPositions.length === 0) {
     return []
   }
 
-  // No conversion needed if already in USD
-  if (sourceCurrency === 'USD') {
-    return futuresPositions
-  }
-
-  // Get conversion rate once
-  const rate = await convertCurrency(1, sourceCurrency, 'USD')
-
   // Convert position values
-  const convertedPositions = futuresPositions.map(pos => ({
-    ...pos,
-    entryPrice: pos.entryPrice ? parseFloat(pos.entryPrice) * rate : 0,
-    markPrice: pos.markPrice ? parseFloat(pos.markPrice) * rate : 0,
-    liquidationPrice: pos.liquidationPrice ? parseFloat(pos.liquidationPrice) * rate : 0,
-    unrealizedProfit: pos.unrealizedProfit ? parseFloat(pos.unrealizedProfit) * rate : 0,
-    margin: pos.margin ? parseFloat(pos.margin) * rate : 0
-  }))
+  const convertedPositions = futuresPositions.map(pos => {
+    const currency = getRecordQuoteCurrency(pos)
+    if (getCurrencyKind(currency) === 'usd' || !currentRates[currency]) return pos
+
+    const rate = currentRates[currency]
+    return {
+      ...pos,
+      entryPrice: pos.entryPrice ? parseFloat(pos.entryPrice) * rate : 0,
+      markPrice: pos.markPrice ? parseFloat(pos.markPrice) * rate : 0,
+      liquidationPrice: pos.liquidationPrice ? parseFloat(pos.liquidationPrice) * rate : 0,
+      unrealizedProfit: pos.unrealizedProfit ? parseFloat(pos.unrealizedProfit) * rate : 0,
+      margin: pos.margin ? parseFloat(pos.margin) * rate : 0
+    }
+  })
 
   return convertedPositions
 }
@@ -389,11 +671,20 @@ export async function convertFuturesPositionsToUSD(futuresPositions, sourceCurre
 /**
  * Main function: Auto-detect currency and convert all data to USD
  * This is called by masterAnalyzer before processing
+ * Each record is read in its own quote currency (getRecordQuoteCurrency), so one account can mix
+ * USDT, INR and BTC-quoted pairs. Trades and income convert at the rate for their own date
+ * (FX history for fiat, daily closes for crypto quotes); open positions are a current snapshot and
+ * use today's rate. Records with no rate at all are dropped and counted in metadata.fxConversion
  *
  * @param {object} tradeData - Raw trade data with spotTrades, futuresIncome, futuresPositions, metadata
- * @returns {Promise<object>} Converted trade data (all values in USD)
+ * @param {object} options
+ * @param {object} options.fxRateHistory - { [currency]: { 'YYYY-MM-DD': units per 1 USD } } for fiat quotes
+ *   (fetched from /api/currency-rate/history when omitted, client-side only)
+ * @param {object} options.cryptoPriceHistory - { [asset]: { 'YYYY-MM-DD': USD close } } for crypto quotes
+ *   (fetched from Binance daily klines when omitted)
+ * @returns {Promise<object>} Converted trade data (all values in USD, records tagged with quoteCurrency)
  */
-export async function autoConvertToUSD(tradeData) {
+export async function autoConvertToUSD(tradeData, options = {}) {
 
   // Handle both array format (legacy) and object format (new)
   let data = tradeData
@@ -429,43 +720,91 @@ export async function autoConvertToUSD(tradeData) {
     }
   }
 
-  // Detect currency from metadata
-  const sourceCurrency = detectCurrency(data.metadata)
-
-  // If already in USD, return as-is
-  if (sourceCurrency === 'USD') {
-    return data
+  // Tag every record with the currency its amounts are in
+  const spotTrades = (data.spotTrades || []).map(trade => ({ ...trade, quoteCurrency: getRecordQuoteCurrency(trade) }))
+  const futuresIncome = (data.futuresIncome || []).map(record => ({ ...record, quoteCurrency: getRecordQuoteCurrency(record) }))
+  const futuresTrades = (data.futuresTrades || []).map(fill => ({ ...fill, quoteCurrency: getRecordQuoteCurrency(fill) }))
+
+  const quoteCurrencies = {}
+  const recordsByCurrency = {}
+  ;[...spotTrades, ...futuresIncome, ...futuresTrades].forEach(record => {
+    quoteCurrencies[record.quoteCurrency] = (quoteCurrencies[record.quoteCurrency] || 0) + 1
+    if (getCurrencyKind(record.quoteCurrency) === 'usd') return
+    if (!recordsByCurrency[record.quoteCurrency]) recordsByCurrency[record.quoteCurrency] = []
+    recordsByCurrency[record.quoteCurrency].push(record)
+  })
+
+  const positionCurrencies = (data.futuresPositions || [])
+    .map(getRecordQuoteCurrency)
+    .filter(currency => getCurrencyKind(currency) !== 'usd')
+  const sourceCurrencies = [...new Set([...Object.keys(recordsByCurrency), ...positionCurrencies])].sort()
+
+  // Everything is USD or a USD stablecoin
+  if (sourceCurrencies.length === 0) {
+    return {
+      ...data,
+      spotTrades,
+      futuresIncome,
+      futuresTrades,
+      metadata: { ...data.metadata, quoteCurrencies }
+    }
   }
 
-  // Convert all data to USD
-  const convertedSpotTrades = await convertSpotTradesToUSD(
-    data.spotTrades || [],
-    sourceCurrency
-  )
+  const { resolvers, currentRates } = await createUsdRateResolvers(sourceCurrencies, recordsByCurrency, options)
 
-  const convertedFuturesIncome = await convertFuturesIncomeToUSD(
-    data.futuresIncome || [],
-    sourceCurrency
-  )
+  // Convert all data to USD
+  const convertedSpotTrades = convertSpotTradesToUSD(spotTrades, resolvers)
+  const convertedFuturesIncome = convertFuturesIncomeToUSD(futuresIncome, resolvers)
+  const convertedFuturesPositions = convertFuturesPositionsToUSD(data.futuresPositions || [], currentRates)
+  const convertedFuturesTrades = convertFuturesTradesToUSD(futuresTrades, resolvers)
+
+  const byCurrency = {}
+  const totals = { historical: 0, current: 0, unconverted: 0 }
+  Object.entries(resolvers).forEach(([currency, { stats }]) => {
+    byCurrency[currency] = {
+      kind: getCurrencyKind(currency),
+      historicalRecords: stats.historical,
+      currentRateRecords: stats.current,
+      unconvertedRecords: stats.unconverted,
+      firstRateDate: stats.firstRateDate,
+      lastRateDate: stats.lastRateDate,
+      currentRate: currentRates[currency] // USD per 1 unit, used for open positions
+    }
+    totals.historical += stats.historical
+    totals.current += stats.current
+    totals.unconverted += stats.unconverted
+  })
 
-  const convertedFuturesPositions = await convertFuturesPositionsToUSD(
-    data.futuresPositions || [],
-    sourceCurrency
-  )
+  if (totals.unconverted > 0) {
+    console.warn(`⚠️ Excluded ${totals.unconverted} records with no USD rate for their quote currency`)
+  }
 
   // Update metadata to reflect conversion
   const convertedMetadata = {
     ...data.metadata,
-    originalCurrency: sourceCurrency,
+    originalCurrency: sourceCurrencies.length === 1 ? sourceCurrencies[0] : 'MIXED',
     convertedToUSD: true,
-    conversionTimestamp: new Date().toISOString()
+    conversionTimestamp: new Date().toISOString(),
+    quoteCurrencies,
+    fxConversion: {
+      sourceCurrencies,
+      // historical: every record at its trade-date rate; mixed: some fell back to today's rate
+      method: totals.current === 0 && totals.unconverted === 0 && totals.historical > 0
+        ? 'historical'
+        : totals.historical > 0 ? 'mixed' : 'current',
+      historicalRecords: totals.historical,
+      currentRateRecords: totals.current,
+      unconvertedRecords: totals.unconverted,
+      byCurrency
+    }
   }
 
   return {
+    ...data,
     spotTrades: convertedSpotTrades,
     futuresIncome: convertedFuturesIncome,
     futuresPositions: convertedFuturesPositions,
-    futuresTrades: data.futuresTrades || [], // Pass through if exists
+    futuresTrades: convertedFuturesTrades,
     metadata: convertedMetadata
   }
 }
@@ -503,6 +842,7 @@ export function getRatesCacheStatus() {
 export function clearRatesCache() {
   ratesCache = null
   cacheTimestamp = null
+  historyCache.clear()
 }
 
 /**
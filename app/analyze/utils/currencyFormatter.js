@@ -355,14 +355,28 @@ export function convertAnalyticsForDisplay(analytics, targetCurrency) {
 
     // Portfolio values
     'totalPortfolioValue', 'totalSpotValue', 'totalFuturesValue',
-    'usdValue', 'accountBalance', 'totalUnrealizedPnL',
+    'usdValue', 'accountBalance', 'totalUnrealizedPnL', 'totalReturn',
 
     // Holdings values
-    'price', 'marketValue', 'costBasis'
+    'price', 'marketValue', 'costBasis',
+
+    // Strategy breakdown values
+    'expectancy', 'grossProfit', 'grossLoss',
+
+    // Risk metrics daily series
+    'equity', 'capitalBase',
+
+    // Futures positions (reconstructed from fills)
+    'peakNotional', 'margin'
   ])
 
+  // Ratios whose names match a monetary pattern below ('profit', 'commission', 'fee')
+  const NON_MONETARY_FIELDS = new Set(['profitFactor', 'commissionEfficiency', 'feeRateBps', 'feeDragPercent'])
+
   // Helper to check if a field name indicates a monetary value
   const isMonetaryField = (key) => {
+    if (NON_MONETARY_FIELDS.has(key)) return false
+
     // Direct match
     if (MONETARY_FIELDS.has(key)) return true
 
@@ -1,5 +1,7 @@
 // app/analyze/utils/exchanges/binance.js - FIXED VERSION
 
+import { parseCSVAmount, parseCSVTimestamp } from '../csvParser'
+
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
 
 export const binanceConfig = {
@@ -8,9 +10,33 @@ export const binanceConfig = {
   icon: '🟡', // Legacy fallback
   logoPath: '/exchanges/binance.svg',
   website: 'binance.com',
+  description: 'World\'s largest crypto exchange',
+  dataPoints: [
+    'AI-powered analysis of your trading performance',
+    'Real-time insights on spot and futures trading',
+    'How much money you\'re really making (P&L analysis)',
+    'When you trade your best (time-based patterns)',
+    'Where you\'re losing money and how to stop',
+    'Which assets are working for you (symbol analysis)',
+    'Trading psychology scores and behavioral insights',
+    'How fees are eating into your profits',
+    'Smart AI recommendations to improve your results',
+    'Pattern detection across thousands of trades'
+  ],
+  // 64-char alphanumeric key and secret
+  credentialFormat: { apiKey: /^[A-Za-z0-9]{60,}$/, apiSecret: /^[A-Za-z0-9]{60,}$/ },
   supportsCurrencyDetection: false
 }
 
+export const binanceCapabilities = {
+  spot: true,
+  futures: true,
+  margin: false,
+  currencyDetection: false,
+  requiresPassphrase: false,
+  csvImport: true
+}
+
 const fetchBinance = async (apiKey, apiSecret, endpoint, params = {}, apiType = 'spot') => {
   if (!BACKEND_URL) throw new Error('BACKEND_URL is not set')
   
@@ -79,7 +105,8 @@ const fetchCurrentPrices = async (symbols) => {
   }
 }
 
-export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress) => {
+// options.since (ms) asks the backend for trades after that time; results are still filtered by the sync cursor
+export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress = () => {}, options = {}) => {
   try {
     console.log('🚀 Starting Binance comprehensive data fetch...')
     onProgress('Connecting to Binance...')
@@ -103,7 +130,7 @@ export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress) => {
     const res = await fetch(`${BACKEND_URL}/api/binance/fetch-all`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ apiKey, apiSecret })
+      body: JSON.stringify({ apiKey, apiSecret, ...(options.since && { since: options.since }) })
     })
 
     if (!res.ok) {
@@ -122,6 +149,7 @@ export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress) => {
     console.log('✅ Comprehensive fetch complete:', {
       spotTrades: data.spotTrades?.length || 0,
       futuresIncome: data.futuresIncome?.length || 0,
+      futuresTrades: data.futuresTrades?.length || 0,
       futuresPositions: data.futuresPositions?.length || 0,
       metadata: data.metadata
     })
@@ -130,6 +158,7 @@ export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress) => {
     return {
       spotTrades: data.spotTrades || [],
       futuresIncome: data.futuresIncome || [],
+      futuresTrades: data.futuresTrades || [], // /fapi/v1/userTrades fills, when the backend returns them
       futuresPositions: data.futuresPositions || [],
       metadata: data.metadata || {
         primaryCurrency: 'USD',
@@ -143,8 +172,24 @@ export const fetchBinanceTrades = async (apiKey, apiSecret, onProgress) => {
   }
 }
 
+/**
+ * Spot wallet balances via the backend proxy
+ * @returns {Promise<Array<{ asset: string, free: number, locked: number, total: number, usdValue: number|null }>>}
+ */
+export const fetchBinanceBalances = async (apiKey, apiSecret) => {
+  const account = await fetchBinance(apiKey, apiSecret, '/api/v3/account')
+
+  return (account?.balances || [])
+    .map(balance => {
+      const free = parseFloat(balance.free || 0)
+      const locked = parseFloat(balance.locked || 0)
+      return { asset: balance.asset, free, locked, total: free + locked, usdValue: null }
+    })
+    .filter(balance => balance.total > 0)
+}
+
 // OLD IMPLEMENTATION (kept for reference, but not used anymore)
-export const fetchBinanceTradesLegacy = async (apiKey, apiSecret, onProgress) => {
+export const fetchBinanceTradesLegacy = async (apiKey, apiSecret, onProgress = () => {}) => {
   try {
     console.log('🚀 Starting Binance trade fetch (legacy)...')
     onProgress('Connecting to Binance...')
@@ -313,15 +358,35 @@ export const normalizeBinanceTrades = (binanceData) => {
       accountType: 'SPOT'
     }))
     
+    // Futures fills (/fapi/v1/userTrades) for position reconstruction
+    const futuresNormalized = (binanceData.futuresTrades || []).map(trade => ({
+      symbol: trade.symbol,
+      side: trade.side || (trade.buyer ? 'BUY' : 'SELL'),
+      qty: String(trade.qty),
+      price: String(trade.price),
+      quoteQty: String(trade.quoteQty || parseFloat(trade.qty) * parseFloat(trade.price)),
+      commission: String(trade.commission || 0),
+      commissionAsset: trade.commissionAsset || 'USDT',
+      realizedPnl: String(trade.realizedPnl || 0),
+      positionSide: trade.positionSide || 'BOTH',
+      isMaker: trade.maker || false,
+      time: trade.time,
+      orderId: trade.orderId,
+      id: trade.id,
+      accountType: 'FUTURES'
+    }))
+    
     console.log('📊 Normalized data:', {
       spotTrades: spotNormalized.length,
       futuresIncome: binanceData.futuresIncome.length,
+      futuresTrades: futuresNormalized.length,
       futuresPositions: binanceData.futuresPositions.length
     })
     
     return {
       spotTrades: spotNormalized,
       futuresIncome: binanceData.futuresIncome,
+      futuresTrades: futuresNormalized,
       futuresPositions: binanceData.futuresPositions,
       metadata: binanceData.metadata
     }
@@ -356,4 +421,170 @@ export const normalizeBinanceTrades = (binanceData) => {
     trades: normalized,
     metadata
   }
-}
\ No newline at end of file
+}
+
+// CSV exports (trade history / futures income) parsed from a csvParser table
+export const parseBinanceSpotCSV = (table) => {
+  try {
+    const header = table.headers
+
+    // Check for required columns
+    const requiredColumns = ['Symbol', 'Date(UTC)', 'Pair', 'Side', 'Price', 'Executed', 'Amount', 'Fee']
+    const hasRequiredColumns = requiredColumns.some(col => header.includes(col))
+
+    if (!hasRequiredColumns) {
+      return {
+        success: false,
+        error: 'Invalid Binance SPOT CSV format. Missing required columns.'
+      }
+    }
+
+    // Map CSV columns to our format
+    const symbolIdx = header.indexOf('Symbol') !== -1 ? header.indexOf('Symbol') : header.indexOf('Pair')
+    const dateIdx = header.indexOf('Date(UTC)')
+    const sideIdx = header.indexOf('Side')
+    const priceIdx = header.indexOf('Price')
+    const qtyIdx = header.indexOf('Executed') !== -1 ? header.indexOf('Executed') : header.indexOf('Amount')
+    const feeIdx = header.indexOf('Fee')
+
+    if (symbolIdx === -1 || dateIdx === -1 || sideIdx === -1) {
+      return {
+        success: false,
+        error: 'Invalid Binance SPOT CSV format. Missing Symbol/Pair, Date(UTC) or Side column.'
+      }
+    }
+
+    const spotTrades = []
+    const rowErrors = []
+
+    for (const { line, values } of table.rows) {
+      const symbol = values[symbolIdx]
+      const dateStr = values[dateIdx]
+      const side = values[sideIdx]
+      const price = parseCSVAmount(table, values[priceIdx])
+      const qty = parseCSVAmount(table, values[qtyIdx])
+      const fee = parseCSVAmount(table, values[feeIdx])
+
+      if (!symbol || !dateStr || !side) {
+        rowErrors.push({ line, message: 'Missing symbol, date or side' })
+        continue
+      }
+
+      const timestamp = parseCSVTimestamp(dateStr)
+      if (isNaN(timestamp)) {
+        rowErrors.push({ line, message: `Invalid date "${dateStr}"` })
+        continue
+      }
+
+      if (isNaN(price) || isNaN(qty)) {
+        rowErrors.push({ line, message: 'Invalid price or quantity' })
+        continue
+      }
+
+      spotTrades.push({
+        symbol: symbol,
+        qty: String(qty),
+        price: String(price),
+        quoteQty: String(price * qty),
+        commission: String(isNaN(fee) ? 0 : fee),
+        commissionAsset: 'USDT',
+        isBuyer: side.toUpperCase() === 'BUY',
+        isMaker: false, // CSV doesn't have this info
+        time: timestamp,
+        orderId: `csv_${timestamp}_${Math.random()}`,
+        id: `csv_${timestamp}_${Math.random()}`,
+        accountType: 'SPOT'
+      })
+    }
+
+    return {
+      success: true,
+      spotTrades: spotTrades,
+      totalRows: spotTrades.length,
+      rowErrors
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to parse Binance SPOT CSV: ' + error.message
+    }
+  }
+}
+
+export const parseBinanceFuturesCSV = (table) => {
+  try {
+    const header = table.headers
+
+    const requiredColumns = ['Symbol', 'Income', 'Time']
+    const hasRequiredColumns = requiredColumns.some(col => header.includes(col))
+
+    if (!hasRequiredColumns) {
+      return {
+        success: false,
+        error: 'Invalid Binance FUTURES CSV format. Missing required columns.'
+      }
+    }
+
+    const symbolIdx = header.indexOf('Symbol')
+    const incomeIdx = header.indexOf('Income')
+    const timeIdx = header.indexOf('Time')
+    const incomeTypeIdx = header.indexOf('Income Type')
+    const assetIdx = header.indexOf('Asset')
+
+    if (symbolIdx === -1 || incomeIdx === -1 || timeIdx === -1) {
+      return {
+        success: false,
+        error: 'Invalid Binance FUTURES CSV format. Missing Symbol, Income or Time column.'
+      }
+    }
+
+    const futuresIncome = []
+    const rowErrors = []
+
+    for (const { line, values } of table.rows) {
+      const symbol = values[symbolIdx]
+      const income = parseCSVAmount(table, values[incomeIdx])
+      const timeStr = values[timeIdx]
+      const incomeType = values[incomeTypeIdx] || 'REALIZED_PNL'
+      const asset = values[assetIdx] || 'USDT'
+
+      if (!symbol || !timeStr) {
+        rowErrors.push({ line, message: 'Missing symbol or time' })
+        continue
+      }
+
+      const timestamp = parseCSVTimestamp(timeStr)
+      if (isNaN(timestamp)) {
+        rowErrors.push({ line, message: `Invalid time "${timeStr}"` })
+        continue
+      }
+
+      if (isNaN(income)) {
+        rowErrors.push({ line, message: `Invalid income value "${values[incomeIdx]}"` })
+        continue
+      }
+
+      futuresIncome.push({
+        symbol: symbol,
+        income: String(income),
+        asset: asset,
+        incomeType: incomeType,
+        time: timestamp,
+        tranId: `csv_${timestamp}_${Math.random()}`,
+        id: `csv_${timestamp}_${Math.random()}`
+      })
+    }
+
+    return {
+      success: true,
+      futuresIncome: futuresIncome,
+      totalRows: futuresIncome.length,
+      rowErrors
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to parse Binance FUTURES CSV: ' + error.message
+    }
+  }
+}
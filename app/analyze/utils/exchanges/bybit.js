@@ -0,0 +1,256 @@
+// app/analyze/utils/exchanges/bybit.js
+// Bybit V5 API adapter (direct REST, HMAC-SHA256 signed)
+// Executions and closed P&L are limited to 7 days per request, so history is fetched in windows
+
+import { parseSymbolBaseCurrency, parseSymbolQuoteCurrency } from '../currencyFormatter'
+import {
+  hmacSha256,
+  buildQueryString,
+  buildTimeWindows,
+  resolveSince,
+  buildCurrencyMetadata,
+  assertOk
+} from './shared'
+
+const BASE_URL = 'https://api.bybit.com'
+const RECV_WINDOW = '5000'
+const WINDOW_DAYS = 7
+const MAX_LOOKBACK_DAYS = 730 // Bybit keeps 2 years of executions
+const PAGE_LIMIT = 100
+
+export const bybitConfig = {
+  name: 'Bybit',
+  displayName: 'Bybit',
+  icon: '⚫', // Legacy fallback
+  logoPath: '/exchanges/fallback.svg',
+  website: 'bybit.com',
+  description: 'Global crypto derivatives and spot exchange',
+  dataPoints: [
+    'AI-powered analysis of your spot and USDT perpetual trading',
+    'Funding fees and closed P&L on your perpetual positions',
+    'How much money you\'re really making (P&L analysis)',
+    'When you trade your best (time-based patterns)',
+    'Which assets are working for you (symbol analysis)',
+    'Trading psychology scores and behavioral insights',
+    'How fees are eating into your profits',
+    'Smart AI recommendations to improve your results'
+  ],
+  // 18-char key, 36-char secret
+  credentialFormat: { apiKey: /^[A-Za-z0-9]{16,}$/, apiSecret: /^[A-Za-z0-9]{30,}$/ },
+  supportsCurrencyDetection: true
+}
+
+export const bybitCapabilities = {
+  spot: true,
+  futures: true,
+  margin: false,
+  currencyDetection: true,
+  requiresPassphrase: false,
+  csvImport: false
+}
+
+const fetchBybit = async ({ apiKey, apiSecret }, path, params, fetchImpl) => {
+  const timestamp = String(Date.now())
+  const query = buildQueryString(params)
+  const signature = await hmacSha256(apiSecret, timestamp + apiKey + RECV_WINDOW + query)
+
+  const res = await fetchImpl(`${BASE_URL}${path}${query ? `?${query}` : ''}`, {
+    method: 'GET',
+    headers: {
+      'X-BAPI-API-KEY': apiKey,
+      'X-BAPI-TIMESTAMP': timestamp,
+      'X-BAPI-RECV-WINDOW': RECV_WINDOW,
+      'X-BAPI-SIGN': signature
+    }
+  })
+
+  await assertOk('Bybit', res)
+  const data = await res.json()
+
+  if (data.retCode !== 0) {
+    throw new Error(`Bybit: ${data.retMsg || 'Request failed'}`)
+  }
+
+  return data.result || {}
+}
+
+// Follow nextPageCursor for every 7-day window between since and now
+const fetchBybitHistory = async (credentials, path, params, { since, now }, fetchImpl) => {
+  const items = []
+
+  for (const { start, end } of buildTimeWindows(since, WINDOW_DAYS, now)) {
+    let cursor = null
+    do {
+      const result = await fetchBybit(credentials, path, {
+        ...params,
+        startTime: start,
+        endTime: end,
+        limit: PAGE_LIMIT,
+        cursor
+      }, fetchImpl)
+      items.push(...(result.list || []))
+      cursor = result.nextPageCursor || null
+    } while (cursor)
+  }
+
+  return items
+}
+
+/**
+ * Fetch raw Bybit history
+ * @param {string} apiKey
+ * @param {string} apiSecret
+ * @param {Function} onProgress - Progress message callback
+ * @param {Object} options - { since, now, fetchImpl }
+ * @returns {Promise<{ spotExecutions: Array, linearExecutions: Array, linearTrades: Array, closedPnl: Array }>}
+ */
+export const fetchBybitTrades = async (apiKey, apiSecret, onProgress = () => {}, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const credentials = { apiKey, apiSecret }
+  const range = { since: resolveSince(options, MAX_LOOKBACK_DAYS), now: options.now || Date.now() }
+
+  console.log('🚀 Starting Bybit data fetch...')
+  onProgress('Fetching Bybit spot trades...')
+
+  const spotExecutions = await fetchBybitHistory(credentials, '/v5/execution/list', { category: 'spot' }, range, fetchImpl)
+
+  // Derivatives need a separate key permission - spot-only keys are common
+  let linearExecutions = []
+  let linearTrades = []
+  let closedPnl = []
+  try {
+    onProgress('Fetching Bybit futures P&L...')
+    closedPnl = await fetchBybitHistory(credentials, '/v5/position/closed-pnl', { category: 'linear' }, range, fetchImpl)
+    linearExecutions = await fetchBybitHistory(credentials, '/v5/execution/list', { category: 'linear', execType: 'Funding' }, range, fetchImpl)
+    linearTrades = await fetchBybitHistory(credentials, '/v5/execution/list', { category: 'linear', execType: 'Trade' }, range, fetchImpl)
+  } catch (error) {
+    console.warn('⚠️ Bybit futures not accessible:', error.message)
+  }
+
+  console.log('✅ Bybit fetch complete:', {
+    spotExecutions: spotExecutions.length,
+    closedPnl: closedPnl.length,
+    fundingExecutions: linearExecutions.length,
+    linearTrades: linearTrades.length
+  })
+
+  return { spotExecutions, linearExecutions, linearTrades, closedPnl }
+}
+
+const settlementAsset = (symbol) => (symbol.endsWith('USDT') ? 'USDT' : 'USDC')
+
+/**
+ * Normalize raw Bybit history to the standard spotTrades/futuresIncome shape
+ */
+export const normalizeBybitTrades = (bybitData) => {
+  const spotTrades = (bybitData.spotExecutions || [])
+    .filter(exec => !exec.execType || exec.execType === 'Trade')
+    .map(exec => {
+      const qty = parseFloat(exec.execQty)
+      const price = parseFloat(exec.execPrice)
+      const isBuyer = exec.side === 'Buy'
+      return {
+        symbol: exec.symbol,
+        qty: String(qty),
+        price: String(price),
+        quoteQty: String(exec.execValue ? parseFloat(exec.execValue) : qty * price),
+        commission: String(Math.abs(parseFloat(exec.execFee || 0))),
+        // Spot buys are charged in the base coin, sells in the quote coin
+        commissionAsset: exec.feeCurrency || (isBuyer ? parseSymbolBaseCurrency(exec.symbol) : parseSymbolQuoteCurrency(exec.symbol)),
+        isBuyer,
+        isMaker: exec.isMaker === true || exec.isMaker === 'true',
+        time: Number(exec.execTime),
+        orderId: exec.orderId,
+        id: exec.execId,
+        accountType: 'SPOT'
+      }
+    })
+
+  // closedPnl is already net of open/close fees, so commissions aren't emitted separately
+  const realizedPnl = (bybitData.closedPnl || []).map(position => ({
+    symbol: position.symbol,
+    income: String(position.closedPnl),
+    asset: settlementAsset(position.symbol),
+    incomeType: 'REALIZED_PNL',
+    time: Number(position.updatedTime || position.createdTime),
+    tranId: `bybit_pnl_${position.orderId}`,
+    id: `bybit_pnl_${position.orderId}`
+  }))
+
+  // Funding executions: positive execFee = paid
+  const fundingFees = (bybitData.linearExecutions || [])
+    .filter(exec => exec.execType === 'Funding')
+    .map(exec => ({
+      symbol: exec.symbol,
+      income: String(-parseFloat(exec.execFee || 0)),
+      asset: settlementAsset(exec.symbol),
+      incomeType: 'FUNDING_FEE',
+      time: Number(exec.execTime),
+      tranId: `bybit_funding_${exec.execId}`,
+      id: `bybit_funding_${exec.execId}`
+    }))
+
+  const futuresIncome = [...realizedPnl, ...fundingFees].sort((a, b) => a.time - b.time)
+
+  // Linear fills for position reconstruction; positionIdx 1/2 are the hedge-mode buy/sell sides
+  const futuresTrades = (bybitData.linearTrades || [])
+    .filter(exec => !exec.execType || exec.execType === 'Trade')
+    .map(exec => {
+      const qty = parseFloat(exec.execQty)
+      const price = parseFloat(exec.execPrice)
+      const positionIdx = Number(exec.positionIdx || 0)
+      return {
+        symbol: exec.symbol,
+        side: exec.side === 'Buy' ? 'BUY' : 'SELL',
+        qty: String(qty),
+        price: String(price),
+        quoteQty: String(exec.execValue ? parseFloat(exec.execValue) : qty * price),
+        commission: String(parseFloat(exec.execFee || 0)),
+        commissionAsset: exec.feeCurrency || settlementAsset(exec.symbol),
+        positionSide: positionIdx === 1 ? 'LONG' : positionIdx === 2 ? 'SHORT' : 'BOTH',
+        isMaker: exec.isMaker === true || exec.isMaker === 'true',
+        time: Number(exec.execTime),
+        orderId: exec.orderId,
+        id: exec.execId,
+        accountType: 'FUTURES'
+      }
+    })
+
+  return {
+    spotTrades,
+    futuresIncome,
+    futuresTrades,
+    futuresPositions: [],
+    metadata: {
+      ...buildCurrencyMetadata(spotTrades, 'USD'),
+      accountType: futuresIncome.length > 0 ? 'UNIFIED' : 'SPOT',
+      hasFutures: futuresIncome.length > 0,
+      spotTrades: spotTrades.length,
+      futuresIncome: futuresIncome.length
+    }
+  }
+}
+
+/**
+ * Unified trading account balances
+ * @returns {Promise<Array<{ asset: string, free: number, locked: number, total: number, usdValue: number|null }>>}
+ */
+export const fetchBybitBalances = async (apiKey, apiSecret, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const result = await fetchBybit({ apiKey, apiSecret }, '/v5/account/wallet-balance', { accountType: 'UNIFIED' }, fetchImpl)
+  const coins = result.list?.[0]?.coin || []
+
+  return coins
+    .map(coin => {
+      const total = parseFloat(coin.walletBalance || 0)
+      const locked = parseFloat(coin.locked || 0)
+      return {
+        asset: coin.coin,
+        free: total - locked,
+        locked,
+        total,
+        usdValue: coin.usdValue ? parseFloat(coin.usdValue) : null
+      }
+    })
+    .filter(balance => balance.total > 0)
+}
@@ -1,5 +1,7 @@
 // app/analyze/utils/exchanges/coindcx.js
 
+import { parseCSVAmount, parseCSVTimestamp } from '../csvParser'
+
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
 
 export const coindcxConfig = {
@@ -8,9 +10,33 @@ export const coindcxConfig = {
   icon: '🇮🇳', // Legacy fallback
   logoPath: '/exchanges/coindcx.svg',
   website: 'coindcx.com',
+  description: 'India\'s #1 crypto exchange',
+  dataPoints: [
+    'AI-powered analysis of your spot trading performance',
+    'How much money you\'re really making (P&L analysis)',
+    'When you trade your best (time-based patterns)',
+    'Where you\'re losing money and how to stop',
+    'Which assets are working for you (symbol analysis)',
+    'Trading psychology scores and behavioral insights',
+    'How fees are eating into your profits',
+    'Smart AI recommendations to improve your results',
+    'Pattern detection across thousands of trades',
+    'Note: Futures trading requires manual CSV upload'
+  ],
+  // Variable length, UUID-like or hex
+  credentialFormat: { apiKey: /^[A-Za-z0-9-]{20,}$/, apiSecret: /^[A-Za-z0-9-]{20,}$/ },
   supportsCurrencyDetection: true
 }
 
+export const coindcxCapabilities = {
+  spot: true,
+  futures: false,
+  margin: false,
+  currencyDetection: true,
+  requiresPassphrase: false,
+  csvImport: true
+}
+
 const fetchCoinDCX = async (apiKey, apiSecret, endpoint, params = {}) => {
   if (!BACKEND_URL) throw new Error('BACKEND_URL is not set')
   
@@ -118,7 +144,8 @@ const calculateAccountBalance = (balances, primaryCurrency) => {
   return totalQuoteCurrency
 }
 
-export const fetchCoinDCXTrades = async (apiKey, apiSecret, onProgress) => {
+// options.since (ms) asks the backend for trades after that time; results are still filtered by the sync cursor
+export const fetchCoinDCXTrades = async (apiKey, apiSecret, onProgress = () => {}, options = {}) => {
   try {
     console.log('🚀 Starting CoinDCX comprehensive data fetch...')
     onProgress('Connecting to CoinDCX...')
@@ -142,7 +169,7 @@ export const fetchCoinDCXTrades = async (apiKey, apiSecret, onProgress) => {
     const res = await fetch(`${BACKEND_URL}/api/coindcx/fetch-all`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ apiKey, apiSecret })
+      body: JSON.stringify({ apiKey, apiSecret, ...(options.since && { since: options.since }) })
     })
 
     if (!res.ok) {
@@ -180,6 +207,22 @@ export const fetchCoinDCXTrades = async (apiKey, apiSecret, onProgress) => {
   }
 }
 
+/**
+ * Wallet balances via the backend proxy
+ * @returns {Promise<Array<{ asset: string, free: number, locked: number, total: number, usdValue: number|null }>>}
+ */
+export const fetchCoinDCXBalances = async (apiKey, apiSecret) => {
+  const balances = await fetchCoinDCX(apiKey, apiSecret, '/exchange/v1/users/balances')
+
+  return (balances || [])
+    .map(balance => {
+      const free = parseFloat(balance.balance || 0)
+      const locked = parseFloat(balance.locked_balance || 0)
+      return { asset: balance.currency, free, locked, total: free + locked, usdValue: null }
+    })
+    .filter(balance => balance.total > 0)
+}
+
 // Normalize CoinDCX format to match standard format
 export const normalizeCoinDCXTrades = (coindcxData) => {
   console.log('🔄 Normalizing CoinDCX trades...')
@@ -247,4 +290,88 @@ export const normalizeCoinDCXTrades = (coindcxData) => {
     trades: normalized,
     metadata
   }
-}
\ No newline at end of file
+}
+
+// CSV exports parsed from a csvParser table
+export const parseCoinDCXSpotCSV = (table) => {
+  try {
+    const header = table.headers
+
+    const requiredColumns = ['Market', 'Type', 'Price', 'Quantity', 'Timestamp']
+    const hasRequiredColumns = requiredColumns.every(col => header.includes(col))
+
+    if (!hasRequiredColumns) {
+      return {
+        success: false,
+        error: 'Invalid CoinDCX SPOT CSV format. Missing required columns.'
+      }
+    }
+
+    const marketIdx = header.indexOf('Market')
+    const typeIdx = header.indexOf('Type')
+    const priceIdx = header.indexOf('Price')
+    const qtyIdx = header.indexOf('Quantity')
+    const timestampIdx = header.indexOf('Timestamp')
+    const feeIdx = header.indexOf('Fee')
+
+    const spotTrades = []
+    const rowErrors = []
+
+    for (const { line, values } of table.rows) {
+      const market = values[marketIdx]
+      const type = values[typeIdx]
+      const price = parseCSVAmount(table, values[priceIdx])
+      const qty = parseCSVAmount(table, values[qtyIdx])
+      const timestampStr = values[timestampIdx]
+      const fee = parseCSVAmount(table, values[feeIdx])
+
+      if (!market || !type || !timestampStr) {
+        rowErrors.push({ line, message: 'Missing market, type or timestamp' })
+        continue
+      }
+
+      const timestamp = parseCSVTimestamp(timestampStr)
+      if (isNaN(timestamp)) {
+        rowErrors.push({ line, message: `Invalid timestamp "${timestampStr}"` })
+        continue
+      }
+
+      if (isNaN(price) || isNaN(qty)) {
+        rowErrors.push({ line, message: 'Invalid price or quantity' })
+        continue
+      }
+
+      spotTrades.push({
+        symbol: market,
+        qty: String(qty),
+        price: String(price),
+        quoteQty: String(price * qty),
+        commission: String(isNaN(fee) ? 0 : fee),
+        commissionAsset: 'USDT',
+        isBuyer: type.toUpperCase() === 'BUY',
+        isMaker: false,
+        time: timestamp,
+        orderId: `csv_${timestamp}_${Math.random()}`,
+        id: `csv_${timestamp}_${Math.random()}`,
+        accountType: 'SPOT'
+      })
+    }
+
+    return {
+      success: true,
+      spotTrades: spotTrades,
+      totalRows: spotTrades.length,
+      rowErrors
+    }
+  } catch (error) {
+    return {
+      success: false,
+      error: 'Failed to parse CoinDCX SPOT CSV: ' + error.message
+    }
+  }
+}
+
+export const parseCoinDCXFuturesCSV = (table) => {
+  // CoinDCX futures format similar to spot
+  return parseCoinDCXSpotCSV(table)
+}
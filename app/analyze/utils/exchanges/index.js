@@ -1,24 +1,147 @@
 // app/analyze/utils/exchanges/index.js
+// Exchange adapter registry - routes, CSV import and the connect UI all look exchanges up here
+//
+// Adapter interface:
+//   config          { name, displayName, icon, logoPath, website, description, dataPoints, credentialFormat?, supportsCurrencyDetection }
+//   capabilities    { spot, futures, margin, currencyDetection, requiresPassphrase, csvImport }
+//   fetchTrades     (apiKey, apiSecret, onProgress, options) => raw exchange data
+//                   options: { passphrase, since (ms), fetchImpl }
+//   normalizeTrades (raw) => { spotTrades, futuresIncome, futuresTrades?, futuresPositions, metadata }
+//                   futuresTrades are futures fills { symbol, side BUY|SELL, qty, price, quoteQty, commission,
+//                   commissionAsset, realizedPnl?, positionSide?, isMaker, time, orderId, id }
+//   fetchBalances   (apiKey, apiSecret, options) => [{ asset, free, locked, total, usdValue }]
+//   csvParsers      { spot?, futures? } - (table) => { success, spotTrades|futuresIncome, totalRows, rowErrors }
 
-import { binanceConfig, fetchBinanceTrades, normalizeBinanceTrades } from './binance'
-import { coindcxConfig, fetchCoinDCXTrades, normalizeCoinDCXTrades } from './coindcx'
+import {
+  binanceConfig,
+  binanceCapabilities,
+  fetchBinanceTrades,
+  normalizeBinanceTrades,
+  fetchBinanceBalances,
+  parseBinanceSpotCSV,
+  parseBinanceFuturesCSV
+} from './binance'
+import {
+  coindcxConfig,
+  coindcxCapabilities,
+  fetchCoinDCXTrades,
+  normalizeCoinDCXTrades,
+  fetchCoinDCXBalances,
+  parseCoinDCXSpotCSV,
+  parseCoinDCXFuturesCSV
+} from './coindcx'
+import { bybitConfig, bybitCapabilities, fetchBybitTrades, normalizeBybitTrades, fetchBybitBalances } from './bybit'
+import { okxConfig, okxCapabilities, fetchOKXTrades, normalizeOKXTrades, fetchOKXBalances } from './okx'
+import { kucoinConfig, kucoinCapabilities, fetchKuCoinTrades, normalizeKuCoinTrades, fetchKuCoinBalances } from './kucoin'
+import { wazirxConfig, wazirxCapabilities, fetchWazirXTrades, normalizeWazirXTrades, fetchWazirXBalances } from './wazirx'
 
 export const EXCHANGES = {
   binance: {
     config: binanceConfig,
+    capabilities: binanceCapabilities,
     fetchTrades: fetchBinanceTrades,
-    normalizeTrades: normalizeBinanceTrades
+    normalizeTrades: normalizeBinanceTrades,
+    fetchBalances: fetchBinanceBalances,
+    csvParsers: { spot: parseBinanceSpotCSV, futures: parseBinanceFuturesCSV }
   },
   coindcx: {
     config: coindcxConfig,
+    capabilities: coindcxCapabilities,
     fetchTrades: fetchCoinDCXTrades,
-    normalizeTrades: normalizeCoinDCXTrades
+    normalizeTrades: normalizeCoinDCXTrades,
+    fetchBalances: fetchCoinDCXBalances,
+    csvParsers: { spot: parseCoinDCXSpotCSV, futures: parseCoinDCXFuturesCSV }
+  },
+  bybit: {
+    config: bybitConfig,
+    capabilities: bybitCapabilities,
+    fetchTrades: fetchBybitTrades,
+    normalizeTrades: normalizeBybitTrades,
+    fetchBalances: fetchBybitBalances,
+    csvParsers: {}
+  },
+  okx: {
+    config: okxConfig,
+    capabilities: okxCapabilities,
+    fetchTrades: fetchOKXTrades,
+    normalizeTrades: normalizeOKXTrades,
+    fetchBalances: fetchOKXBalances,
+    csvParsers: {}
+  },
+  kucoin: {
+    config: kucoinConfig,
+    capabilities: kucoinCapabilities,
+    fetchTrades: fetchKuCoinTrades,
+    normalizeTrades: normalizeKuCoinTrades,
+    fetchBalances: fetchKuCoinBalances,
+    csvParsers: {}
+  },
+  wazirx: {
+    config: wazirxConfig,
+    capabilities: wazirxCapabilities,
+    fetchTrades: fetchWazirXTrades,
+    normalizeTrades: normalizeWazirXTrades,
+    fetchBalances: fetchWazirXBalances,
+    csvParsers: {}
+  }
+}
+
+const REQUIRED_ADAPTER_KEYS = ['config', 'capabilities', 'fetchTrades', 'normalizeTrades']
+
+/**
+ * Register (or replace) an exchange adapter at runtime
+ * @param {string} id - Lowercase exchange id stored in exchange_connections.exchange
+ * @param {Object} adapter - See interface above
+ */
+export const registerExchangeAdapter = (id, adapter) => {
+  const missing = REQUIRED_ADAPTER_KEYS.filter(key => !adapter?.[key])
+  if (missing.length > 0) {
+    throw new Error(`Exchange adapter "${id}" is missing: ${missing.join(', ')}`)
   }
+  EXCHANGES[id.toLowerCase()] = { csvParsers: {}, ...adapter }
+}
+
+export const getExchangeAdapter = (id) => {
+  if (!id) return null
+  return EXCHANGES[String(id).toLowerCase()] || null
 }
 
+export const isSupportedExchange = (id) => getExchangeAdapter(id) !== null
+
+export const getSupportedExchangeIds = () => Object.keys(EXCHANGES)
+
 export const getExchangeList = () => {
   return Object.entries(EXCHANGES).map(([key, exchange]) => ({
     id: key,
-    ...exchange.config
+    ...exchange.config,
+    capabilities: exchange.capabilities
   }))
-}
\ No newline at end of file
+}
+
+/**
+ * Fetch and normalize an exchange's history in one call (used by the API routes)
+ * @param {string} id - Exchange id
+ * @param {Object} credentials - { apiKey, apiSecret, passphrase }
+ * @param {Object} options - { since, onProgress, fetchImpl }
+ * @returns {Promise<{ spotTrades: Array, futuresIncome: Array, futuresTrades: Array, futuresPositions: Array, metadata: Object }>}
+ */
+export const fetchExchangeData = async (id, { apiKey, apiSecret, passphrase } = {}, options = {}) => {
+  const adapter = getExchangeAdapter(id)
+  if (!adapter) throw new Error(`Unsupported exchange: ${id}`)
+
+  if (adapter.capabilities.requiresPassphrase && !passphrase) {
+    throw new Error(`${adapter.config.displayName} requires an API passphrase`)
+  }
+
+  const { onProgress = () => {}, ...fetchOptions } = options
+  const raw = await adapter.fetchTrades(apiKey, apiSecret, onProgress, { ...fetchOptions, passphrase })
+  const normalized = adapter.normalizeTrades(raw)
+
+  return {
+    spotTrades: normalized.spotTrades || [],
+    futuresIncome: normalized.futuresIncome || [],
+    futuresTrades: normalized.futuresTrades || [],
+    futuresPositions: normalized.futuresPositions || [],
+    metadata: normalized.metadata || {}
+  }
+}
@@ -0,0 +1,185 @@
+// app/analyze/utils/exchanges/kucoin.js
+// KuCoin spot API adapter (direct REST, base64 HMAC-SHA256 signed, key version 2 passphrase)
+// /api/v1/fills allows a 7-day range per request; KuCoin futures live on a separate API and aren't covered
+
+import {
+  hmacSha256,
+  buildQueryString,
+  buildTimeWindows,
+  resolveSince,
+  buildCurrencyMetadata,
+  toStandardSymbol,
+  assertOk
+} from './shared'
+
+const BASE_URL = 'https://api.kucoin.com'
+const WINDOW_DAYS = 7
+const MAX_LOOKBACK_DAYS = 365
+const PAGE_SIZE = 500
+
+export const kucoinConfig = {
+  name: 'KuCoin',
+  displayName: 'KuCoin',
+  icon: '🟢', // Legacy fallback
+  logoPath: '/exchanges/fallback.svg',
+  website: 'kucoin.com',
+  description: 'Spot exchange with a long tail of altcoins',
+  dataPoints: [
+    'AI-powered analysis of your spot and margin trading',
+    'How much money you\'re really making (P&L analysis)',
+    'When you trade your best (time-based patterns)',
+    'Which assets are working for you (symbol analysis)',
+    'Trading psychology scores and behavioral insights',
+    'How fees are eating into your profits',
+    'Smart AI recommendations to improve your results',
+    'Note: KuCoin Futures accounts are not included'
+  ],
+  // 24-char hex key, UUID secret
+  credentialFormat: { apiKey: /^[A-Za-z0-9]{20,}$/, apiSecret: /^[A-Za-z0-9-]{30,}$/ },
+  supportsCurrencyDetection: true
+}
+
+export const kucoinCapabilities = {
+  spot: true,
+  futures: false,
+  margin: true,
+  currencyDetection: true,
+  requiresPassphrase: true,
+  csvImport: false
+}
+
+const fetchKuCoin = async ({ apiKey, apiSecret, passphrase }, path, params, fetchImpl) => {
+  if (!passphrase) throw new Error('KuCoin: API passphrase is required')
+
+  const query = buildQueryString(params)
+  const endpoint = `${path}${query ? `?${query}` : ''}`
+  const timestamp = String(Date.now())
+  const [signature, signedPassphrase] = await Promise.all([
+    hmacSha256(apiSecret, `${timestamp}GET${endpoint}`, 'base64'),
+    hmacSha256(apiSecret, passphrase, 'base64')
+  ])
+
+  const res = await fetchImpl(`${BASE_URL}${endpoint}`, {
+    method: 'GET',
+    headers: {
+      'KC-API-KEY': apiKey,
+      'KC-API-SIGN': signature,
+      'KC-API-TIMESTAMP': timestamp,
+      'KC-API-PASSPHRASE': signedPassphrase,
+      'KC-API-KEY-VERSION': '2'
+    }
+  })
+
+  await assertOk('KuCoin', res)
+  const data = await res.json()
+
+  if (data.code !== '200000') {
+    throw new Error(`KuCoin: ${data.msg || 'Request failed'}`)
+  }
+
+  return data.data
+}
+
+/**
+ * Fetch raw KuCoin fills
+ * @param {string} apiKey
+ * @param {string} apiSecret
+ * @param {Function} onProgress - Progress message callback
+ * @param {Object} options - { passphrase, since, now, fetchImpl }
+ * @returns {Promise<{ fills: Array }>}
+ */
+export const fetchKuCoinTrades = async (apiKey, apiSecret, onProgress = () => {}, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const credentials = { apiKey, apiSecret, passphrase: options.passphrase }
+  const since = resolveSince(options, MAX_LOOKBACK_DAYS)
+  const now = options.now || Date.now()
+
+  console.log('🚀 Starting KuCoin data fetch...')
+  onProgress('Fetching KuCoin trades...')
+
+  const fills = []
+  // Spot and margin fills share the endpoint, selected by tradeType
+  const tradeTypes = ['TRADE', 'MARGIN_TRADE']
+
+  for (const tradeType of tradeTypes) {
+    for (const { start, end } of buildTimeWindows(since, WINDOW_DAYS, now)) {
+      let currentPage = 1
+      let totalPage = 1
+      do {
+        const page = await fetchKuCoin(credentials, '/api/v1/fills', {
+          tradeType,
+          startAt: start,
+          endAt: end,
+          currentPage,
+          pageSize: PAGE_SIZE
+        }, fetchImpl)
+        fills.push(...(page?.items || []).map(item => ({ ...item, tradeType })))
+        totalPage = page?.totalPage || 1
+        currentPage++
+      } while (currentPage <= totalPage)
+    }
+  }
+
+  console.log('✅ KuCoin fetch complete:', { fills: fills.length })
+
+  return { fills }
+}
+
+/**
+ * Normalize raw KuCoin fills to the standard spotTrades shape
+ */
+export const normalizeKuCoinTrades = (kucoinData) => {
+  const spotTrades = (kucoinData.fills || []).map(fill => {
+    const qty = parseFloat(fill.size)
+    const price = parseFloat(fill.price)
+    return {
+      symbol: toStandardSymbol(fill.symbol),
+      qty: String(qty),
+      price: String(price),
+      quoteQty: String(fill.funds ? parseFloat(fill.funds) : qty * price),
+      commission: String(parseFloat(fill.fee || 0)),
+      commissionAsset: fill.feeCurrency,
+      isBuyer: fill.side === 'buy',
+      isMaker: fill.liquidity === 'maker',
+      time: Number(fill.createdAt),
+      orderId: fill.orderId,
+      id: fill.tradeId,
+      // Margin fills are still spot-market trades for P&L purposes
+      accountType: 'SPOT'
+    }
+  })
+
+  return {
+    spotTrades,
+    futuresIncome: [],
+    futuresPositions: [],
+    metadata: {
+      ...buildCurrencyMetadata(spotTrades, 'USD'),
+      accountType: 'SPOT',
+      hasFutures: false,
+      hasMargin: (kucoinData.fills || []).some(fill => fill.tradeType === 'MARGIN_TRADE'),
+      spotTrades: spotTrades.length,
+      futuresIncome: 0
+    }
+  }
+}
+
+/**
+ * Account balances (main + trade + margin accounts, summed per currency)
+ * @param {Object} options - { passphrase, fetchImpl }
+ */
+export const fetchKuCoinBalances = async (apiKey, apiSecret, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const accounts = await fetchKuCoin({ apiKey, apiSecret, passphrase: options.passphrase }, '/api/v1/accounts', {}, fetchImpl)
+
+  const byAsset = {}
+  ;(accounts || []).forEach(account => {
+    const entry = byAsset[account.currency] || { asset: account.currency, free: 0, locked: 0, total: 0, usdValue: null }
+    entry.free += parseFloat(account.available || 0)
+    entry.locked += parseFloat(account.holds || 0)
+    entry.total += parseFloat(account.balance || 0)
+    byAsset[account.currency] = entry
+  })
+
+  return Object.values(byAsset).filter(balance => balance.total > 0)
+}
@@ -0,0 +1,174 @@
+// app/analyze/utils/exchanges/shared.js
+// Helpers shared by the direct-API exchange adapters (Bybit, OKX, KuCoin, WazirX)
+// Signing uses Web Crypto so adapters run unchanged in API routes (Node) and the browser
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// History fetched on a first sync when no `since` is given
+export const DEFAULT_LOOKBACK_DAYS = 180
+
+// Quote currencies we recognise when detecting a user's primary currency
+const FIAT_QUOTES = ['INR', 'USD', 'EUR', 'GBP']
+const STABLE_QUOTES = ['USDT', 'USDC', 'FDUSD', 'BUSD']
+
+const encoder = new TextEncoder()
+
+const toHex = (buffer) => {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer)
+  let binary = ''
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i])
+  return btoa(binary)
+}
+
+/**
+ * HMAC-SHA256 signature
+ * @param {string} secret - API secret
+ * @param {string} message - Pre-hash string
+ * @param {'hex'|'base64'} encoding - Output encoding
+ * @returns {Promise<string>}
+ */
+export const hmacSha256 = async (secret, message, encoding = 'hex') => {
+  const key = await globalThis.crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )
+  const signature = await globalThis.crypto.subtle.sign('HMAC', key, encoder.encode(message))
+  return encoding === 'base64' ? toBase64(signature) : toHex(signature)
+}
+
+/**
+ * Build a query string from params, skipping undefined/null values (order preserved for signing)
+ */
+export const buildQueryString = (params = {}) => {
+  return Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&')
+}
+
+/**
+ * "BTC-USDT", "btc_usdt", "BTC-USDT-SWAP" -> "BTCUSDT"
+ */
+export const toStandardSymbol = (symbol) => {
+  return String(symbol || '')
+    .toUpperCase()
+    .replace(/-(SWAP|FUTURES|PERP)$/, '')
+    .replace(/[-_/]/g, '')
+}
+
+/**
+ * Split [since, now] into consecutive windows for endpoints that cap the time range per request
+ * Newest window first so a partial failure still yields the most recent trades
+ */
+export const buildTimeWindows = (since, windowDays, now = Date.now()) => {
+  const windows = []
+  const windowMs = windowDays * DAY_MS
+  let end = now
+  while (end > since) {
+    const start = Math.max(since, end - windowMs)
+    windows.push({ start, end })
+    end = start
+  }
+  return windows
+}
+
+/**
+ * Resolve the start of the history to fetch
+ * @param {Object} options - Adapter fetch options
+ * @param {number} maxLookbackDays - Furthest back the exchange API allows
+ */
+export const resolveSince = (options = {}, maxLookbackDays = DEFAULT_LOOKBACK_DAYS) => {
+  // options.now pins "now" when replaying fixtures recorded in the past
+  const now = options.now || Date.now()
+  const earliest = now - maxLookbackDays * DAY_MS
+  const requested = options.since ? Number(options.since) : now - DEFAULT_LOOKBACK_DAYS * DAY_MS
+  return Math.max(earliest, requested)
+}
+
+/**
+ * Primary/available currency metadata from normalized spot trades (same shape the backend returns)
+ * @param {Array} spotTrades - Normalized spot trades
+ * @param {string} fallbackCurrency - Used when no recognised quote currency is found
+ */
+export const buildCurrencyMetadata = (spotTrades, fallbackCurrency = 'USD') => {
+  const counts = {}
+
+  spotTrades.forEach(trade => {
+    const symbol = trade.symbol.toUpperCase()
+    const quote = [...FIAT_QUOTES, ...STABLE_QUOTES].find(q => symbol.endsWith(q))
+    if (!quote) return
+    // Stablecoin-quoted trades are reported in USD
+    const currency = STABLE_QUOTES.includes(quote) ? 'USD' : quote
+    counts[currency] = (counts[currency] || 0) + 1
+  })
+
+  const availableCurrencies = Object.keys(counts).sort((a, b) => counts[b] - counts[a])
+  const primaryCurrency = availableCurrencies[0] || fallbackCurrency
+
+  return {
+    primaryCurrency,
+    availableCurrencies: availableCurrencies.length > 0 ? availableCurrencies : [fallbackCurrency],
+    supportsCurrencySwitch: availableCurrencies.length > 1
+  }
+}
+
+/**
+ * Throw a readable error when an exchange rejects the request
+ */
+export const assertOk = async (exchangeName, response) => {
+  if (response.ok) return
+  let message = `HTTP ${response.status}`
+  try {
+    const body = await response.json()
+    message = body.retMsg || body.msg || body.message || message
+  } catch {
+    // Non-JSON error body - keep the status text
+  }
+  throw new Error(`${exchangeName}: ${message}`)
+}
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * fetch() replacement that replays recorded exchange responses (fixtures/<exchange>.json)
+ * Pass as options.fetchImpl to run an adapter offline (npm run test:adapters does this for every fixture).
+ * Each recorded request is served once, in order, when its path matches and its query is a subset of the
+ * request's; anything else gets the fixture's `emptyResponses[path]` (e.g. an empty page for the
+ * remaining time windows)
+ * @param {Object} fixture - { requests: [{ path, query, status, body }], emptyResponses: { [path]: body } }
+ * @returns {Function} fetch-compatible function
+ */
+export const createFixtureFetch = (fixture) => {
+  const pending = [...(fixture.requests || [])]
+
+  const respond = (status, body) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body
+  })
+
+  return async (url) => {
+    const { pathname, searchParams } = new URL(url)
+    const index = pending.findIndex(entry =>
+      entry.path === pathname &&
+      Object.entries(entry.query || {}).every(([key, value]) => searchParams.get(key) === String(value))
+    )
+
+    if (index !== -1) {
+      const [entry] = pending.splice(index, 1)
+      return respond(entry.status || 200, entry.body)
+    }
+
+    const empty = fixture.emptyResponses?.[pathname]
+    return empty !== undefined
+      ? respond(200, empty)
+      : respond(404, { msg: `No recorded response for ${pathname}` })
+  }
+}
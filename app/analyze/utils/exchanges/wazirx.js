@@ -0,0 +1,170 @@
+// app/analyze/utils/exchanges/wazirx.js
+// WazirX API adapter (direct REST, hex HMAC-SHA256 signed query)
+// myTrades is per-symbol, so markets are derived from the assets the user holds or has held
+
+import { parseSymbolBaseCurrency, parseSymbolQuoteCurrency } from '../currencyFormatter'
+import {
+  hmacSha256,
+  buildQueryString,
+  resolveSince,
+  buildCurrencyMetadata,
+  assertOk,
+  sleep
+} from './shared'
+
+const BASE_URL = 'https://api.wazirx.com'
+const RECV_WINDOW = 10000
+const MAX_LOOKBACK_DAYS = 365
+const PAGE_LIMIT = 1000
+const QUOTE_ASSETS = ['inr', 'usdt']
+const REQUEST_DELAY_MS = 100 // Stay under WazirX's per-second limit
+
+export const wazirxConfig = {
+  name: 'WazirX',
+  displayName: 'WazirX',
+  icon: '🔵', // Legacy fallback
+  logoPath: '/exchanges/fallback.svg',
+  website: 'wazirx.com',
+  description: 'Indian crypto exchange with INR and USDT markets',
+  dataPoints: [
+    'AI-powered analysis of your INR and USDT spot trading',
+    'How much money you\'re really making (P&L analysis)',
+    'When you trade your best (time-based patterns)',
+    'Which assets are working for you (symbol analysis)',
+    'Trading psychology scores and behavioral insights',
+    'How fees are eating into your profits',
+    'Smart AI recommendations to improve your results'
+  ],
+  supportsCurrencyDetection: true
+}
+
+export const wazirxCapabilities = {
+  spot: true,
+  futures: false,
+  margin: false,
+  currencyDetection: true,
+  requiresPassphrase: false,
+  csvImport: false
+}
+
+const fetchWazirX = async ({ apiKey, apiSecret }, path, params, fetchImpl) => {
+  const query = buildQueryString({ ...params, recvWindow: RECV_WINDOW, timestamp: Date.now() })
+  const signature = await hmacSha256(apiSecret, query)
+
+  const res = await fetchImpl(`${BASE_URL}${path}?${query}&signature=${signature}`, {
+    method: 'GET',
+    headers: { 'X-Api-Key': apiKey }
+  })
+
+  await assertOk('WazirX', res)
+  return res.json()
+}
+
+/**
+ * Fetch raw WazirX history
+ * @param {string} apiKey
+ * @param {string} apiSecret
+ * @param {Function} onProgress - Progress message callback
+ * @param {Object} options - { since, now, fetchImpl, symbols } - symbols overrides market discovery
+ * @returns {Promise<{ trades: Array, funds: Array }>}
+ */
+export const fetchWazirXTrades = async (apiKey, apiSecret, onProgress = () => {}, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const credentials = { apiKey, apiSecret }
+  const since = resolveSince(options, MAX_LOOKBACK_DAYS)
+
+  console.log('🚀 Starting WazirX data fetch...')
+  onProgress('Fetching WazirX balances...')
+
+  const funds = await fetchWazirX(credentials, '/sapi/v1/funds', {}, fetchImpl)
+
+  const symbols = options.symbols || [...new Set(
+    (funds || [])
+      .map(fund => fund.asset.toLowerCase())
+      .filter(asset => !QUOTE_ASSETS.includes(asset))
+      .flatMap(asset => QUOTE_ASSETS.map(quote => `${asset}${quote}`))
+  )]
+
+  const trades = []
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i]
+    onProgress(`Fetching WazirX trades (${i + 1}/${symbols.length}): ${symbol.toUpperCase()}`)
+    try {
+      const symbolTrades = await fetchWazirX(credentials, '/sapi/v1/myTrades', {
+        symbol,
+        startTime: since,
+        limit: PAGE_LIMIT
+      }, fetchImpl)
+      trades.push(...(symbolTrades || []))
+    } catch (error) {
+      // Most derived pairs don't exist as markets - skip them
+      console.warn(`⚠️ WazirX ${symbol}:`, error.message)
+    }
+    await sleep(options.fetchImpl ? 0 : REQUEST_DELAY_MS)
+  }
+
+  console.log('✅ WazirX fetch complete:', { symbols: symbols.length, trades: trades.length })
+
+  return { trades, funds }
+}
+
+/**
+ * Normalize raw WazirX trades to the standard spotTrades shape
+ */
+export const normalizeWazirXTrades = (wazirxData) => {
+  const spotTrades = (wazirxData.trades || []).map(trade => {
+    const symbol = trade.symbol.toUpperCase()
+    const qty = parseFloat(trade.qty)
+    const price = parseFloat(trade.price)
+    const isBuyer = trade.isBuyer === true || trade.isBuyer === 'true'
+    return {
+      symbol,
+      qty: String(qty),
+      price: String(price),
+      quoteQty: String(trade.quoteQty ? parseFloat(trade.quoteQty) : qty * price),
+      commission: String(parseFloat(trade.fee || 0)),
+      commissionAsset: (trade.feeCurrency || (isBuyer ? parseSymbolBaseCurrency(symbol) : parseSymbolQuoteCurrency(symbol))).toUpperCase(),
+      isBuyer,
+      isMaker: trade.isMaker === true || trade.isMaker === 'true',
+      time: Number(trade.time),
+      orderId: String(trade.orderId),
+      id: `wazirx_${trade.id}`,
+      accountType: 'SPOT'
+    }
+  })
+
+  return {
+    spotTrades,
+    futuresIncome: [],
+    futuresPositions: [],
+    metadata: {
+      ...buildCurrencyMetadata(spotTrades, 'INR'),
+      accountType: 'SPOT',
+      hasFutures: false,
+      spotTrades: spotTrades.length,
+      futuresIncome: 0
+    }
+  }
+}
+
+/**
+ * Spot wallet balances
+ */
+export const fetchWazirXBalances = async (apiKey, apiSecret, options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+  const funds = await fetchWazirX({ apiKey, apiSecret }, '/sapi/v1/funds', {}, fetchImpl)
+
+  return (funds || [])
+    .map(fund => {
+      const free = parseFloat(fund.free || 0)
+      const locked = parseFloat(fund.locked || 0)
+      return {
+        asset: fund.asset.toUpperCase(),
+        free,
+        locked,
+        total: free + locked,
+        usdValue: null
+      }
+    })
+    .filter(balance => balance.total > 0)
+}
@@ -0,0 +1,231 @@
+// app/analyze/utils/excursionAnalysis.js
+
+/**
+ * MAE / MFE & Exit Efficiency
+ * For every closed spot round trip (lot ledger) and futures position: how far price went against the
+ * trade (maximum adverse excursion), how far it went in its favor (maximum favorable excursion) and
+ * how much of that favorable move the exit kept. Candles come from an OHLC provider (backend market
+ * data by default, see ohlcProviders.js).
+ *
+ * The distributions answer two questions:
+ * - Stops too tight? Losers cut at adverse moves the user's winners routinely sit through
+ * - Targets too early? Winners closed with most of their favorable move left on the table
+ * The winners' MAE also gives a data-driven stop for moneyCalculations.calculateStopLossSavings.
+ *
+ * This needs one candle request per trade, so it isn't part of analyzeData: the Overview tab loads it
+ * on its own (lib/hooks/useExcursionAnalysis) and keeps measured trades in a cache across re-analyses.
+ */
+
+import { getDefaultOhlcProvider, pickInterval } from './ohlcProviders'
+import { computeExcursion, roundTripToReplayTarget, positionToReplayTarget } from './tradeReplay'
+
+// Most recent closed trades measured per analysis (one candle request each)
+const MAX_TRIPS = 100
+const CONCURRENCY = 4
+// Bars per holding period - finer bars make the entry/exit bar approximation smaller
+const BARS_PER_TRIP = 200
+const MIN_TRIPS_FOR_DIAGNOSIS = 10
+// Winners' MAE percentile used as the suggested stop: most winners never went further against you
+const STOP_PERCENTILE = 0.9
+
+export const MAE_BUCKETS = [
+  { label: '< 0.5%', min: 0, max: 0.5 },
+  { label: '0.5-1%', min: 0.5, max: 1 },
+  { label: '1-2%', min: 1, max: 2 },
+  { label: '2-3%', min: 2, max: 3 },
+  { label: '3-5%', min: 3, max: 5 },
+  { label: '5-10%', min: 5, max: 10 },
+  { label: '10%+', min: 10, max: Infinity }
+]
+
+export const EXIT_EFFICIENCY_BUCKETS = [
+  { label: 'Gave back', min: -Infinity, max: 0 },
+  { label: '0-25%', min: 0, max: 25 },
+  { label: '25-50%', min: 25, max: 50 },
+  { label: '50-75%', min: 50, max: 75 },
+  { label: '75-100%', min: 75, max: Infinity }
+]
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+
+const percentile = (values, p) => {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))]
+}
+
+// Exit efficiency only means something for winners - a loser's tiny MFE blows the ratio up
+const summarize = (trips, { withExitEfficiency = true } = {}) => ({
+  count: trips.length,
+  avgMaePercent: mean(trips.map(t => t.maePercent)),
+  medianMaePercent: percentile(trips.map(t => t.maePercent), 0.5),
+  avgMfePercent: mean(trips.map(t => t.mfePercent)),
+  avgExitEfficiency: withExitEfficiency ? mean(trips.map(t => t.exitEfficiency).filter(v => v !== null)) : null
+})
+
+const distribute = (buckets, trips, field) => buckets.map(({ label, min, max }) => {
+  const inBucket = trips.filter(t => t[field] !== null && t[field] >= min && t[field] < max)
+  return {
+    label,
+    winners: inBucket.filter(t => t.pnl > 0).length,
+    losers: inBucket.filter(t => t.pnl <= 0).length
+  }
+})
+
+// Run tasks with at most `limit` in flight
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await task(items[index])
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
+
+/**
+ * Closed spot round trips and futures positions as replay targets, most recent first
+ */
+export const getExcursionTargets = ({ lotLedger = [], positions = [] }) => [
+  ...lotLedger.filter(entry => entry.qty > 0 && entry.sellPrice > 0).map(roundTripToReplayTarget),
+  ...positions.filter(position => position.status === 'CLOSED' && !position.contextOnly).map(positionToReplayTarget)
+]
+  .filter(target => target.entryPrice > 0 && target.exitTime > target.entryTime)
+  .sort((a, b) => b.exitTime - a.exitTime)
+
+// ============================================
+// MAIN ANALYSIS
+// ============================================
+
+export const getEmptyExcursionAnalysis = () => ({
+  available: false,
+  analyzedTrips: 0,
+  skippedTrips: 0,
+  trips: [],
+  winners: summarize([]),
+  losers: summarize([], { withExitEfficiency: false }),
+  maeDistribution: [],
+  exitEfficiencyDistribution: [],
+  suggestedStopPercent: null,
+  stopPercentile: STOP_PERCENTILE * 100,
+  diagnosis: null
+})
+
+// Same trade, same prices -> same candles and excursion
+const getCacheKey = (target, provider) =>
+  [provider.name, target.key, target.entryTime, target.exitTime, target.entryPrice, target.exitPrice].join('|')
+
+/**
+ * Measure MAE / MFE / exit efficiency for closed trades and aggregate them
+ * @param {Object} params
+ * @param {Array} params.lotLedger - spotAnalysis.lotLedger (USD)
+ * @param {Array} params.positions - futuresAnalysis.positionHistory.positions (USD)
+ * @param {Object} options - { provider (ohlcProviders.js), maxTrips, cache: Map reused across calls }
+ * @returns {Promise<Object>}
+ */
+export const analyzeExcursions = async ({ lotLedger = [], positions = [] }, options = {}) => {
+  const targets = getExcursionTargets({ lotLedger, positions })
+  if (targets.length === 0) return getEmptyExcursionAnalysis()
+
+  const provider = options.provider || getDefaultOhlcProvider()
+  const cache = options.cache || new Map()
+  const measured = targets.slice(0, options.maxTrips || MAX_TRIPS)
+  const failedSymbols = new Set()
+  let failed = 0
+
+  const results = await mapWithConcurrency(measured, CONCURRENCY, async (target) => {
+    const { interval, ms } = pickInterval(target.entryTime, target.exitTime, BARS_PER_TRIP)
+    const cacheKey = getCacheKey(target, provider)
+    try {
+      if (!cache.has(cacheKey)) {
+        const candles = await provider.getCandles({
+          symbol: target.symbol,
+          market: target.market,
+          interval,
+          startTime: Math.floor(target.entryTime / ms) * ms,
+          endTime: target.exitTime
+        })
+        // Trades without candles are cached as null so they aren't requested again
+        cache.set(cacheKey, computeExcursion(candles, target, ms))
+      }
+      const excursion = cache.get(cacheKey)
+      if (!excursion) return null
+      return {
+        key: target.key,
+        symbol: target.symbol,
+        market: target.market,
+        side: target.side,
+        entryTime: target.entryTime,
+        exitTime: target.exitTime,
+        entryValue: target.entryPrice * target.qty,
+        pnl: target.pnl,
+        maePercent: excursion.maePercent,
+        mfePercent: excursion.mfePercent,
+        capturedPercent: excursion.capturedPercent,
+        exitEfficiency: excursion.exitEfficiency,
+        interval
+      }
+    } catch {
+      // Request errors aren't cached, the next analysis retries them
+      failed++
+      failedSymbols.add(target.symbol)
+      return null
+    }
+  })
+
+  if (failed > 0) {
+    console.warn(`⚠️ [Excursions] Could not load candles for ${failed} of ${measured.length} trades (${[...failedSymbols].join(', ')})`)
+  }
+
+  const trips = results.filter(Boolean)
+  if (trips.length === 0) {
+    return { ...getEmptyExcursionAnalysis(), skippedTrips: targets.length }
+  }
+
+  const winners = trips.filter(t => t.pnl > 0)
+  const losers = trips.filter(t => t.pnl <= 0)
+  const winnerStats = summarize(winners)
+  const loserStats = summarize(losers, { withExitEfficiency: false })
+  const suggestedStopPercent = winners.length >= MIN_TRIPS_FOR_DIAGNOSIS / 2
+    ? Math.max(0.1, Math.round(percentile(winners.map(t => t.maePercent), STOP_PERCENTILE) * 10) / 10)
+    : null
+
+  let diagnosis = null
+  if (trips.length >= MIN_TRIPS_FOR_DIAGNOSIS && winners.length > 0 && losers.length > 0) {
+    // Losers closed before reaching the adverse move a typical winner survives
+    const cutEarly = losers.filter(t => t.maePercent < winnerStats.medianMaePercent)
+    // Losers whose favorable move was at least as large as the adverse one
+    const wereWinning = losers.filter(t => t.mfePercent >= t.maePercent)
+    const cutEarlyShare = (cutEarly.length / losers.length) * 100
+
+    diagnosis = {
+      stopsTooTight: cutEarlyShare >= 50,
+      stopsTooWide: suggestedStopPercent !== null && loserStats.avgMaePercent > suggestedStopPercent * 2,
+      targetsTooEarly: winnerStats.avgExitEfficiency !== null && winnerStats.avgExitEfficiency < 50,
+      cutEarlyShare,
+      losersThatWereWinningShare: (wereWinning.length / losers.length) * 100,
+      moveLeftOnTablePercent: winnerStats.avgExitEfficiency !== null ? Math.max(0, 100 - winnerStats.avgExitEfficiency) : null
+    }
+  }
+
+  return {
+    available: true,
+    analyzedTrips: trips.length,
+    skippedTrips: targets.length - trips.length,
+    trips,
+    winners: winnerStats,
+    losers: loserStats,
+    maeDistribution: distribute(MAE_BUCKETS, trips, 'maePercent'),
+    exitEfficiencyDistribution: distribute(EXIT_EFFICIENCY_BUCKETS, winners, 'exitEfficiency'),
+    suggestedStopPercent,
+    stopPercentile: STOP_PERCENTILE * 100,
+    diagnosis
+  }
+}
@@ -0,0 +1,219 @@
+// app/analyze/utils/feeNormalization.js
+// Values every fee in USD at the time it was charged and breaks fees down for the Fees & Efficiency tab
+//
+// Spot commissions arrive in whatever asset the exchange charged: the quote (already USD after
+// autoConvertToUSD), the base asset (valued at the fill price), a stablecoin, or a third asset such as
+// BNB (valued at that asset's close on the trade date). Futures fees come from income records:
+// COMMISSION (trading), FUNDING_FEE and liquidation clearance fees (LIQUIDATION / INSURANCE_CLEAR).
+// Amounts are USD like the rest of analytics; the UI shows them in the user's base currency.
+
+import { USD_EQUIVALENTS, createUsdRateResolvers, getRecordQuoteCurrency } from './currencyConverter'
+
+// Futures income types that are fees charged when a position is liquidated
+export const LIQUIDATION_INCOME_TYPES = ['LIQUIDATION', 'INSURANCE_CLEAR']
+
+const toMonthKey = (time) => new Date(time).toISOString().slice(0, 7)
+
+const getBaseAsset = (trade, quoteCurrency) => {
+  const cleaned = String(trade.symbol || '').toUpperCase().replace(/^[A-Z]-/, '').replace(/[_/-]/g, '')
+  return cleaned.endsWith(quoteCurrency) ? cleaned.slice(0, -quoteCurrency.length) : null
+}
+
+/**
+ * How a spot trade's commission is valued
+ * @returns {'none'|'quote'|'base'|'usd'|'other'}
+ */
+const getCommissionSource = (trade) => {
+  const raw = parseFloat(trade.commission || 0)
+  if (!raw) return 'none'
+
+  const asset = String(trade.commissionAsset || '').toUpperCase()
+  const quoteCurrency = trade.quoteCurrency || getRecordQuoteCurrency(trade)
+  if (!asset || asset === quoteCurrency) return 'quote'
+  if (asset === getBaseAsset(trade, quoteCurrency)) return 'base'
+  if (USD_EQUIVALENTS.includes(asset)) return 'usd'
+  return 'other'
+}
+
+/**
+ * Value every spot commission in USD at trade time
+ * Run after autoConvertToUSD: quote-currency commissions are already USD, everything else is still raw
+ * @param {Array} spotTrades - Converted spot trades (tagged with quoteCurrency)
+ * @param {Object} options - { fxRateHistory, cryptoPriceHistory } as for autoConvertToUSD
+ * @returns {Promise<Array>} Trades with commission in USD, commissionRaw (charged amount) and
+ *   commissionValuation ('none' | 'quote' | 'base' | 'usd' | 'historical' | 'current' | 'unvalued')
+ */
+export const normalizeSpotCommissions = async (spotTrades = [], options = {}) => {
+  const sources = spotTrades.map(getCommissionSource)
+
+  // Third-asset commissions (BNB, or INR on a USDT pair) need a dated price per asset
+  const tradesByAsset = {}
+  spotTrades.forEach((trade, index) => {
+    if (sources[index] !== 'other') return
+    const asset = trade.commissionAsset.toUpperCase()
+    if (!tradesByAsset[asset]) tradesByAsset[asset] = []
+    tradesByAsset[asset].push(trade)
+  })
+
+  const assets = Object.keys(tradesByAsset)
+  const { resolvers } = assets.length > 0
+    ? await createUsdRateResolvers(assets, tradesByAsset, options)
+    : { resolvers: {} }
+
+  return spotTrades.map((trade, index) => {
+    const source = sources[index]
+    const raw = parseFloat(trade.commission || 0)
+    let value = raw
+    let valuation = source
+
+    if (source === 'base') {
+      value = raw * parseFloat(trade.price || 0)
+    } else if (source === 'other') {
+      const resolver = resolvers[trade.commissionAsset.toUpperCase()]
+      const before = resolver.stats.historical
+      const rate = resolver.rateFor(trade.time)
+      value = rate === null ? 0 : raw * rate
+      valuation = rate === null ? 'unvalued' : resolver.stats.historical > before ? 'historical' : 'current'
+    }
+
+    return {
+      ...trade,
+      commission: String(value),
+      commissionRaw: trade.commission,
+      commissionValuation: valuation
+    }
+  })
+}
+
+const emptyBucket = () => ({
+  tradingFees: 0,
+  makerFees: 0,
+  takerFees: 0,
+  unclassifiedFees: 0,
+  fundingFees: 0,
+  liquidationFees: 0,
+  totalFees: 0,
+  spotFees: 0, // trading fees on fills with a known traded value (futures income has none)
+  tradedValue: 0,
+  grossPnL: 0
+})
+
+// Fee drag: share of gross (pre-fee) profit consumed by fees; null when there was no gross profit
+const withRatios = (bucket) => ({
+  ...bucket,
+  feeRateBps: bucket.tradedValue > 0 ? (bucket.spotFees / bucket.tradedValue) * 10000 : null,
+  feeDragPercent: bucket.grossPnL > 0 ? (bucket.totalFees / bucket.grossPnL) * 100 : null
+})
+
+/**
+ * Fee totals, maker/taker split, funding and liquidation fees, monthly fee drag and per-symbol breakdown
+ * Fees are positive amounts paid (rebates and funding received are negative)
+ * @param {Object} params
+ * @param {Array} params.spotTrades - Spot trades after normalizeSpotCommissions
+ * @param {Array} params.futuresIncome - Futures income records (USD)
+ * @param {Array} params.lotLedger - spotAnalyzer lotLedger, for gross spot P&L per sell
+ * @returns {Object}
+ */
+export const analyzeFees = ({ spotTrades = [], futuresIncome = [], lotLedger = [] }) => {
+  const totals = emptyBucket()
+  const monthly = {}
+  const bySymbol = {}
+  const byCommissionAsset = {}
+  const valuation = {}
+  let fundingPaid = 0
+  let fundingReceived = 0
+  let spotCommission = 0
+  let futuresCommission = 0
+
+  const buckets = (symbol, market, time) => {
+    const month = toMonthKey(time)
+    if (!monthly[month]) monthly[month] = { month, ...emptyBucket() }
+    const key = `${market}:${symbol}`
+    if (!bySymbol[key]) bySymbol[key] = { symbol, market, ...emptyBucket() }
+    return [totals, monthly[month], bySymbol[key]]
+  }
+  const add = (targets, field, amount) => targets.forEach(bucket => { bucket[field] += amount })
+
+  spotTrades.forEach(trade => {
+    const targets = buckets(trade.symbol, 'spot', trade.time)
+    const fee = parseFloat(trade.commission || 0)
+    const tradedValue = parseFloat(trade.quoteQty || 0) || parseFloat(trade.qty || 0) * parseFloat(trade.price || 0)
+    const liquidity = trade.isMaker === true ? 'makerFees' : trade.isMaker === false ? 'takerFees' : 'unclassifiedFees'
+
+    add(targets, 'tradedValue', tradedValue)
+    add(targets, 'spotFees', fee)
+    add(targets, 'tradingFees', fee)
+    add(targets, liquidity, fee)
+    add(targets, 'totalFees', fee)
+    spotCommission += fee
+
+    if (trade.commissionValuation && trade.commissionValuation !== 'none') {
+      valuation[trade.commissionValuation] = (valuation[trade.commissionValuation] || 0) + 1
+      const asset = String(trade.commissionAsset || trade.quoteCurrency || 'USD').toUpperCase()
+      if (!byCommissionAsset[asset]) byCommissionAsset[asset] = { asset, quantity: 0, value: 0, trades: 0 }
+      byCommissionAsset[asset].quantity += parseFloat(trade.commissionRaw ?? trade.commission ?? 0)
+      byCommissionAsset[asset].value += fee
+      byCommissionAsset[asset].trades++
+    }
+  })
+
+  // Gross spot P&L adds back the sell commission the ledger already deducted
+  lotLedger.forEach(entry => {
+    add(buckets(entry.symbol, 'spot', entry.sellTime), 'grossPnL', entry.pnl + (entry.commission || 0))
+  })
+
+  futuresIncome.forEach(record => {
+    const amount = parseFloat(record.income || 0)
+    const type = record.incomeType
+    const targets = buckets(record.symbol || 'UNKNOWN', 'futures', record.time)
+
+    if (type === 'REALIZED_PNL') {
+      add(targets, 'grossPnL', amount)
+    } else if (type === 'COMMISSION') {
+      const liquidity = record.isMaker === true ? 'makerFees' : record.isMaker === false ? 'takerFees' : 'unclassifiedFees'
+      add(targets, 'tradingFees', -amount)
+      add(targets, liquidity, -amount)
+      add(targets, 'totalFees', -amount)
+      futuresCommission -= amount
+    } else if (type === 'FUNDING_FEE') {
+      add(targets, 'fundingFees', -amount)
+      add(targets, 'totalFees', -amount)
+      if (amount < 0) fundingPaid -= amount
+      else fundingReceived += amount
+    } else if (LIQUIDATION_INCOME_TYPES.includes(type)) {
+      add(targets, 'liquidationFees', -amount)
+      add(targets, 'totalFees', -amount)
+    }
+  })
+
+  let cumulativeFees = 0
+  const monthlyRows = Object.values(monthly)
+    .sort((a, b) => a.month.localeCompare(b.month))
+    .map(row => {
+      cumulativeFees += row.totalFees
+      return { ...withRatios(row), cumulativeFees }
+    })
+
+  return {
+    ...withRatios(totals),
+    spotCommission,
+    futuresCommission,
+    fundingPaid,
+    fundingReceived,
+    netFunding: fundingReceived - fundingPaid,
+    valuation: {
+      quote: valuation.quote || 0,
+      base: valuation.base || 0,
+      usd: valuation.usd || 0,
+      historical: valuation.historical || 0,
+      current: valuation.current || 0,
+      unvalued: valuation.unvalued || 0
+    },
+    byCommissionAsset: Object.values(byCommissionAsset).sort((a, b) => b.value - a.value),
+    monthly: monthlyRows,
+    bySymbol: Object.values(bySymbol)
+      .filter(row => row.totalFees !== 0)
+      .map(withRatios)
+      .sort((a, b) => b.totalFees - a.totalFees)
+  }
+}
@@ -2,6 +2,9 @@
 // Handles FUTURES trading analysis using income records (realized P&L, commissions, funding fees)
 // NOTE: For futures, totalTrades = count of unique REALIZED_PNL records (each represents a completed trade)
 // This is different from spot where we count each transaction (buy AND sell separately)
+// Position-level stats (long vs short, holding time, leverage) come from fills via futuresPositions.js
+
+import { analyzeFuturesPositions, getEmptyPositionAnalysis } from './futuresPositions'
 
 export const analyzeFuturesTrades = (futuresData) => {
   // futuresData should contain: { trades, income, orders, positions }
@@ -62,8 +65,10 @@ export const analyzeFuturesTrades = (futuresData) => {
       }
     }
 
-    // Track by type
-    if (incomeByType[type] !== undefined) {
+    // Track by type (INSURANCE_CLEAR is the liquidation clearance fee)
+    if (type === 'INSURANCE_CLEAR') {
+      incomeByType.LIQUIDATION += amount
+    } else if (incomeByType[type] !== undefined) {
       incomeByType[type] += amount
     } else {
       incomeByType.OTHER += amount
@@ -192,6 +197,7 @@ export const analyzeFuturesTrades = (futuresData) => {
       unrealizedProfit: parseFloat(p.unrealizedProfit || 0),
       leverage: parseFloat(p.leverage || 1),
       margin: parseFloat(p.initialMargin || 0),
+      liquidationPrice: parseFloat(p.liquidationPrice || 0),
       side: parseFloat(p.positionAmt) > 0 ? 'LONG' : 'SHORT'
     }))
 
@@ -239,7 +245,8 @@ export const analyzeFuturesTrades = (futuresData) => {
     monthlyPnL,
     fundingBySymbol,
     commissionBySymbol,
-    incomeByType
+    incomeByType,
+    positionHistory: analyzeFuturesPositions({ trades, income, positions })
   }
 }
 
@@ -277,6 +284,7 @@ function getEmptyFuturesAnalysis() {
       TRANSFER: 0,
       LIQUIDATION: 0,
       OTHER: 0
-    }
+    },
+    positionHistory: getEmptyPositionAnalysis()
   }
 }
\ No newline at end of file
@@ -0,0 +1,355 @@
+// app/analyze/utils/futuresPositions.js
+
+/**
+ * Futures Position Reconstruction
+ * Rebuilds positions (open -> scale-ins -> partial closes -> exit) from futures fills and attaches
+ * income: REALIZED_PNL and COMMISSION by fill id, FUNDING_FEE by the time the position was held.
+ * One-way mode (positionSide BOTH) nets every fill on a symbol, so a fill larger than the open size
+ * closes the position and opens the opposite side; hedge mode keeps LONG and SHORT books apart.
+ * Everything is USD after autoConvertToUSD. Leverage isn't part of a fill, so it comes from the fill
+ * when the exchange sends it, else the symbol's current leverage from the positions snapshot.
+ */
+
+import { USD_EQUIVALENTS } from './currencyConverter'
+
+const EPSILON = 1e-9
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toNumber = (value) => {
+  const parsed = parseFloat(value)
+  return isFinite(parsed) ? parsed : 0
+}
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+
+const isBuyFill = (fill) => fill.side ? String(fill.side).toUpperCase() === 'BUY' : fill.buyer === true || fill.isBuyer === true
+
+const getPositionSide = (fill) => {
+  const side = String(fill.positionSide || 'BOTH').toUpperCase()
+  return side === 'LONG' || side === 'SHORT' ? side : 'BOTH'
+}
+
+/**
+ * Index income records by the fill they belong to (Binance tags REALIZED_PNL and COMMISSION with tradeId)
+ */
+function indexIncomeByFill(income) {
+  const byFill = {}
+  income.forEach(record => {
+    if (!record.tradeId) return
+    if (record.incomeType !== 'REALIZED_PNL' && record.incomeType !== 'COMMISSION') return
+    const key = `${record.symbol}:${record.tradeId}`
+    if (!byFill[key]) byFill[key] = { realizedPnL: null, commission: null }
+    const field = record.incomeType === 'REALIZED_PNL' ? 'realizedPnL' : 'commission'
+    byFill[key][field] = (byFill[key][field] || 0) + toNumber(record.income)
+  })
+  return byFill
+}
+
+/**
+ * Latest leverage per symbol from the exchange's positions snapshot
+ */
+function getSnapshotLeverage(positions) {
+  const leverage = {}
+  positions.forEach(position => {
+    const value = toNumber(position.leverage)
+    if (position.symbol && value > 0) leverage[position.symbol] = value
+  })
+  return leverage
+}
+
+function openPosition(fill, side, positionSide, snapshotLeverage) {
+  return {
+    id: `${fill.symbol}:${positionSide}:${fill.time}:${fill.id}`,
+    symbol: fill.symbol,
+    exchange: fill.exchange,
+    side,
+    positionSide,
+    status: 'OPEN',
+    entryTime: fill.time,
+    exitTime: null,
+    size: 0,
+    maxSize: 0,
+    peakNotional: 0,
+    openedQty: 0,
+    closedQty: 0,
+    entryValue: 0,
+    exitValue: 0,
+    entryFills: 0,
+    exitFills: 0,
+    scaleIns: 0,
+    partialCloses: 0,
+    realizedPnL: 0,
+    commission: 0,
+    funding: 0,
+    leverage: toNumber(fill.leverage) || snapshotLeverage[fill.symbol] || null,
+    contextOnly: true,
+    fills: [] // { id, time, side, action ENTRY|EXIT, qty, price } for trade replay
+  }
+}
+
+// Income for one fill, split when the fill both closes one side and opens the other
+function getFillIncome(fill, fillIncome, share) {
+  const commissionAsset = String(fill.commissionAsset || '').toUpperCase()
+  const fillCommission = !commissionAsset || USD_EQUIVALENTS.includes(commissionAsset) || commissionAsset === fill.quoteCurrency
+    ? -Math.abs(toNumber(fill.commission))
+    : 0
+
+  return {
+    commission: (fillIncome?.commission ?? fillCommission) * share,
+    realizedPnL: fillIncome?.realizedPnL ?? (fill.realizedPnl !== undefined ? toNumber(fill.realizedPnl) : null)
+  }
+}
+
+function increase(position, fill, qty, price, commission) {
+  if (!fill.isContextTrade) position.contextOnly = false
+  if (position.entryFills > 0) position.scaleIns++
+  position.entryFills++
+  position.size += qty
+  position.openedQty += qty
+  position.entryValue += qty * price
+  position.maxSize = Math.max(position.maxSize, position.size)
+  position.peakNotional = Math.max(position.peakNotional, position.size * price)
+  position.commission += commission
+  position.fills.push({ id: fill.id, time: fill.time, side: isBuyFill(fill) ? 'BUY' : 'SELL', action: 'ENTRY', qty, price })
+  if (!position.leverage && toNumber(fill.leverage) > 0) position.leverage = toNumber(fill.leverage)
+}
+
+function reduce(position, fill, qty, price, commission, realizedPnL) {
+  if (!fill.isContextTrade) position.contextOnly = false
+  const entryPrice = position.entryValue / position.openedQty
+  const direction = position.side === 'LONG' ? 1 : -1
+
+  position.exitFills++
+  position.size -= qty
+  position.closedQty += qty
+  position.exitValue += qty * price
+  position.commission += commission
+  position.realizedPnL += realizedPnL ?? (price - entryPrice) * qty * direction
+  position.fills.push({ id: fill.id, time: fill.time, side: isBuyFill(fill) ? 'BUY' : 'SELL', action: 'EXIT', qty, price })
+
+  if (position.size <= EPSILON) {
+    position.size = 0
+    position.status = 'CLOSED'
+    position.exitTime = fill.time
+  } else {
+    position.partialCloses++
+  }
+}
+
+function finalizePosition(position, now) {
+  const entryPrice = position.openedQty > 0 ? position.entryValue / position.openedQty : 0
+  const exitPrice = position.closedQty > 0 ? position.exitValue / position.closedQty : null
+  const netPnL = position.realizedPnL + position.commission + position.funding
+  const margin = position.leverage ? position.peakNotional / position.leverage : null
+
+  return {
+    ...position,
+    entryPrice,
+    exitPrice,
+    netPnL,
+    margin,
+    durationMs: (position.exitTime || now) - position.entryTime,
+    returnOnNotional: position.peakNotional > 0 ? (netPnL / position.peakNotional) * 100 : null,
+    // Leverage-adjusted return: P&L against the margin the peak position needed
+    returnOnMargin: margin > 0 ? (netPnL / margin) * 100 : null
+  }
+}
+
+// ============================================
+// RECONSTRUCTION
+// ============================================
+
+/**
+ * Rebuild futures positions from fills
+ * @param {Array} fills - Futures fills { symbol, side BUY|SELL, qty, price, commission, commissionAsset,
+ *   realizedPnl?, positionSide?, leverage?, time, id }
+ * @param {Array} income - Futures income records (USD), matched to fills by tradeId and to holds by time
+ * @param {Object} options - { positions: exchange snapshot (leverage), now }
+ * @returns {{ positions: Array, unmatchedFills: number }} Positions oldest first; unmatchedFills counts
+ *   closing fills whose opening fills are outside the synced history
+ */
+export function reconstructFuturesPositions(fills = [], income = [], options = {}) {
+  const now = options.now || Date.now()
+  const snapshotLeverage = getSnapshotLeverage(options.positions || [])
+  const incomeByFill = indexIncomeByFill(income)
+  const books = {}
+  const positions = []
+  let unmatchedFills = 0
+
+  const sortedFills = [...fills]
+    .filter(fill => fill.symbol && toNumber(fill.qty) > 0)
+    .sort((a, b) => a.time - b.time || String(a.id).localeCompare(String(b.id)))
+
+  sortedFills.forEach(fill => {
+    const qty = toNumber(fill.qty)
+    const price = toNumber(fill.price)
+    const isBuy = isBuyFill(fill)
+    const positionSide = getPositionSide(fill)
+    const bookKey = `${fill.symbol}:${positionSide}`
+    const fillIncome = incomeByFill[`${fill.symbol}:${fill.id}`]
+    let position = books[bookKey]
+
+    if (positionSide !== 'BOTH') {
+      // Hedge mode: LONG opens with buys, SHORT opens with sells
+      const opens = (positionSide === 'LONG') === isBuy
+      const { commission, realizedPnL } = getFillIncome(fill, fillIncome, 1)
+
+      if (opens) {
+        if (!position) {
+          position = openPosition(fill, positionSide, positionSide, snapshotLeverage)
+          books[bookKey] = position
+          positions.push(position)
+        }
+        increase(position, fill, qty, price, commission)
+      } else if (!position) {
+        unmatchedFills++
+      } else {
+        reduce(position, fill, Math.min(qty, position.size), price, commission, realizedPnL)
+        if (position.status === 'CLOSED') books[bookKey] = null
+      }
+      return
+    }
+
+    // One-way mode: the fill's direction decides whether it adds to or reduces the net position
+    const fillSide = isBuy ? 'LONG' : 'SHORT'
+    if (position && position.side === fillSide) {
+      increase(position, fill, qty, price, getFillIncome(fill, fillIncome, 1).commission)
+      return
+    }
+
+    if (!position) {
+      // A reducing fill with nothing open is the tail of a position opened before the synced history;
+      // it's indistinguishable from a fresh entry, so unmatched only when the exchange says P&L was realized
+      const realized = getFillIncome(fill, fillIncome, 1).realizedPnL
+      if (realized) {
+        unmatchedFills++
+        return
+      }
+      position = openPosition(fill, fillSide, positionSide, snapshotLeverage)
+      books[bookKey] = position
+      positions.push(position)
+      increase(position, fill, qty, price, getFillIncome(fill, fillIncome, 1).commission)
+      return
+    }
+
+    // Opposite side: close (part of) the position, and flip with whatever is left
+    const closingQty = Math.min(qty, position.size)
+    const remainingQty = qty - closingQty
+    const closingShare = closingQty / qty
+    const { commission, realizedPnL } = getFillIncome(fill, fillIncome, closingShare)
+    reduce(position, fill, closingQty, price, commission, realizedPnL)
+
+    if (position.status === 'CLOSED') {
+      books[bookKey] = null
+      if (remainingQty > EPSILON) {
+        const flipped = openPosition(fill, fillSide, positionSide, snapshotLeverage)
+        books[bookKey] = flipped
+        positions.push(flipped)
+        increase(flipped, fill, remainingQty, price, getFillIncome(fill, fillIncome, 1 - closingShare).commission)
+      }
+    }
+  })
+
+  // Funding is charged per symbol; positions held at the funding time share it by peak notional
+  income
+    .filter(record => record.incomeType === 'FUNDING_FEE')
+    .forEach(record => {
+      const held = positions.filter(p =>
+        p.symbol === record.symbol && p.entryTime <= record.time && (p.exitTime === null || p.exitTime >= record.time)
+      )
+      const totalNotional = held.reduce((sum, p) => sum + p.peakNotional, 0)
+      held.forEach(p => {
+        const share = totalNotional > 0 ? p.peakNotional / totalNotional : 1 / held.length
+        p.funding += toNumber(record.income) * share
+      })
+    })
+
+  return {
+    positions: positions.map(position => finalizePosition(position, now)),
+    unmatchedFills
+  }
+}
+
+// ============================================
+// SUMMARY
+// ============================================
+
+function summarizeSide(positions) {
+  const wins = positions.filter(p => p.netPnL > 0)
+  const losses = positions.filter(p => p.netPnL < 0)
+  const netPnL = positions.reduce((sum, p) => sum + p.netPnL, 0)
+  const marginReturns = positions.map(p => p.returnOnMargin).filter(value => value !== null)
+
+  return {
+    positions: positions.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: positions.length > 0 ? (wins.length / positions.length) * 100 : 0,
+    netPnL,
+    avgPnL: positions.length > 0 ? netPnL / positions.length : 0,
+    funding: positions.reduce((sum, p) => sum + p.funding, 0),
+    avgHoldingTimeMs: mean(positions.map(p => p.durationMs)),
+    avgReturnOnNotional: mean(positions.map(p => p.returnOnNotional).filter(value => value !== null)),
+    avgReturnOnMargin: mean(marginReturns),
+    bestPnL: positions.length > 0 ? Math.max(...positions.map(p => p.netPnL)) : 0,
+    worstPnL: positions.length > 0 ? Math.min(...positions.map(p => p.netPnL)) : 0
+  }
+}
+
+/**
+ * Position-level futures analysis (long vs short, holding time, leverage-adjusted returns)
+ * Statistics cover closed positions; open ones are listed but still moving
+ * @param {Object} futuresData - { trades (fills), income, positions }
+ * @param {Object} options - { now }
+ * @returns {Object} { available, positions, closedPositions, openPositions, bySide, ... }
+ */
+export function analyzeFuturesPositions({ trades = [], income = [], positions = [] } = {}, options = {}) {
+  if (trades.length === 0) {
+    return getEmptyPositionAnalysis()
+  }
+
+  const reconstructed = reconstructFuturesPositions(trades, income, { positions, now: options.now })
+  // Filtered views pass earlier fills as context (see analyticsFilters.js)
+  const inView = reconstructed.positions.filter(p => !p.contextOnly)
+  const closed = inView.filter(p => p.status === 'CLOSED')
+  const open = inView.filter(p => p.status === 'OPEN')
+  const leverages = closed.map(p => p.leverage).filter(Boolean)
+
+  return {
+    available: true,
+    positions: inView,
+    totalPositions: inView.length,
+    closedPositions: closed.length,
+    openPositions: open.length,
+    unmatchedFills: reconstructed.unmatchedFills,
+    overall: summarizeSide(closed),
+    bySide: {
+      LONG: summarizeSide(closed.filter(p => p.side === 'LONG')),
+      SHORT: summarizeSide(closed.filter(p => p.side === 'SHORT'))
+    },
+    avgScaleIns: mean(closed.map(p => p.scaleIns)),
+    avgPartialCloses: mean(closed.map(p => p.partialCloses)),
+    avgLeverage: mean(leverages),
+    maxLeverage: leverages.length > 0 ? Math.max(...leverages) : null
+  }
+}
+
+export function getEmptyPositionAnalysis() {
+  return {
+    available: false,
+    positions: [],
+    totalPositions: 0,
+    closedPositions: 0,
+    openPositions: 0,
+    unmatchedFills: 0,
+    overall: summarizeSide([]),
+    bySide: { LONG: summarizeSide([]), SHORT: summarizeSide([]) },
+    avgScaleIns: null,
+    avgPartialCloses: null,
+    avgLeverage: null,
+    maxLeverage: null
+  }
+}
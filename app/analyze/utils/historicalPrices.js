@@ -0,0 +1,71 @@
+// app/analyze/utils/historicalPrices.js
+// Daily USD closes for crypto assets from Binance's public klines (<ASSET>USDT, 1d candles)
+// Used to value pairs quoted in crypto (ETHBTC, SOLETH) at the quote asset's price on the trade date.
+// Public endpoint, so this works from the browser and from API routes alike
+
+const KLINES_URL = 'https://api.binance.com/api/v3/klines'
+const MAX_CANDLES_PER_REQUEST = 1000
+const FETCH_TIMEOUT_MS = 8000
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// asset -> { from, to, closes } - widened ranges replace narrower ones
+const closesCache = new Map()
+
+const toDateString = (ms) => new Date(ms).toISOString().split('T')[0]
+
+/**
+ * Daily close prices in USD for an asset between two dates (inclusive)
+ * @param {string} asset - e.g. 'BTC'
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @param {Object} options - { fetchImpl }
+ * @returns {Promise<Object|null>} { 'YYYY-MM-DD': close } or null when the pair isn't listed or the request fails
+ */
+export const fetchDailyCloses = async (asset, fromDate, toDate, options = {}) => {
+  if (!asset || !fromDate || !toDate) return null
+
+  const cached = closesCache.get(asset)
+  if (cached && cached.from <= fromDate && cached.to >= toDate) {
+    return cached.closes
+  }
+
+  const fetchImpl = options.fetchImpl || fetch
+  const startMs = Date.parse(`${fromDate}T00:00:00Z`)
+  const endMs = Date.parse(`${toDate}T00:00:00Z`) + DAY_MS - 1
+  const closes = {}
+
+  try {
+    for (let cursor = startMs; cursor <= endMs; cursor += MAX_CANDLES_PER_REQUEST * DAY_MS) {
+      const params = new URLSearchParams({
+        symbol: `${asset}USDT`,
+        interval: '1d',
+        startTime: String(cursor),
+        endTime: String(Math.min(endMs, cursor + MAX_CANDLES_PER_REQUEST * DAY_MS - 1)),
+        limit: String(MAX_CANDLES_PER_REQUEST)
+      })
+
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+      let candles
+      try {
+        const response = await fetchImpl(`${KLINES_URL}?${params.toString()}`, { signal: controller.signal })
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        candles = await response.json()
+      } finally {
+        clearTimeout(timeoutId)
+      }
+
+      // [openTime, open, high, low, close, ...]
+      candles.forEach(candle => {
+        const close = parseFloat(candle[4])
+        if (close > 0) closes[toDateString(candle[0])] = close
+      })
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not fetch ${asset} price history:`, error.message)
+    return null
+  }
+
+  closesCache.set(asset, { from: fromDate, to: toDate, closes })
+  return closes
+}
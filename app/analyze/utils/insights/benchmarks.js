@@ -1,6 +1,29 @@
 // app/analyze/utils/insights/benchmarks.js
 // Platform benchmarks for comparison
+// Live cohort distributions come from platform_benchmarks (aggregated by /api/cron/aggregate-benchmarks
+// from each user's analytics.benchmarkProfile); PLATFORM_BENCHMARKS is the fallback until a cohort exists
 
+const BENCHMARKS_API_ROUTE = '/api/analytics/benchmarks'
+const LIVE_CACHE_DURATION = 60 * 60 * 1000 // 1 hour - the aggregation job runs daily
+
+// Fewer users than this in a segment and it is not published (privacy + stable percentiles)
+export const MIN_BENCHMARK_COHORT_SIZE = 20
+// A user only joins a market's cohort with at least this many closed trades there
+export const MIN_BENCHMARK_PROFILE_TRADES = 5
+
+export const BENCHMARK_MARKETS = ['all', 'spot', 'futures']
+
+// By closed trade count; first match wins
+export const EXPERIENCE_BUCKETS = [
+  { id: 'experienced', minTrades: 300 },
+  { id: 'intermediate', minTrades: 50 },
+  { id: 'new', minTrades: 0 }
+]
+
+// Lower values rank better for these metrics (top25/top10 hold the smaller values)
+const LOWER_IS_BETTER = ['commissionEfficiency']
+
+// Static fallback distributions
 export const PLATFORM_BENCHMARKS = {
   winRate: {
     bottom25: 35,
@@ -34,35 +57,254 @@ export const PLATFORM_BENCHMARKS = {
   }
 }
 
+// Fetched cohorts by segment chain: { benchmarks, timestamp } - a request cache only, callers hold
+// the loaded benchmarks themselves and pass them to getBenchmarkMessage / calculatePercentile
+const liveCache = new Map()
+
+export const getExperienceBucket = (closedTrades = 0) =>
+  EXPERIENCE_BUCKETS.find(bucket => closedTrades >= bucket.minTrades).id
+
+const summarizeMarket = ({ completedTrades = 0, winningTrades = 0, losingTrades = 0, avgWin = 0, avgLoss = 0, fees = 0 }, exchangeCounts) => {
+  const grossProfit = avgWin * winningTrades
+  const grossLoss = avgLoss * losingTrades
+  const grossMoved = grossProfit + grossLoss
+  const exchange = Object.entries(exchangeCounts).sort((a, b) => b[1] - a[1])[0]?.[0] || 'unknown'
+
+  return {
+    exchange,
+    closedTrades: completedTrades,
+    winRate: completedTrades > 0 ? (winningTrades / completedTrades) * 100 : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    avgWin: winningTrades > 0 ? avgWin : null,
+    avgLoss: losingTrades > 0 ? -avgLoss : null, // Negative, same convention as PLATFORM_BENCHMARKS
+    commissionEfficiency: grossMoved > 0 ? Math.abs(fees) / grossMoved : null
+  }
+}
+
+/**
+ * Compact, anonymous per-market summary stored with the analytics cache for cohort aggregation
+ * @param {Object} spotAnalysis - analyzeSpotTrades result
+ * @param {Object} futuresAnalysis - analyzeFuturesData result
+ * @param {Array} allTrades - analytics.allTrades (for the primary exchange per market)
+ * @returns {{ experience, primaryMarket, markets: { all, spot, futures } }} All amounts in USD
+ */
+export function buildBenchmarkProfile(spotAnalysis = {}, futuresAnalysis = {}, allTrades = []) {
+  const exchangeCounts = { all: {}, spot: {}, futures: {} }
+  allTrades.forEach(trade => {
+    const exchange = trade.exchange || 'unknown'
+    exchangeCounts.all[exchange] = (exchangeCounts.all[exchange] || 0) + 1
+    if (exchangeCounts[trade.type]) {
+      exchangeCounts[trade.type][exchange] = (exchangeCounts[trade.type][exchange] || 0) + 1
+    }
+  })
+
+  const spot = { ...spotAnalysis, fees: spotAnalysis.totalCommission || 0 }
+  const futures = { ...futuresAnalysis, fees: futuresAnalysis.totalCommission || 0 }
+  const winningTrades = (spot.winningTrades || 0) + (futures.winningTrades || 0)
+  const losingTrades = (spot.losingTrades || 0) + (futures.losingTrades || 0)
+  const all = {
+    completedTrades: (spot.completedTrades || 0) + (futures.completedTrades || 0),
+    winningTrades,
+    losingTrades,
+    avgWin: winningTrades > 0 ? ((spot.avgWin || 0) * (spot.winningTrades || 0) + (futures.avgWin || 0) * (futures.winningTrades || 0)) / winningTrades : 0,
+    avgLoss: losingTrades > 0 ? ((spot.avgLoss || 0) * (spot.losingTrades || 0) + (futures.avgLoss || 0) * (futures.losingTrades || 0)) / losingTrades : 0,
+    fees: spot.fees + futures.fees
+  }
+
+  const markets = {
+    all: summarizeMarket(all, exchangeCounts.all),
+    spot: summarizeMarket(spot, exchangeCounts.spot),
+    futures: summarizeMarket(futures, exchangeCounts.futures)
+  }
+
+  // The headline metrics insights compare against are the combined ones, unless only one market is traded
+  const tradesSpot = markets.spot.closedTrades >= MIN_BENCHMARK_PROFILE_TRADES
+  const tradesFutures = markets.futures.closedTrades >= MIN_BENCHMARK_PROFILE_TRADES
+  const primaryMarket = tradesSpot && !tradesFutures ? 'spot' : tradesFutures && !tradesSpot ? 'futures' : 'all'
+
+  return {
+    experience: getExperienceBucket(markets.all.closedTrades),
+    primaryMarket,
+    markets
+  }
+}
+
+export const getBenchmarkSegmentKey = (exchange, market, experience) => `${exchange}:${market}:${experience}`
+
+/**
+ * Segments to try for a profile, most specific first; the last one is the whole platform
+ */
+export function getBenchmarkSegmentChain(profile) {
+  const market = profile?.primaryMarket || 'all'
+  const exchange = profile?.markets?.[market]?.exchange || 'all'
+  const experience = profile?.experience || 'all'
+
+  const chain = [
+    getBenchmarkSegmentKey(exchange, market, experience),
+    getBenchmarkSegmentKey(exchange, market, 'all'),
+    getBenchmarkSegmentKey('all', market, experience),
+    getBenchmarkSegmentKey('all', market, 'all'),
+    getBenchmarkSegmentKey('all', 'all', 'all')
+  ]
+  return [...new Set(chain)]
+}
+
+/**
+ * Linear-interpolated percentile of a sorted array (p in 0-100)
+ */
+const percentileOf = (sorted, p) => {
+  const index = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(index)
+  const upper = Math.ceil(index)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower)
+}
+
+const roundMetric = (value) => Math.round(value * 10000) / 10000
+
+/**
+ * Percentile distributions per segment from benchmark profiles
+ * Each profile joins exchange (its primary exchange and 'all') x market x experience (its bucket and 'all')
+ * for every market where it has MIN_BENCHMARK_PROFILE_TRADES closed trades. Segments and metrics with
+ * fewer than MIN_BENCHMARK_COHORT_SIZE users are dropped; nothing user-identifying is kept
+ * @param {Array} profiles - analytics.benchmarkProfile values, one per user
+ * @returns {Array} [{ segmentKey, exchange, market, experience, cohortSize, distributions }]
+ */
+export function aggregateBenchmarkDistributions(profiles = []) {
+  const segments = new Map()
+
+  profiles.forEach(profile => {
+    if (!profile?.markets) return
+
+    BENCHMARK_MARKETS.forEach(market => {
+      const stats = profile.markets[market]
+      if (!stats || stats.closedTrades < MIN_BENCHMARK_PROFILE_TRADES) return
+
+      const exchanges = [...new Set([stats.exchange || 'unknown', 'all'])]
+      const experiences = [...new Set([profile.experience || getExperienceBucket(stats.closedTrades), 'all'])]
+
+      exchanges.forEach(exchange => experiences.forEach(experience => {
+        const key = getBenchmarkSegmentKey(exchange, market, experience)
+        if (!segments.has(key)) {
+          segments.set(key, { segmentKey: key, exchange, market, experience, cohortSize: 0, values: {} })
+        }
+        const segment = segments.get(key)
+        segment.cohortSize++
+
+        Object.keys(PLATFORM_BENCHMARKS).forEach(metricName => {
+          const value = stats[metricName]
+          if (typeof value !== 'number' || !isFinite(value)) return
+          if (!segment.values[metricName]) segment.values[metricName] = []
+          segment.values[metricName].push(value)
+        })
+      }))
+    })
+  })
+
+  return [...segments.values()]
+    .filter(segment => segment.cohortSize >= MIN_BENCHMARK_COHORT_SIZE)
+    .map(({ values, ...segment }) => {
+      const distributions = {}
+      Object.entries(values).forEach(([metricName, metricValues]) => {
+        if (metricValues.length < MIN_BENCHMARK_COHORT_SIZE) return
+        const sorted = [...metricValues].sort((a, b) => a - b)
+        const lowerIsBetter = LOWER_IS_BETTER.includes(metricName)
+
+        distributions[metricName] = {
+          bottom25: roundMetric(percentileOf(sorted, lowerIsBetter ? 75 : 25)),
+          median: roundMetric(percentileOf(sorted, 50)),
+          top25: roundMetric(percentileOf(sorted, lowerIsBetter ? 25 : 75)),
+          top10: roundMetric(percentileOf(sorted, lowerIsBetter ? 10 : 90)),
+          sampleSize: sorted.length
+        }
+      })
+      return { ...segment, distributions }
+    })
+    .filter(segment => Object.keys(segment.distributions).length > 0)
+}
+
+/**
+ * Fetch the live cohort distributions for a benchmark profile (client-side, cached for an hour)
+ * Failures resolve to null, which keeps the static table in place
+ * @returns {Promise<Object|null>} { segment, cohortSize, computedAt, distributions } or null
+ */
+export async function loadPlatformBenchmarks(profile) {
+  if (typeof window === 'undefined') return null
+
+  const chain = getBenchmarkSegmentChain(profile)
+  const cacheKey = chain.join('|')
+  const cached = liveCache.get(cacheKey)
+  if (cached && Date.now() - cached.timestamp < LIVE_CACHE_DURATION) {
+    return cached.benchmarks
+  }
+
+  let benchmarks = null
+  try {
+    const response = await fetch(`${BENCHMARKS_API_ROUTE}?segments=${encodeURIComponent(chain.join(','))}`)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const data = await response.json()
+    benchmarks = data.success && data.benchmarks ? data.benchmarks : null
+  } catch (error) {
+    console.error('⚠️ Failed to fetch platform benchmarks:', error.message)
+  }
+
+  liveCache.set(cacheKey, { benchmarks, timestamp: Date.now() })
+  return benchmarks
+}
+
+/**
+ * Benchmark bands for a metric: the cohort's distribution when one is given, else the static table
+ * @param {string} metricName
+ * @param {Object|null} benchmarks - loadPlatformBenchmarks result
+ * @returns {Object|null} { bottom25, median, top25, top10, live, cohortSize? }
+ */
+export function getPlatformBenchmarks(metricName, benchmarks = null) {
+  const live = benchmarks?.distributions?.[metricName]
+  if (live) {
+    return { ...live, live: true, segment: benchmarks.segment, cohortSize: benchmarks.cohortSize }
+  }
+  const fallback = PLATFORM_BENCHMARKS[metricName]
+  return fallback ? { ...fallback, live: false } : null
+}
+
+/**
+ * userMetric ranks at or above a band threshold
+ */
+const reaches = (userMetric, threshold, metricName) =>
+  LOWER_IS_BETTER.includes(metricName) ? userMetric <= threshold : userMetric >= threshold
+
 /**
  * Get benchmark message for a metric
+ * @param {Object|null} platformBenchmarks - loadPlatformBenchmarks result (static table when null)
  */
-export function getBenchmarkMessage(userMetric, metricName) {
-  const benchmarks = PLATFORM_BENCHMARKS[metricName]
+export function getBenchmarkMessage(userMetric, metricName, platformBenchmarks = null) {
+  const benchmarks = getPlatformBenchmarks(metricName, platformBenchmarks)
   if (!benchmarks) return null
 
-  if (userMetric >= benchmarks.top10) {
+  if (reaches(userMetric, benchmarks.top10, metricName)) {
     return {
       level: 'top10',
       message: `🏆 Top 10% (${userMetric.toFixed(1)} vs ${benchmarks.median} avg)`,
       percentile: 'top 10%',
       color: 'emerald'
     }
-  } else if (userMetric >= benchmarks.top25) {
+  } else if (reaches(userMetric, benchmarks.top25, metricName)) {
     return {
       level: 'top25',
       message: `📈 Above Average (${userMetric.toFixed(1)} vs ${benchmarks.median} avg)`,
       percentile: 'top 25%',
       color: 'emerald'
     }
-  } else if (userMetric >= benchmarks.median) {
+  } else if (reaches(userMetric, benchmarks.median, metricName)) {
     return {
       level: 'median',
       message: `📊 Average (${userMetric.toFixed(1)} vs ${benchmarks.median} avg)`,
       percentile: '50th percentile',
       color: 'slate'
     }
-  } else if (userMetric >= benchmarks.bottom25) {
+  } else if (reaches(userMetric, benchmarks.bottom25, metricName)) {
     return {
       level: 'belowMedian',
       message: `📉 Below Average (${userMetric.toFixed(1)} vs ${benchmarks.median} avg)`,
@@ -70,7 +312,7 @@ export function getBenchmarkMessage(userMetric, metricName) {
       color: 'amber'
     }
   } else {
-    const gap = benchmarks.top25 - userMetric
+    const gap = Math.abs(benchmarks.top25 - userMetric)
     return {
       level: 'bottom25',
       message: `⚠️ Bottom 25% (${userMetric.toFixed(1)} vs ${benchmarks.median} avg)`,
@@ -83,14 +325,15 @@ export function getBenchmarkMessage(userMetric, metricName) {
 
 /**
  * Calculate percentile rank for a metric
+ * @param {Object|null} platformBenchmarks - loadPlatformBenchmarks result (static table when null)
  */
-export function calculatePercentile(userMetric, metricName) {
-  const benchmarks = PLATFORM_BENCHMARKS[metricName]
+export function calculatePercentile(userMetric, metricName, platformBenchmarks = null) {
+  const benchmarks = getPlatformBenchmarks(metricName, platformBenchmarks)
   if (!benchmarks) return null
 
-  if (userMetric >= benchmarks.top10) return 95
-  if (userMetric >= benchmarks.top25) return 75
-  if (userMetric >= benchmarks.median) return 50
-  if (userMetric >= benchmarks.bottom25) return 25
+  if (reaches(userMetric, benchmarks.top10, metricName)) return 95
+  if (reaches(userMetric, benchmarks.top25, metricName)) return 75
+  if (reaches(userMetric, benchmarks.median, metricName)) return 50
+  if (reaches(userMetric, benchmarks.bottom25, metricName)) return 25
   return 10
 }
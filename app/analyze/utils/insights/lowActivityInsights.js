@@ -2,13 +2,14 @@
 // Generates insights for users with limited trading data (10-50 trades)
 // Focuses on benchmarks, education, and emerging patterns
 
-import { getBenchmarkMessage, calculatePercentile } from './benchmarks'
+import { getBenchmarkMessage, calculatePercentile, getPlatformBenchmarks } from './benchmarks'
 
 /**
  * Generate insights for low-activity traders
  * Works with as few as 5 trades
+ * @param {Object|null} benchmarks - Live cohort benchmarks (loadPlatformBenchmarks); static table when null
  */
-export function generateLowActivityInsights(analytics, psychology, allTrades = []) {
+export function generateLowActivityInsights(analytics, psychology, allTrades = [], benchmarks = null) {
   const insights = []
   const tradeCount = allTrades.length || analytics.totalTrades || 0
   
@@ -16,7 +17,8 @@ export function generateLowActivityInsights(analytics, psychology, allTrades = [
 
   // 1. Benchmark Comparisons (works with ANY trade count)
   if (analytics.winRate !== undefined && analytics.winRate !== null) {
-    const benchmark = getBenchmarkMessage(analytics.winRate, 'winRate')
+    const benchmark = getBenchmarkMessage(analytics.winRate, 'winRate', benchmarks)
+    const { median } = getPlatformBenchmarks('winRate', benchmarks)
     if (benchmark) {
       insights.push({
         type: 'benchmark',
@@ -26,7 +28,7 @@ export function generateLowActivityInsights(analytics, psychology, allTrades = [
         summary: benchmark.message,
         percentile: benchmark.percentile,
         userValue: analytics.winRate,
-        benchmarkValue: 48, // Platform median
+        benchmarkValue: median, // Cohort median (static platform median until live benchmarks load)
         color: benchmark.color,
         confidence: tradeCount >= 20 ? 'high' : tradeCount >= 10 ? 'medium' : 'low',
         dataPoints: tradeCount,
@@ -53,7 +55,8 @@ export function generateLowActivityInsights(analytics, psychology, allTrades = [
 
   // 2. Profit Factor Benchmark
   if (analytics.profitFactor !== undefined && analytics.profitFactor !== null) {
-    const benchmark = getBenchmarkMessage(analytics.profitFactor, 'profitFactor')
+    const benchmark = getBenchmarkMessage(analytics.profitFactor, 'profitFactor', benchmarks)
+    const { median } = getPlatformBenchmarks('profitFactor', benchmarks)
     if (benchmark) {
       insights.push({
         type: 'benchmark',
@@ -63,13 +66,13 @@ export function generateLowActivityInsights(analytics, psychology, allTrades = [
         summary: benchmark.message,
         percentile: benchmark.percentile,
         userValue: analytics.profitFactor,
-        benchmarkValue: 1.2,
+        benchmarkValue: median,
         color: benchmark.color,
         confidence: tradeCount >= 20 ? 'high' : tradeCount >= 10 ? 'medium' : 'low',
         dataPoints: tradeCount,
         action: {
-          title: analytics.profitFactor < 1.2 ? 'Improve Risk/Reward' : 'Maintain Strategy',
-          steps: analytics.profitFactor < 1.2
+          title: analytics.profitFactor < median ? 'Improve Risk/Reward' : 'Maintain Strategy',
+          steps: analytics.profitFactor < median
             ? [
                 'Let winners run longer',
                 'Cut losses faster',
@@ -80,9 +83,9 @@ export function generateLowActivityInsights(analytics, psychology, allTrades = [
                 'Keep risk/reward consistent',
                 'Document what works'
               ],
-          expectedImpact: analytics.profitFactor < 1.2 ? 'Could reach 1.5x+' : 'Maintain current'
+          expectedImpact: analytics.profitFactor < median ? 'Could reach 1.5x+' : 'Maintain current'
         },
-        impact: analytics.profitFactor < 1 ? 4 : analytics.profitFactor < 1.2 ? 3 : 1,
+        impact: analytics.profitFactor < 1 ? 4 : analytics.profitFactor < median ? 3 : 1,
         potentialSavings: 0
       })
     }
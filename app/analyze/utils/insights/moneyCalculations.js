@@ -3,8 +3,16 @@
 
 /**
  * Calculate potential savings from tightening stop losses
+ * With MAE data (analytics.excursions) the stop is where most of the user's winners never went
+ * against them, and the estimate nets out the winners that stop would have closed at a loss;
+ * otherwise it assumes a fixed targetStopLossPercent stop
  */
-export function calculateStopLossSavings(trades, targetStopLossPercent = 0.02) {
+export function calculateStopLossSavings(trades, targetStopLossPercent = 0.02, excursions = null) {
+  if (excursions?.available && excursions.suggestedStopPercent) {
+    const fromExcursions = calculateStopLossSavingsFromExcursions(excursions)
+    if (fromExcursions) return fromExcursions
+  }
+
   if (!trades || trades.length === 0) return null
 
   const losers = trades.filter(t => t.pnl && t.pnl < 0)
@@ -42,11 +50,48 @@ export function calculateStopLossSavings(trades, targetStopLossPercent = 0.02) {
     avgTargetLoss,
     lossReduction,
     affectedTrades: losersWithEntry.length,
+    stopPercent: targetStopLossPercent * 100,
+    basedOnExcursions: false,
     message: `Tightening stop losses to ${(targetStopLossPercent * 100).toFixed(0)}% would've saved $${totalSavings.toFixed(0)}`,
     action: `Set ${(targetStopLossPercent * 100).toFixed(0)}% stop loss on every trade`
   }
 }
 
+/**
+ * Stop loss savings replayed over measured trades: losers whose MAE passed the stop would have lost
+ * only the stop; winners whose MAE passed it would have been stopped out instead of winning
+ */
+function calculateStopLossSavingsFromExcursions(excursions) {
+  const stopPercent = excursions.suggestedStopPercent
+  const trips = excursions.trips.filter(t => t.entryValue > 0)
+  const stopLoss = (trip) => trip.entryValue * (stopPercent / 100)
+
+  const stoppedLosers = trips.filter(t => t.pnl < 0 && t.maePercent > stopPercent && Math.abs(t.pnl) > stopLoss(t))
+  const stoppedWinners = trips.filter(t => t.pnl > 0 && t.maePercent > stopPercent)
+  if (stoppedLosers.length === 0) return null
+
+  const saved = stoppedLosers.reduce((sum, t) => sum + Math.abs(t.pnl) - stopLoss(t), 0)
+  const givenUp = stoppedWinners.reduce((sum, t) => sum + t.pnl + stopLoss(t), 0)
+  const totalSavings = saved - givenUp
+  if (totalSavings <= 0) return null
+
+  const avgCurrentLoss = stoppedLosers.reduce((sum, t) => sum + Math.abs(t.pnl), 0) / stoppedLosers.length
+  const avgTargetLoss = stoppedLosers.reduce((sum, t) => sum + stopLoss(t), 0) / stoppedLosers.length
+
+  return {
+    potentialSavings: totalSavings,
+    avgCurrentLoss,
+    avgTargetLoss,
+    lossReduction: ((avgCurrentLoss - avgTargetLoss) / avgCurrentLoss) * 100,
+    affectedTrades: stoppedLosers.length,
+    stoppedWinners: stoppedWinners.length,
+    stopPercent,
+    basedOnExcursions: true,
+    message: `A ${stopPercent}% stop - further than ${excursions.stopPercentile}% of your winners ever went against you - would've saved $${totalSavings.toFixed(0)}`,
+    action: `Set a ${stopPercent}% stop loss on every trade`
+  }
+}
+
 /**
  * Calculate potential savings from using limit orders instead of market orders
  */
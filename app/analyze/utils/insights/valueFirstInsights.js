@@ -9,14 +9,15 @@ import { generateLowActivityInsights } from './lowActivityInsights'
 /**
  * Generate all value-first insights with money calculations
  * Adapts to trade count - works with as few as 5 trades
+ * @param {Object|null} benchmarks - Live cohort benchmarks (loadPlatformBenchmarks); static table when null
  */
-export function generateValueFirstInsights(analytics, psychology, allTrades) {
+export function generateValueFirstInsights(analytics, psychology, allTrades, benchmarks = null) {
   const insights = []
   const tradeCount = allTrades?.length || analytics.totalTrades || 0
   
   // For low-activity traders (under 30 trades), use specialized insights
   if (tradeCount < 30) {
-    const lowActivityData = generateLowActivityInsights(analytics, psychology, allTrades || [])
+    const lowActivityData = generateLowActivityInsights(analytics, psychology, allTrades || [], benchmarks)
     return {
       ...lowActivityData,
       all: lowActivityData.insights.map(insight => enhanceInsightForDisplay(insight, analytics)),
@@ -29,7 +30,8 @@ export function generateValueFirstInsights(analytics, psychology, allTrades) {
   // For active traders (30+ trades), use full insights
   // 1. Stop Loss Analysis - Lower threshold for smaller accounts
   if (allTrades && allTrades.length > 0) {
-    const stopLossInsight = calculateStopLossSavings(allTrades, 0.02)
+    // Stop from the user's own MAE distribution when candles were available, else a fixed 2%
+    const stopLossInsight = calculateStopLossSavings(allTrades, 0.02, analytics.excursions)
     // Lower threshold: show even if savings is $20+ (was $50+)
     const minSavings = analytics.totalPnL > 1000 ? 50 : 20
     if (stopLossInsight && stopLossInsight.potentialSavings > minSavings) {
@@ -48,7 +50,7 @@ export function generateValueFirstInsights(analytics, psychology, allTrades) {
         action: {
           title: stopLossInsight.action,
           steps: [
-            'Set 2% stop loss on every trade before entering',
+            `Set ${stopLossInsight.stopPercent}% stop loss on every trade before entering`,
             'Never move stop loss further away',
             'Use trailing stops to protect profits'
           ],
@@ -251,6 +253,58 @@ export function generateValueFirstInsights(analytics, psychology, allTrades) {
     })
   }
 
+  // 8. Exit efficiency & stop placement from MAE / MFE
+  const excursionDiagnosis = analytics.excursions?.diagnosis
+  if (excursionDiagnosis?.targetsTooEarly) {
+    const winners = analytics.excursions.winners
+    insights.push({
+      type: 'weakness',
+      category: 'opportunity',
+      title: 'Winners Exited Too Early',
+      message: `Your winning trades kept ${winners.avgExitEfficiency.toFixed(0)}% of the best move available while they were open`,
+      summary: `Price went ${winners.avgMfePercent.toFixed(1)}% your way on average before you took profit`,
+      potentialSavings: 0,
+      actionDifficulty: 'medium',
+      isCounterIntuitive: true,
+      dataPoints: winners.count,
+      affectedTrades: winners.count,
+      action: {
+        title: 'Let Winners Run',
+        steps: [
+          'Take partial profit at your usual target and trail a stop on the rest',
+          'Move targets out toward the average favorable move',
+          'Review replays of your biggest winners to see where price went after you exited'
+        ],
+        expectedImpact: `Keep more of the ${excursionDiagnosis.moveLeftOnTablePercent.toFixed(0)}% of each move you leave behind`
+      },
+      impact: 3
+    })
+  }
+
+  if (excursionDiagnosis?.stopsTooTight) {
+    insights.push({
+      type: 'weakness',
+      category: 'risk_management',
+      title: 'Stops Too Tight',
+      message: `${excursionDiagnosis.cutEarlyShare.toFixed(0)}% of your losing trades were closed before price moved as far against them as your typical winner does`,
+      summary: `Your winners usually sit through a ${analytics.excursions.winners.medianMaePercent.toFixed(1)}% adverse move`,
+      potentialSavings: 0,
+      actionDifficulty: 'medium',
+      isCounterIntuitive: true,
+      dataPoints: analytics.excursions.losers.count,
+      affectedTrades: analytics.excursions.losers.count,
+      action: {
+        title: 'Give Trades Room',
+        steps: [
+          `Place stops beyond the ${analytics.excursions.winners.medianMaePercent.toFixed(1)}% noise your winners go through`,
+          'Reduce position size so a wider stop risks the same amount'
+        ],
+        expectedImpact: 'Fewer good trades stopped out before they work'
+      },
+      impact: 2
+    })
+  }
+
   // Prioritize and enhance all insights
   const prioritized = prioritizeInsights(insights, analytics)
   
@@ -0,0 +1,320 @@
+// app/analyze/utils/leverageRiskAnalyzer.js
+
+/**
+ * Leverage & Liquidation Risk
+ * Works on positions rebuilt by futuresPositions.js:
+ * - liquidations: LIQUIDATION / INSURANCE_CLEAR income, tied to the position that closed at that time
+ * - near-liquidations: closed positions that gave back most of their margin without being liquidated,
+ *   and open positions whose mark price is close to the exchange's liquidation price
+ * - effective leverage: peak notional against the futures wallet balance (portfolio snapshots) when the
+ *   position was opened, which is what a liquidation actually eats into - not the leverage setting
+ * - leverage buckets and the correlation between leverage and return
+ * Warnings are scored and ordered by insightsPrioritizationEngine like every other insight
+ */
+
+import { prioritizeInsights } from './insights/insightsPrioritizationEngine'
+import { LIQUIDATION_INCOME_TYPES } from './feeNormalization'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// A liquidation fee is booked within moments of the closing fill
+const LIQUIDATION_MATCH_WINDOW_MS = 5 * MINUTE_MS
+// Closed positions that lost this share of their margin came close to being liquidated
+const NEAR_LIQUIDATION_MARGIN_LOSS = 75
+// Open positions this close (% of mark price) to their liquidation price
+const NEAR_LIQUIDATION_DISTANCE_PERCENT = 10
+// Wallet snapshots older than this before a position opened don't describe its margin
+const MAX_SNAPSHOT_AGE_MS = 7 * DAY_MS
+const MIN_POSITIONS_PER_BUCKET = 3
+const MIN_POSITIONS_FOR_CORRELATION = 10
+const HIGH_LEVERAGE = 10
+
+export const LEVERAGE_BUCKETS = [
+  { label: '< 3x', min: 0, max: 3 },
+  { label: '3-5x', min: 3, max: 5 },
+  { label: '5-10x', min: 5, max: 10 },
+  { label: '10-20x', min: 10, max: 20 },
+  { label: '20x+', min: 20, max: Infinity }
+]
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const formatUsd = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null
+
+// Pearson correlation; null when either series has no spread
+function correlation(xs, ys) {
+  const mx = mean(xs)
+  const my = mean(ys)
+  let covariance = 0
+  let varianceX = 0
+  let varianceY = 0
+  xs.forEach((x, i) => {
+    covariance += (x - mx) * (ys[i] - my)
+    varianceX += (x - mx) ** 2
+    varianceY += (ys[i] - my) ** 2
+  })
+  return varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : null
+}
+
+/**
+ * Futures wallet balance when a position opened: the latest snapshot at or before entry
+ * (same exchange when both sides know it), else the first one shortly after
+ */
+function findMarginBalance(snapshots, position) {
+  const candidates = snapshots.filter(snap => !snap.exchange || !position.exchange || snap.exchange === position.exchange)
+  let before = null
+  let after = null
+  candidates.forEach(snap => {
+    if (snap.time <= position.entryTime) {
+      if (position.entryTime - snap.time <= MAX_SNAPSHOT_AGE_MS && (!before || snap.time > before.time)) before = snap
+    } else if (snap.time - position.entryTime <= MAX_SNAPSHOT_AGE_MS && (!after || snap.time < after.time)) {
+      after = snap
+    }
+  })
+  return (before || after)?.balance || null
+}
+
+function summarizeBucket(bucket, positions) {
+  const wins = positions.filter(p => p.netPnL > 0).length
+  return {
+    label: bucket.label,
+    positions: positions.length,
+    winRate: positions.length > 0 ? (wins / positions.length) * 100 : 0,
+    netPnL: positions.reduce((sum, p) => sum + p.netPnL, 0),
+    avgReturnOnNotional: mean(positions.map(p => p.returnOnNotional).filter(value => value !== null)),
+    liquidations: positions.filter(p => p.liquidated).length
+  }
+}
+
+// ============================================
+// WARNINGS
+// ============================================
+
+function buildWarnings({ liquidations, nearLiquidations, openAtRisk, buckets, leverageReturnCorrelation, positions }) {
+  const warnings = []
+
+  if (liquidations.length > 0) {
+    const lost = liquidations.reduce((sum, l) => sum + Math.max(0, -(l.positionPnL || 0)) + l.fee, 0)
+    warnings.push({
+      type: 'weakness',
+      category: 'risk_management',
+      title: liquidations.length === 1 ? 'Position Liquidated' : `Liquidated ${liquidations.length} Times`,
+      message: `Liquidations cost you ${formatUsd(lost)} including ${formatUsd(liquidations.reduce((sum, l) => sum + l.fee, 0))} in clearance fees`,
+      summary: 'A liquidation takes the whole margin plus a fee - a stop loss would have exited for less',
+      potentialSavings: lost * 0.5,
+      impact: 4,
+      actionDifficulty: 'easy',
+      dataPoints: liquidations.length,
+      source: 'leverage_risk',
+      action: {
+        title: 'Exit Before the Exchange Does',
+        steps: [
+          'Place a stop loss well before the liquidation price on every position',
+          'Size positions so a normal daily move cannot reach liquidation',
+          'Lower leverage on the symbols that were liquidated'
+        ]
+      }
+    })
+  }
+
+  if (openAtRisk.length > 0) {
+    const closest = openAtRisk.reduce((min, p) => p.distancePercent < min.distancePercent ? p : min)
+    warnings.push({
+      type: 'weakness',
+      category: 'risk_management',
+      title: 'Open Position Near Liquidation',
+      message: `${closest.symbol} ${closest.side.toLowerCase()} is ${closest.distancePercent.toFixed(1)}% from its liquidation price`,
+      summary: `${openAtRisk.length} open position${openAtRisk.length === 1 ? ' is' : 's are'} within ${NEAR_LIQUIDATION_DISTANCE_PERCENT}% of liquidation`,
+      potentialSavings: openAtRisk.reduce((sum, p) => sum + (p.margin || 0), 0),
+      impact: 4,
+      actionDifficulty: 'easy',
+      dataPoints: openAtRisk.length,
+      source: 'leverage_risk',
+      action: {
+        title: 'Reduce Exposure Now',
+        steps: ['Add margin or cut the position size', 'Set a stop loss before the liquidation price']
+      }
+    })
+  }
+
+  if (nearLiquidations.length > 0) {
+    warnings.push({
+      type: 'weakness',
+      category: 'risk_management',
+      title: 'Near-Liquidation Exits',
+      message: `${nearLiquidations.length} position${nearLiquidations.length === 1 ? '' : 's'} lost ${NEAR_LIQUIDATION_MARGIN_LOSS}%+ of their margin before you closed them`,
+      summary: 'These trades were one move away from a liquidation',
+      potentialSavings: nearLiquidations.reduce((sum, p) => sum + Math.max(0, -p.netPnL), 0) * 0.3,
+      impact: 3,
+      actionDifficulty: 'medium',
+      dataPoints: nearLiquidations.length,
+      source: 'leverage_risk',
+      action: {
+        title: 'Cut Losers Earlier',
+        steps: [
+          'Decide the maximum margin loss before entering',
+          'Use lower leverage so the same stop costs less margin'
+        ]
+      }
+    })
+  }
+
+  const high = buckets.filter(b => b.min >= HIGH_LEVERAGE && b.positions > 0)
+  const low = buckets.filter(b => b.max <= 5 && b.positions > 0)
+  const highCount = high.reduce((sum, b) => sum + b.positions, 0)
+  const lowCount = low.reduce((sum, b) => sum + b.positions, 0)
+  if (highCount >= MIN_POSITIONS_PER_BUCKET && lowCount >= MIN_POSITIONS_PER_BUCKET) {
+    const highPnL = high.reduce((sum, b) => sum + b.netPnL, 0)
+    const lowPnL = low.reduce((sum, b) => sum + b.netPnL, 0)
+    const highWinRate = high.reduce((sum, b) => sum + b.winRate * b.positions, 0) / highCount
+    const lowWinRate = low.reduce((sum, b) => sum + b.winRate * b.positions, 0) / lowCount
+    if (highPnL < 0 && highWinRate < lowWinRate) {
+      warnings.push({
+        type: 'weakness',
+        category: 'risk_management',
+        title: 'High Leverage Is Losing Money',
+        message: `At ${HIGH_LEVERAGE}x+ you win ${highWinRate.toFixed(0)}% of positions (net ${formatUsd(highPnL)}), vs ${lowWinRate.toFixed(0)}% (net ${formatUsd(lowPnL)}) at 5x or less`,
+        summary: 'Your results get worse as leverage goes up',
+        potentialSavings: Math.abs(highPnL),
+        impact: 3,
+        actionDifficulty: 'easy',
+        dataPoints: highCount + lowCount,
+        source: 'leverage_risk',
+        action: {
+          title: 'Cap Your Leverage',
+          steps: [`Set a hard cap below ${HIGH_LEVERAGE}x`, 'Trade smaller size instead of adding leverage']
+        }
+      })
+    }
+  }
+
+  if (leverageReturnCorrelation !== null && leverageReturnCorrelation <= -0.3 && positions >= MIN_POSITIONS_FOR_CORRELATION) {
+    warnings.push({
+      type: 'weakness',
+      category: 'risk_management',
+      title: 'More Leverage, Worse Returns',
+      message: `Leverage and return per position move against each other (correlation ${leverageReturnCorrelation.toFixed(2)})`,
+      summary: 'Your bigger leveraged bets have been your worse trades',
+      impact: 2,
+      actionDifficulty: 'medium',
+      dataPoints: positions,
+      source: 'leverage_risk'
+    })
+  }
+
+  return warnings
+}
+
+// ============================================
+// MAIN ANALYSIS
+// ============================================
+
+/**
+ * @param {Object} params
+ * @param {Object} params.positionHistory - futuresAnalysis.positionHistory (futuresPositions.js)
+ * @param {Array} params.income - Futures income records (USD)
+ * @param {Array} params.openPositions - futuresAnalysis.openPositions (exchange snapshot with liquidationPrice)
+ * @param {Array} params.marginSnapshots - [{ time, exchange, balance }] futures wallet value over time (USD)
+ * @returns {Object} { liquidations, nearLiquidations, openAtRisk, positions, buckets, warnings, ... }
+ */
+export function analyzeLeverageRisk({ positionHistory, income = [], openPositions = [], marginSnapshots = [] } = {}) {
+  const positions = (positionHistory?.positions || []).map(position => {
+    const marginBalance = findMarginBalance(marginSnapshots, position)
+    return {
+      ...position,
+      marginBalance,
+      effectiveLeverage: marginBalance > 0 ? position.peakNotional / marginBalance : position.leverage,
+      effectiveLeverageSource: marginBalance > 0 ? 'balance' : position.leverage ? 'setting' : null,
+      liquidated: false
+    }
+  })
+
+  // Liquidation fees, each tied to the position on that symbol that closed (or was open) at the time
+  const liquidations = income
+    .filter(record => LIQUIDATION_INCOME_TYPES.includes(record.incomeType))
+    .map(record => {
+      const time = Number(record.time)
+      const position = positions.find(p =>
+        p.symbol === record.symbol &&
+        p.entryTime <= time + LIQUIDATION_MATCH_WINDOW_MS &&
+        (p.exitTime === null || Math.abs(p.exitTime - time) <= LIQUIDATION_MATCH_WINDOW_MS)
+      )
+      if (position) position.liquidated = true
+      return {
+        symbol: record.symbol,
+        time,
+        fee: Math.abs(parseFloat(record.income || 0)),
+        positionId: position?.id || null,
+        positionPnL: position ? position.netPnL : null,
+        effectiveLeverage: position?.effectiveLeverage || null
+      }
+    })
+
+  const closed = positions.filter(p => p.status === 'CLOSED')
+
+  const nearLiquidations = closed
+    .filter(p => !p.liquidated && p.returnOnMargin !== null && p.returnOnMargin <= -NEAR_LIQUIDATION_MARGIN_LOSS)
+    .map(p => ({ id: p.id, symbol: p.symbol, side: p.side, exitTime: p.exitTime, marginLossPercent: -p.returnOnMargin, netPnL: p.netPnL }))
+
+  const openAtRisk = openPositions
+    .filter(p => p.liquidationPrice > 0 && p.markPrice > 0)
+    .map(p => ({
+      symbol: p.symbol,
+      side: p.side,
+      leverage: p.leverage,
+      margin: p.margin,
+      markPrice: p.markPrice,
+      liquidationPrice: p.liquidationPrice,
+      distancePercent: (Math.abs(p.markPrice - p.liquidationPrice) / p.markPrice) * 100
+    }))
+    .filter(p => p.distancePercent <= NEAR_LIQUIDATION_DISTANCE_PERCENT)
+    .sort((a, b) => a.distancePercent - b.distancePercent)
+
+  const withLeverage = closed.filter(p => p.effectiveLeverage > 0)
+  const buckets = LEVERAGE_BUCKETS.map(bucket => ({
+    ...bucket,
+    ...summarizeBucket(bucket, withLeverage.filter(p => p.effectiveLeverage >= bucket.min && p.effectiveLeverage < bucket.max))
+  }))
+
+  const paired = withLeverage.filter(p => p.returnOnNotional !== null)
+  const leverageReturnCorrelation = paired.length >= MIN_POSITIONS_FOR_CORRELATION
+    ? correlation(paired.map(p => p.effectiveLeverage), paired.map(p => p.returnOnNotional))
+    : null
+
+  const warnings = buildWarnings({
+    liquidations,
+    nearLiquidations,
+    openAtRisk,
+    buckets,
+    leverageReturnCorrelation,
+    positions: paired.length
+  })
+
+  return {
+    available: positions.length > 0 || liquidations.length > 0 || openAtRisk.length > 0,
+    liquidations,
+    nearLiquidations,
+    openAtRisk,
+    // Per-position leverage (ids match positionHistory.positions)
+    positionLeverage: positions.map(p => ({
+      id: p.id,
+      symbol: p.symbol,
+      side: p.side,
+      status: p.status,
+      leverageSetting: p.leverage,
+      marginBalance: p.marginBalance,
+      effectiveLeverage: p.effectiveLeverage,
+      effectiveLeverageSource: p.effectiveLeverageSource,
+      liquidated: p.liquidated
+    })),
+    avgEffectiveLeverage: mean(withLeverage.map(p => p.effectiveLeverage)),
+    maxEffectiveLeverage: withLeverage.length > 0 ? Math.max(...withLeverage.map(p => p.effectiveLeverage)) : null,
+    buckets: buckets.map(({ min, max, ...bucket }) => bucket),
+    leverageReturnCorrelation,
+    warnings: prioritizeInsights(warnings, { positions: closed.length }).allScored
+  }
+}
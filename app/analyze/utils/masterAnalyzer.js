@@ -6,11 +6,32 @@ import { analyzeFuturesTrades } from './futuresAnalyzer'
 import { analyzeTradingPsychology } from './psychologyAnalyzer'
 import { analyzeBehavior } from './behavioralAnalyzer'
 import { autoConvertToUSD } from './currencyConverter'
-
-export const analyzeData = async (allData) => {
+import { normalizeCostBasisMethod } from './costBasis'
+import { valueOpenPositions, computeTotalReturn } from './openPositions'
+import { analyzeStrategies } from './strategyAnalysis'
+import { analyzeRiskMetrics } from './riskMetrics'
+import { buildBenchmarkProfile } from './insights/benchmarks'
+import { normalizeSpotCommissions, analyzeFees } from './feeNormalization'
+import { analyzeLeverageRisk } from './leverageRiskAnalyzer'
+
+/**
+ * @param {Array|Object} allData - Trades (legacy array) or structured { spotTrades, futuresIncome, ... }
+ * @param {Object} options
+ * @param {string} options.costBasisMethod - FIFO | LIFO | HIFO | AVERAGE (falls back to metadata.costBasisMethod)
+ * @param {Object} options.markPrices - { [ASSETUSDT]: price } used to value open spot lots - fetch once in the caller
+ *   (fetchMarkPrices); without them only exchange-provided prices and the holdings match value open lots
+ * @param {Array} options.journalEntries - Trade journal entries for the strategy breakdown (falls back to allData.journalEntries)
+ * @param {Object} options.fxRateHistory - { [currency]: { 'YYYY-MM-DD': rate } } per fiat quote currency, so trades convert to USD at their own date's rate
+ * @param {Object} options.cryptoPriceHistory - { [asset]: { 'YYYY-MM-DD': close } } for crypto-quoted pairs (fetched when omitted)
+ * @param {Array} options.marginSnapshots - [{ time, exchange, balance }] futures wallet value (USD) over time, for effective leverage per position
+ */
+export const analyzeData = async (allData, options = {}) => {
   // STEP 1: Auto-detect currency and convert to USD if needed
   // This ensures all subsequent analysis uses consistent USD values
-  const convertedData = await autoConvertToUSD(allData)
+  const convertedData = await autoConvertToUSD(allData, {
+    fxRateHistory: options.fxRateHistory,
+    cryptoPriceHistory: options.cryptoPriceHistory
+  })
 
   // allData can be either:
   // 1. Array of trades (legacy format) - has { symbol, time, qty, price, isBuyer, accountType }
@@ -36,8 +57,23 @@ export const analyzeData = async (allData) => {
     metadata = convertedData.metadata || {}
   }
 
+  // Resolve lot-matching method: explicit option wins over whatever the data source recorded
+  const costBasisMethod = normalizeCostBasisMethod(options.costBasisMethod || metadata.costBasisMethod)
+
+  // Filtered views (analyticsFilters.js) carry trades outside the view that are only needed for cost basis
+  const spotContextTrades = spotTrades.filter(t => t.isContextTrade)
+  if (spotContextTrades.length > 0) {
+    spotTrades = spotTrades.filter(t => !t.isContextTrade)
+  }
+
+  // Commissions charged in BNB or the base asset are valued in USD at trade time
+  spotTrades = await normalizeSpotCommissions(spotTrades, {
+    fxRateHistory: options.fxRateHistory,
+    cryptoPriceHistory: options.cryptoPriceHistory
+  })
+
   // Analyze spot trades
-  const spotAnalysis = analyzeSpotTrades(spotTrades)
+  const spotAnalysis = analyzeSpotTrades(spotTrades, { costBasisMethod, contextTrades: spotContextTrades })
   
   // Analyze futures data
   const futuresAnalysis = analyzeFuturesTrades(futuresData)
@@ -180,13 +216,21 @@ export const analyzeData = async (allData) => {
   // Create a unified array of all trades in standardized format for advanced analytics
   // This enables drawdown analysis, time-based analysis, and symbol-specific analysis
 
+  // Realized P&L per sell from the lot ledger, so allTrades reflects the chosen cost basis method
+  // Keyed by symbol + time + id; a queue handles sells that share a key
+  const ledgerKey = (symbol, time, id) => `${symbol}|${time}|${id ?? ''}`
+  const ledgerPnLBySell = new Map()
+  spotAnalysis.lotLedger.forEach(entry => {
+    const key = ledgerKey(entry.symbol, entry.sellTime, entry.sellTradeId)
+    if (!ledgerPnLBySell.has(key)) ledgerPnLBySell.set(key, [])
+    ledgerPnLBySell.get(key).push(entry.pnl)
+  })
+
   const normalizeSpotTrade = (trade) => {
-    // Spot trades: Calculate P&L from price difference (stored in spotAnalyzer results)
-    // For individual trades, we approximate P&L from commission as spot doesn't have direct P&L
+    // Spot trades: P&L comes from the lot ledger produced by spotAnalyzer
     const commission = parseFloat(trade.commission || 0)
     const qty = parseFloat(trade.qty || 0)
     const price = parseFloat(trade.price || 0)
-    const quoteQty = parseFloat(trade.quoteQty || qty * price)
     
     // Determine exchange: use trade.exchange if available, otherwise infer from symbol or use first exchange
     let exchange = trade.exchange
@@ -205,14 +249,19 @@ export const analyzeData = async (allData) => {
 
     return {
       timestamp: trade.time ? new Date(trade.time).toISOString() : new Date().toISOString(),
-      realizedPnl: trade.isBuyer ? 0 : quoteQty, // Simplified: sells generate PnL, buys are investments
+      // Buys are investments; sells realize P&L from matched lots (external sales realize nothing)
+      realizedPnl: trade.isBuyer
+        ? 0
+        : (ledgerPnLBySell.get(ledgerKey(trade.symbol, new Date(trade.time).getTime(), trade.id))?.shift() ?? 0),
       symbol: trade.symbol || 'UNKNOWN',
       quantity: qty,
       price: price,
       type: 'spot',
       side: trade.isBuyer ? 'buy' : 'sell',
       exchange: exchange.toLowerCase(),
-      commission: commission
+      commission: commission,
+      quoteCurrency: trade.quoteCurrency || 'USD', // currency the trade settled in before USD conversion
+      id: trade.id ?? null // trade_id - joins the trade to its journal entry
     }
   }
 
@@ -243,7 +292,9 @@ export const analyzeData = async (allData) => {
       type: 'futures',
       side: income.incomeType === 'REALIZED_PNL' ? 'close' : income.incomeType?.toLowerCase() || 'unknown',
       exchange: exchange.toLowerCase(),
-      incomeType: income.incomeType || 'UNKNOWN'
+      incomeType: income.incomeType || 'UNKNOWN',
+      quoteCurrency: income.quoteCurrency || 'USD',
+      id: income.id ?? income.tranId ?? null
     }
   }
 
@@ -257,6 +308,11 @@ export const analyzeData = async (allData) => {
   const allTrades = [...normalizedSpotTrades, ...normalizedFuturesTrades]
     .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
 
+  // Per-strategy slice of the core metrics, from strategy tags in the trade journal
+  // (autoConvertToUSD only passes trade data through, so entries are read from the original input)
+  const journalEntries = options.journalEntries || (Array.isArray(allData) ? null : allData?.journalEntries) || []
+  const strategyBreakdown = analyzeStrategies(allTrades, journalEntries)
+
   // Calculate spot unrealized P&L if holdings data is available
   // Match spotHoldings (current market prices) with openPositions (from trade history)
   let spotUnrealizedPnL = 0
@@ -527,10 +583,38 @@ export const analyzeData = async (allData) => {
     
   }
 
+  // Value open lots at mark prices (exchange-provided prices first, then the caller's marks)
+  const markPrices = {
+    ...(metadata.currentPrices || {}),
+    ...(options.markPrices || {})
+  }
+  const spotPositionValuation = valueOpenPositions(spotAnalysis.openPositions, markPrices)
+
+  // Marked lots cover every open position, not just assets still on a snapshotted exchange.
+  // Assets without a mark (non-USDT bases, delisted coins) keep their value from the holdings match
+  if (spotPositionValuation.totals.pricedPositions > 0) {
+    const pricedAssets = new Set(spotPositionValuation.positions.filter(p => p.priced).map(p => p.baseAsset))
+    const unpricedHoldingsPnL = matchedPairs
+      .filter(pair => pair.match === 'full' && !pricedAssets.has(pair.asset))
+      .reduce((sum, pair) => sum + pair.unrealizedPnL, 0)
+    spotUnrealizedPnL = spotPositionValuation.totals.unrealizedPnL + unpricedHoldingsPnL
+  }
+  const totalUnrealizedPnL = spotUnrealizedPnL + (futuresAnalysis.unrealizedPnL || 0)
+
+  // Daily equity/return series and risk-adjusted ratios; futures-only accounts have no deployed
+  // spot capital, so the portfolio value stands in as the capital base
+  const riskMetrics = analyzeRiskMetrics(allTrades, {
+    capitalBase: totalInvested > 0 ? totalInvested : (metadata.totalPortfolioValue || 0),
+    unrealizedPnL: totalUnrealizedPnL
+  })
+
   return {
     // Currency info
     currency: metadata.primaryCurrency || 'USD',
-    metadata,
+    metadata: { ...metadata, costBasisMethod },
+
+    // Lot-matching method used for every realized P&L figure below
+    costBasisMethod,
 
     // ===== NEW: STANDARDIZED RAW TRADE DATA =====
     // All trades in a unified format for advanced analytics
@@ -577,8 +661,13 @@ export const analyzeData = async (allData) => {
     spotWinRate: spotAnalysis.winRate,
     spotInvested: spotAnalysis.totalInvested,
     spotRoi: spotAnalysis.roi,
-    spotUnrealizedPnL, // Calculated from holdings vs trade history
+    spotUnrealizedPnL, // Open lots at mark price; assets without a mark keep the holdings vs trade history value
     spotOpenPositions: spotAnalysis.openPositions || [],
+    spotPositionValuation, // { positions, byAsset, totals } - per-lot and per-asset exposure at mark
+    spotLotLedger: spotAnalysis.lotLedger || [],
+
+    // Strategy tags from the trade journal: { strategies, untagged, taggedTrades, bestStrategy, worstStrategy }
+    strategyBreakdown,
     
     // Futures-specific metrics
     futuresPnL: futuresAnalysis.netPnL,
@@ -597,7 +686,27 @@ export const analyzeData = async (allData) => {
     futuresIncomeByType: futuresAnalysis.incomeByType,
     
     // Combined unrealized P&L
-    totalUnrealizedPnL: spotUnrealizedPnL + (futuresAnalysis.unrealizedPnL || 0),
+    totalUnrealizedPnL,
+
+    // Realized + unrealized, as a % of peak capital deployed
+    totalReturn: computeTotalReturn({ realizedPnL: totalPnL, unrealizedPnL: totalUnrealizedPnL, capitalBase: totalInvested }),
+
+    // Sharpe, Sortino, Calmar, Ulcer, SQN, R-multiples, tail ratio + the daily series they come from
+    riskMetrics,
+
+    // Trading (maker/taker), funding and liquidation fees in USD, with monthly fee drag and per-symbol rows
+    fees: analyzeFees({ spotTrades, futuresIncome: futuresData.income, lotLedger: spotAnalysis.lotLedger }),
+
+    // Liquidations, near-liquidations, effective leverage vs outcome and prioritized leverage warnings
+    leverageRisk: analyzeLeverageRisk({
+      positionHistory: futuresAnalysis.positionHistory,
+      income: futuresData.income,
+      openPositions: futuresAnalysis.openPositions,
+      marginSnapshots: options.marginSnapshots
+    }),
+
+    // Anonymous per-market summary the benchmark cron aggregates into cohort percentiles
+    benchmarkProfile: buildBenchmarkProfile(spotAnalysis, futuresAnalysis, allTrades),
     
     // Psychology analysis
     psychology,
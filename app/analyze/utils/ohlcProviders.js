@@ -0,0 +1,206 @@
+// app/analyze/utils/ohlcProviders.js
+// Swappable OHLC sources for trade replay and MAE/MFE. A provider is { name, getCandles({ symbol, market,
+// interval, startTime, endTime }) } resolving to candles { time (ms, bar open), open, high, low, close, volume }
+// sorted oldest first. Candles are the base asset in USD whatever the pair's quote (BTCINR and ETHBTC get
+// BTC-USD / ETH-USD candles), matching analytics prices, which analyzeData converts to USD. The market context
+// provider reads the backend's market data (lib/marketContext) and falls back to Binance's public klines like
+// historicalPrices.js; the fixture provider serves candles from memory so replays run offline and in tests.
+
+import { getHistoricalCandles } from '@/lib/marketContext'
+import { getRecordQuoteCurrency } from './currencyConverter'
+
+const SPOT_KLINES_URL = 'https://api.binance.com/api/v3/klines'
+const FUTURES_KLINES_URL = 'https://fapi.binance.com/fapi/v1/klines'
+const MAX_CANDLES_PER_REQUEST = 1000
+const FETCH_TIMEOUT_MS = 8000
+
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+const DAY_MS = 24 * HOUR_MS
+
+// Binance kline intervals, smallest first
+export const OHLC_INTERVALS = [
+  { interval: '1m', ms: MINUTE_MS },
+  { interval: '5m', ms: 5 * MINUTE_MS },
+  { interval: '15m', ms: 15 * MINUTE_MS },
+  { interval: '1h', ms: HOUR_MS },
+  { interval: '4h', ms: 4 * HOUR_MS },
+  { interval: '1d', ms: DAY_MS },
+  { interval: '1w', ms: 7 * DAY_MS }
+]
+
+export const getIntervalMs = (interval) => OHLC_INTERVALS.find(entry => entry.interval === interval)?.ms || null
+
+/**
+ * Smallest interval that covers a window in at most maxBars candles
+ * @returns {{ interval: string, ms: number }}
+ */
+export const pickInterval = (startTime, endTime, maxBars = 300) => {
+  const span = Math.max(0, endTime - startTime)
+  return OHLC_INTERVALS.find(entry => span / entry.ms <= maxBars) || OHLC_INTERVALS[OHLC_INTERVALS.length - 1]
+}
+
+/**
+ * Exchange symbol -> Binance pair (BTC/USDT, B-BTC_USDT, btc-usdt -> BTCUSDT)
+ */
+export const toBinanceSymbol = (symbol) =>
+  String(symbol || '').toUpperCase().replace(/^[A-Z]-/, '').replace(/[^A-Z0-9]/g, '')
+
+/**
+ * Base asset of a pair, stripping any known quote (USDT, FDUSD, INR, EUR, BTC, ...): BTCINR, I-BTC_INR -> BTC
+ */
+export const getSymbolBaseAsset = (symbol) => {
+  const pair = toBinanceSymbol(symbol)
+  const quote = getRecordQuoteCurrency({ symbol: pair })
+  return pair.length > quote.length && pair.endsWith(quote) ? pair.slice(0, -quote.length) : pair
+}
+
+/**
+ * Normalize a candle from Binance kline arrays ([openTime, open, high, low, close, volume, ...])
+ * or objects with time / timestamp / date fields
+ */
+export const normalizeCandle = (candle) => {
+  if (Array.isArray(candle)) {
+    return {
+      time: Number(candle[0]),
+      open: parseFloat(candle[1]),
+      high: parseFloat(candle[2]),
+      low: parseFloat(candle[3]),
+      close: parseFloat(candle[4]),
+      volume: parseFloat(candle[5] || 0)
+    }
+  }
+
+  const rawTime = candle.time ?? candle.timestamp ?? candle.date
+  const time = typeof rawTime === 'number'
+    // Seconds (lightweight-charts / MCP style) vs milliseconds
+    ? (rawTime < 1e12 ? rawTime * 1000 : rawTime)
+    : new Date(rawTime).getTime()
+
+  return {
+    time,
+    open: parseFloat(candle.open),
+    high: parseFloat(candle.high),
+    low: parseFloat(candle.low),
+    close: parseFloat(candle.close),
+    volume: parseFloat(candle.volume || 0)
+  }
+}
+
+const isValidCandle = (candle) =>
+  Number.isFinite(candle.time) && [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite)
+
+/**
+ * Binance public klines (no API key), always the base asset's USDT pair. Futures use the USDⓈ-M
+ * endpoint, falling back to spot when the futures pair doesn't exist
+ * @param {Object} options - { fetchImpl }
+ */
+export const createBinanceOhlcProvider = (options = {}) => {
+  const fetchImpl = options.fetchImpl || fetch
+
+  const fetchKlines = async (url, symbol, interval, startTime, endTime) => {
+    const intervalMs = getIntervalMs(interval)
+    const candles = []
+
+    for (let cursor = startTime; cursor <= endTime; cursor += MAX_CANDLES_PER_REQUEST * intervalMs) {
+      const params = new URLSearchParams({
+        symbol,
+        interval,
+        startTime: String(cursor),
+        endTime: String(Math.min(endTime, cursor + MAX_CANDLES_PER_REQUEST * intervalMs - 1)),
+        limit: String(MAX_CANDLES_PER_REQUEST)
+      })
+
+      const controller = new AbortController()
+      const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS)
+      try {
+        const response = await fetchImpl(`${url}?${params.toString()}`, { signal: controller.signal })
+        if (!response.ok) throw new Error(`HTTP ${response.status}`)
+        candles.push(...(await response.json()))
+      } finally {
+        clearTimeout(timeoutId)
+      }
+    }
+
+    return candles.map(normalizeCandle).filter(isValidCandle)
+  }
+
+  return {
+    name: 'binance',
+    getCandles: async ({ symbol, market = 'spot', interval, startTime, endTime }) => {
+      const pair = `${getSymbolBaseAsset(symbol)}USDT`
+      if (market === 'futures') {
+        try {
+          return await fetchKlines(FUTURES_KLINES_URL, pair, interval, startTime, endTime)
+        } catch {
+          // No futures pair - spot below
+        }
+      }
+      return fetchKlines(SPOT_KLINES_URL, pair, interval, startTime, endTime)
+    }
+  }
+}
+
+/**
+ * Backend market data (the source behind the Market Context tab), instruments as BASE-USD
+ * Falls back to another provider (Binance by default) when the backend has no candles or is unreachable
+ * @param {Object} options - { fallback: provider | null }
+ */
+export const createMarketContextOhlcProvider = (options = {}) => {
+  const fallback = options.fallback === undefined ? createBinanceOhlcProvider() : options.fallback
+
+  return {
+    name: 'market-context',
+    getCandles: async (request) => {
+      const base = getSymbolBaseAsset(request.symbol)
+      try {
+        const candles = (await getHistoricalCandles({
+          symbol: `${base}USDT`,
+          instrument: `${base}-USD`,
+          interval: request.interval,
+          startTime: request.startTime,
+          endTime: request.endTime
+        }))
+          .map(normalizeCandle)
+          .filter(isValidCandle)
+          .sort((a, b) => a.time - b.time)
+        if (candles.length > 0 || !fallback) return candles
+      } catch (error) {
+        if (!fallback) throw error
+      }
+      return fallback.getCandles(request)
+    }
+  }
+}
+
+/**
+ * In-memory candles, e.g. a JSON fixture: { BTCUSDT: [candle, ...] } or { BTCUSDT: { '1h': [...] } }
+ * Candles may be Binance arrays or objects; the requested interval is used when the fixture has it
+ */
+export const createFixtureOhlcProvider = (fixtures = {}) => ({
+  name: 'fixture',
+  getCandles: async ({ symbol, interval, startTime, endTime }) => {
+    const entry = fixtures[symbol] || fixtures[toBinanceSymbol(symbol)] || []
+    const candles = Array.isArray(entry) ? entry : (entry[interval] || Object.values(entry)[0] || [])
+
+    return candles
+      .map(normalizeCandle)
+      .filter(candle => isValidCandle(candle) && candle.time >= startTime && candle.time <= endTime)
+      .sort((a, b) => a.time - b.time)
+  }
+})
+
+let defaultProvider = null
+
+/**
+ * Provider used when a caller doesn't pass one (backend market data with Binance fallback,
+ * unless replaced with setDefaultOhlcProvider)
+ */
+export const getDefaultOhlcProvider = () => {
+  if (!defaultProvider) defaultProvider = createMarketContextOhlcProvider()
+  return defaultProvider
+}
+
+export const setDefaultOhlcProvider = (provider) => {
+  defaultProvider = provider
+}
@@ -0,0 +1,198 @@
+// app/analyze/utils/openPositions.js
+// Values open spot lots (spotAnalyzer openPositions) at current mark prices
+// Marks are looked up as <ASSET>USDT so every position is valued in USD, the same unit
+// autoConvertToUSD puts trade prices in. Cost basis is already USD at each trade's own date
+// (fiat quotes at that day's FX rate, crypto quotes like ETHBTC at that day's quote close)
+
+import { parseSymbolBaseCurrency, parseSymbolQuoteCurrency } from './currencyFormatter'
+
+const TICKER_URL = 'https://api.binance.com/api/v3/ticker/price'
+const MARK_CACHE_TTL_MS = 60 * 1000
+const MARK_FETCH_TIMEOUT_MS = 5000
+
+// Assets worth one USD each
+const USD_QUOTES = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'USD', 'TUSD', 'DAI']
+
+let markCache = { fetchedAt: 0, prices: {} }
+
+const getMarkSymbol = (asset) => `${asset}USDT`
+
+const getBaseAsset = (symbol) => {
+  // CoinDCX spot symbols can arrive as I-BTC_INR
+  const cleaned = String(symbol || '').toUpperCase().replace(/^[A-Z]-/, '').replace(/[_/-]/g, '')
+  return parseSymbolBaseCurrency(cleaned)
+}
+
+const getQuoteAsset = (symbol) => {
+  const cleaned = String(symbol || '').toUpperCase().replace(/^[A-Z]-/, '').replace(/[_/-]/g, '')
+  return parseSymbolQuoteCurrency(cleaned)
+}
+
+/**
+ * USD value of one unit of an asset, or null when no mark is available
+ */
+const getUsdPrice = (asset, markPrices) => {
+  if (USD_QUOTES.includes(asset)) return 1
+  const price = parseFloat(markPrices[getMarkSymbol(asset)])
+  return price > 0 ? price : null
+}
+
+/**
+ * Ticker symbols needed to value the given open positions
+ * Callers fetching marks before analyzeData pass the spot trades instead (one mark per traded asset)
+ * @param {Array} openPositions - spotAnalyzer openPositions, or any records with a symbol
+ * @returns {string[]} e.g. ['BTCUSDT', 'ETHUSDT']
+ */
+export const getMarkPriceSymbols = (openPositions = []) => {
+  const symbols = new Set()
+  openPositions.forEach(pos => {
+    const base = getBaseAsset(pos.symbol)
+    if (!USD_QUOTES.includes(base)) symbols.add(getMarkSymbol(base))
+  })
+  return [...symbols]
+}
+
+/**
+ * Current prices from Binance's public ticker (cached for a minute)
+ * @param {string[]} symbols - Ticker symbols to return
+ * @param {Object} options - { fetchImpl }
+ * @returns {Promise<Object>} { [symbol]: price } - missing or failed symbols are omitted
+ */
+export const fetchMarkPrices = async (symbols = [], options = {}) => {
+  if (symbols.length === 0) return {}
+
+  if (Date.now() - markCache.fetchedAt > MARK_CACHE_TTL_MS) {
+    const fetchImpl = options.fetchImpl || fetch
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), MARK_FETCH_TIMEOUT_MS)
+
+    try {
+      const response = await fetchImpl(TICKER_URL, { signal: controller.signal })
+      if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+      const tickers = await response.json()
+      const prices = {}
+      tickers.forEach(ticker => {
+        prices[ticker.symbol] = parseFloat(ticker.price)
+      })
+      markCache = { fetchedAt: Date.now(), prices }
+    } catch (error) {
+      console.warn('⚠️ Could not fetch mark prices:', error.message)
+      return {}
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  return Object.fromEntries(
+    symbols.filter(symbol => markCache.prices[symbol] > 0).map(symbol => [symbol, markCache.prices[symbol]])
+  )
+}
+
+/**
+ * Value open positions and their lots at mark prices
+ * @param {Array} openPositions - spotAnalyzer openPositions ({ symbol, quantity, avgEntryPrice, costBasis, lots })
+ * @param {Object} markPrices - { [ASSETUSDT]: price }
+ * @returns {{ positions: Array, byAsset: Array, totals: Object }}
+ */
+export const valueOpenPositions = (openPositions = [], markPrices = {}) => {
+  const positions = openPositions.map(pos => {
+    const baseAsset = getBaseAsset(pos.symbol)
+    const quoteAsset = getQuoteAsset(pos.symbol)
+    const quantity = parseFloat(pos.quantity) || 0
+    const markPrice = getUsdPrice(baseAsset, markPrices)
+    const priced = markPrice !== null
+
+    const costBasis = priced ? parseFloat(pos.costBasis) || 0 : null
+    const marketValue = priced ? quantity * markPrice : null
+    const unrealizedPnL = priced ? marketValue - costBasis : null
+
+    const lots = (pos.lots || []).map(lot => {
+      const lotCost = priced ? lot.remainingQty * lot.costPerUnit : null
+      return {
+        lotId: lot.lotId,
+        tradeId: lot.tradeId,
+        openedAt: lot.time,
+        qty: lot.remainingQty,
+        entryPrice: priced ? lot.costPerUnit : null,
+        costBasis: lotCost,
+        unrealizedPnL: priced ? lot.remainingQty * markPrice - lotCost : null
+      }
+    })
+
+    return {
+      symbol: pos.symbol,
+      baseAsset,
+      quoteAsset,
+      quantity,
+      avgEntryPrice: priced && quantity > 0 ? costBasis / quantity : null,
+      markPrice,
+      costBasis,
+      marketValue,
+      unrealizedPnL,
+      unrealizedReturnPercent: priced && costBasis > 0 ? (unrealizedPnL / costBasis) * 100 : null,
+      priced,
+      lots
+    }
+  })
+
+  const priced = positions.filter(p => p.priced)
+  const totalMarketValue = priced.reduce((sum, p) => sum + p.marketValue, 0)
+  const totalCostBasis = priced.reduce((sum, p) => sum + p.costBasis, 0)
+  const totalUnrealizedPnL = totalMarketValue - totalCostBasis
+
+  // Same asset bought through several quote pairs (BTCUSDT + BTCINR) is one exposure
+  const assetMap = new Map()
+  priced.forEach(p => {
+    const asset = assetMap.get(p.baseAsset) || {
+      asset: p.baseAsset,
+      symbols: [],
+      quantity: 0,
+      costBasis: 0,
+      marketValue: 0,
+      markPrice: p.markPrice
+    }
+    asset.symbols.push(p.symbol)
+    asset.quantity += p.quantity
+    asset.costBasis += p.costBasis
+    asset.marketValue += p.marketValue
+    assetMap.set(p.baseAsset, asset)
+  })
+
+  const byAsset = [...assetMap.values()]
+    .map(asset => ({
+      ...asset,
+      avgEntryPrice: asset.quantity > 0 ? asset.costBasis / asset.quantity : 0,
+      unrealizedPnL: asset.marketValue - asset.costBasis,
+      unrealizedReturnPercent: asset.costBasis > 0 ? ((asset.marketValue - asset.costBasis) / asset.costBasis) * 100 : 0,
+      exposurePercent: totalMarketValue > 0 ? (asset.marketValue / totalMarketValue) * 100 : 0
+    }))
+    .sort((a, b) => b.marketValue - a.marketValue)
+
+  return {
+    positions,
+    byAsset,
+    totals: {
+      costBasis: totalCostBasis,
+      marketValue: totalMarketValue,
+      unrealizedPnL: totalUnrealizedPnL,
+      unrealizedReturnPercent: totalCostBasis > 0 ? (totalUnrealizedPnL / totalCostBasis) * 100 : 0,
+      pricedPositions: priced.length,
+      unpricedPositions: positions.length - priced.length
+    }
+  }
+}
+
+/**
+ * Realized + unrealized P&L as one figure
+ * @param {Object} params - { realizedPnL, unrealizedPnL, capitalBase } - capitalBase is the peak capital deployed
+ */
+export const computeTotalReturn = ({ realizedPnL = 0, unrealizedPnL = 0, capitalBase = 0 }) => {
+  const totalReturn = realizedPnL + unrealizedPnL
+  return {
+    realizedPnL,
+    unrealizedPnL,
+    totalReturn,
+    totalReturnPercent: capitalBase > 0 ? (totalReturn / capitalBase) * 100 : 0
+  }
+}
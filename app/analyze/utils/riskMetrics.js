@@ -0,0 +1,288 @@
+// app/analyze/utils/riskMetrics.js
+
+/**
+ * Risk-Adjusted Return Metrics
+ * Builds a daily equity/return series from realized P&L (plus open-position P&L marked today) and
+ * computes Sharpe, Sortino, Calmar, Ulcer index, expectancy, SQN, R-multiples and tail ratio
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24
+const TRADING_DAYS_PER_YEAR = 365 // Crypto markets trade every day
+const SQN_MAX_TRADES = 100 // Van Tharp caps N so large samples don't inflate the score
+const MIN_DAYS_FOR_RATIOS = 2
+const MIN_DAYS_TO_ANNUALIZE = 30 // Compounding a few days to a year gives meaningless returns
+
+export const R_MULTIPLE_BUCKETS = [
+  { label: '< -2R', min: -Infinity, max: -2 },
+  { label: '-2R to -1R', min: -2, max: -1 },
+  { label: '-1R to 0R', min: -1, max: 0 },
+  { label: '0R to 1R', min: 0, max: 1 },
+  { label: '1R to 2R', min: 1, max: 2 },
+  { label: '2R to 3R', min: 2, max: 3 },
+  { label: '> 3R', min: 3, max: Infinity }
+]
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const toDateKey = (time) => new Date(time).toISOString().split('T')[0]
+
+const mean = (values) => values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0
+
+// Sample standard deviation
+function standardDeviation(values) {
+  if (values.length < 2) return 0
+  const avg = mean(values)
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1))
+}
+
+// Linear interpolation between closest ranks
+function percentile(values, p) {
+  if (values.length === 0) return 0
+  const sorted = [...values].sort((a, b) => a - b)
+  const rank = (p / 100) * (sorted.length - 1)
+  const lower = Math.floor(rank)
+  const upper = Math.ceil(rank)
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower)
+}
+
+/**
+ * Closing trades carry realized P&L: spot sells and futures REALIZED_PNL (commission rows are costs, not trades)
+ */
+function isClosingTrade(trade) {
+  return trade.type === 'futures' ? trade.incomeType === 'REALIZED_PNL' : trade.side === 'sell'
+}
+
+// ============================================
+// DAILY RETURN SERIES
+// ============================================
+
+/**
+ * One point per calendar day (UTC) from the first trade to the last (or asOf when unrealized P&L is included)
+ * With a capital base, equity = capitalBase + cumulative P&L and return = day P&L / previous equity;
+ * without one, return is null and ratios fall back to daily P&L (identical for a constant base)
+ * @param {Array} trades - Normalized trades (analytics.allTrades shape: { timestamp, realizedPnl })
+ * @param {Object} options - { capitalBase, unrealizedPnL, asOf }
+ */
+export function buildDailyReturnSeries(trades, options = {}) {
+  if (!trades || trades.length === 0) return []
+
+  const capitalBase = options.capitalBase > 0 ? options.capitalBase : 0
+  const unrealizedPnL = options.unrealizedPnL || 0
+
+  const pnlByDay = new Map()
+  trades.forEach(trade => {
+    const time = new Date(trade.timestamp || trade.time).getTime()
+    if (isNaN(time)) return
+    const key = toDateKey(time)
+    pnlByDay.set(key, (pnlByDay.get(key) || 0) + (trade.realizedPnl || 0))
+  })
+  if (pnlByDay.size === 0) return []
+
+  const days = [...pnlByDay.keys()].sort()
+  const start = Date.parse(`${days[0]}T00:00:00Z`)
+  let end = Date.parse(`${days[days.length - 1]}T00:00:00Z`)
+
+  // Open positions are only valued today, so their P&L lands on the as-of day
+  const markDay = unrealizedPnL !== 0 ? toDateKey(options.asOf || Date.now()) : null
+  if (markDay) {
+    end = Math.max(end, Date.parse(`${markDay}T00:00:00Z`))
+  }
+
+  const series = []
+  let equity = capitalBase
+  let peak = capitalBase
+
+  for (let day = start; day <= end; day += DAY_MS) {
+    const date = toDateKey(day)
+    const realizedPnl = pnlByDay.get(date) || 0
+    const unrealized = date === markDay ? unrealizedPnL : 0
+    const pnl = realizedPnl + unrealized
+    const previousEquity = equity
+
+    equity += pnl
+    peak = Math.max(peak, equity)
+
+    series.push({
+      date,
+      pnl,
+      unrealizedPnl: unrealized,
+      equity,
+      return: capitalBase > 0 && previousEquity > 0 ? pnl / previousEquity : null,
+      drawdownPercent: capitalBase > 0 && peak > 0 ? ((equity - peak) / peak) * 100 : null
+    })
+  }
+
+  return series
+}
+
+// ============================================
+// TRADE-LEVEL METRICS
+// ============================================
+
+/**
+ * Expectancy, SQN and R-multiple distribution over closing trades
+ * 1R is the average loss (stop distances aren't known), so R = trade P&L / average loss
+ */
+export function calculateTradeExpectancy(trades) {
+  const outcomes = (trades || []).filter(isClosingTrade).map(t => t.realizedPnl || 0).filter(pnl => pnl !== 0)
+  const wins = outcomes.filter(pnl => pnl > 0)
+  const losses = outcomes.filter(pnl => pnl < 0)
+
+  const winRate = outcomes.length > 0 ? wins.length / outcomes.length : 0
+  const avgWin = mean(wins)
+  const avgLoss = Math.abs(mean(losses)) // Positive magnitude
+  const expectancy = winRate * avgWin - (1 - winRate) * avgLoss
+
+  if (avgLoss === 0) {
+    return { trades: outcomes.length, winRate: winRate * 100, avgWin, avgLoss, expectancy, avgRMultiple: null, sqn: null, rMultiples: [] }
+  }
+
+  const rValues = outcomes.map(pnl => pnl / avgLoss)
+  const rStdDev = standardDeviation(rValues)
+  const avgRMultiple = mean(rValues)
+
+  return {
+    trades: outcomes.length,
+    winRate: winRate * 100,
+    avgWin,
+    avgLoss,
+    expectancy,
+    avgRMultiple,
+    sqn: rStdDev > 0 ? Math.sqrt(Math.min(outcomes.length, SQN_MAX_TRADES)) * (avgRMultiple / rStdDev) : null,
+    rMultiples: R_MULTIPLE_BUCKETS.map(bucket => {
+      const count = rValues.filter(r => r >= bucket.min && r < bucket.max).length
+      return { label: bucket.label, count, percent: (count / rValues.length) * 100 }
+    })
+  }
+}
+
+/**
+ * SQN bands as published by Van Tharp
+ */
+export function getSqnRating(sqn) {
+  if (sqn === null || sqn === undefined) return null
+  if (sqn < 1.6) return 'Poor'
+  if (sqn < 2) return 'Below average'
+  if (sqn < 2.5) return 'Average'
+  if (sqn < 3) return 'Good'
+  if (sqn < 5) return 'Excellent'
+  if (sqn < 7) return 'Superb'
+  return 'Holy Grail'
+}
+
+// ============================================
+// MAIN ANALYSIS FUNCTION
+// ============================================
+
+/**
+ * @param {Array} trades - analytics.allTrades
+ * @param {Object} options
+ * @param {number} options.capitalBase - Starting equity for % returns (peak capital deployed or portfolio value)
+ * @param {number} options.unrealizedPnL - Open-position P&L marked today (0 = realized only)
+ * @param {number} options.riskFreeRate - Annual risk-free rate as a fraction (default 0)
+ * @param {number|string} options.asOf - Date the unrealized P&L was marked (default now)
+ */
+export function analyzeRiskMetrics(trades, options = {}) {
+  const dailySeries = buildDailyReturnSeries(trades, options)
+  const tradeStats = calculateTradeExpectancy(trades)
+  const hasCapitalBase = options.capitalBase > 0
+
+  const base = {
+    basis: hasCapitalBase ? 'returns' : 'pnl',
+    capitalBase: hasCapitalBase ? options.capitalBase : 0,
+    includesUnrealized: (options.unrealizedPnL || 0) !== 0,
+    days: dailySeries.length,
+    dailySeries,
+    expectancy: tradeStats.expectancy,
+    avgWin: tradeStats.avgWin,
+    avgLoss: tradeStats.avgLoss,
+    closedTrades: tradeStats.trades,
+    avgRMultiple: tradeStats.avgRMultiple,
+    sqn: tradeStats.sqn,
+    sqnRating: getSqnRating(tradeStats.sqn),
+    rMultiples: tradeStats.rMultiples
+  }
+
+  if (dailySeries.length < MIN_DAYS_FOR_RATIOS) {
+    return {
+      ...base,
+      sharpeRatio: null,
+      sortinoRatio: null,
+      calmarRatio: null,
+      ulcerIndex: null,
+      tailRatio: null,
+      annualizedReturnPercent: null,
+      annualizedVolatilityPercent: null,
+      maxDrawdownPercent: null,
+      positiveDaysPercent: null,
+      bestDay: null,
+      worstDay: null
+    }
+  }
+
+  // Returns when there is a capital base, otherwise daily P&L (the ratios below are scale-free)
+  const values = dailySeries.map(point => hasCapitalBase ? (point.return ?? 0) : point.pnl)
+  const dailyRiskFree = hasCapitalBase ? (options.riskFreeRate || 0) / TRADING_DAYS_PER_YEAR : 0
+  const excess = values.map(v => v - dailyRiskFree)
+  const annualizer = Math.sqrt(TRADING_DAYS_PER_YEAR)
+
+  const stdDev = standardDeviation(values)
+  const downsideDeviation = Math.sqrt(mean(excess.map(v => Math.min(0, v) ** 2)))
+
+  // Max drawdown: % of peak equity with a capital base, otherwise P&L below the running peak
+  let maxDrawdownPercent = null
+  let maxDrawdownPnl = 0
+  let runningPeak = 0
+  let cumulative = 0
+  dailySeries.forEach(point => {
+    cumulative += point.pnl
+    runningPeak = Math.max(runningPeak, cumulative)
+    maxDrawdownPnl = Math.max(maxDrawdownPnl, runningPeak - cumulative)
+  })
+
+  let annualizedReturnPercent = null
+  let ulcerIndex = null
+  if (hasCapitalBase) {
+    maxDrawdownPercent = Math.abs(Math.min(0, ...dailySeries.map(point => point.drawdownPercent ?? 0)))
+    ulcerIndex = Math.sqrt(mean(dailySeries.map(point => (point.drawdownPercent ?? 0) ** 2)))
+
+    if (dailySeries.length >= MIN_DAYS_TO_ANNUALIZE) {
+      const growth = dailySeries[dailySeries.length - 1].equity / options.capitalBase
+      const years = dailySeries.length / TRADING_DAYS_PER_YEAR
+      annualizedReturnPercent = growth > 0 ? (Math.pow(growth, 1 / years) - 1) * 100 : -100
+    }
+  }
+
+  let calmarRatio = null
+  if (dailySeries.length >= MIN_DAYS_TO_ANNUALIZE) {
+    const annualizedPnl = mean(values) * TRADING_DAYS_PER_YEAR
+    calmarRatio = hasCapitalBase
+      ? (maxDrawdownPercent > 0 ? annualizedReturnPercent / maxDrawdownPercent : null)
+      : (maxDrawdownPnl > 0 ? annualizedPnl / maxDrawdownPnl : null)
+  }
+
+  // Tails of days that actually moved - flat days would pin both percentiles at 0
+  const movedValues = values.filter(v => v !== 0)
+  const p95 = percentile(movedValues, 95)
+  const p5 = percentile(movedValues, 5)
+
+  const activeDays = dailySeries.filter(point => point.pnl !== 0)
+  const byPnl = [...activeDays].sort((a, b) => b.pnl - a.pnl)
+
+  return {
+    ...base,
+    sharpeRatio: stdDev > 0 ? (mean(excess) / stdDev) * annualizer : null,
+    sortinoRatio: downsideDeviation > 0 ? (mean(excess) / downsideDeviation) * annualizer : null,
+    calmarRatio,
+    ulcerIndex,
+    tailRatio: p5 !== 0 ? Math.abs(p95) / Math.abs(p5) : null,
+    annualizedReturnPercent,
+    annualizedVolatilityPercent: hasCapitalBase ? stdDev * annualizer * 100 : null,
+    maxDrawdownPercent,
+    positiveDaysPercent: activeDays.length > 0 ? (activeDays.filter(point => point.pnl > 0).length / activeDays.length) * 100 : null,
+    bestDay: byPnl.length > 0 ? { date: byPnl[0].date, pnl: byPnl[0].pnl } : null,
+    worstDay: byPnl.length > 0 ? { date: byPnl[byPnl.length - 1].date, pnl: byPnl[byPnl.length - 1].pnl } : null
+  }
+}
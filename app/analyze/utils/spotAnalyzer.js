@@ -2,8 +2,29 @@
 // Handles traditional SPOT trading analysis with position tracking
 // NOTE: In spot trading, each buy AND each sell is counted as a transaction (industry standard)
 // A "completed trade" means a buy+sell pair that results in a win or loss
+// Cost basis is matched per lot (see costBasis.js) using the selected method
+// options.contextTrades (trades outside a filtered view) only feed the lot book - they are never counted
+// commission must already be USD whatever asset it was charged in (feeNormalization.normalizeSpotCommissions)
+
+import { createLotBook, normalizeCostBasisMethod } from './costBasis'
+
+/**
+ * Apply a trade outside the analysed window to the lot book without recording anything
+ */
+const replayContextTrade = (lotBook, trade) => {
+  const qty = parseFloat(trade.qty)
+  const time = new Date(trade.time).getTime()
+  if (trade.isBuyer) {
+    lotBook.addLot({ qty, price: parseFloat(trade.price), time, tradeId: trade.id })
+    return
+  }
+  const qtyToSell = Math.min(qty, lotBook.getPosition())
+  if (qtyToSell > 0) lotBook.consume(qtyToSell, time)
+}
 
-export const analyzeSpotTrades = (spotTrades) => {
+export const analyzeSpotTrades = (spotTrades, options = {}) => {
+  const costBasisMethod = normalizeCostBasisMethod(options.costBasisMethod)
+  const contextTrades = options.contextTrades || []
 
   if (spotTrades.length === 0) {
     return {
@@ -26,7 +47,10 @@ export const analyzeSpotTrades = (spotTrades) => {
       symbols: {},
       tradesByDay: {},
       tradesByHour: Array(24).fill(0).map((_, i) => ({ hour: `${i}:00`, trades: 0, pnl: 0 })),
-      monthlyPnL: {}
+      monthlyPnL: {},
+      costBasisMethod,
+      lotLedger: [],
+      openPositions: []
     }
   }
 
@@ -71,12 +95,25 @@ export const analyzeSpotTrades = (spotTrades) => {
 
   const symbolAnalytics = {}
 
+  // Per-disposal ledger: which buy lots each sell consumed
+  const lotLedger = []
+
+  // Context trades only matter for symbols the view actually contains
+  const contextBySymbol = {}
+  contextTrades.forEach(trade => {
+    if (!tradesBySymbol[trade.symbol]) return
+    if (!contextBySymbol[trade.symbol]) contextBySymbol[trade.symbol] = []
+    contextBySymbol[trade.symbol].push(trade)
+  })
+
   // Process each symbol with position tracking
   Object.entries(tradesBySymbol).forEach(([symbol, trades]) => {
     trades.sort((a, b) => a.time - b.time)
+    const timeline = contextBySymbol[symbol]
+      ? [...trades, ...contextBySymbol[symbol]].sort((a, b) => a.time - b.time)
+      : trades
 
-    let position = 0
-    let totalCost = 0
+    const lotBook = createLotBook(costBasisMethod)
     let realized = 0
     let buys = 0
     let sells = 0
@@ -84,7 +121,12 @@ export const analyzeSpotTrades = (spotTrades) => {
     let symbolLosses = 0
 
 
-    trades.forEach((trade, index) => {
+    timeline.forEach((trade) => {
+      if (trade.isContextTrade) {
+        replayContextTrade(lotBook, trade)
+        return
+      }
+
       const qty = parseFloat(trade.qty)
       const price = parseFloat(trade.price)
       const value = qty * price
@@ -92,30 +134,52 @@ export const analyzeSpotTrades = (spotTrades) => {
       totalCommission += commission
 
       const date = new Date(trade.time)
+      const tradeTime = date.getTime()
+      const position = lotBook.getPosition()
       const monthKey = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
       if (!monthlyPnL[monthKey]) monthlyPnL[monthKey] = 0
 
       if (trade.isBuyer) {
-        // BUY: Accumulate position
-        position += qty
-        totalCost += value
+        // BUY: Open a new lot
+        lotBook.addLot({ qty, price, time: tradeTime, tradeId: trade.id })
         buys++
 
         // Track max capital at risk (peak capital deployed in open positions)
-        maxCapitalAtRisk = Math.max(maxCapitalAtRisk, totalCost)
+        maxCapitalAtRisk = Math.max(maxCapitalAtRisk, lotBook.getTotalCost())
       } else {
         // SELL: Realize profit/loss
         if (position > 0) {
-          const avgCost = totalCost / position
           // CRITICAL FIX: Only calculate P&L for the amount we actually have
           // If selling more than position (shouldn't happen, but handle gracefully)
           const qtyToSell = Math.min(qty, position)
           // Commission is proportional to the quantity being sold (if qty > position, only charge commission on what we have)
           const commissionForPnL = commission * (qtyToSell / qty)
-          const pnl = (price - avgCost) * qtyToSell - commissionForPnL
+
+          // Match the sale against open lots; this also reduces the position
+          const { matches, costBasis } = lotBook.consume(qtyToSell, tradeTime)
+          const proceeds = price * qtyToSell
+          const pnl = proceeds - costBasis - commissionForPnL
           realized += pnl
           monthlyPnL[monthKey] += pnl
 
+          lotLedger.push({
+            symbol,
+            sellTradeId: trade.id ?? null,
+            sellTime: tradeTime,
+            sellPrice: price,
+            qty: qtyToSell,
+            proceeds,
+            costBasis,
+            commission: commissionForPnL,
+            pnl,
+            method: costBasisMethod,
+            // Quantity-weighted holding period across consumed lots
+            holdingPeriodDays: qtyToSell > 0
+              ? matches.reduce((sum, m) => sum + (m.holdingPeriodDays || 0) * m.qty, 0) / qtyToSell
+              : 0,
+            lots: matches
+          })
+
           // Handle excess sell quantity gracefully (no logging needed)
 
           // Track win/loss - this creates a "completed trade"
@@ -154,16 +218,12 @@ export const analyzeSpotTrades = (spotTrades) => {
           tradesByDay[date.toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })].pnl += pnl
           tradesByHour[date.getUTCHours()].pnl += pnl
 
-          // Reduce position and adjust cost basis - only by the amount actually sold
-          position -= qtyToSell
-          // Remaining cost = position * avgCost (clearer than the confusing formula)
-          totalCost = position > 0 ? position * avgCost : 0
-          
           // FIXED: Improved excess handling - only mark as external if excess is significant
           // Small excesses (< 0.1% of position or < 0.0001) are likely rounding/precision errors
           if (qty > qtyToSell) {
             const excessQty = qty - qtyToSell
-            const excessPercent = position > 0 ? (excessQty / position) * 100 : 100
+            const remainingPosition = lotBook.getPosition()
+            const excessPercent = remainingPosition > 0 ? (excessQty / remainingPosition) * 100 : 100
             const isSignificantExcess = excessQty > 0.0001 && excessPercent > 0.1
             
             if (isSignificantExcess) {
@@ -184,11 +244,8 @@ export const analyzeSpotTrades = (spotTrades) => {
               symbolAnalytics[symbol].externalSales.count++
               symbolAnalytics[symbol].externalSales.totalValue += excessSaleValue
               symbolAnalytics[symbol].externalSales.quantity += excessQty
-            } else {
-              // Tiny excess - likely rounding error, absorb into position
-              // Adjust position to account for the tiny excess (set to slightly negative to balance)
-              position -= excessQty
             }
+            // Tiny excess - likely rounding error; every lot is already consumed so nothing to absorb
           }
         } else {
           // SELL with no position = External deposit was sold OR missing historical buy data
@@ -214,11 +271,14 @@ export const analyzeSpotTrades = (spotTrades) => {
     })
 
     // Store symbol analytics (preserve any existing data like externalSales)
+    const position = lotBook.getPosition()
+    const totalCost = lotBook.getTotalCost()
     symbolAnalytics[symbol] = {
       ...(symbolAnalytics[symbol] || {}),
       realized,
       position,
       avgPrice: position > 0 ? totalCost / position : 0,
+      openLots: lotBook.getOpenLots(),
       trades: trades.length,  // Total transactions for this symbol
       buys,
       sells,
@@ -255,7 +315,8 @@ export const analyzeSpotTrades = (spotTrades) => {
       symbol,
       quantity: data.position,
       avgEntryPrice: data.avgPrice,
-      costBasis: data.position * data.avgPrice
+      costBasis: data.position * data.avgPrice,
+      lots: data.openLots || []
     }))
 
   return {
@@ -279,6 +340,8 @@ export const analyzeSpotTrades = (spotTrades) => {
     tradesByDay,
     tradesByHour,
     monthlyPnL,
-    openPositions // For calculating unrealized P&L with current market prices
+    openPositions, // For calculating unrealized P&L with current market prices
+    costBasisMethod,
+    lotLedger: lotLedger.sort((a, b) => a.sellTime - b.sellTime)
   }
 }
\ No newline at end of file
@@ -0,0 +1,136 @@
+// app/analyze/utils/strategyAnalysis.js
+
+/**
+ * Strategy Analytics
+ * Core performance metrics sliced by the strategy tags users put on trades in the trade journal
+ */
+
+import { analyzeDrawdowns } from './drawdownAnalysis'
+import { indexJournalEntries, getJournalKey } from './tradeJournal'
+
+export const UNTAGGED_STRATEGY = 'Untagged'
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Closing trades carry realized P&L: spot sells (matched against lots) and futures REALIZED_PNL
+ */
+function isClosingTrade(trade) {
+  return trade.type === 'futures' ? trade.incomeType === 'REALIZED_PNL' : trade.side === 'sell'
+}
+
+/**
+ * P&L, win rate, profit factor, avg win/loss, expectancy and drawdown for one slice of trades
+ * @param {string} strategy - Slice label
+ * @param {Array} trades - Normalized trades (analytics.allTrades shape) in the slice
+ */
+export function calculateStrategyMetrics(strategy, trades) {
+  const closed = trades.filter(isClosingTrade)
+
+  let wins = 0
+  let losses = 0
+  let grossProfit = 0
+  let grossLoss = 0
+  let largestWin = 0
+  let largestLoss = 0
+
+  closed.forEach(trade => {
+    const pnl = trade.realizedPnl || 0
+    if (pnl > 0) {
+      wins++
+      grossProfit += pnl
+      largestWin = Math.max(largestWin, pnl)
+    } else if (pnl < 0) {
+      losses++
+      grossLoss += Math.abs(pnl)
+      largestLoss = Math.min(largestLoss, pnl)
+    }
+  })
+
+  const decided = wins + losses
+  const winRate = decided > 0 ? (wins / decided) * 100 : 0
+  const avgWin = wins > 0 ? grossProfit / wins : 0
+  const avgLoss = losses > 0 ? grossLoss / losses : 0 // Positive magnitude, same as spotAnalyzer
+
+  // Expected P&L per closed trade: P(win) * avgWin - P(loss) * avgLoss
+  const expectancy = decided > 0 ? (wins / decided) * avgWin - (losses / decided) * avgLoss : 0
+
+  const { drawdowns, stats } = analyzeDrawdowns(closed)
+
+  return {
+    strategy,
+    trades: trades.length,
+    closedTrades: closed.length,
+    wins,
+    losses,
+    winRate,
+    totalPnL: grossProfit - grossLoss,
+    grossProfit,
+    grossLoss,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : 0, // Same convention as analyzeData
+    avgWin,
+    avgLoss,
+    largestWin,
+    largestLoss,
+    expectancy,
+    maxDrawdown: stats?.maxDrawdown || 0,
+    maxDrawdownAmount: drawdowns.reduce((max, dd) => Math.max(max, dd.drawdownAmount || 0), 0),
+    firstTrade: trades[0]?.timestamp || null,
+    lastTrade: trades[trades.length - 1]?.timestamp || null
+  }
+}
+
+// ============================================
+// MAIN ANALYSIS FUNCTION
+// ============================================
+
+/**
+ * Per-strategy slice of the core metrics
+ * A trade tagged with several strategies counts towards each; trades without a strategy tag form
+ * the Untagged slice so tagged strategies can be compared against the rest
+ * @param {Array} trades - analytics.allTrades (sorted by time)
+ * @param {Array} journalEntries - Trade journal entries ({ exchange, tradeId, tags })
+ * @returns {{ strategies: Array, untagged: Object|null, taggedTrades: number, bestStrategy: string|null, worstStrategy: string|null }}
+ */
+export function analyzeStrategies(trades, journalEntries) {
+  const empty = { strategies: [], untagged: null, taggedTrades: 0, bestStrategy: null, worstStrategy: null }
+  if (!trades || trades.length === 0 || !journalEntries || journalEntries.length === 0) return empty
+
+  const journalIndex = indexJournalEntries(journalEntries)
+  const byStrategy = new Map()
+  const untagged = []
+  let taggedTrades = 0
+
+  trades.forEach(trade => {
+    const strategies = journalIndex.get(getJournalKey(trade.exchange, trade.id))?.tags?.strategy || []
+    if (strategies.length === 0) {
+      untagged.push(trade)
+      return
+    }
+
+    taggedTrades++
+    strategies.forEach(strategy => {
+      if (!byStrategy.has(strategy)) byStrategy.set(strategy, [])
+      byStrategy.get(strategy).push(trade)
+    })
+  })
+
+  if (taggedTrades === 0) return empty
+
+  const strategies = [...byStrategy.entries()]
+    .map(([strategy, strategyTrades]) => calculateStrategyMetrics(strategy, strategyTrades))
+    .sort((a, b) => b.totalPnL - a.totalPnL)
+
+  // Best/worst only among strategies that have closed something
+  const ranked = strategies.filter(s => s.closedTrades > 0)
+
+  return {
+    strategies,
+    untagged: untagged.length > 0 ? calculateStrategyMetrics(UNTAGGED_STRATEGY, untagged) : null,
+    taggedTrades,
+    bestStrategy: ranked[0]?.strategy || null,
+    worstStrategy: ranked.length > 1 ? ranked[ranked.length - 1].strategy : null
+  }
+}
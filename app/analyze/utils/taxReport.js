@@ -0,0 +1,455 @@
+// app/analyze/utils/taxReport.js
+// Builds per-disposal capital gains schedules from spot trade history
+// Supports jurisdiction presets (US 1-year rule, India flat VDA tax, UK share pooling)
+// NOTE: Output is informational - users should confirm figures with a tax professional
+
+import { analyzeSpotTrades } from './spotAnalyzer'
+import { COST_BASIS_METHODS, COST_BASIS_METHOD_LABELS, normalizeCostBasisMethod } from './costBasis'
+import { parseSymbolBaseCurrency } from './currencyFormatter'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const TAX_JURISDICTIONS = {
+  US: {
+    id: 'US',
+    label: 'United States',
+    currency: 'USD',
+    // Calendar tax year
+    fiscalYearStart: { month: 0, day: 1 },
+    matching: 'LOTS',
+    defaultCostBasisMethod: COST_BASIS_METHODS.FIFO,
+    // The IRS requires specific identification of units; average cost isn't accepted for crypto
+    costBasisMethods: [COST_BASIS_METHODS.FIFO, COST_BASIS_METHODS.LIFO, COST_BASIS_METHODS.HIFO],
+    // Held more than one year = long-term
+    longTermThresholdDays: 365,
+    flatRate: null,
+    allowLossSetOff: true,
+    deductDisposalFees: true
+  },
+  INDIA: {
+    id: 'INDIA',
+    label: 'India (VDA, Section 115BBH)',
+    currency: 'INR',
+    // Financial year runs 1 April - 31 March
+    fiscalYearStart: { month: 3, day: 1 },
+    matching: 'LOTS',
+    defaultCostBasisMethod: COST_BASIS_METHODS.FIFO,
+    costBasisMethods: Object.values(COST_BASIS_METHODS),
+    longTermThresholdDays: null,
+    // Flat 30% on gains; losses cannot be set off against gains
+    flatRate: 0.30,
+    allowLossSetOff: false,
+    // No deduction other than the cost of acquisition - selling fees don't reduce the gain
+    deductDisposalFees: false
+  },
+  UK: {
+    id: 'UK',
+    label: 'United Kingdom (share pooling)',
+    currency: 'GBP',
+    // Tax year runs 6 April - 5 April
+    fiscalYearStart: { month: 3, day: 6 },
+    matching: 'UK_SHARE_POOLING',
+    defaultCostBasisMethod: null, // Matching rules are fixed by HMRC
+    costBasisMethods: null,
+    longTermThresholdDays: null,
+    flatRate: null,
+    allowLossSetOff: true,
+    deductDisposalFees: true
+  }
+}
+
+export const HOLDING_PERIOD_CLASSES = {
+  SHORT_TERM: 'SHORT_TERM',
+  LONG_TERM: 'LONG_TERM',
+  VDA_FLAT: 'VDA_FLAT',
+  SAME_DAY: 'SAME_DAY',
+  BED_AND_BREAKFAST: 'BED_AND_BREAKFAST',
+  SECTION_104: 'SECTION_104'
+}
+
+/**
+ * Resolve a jurisdiction preset (defaults to US)
+ */
+export const getTaxJurisdiction = (id) => {
+  return TAX_JURISDICTIONS[String(id || '').toUpperCase()] || TAX_JURISDICTIONS.US
+}
+
+/**
+ * Get the [start, end) range of a fiscal year
+ * @param {string} jurisdictionId - US | INDIA | UK
+ * @param {number} fiscalYear - Calendar year the fiscal year starts in (2024 → FY 2024-25 for India/UK)
+ */
+export const getFiscalYearRange = (jurisdictionId, fiscalYear) => {
+  const jurisdiction = getTaxJurisdiction(jurisdictionId)
+  const { month, day } = jurisdiction.fiscalYearStart
+  const start = Date.UTC(fiscalYear, month, day)
+  const end = Date.UTC(fiscalYear + 1, month, day)
+
+  const label = month === 0 && day === 1
+    ? `${fiscalYear}`
+    : `${fiscalYear}-${String(fiscalYear + 1).slice(-2)}`
+
+  return { start, end, label }
+}
+
+/**
+ * Whether a jurisdiction accepts a lot method (UK matching is fixed, so nothing is accepted there)
+ */
+export const isCostBasisMethodAllowed = (jurisdictionId, method) => {
+  const { costBasisMethods } = getTaxJurisdiction(jurisdictionId)
+  return !!costBasisMethods && costBasisMethods.includes(normalizeCostBasisMethod(method))
+}
+
+const toISODate = (time) => (time != null ? new Date(time).toISOString().split('T')[0] : null)
+const utcDayKey = (time) => Math.floor(time / DAY_MS)
+
+// Trade ids are only unique per exchange
+const getTradeKey = (trade) => `${String(trade.exchange || 'unknown').toLowerCase()}:${String(trade.id)}`
+
+/**
+ * Flatten the spot analyzer's lot ledger into one row per (disposal, lot) pair
+ * Buy fees are part of the acquisition cost: each buy's fee is folded into its price per unit, so it
+ * travels with the lot (and with the pool under AVERAGE) into the cost basis of whatever sells it
+ * Buys are re-identified by exchange and id so the lot ledger's buyTradeId finds the right fee
+ */
+const buildLotRows = (spotTrades, costBasisMethod, deductDisposalFees) => {
+  const feePerUnitByBuy = {}
+  const trades = spotTrades.map(trade => {
+    const qty = parseFloat(trade.qty)
+    if (!trade.isBuyer || !(qty > 0)) return { ...trade }
+    const key = getTradeKey(trade)
+    const feePerUnit = parseFloat(trade.commission || 0) / qty
+    feePerUnitByBuy[key] = feePerUnit
+    return { ...trade, id: key, price: String(parseFloat(trade.price) + feePerUnit), commission: '0' }
+  })
+
+  const { lotLedger } = analyzeSpotTrades(trades, { costBasisMethod })
+  const rows = []
+
+  const getLotFees = (lot) => lot.qty * (feePerUnitByBuy[lot.buyTradeId] || 0)
+
+  lotLedger.forEach(entry => {
+    // AVERAGE pools every lot at one cost per unit, so the fees are pooled the same way
+    const entryFees = entry.lots.reduce((sum, lot) => sum + getLotFees(lot), 0)
+
+    entry.lots.forEach(lot => {
+      const share = entry.qty > 0 ? lot.qty / entry.qty : 0
+      const proceeds = entry.proceeds * share
+      const fees = entry.commission * share
+      rows.push({
+        symbol: entry.symbol,
+        asset: parseSymbolBaseCurrency(entry.symbol) || entry.symbol,
+        quantity: lot.qty,
+        acquiredTime: lot.buyTime,
+        disposedTime: entry.sellTime,
+        proceeds,
+        costBasis: lot.cost,
+        acquisitionFees: costBasisMethod === COST_BASIS_METHODS.AVERAGE ? entryFees * share : getLotFees(lot),
+        fees,
+        gain: proceeds - lot.cost - (deductDisposalFees ? fees : 0),
+        holdingPeriodDays: lot.holdingPeriodDays,
+        matchRule: costBasisMethod
+      })
+    })
+  })
+
+  return rows
+}
+
+/**
+ * UK matching: same-day rule, then 30-day "bed and breakfast" rule, then the section 104 pool
+ * Pools are per asset (BTCUSDT and BTCINR share one BTC pool), so values must already be in one currency
+ * Acquisition fees are allowable costs: they go into the matched cost and the pool cost
+ */
+const buildUKPoolingRows = (spotTrades, deductDisposalFees) => {
+  const rows = []
+  let unmatchedQuantity = 0
+  const byAsset = {}
+
+  spotTrades.forEach(trade => {
+    const asset = parseSymbolBaseCurrency(trade.symbol) || trade.symbol
+    if (!byAsset[asset]) byAsset[asset] = []
+    const qty = parseFloat(trade.qty)
+    const time = new Date(trade.time).getTime()
+    if (!(qty > 0) || isNaN(time)) return
+    byAsset[asset].push({
+      symbol: trade.symbol,
+      isBuyer: trade.isBuyer,
+      qty,
+      remaining: qty,
+      price: parseFloat(trade.price),
+      fee: parseFloat(trade.commission || 0),
+      time,
+      day: utcDayKey(time)
+    })
+  })
+
+  Object.entries(byAsset).forEach(([asset, events]) => {
+    events.sort((a, b) => a.time - b.time)
+    const acquisitions = events.filter(e => e.isBuyer)
+    const disposals = events.filter(e => !e.isBuyer)
+
+    const addRow = (disposal, qty, costBasis, acquisitionFees, acquiredTime, rule) => {
+      const proceeds = disposal.price * qty
+      const fees = disposal.fee * (qty / disposal.qty)
+      rows.push({
+        symbol: disposal.symbol,
+        asset,
+        quantity: qty,
+        acquiredTime,
+        disposedTime: disposal.time,
+        proceeds,
+        costBasis,
+        acquisitionFees,
+        fees,
+        gain: proceeds - costBasis - (deductDisposalFees ? fees : 0),
+        // Bed-and-breakfast matches are acquired after the disposal, so no holding period applies
+        holdingPeriodDays: acquiredTime != null && acquiredTime <= disposal.time ? (disposal.time - acquiredTime) / DAY_MS : null,
+        matchRule: rule
+      })
+    }
+
+    // Rule 1: same-day acquisitions
+    disposals.forEach(disposal => {
+      acquisitions
+        .filter(acq => acq.day === disposal.day && acq.remaining > 0)
+        .forEach(acq => {
+          if (disposal.remaining <= 0) return
+          const take = Math.min(acq.remaining, disposal.remaining)
+          acq.remaining -= take
+          disposal.remaining -= take
+          const acqFees = acq.fee * (take / acq.qty)
+          addRow(disposal, take, take * acq.price + acqFees, acqFees, acq.time, HOLDING_PERIOD_CLASSES.SAME_DAY)
+        })
+    })
+
+    // Rule 2: acquisitions within the following 30 days, earliest first
+    disposals.forEach(disposal => {
+      acquisitions
+        .filter(acq => acq.day > disposal.day && acq.day - disposal.day <= 30 && acq.remaining > 0)
+        .forEach(acq => {
+          if (disposal.remaining <= 0) return
+          const take = Math.min(acq.remaining, disposal.remaining)
+          acq.remaining -= take
+          disposal.remaining -= take
+          const acqFees = acq.fee * (take / acq.qty)
+          addRow(disposal, take, take * acq.price + acqFees, acqFees, acq.time, HOLDING_PERIOD_CLASSES.BED_AND_BREAKFAST)
+        })
+    })
+
+    // Rule 3: section 104 pool at average cost, walked chronologically
+    let poolQty = 0
+    let poolCost = 0
+    let poolFees = 0 // Part of poolCost, tracked for the report
+    events.forEach(event => {
+      if (event.remaining <= 0) return
+      if (event.isBuyer) {
+        const fee = event.fee * (event.remaining / event.qty)
+        poolQty += event.remaining
+        poolCost += event.remaining * event.price + fee
+        poolFees += fee
+        return
+      }
+      const take = Math.min(event.remaining, poolQty)
+      if (take > 0) {
+        const cost = poolCost * (take / poolQty)
+        const fees = poolFees * (take / poolQty)
+        poolQty -= take
+        poolCost -= cost
+        poolFees -= fees
+        event.remaining -= take
+        addRow(event, take, cost, fees, null, HOLDING_PERIOD_CLASSES.SECTION_104)
+      }
+      // Anything left has no acquisition on record (external deposit / missing history)
+      if (event.remaining > 0) {
+        unmatchedQuantity += event.remaining
+        event.remaining = 0
+      }
+    })
+  })
+
+  return { rows, unmatchedQuantity }
+}
+
+/**
+ * Worked example of one disposal so the figures can be checked by hand:
+ * cost basis = purchase cost + acquisition fees, gain = proceeds - cost basis - disposal fees
+ * (disposal fees only where the jurisdiction deducts them)
+ * Prefers a disposal whose acquisition carried a fee, since that's the step easiest to miss
+ */
+const buildVerificationExample = (disposals, deductDisposalFees) => {
+  const example = disposals.find(d => d.acquisitionFees > 0) || disposals[0]
+  if (!example) return null
+
+  return {
+    asset: example.asset,
+    quantity: example.quantity,
+    acquiredDate: example.acquiredDate,
+    disposedDate: example.disposedDate,
+    purchaseCost: example.costBasis - example.acquisitionFees,
+    acquisitionFees: example.acquisitionFees,
+    costBasis: example.costBasis,
+    proceeds: example.proceeds,
+    disposalFees: example.fees,
+    disposalFeesDeducted: deductDisposalFees,
+    gain: example.gain
+  }
+}
+
+const classifyHoldingPeriod = (row, jurisdiction) => {
+  if (jurisdiction.matching === 'UK_SHARE_POOLING') return row.matchRule
+  if (jurisdiction.flatRate != null) return HOLDING_PERIOD_CLASSES.VDA_FLAT
+  if (jurisdiction.longTermThresholdDays != null && row.holdingPeriodDays > jurisdiction.longTermThresholdDays) {
+    return HOLDING_PERIOD_CLASSES.LONG_TERM
+  }
+  return HOLDING_PERIOD_CLASSES.SHORT_TERM
+}
+
+/**
+ * Generate a capital gains report for one fiscal year
+ * @param {Array} spotTrades - Spot trades in analyzer format ({ symbol, qty, price, commission, isBuyer, time, id })
+ *   with all prices/commissions already expressed in the jurisdiction's reporting currency
+ * @param {Object} options
+ * @param {string} options.jurisdiction - US | INDIA | UK
+ * @param {number} options.fiscalYear - Year the fiscal year starts in
+ * @param {string} options.costBasisMethod - Lot method for US/India (ignored for UK; defaults to the jurisdiction's)
+ *   Throws when the jurisdiction doesn't accept it (average cost for the US)
+ * @returns {Object} { jurisdiction, fiscalYear, period, currency, disposals, summary, verification }
+ */
+export const generateTaxReport = (spotTrades, options = {}) => {
+  const jurisdiction = getTaxJurisdiction(options.jurisdiction)
+  const fiscalYear = parseInt(options.fiscalYear, 10) || new Date().getUTCFullYear()
+  const { start, end, label } = getFiscalYearRange(jurisdiction.id, fiscalYear)
+
+  // Lot matching needs the full history; disposals are filtered to the fiscal year afterwards
+  let allRows = []
+  let unmatchedQuantity = 0
+  let costBasisMethod = null
+
+  if (jurisdiction.matching === 'UK_SHARE_POOLING') {
+    const result = buildUKPoolingRows(spotTrades, jurisdiction.deductDisposalFees)
+    allRows = result.rows
+    unmatchedQuantity = result.unmatchedQuantity
+  } else {
+    costBasisMethod = options.costBasisMethod
+      ? normalizeCostBasisMethod(options.costBasisMethod)
+      : jurisdiction.defaultCostBasisMethod
+    if (!jurisdiction.costBasisMethods.includes(costBasisMethod)) {
+      throw new Error(`${COST_BASIS_METHOD_LABELS[costBasisMethod]} is not accepted for ${jurisdiction.label} reports`)
+    }
+    allRows = buildLotRows(spotTrades, costBasisMethod, jurisdiction.deductDisposalFees)
+  }
+
+  const disposals = allRows
+    .filter(row => row.disposedTime >= start && row.disposedTime < end)
+    .sort((a, b) => a.disposedTime - b.disposedTime)
+    .map(row => ({
+      symbol: row.symbol,
+      asset: row.asset,
+      quantity: row.quantity,
+      acquiredDate: row.acquiredTime != null ? toISODate(row.acquiredTime) : 'VARIOUS',
+      disposedDate: toISODate(row.disposedTime),
+      proceeds: row.proceeds,
+      costBasis: row.costBasis,
+      acquisitionFees: row.acquisitionFees,
+      fees: row.fees,
+      gain: row.gain,
+      holdingPeriodDays: row.holdingPeriodDays != null ? Math.floor(row.holdingPeriodDays) : null,
+      holdingPeriodClass: classifyHoldingPeriod(row, jurisdiction),
+      matchRule: row.matchRule
+    }))
+
+  const sum = (items, field) => items.reduce((total, item) => total + (item[field] || 0), 0)
+  const totalGains = disposals.filter(d => d.gain > 0).reduce((total, d) => total + d.gain, 0)
+  const totalLosses = disposals.filter(d => d.gain < 0).reduce((total, d) => total + d.gain, 0)
+
+  const summary = {
+    disposalCount: disposals.length,
+    totalProceeds: sum(disposals, 'proceeds'),
+    totalCostBasis: sum(disposals, 'costBasis'),
+    totalAcquisitionFees: sum(disposals, 'acquisitionFees'),
+    totalFees: sum(disposals, 'fees'),
+    totalGains,
+    totalLosses,
+    netGain: totalGains + totalLosses,
+    unmatchedQuantity
+  }
+
+  if (jurisdiction.longTermThresholdDays != null) {
+    const shortTerm = disposals.filter(d => d.holdingPeriodClass === HOLDING_PERIOD_CLASSES.SHORT_TERM)
+    const longTerm = disposals.filter(d => d.holdingPeriodClass === HOLDING_PERIOD_CLASSES.LONG_TERM)
+    summary.shortTermNet = sum(shortTerm, 'gain')
+    summary.longTermNet = sum(longTerm, 'gain')
+  }
+
+  if (jurisdiction.flatRate != null) {
+    // Without loss set-off, only gains are taxable and losses are simply lost
+    summary.taxableGain = jurisdiction.allowLossSetOff ? Math.max(0, summary.netGain) : totalGains
+    summary.disallowedLosses = jurisdiction.allowLossSetOff ? 0 : Math.abs(totalLosses)
+    summary.flatRate = jurisdiction.flatRate
+    summary.estimatedTax = summary.taxableGain * jurisdiction.flatRate
+  }
+
+  if (jurisdiction.matching === 'UK_SHARE_POOLING') {
+    summary.byMatchRule = [
+      HOLDING_PERIOD_CLASSES.SAME_DAY,
+      HOLDING_PERIOD_CLASSES.BED_AND_BREAKFAST,
+      HOLDING_PERIOD_CLASSES.SECTION_104
+    ].reduce((acc, rule) => {
+      const matched = disposals.filter(d => d.matchRule === rule)
+      acc[rule] = { count: matched.length, gain: sum(matched, 'gain') }
+      return acc
+    }, {})
+  }
+
+  return {
+    jurisdiction: jurisdiction.id,
+    jurisdictionLabel: jurisdiction.label,
+    fiscalYear,
+    fiscalYearLabel: label,
+    period: { start: toISODate(start), end: toISODate(end - 1) },
+    currency: jurisdiction.currency,
+    costBasisMethod,
+    deductDisposalFees: jurisdiction.deductDisposalFees,
+    disposals,
+    summary,
+    verification: buildVerificationExample(disposals, jurisdiction.deductDisposalFees),
+    generatedAt: new Date().toISOString()
+  }
+}
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return ''
+  const str = String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
+
+/**
+ * Serialize a tax report's disposal schedule as CSV
+ */
+export const taxReportToCSV = (report) => {
+  const header = [
+    'Asset', 'Symbol', 'Quantity', 'Date Acquired', 'Date Disposed',
+    `Proceeds (${report.currency})`, `Cost Basis (${report.currency})`, `Acquisition Fees in Cost Basis (${report.currency})`,
+    `Disposal Fees (${report.currency})`,
+    `Gain/Loss (${report.currency})`, 'Holding Period (days)', 'Holding Period Class', 'Match Rule'
+  ]
+
+  const lines = report.disposals.map(d => [
+    d.asset,
+    d.symbol,
+    d.quantity.toFixed(8),
+    d.acquiredDate,
+    d.disposedDate,
+    d.proceeds.toFixed(2),
+    d.costBasis.toFixed(2),
+    (d.acquisitionFees || 0).toFixed(2),
+    d.fees.toFixed(2),
+    d.gain.toFixed(2),
+    d.holdingPeriodDays ?? '',
+    d.holdingPeriodClass,
+    d.matchRule
+  ].map(escapeCSV).join(','))
+
+  return [header.map(escapeCSV).join(','), ...lines].join('\r\n')
+}
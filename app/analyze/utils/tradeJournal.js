@@ -0,0 +1,143 @@
+// app/analyze/utils/tradeJournal.js
+// Trade journal helpers: notes/tags stored in trade_journal, joined to analyzed trades by exchange + trade_id
+//
+// Entry shape (as returned by /api/trades/journal):
+//   { exchange, tradeId, notes, tags: { setup: [], strategy: [], emotion: [], mistake: [] }, attachments: [] }
+
+export const JOURNAL_TAG_CATEGORIES = [
+  { id: 'setup', label: 'Setup' },
+  { id: 'strategy', label: 'Strategy' },
+  { id: 'emotion', label: 'Emotion' },
+  { id: 'mistake', label: 'Mistake' }
+]
+
+const CATEGORY_IDS = JOURNAL_TAG_CATEGORIES.map(c => c.id)
+
+export const MAX_TAGS_PER_CATEGORY = 10
+export const MAX_TAG_LENGTH = 40
+export const MAX_NOTES_LENGTH = 5000
+
+/**
+ * Key a trade by exchange + trade_id (the same pair trades are deduped on in /api/trades/store)
+ */
+export const getJournalKey = (exchange, tradeId) => {
+  if (tradeId === undefined || tradeId === null || tradeId === '') return null
+  return `${String(exchange || 'unknown').toLowerCase()}:${String(tradeId)}`
+}
+
+/**
+ * Trim, dedupe and cap tags per category; unknown categories are dropped
+ * @param {Object} tags - { [category]: string[] | comma-separated string }
+ * @returns {Object} { setup: [], strategy: [], emotion: [], mistake: [] }
+ */
+export const normalizeJournalTags = (tags = {}) => {
+  const normalized = {}
+  CATEGORY_IDS.forEach(category => {
+    const raw = tags?.[category]
+    const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : []
+    const seen = new Set()
+    normalized[category] = list
+      .map(tag => String(tag).trim().slice(0, MAX_TAG_LENGTH))
+      .filter(tag => {
+        const lower = tag.toLowerCase()
+        if (!tag || seen.has(lower)) return false
+        seen.add(lower)
+        return true
+      })
+      .slice(0, MAX_TAGS_PER_CATEGORY)
+  })
+  return normalized
+}
+
+/**
+ * Map of journal key -> entry
+ */
+export const indexJournalEntries = (entries = []) => {
+  const index = new Map()
+  entries.forEach(entry => {
+    const key = getJournalKey(entry.exchange, entry.tradeId)
+    if (key) index.set(key, entry)
+  })
+  return index
+}
+
+/**
+ * Flat "category:tag" list for a trade (empty when it has no journal entry)
+ */
+export const getTradeTags = (trade, journalIndex) => {
+  const entry = journalIndex?.get(getJournalKey(trade.exchange, trade.id))
+  if (!entry?.tags) return []
+  return CATEGORY_IDS.flatMap(category => (entry.tags[category] || []).map(tag => `${category}:${tag}`))
+}
+
+/**
+ * Every tag in use, grouped by category and sorted
+ * @returns {Object} { [category]: string[] }
+ */
+export const collectJournalTags = (entries = []) => {
+  const byCategory = Object.fromEntries(CATEGORY_IDS.map(category => [category, new Set()]))
+  entries.forEach(entry => {
+    CATEGORY_IDS.forEach(category => {
+      (entry.tags?.[category] || []).forEach(tag => byCategory[category].add(tag))
+    })
+  })
+  return Object.fromEntries(CATEGORY_IDS.map(category => [category, [...byCategory[category]].sort()]))
+}
+
+/**
+ * Keep trades carrying every selected tag
+ * @param {Array} trades - Trades with { exchange, id }
+ * @param {Map} journalIndex - From indexJournalEntries
+ * @param {string[]} selectedTags - "category:tag" values; empty keeps everything
+ */
+export const filterTradesByTags = (trades = [], journalIndex, selectedTags = []) => {
+  if (!selectedTags.length) return trades
+  return trades.filter(trade => {
+    const tags = getTradeTags(trade, journalIndex)
+    return selectedTags.every(tag => tags.includes(tag))
+  })
+}
+
+/**
+ * Realized P&L and win rate per tag in one category
+ * Only closing trades (spot sells, futures REALIZED_PNL) count towards wins/losses; a trade with
+ * several tags in the category counts towards each of them
+ * @param {Array} trades - analytics.allTrades (normalized: { exchange, id, type, side, realizedPnl })
+ * @param {Map} journalIndex - From indexJournalEntries
+ * @param {string} category - setup | strategy | emotion | mistake
+ * @returns {Array} [{ tag, trades, closedTrades, wins, losses, realizedPnl, winRate, avgPnl }] sorted by P&L
+ */
+export const analyzeByTag = (trades = [], journalIndex, category = 'strategy') => {
+  const stats = new Map()
+
+  trades.forEach(trade => {
+    const entry = journalIndex?.get(getJournalKey(trade.exchange, trade.id))
+    const tags = entry?.tags?.[category] || []
+    if (!tags.length) return
+
+    const isClosing = trade.type === 'futures'
+      ? trade.incomeType === 'REALIZED_PNL'
+      : trade.side === 'sell'
+    const pnl = trade.realizedPnl || 0
+
+    tags.forEach(tag => {
+      const tagStats = stats.get(tag) || { tag, trades: 0, closedTrades: 0, wins: 0, losses: 0, realizedPnl: 0 }
+      tagStats.trades++
+      if (isClosing) {
+        tagStats.closedTrades++
+        tagStats.realizedPnl += pnl
+        if (pnl > 0) tagStats.wins++
+        else if (pnl < 0) tagStats.losses++
+      }
+      stats.set(tag, tagStats)
+    })
+  })
+
+  return [...stats.values()]
+    .map(tagStats => ({
+      ...tagStats,
+      winRate: tagStats.wins + tagStats.losses > 0 ? (tagStats.wins / (tagStats.wins + tagStats.losses)) * 100 : 0,
+      avgPnl: tagStats.closedTrades > 0 ? tagStats.realizedPnl / tagStats.closedTrades : 0
+    }))
+    .sort((a, b) => b.realizedPnl - a.realizedPnl)
+}
@@ -0,0 +1,245 @@
+// app/analyze/utils/tradeReplay.js
+
+/**
+ * Trade Replay
+ * Turns a futures position (futuresPositions.js), a spot round trip (spotAnalyzer lotLedger entry) or a
+ * single fill into a replay target, loads OHLC around its entry/exit window from an OHLC provider and
+ * computes MAE/MFE: the worst and best price the trade saw while it was open, relative to the entry.
+ * A replay is stepped bar by bar with getReplayFrame.
+ */
+
+import { OHLC_INTERVALS, getDefaultOhlcProvider, pickInterval } from './ohlcProviders'
+
+const HOUR_MS = 60 * 60 * 1000
+// Context shown before entry and after exit, as a share of the holding time
+const WINDOW_PADDING = 0.5
+const MIN_WINDOW_MS = 6 * HOUR_MS
+const MAX_REPLAY_BARS = 300
+
+// ============================================
+// REPLAY TARGETS
+// ============================================
+
+const weightedPrice = (fills) => {
+  const qty = fills.reduce((sum, fill) => sum + fill.qty, 0)
+  return qty > 0 ? fills.reduce((sum, fill) => sum + fill.qty * fill.price, 0) / qty : null
+}
+
+/**
+ * Reconstructed futures position -> replay target
+ */
+export const positionToReplayTarget = (position) => ({
+  key: `futures:${position.id}`,
+  market: 'futures',
+  symbol: position.symbol,
+  side: position.side,
+  entryTime: position.entryTime,
+  exitTime: position.exitTime,
+  entryPrice: position.entryPrice,
+  exitPrice: position.exitPrice,
+  qty: position.maxSize,
+  pnl: position.netPnL,
+  fills: (position.fills || []).map(fill => ({ ...fill }))
+})
+
+/**
+ * Spot round trip (one lotLedger entry: the lots a sell consumed, then the sell) -> replay target
+ */
+export const roundTripToReplayTarget = (entry) => {
+  const entryFills = (entry.lots || [])
+    .filter(lot => lot.buyTime != null)
+    .map(lot => ({ id: lot.buyTradeId, time: lot.buyTime, side: 'BUY', action: 'ENTRY', qty: lot.qty, price: lot.buyPrice }))
+  const exitFill = { id: entry.sellTradeId, time: entry.sellTime, side: 'SELL', action: 'EXIT', qty: entry.qty, price: entry.sellPrice }
+
+  return {
+    key: `spot:${entry.symbol}:${entry.sellTime}:${entry.sellTradeId ?? ''}`,
+    market: 'spot',
+    symbol: entry.symbol,
+    side: 'LONG',
+    entryTime: entryFills.length > 0 ? Math.min(...entryFills.map(fill => fill.time)) : entry.sellTime,
+    exitTime: entry.sellTime,
+    entryPrice: weightedPrice(entryFills) ?? (entry.qty > 0 ? entry.costBasis / entry.qty : entry.sellPrice),
+    exitPrice: entry.sellPrice,
+    qty: entry.qty,
+    pnl: entry.pnl,
+    fills: [...entryFills, exitFill]
+  }
+}
+
+/**
+ * Single fill (allTrades row or raw trade) -> replay target. A buy is replayed as a long from that
+ * fill and a sell as a short, up to the end of the window
+ */
+export const tradeToReplayTarget = (trade) => {
+  const time = new Date(trade.timestamp || trade.time).getTime()
+  const isBuy = trade.isBuyer !== undefined ? trade.isBuyer : String(trade.side).toLowerCase() === 'buy'
+  const price = parseFloat(trade.price || 0)
+  const qty = parseFloat(trade.quantity ?? trade.qty ?? 0)
+
+  return {
+    key: `trade:${trade.symbol}:${time}:${trade.id ?? ''}`,
+    market: trade.type === 'futures' ? 'futures' : 'spot',
+    symbol: trade.symbol,
+    side: isBuy ? 'LONG' : 'SHORT',
+    entryTime: time,
+    exitTime: null,
+    entryPrice: price,
+    exitPrice: null,
+    qty,
+    pnl: null,
+    fills: [{ id: trade.id ?? null, time, side: isBuy ? 'BUY' : 'SELL', action: 'ENTRY', qty, price }]
+  }
+}
+
+/**
+ * Chart window around a target: the holding period plus padding on both sides, never past now
+ * @returns {{ startTime, endTime, interval, intervalMs }}
+ */
+export const getReplayWindow = (target, now = Date.now()) => {
+  const exitTime = target.exitTime ?? Math.min(now, target.entryTime + MIN_WINDOW_MS)
+  const holding = Math.max(exitTime - target.entryTime, MIN_WINDOW_MS)
+  const startTime = target.entryTime - holding * WINDOW_PADDING
+  const endTime = Math.min(now, exitTime + holding * WINDOW_PADDING)
+  const { interval, ms } = pickInterval(startTime, endTime, MAX_REPLAY_BARS)
+
+  return {
+    startTime: Math.floor(startTime / ms) * ms,
+    endTime,
+    interval,
+    intervalMs: ms
+  }
+}
+
+// ============================================
+// MAE / MFE
+// ============================================
+
+/**
+ * Maximum adverse / favorable excursion from candles while a trade was open
+ * Bars that overlap the holding period count in full, so the entry and exit bars can include
+ * prices from just before entry or after exit - the finer the interval, the smaller that error
+ * @param {Array} candles - { time, open, high, low, close } sorted oldest first
+ * @param {Object} trade - { side LONG|SHORT, entryPrice, entryTime, exitTime?, exitPrice? }
+ * @param {number} intervalMs - Bar length
+ * @returns {Object|null} { maePrice, mfePrice, maePercent, mfePercent (both >= 0, % of entry),
+ *   maeTime, mfeTime, bars, capturedPercent, exitEfficiency } - null without entry price or bars
+ */
+export const computeExcursion = (candles, trade, intervalMs) => {
+  const entryPrice = parseFloat(trade.entryPrice)
+  if (!(entryPrice > 0)) return null
+
+  const exitTime = trade.exitTime ?? Infinity
+  const held = candles.filter(candle => candle.time + intervalMs > trade.entryTime && candle.time <= exitTime)
+  if (held.length === 0) return null
+
+  const isLong = trade.side !== 'SHORT'
+  let maePrice = entryPrice
+  let mfePrice = entryPrice
+  let maeTime = trade.entryTime
+  let mfeTime = trade.entryTime
+
+  held.forEach(candle => {
+    const adverse = isLong ? candle.low : candle.high
+    const favorable = isLong ? candle.high : candle.low
+    if (isLong ? adverse < maePrice : adverse > maePrice) {
+      maePrice = adverse
+      maeTime = candle.time
+    }
+    if (isLong ? favorable > mfePrice : favorable < mfePrice) {
+      mfePrice = favorable
+      mfeTime = candle.time
+    }
+  })
+
+  const direction = isLong ? 1 : -1
+  const toPercent = (price) => ((price - entryPrice) / entryPrice) * 100 * direction
+  const exitPrice = parseFloat(trade.exitPrice)
+  const mfePercent = toPercent(mfePrice)
+  const capturedPercent = exitPrice > 0 ? toPercent(exitPrice) : null
+
+  return {
+    maePrice,
+    mfePrice,
+    maePercent: Math.max(0, -toPercent(maePrice)),
+    mfePercent: Math.max(0, mfePercent),
+    maeTime,
+    mfeTime,
+    bars: held.length,
+    capturedPercent,
+    // Share of the best available move the exit kept (negative when the trade gave it all back and more)
+    exitEfficiency: capturedPercent !== null && mfePercent > 0 ? (capturedPercent / mfePercent) * 100 : null
+  }
+}
+
+// ============================================
+// LOADING & STEPPING
+// ============================================
+
+/**
+ * Load candles for a replay target
+ * @param {Object} target - From positionToReplayTarget / roundTripToReplayTarget / tradeToReplayTarget
+ * @param {Object} options - { provider (ohlcProviders.js, default Binance), now }
+ * @returns {Promise<Object>} { target, interval, intervalMs, candles, entryIndex, exitIndex, excursion, source }
+ */
+export const loadTradeReplay = async (target, options = {}) => {
+  const provider = options.provider || getDefaultOhlcProvider()
+  const replayWindow = getReplayWindow(target, options.now)
+
+  const candles = await provider.getCandles({
+    symbol: target.symbol,
+    market: target.market,
+    interval: replayWindow.interval,
+    startTime: replayWindow.startTime,
+    endTime: replayWindow.endTime
+  })
+
+  // Providers may serve another resolution than requested (e.g. an hourly fixture)
+  const spacing = candles.length > 1 ? Math.min(...candles.slice(1).map((candle, i) => candle.time - candles[i].time)) : 0
+  const intervalMs = spacing > 0 ? spacing : replayWindow.intervalMs
+  const interval = OHLC_INTERVALS.find(entry => entry.ms === intervalMs)?.interval || replayWindow.interval
+
+  const barIndexAt = (time) => {
+    if (time == null) return candles.length - 1
+    const index = candles.findIndex(candle => candle.time + intervalMs > time)
+    return index === -1 ? candles.length - 1 : index
+  }
+
+  return {
+    target,
+    interval,
+    intervalMs,
+    candles,
+    entryIndex: candles.length > 0 ? barIndexAt(target.entryTime) : -1,
+    exitIndex: candles.length > 0 ? barIndexAt(target.exitTime) : -1,
+    excursion: computeExcursion(candles, target, intervalMs),
+    source: provider.name
+  }
+}
+
+/**
+ * What the chart shows at one bar: candles so far, fills already executed, MAE/MFE up to that bar
+ * and the open move at the bar's close (null before entry or after exit)
+ */
+export const getReplayFrame = (replay, barIndex) => {
+  const { candles, target, intervalMs } = replay
+  const index = Math.max(0, Math.min(barIndex, candles.length - 1))
+  const bar = candles[index]
+  if (!bar) return { index, bar: null, candles: [], fills: [], excursion: null, openMovePercent: null }
+
+  const barEnd = bar.time + intervalMs
+  const isOpen = bar.time + intervalMs > target.entryTime && (target.exitTime == null || bar.time <= target.exitTime)
+  const direction = target.side === 'SHORT' ? -1 : 1
+
+  return {
+    index,
+    bar,
+    candles: candles.slice(0, index + 1),
+    fills: target.fills.filter(fill => fill.time < barEnd),
+    excursion: bar.time + intervalMs > target.entryTime
+      ? computeExcursion(candles.slice(0, index + 1), { ...target, exitPrice: null }, intervalMs)
+      : null,
+    openMovePercent: isOpen && target.entryPrice > 0
+      ? ((bar.close - target.entryPrice) / target.entryPrice) * 100 * direction
+      : null
+  }
+}
@@ -0,0 +1,337 @@
+// app/analyze/utils/workbookReader.js
+// Reads .xlsx/.xlsm trade exports (Binance, Indian brokers) into the same table shape as csvParser
+// so workbooks go through the same detect-columns + parseWithAIMapping path as CSV uploads.
+// Legacy binary .xls (BIFF) workbooks are not supported - users need to re-save as .xlsx or CSV.
+
+import { unzipSync, strFromU8 } from 'fflate'
+import { MAX_ROW_ERRORS } from './csvParser'
+
+export const WORKBOOK_EXTENSIONS = ['.xlsx', '.xlsm']
+
+const WORKBOOK_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel.sheet.macroEnabled.12'
+]
+
+// Rows scanned when looking for the header row (title/banner rows sit above it)
+const HEADER_SCAN_ROWS = 25
+
+// Built-in number formats that render as dates/times
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47])
+
+// Days between the Excel epoch (1899-12-30, accounting for the 1900 leap-year bug) and 1970-01-01
+const EXCEL_EPOCH_OFFSET_DAYS = 25569
+const EXCEL_1904_OFFSET_DAYS = 24107
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Whether a File should be read as a workbook rather than CSV text
+ */
+export const isWorkbookFile = (file) => {
+  if (!file) return false
+  const name = (file.name || '').toLowerCase()
+  return WORKBOOK_EXTENSIONS.some(ext => name.endsWith(ext)) || WORKBOOK_MIME_TYPES.includes(file.type)
+}
+
+const decodeXML = (text) => {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#x([0-9a-fA-F]+);/g, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&amp;/g, '&')
+}
+
+const getAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`))
+  return match ? decodeXML(match[1]) : null
+}
+
+// Concatenate <t> runs (rich text cells split text across several runs)
+const readTextRuns = (xml) => {
+  let text = ''
+  const runRegex = /<t(?:\s[^>]*)?>([\s\S]*?)<\/t>|<t(?:\s[^>]*)?\/>/g
+  let match
+  while ((match = runRegex.exec(xml)) !== null) {
+    text += decodeXML(match[1] || '')
+  }
+  return text
+}
+
+// "AB12" -> 27 (0-based column index)
+const columnIndexFromRef = (ref) => {
+  const letters = (ref.match(/^[A-Z]+/) || [''])[0]
+  let index = 0
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64)
+  }
+  return index - 1
+}
+
+const isDateFormatCode = (formatCode) => {
+  // Drop quoted literals, escaped chars and [color]/[$-409] sections before looking for date tokens
+  const stripped = formatCode.replace(/"[^"]*"/g, '').replace(/\\./g, '').replace(/\[[^\]]*\]/g, '')
+  return /[dmyhs]/i.test(stripped)
+}
+
+// Style index -> whether cells with that style are dates
+const readDateStyles = (stylesXml) => {
+  if (!stylesXml) return []
+
+  const customDateFormats = new Set()
+  const numFmtRegex = /<numFmt\s[^>]*>/g
+  let match
+  while ((match = numFmtRegex.exec(stylesXml)) !== null) {
+    const id = parseInt(getAttribute(match[0], 'numFmtId'), 10)
+    const code = getAttribute(match[0], 'formatCode') || ''
+    if (isDateFormatCode(code)) customDateFormats.add(id)
+  }
+
+  const cellXfs = stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/)
+  if (!cellXfs) return []
+
+  const dateStyles = []
+  const xfRegex = /<xf\s[^>]*?\/?>/g
+  while ((match = xfRegex.exec(cellXfs[1])) !== null) {
+    const numFmtId = parseInt(getAttribute(match[0], 'numFmtId') || '0', 10)
+    dateStyles.push(BUILTIN_DATE_FORMATS.has(numFmtId) || customDateFormats.has(numFmtId))
+  }
+  return dateStyles
+}
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// Excel serial date -> "YYYY-MM-DD HH:mm:ss" (same shape as exchange CSV exports)
+const formatExcelDate = (serial, date1904) => {
+  const offset = date1904 ? EXCEL_1904_OFFSET_DAYS : EXCEL_EPOCH_OFFSET_DAYS
+  // Round to the nearest second - serials carry float noise
+  const ms = Math.round((serial - offset) * DAY_MS / 1000) * 1000
+  const date = new Date(ms)
+  if (isNaN(date.getTime())) return String(serial)
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+    `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`
+}
+
+// Resolve a relationship target relative to xl/
+const resolveTarget = (target) => {
+  if (target.startsWith('/')) return target.slice(1)
+  return `xl/${target}`.replace(/\/\.\//g, '/')
+}
+
+/**
+ * Open a workbook
+ * Sheets are parsed lazily - only the sheet the user picks is read
+ * @param {ArrayBuffer|Uint8Array} data - Raw .xlsx bytes
+ * @returns {{ sheetNames: string[], getSheetRows: Function }}
+ */
+export const readWorkbook = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+
+  // Legacy .xls files are OLE compound documents, not zips
+  if (bytes[0] === 0xD0 && bytes[1] === 0xCF) {
+    throw new Error('Legacy .xls workbooks are not supported. Please save the file as .xlsx or CSV.')
+  }
+
+  let files
+  try {
+    files = unzipSync(bytes)
+  } catch {
+    throw new Error('Could not open workbook - the file is not a valid .xlsx')
+  }
+
+  const readPart = (path) => (files[path] ? strFromU8(files[path]) : null)
+
+  const workbookXml = readPart('xl/workbook.xml')
+  if (!workbookXml) {
+    throw new Error('Could not open workbook - missing xl/workbook.xml')
+  }
+
+  // Sheet relationships (r:id -> xl/worksheets/sheetN.xml)
+  const relationships = {}
+  const relsXml = readPart('xl/_rels/workbook.xml.rels') || ''
+  const relRegex = /<Relationship\s[^>]*>/g
+  let match
+  while ((match = relRegex.exec(relsXml)) !== null) {
+    relationships[getAttribute(match[0], 'Id')] = resolveTarget(getAttribute(match[0], 'Target') || '')
+  }
+
+  const sheets = []
+  const sheetRegex = /<sheet\s[^>]*>/g
+  while ((match = sheetRegex.exec(workbookXml)) !== null) {
+    const name = getAttribute(match[0], 'name')
+    const relId = getAttribute(match[0], 'r:id')
+    const path = relationships[relId] || `xl/worksheets/sheet${sheets.length + 1}.xml`
+    sheets.push({ name, path })
+  }
+
+  const date1904 = /<workbookPr\s[^>]*date1904="(1|true)"/.test(workbookXml)
+
+  const sharedStrings = []
+  const sharedStringsXml = readPart('xl/sharedStrings.xml')
+  if (sharedStringsXml) {
+    const siRegex = /<si>([\s\S]*?)<\/si>/g
+    while ((match = siRegex.exec(sharedStringsXml)) !== null) {
+      // Phonetic runs (<rPh>) aren't part of the displayed text
+      sharedStrings.push(readTextRuns(match[1].replace(/<rPh[\s\S]*?<\/rPh>/g, '')))
+    }
+  }
+
+  const dateStyles = readDateStyles(readPart('xl/styles.xml'))
+
+  /**
+   * Read a sheet into rows of display strings
+   * @returns {Array<{ rowNumber: number, values: string[] }>} rowNumber is the 1-based spreadsheet row
+   */
+  const getSheetRows = (sheetName) => {
+    const sheet = sheets.find(s => s.name === sheetName) || sheets[0]
+    const sheetXml = sheet ? readPart(sheet.path) : null
+    if (!sheetXml) return []
+
+    const rows = []
+    const rowRegex = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g
+    let rowMatch
+    while ((rowMatch = rowRegex.exec(sheetXml)) !== null) {
+      const rowNumber = parseInt(getAttribute(`<row${rowMatch[1]}>`, 'r'), 10) || (rows.length ? rows[rows.length - 1].rowNumber + 1 : 1)
+      const values = []
+
+      const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+      let cellMatch
+      while ((cellMatch = cellRegex.exec(rowMatch[2] || '')) !== null) {
+        const cellTag = `<c${cellMatch[1]}>`
+        const ref = getAttribute(cellTag, 'r')
+        const columnIndex = ref ? columnIndexFromRef(ref) : values.length
+        const type = getAttribute(cellTag, 't')
+        const styleIndex = parseInt(getAttribute(cellTag, 's') || '0', 10)
+        const body = cellMatch[2] || ''
+        const rawValue = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1]
+
+        let value = ''
+        if (type === 's') {
+          value = sharedStrings[parseInt(rawValue, 10)] ?? ''
+        } else if (type === 'inlineStr') {
+          value = readTextRuns(body)
+        } else if (type === 'b') {
+          value = rawValue === '1' ? 'TRUE' : 'FALSE'
+        } else if (rawValue !== undefined) {
+          value = decodeXML(rawValue)
+          // Numeric cell formatted as a date
+          if ((!type || type === 'n') && dateStyles[styleIndex] && value !== '' && !isNaN(Number(value))) {
+            value = formatExcelDate(Number(value), date1904)
+          }
+        }
+
+        while (values.length < columnIndex) values.push('')
+        values[columnIndex] = value.trim()
+      }
+
+      rows.push({ rowNumber, values })
+    }
+
+    return rows
+  }
+
+  return {
+    sheetNames: sheets.map(s => s.name),
+    getSheetRows
+  }
+}
+
+/**
+ * Find the header row, skipping title/banner rows above the table
+ * The header is the first row whose count of text (non-numeric) cells is close to the widest such row
+ * @param {Array<{ rowNumber: number, values: string[] }>} rows - Sheet rows
+ * @returns {number} Index into rows (-1 when the sheet is empty)
+ */
+export const detectHeaderRow = (rows) => {
+  const candidates = rows.slice(0, HEADER_SCAN_ROWS).map(row => {
+    const nonEmpty = row.values.filter(value => value !== '')
+    const textCells = nonEmpty.filter(value => isNaN(Number(value.replace(/,/g, ''))))
+    return { nonEmpty: nonEmpty.length, textCells: textCells.length }
+  })
+
+  const widest = Math.max(0, ...candidates.map(c => c.textCells))
+  if (widest === 0) return rows.length > 0 ? 0 : -1
+
+  return candidates.findIndex(c => c.nonEmpty >= 2 && c.textCells >= Math.max(2, widest * 0.8))
+}
+
+/**
+ * Convert a sheet into the csvParser table shape ({ headers, rows: [{ line, values }], errors, ... })
+ * Row "line" numbers are spreadsheet row numbers so errors point at the right row in Excel
+ * @param {Object} workbook - Result of readWorkbook
+ * @param {Object} options
+ * @param {string} options.sheetName - Sheet to read (first sheet when omitted)
+ * @param {number} options.headerRow - 1-based spreadsheet row of the header (detected when omitted)
+ * @param {number} options.maxRows - Stop after this many data rows
+ */
+export const workbookSheetToTable = (workbook, { sheetName = null, headerRow = null, maxRows = Infinity } = {}) => {
+  if (!workbook.sheetNames.includes(sheetName)) {
+    // No (valid) sheet picked - use the first sheet that actually holds a table, skipping cover/summary sheets
+    for (const name of workbook.sheetNames) {
+      const table = workbookSheetToTable(workbook, { sheetName: name, maxRows })
+      if (table.headers.length >= 2 && table.rows.length > 0) return table
+    }
+    sheetName = workbook.sheetNames[0]
+  }
+
+  const resolvedSheet = sheetName
+  const sheetRows = workbook.getSheetRows(resolvedSheet)
+
+  const requestedIndex = headerRow ? sheetRows.findIndex(row => row.rowNumber === Number(headerRow)) : -1
+  const headerIndex = requestedIndex !== -1 ? requestedIndex : detectHeaderRow(sheetRows)
+
+  const table = {
+    headers: [],
+    rows: [],
+    errors: [],
+    errorCount: 0,
+    delimiter: null,
+    encoding: 'xlsx',
+    decimalComma: false,
+    sheetName: resolvedSheet,
+    sheetNames: workbook.sheetNames,
+    headerRow: null
+  }
+
+  if (headerIndex === -1) return table
+
+  const headerValues = sheetRows[headerIndex].values
+  // Trailing empty header cells are formatting, not columns
+  let width = headerValues.length
+  while (width > 0 && headerValues[width - 1] === '') width--
+
+  table.headers = headerValues.slice(0, width)
+  table.headerRow = sheetRows[headerIndex].rowNumber
+
+  for (const row of sheetRows.slice(headerIndex + 1)) {
+    if (table.rows.length >= maxRows) break
+    if (row.values.every(value => value === '')) continue
+
+    const values = row.values.slice(0, width)
+    while (values.length < width) values.push('')
+
+    // Data beyond the header columns usually means totals/notes below the table or a shifted row
+    if (row.values.slice(width).some(value => value !== '')) {
+      table.errorCount++
+      if (table.errors.length < MAX_ROW_ERRORS) {
+        table.errors.push({ line: row.rowNumber, message: `Row has values outside the ${width} header columns` })
+      }
+    }
+
+    table.rows.push({ line: row.rowNumber, values })
+  }
+
+  return table
+}
+
+/**
+ * Read a workbook File/Blob into a table
+ * @param {File|Blob} file - Uploaded workbook
+ * @param {Object} options - Same as workbookSheetToTable
+ */
+export const parseWorkbookFile = async (file, options = {}) => {
+  const workbook = readWorkbook(await file.arrayBuffer())
+  return workbookSheetToTable(workbook, options)
+}
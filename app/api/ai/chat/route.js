@@ -4,13 +4,19 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@/lib/supabase-server'
 import { generateCompletion, AI_MODELS, isAIConfigured, getModel } from '@/lib/ai/client'
+import { getDefaultOpenAICompatibleModel } from '@/lib/ai/models/openaiCompatible'
 import { getContextWindow } from '@/lib/ai/models/registry'
 import Anthropic from '@anthropic-ai/sdk'
 import { buildVegaSystemPrompt, buildCachedSystemBlocks, determineExperienceLevel } from '@/lib/ai/prompts/vega-system-prompt'
 import { compileSystemPrompt } from '@/lib/ai/prompts/compiler'
 import { TIER_LIMITS, canUseTokens, getEffectiveTier } from '@/lib/featureGates'
 import { getSelectedMCPTools, callMCPTool, isMCPAvailable } from '@/lib/ai/mcpClient'
-import { PROVIDERS, createStream, extractTextFromEvent, extractUsage, isProviderConfigured, normalizeMessages } from '@/lib/ai/providers'
+import { TRADE_TOOLS, isTradeTool, executeTradeTool } from '@/lib/ai/tools/tradeTools'
+import { mergeToolSets } from '@/lib/ai/tools/transformer'
+import { PROVIDERS, extractTextFromEvent, extractUsage, isProviderConfigured, normalizeMessages } from '@/lib/ai/providers'
+import { createRoutedStream } from '@/lib/ai/providers/router'
+import { getUserMemories } from '@/lib/ai/context/memory'
+import { isValidStreamId, openStream, appendStreamEvent, findStream, createReplayStream, encodeStreamEvent } from '@/lib/ai/streamStore'
 
 // Helper for conditional logging (only in development)
 const isDev = process.env.NODE_ENV === 'development'
@@ -31,6 +37,16 @@ function getAnthropicClient() {
 const SUMMARIZE_THRESHOLD_MESSAGES = 8 // Summarize after 8 message pairs (16 total messages)
 const SUMMARIZE_THRESHOLD_MINUTES = 5 // Summarize if inactive for 5 minutes after assistant response
 
+// Postgres undefined_column / PostgREST "column not in schema cache"
+const UNDEFINED_COLUMN_CODES = ['42703', 'PGRST204']
+const isUndefinedColumnError = (error) => UNDEFINED_COLUMN_CODES.includes(error?.code)
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive'
+}
+
 export async function POST(request) {
   try {
     if (!isAIConfigured()) {
@@ -50,8 +66,9 @@ export async function POST(request) {
       previousSummaries = [], // Summaries from previous conversations
       coachMode = false, // Coach mode toggle
       coachModeConfig = null, // Coach mode configuration { conversationDepth, currentTopic }
-      provider = null, // Provider: 'anthropic' or 'deepseek' (defaults to anthropic for backward compatibility)
-      model = null // Model ID (defaults based on tier/provider)
+      provider = null, // Provider: 'anthropic', 'deepseek' or 'openai' (OpenAI-compatible endpoints) - defaults to anthropic for backward compatibility
+      model = null, // Model ID (defaults based on tier/provider)
+      streamId = null // Client-generated id - makes the answer resumable (GET /api/ai/chat/stream/[streamId])
     } = body
 
     const supabase = await createClient()
@@ -72,6 +89,24 @@ export async function POST(request) {
       )
     }
 
+    if (streamId !== null && !isValidStreamId(streamId)) {
+      return NextResponse.json(
+        { error: 'Invalid stream ID' },
+        { status: 400 }
+      )
+    }
+
+    // Retried request for an answer that is already generating/generated - replay it
+    // instead of running (and billing) the turn a second time
+    if (streamId) {
+      const existingStream = await findStream(streamId, { userId: user.id, supabase })
+      if (existingStream) {
+        return new Response(createReplayStream(existingStream, { offset: 0, userId: user.id, supabase }), {
+          headers: SSE_HEADERS
+        })
+      }
+    }
+
     // Get subscription and check token limits
     let subscription = null
     let tier = 'free'
@@ -170,7 +205,7 @@ export async function POST(request) {
     let selectedProvider = provider || PROVIDERS.ANTHROPIC
     
     // Validate provider
-    if (selectedProvider !== PROVIDERS.ANTHROPIC && selectedProvider !== PROVIDERS.DEEPSEEK) {
+    if (![PROVIDERS.ANTHROPIC, PROVIDERS.DEEPSEEK, PROVIDERS.OPENAI].includes(selectedProvider)) {
       selectedProvider = PROVIDERS.ANTHROPIC
     }
     
@@ -190,6 +225,9 @@ export async function POST(request) {
       } else if (selectedProvider === PROVIDERS.DEEPSEEK) {
         // Default to deepseek-chat, can upgrade to reasoner for pro users
         selectedModel = tier === 'pro' ? AI_MODELS.DEEPSEEK_REASONER.id : AI_MODELS.DEEPSEEK_CHAT.id
+      } else if (selectedProvider === PROVIDERS.OPENAI) {
+        // Configured OpenAI-compatible endpoint (OPENAI_COMPATIBLE_DEFAULT_MODEL or first model for the tier)
+        selectedModel = getDefaultOpenAICompatibleModel(tier)?.id
       }
     }
     
@@ -201,7 +239,8 @@ export async function POST(request) {
     })
     
     // Validate model belongs to selected provider
-    const modelConfig = Object.values(AI_MODELS).find(m => m.id === selectedModel)
+    // The registry also holds OpenAI-compatible models registered from endpoint config
+    const modelConfig = getModel(selectedModel)
     if (!modelConfig) {
       return NextResponse.json(
         { error: `Invalid model: ${selectedModel}` },
@@ -230,10 +269,10 @@ export async function POST(request) {
       currentSummary = convData?.summary || null
       previousMessageCount = convData?.message_count || 0
       
-      // For DeepSeek, load actual message history (not just summaries)
+      // For DeepSeek and OpenAI-compatible endpoints, load actual message history (not just summaries)
       // This provides better context than summaries alone
       // DeepSeek has 64K context window, so we can include recent messages
-      if (selectedProvider === PROVIDERS.DEEPSEEK && conversationId) {
+      if ((selectedProvider === PROVIDERS.DEEPSEEK || selectedProvider === PROVIDERS.OPENAI) && conversationId) {
         try {
           const { data: messages } = await supabase
             .from('ai_messages')
@@ -316,7 +355,8 @@ export async function POST(request) {
       // Fetch MCP tools if available (for AI chat tool integration)
     let mcpTools = []
     const mcpStartTime = Date.now()
-    if (isMCPAvailable()) {
+    // Models without function calling (e.g. a local llama.cpp server) skip tools entirely
+    if (isMCPAvailable() && modelConfig.supportsTools) {
       debugLog('[Chat API] 🔍 MCP is available, loading tools...')
       try {
         mcpTools = await getSelectedMCPTools()
@@ -334,6 +374,14 @@ export async function POST(request) {
       }
     }
     
+    // First-party "My Trades" tools run locally against the user's trades table and cached analytics
+    // They're merged with MCP tools and go through the same tool-use loop
+    const chatTools = modelConfig.supportsTools ? mergeToolSets(TRADE_TOOLS, mcpTools) : []
+    const tradeToolContext = { supabase, userId: user.id }
+    const executeTool = (toolName, toolInput) => isTradeTool(toolName)
+      ? executeTradeTool(toolName, toolInput, tradeToolContext)
+      : callMCPTool(toolName, toolInput, 2)
+
     // Build cached system blocks with prompt caching
     // Include MCP tools guidance if tools are available
     const hasMCPTools = mcpTools.length > 0
@@ -345,6 +393,9 @@ export async function POST(request) {
       currentTopic: coachModeConfig?.currentTopic || null
     } : null
     
+    // Long-term memory (goals, risk tolerance, rules, recurring mistakes, preferred assets)
+    const userMemory = await getUserMemories(supabase, user.id)
+
     // Build system prompt using provider-aware compiler
     // This returns cached blocks for Anthropic, plain string for DeepSeek
     const systemBlocks = compileSystemPrompt({
@@ -355,7 +406,9 @@ export async function POST(request) {
       tier,
       experienceLevel,
       hasMCPTools,
-      coachModeConfig: finalCoachModeConfig
+      hasTradeTools: chatTools.length > 0,
+      coachModeConfig: finalCoachModeConfig,
+      userMemory
     })
     
     // Log system prompt type for debugging (only in dev)
@@ -377,7 +430,7 @@ export async function POST(request) {
     // This provides better context than summaries alone
     // DeepSeek's automatic prefix caching will optimize repeated system prompts
     // Note: DeepSeek is stateless, so we need to pass full conversation history
-    if (selectedProvider === PROVIDERS.DEEPSEEK && conversationMessages.length > 0) {
+    if ((selectedProvider === PROVIDERS.DEEPSEEK || selectedProvider === PROVIDERS.OPENAI) && conversationMessages.length > 0) {
       // Add historical messages from database
       // We'll merge with sessionMessages below, so we include all historical messages
       // Session messages will be added after, taking precedence for any overlaps
@@ -420,6 +473,14 @@ export async function POST(request) {
       )
     }
 
+    // Record the answer's events so a dropped client can resume it (see lib/ai/streamStore.js)
+    if (streamId && !openStream({ streamId, userId: user.id, conversationId: conversation?.id || null, supabase })) {
+      const existingStream = await findStream(streamId, { userId: user.id, supabase })
+      return new Response(createReplayStream(existingStream, { offset: 0, userId: user.id, supabase }), {
+        headers: SSE_HEADERS
+      })
+    }
+
     // Create streaming response
     const stream = new ReadableStream({
       async start(controller) {
@@ -463,6 +524,16 @@ export async function POST(request) {
           }
         }
 
+        // Helper function to send an event - recorded for resuming even once the client is gone
+        const sendEvent = (payload) => {
+          const event = streamId ? appendStreamEvent(streamId, payload) : payload
+          return safeEnqueue(encodeStreamEvent(event))
+        }
+
+        if (streamId) {
+          sendEvent({ type: 'stream_start', streamId, conversationId: conversation?.id || null })
+        }
+
         // Helper function to send logs to browser console
         const sendBrowserLog = (level, message, data = null) => {
           const logData = {
@@ -472,9 +543,7 @@ export async function POST(request) {
             data: data ? (typeof data === 'object' ? JSON.stringify(data).substring(0, 500) : String(data).substring(0, 500)) : null,
             timestamp: new Date().toISOString()
           }
-          safeEnqueue(
-            new TextEncoder().encode(`data: ${JSON.stringify(logData)}\n\n`)
-          )
+          sendEvent(logData)
           // Also log to server console
           if (level === 'error') {
             console.error(`[Chat API] [BROWSER] ${message}`, data)
@@ -979,9 +1048,7 @@ export async function POST(request) {
                 lastPoint: validChartData[validChartData.length - 1]
               })
               
-              safeEnqueue(
-                new TextEncoder().encode(`data: ${JSON.stringify(chartPayload)}\n\n`)
-              )
+              sendEvent(chartPayload)
             } else {
               debugWarn('[Chart] No valid chart data points extracted')
               sendBrowserLog('warn', 'No valid chart data points', {
@@ -1080,20 +1147,41 @@ export async function POST(request) {
           
           // Both Anthropic and DeepSeek support tools
           // DeepSeek uses OpenAI-compatible format, which is normalized by provider abstraction
-          const toolsToUse = (mcpTools.length > 0) ? mcpTools : null
+          const toolsToUse = (chatTools.length > 0) ? chatTools : null
           if (toolsToUse) {
             debugLog(`[Chat API] Added ${toolsToUse.length} tools to API call (provider: ${selectedProvider})`)
           }
           
-          // Create stream using provider abstraction
-          const streamGenerator = createStream({
+          // Model that actually answers - differs from the selection when the router fails over
+          let answeredBy = { provider: selectedProvider, model: selectedModel, failedOver: false, attempts: [] }
+          const handleRoute = (route) => {
+            if (route.failedOver) {
+              sendBrowserLog('warn', `${route.requestedModel} unavailable, answered by ${route.model}`, {
+                attempts: route.attempts
+              })
+            }
+            // Follow-up rounds may fail over too - keep the original selection and every attempt
+            answeredBy = {
+              ...route,
+              requestedProvider: selectedProvider,
+              requestedModel: selectedModel,
+              failedOver: route.model !== selectedModel,
+              attempts: [...answeredBy.attempts, ...route.attempts]
+            }
+          }
+          
+          // Create stream through the failover router (normalizes messages for whichever provider answers)
+          const streamGenerator = createRoutedStream({
             provider: selectedProvider,
             model: selectedModel,
-            messages: normalized.messages,
-            system: normalized.system,
+            tier,
+            messages: messagesForAI,
+            system: systemBlocks,
             maxTokens: tier === 'pro' ? 2000 : 1000,
             temperature: 0.7,
-            tools: toolsToUse
+            tools: toolsToUse,
+            inputTokens,
+            onRoute: handleRoute
           })
           
           // Convert async generator to stream-like interface
@@ -1119,10 +1207,7 @@ export async function POST(request) {
               outputTokens += estimateTokens(textChunk)
               
               // Send chunk to client
-              const chunkData = JSON.stringify({ chunk: textChunk, type: 'token' })
-              const enqueued = safeEnqueue(
-                new TextEncoder().encode(`data: ${chunkData}\n\n`)
-              )
+              const enqueued = sendEvent({ chunk: textChunk, type: 'token' })
               
               if (!enqueued && textChunkCount === 1) {
                 console.warn('[Chat API] ⚠️ Failed to enqueue first chunk - stream may be closed')
@@ -1229,7 +1314,7 @@ export async function POST(request) {
           // After initial stream, check if tools were requested
           // Execute tools for both Anthropic and DeepSeek
           // DeepSeek tool calls are normalized to Anthropic format by provider abstraction
-          if (pendingToolUses.size > 0 && mcpTools.length > 0) {
+          if (pendingToolUses.size > 0 && toolsToUse) {
             debugLog(`[Chat API] 🔧 Processing ${pendingToolUses.size} pending tool uses`)
             sendBrowserLog('info', `Executing ${pendingToolUses.size} tool(s)`, { 
               toolCount: pendingToolUses.size,
@@ -1240,14 +1325,14 @@ export async function POST(request) {
             for (const [toolUseId, toolUse] of pendingToolUses.entries()) {
               const toolExecutionStart = Date.now()
               try {
-                debugLog(`[Chat API] 🚀 Executing MCP tool: ${toolUse.name}`)
+                debugLog(`[Chat API] 🚀 Executing ${isTradeTool(toolUse.name) ? 'trade' : 'MCP'} tool: ${toolUse.name}`)
                 sendBrowserLog('info', `Executing tool: ${toolUse.name}`, { 
                   toolId: toolUseId,
                   input: toolUse.input 
                 })
                 
-                // Execute MCP tool (with retries)
-                const toolResult = await callMCPTool(toolUse.name, toolUse.input, 2)
+                // Execute trade tool locally or MCP tool (with retries)
+                const toolResult = await executeTool(toolUse.name, toolUse.input)
                 const toolExecutionTime = Date.now() - toolExecutionStart
                 
                 debugLog(`[Chat API] ✅ Tool executed successfully: ${toolUse.name} (${toolExecutionTime}ms)`)
@@ -1270,7 +1355,7 @@ export async function POST(request) {
                   }]
                 })
                 
-                // Tool result is already a string from callMCPTool
+                // Tool result is already a string from callMCPTool / executeTradeTool
                 claudeMessages.push({
                   role: 'user',
                   content: [{
@@ -1379,7 +1464,7 @@ export async function POST(request) {
                 })
                 
                 // Provide helpful error message
-                const isServerError = toolError.message.includes('500') || toolError.message.includes('502') || toolError.message.includes('503')
+                const isServerError = !isTradeTool(toolUse.name) && (toolError.message.includes('500') || toolError.message.includes('502') || toolError.message.includes('503'))
                 const errorMessage = isServerError
                   ? `The market data service is temporarily unavailable (server error). This is likely a temporary issue with Alpha Vantage. Please try again in a moment, or I can provide analysis based on available data.`
                   : `Tool execution failed: ${toolError.message}. Please continue without this data.`
@@ -1412,18 +1497,17 @@ export async function POST(request) {
                 toolResultsCount: currentMessages.length - initialMessageCount
               })
               
-              // Normalize messages for follow-up call
-              const followUpNormalized = normalizeMessages(currentMessages, systemBlocks, selectedProvider)
-              
-              // Use provider abstraction for follow-up calls
-              const followUpStreamGenerator = createStream({
-                provider: selectedProvider,
-                model: selectedModel,
-                messages: followUpNormalized.messages,
-                system: followUpNormalized.system,
+              // Follow-up calls continue on the model that answered (failing over again if it goes down)
+              const followUpStreamGenerator = createRoutedStream({
+                provider: answeredBy.provider,
+                model: answeredBy.model,
+                tier,
+                messages: currentMessages,
+                system: systemBlocks,
                 maxTokens: tier === 'pro' ? 2000 : 1000,
                 temperature: 0.7,
-                tools: toolsToUse // Use same tools as initial call
+                tools: toolsToUse, // Use same tools as initial call
+                onRoute: handleRoute
               })
               
               // Convert async generator to stream-like interface
@@ -1455,9 +1539,7 @@ export async function POST(request) {
                     console.log(`[Chat API] Follow-up chunk ${followUpChunkCount}:`, followUpTextChunk.substring(0, 50))
                   }
                   
-                  const enqueued = safeEnqueue(
-                    new TextEncoder().encode(`data: ${JSON.stringify({ chunk: followUpTextChunk, type: 'token' })}\n\n`)
-                  )
+                  const enqueued = sendEvent({ chunk: followUpTextChunk, type: 'token' })
                   if (!enqueued && followUpChunkCount === 1) {
                     console.error('[Chat API] ⚠️ Failed to enqueue first follow-up chunk - stream may be closed')
                   }
@@ -1590,7 +1672,7 @@ export async function POST(request) {
                 for (const [toolUseId, toolUse] of followUpPendingToolUses.entries()) {
                   try {
                     debugLog(`[Chat API] 🚀 Executing follow-up tool: ${toolUse.name}`)
-                    const toolResult = await callMCPTool(toolUse.name, toolUse.input, 2)
+                    const toolResult = await executeTool(toolUse.name, toolUse.input)
                     
                     // Send chart data to frontend if this is a time series tool
                     sendChartData(toolUse.name, toolUse.input?.symbol, toolResult, toolUse.input || {}, message)
@@ -1639,9 +1721,7 @@ export async function POST(request) {
                 // Send a fallback message if we have tool results but no response
                 if (followUpFullResponse.length === 0 && followUpRound === 1) {
                   const fallbackMessage = "I've retrieved the market data, but encountered an issue generating the response. Please try asking again."
-                  safeEnqueue(
-                    new TextEncoder().encode(`data: ${JSON.stringify({ chunk: fallbackMessage, type: 'token' })}\n\n`)
-                  )
+                  sendEvent({ chunk: fallbackMessage, type: 'token' })
                   fullResponse = fallbackMessage
                   debugLog('[Chat API] Sent fallback message to user')
                 }
@@ -1712,15 +1792,36 @@ export async function POST(request) {
             }
 
             // Store assistant response (if there's actual content)
+            // metadata records which model answered (after any provider failover)
             if (fullResponse && fullResponse.trim().length > 0) {
-              const { error: assistantMsgError } = await supabase
+              const assistantMessage = {
+                conversation_id: conversation.id,
+                role: 'assistant',
+                content: fullResponse,
+                sequence: nextSequence + 1,
+                metadata: {
+                  provider: answeredBy.provider,
+                  model: answeredBy.model,
+                  requestedProvider: selectedProvider,
+                  requestedModel: selectedModel,
+                  failedOver: answeredBy.failedOver,
+                  ...(answeredBy.attempts.length > 0 && { failoverAttempts: answeredBy.attempts })
+                }
+              }
+              let { error: assistantMsgError } = await supabase
                 .from('ai_messages')
-                .insert({
-                  conversation_id: conversation.id,
-                  role: 'assistant',
-                  content: fullResponse,
-                  sequence: nextSequence + 1
-                })
+                .insert(assistantMessage)
+
+              // Databases without the metadata column yet - keep the message, drop the metadata
+              if (isUndefinedColumnError(assistantMsgError)) {
+                console.warn('⚠️ ai_messages.metadata unavailable, storing message without it:', assistantMsgError.message)
+                const withoutMetadata = { ...assistantMessage }
+                delete withoutMetadata.metadata
+                const retry = await supabase
+                  .from('ai_messages')
+                  .insert(withoutMetadata)
+                assistantMsgError = retry.error
+              }
 
               if (assistantMsgError) {
                 console.error('Error storing assistant message:', assistantMsgError)
@@ -1730,20 +1831,18 @@ export async function POST(request) {
 
           // Send final stats
           const finalConversationId = conversation?.id || null
-          safeEnqueue(
-            new TextEncoder().encode(
-              `data: ${JSON.stringify({ 
-                type: 'done', 
-                conversationId: finalConversationId,
-                tokens: {
-                  input: inputTokens,
-                  output: outputTokens
-                },
-                provider: selectedProvider,
-                model: selectedModel
-              })}\n\n`
-            )
-          );
+          sendEvent({
+            type: 'done',
+            conversationId: finalConversationId,
+            tokens: {
+              input: inputTokens,
+              output: outputTokens
+            },
+            provider: answeredBy.provider,
+            model: answeredBy.model,
+            requestedModel: selectedModel,
+            failedOver: answeredBy.failedOver
+          })
 
           safeClose();
         } catch (error) {
@@ -1801,6 +1900,10 @@ export async function POST(request) {
                      error.statusCode === 500 || error.statusCode === 502 || error.statusCode === 503) {
             errorMessage = 'Service temporarily unavailable. Please try again in a moment.'
             errorType = 'server_error'
+          } else if (error.status === 504 || error.statusCode === 504) {
+            // Router timeout - every provider tried was too slow to answer
+            errorMessage = 'The AI took too long to respond. Please try again in a moment.'
+            errorType = 'timeout'
           } else if (error.message) {
             // Use error message if it's user-friendly, otherwise use generic
             if (error.message.includes('too long') || error.message.includes('token') || 
@@ -1809,18 +1912,31 @@ export async function POST(request) {
               errorMessage = error.message
             }
           }
-          
+
+          // OpenAI-compatible endpoints: client errors name the endpoint (e.g. "Could not reach Ollama at ...")
+          if (selectedProvider === PROVIDERS.OPENAI) {
+            const status = error.status || error.statusCode
+            if (status === 401 || status === 403) {
+              errorMessage = error.message
+              errorType = 'auth'
+            } else if (status === 402) {
+              errorMessage = error.message
+              errorType = 'quota'
+            } else if (status === 429) {
+              errorMessage = error.message
+              errorType = 'rate_limit'
+            } else if (status === 404 || (status === 503 && error.message?.startsWith('Could not reach'))) {
+              errorMessage = error.message
+            }
+          }
+
           // Log the actual error message for debugging
           if (error.message && !errorMessage.includes(error.message)) {
             console.error('[Chat API] Original error message:', error.message)
           }
           
           // Ensure error is sent to client (safely)
-          const errorSent = safeEnqueue(
-            new TextEncoder().encode(
-              `data: ${JSON.stringify({ type: 'error', error: errorMessage, errorType, originalMessage: error.message })}\n\n`
-            )
-          );
+          const errorSent = sendEvent({ type: 'error', error: errorMessage, errorType, originalMessage: error.message })
           
           if (!errorSent) {
             console.warn('[Chat API] Could not send error message - stream already closed')
@@ -1832,11 +1948,7 @@ export async function POST(request) {
     })
 
     return new Response(stream, {
-      headers: {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive'
-      }
+      headers: SSE_HEADERS
     })
 
   } catch (error) {
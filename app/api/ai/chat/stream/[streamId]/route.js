@@ -0,0 +1,62 @@
+// app/api/ai/chat/stream/[streamId]/route.js
+// Resume a chat answer after a reload or dropped connection: replays the recorded SSE events
+// from ?offset= (number of events already received) and follows the answer until it finishes.
+// Nothing is regenerated, so resuming never costs tokens.
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@/lib/supabase-server'
+import { isValidStreamId, findStream, createReplayStream } from '@/lib/ai/streamStore'
+
+export async function GET(request, { params }) {
+  try {
+    const { streamId } = await params
+
+    if (!isValidStreamId(streamId)) {
+      return NextResponse.json(
+        { error: 'Invalid stream ID' },
+        { status: 400 }
+      )
+    }
+
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const offset = parseInt(searchParams.get('offset') || '0', 10)
+    if (!Number.isInteger(offset) || offset < 0) {
+      return NextResponse.json(
+        { error: 'Offset must be a non-negative integer' },
+        { status: 400 }
+      )
+    }
+
+    const stream = await findStream(streamId, { userId: user.id, supabase })
+    if (!stream) {
+      return NextResponse.json(
+        { error: 'Stream not found or expired' },
+        { status: 404 }
+      )
+    }
+
+    return new Response(createReplayStream(stream, { offset, userId: user.id, supabase }), {
+      headers: {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      }
+    })
+  } catch (error) {
+    console.error('❌ Error resuming chat stream:', error)
+    return NextResponse.json(
+      { error: 'Failed to resume stream' },
+      { status: 500 }
+    )
+  }
+}
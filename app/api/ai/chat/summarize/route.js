@@ -4,6 +4,7 @@
 import { NextResponse } from 'next/server'
 import { createClient } from '@/lib/supabase-server'
 import { generateCompletion, AI_MODELS, isAIConfigured } from '@/lib/ai/client'
+import { updateMemoriesFromConversation } from '@/lib/ai/context/memory'
 
 export async function POST(request) {
   try {
@@ -112,9 +113,13 @@ Provide a well-structured summary that captures the essence of the conversation
       )
     }
 
+    // Remember durable facts (goals, rules, recurring mistakes, ...) for future conversations
+    const memories = await updateMemoriesFromConversation(supabase, user.id, messages, { conversationId })
+
     return NextResponse.json({
       success: true,
-      summary: summary
+      summary: summary,
+      memoriesAdded: memories.length
     })
 
   } catch (error) {
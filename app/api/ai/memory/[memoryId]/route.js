@@ -0,0 +1,79 @@
+// app/api/ai/memory/[memoryId]/route.js
+// Edit (PATCH) or delete (DELETE) one of Vega's memories about the user
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@/lib/supabase-server'
+import { updateUserMemory, deleteUserMemories, validateMemory } from '@/lib/ai/context/memory'
+
+export async function PATCH(request, { params }) {
+  try {
+    const { memoryId } = await params
+
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const body = await request.json()
+    const { valid, error, memory } = validateMemory(body)
+    if (!valid) {
+      return NextResponse.json(
+        { error },
+        { status: 400 }
+      )
+    }
+
+    const updated = await updateUserMemory(supabase, user.id, memoryId, memory)
+    if (!updated) {
+      return NextResponse.json(
+        { error: 'Memory not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true, memory: updated })
+  } catch (error) {
+    console.error('❌ Error updating AI memory:', error)
+    return NextResponse.json(
+      { error: 'Failed to update memory' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { memoryId } = await params
+
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const deleted = await deleteUserMemories(supabase, user.id, memoryId)
+    if (deleted === 0) {
+      return NextResponse.json(
+        { error: 'Memory not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('❌ Error deleting AI memory:', error)
+    return NextResponse.json(
+      { error: 'Failed to delete memory' },
+      { status: 500 }
+    )
+  }
+}
@@ -0,0 +1,109 @@
+// app/api/ai/memory/route.js
+// Vega's long-term memory of the user (goals, risk tolerance, rules, recurring mistakes, preferred assets)
+// GET lists it, POST adds a memory written by the user, DELETE forgets everything
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@/lib/supabase-server'
+import {
+  getUserMemories,
+  addUserMemory,
+  deleteUserMemories,
+  validateMemory,
+  MEMORY_CATEGORIES,
+  MEMORY_CATEGORY_LABELS,
+  MAX_MEMORIES_PER_USER
+} from '@/lib/ai/context/memory'
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const memories = await getUserMemories(supabase, user.id)
+
+    return NextResponse.json({
+      success: true,
+      memories,
+      categories: Object.values(MEMORY_CATEGORIES).map(id => ({ id, label: MEMORY_CATEGORY_LABELS[id] })),
+      limit: MAX_MEMORIES_PER_USER
+    })
+  } catch (error) {
+    console.error('❌ Error fetching AI memories:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch memories' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function POST(request) {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const body = await request.json()
+    const { valid, error, memory } = validateMemory(body)
+    if (!valid) {
+      return NextResponse.json(
+        { error },
+        { status: 400 }
+      )
+    }
+
+    const existing = await getUserMemories(supabase, user.id)
+    if (existing.length >= MAX_MEMORIES_PER_USER) {
+      return NextResponse.json(
+        { error: `You can keep up to ${MAX_MEMORIES_PER_USER} memories. Delete one to add another.` },
+        { status: 400 }
+      )
+    }
+
+    const saved = await addUserMemory(supabase, user.id, memory)
+
+    return NextResponse.json({ success: true, memory: saved })
+  } catch (error) {
+    console.error('❌ Error saving AI memory:', error)
+    return NextResponse.json(
+      { error: 'Failed to save memory' },
+      { status: 500 }
+    )
+  }
+}
+
+export async function DELETE() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const deleted = await deleteUserMemories(supabase, user.id)
+
+    return NextResponse.json({ success: true, deleted })
+  } catch (error) {
+    console.error('❌ Error clearing AI memories:', error)
+    return NextResponse.json(
+      { error: 'Failed to clear memories' },
+      { status: 500 }
+    )
+  }
+}
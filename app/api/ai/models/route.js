@@ -0,0 +1,43 @@
+// app/api/ai/models/route.js
+// Lists the OpenAI-compatible models configured on this server (OpenAI, Groq, OpenRouter, Ollama, llama.cpp)
+// for the chat model selector. Endpoint URLs and keys stay server-side.
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@/lib/supabase-server'
+import { getOpenAICompatibleModels, getOpenAICompatibleEndpoint } from '@/lib/ai/models/openaiCompatible'
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const models = getOpenAICompatibleModels().map(model => {
+      const endpoint = getOpenAICompatibleEndpoint(model.endpoint)
+      return {
+        id: model.id,
+        name: model.name,
+        provider: model.provider,
+        endpoint: endpoint?.name || model.endpoint,
+        local: !!endpoint?.local,
+        supportsTools: model.supportsTools,
+        contextWindow: model.contextWindow,
+        tier: model.tier
+      }
+    })
+
+    return NextResponse.json({ models })
+  } catch (error) {
+    console.error('❌ Error listing AI models:', error)
+    return NextResponse.json(
+      { error: 'Failed to list models' },
+      { status: 500 }
+    )
+  }
+}
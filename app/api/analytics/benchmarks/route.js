@@ -0,0 +1,75 @@
+// app/api/analytics/benchmarks/route.js
+// Serves live cohort benchmark distributions from platform_benchmarks (written by /api/cron/aggregate-benchmarks)
+// The client sends its segment chain (most specific first); the first published segment wins
+
+import { NextResponse } from 'next/server'
+import { createClient } from '@/lib/supabase-server'
+import { createAdminClient } from '@/lib/supabase-admin'
+
+export const dynamic = 'force-dynamic'
+
+const SEGMENT_PATTERN = /^[a-z0-9_-]+:(all|spot|futures):[a-z]+$/
+const MAX_SEGMENTS = 5
+
+export async function GET(request) {
+  try {
+    const supabase = await createClient()
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) {
+      return NextResponse.json(
+        { error: 'Unauthorized' },
+        { status: 401 }
+      )
+    }
+
+    const { searchParams } = new URL(request.url)
+    const segments = (searchParams.get('segments') || '')
+      .split(',')
+      .map(segment => segment.trim().toLowerCase())
+      .filter(segment => SEGMENT_PATTERN.test(segment))
+      .slice(0, MAX_SEGMENTS)
+
+    if (segments.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'INVALID_SEGMENTS', message: 'segments must be exchange:market:experience keys' },
+        { status: 400 }
+      )
+    }
+
+    // Aggregates only - no per-user rows, so the service client reads them regardless of RLS
+    const adminClient = createAdminClient()
+    const { data: rows, error } = await adminClient
+      .from('platform_benchmarks')
+      .select('segment_key, cohort_size, distributions, computed_at')
+      .in('segment_key', segments)
+
+    if (error) {
+      console.error('❌ Error fetching platform benchmarks:', error.message)
+      return NextResponse.json(
+        { success: false, error: 'BENCHMARKS_ERROR', message: error.message },
+        { status: 500 }
+      )
+    }
+
+    const match = segments.map(segment => (rows || []).find(row => row.segment_key === segment)).find(Boolean)
+
+    return NextResponse.json({
+      success: true,
+      benchmarks: match
+        ? {
+            segment: match.segment_key,
+            cohortSize: match.cohort_size,
+            computedAt: match.computed_at,
+            distributions: match.distributions
+          }
+        : null
+    })
+  } catch (error) {
+    console.error('❌ Error serving platform benchmarks:', error)
+    return NextResponse.json(
+      { success: false, error: 'INTERNAL_ERROR', message: error.message },
+      { status: 500 }
+    )
+  }
+}
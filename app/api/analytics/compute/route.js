@@ -3,9 +3,15 @@
 // Related: ANALYTICS_DATA_FLOW_STRATEGY.md, ANALYTICS_COMPUTATION_POINTS.md
 
 import { createClient } from '@/lib/supabase-server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { fetchFxRateHistory, fetchLatestFxRate } from '@/lib/fxRateHistory'
+import { getUserBaseCurrency, getDefaultBaseCurrency } from '@/lib/userPreferences'
 import { NextResponse } from 'next/server'
 import { analyzeData } from '@/app/analyze/utils/masterAnalyzer'
 import { formatStructuredContext } from '@/lib/ai/prompts/vega-system-prompt'
+import { normalizeCostBasisMethod } from '@/app/analyze/utils/costBasis'
+import { getFxHistoryRange, getRecordQuoteCurrency, getCurrencyKind } from '@/app/analyze/utils/currencyConverter'
+import { fetchMarkPrices, getMarkPriceSymbols } from '@/app/analyze/utils/openPositions'
 import crypto from 'crypto'
 
 export const dynamic = 'force-dynamic'
@@ -13,22 +19,17 @@ export const dynamic = 'force-dynamic'
 /**
  * Transform database trades to format expected by analyzeData
  */
-function transformTradesForAnalysis(trades) {
+function transformTradesForAnalysis(trades, baseCurrency = null) {
   const spotTrades = []
   const futuresIncome = []
+  const futuresTrades = []
+  const uniqueExchanges = [...new Set(trades.map(t => t.exchange))]
   const metadata = {
-    primaryCurrency: 'USD',
+    // The user's base (display) currency; amounts are converted per trade from their own quote currency
+    primaryCurrency: baseCurrency || getDefaultBaseCurrency(uniqueExchanges),
     availableCurrencies: ['USD', 'INR', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CNY', 'SGD', 'CHF'],
     supportsCurrencySwitch: true
   }
-
-  // Detect primary currency based on exchanges
-  const uniqueExchanges = [...new Set(trades.map(t => t.exchange))]
-  if (uniqueExchanges.length === 1 && uniqueExchanges[0] === 'coindcx') {
-    metadata.primaryCurrency = 'INR'
-  } else if (uniqueExchanges.includes('coindcx')) {
-    metadata.primaryCurrency = 'INR'
-  }
   metadata.exchanges = uniqueExchanges
 
   // Transform trades
@@ -49,6 +50,26 @@ function transformTradesForAnalysis(trades) {
         accountType: 'SPOT',
         exchange: trade.exchange
       })
+    } else if (trade.account_type === 'FUTURES' && trade.side !== 'INCOME') {
+      // Futures fill - rebuilt into positions by futuresPositions.js
+      futuresTrades.push({
+        symbol: trade.symbol,
+        side: trade.side,
+        qty: String(trade.quantity),
+        price: String(trade.price),
+        quoteQty: String(trade.quote_quantity),
+        commission: String(trade.commission),
+        commissionAsset: trade.commission_asset,
+        realizedPnl: trade.raw_data?.realizedPnl,
+        positionSide: trade.raw_data?.positionSide,
+        leverage: trade.raw_data?.leverage,
+        isMaker: trade.type === 'LIMIT',
+        time: new Date(trade.trade_time).getTime(),
+        orderId: trade.order_id,
+        id: String(trade.trade_id).replace(/_FILL$/, ''),
+        accountType: 'FUTURES',
+        exchange: trade.exchange
+      })
     } else if (trade.account_type === 'FUTURES') {
       futuresIncome.push({
         symbol: trade.symbol,
@@ -58,6 +79,7 @@ function transformTradesForAnalysis(trades) {
         time: new Date(trade.trade_time).getTime(),
         tranId: trade.trade_id,
         id: trade.trade_id,
+        tradeId: trade.raw_data?.tradeId || undefined,
         exchange: trade.exchange
       })
     }
@@ -66,6 +88,7 @@ function transformTradesForAnalysis(trades) {
   return {
     spotTrades,
     futuresIncome,
+    futuresTrades,
     futuresPositions: [], // Not stored in trades table, would come from portfolio snapshots
     metadata
   }
@@ -76,7 +99,7 @@ function transformTradesForAnalysis(trades) {
  */
 function computeTradesStats(trades) {
   const spotCount = trades.filter(t => t.account_type === 'SPOT').length
-  const futuresCount = trades.filter(t => t.account_type === 'FUTURES').length
+  const futuresCount = trades.filter(t => t.account_type === 'FUTURES' && t.side === 'INCOME').length
   
   const sortedTrades = [...trades].sort((a, b) => 
     new Date(a.trade_time) - new Date(b.trade_time)
@@ -119,7 +142,7 @@ export async function POST(request) {
   try {
     // Get optional trigger info from request body
     const body = await request.json().catch(() => ({}))
-    const { trigger, tradeCount, userId: bodyUserId } = body
+    const { trigger, tradeCount, userId: bodyUserId, costBasisMethod: requestedCostBasisMethod } = body
 
     // Handle two scenarios:
     // 1. Direct API call (from frontend) - use auth session
@@ -226,8 +249,15 @@ export async function POST(request) {
       .eq('user_id', userId)
       .single()
 
-    // 4. If cache exists and hash matches, just refresh expiry (no recompute)
-    if (cached && cached.trades_hash === tradesHash && new Date(cached.expires_at) > new Date()) {
+    // Cost basis method: explicit request wins, otherwise keep whatever the cache was computed with
+    // (internal triggers like /api/trades/store don't know the user's choice)
+    const cachedCostBasisMethod = normalizeCostBasisMethod(cached?.analytics_data?.costBasisMethod)
+    const costBasisMethod = requestedCostBasisMethod
+      ? normalizeCostBasisMethod(requestedCostBasisMethod)
+      : cachedCostBasisMethod
+
+    // 4. If cache exists, hash matches and method is unchanged, just refresh expiry (no recompute)
+    if (cached && cached.trades_hash === tradesHash && cachedCostBasisMethod === costBasisMethod && new Date(cached.expires_at) > new Date()) {
       // Hash matches - trades haven't changed, just refresh expiry
       await supabase
         .from('user_analytics_cache')
@@ -253,11 +283,13 @@ export async function POST(request) {
       acc[ex] = (acc[ex] || 0) + 1
       return acc
     }, {})
-    console.log(`🔄 [Analytics Compute] Computing analytics for user ${userId} (${trades.length} total trades, trigger: ${trigger || 'unknown'})`)
+    console.log(`🔄 [Analytics Compute] Computing analytics for user ${userId} (${trades.length} total trades, trigger: ${trigger || 'unknown'}, cost basis: ${costBasisMethod})`)
     console.log(`📊 [Analytics Compute] Exchange breakdown:`, exchangeBreakdown)
 
     // Fetch portfolio snapshot(s) for holdings data
     let portfolioData = null
+    // Futures wallet value over time, the margin base for effective leverage per position
+    let marginSnapshots = []
     try {
       // Get all active exchange connections for this user
       const { data: activeConnections } = await supabase
@@ -277,6 +309,14 @@ export async function POST(request) {
           .order('snapshot_time', { ascending: false })
         
         if (allSnapshots && allSnapshots.length > 0) {
+          marginSnapshots = allSnapshots
+            .filter(snap => parseFloat(snap.total_futures_value || 0) > 0)
+            .map(snap => ({
+              time: new Date(snap.snapshot_time).getTime(),
+              exchange: snap.exchange,
+              balance: parseFloat(snap.total_futures_value)
+            }))
+
           // Group by connection_id, keep most recent for each
           const latestPerConnection = {}
           allSnapshots.forEach(snap => {
@@ -354,10 +394,56 @@ export async function POST(request) {
     }
 
     // Transform trades to format expected by analyzeData
-    const transformedData = transformTradesForAnalysis(trades)
+    const baseCurrency = await getUserBaseCurrency(supabase, userId)
+    const transformedData = transformTradesForAnalysis(trades, baseCurrency)
+
+    // Journal strategy tags for the per-strategy breakdown (journal edits invalidate this cache)
+    const { data: journalRows, error: journalError } = await supabase
+      .from('trade_journal')
+      .select('exchange, trade_id, tags')
+      .eq('user_id', userId)
+
+    if (journalError) {
+      console.warn('⚠️ [Analytics Compute] Failed to fetch trade journal (non-critical):', journalError.message)
+    }
+
+    const journalEntries = (journalRows || []).map(row => ({ exchange: row.exchange, tradeId: row.trade_id, tags: row.tags }))
+
+    // Daily FX history for every fiat quote (and fiat commission asset) so trades convert at their own date's rate
+    // (the converter can't reach /api/currency-rate/history from the server; crypto quotes use public klines)
+    const fxRateHistory = {}
+    const fiatQuotes = [...new Set([
+      ...[...transformedData.spotTrades, ...transformedData.futuresIncome, ...transformedData.futuresTrades].map(getRecordQuoteCurrency),
+      ...transformedData.spotTrades.map(trade => String(trade.commissionAsset || '').toUpperCase())
+    ])].filter(currency => getCurrencyKind(currency) === 'fiat')
+    const fxRange = getFxHistoryRange(transformedData)
+    if (fiatQuotes.length > 0 && fxRange) {
+      const adminClient = createAdminClient()
+      for (const currency of fiatQuotes) {
+        try {
+          fxRateHistory[currency] = await fetchFxRateHistory(adminClient, currency, fxRange.from, fxRange.to)
+        } catch (fxError) {
+          console.warn(`⚠️ [Analytics Compute] Failed to fetch ${currency} rate history, using current rate (non-critical):`, fxError.message)
+        }
+      }
+    }
+
+    // Marks for open spot lots (empty when the public ticker is unreachable, e.g. geo-blocked regions)
+    const markPrices = await fetchMarkPrices(getMarkPriceSymbols(transformedData.spotTrades))
 
     // Compute analytics
-    const analytics = await analyzeData(transformedData)
+    const analytics = await analyzeData(transformedData, { costBasisMethod, journalEntries, fxRateHistory, marginSnapshots, markPrices })
+
+    // Latest USD -> base currency rate so Vega can quote figures in the user's currency
+    const reportingBaseCurrency = transformedData.metadata.primaryCurrency
+    let usdToBaseRate = reportingBaseCurrency === 'USD' ? 1 : null
+    if (!usdToBaseRate) {
+      try {
+        usdToBaseRate = await fetchLatestFxRate(createAdminClient(), reportingBaseCurrency)
+      } catch (fxError) {
+        console.warn('⚠️ [Analytics Compute] Failed to fetch base currency rate (non-critical):', fxError.message)
+      }
+    }
 
     // Compute tradesStats (lightweight metadata)
     const tradesStats = computeTradesStats(trades)
@@ -367,7 +453,8 @@ export async function POST(request) {
       tradesStats,
       analytics,
       allTrades: analytics.allTrades || [],
-      portfolio: portfolioData
+      portfolio: portfolioData,
+      currency: { baseCurrency: reportingBaseCurrency, usdToBaseRate }
     })
 
     // 6. Store in cache
@@ -0,0 +1,125 @@
+// app/api/cron/aggregate-benchmarks/route.js
+// Vercel Cron Job: Rebuilds platform_benchmarks from anonymized analytics profiles
+// Runs daily (configured in vercel.json)
+//
+// - Reads only analytics_data->benchmarkProfile from user_analytics_cache (no trades, no user ids kept)
+// - Only users whose analytics were computed within ACTIVE_WINDOW_DAYS count, so cohorts track current traders
+// - Percentiles per exchange x market (spot/futures) x experience bucket, plus 'all' rollups of each
+// - Segments below MIN_BENCHMARK_COHORT_SIZE users are never published; segments that drop below it are removed
+
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { aggregateBenchmarkDistributions } from '@/app/analyze/utils/insights/benchmarks'
+
+export const dynamic = 'force-dynamic'
+export const maxDuration = 60
+
+const CRON_SECRET = process.env.CRON_SECRET
+
+const PAGE_SIZE = 1000
+const ACTIVE_WINDOW_DAYS = 90
+
+/**
+ * All benchmark profiles from recently computed analytics caches
+ */
+async function fetchBenchmarkProfiles(adminClient) {
+  const since = new Date(Date.now() - ACTIVE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString()
+  const profiles = []
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await adminClient
+      .from('user_analytics_cache')
+      .select('profile:analytics_data->benchmarkProfile')
+      .gte('computed_at', since)
+      .order('computed_at', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to fetch analytics profiles: ${error.message}`)
+    }
+
+    (data || []).forEach(row => {
+      if (row.profile) profiles.push(row.profile)
+    })
+
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  return profiles
+}
+
+/**
+ * Cron job handler: Recomputes cohort benchmark distributions
+ */
+export async function GET(request) {
+  // If CRON_SECRET is set, require it for security
+  const authHeader = request.headers.get('authorization')
+  if (CRON_SECRET && authHeader !== `Bearer ${CRON_SECRET}`) {
+    console.warn('⚠️ Unauthorized cron job request')
+    return NextResponse.json(
+      { success: false, error: 'Unauthorized' },
+      { status: 401 }
+    )
+  }
+
+  console.log('🕐 Cron job started: Aggregating platform benchmarks')
+  const startTime = Date.now()
+
+  try {
+    const adminClient = createAdminClient()
+    const computedAt = new Date().toISOString()
+
+    const profiles = await fetchBenchmarkProfiles(adminClient)
+    const segments = aggregateBenchmarkDistributions(profiles)
+
+    if (segments.length > 0) {
+      const { error: upsertError } = await adminClient
+        .from('platform_benchmarks')
+        .upsert(segments.map(segment => ({
+          segment_key: segment.segmentKey,
+          exchange: segment.exchange,
+          market: segment.market,
+          experience: segment.experience,
+          cohort_size: segment.cohortSize,
+          distributions: segment.distributions,
+          computed_at: computedAt
+        })), { onConflict: 'segment_key' })
+
+      if (upsertError) {
+        throw new Error(`Failed to save benchmarks: ${upsertError.message}`)
+      }
+    }
+
+    // Segments not refreshed this run fell below the minimum cohort size
+    const { error: cleanupError } = await adminClient
+      .from('platform_benchmarks')
+      .delete()
+      .lt('computed_at', computedAt)
+
+    if (cleanupError) {
+      console.error('⚠️ Failed to remove stale benchmark segments:', cleanupError.message)
+    }
+
+    const duration = Date.now() - startTime
+    console.log(`✅ Cron job completed in ${duration}ms: ${segments.length} segments from ${profiles.length} profiles`)
+
+    return NextResponse.json({
+      success: true,
+      profiles: profiles.length,
+      segments: segments.length,
+      timestamp: computedAt,
+      duration: `${duration}ms`
+    })
+  } catch (error) {
+    const duration = Date.now() - startTime
+    console.error('❌ Cron job failed:', error.message)
+    console.error('Error stack:', error.stack)
+
+    return NextResponse.json({
+      success: false,
+      error: error.message || 'Unknown error',
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`
+    }, { status: 500 })
+  }
+}
@@ -0,0 +1,235 @@
+// app/api/cron/sync-exchanges/route.js
+// Vercel Cron Job: Background auto-sync of connected exchanges and SnapTrade brokerages
+// Runs hourly (configured in vercel.json); each tier's autoSyncIntervalHours decides how often a user is synced
+//
+// - Due connections: active, past their tier interval and refresh cooldown, and past any failure backoff
+// - Fairness: one job per user per round (round-robin), at most MAX_JOBS_PER_USER per run, longest-waiting users first
+// - Failures bump sync_failure_count and push next_sync_at out exponentially (lib/exchangeSync getSyncBackoffMs)
+// - Every attempt is recorded in exchange_sync_history (trigger 'auto') so users can see what ran
+// - Work left when the time budget runs out stays due and is picked up by the next run
+
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { getAutoSyncIntervalMs } from '@/lib/featureGates'
+import { getRefreshCooldown } from '@/lib/syncCursor'
+import {
+  createTradeStore,
+  syncApiConnection,
+  syncSnaptradeConnections,
+  recordSyncHistory,
+  getSyncBackoffMs
+} from '@/lib/exchangeSync'
+
+export const dynamic = 'force-dynamic'
+export const maxDuration = 60
+
+const CRON_SECRET = process.env.CRON_SECRET
+
+// Leave headroom under maxDuration for the final history writes
+const TIME_BUDGET_MS = 45 * 1000
+const MAX_JOBS_PER_USER = 3
+
+/**
+ * When a connection is next allowed to auto-sync (ms), or null when its tier has no auto-sync
+ */
+function getNextSyncAt(conn, subscription, now) {
+  const intervalMs = getAutoSyncIntervalMs(subscription)
+  if (!intervalMs) return null
+
+  const lastSynced = conn.last_synced ? new Date(conn.last_synced).getTime() : 0
+  const backoffUntil = conn.next_sync_at ? new Date(conn.next_sync_at).getTime() : 0
+  const cooldownUntil = now + getRefreshCooldown(conn, now).remainingMs
+
+  return Math.max(lastSynced + intervalMs, backoffUntil, cooldownUntil)
+}
+
+/**
+ * Group due connections into per-user job queues
+ * API connections are one job each; a user's SnapTrade connections share one job (single activities fetch)
+ */
+function buildUserQueues(connections, subscriptionsByUser, now) {
+  const queues = new Map()
+
+  connections.forEach(conn => {
+    const nextSyncAt = getNextSyncAt(conn, subscriptionsByUser.get(conn.user_id), now)
+    if (nextSyncAt === null || nextSyncAt > now) return
+
+    if (!queues.has(conn.user_id)) {
+      queues.set(conn.user_id, { userId: conn.user_id, jobs: [], snaptrade: null })
+    }
+    const queue = queues.get(conn.user_id)
+
+    if (conn.exchange.startsWith('snaptrade')) {
+      if (!queue.snaptrade) {
+        queue.snaptrade = { type: 'snaptrade', connections: [], dueSince: nextSyncAt }
+        queue.jobs.push(queue.snaptrade)
+      }
+      queue.snaptrade.connections.push(conn)
+      queue.snaptrade.dueSince = Math.min(queue.snaptrade.dueSince, nextSyncAt)
+    } else {
+      queue.jobs.push({ type: 'api', connections: [conn], dueSince: nextSyncAt })
+    }
+  })
+
+  return [...queues.values()]
+    .map(queue => ({ ...queue, jobs: queue.jobs.sort((a, b) => a.dueSince - b.dueSince).slice(0, MAX_JOBS_PER_USER) }))
+    .sort((a, b) => a.jobs[0].dueSince - b.jobs[0].dueSince)
+}
+
+/**
+ * Run one job and record its outcome; failures are recorded with backoff rather than thrown
+ */
+async function runJob(adminClient, job, userId, storeTrades) {
+  const startedAt = Date.now()
+  const entry = (conn, fields) => ({
+    userId,
+    connectionId: conn.id,
+    exchange: conn.exchange,
+    trigger: 'auto',
+    startedAt,
+    ...fields
+  })
+
+  try {
+    if (job.type === 'snaptrade') {
+      const { newTrades, newTradesByConnection } = await syncSnaptradeConnections(adminClient, job.connections, { userId, storeTrades })
+      return {
+        ok: true,
+        newTrades,
+        history: job.connections.map(conn => entry(conn, { status: 'success', newTrades: newTradesByConnection[conn.id] || 0 }))
+      }
+    }
+
+    const [conn] = job.connections
+    const result = await syncApiConnection(adminClient, conn, { userId, storeTrades })
+    return {
+      ok: true,
+      newTrades: result.newTrades,
+      history: [entry(conn, { status: 'success', newTrades: result.newTrades, newBySymbol: result.newBySymbol })]
+    }
+  } catch (error) {
+    console.error(`❌ [Auto Sync] ${job.connections.map(c => c.exchange).join(', ')} failed for user ${userId}:`, error.message)
+
+    await Promise.all(job.connections.map(conn => {
+      const failureCount = (conn.sync_failure_count || 0) + 1
+      return adminClient
+        .from('exchange_connections')
+        .update({
+          sync_failure_count: failureCount,
+          next_sync_at: new Date(Date.now() + getSyncBackoffMs(failureCount)).toISOString()
+        })
+        .eq('id', conn.id)
+    }))
+
+    return { ok: false, newTrades: 0, history: job.connections.map(conn => entry(conn, { status: 'error', error: error.message })) }
+  }
+}
+
+/**
+ * Cron job handler: Syncs due exchange connections for Trader and Pro users
+ *
+ * Vercel Cron Jobs:
+ * - Automatically calls this endpoint on schedule
+ * - Requires vercel.json configuration
+ * - Execution time limit: 60s (Pro) - TIME_BUDGET_MS keeps us inside it
+ */
+export async function GET(request) {
+  // If CRON_SECRET is set, require it for security
+  const authHeader = request.headers.get('authorization')
+  if (CRON_SECRET && authHeader !== `Bearer ${CRON_SECRET}`) {
+    console.warn('⚠️ Unauthorized cron job request')
+    return NextResponse.json(
+      { success: false, error: 'Unauthorized' },
+      { status: 401 }
+    )
+  }
+
+  console.log('🕐 Cron job started: Auto-syncing exchange connections')
+  const startTime = Date.now()
+
+  try {
+    const adminClient = createAdminClient()
+
+    const { data: connections, error: connectionsError } = await adminClient
+      .from('exchange_connections')
+      .select('id, user_id, exchange, last_synced, api_key_encrypted, api_secret_encrypted, api_passphrase_encrypted, metadata, sync_cursor, sync_failure_count, next_sync_at')
+      .eq('is_active', true)
+
+    if (connectionsError) {
+      throw new Error(`Failed to fetch connections: ${connectionsError.message}`)
+    }
+
+    const userIds = [...new Set((connections || []).map(c => c.user_id))]
+    const { data: subscriptions, error: subscriptionsError } = userIds.length > 0
+      ? await adminClient.from('subscriptions').select('*').in('user_id', userIds)
+      : { data: [] }
+
+    if (subscriptionsError) {
+      throw new Error(`Failed to fetch subscriptions: ${subscriptionsError.message}`)
+    }
+
+    const subscriptionsByUser = new Map((subscriptions || []).map(sub => [sub.user_id, sub]))
+    const queues = buildUserQueues(connections || [], subscriptionsByUser, startTime)
+
+    // /api/trades/store does not authenticate - like the other server-side callers it trusts the
+    // userId in the body. The cron authorization header is only forwarded, not checked there.
+    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http'
+    const host = request.headers.get('host') || 'localhost:3000'
+    const storeTrades = createTradeStore(`${protocol}://${host}`, authHeader ? { authorization: authHeader } : {})
+
+    const summary = { usersProcessed: 0, synced: 0, failed: 0, deferred: 0, totalNewTrades: 0 }
+    const history = []
+    const touchedUsers = new Set()
+
+    // Round-robin: one job per user per round so a user with many connections can't starve others
+    let round = 0
+    let jobsRun = 0
+    let outOfTime = false
+    while (!outOfTime && queues.some(queue => queue.jobs.length > round)) {
+      for (const queue of queues) {
+        const job = queue.jobs[round]
+        if (!job) continue
+
+        if (Date.now() - startTime > TIME_BUDGET_MS) {
+          outOfTime = true
+          break
+        }
+
+        const result = await runJob(adminClient, job, queue.userId, storeTrades)
+        jobsRun++
+        touchedUsers.add(queue.userId)
+        history.push(...result.history)
+        summary.totalNewTrades += result.newTrades
+        if (result.ok) summary.synced += job.connections.length
+        else summary.failed += job.connections.length
+      }
+      round++
+    }
+
+    summary.usersProcessed = touchedUsers.size
+    summary.deferred = queues.reduce((sum, queue) => sum + queue.jobs.length, 0) - jobsRun
+
+    await recordSyncHistory(adminClient, history)
+
+    const duration = Date.now() - startTime
+    console.log(`✅ Cron job completed in ${duration}ms`, summary)
+
+    return NextResponse.json({
+      success: true,
+      ...summary,
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`
+    })
+  } catch (error) {
+    const duration = Date.now() - startTime
+    console.error('❌ Cron job failed:', error.message)
+    console.error('Error stack:', error.stack)
+
+    return NextResponse.json({
+      success: false,
+      error: error.message || 'Unknown error',
+      timestamp: new Date().toISOString(),
+      duration: `${duration}ms`
+    }, { status: 500 })
+  }
+}
@@ -1,6 +1,7 @@
 // app/api/cron/update-currency-rates/route.js
 import { NextResponse } from 'next/server'
 import { createAdminClient } from '@/lib/supabase-admin'
+import { parseFxRateFile } from '@/lib/fxRateHistory'
 
 /**
  * Helper function to get today's date as YYYY-MM-DD string
@@ -201,3 +202,85 @@ export async function GET(request) {
     }, { status: 500 })
   }
 }
+
+/**
+ * Backfill handler: Loads historical daily rates from a local file into currency_exchange_rates
+ * Body is the file itself (CSV with date,currency,rate columns or JSON - see lib/fxRateHistory parseFxRateFile), e.g.
+ *   curl -X POST -H "Authorization: Bearer $CRON_SECRET" --data-binary @inr-usd-history.csv <host>/api/cron/update-currency-rates
+ * Existing rows for the same currency and date are overwritten
+ */
+export async function POST(request) {
+  const authHeader = request.headers.get('authorization')
+  const cronSecret = process.env.CRON_SECRET
+
+  // Backfills rewrite history, so unlike the scheduled GET the secret is always required
+  if (!cronSecret || authHeader !== `Bearer ${cronSecret}`) {
+    console.warn('⚠️ Unauthorized currency rate backfill request')
+    return NextResponse.json(
+      { success: false, error: 'Unauthorized' },
+      { status: 401 }
+    )
+  }
+
+  const startTime = Date.now()
+
+  try {
+    let parsed
+    try {
+      parsed = parseFxRateFile(await request.text())
+    } catch (parseError) {
+      return NextResponse.json(
+        { success: false, error: `Invalid rate file: ${parseError.message}` },
+        { status: 400 }
+      )
+    }
+
+    const { rows, skipped } = parsed
+    if (rows.length === 0) {
+      return NextResponse.json(
+        { success: false, error: 'Rate file contains no valid rows', skipped },
+        { status: 400 }
+      )
+    }
+
+    console.log(`🕐 Backfilling ${rows.length} currency rates (${skipped} invalid rows skipped)`)
+
+    const supabase = createAdminClient()
+    const BATCH_SIZE = 500
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+      const { error } = await supabase
+        .from('currency_exchange_rates')
+        .upsert(rows.slice(i, i + BATCH_SIZE), {
+          onConflict: 'currency_code,rate_date',
+          ignoreDuplicates: false
+        })
+
+      if (error) {
+        throw new Error(`Failed to save rates (batch ${i / BATCH_SIZE + 1}): ${error.message}`)
+      }
+    }
+
+    const dates = rows.map(row => row.rate_date).sort()
+    const duration = Date.now() - startTime
+    console.log(`✅ Currency rate backfill completed in ${duration}ms`)
+
+    return NextResponse.json({
+      success: true,
+      ratesSaved: rows.length,
+      skipped,
+      currencies: [...new Set(rows.map(row => row.currency_code))].sort(),
+      from: dates[0],
+      to: dates[dates.length - 1],
+      duration: `${duration}ms`
+    })
+  } catch (error) {
+    const duration = Date.now() - startTime
+    console.error('❌ Currency rate backfill failed:', error.message)
+
+    return NextResponse.json({
+      success: false,
+      error: error.message || 'Unknown error',
+      duration: `${duration}ms`
+    }, { status: 500 })
+  }
+}
@@ -3,6 +3,10 @@ import { NextResponse } from 'next/server'
 import { generateCompletion, AI_MODELS, isAIConfigured } from '@/lib/ai/client'
 import { buildCSVDetectionPrompt } from '@/lib/ai/prompts'
 import { getCached, setCached, CACHE_STRATEGIES } from '@/lib/ai/cache'
+import { parseCSV, normalizeCSVHeader } from '@/app/analyze/utils/csvParser'
+
+// Rows of sample data sent to the model
+const SAMPLE_ROWS = 5
 
 /**
  * Pre-AI heuristic detection for obvious exchange patterns
@@ -42,7 +46,15 @@ function detectExchangeHeuristically(headers) {
 
 export async function POST(request) {
   try {
-    const { headers, sampleData } = await request.json()
+    const body = await request.json()
+    let { headers, sampleData } = body
+
+    // Raw text preview (e.g. first few KB of the file) - tokenize with the shared parser
+    if (typeof body.csvSample === 'string' && body.csvSample.trim()) {
+      const table = parseCSV(body.csvSample, { maxRows: SAMPLE_ROWS })
+      headers = table.headers
+      sampleData = table.rows.map(row => row.values)
+    }
 
     if (!headers || !Array.isArray(headers) || headers.length === 0) {
       return NextResponse.json(
@@ -51,6 +63,10 @@ export async function POST(request) {
       )
     }
 
+    // Same header normalization as the parse route so cache keys and mappings line up
+    headers = headers.map(normalizeCSVHeader)
+    sampleData = Array.isArray(sampleData) ? sampleData.slice(0, SAMPLE_ROWS) : []
+
     // Check cache first
     const cachedResult = getCached('CSV_DETECTION', headers)
     if (cachedResult) {
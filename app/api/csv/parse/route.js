@@ -1,6 +1,9 @@
 // app/api/csv/parse/route.js
 import { NextResponse } from 'next/server'
 import { createClient } from '@/lib/supabase-server'
+import { parseCSVFile, parseCSVNumber, parseCSVAmount, parseCSVTimestamp, MAX_ROW_ERRORS } from '@/app/analyze/utils/csvParser'
+import { isWorkbookFile, parseWorkbookFile } from '@/app/analyze/utils/workbookReader'
+import { getExchangeAdapter } from '@/app/analyze/utils/exchanges'
 
 export async function POST(request) {
   try {
@@ -26,20 +29,37 @@ export async function POST(request) {
       )
     }
 
-    // Read file content
-    const text = await file.text()
-
-    if (!text || text.trim().length === 0) {
+    if (!file.size) {
       return NextResponse.json(
         { error: 'File is empty' },
         { status: 400 }
       )
     }
 
-    // Parse CSV
-    const lines = text.trim().split('\n')
+    // Workbooks (.xlsx) are flattened to the same table shape as CSV so every parser below works unchanged
+    let table
+    if (isWorkbookFile(file)) {
+      try {
+        table = await parseWorkbookFile(file, {
+          sheetName: formData.get('sheetName') || null,
+          headerRow: formData.get('headerRow') || null
+        })
+      } catch (error) {
+        return NextResponse.json({ error: error.message }, { status: 400 })
+      }
+    } else {
+      // Tokenize CSV (streams the upload; handles quotes, CRLF, BOM, delimiter and encoding)
+      table = await parseCSVFile(file)
+    }
+
+    if (table.headers.length === 0) {
+      return NextResponse.json(
+        { error: table.sheetName ? `No table found in sheet "${table.sheetName}"` : 'File is empty' },
+        { status: 400 }
+      )
+    }
 
-    if (lines.length < 2) {
+    if (table.rows.length === 0) {
       return NextResponse.json(
         { error: 'CSV must have at least a header row and one data row' },
         { status: 400 }
@@ -51,7 +71,7 @@ export async function POST(request) {
       try {
         const columnMapping = JSON.parse(columnMappingStr)
 
-        const result = parseWithAIMapping(lines, columnMapping, accountType)
+        const result = parseWithAIMapping(table, columnMapping, accountType)
 
         if (!result.success) {
           console.error('❌ AI parse failed:', result.error)
@@ -64,7 +84,8 @@ export async function POST(request) {
           futuresIncome: result.futuresIncome || [],
           totalRows: result.totalRows,
           accountType: accountType,
-          aiParsed: true
+          aiParsed: true,
+          ...buildRowErrorReport(table, result.rowErrors)
         })
       } catch (error) {
         console.error('❌ AI mapping parse error:', error)
@@ -73,29 +94,32 @@ export async function POST(request) {
       }
     }
 
-    // Parse based on exchange and account type (traditional flow)
-    let result = { success: true, spotTrades: [], futuresIncome: [], totalRows: 0 }
+    // Parse with the exchange adapter's CSV parsers (traditional flow)
+    const csvParsers = getExchangeAdapter(exchange)?.csvParsers || {}
+    if (!csvParsers.spot && !csvParsers.futures) {
+      return NextResponse.json(
+        { error: `No built-in CSV format for ${exchange}. Use column auto-detection instead.` },
+        { status: 400 }
+      )
+    }
+
+    let result = { success: true, spotTrades: [], futuresIncome: [], totalRows: 0, rowErrors: [] }
 
     if (accountType === 'BOTH') {
       // Try to parse both SPOT and FUTURES
-      let spotResult, futuresResult
-
-      if (exchange === 'binance') {
-        spotResult = parseBinanceSpot(lines)
-        futuresResult = parseBinanceFutures(lines)
-      } else if (exchange === 'coindcx') {
-        spotResult = parseCoinDCXSpot(lines)
-        futuresResult = parseCoinDCXFutures(lines)
-      }
+      const spotResult = csvParsers.spot?.(table)
+      const futuresResult = csvParsers.futures?.(table)
 
       // Combine results - at least one should succeed
       if (spotResult?.success) {
         result.spotTrades = spotResult.spotTrades || []
         result.totalRows += spotResult.totalRows || 0
+        result.rowErrors.push(...(spotResult.rowErrors || []))
       }
       if (futuresResult?.success) {
         result.futuresIncome = futuresResult.futuresIncome || []
         result.totalRows += futuresResult.totalRows || 0
+        result.rowErrors.push(...(futuresResult.rowErrors || []))
       }
 
       // If both failed, return error
@@ -107,17 +131,16 @@ export async function POST(request) {
       }
     } else {
       // Parse specific account type
-      if (exchange === 'binance') {
-        result = accountType === 'SPOT' ? parseBinanceSpot(lines) : parseBinanceFutures(lines)
-      } else if (exchange === 'coindcx') {
-        result = accountType === 'SPOT' ? parseCoinDCXSpot(lines) : parseCoinDCXFutures(lines)
-      } else {
+      const parser = accountType === 'SPOT' ? csvParsers.spot : csvParsers.futures
+      if (!parser) {
         return NextResponse.json(
-          { error: `Unsupported exchange: ${exchange}` },
+          { error: `No built-in ${accountType} CSV format for ${exchange}` },
           { status: 400 }
         )
       }
 
+      result = parser(table)
+
       if (!result.success) {
         return NextResponse.json(
           { error: result.error },
@@ -131,7 +154,8 @@ export async function POST(request) {
       spotTrades: result.spotTrades || [],
       futuresIncome: result.futuresIncome || [],
       totalRows: result.totalRows,
-      accountType: accountType
+      accountType: accountType,
+      ...buildRowErrorReport(table, result.rowErrors)
     })
 
   } catch (error) {
@@ -143,311 +167,63 @@ export async function POST(request) {
   }
 }
 
-function parseBinanceSpot(lines) {
-  try {
-    const header = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-
-    // Check for required columns
-    const requiredColumns = ['Symbol', 'Date(UTC)', 'Pair', 'Side', 'Price', 'Executed', 'Amount', 'Fee']
-    const hasRequiredColumns = requiredColumns.some(col => header.includes(col))
-
-    if (!hasRequiredColumns) {
-      return {
-        success: false,
-        error: 'Invalid Binance SPOT CSV format. Missing required columns.'
-      }
-    }
-
-    const spotTrades = []
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line) continue
-
-      const values = parseCSVLine(line)
-
-      // Map CSV columns to our format
-      const symbolIdx = header.indexOf('Symbol') !== -1 ? header.indexOf('Symbol') : header.indexOf('Pair')
-      const dateIdx = header.indexOf('Date(UTC)')
-      const sideIdx = header.indexOf('Side')
-      const priceIdx = header.indexOf('Price')
-      const qtyIdx = header.indexOf('Executed') !== -1 ? header.indexOf('Executed') : header.indexOf('Amount')
-      const feeIdx = header.indexOf('Fee')
-
-      if (symbolIdx === -1 || dateIdx === -1 || sideIdx === -1) continue
-
-      const symbol = values[symbolIdx]?.replace(/"/g, '')
-      const dateStr = values[dateIdx]?.replace(/"/g, '')
-      const side = values[sideIdx]?.replace(/"/g, '')
-      const price = parseFloat(values[priceIdx]?.replace(/"/g, '') || 0)
-      const qty = parseFloat(values[qtyIdx]?.replace(/"/g, '') || 0)
-      const fee = parseFloat(values[feeIdx]?.replace(/"/g, '') || 0)
-
-      if (!symbol || !dateStr || !side) continue
-
-      const timestamp = new Date(dateStr).getTime()
-
-      spotTrades.push({
-        symbol: symbol,
-        qty: String(qty),
-        price: String(price),
-        quoteQty: String(price * qty),
-        commission: String(fee),
-        commissionAsset: 'USDT',
-        isBuyer: side.toUpperCase() === 'BUY',
-        isMaker: false, // CSV doesn't have this info
-        time: timestamp,
-        orderId: `csv_${timestamp}_${Math.random()}`,
-        id: `csv_${timestamp}_${Math.random()}`,
-        accountType: 'SPOT'
-      })
-    }
-
-    return {
-      success: true,
-      spotTrades: spotTrades,
-      totalRows: spotTrades.length
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: 'Failed to parse Binance SPOT CSV: ' + error.message
-    }
-  }
-}
-
-function parseBinanceFutures(lines) {
-  try {
-    const header = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-
-    const requiredColumns = ['Symbol', 'Income', 'Time']
-    const hasRequiredColumns = requiredColumns.some(col => header.includes(col))
-
-    if (!hasRequiredColumns) {
-      return {
-        success: false,
-        error: 'Invalid Binance FUTURES CSV format. Missing required columns.'
-      }
-    }
-
-    const futuresIncome = []
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line) continue
-
-      const values = parseCSVLine(line)
-
-      const symbolIdx = header.indexOf('Symbol')
-      const incomeIdx = header.indexOf('Income')
-      const timeIdx = header.indexOf('Time')
-      const incomeTypeIdx = header.indexOf('Income Type')
-      const assetIdx = header.indexOf('Asset')
-
-      if (symbolIdx === -1 || incomeIdx === -1 || timeIdx === -1) continue
-
-      const symbol = values[symbolIdx]?.replace(/"/g, '')
-      const income = parseFloat(values[incomeIdx]?.replace(/"/g, '') || 0)
-      const timeStr = values[timeIdx]?.replace(/"/g, '')
-      const incomeType = values[incomeTypeIdx]?.replace(/"/g, '') || 'REALIZED_PNL'
-      const asset = values[assetIdx]?.replace(/"/g, '') || 'USDT'
-
-      if (!symbol || !timeStr) continue
-
-      const timestamp = new Date(timeStr).getTime()
-
-      futuresIncome.push({
-        symbol: symbol,
-        income: String(income),
-        asset: asset,
-        incomeType: incomeType,
-        time: timestamp,
-        tranId: `csv_${timestamp}_${Math.random()}`,
-        id: `csv_${timestamp}_${Math.random()}`
-      })
-    }
-
-    return {
-      success: true,
-      futuresIncome: futuresIncome,
-      totalRows: futuresIncome.length
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: 'Failed to parse Binance FUTURES CSV: ' + error.message
-    }
-  }
-}
-
-function parseCoinDCXSpot(lines) {
-  try {
-    const header = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
-
-    const requiredColumns = ['Market', 'Type', 'Price', 'Quantity', 'Timestamp']
-    const hasRequiredColumns = requiredColumns.every(col => header.includes(col))
-
-    if (!hasRequiredColumns) {
-      return {
-        success: false,
-        error: 'Invalid CoinDCX SPOT CSV format. Missing required columns.'
-      }
-    }
-
-    const spotTrades = []
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line) continue
-
-      const values = parseCSVLine(line)
-
-      const marketIdx = header.indexOf('Market')
-      const typeIdx = header.indexOf('Type')
-      const priceIdx = header.indexOf('Price')
-      const qtyIdx = header.indexOf('Quantity')
-      const timestampIdx = header.indexOf('Timestamp')
-      const feeIdx = header.indexOf('Fee')
-
-      const market = values[marketIdx]?.replace(/"/g, '')
-      const type = values[typeIdx]?.replace(/"/g, '')
-      const price = parseFloat(values[priceIdx]?.replace(/"/g, '') || 0)
-      const qty = parseFloat(values[qtyIdx]?.replace(/"/g, '') || 0)
-      const timestampStr = values[timestampIdx]?.replace(/"/g, '')
-      const fee = parseFloat(values[feeIdx]?.replace(/"/g, '') || 0)
-
-      if (!market || !type || !timestampStr) continue
-
-      const timestamp = new Date(timestampStr).getTime()
-
-      spotTrades.push({
-        symbol: market,
-        qty: String(qty),
-        price: String(price),
-        quoteQty: String(price * qty),
-        commission: String(fee),
-        commissionAsset: 'USDT',
-        isBuyer: type.toUpperCase() === 'BUY',
-        isMaker: false,
-        time: timestamp,
-        orderId: `csv_${timestamp}_${Math.random()}`,
-        id: `csv_${timestamp}_${Math.random()}`,
-        accountType: 'SPOT'
-      })
-    }
+// Merge tokenizer errors with parser errors into a line-ordered report for the client
+function buildRowErrorReport(table, parserErrors = []) {
+  const rowErrors = [...table.errors, ...parserErrors].sort((a, b) => a.line - b.line)
+  const rowErrorCount = table.errorCount + parserErrors.length
 
-    return {
-      success: true,
-      spotTrades: spotTrades,
-      totalRows: spotTrades.length
-    }
-  } catch (error) {
-    return {
-      success: false,
-      error: 'Failed to parse CoinDCX SPOT CSV: ' + error.message
-    }
+  if (rowErrorCount > 0) {
+    console.warn(`⚠️ CSV parse: ${rowErrorCount} row error(s), first at line ${rowErrors[0]?.line}`)
   }
-}
-
-function parseCoinDCXFutures(lines) {
-  // CoinDCX futures format similar to spot
-  return parseCoinDCXSpot(lines)
-}
-
-// Helper to parse CSV line handling quoted values
-function parseCSVLine(line) {
-  const result = []
-  let current = ''
-  let inQuotes = false
-
-  for (let i = 0; i < line.length; i++) {
-    const char = line[i]
 
-    if (char === '"') {
-      inQuotes = !inQuotes
-    } else if (char === ',' && !inQuotes) {
-      result.push(current)
-      current = ''
-    } else {
-      current += char
-    }
+  return {
+    rowErrors: rowErrors.slice(0, MAX_ROW_ERRORS),
+    rowErrorCount,
+    delimiter: table.delimiter,
+    encoding: table.encoding,
+    ...(table.sheetName && { sheetName: table.sheetName, headerRow: table.headerRow })
   }
-
-  result.push(current)
-  return result
 }
 
 // AI-based parser using detected column mapping
-function parseWithAIMapping(lines, mapping, accountType) {
+function parseWithAIMapping(table, mapping, accountType) {
   try {
-    const header = lines[0].split(',').map(h => h.trim().replace(/"/g, ''))
+    const header = table.headers
 
     // Determine if this is spot or futures based on mapping
     const isFutures = accountType === 'FUTURES' || mapping.positionSide || mapping.realizedPnl
 
     const spotTrades = []
     const futuresIncome = []
-    let skippedRows = 0
-
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i].trim()
-      if (!line) {
-        skippedRows++
-        continue
-      }
-
-      const values = parseCSVLine(line)
+    const rowErrors = []
 
+    for (const { line, values } of table.rows) {
       // Helper to get value by mapped column
       const getValue = (field) => {
         const columnName = mapping.mapping?.[field] || mapping[field]
         if (!columnName) return null
         const idx = header.indexOf(columnName)
         if (idx === -1) return null
-        return values[idx]?.replace(/"/g, '')
+        return values[idx]
       }
 
       // Get core fields
       const symbol = getValue('symbol')
       const side = getValue('side')
       const timestamp = getValue('timestamp')
-      const price = parseFloat(getValue('price') || 0)
-      const quantity = parseFloat(getValue('quantity') || 0)
-      const fee = parseFloat(getValue('fee') || 0)
+      const price = parseCSVAmount(table, getValue('price'))
+      const quantity = parseCSVAmount(table, getValue('quantity'))
+      const fee = parseCSVAmount(table, getValue('fee'))
 
       if (!symbol || !timestamp) {
-        if (i === 1) {
-          console.warn('⚠️ Skipping row - missing symbol or timestamp')
-        }
-        skippedRows++
+        rowErrors.push({ line, message: 'Missing symbol or timestamp' })
         continue
       }
 
       // Parse timestamp (handle both date strings and numeric timestamps)
-      let timestampMs
-      try {
-        // Check if it's already a numeric timestamp (milliseconds)
-        const numericTimestamp = parseFloat(timestamp)
-        if (!isNaN(numericTimestamp) && numericTimestamp > 1000000000000) {
-          // Looks like milliseconds timestamp (>year 2001)
-          timestampMs = Math.floor(numericTimestamp)
-        } else {
-          // Try parsing as date string
-          timestampMs = new Date(timestamp).getTime()
-        }
-
-        if (isNaN(timestampMs)) {
-          if (i === 1) {
-            console.warn('⚠️ Invalid timestamp:', timestamp, '→', timestampMs)
-          }
-          skippedRows++
-          continue
-        }
-      } catch (e) {
-        if (i === 1) {
-          console.error('❌ Timestamp parse error:', e.message)
-        }
-        skippedRows++
+      const timestampMs = parseCSVTimestamp(timestamp)
+      if (isNaN(timestampMs)) {
+        rowErrors.push({ line, message: `Invalid timestamp "${timestamp}"` })
         continue
       }
 
@@ -455,20 +231,17 @@ function parseWithAIMapping(lines, mapping, accountType) {
         // Parse as futures/income
         const realizedPnl = getValue('realizedPnl')
         const incomeRaw = realizedPnl || getValue('income') || getValue('pnl')
-        
+
         // For futures, income should come from realizedPnl/income column, NOT price * quantity
-        let income = 0
-        if (incomeRaw) {
-          income = parseFloat(incomeRaw)
-          if (isNaN(income)) {
-            console.warn(`⚠️ Row ${i}: Invalid income value "${incomeRaw}" for symbol ${symbol}, skipping`)
-            skippedRows++
-            continue
-          }
-        } else {
+        if (!incomeRaw) {
           // If no income column found, this is a problem - don't fall back to price*quantity
-          console.warn(`⚠️ Row ${i}: No income/realizedPnl column found for futures trade ${symbol}, skipping`)
-          skippedRows++
+          rowErrors.push({ line, message: `No income/realizedPnl value for futures trade ${symbol}` })
+          continue
+        }
+
+        const income = parseCSVNumber(incomeRaw, { decimalComma: table.decimalComma })
+        if (isNaN(income)) {
+          rowErrors.push({ line, message: `Invalid income value "${incomeRaw}" for symbol ${symbol}` })
           continue
         }
 
@@ -482,16 +255,22 @@ function parseWithAIMapping(lines, mapping, accountType) {
           id: `csv_ai_${timestampMs}_${Math.random()}`
         })
       } else {
+        if (isNaN(price) || isNaN(quantity)) {
+          rowErrors.push({ line, message: 'Invalid price or quantity' })
+          continue
+        }
+
         // Parse as spot trade
         const total = getValue('total')
-        const quoteQty = total ? parseFloat(total) : (price * quantity)
+        const parsedTotal = total ? parseCSVAmount(table, total) : NaN
+        const quoteQty = !isNaN(parsedTotal) ? parsedTotal : (price * quantity)
 
         spotTrades.push({
           symbol: symbol,
           qty: String(quantity),
           price: String(price),
           quoteQty: String(quoteQty),
-          commission: String(fee),
+          commission: String(isNaN(fee) ? 0 : fee),
           commissionAsset: 'USDT', // Could be detected from CSV
           time: timestampMs,
           isBuyer: side?.toUpperCase() === 'BUY',
@@ -506,7 +285,8 @@ function parseWithAIMapping(lines, mapping, accountType) {
       success: true,
       spotTrades: spotTrades,
       futuresIncome: futuresIncome,
-      totalRows: spotTrades.length + futuresIncome.length
+      totalRows: spotTrades.length + futuresIncome.length,
+      rowErrors
     }
 
   } catch (error) {
@@ -0,0 +1,59 @@
+// app/api/currency-rate/history/route.js
+import { NextResponse } from 'next/server'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { fetchFxRateHistory, isValidRateDate } from '@/lib/fxRateHistory'
+
+const MAX_RANGE_DAYS = 15 * 366
+
+/**
+ * GET /api/currency-rate/history?currency=INR&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Returns daily rates (units per 1 USD) for converting trades at their own date
+ * Days without a stored rate are omitted; callers pick the nearest earlier day
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url)
+  const currency = (searchParams.get('currency') || '').toUpperCase()
+  const from = searchParams.get('from')
+  const to = searchParams.get('to')
+
+  if (!/^[A-Z]{3}$/.test(currency) || !isValidRateDate(from) || !isValidRateDate(to) || from > to) {
+    return NextResponse.json(
+      { success: false, error: 'currency, from and to (YYYY-MM-DD) are required' },
+      { status: 400 }
+    )
+  }
+
+  const rangeDays = (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000)
+  if (rangeDays > MAX_RANGE_DAYS) {
+    return NextResponse.json(
+      { success: false, error: 'Date range too large' },
+      { status: 400 }
+    )
+  }
+
+  try {
+    const rates = currency === 'USD'
+      ? {}
+      : await fetchFxRateHistory(createAdminClient(), currency, from, to)
+
+    const response = NextResponse.json({
+      success: true,
+      currency,
+      from,
+      to,
+      rates,
+      days: Object.keys(rates).length
+    })
+
+    // Past rates don't change; today's row is rewritten by the daily cron
+    response.headers.set('Cache-Control', 'public, s-maxage=3600, stale-while-revalidate=600')
+
+    return response
+  } catch (error) {
+    console.error('❌ Error fetching currency rate history:', error.message)
+    return NextResponse.json(
+      { success: false, error: 'Unable to fetch currency rate history', rates: {} },
+      { status: 500 }
+    )
+  }
+}
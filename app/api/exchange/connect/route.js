@@ -3,6 +3,8 @@ import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
 import { encrypt } from '@/lib/encryption'
 import { TIER_LIMITS, canAddConnection } from '@/lib/featureGates'
+import { getExchangeAdapter, getSupportedExchangeIds } from '@/app/analyze/utils/exchanges'
+import { advanceSyncCursor } from '@/lib/syncCursor'
 
 export async function POST(request) {
   try {
@@ -15,7 +17,7 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
     }
 
-    const { exchange, apiKey, apiSecret } = await request.json()
+    const { exchange, apiKey, apiSecret, passphrase } = await request.json()
 
     // Validate inputs
     if (!exchange || !apiKey || !apiSecret) {
@@ -25,9 +27,17 @@ export async function POST(request) {
       )
     }
 
-    if (!['binance', 'coindcx'].includes(exchange.toLowerCase())) {
+    const adapter = getExchangeAdapter(exchange)
+    if (!adapter) {
       return NextResponse.json(
-        { error: 'Invalid exchange. Supported: binance, coindcx' },
+        { error: `Invalid exchange. Supported: ${getSupportedExchangeIds().join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (adapter.capabilities.requiresPassphrase && !passphrase) {
+      return NextResponse.json(
+        { error: `${adapter.config.displayName} API passphrase is required` },
         { status: 400 }
       )
     }
@@ -35,6 +45,7 @@ export async function POST(request) {
     // Encrypt API credentials
     const apiKeyEncrypted = encrypt(apiKey)
     const apiSecretEncrypted = encrypt(apiSecret)
+    const apiPassphraseEncrypted = passphrase ? encrypt(passphrase) : null
 
     // Check if connection already exists
     const { data: existing } = await supabase
@@ -88,6 +99,7 @@ export async function POST(request) {
         .update({
           api_key_encrypted: apiKeyEncrypted,
           api_secret_encrypted: apiSecretEncrypted,
+          api_passphrase_encrypted: apiPassphraseEncrypted,
           is_active: true,
           updated_at: new Date().toISOString()
         })
@@ -113,6 +125,7 @@ export async function POST(request) {
           exchange: exchange.toLowerCase(),
           api_key_encrypted: apiKeyEncrypted,
           api_secret_encrypted: apiSecretEncrypted,
+          api_passphrase_encrypted: apiPassphraseEncrypted,
           is_active: true
         })
         .select()
@@ -137,7 +150,7 @@ export async function POST(request) {
       const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http'
       const host = request.headers.get('host') || 'localhost:3000'
       const baseUrl = `${protocol}://${host}`
-
+      const syncStartedAt = Date.now()
 
       const fetchResponse = await fetch(`${baseUrl}/api/exchange/fetch-data`, {
         method: 'POST',
@@ -147,7 +160,8 @@ export async function POST(request) {
           userId: user.id,
           exchange: connectionData.exchange,
           apiKey: apiKey,
-          apiSecret: apiSecret
+          apiSecret: apiSecret,
+          passphrase: passphrase || null
         })
       })
 
@@ -168,14 +182,30 @@ export async function POST(request) {
               body: JSON.stringify({
                 spotTrades: fetchResult.spotTrades || [],
                 futuresIncome: fetchResult.futuresIncome || [],
+                futuresTrades: fetchResult.futuresTrades || [],
                 userId: user.id,
                 exchange: connectionData.exchange,
                 connectionId: connectionData.id,
                 metadata: fetchResult.metadata
               })
-            }).catch(err => {
-              console.error('⚠️ Background storage failed (non-critical):', err)
             })
+              .then(async (storeResponse) => {
+                if (!storeResponse.ok) return
+                // Seed the sync cursor so later refreshes are incremental
+                const storeResult = await storeResponse.json()
+                await supabase
+                  .from('exchange_connections')
+                  .update({
+                    sync_cursor: advanceSyncCursor(connectionData.sync_cursor, fetchResult, {
+                      syncStartedAt,
+                      failedIds: storeResult.failedTradeIds || []
+                    })
+                  })
+                  .eq('id', connectionData.id)
+              })
+              .catch(err => {
+                console.error('⚠️ Background storage failed (non-critical):', err)
+              })
             
           } catch (storageError) {
             console.error('⚠️ Error triggering background storage:', storageError)
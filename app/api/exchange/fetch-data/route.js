@@ -2,14 +2,13 @@
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
 import { decrypt } from '@/lib/encryption'
-
-const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
+import { getExchangeAdapter, fetchExchangeData } from '@/app/analyze/utils/exchanges'
 
 export async function POST(request) {
   try {
     const supabase = await createClient()
 
-    const { connectionId, userId, exchange, apiKey, apiSecret } = await request.json()
+    const { connectionId, userId, exchange, apiKey, apiSecret, passphrase } = await request.json()
 
     // Try to get authenticated user, but don't fail if session missing (server-to-server calls)
     let authenticatedUserId = userId
@@ -35,17 +34,10 @@ export async function POST(request) {
       )
     }
 
-    if (!BACKEND_URL) {
-      console.error('BACKEND_URL not configured')
-      return NextResponse.json(
-        { error: 'Backend URL not configured' },
-        { status: 500 }
-      )
-    }
-
     // Use credentials directly if provided (preferred for avoiding race conditions)
     let finalApiKey = apiKey
     let finalApiSecret = apiSecret
+    let finalPassphrase = passphrase
     let finalExchange = exchange
 
     // If credentials not provided, fetch from database
@@ -69,6 +61,7 @@ export async function POST(request) {
       try {
         finalApiKey = decrypt(connection.api_key_encrypted)
         finalApiSecret = decrypt(connection.api_secret_encrypted)
+        finalPassphrase = connection.api_passphrase_encrypted ? decrypt(connection.api_passphrase_encrypted) : null
         finalExchange = connection.exchange
       } catch (decryptError) {
         console.error('Error decrypting credentials:', decryptError)
@@ -79,15 +72,8 @@ export async function POST(request) {
       }
     }
 
-    // Determine the correct backend endpoint based on exchange
     const exchangeName = finalExchange.toLowerCase()
-    let endpoint
-
-    if (exchangeName === 'binance') {
-      endpoint = `${BACKEND_URL}/api/binance/fetch-all`
-    } else if (exchangeName === 'coindcx') {
-      endpoint = `${BACKEND_URL}/api/coindcx/fetch-all`
-    } else {
+    if (!getExchangeAdapter(exchangeName)) {
       return NextResponse.json(
         { error: `Unsupported exchange: ${exchangeName}` },
         { status: 400 }
@@ -96,38 +82,27 @@ export async function POST(request) {
 
     console.log(`📡 Fetching data from ${exchangeName}...`)
 
-    // Fetch data from the exchange backend
-    const backendResponse = await fetch(endpoint, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ apiKey: finalApiKey, apiSecret: finalApiSecret })
-    })
-
-    if (!backendResponse.ok) {
-      const error = await backendResponse.json()
-      console.error('Backend fetch error:', error)
-      return NextResponse.json(
-        { error: error.error || 'Failed to fetch exchange data' },
-        { status: backendResponse.status }
-      )
-    }
-
-    const response = await backendResponse.json()
-
-    if (!response.success) {
-      console.error('Backend returned unsuccessful response:', response)
+    // Adapter handles transport (backend proxy or direct exchange API) and normalization
+    let data
+    try {
+      data = await fetchExchangeData(exchangeName, {
+        apiKey: finalApiKey,
+        apiSecret: finalApiSecret,
+        passphrase: finalPassphrase
+      })
+    } catch (fetchError) {
+      console.error('Exchange fetch error:', fetchError)
       return NextResponse.json(
-        { error: response.error || 'Failed to fetch exchange data' },
-        { status: 500 }
+        { error: fetchError.message || 'Failed to fetch exchange data' },
+        { status: 502 }
       )
     }
 
-    const data = response.data
-
     console.log('✅ Data fetched:', {
-      spotTrades: data.spotTrades?.length || 0,
-      futuresIncome: data.futuresIncome?.length || 0,
-      futuresPositions: data.futuresPositions?.length || 0
+      spotTrades: data.spotTrades.length,
+      futuresIncome: data.futuresIncome.length,
+      futuresTrades: data.futuresTrades.length,
+      futuresPositions: data.futuresPositions.length
     })
 
     // Update the connection's last_synced timestamp
@@ -148,6 +123,7 @@ export async function POST(request) {
       success: true,
       spotTrades: data.spotTrades || [],
       futuresIncome: data.futuresIncome || [],
+      futuresTrades: data.futuresTrades || [],
       futuresPositions: data.futuresPositions || [],
       metadata: data.metadata,
       // Include these for background storage call
@@ -1,6 +1,7 @@
 // app/api/exchange/list/route.js
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
+import { isIncrementalCursor } from '@/lib/syncCursor'
 
 export const dynamic = 'force-dynamic'
 
@@ -21,7 +22,7 @@ export async function GET() {
     // Include metadata for SnapTrade brokerage names
     const { data: connections, error: fetchError } = await supabase
       .from('exchange_connections')
-      .select('id, exchange, is_active, created_at, updated_at, last_synced, user_id, api_key_encrypted, api_secret_encrypted, metadata')
+      .select('id, exchange, is_active, created_at, updated_at, last_synced, user_id, api_key_encrypted, api_secret_encrypted, metadata, sync_cursor')
       .eq('user_id', user.id)
       .eq('is_active', true)
       .order('created_at', { ascending: false })
@@ -54,7 +55,10 @@ export async function GET() {
 
     // Process connections - for SnapTrade, each brokerage is a separate connection
     // IMPORTANT: Always ensure we return all non-SnapTrade connections even if SnapTrade check fails
-    let processedConnections = Array.isArray(connections) ? [...connections] : []
+    // The cursor itself stays server-side - the client only needs to know which cooldown applies
+    let processedConnections = Array.isArray(connections)
+      ? connections.map(({ sync_cursor, ...conn }) => ({ ...conn, incremental_sync: isIncrementalCursor(sync_cursor) }))
+      : []
     
     // Process SnapTrade connections - extract brokerage name from metadata or exchange name
     processedConnections = processedConnections.map(conn => {
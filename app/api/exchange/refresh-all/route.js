@@ -2,21 +2,20 @@
 // Unified refresh endpoint for all exchange connections (API-based and SnapTrade)
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
-import { decrypt } from '@/lib/encryption'
 import { getEffectiveTier } from '@/lib/featureGates'
-import { getActivities } from '@/lib/snaptrade-client'
-import { transformActivitiesToTrades } from '@/lib/snaptrade-transform'
-
-const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
+import { getRefreshCooldown } from '@/lib/syncCursor'
+import { createTradeStore, syncApiConnection, syncSnaptradeConnections, recordSyncHistory } from '@/lib/exchangeSync'
 
 export const dynamic = 'force-dynamic'
 
 /**
  * Refresh all exchange connections
  * - Checks tier (Trader/Pro only)
- * - Checks cooldown (24 hours)
+ * - Checks cooldown (24 hours for full syncs, 15 minutes once a sync cursor exists)
  * - Fetches data sequentially for better performance
- * - Stores only new trades (deduplication handled by store endpoint)
+ * - API connections fetch only since their sync cursor and store only records past it;
+ *   the cursor advances per symbol/income type after a successful store, so failures resume
+ * - Records each connection's outcome in exchange_sync_history (trigger 'manual')
  */
 export async function POST(request) {
   try {
@@ -46,7 +45,7 @@ export async function POST(request) {
     // Get all active exchange connections
     const { data: connections, error: connectionsError } = await supabase
       .from('exchange_connections')
-      .select('id, exchange, last_synced, api_key_encrypted, api_secret_encrypted, metadata')
+      .select('id, exchange, last_synced, api_key_encrypted, api_secret_encrypted, api_passphrase_encrypted, metadata, sync_cursor')
       .eq('user_id', user.id)
       .eq('is_active', true)
 
@@ -68,32 +67,25 @@ export async function POST(request) {
       })
     }
 
-    // Check cooldown (24 hours) and filter ready connections
+    // Check cooldown and filter ready connections
     const now = new Date()
-    const cooldownMs = 24 * 60 * 60 * 1000 // 24 hours
-    const readyConnections = connections.filter(conn => {
-      if (!conn.last_synced) return true // Never synced - ready
-      const lastSynced = new Date(conn.last_synced)
-      const timeSinceLastSync = now - lastSynced
-      return timeSinceLastSync >= cooldownMs
-    })
+    const readyConnections = connections.filter(conn => getRefreshCooldown(conn, now.getTime()).remainingMs === 0)
 
     if (readyConnections.length === 0) {
       const earliestNextRefresh = Math.min(
-        ...connections
-          .filter(c => c.last_synced)
-          .map(c => {
-            const lastSynced = new Date(c.last_synced)
-            return lastSynced.getTime() + cooldownMs
-          })
+        ...connections.map(c => now.getTime() + getRefreshCooldown(c, now.getTime()).remainingMs)
       )
-      const hoursRemaining = Math.ceil((earliestNextRefresh - now.getTime()) / (60 * 60 * 1000))
+      const minutesRemaining = Math.ceil((earliestNextRefresh - now.getTime()) / (60 * 1000))
+      const hoursRemaining = Math.ceil(minutesRemaining / 60)
       
       return NextResponse.json({
         success: false,
         error: 'COOLDOWN',
-        message: `All exchanges are on cooldown. Next refresh available in ${hoursRemaining} hour(s)`,
+        message: minutesRemaining < 60
+          ? `All exchanges are on cooldown. Next refresh available in ${minutesRemaining} minute(s)`
+          : `All exchanges are on cooldown. Next refresh available in ${hoursRemaining} hour(s)`,
         hoursRemaining,
+        minutesRemaining,
         refreshed: [],
         errors: []
       })
@@ -113,158 +105,34 @@ export async function POST(request) {
       totalNewTrades: 0
     }
 
+    // Store through the store endpoint, forwarding cookies to maintain the session
+    const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http'
+    const host = request.headers.get('host') || 'localhost:3000'
+    const cookieHeader = request.headers.get('cookie')
+    const authorizationHeader = request.headers.get('authorization')
+    const storeTrades = createTradeStore(`${protocol}://${host}`, {
+      ...(cookieHeader && { 'cookie': cookieHeader }),
+      ...(authorizationHeader && { 'authorization': authorizationHeader })
+    })
+    const history = []
+    const historyEntry = (conn, startedAt, fields) => ({
+      userId: user.id,
+      connectionId: conn.id,
+      exchange: conn.exchange,
+      trigger: 'manual',
+      startedAt,
+      ...fields
+    })
+
     // Refresh API-based exchanges sequentially
     for (const conn of apiConnections) {
+      const startedAt = Date.now()
       try {
         console.log(`🔄 Refreshing ${conn.exchange} connection ${conn.id}...`)
-        console.log(`📋 Connection details:`, {
-          id: conn.id,
-          exchange: conn.exchange,
-          hasApiKeyEncrypted: !!conn.api_key_encrypted,
-          hasApiSecretEncrypted: !!conn.api_secret_encrypted,
-          apiKeyEncryptedLength: conn.api_key_encrypted?.length || 0,
-          apiSecretEncryptedLength: conn.api_secret_encrypted?.length || 0
-        })
-        
-        // Decrypt API credentials
-        let apiKey, apiSecret
-        try {
-          // Check if credentials exist
-          if (!conn.api_key_encrypted || !conn.api_secret_encrypted) {
-            throw new Error(`API credentials not found in database (api_key: ${!!conn.api_key_encrypted}, api_secret: ${!!conn.api_secret_encrypted})`)
-          }
-          
-          // Check if encrypted fields are empty strings
-          if (conn.api_key_encrypted.trim() === '' || conn.api_secret_encrypted.trim() === '') {
-            throw new Error('API credentials are empty strings in database')
-          }
-          
-          apiKey = decrypt(conn.api_key_encrypted)
-          apiSecret = decrypt(conn.api_secret_encrypted)
-          
-          // Validate decrypted credentials are not empty
-          if (!apiKey || !apiSecret || apiKey.trim() === '' || apiSecret.trim() === '') {
-            throw new Error('Decrypted credentials are empty or invalid')
-          }
-          
-          console.log(`✅ Decrypted credentials for ${conn.exchange} (key length: ${apiKey.length}, secret length: ${apiSecret.length})`)
-        } catch (decryptError) {
-          console.error(`❌ Failed to decrypt credentials for ${conn.exchange}:`, {
-            error: decryptError.message,
-            stack: decryptError.stack,
-            hasApiKey: !!conn.api_key_encrypted,
-            hasApiSecret: !!conn.api_secret_encrypted,
-            apiKeyLength: conn.api_key_encrypted?.length || 0,
-            apiSecretLength: conn.api_secret_encrypted?.length || 0,
-            apiKeyPreview: conn.api_key_encrypted?.substring(0, 20) || 'N/A',
-            apiSecretPreview: conn.api_secret_encrypted?.substring(0, 20) || 'N/A'
-          })
-          results.errors.push({
-            connectionId: conn.id,
-            exchange: conn.exchange,
-            error: `Failed to decrypt API credentials: ${decryptError.message}`
-          })
-          continue
-        }
-
-        // Fetch data from exchange
-        const exchangeName = conn.exchange.toLowerCase()
-        let endpoint
-        if (exchangeName === 'binance') {
-          endpoint = `${BACKEND_URL}/api/binance/fetch-all`
-        } else if (exchangeName === 'coindcx') {
-          endpoint = `${BACKEND_URL}/api/coindcx/fetch-all`
-        } else {
-          results.errors.push({
-            connectionId: conn.id,
-            exchange: conn.exchange,
-            error: `Unsupported exchange: ${exchangeName}`
-          })
-          continue
-        }
-
-        console.log(`📡 Fetching data from ${exchangeName} endpoint: ${endpoint}`)
-        console.log(`🔑 Credentials being sent to backend:`, {
-          exchange: exchangeName,
-          apiKeyLength: apiKey?.length || 0,
-          apiSecretLength: apiSecret?.length || 0,
-          apiKeyPreview: apiKey ? `${apiKey.substring(0, 10)}...${apiKey.substring(apiKey.length - 5)}` : 'N/A',
-          apiSecretPreview: apiSecret ? `${apiSecret.substring(0, 10)}...${apiSecret.substring(apiSecret.length - 5)}` : 'N/A'
-        })
-        const fetchResponse = await fetch(endpoint, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ apiKey, apiSecret })
-        })
-
-        if (!fetchResponse.ok) {
-          const errorData = await fetchResponse.json().catch(() => ({}))
-          console.error(`❌ Backend error for ${exchangeName}:`, {
-            status: fetchResponse.status,
-            statusText: fetchResponse.statusText,
-            error: errorData.error,
-            fullError: errorData
-          })
-          throw new Error(errorData.error || `HTTP ${fetchResponse.status}: ${fetchResponse.statusText}`)
-        }
-
-        const fetchData = await fetchResponse.json()
-        if (!fetchData.success) {
-          throw new Error(fetchData.error || 'Failed to fetch exchange data')
-        }
-
-        const data = fetchData.data
-        const spotTrades = data.spotTrades || []
-        const futuresIncome = data.futuresIncome || []
-
-        // Store trades via store endpoint
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http'
-        const host = request.headers.get('host') || 'localhost:3000'
-        const baseUrl = `${protocol}://${host}`
-
-        // Forward cookies to maintain session for internal fetch
-        const cookieHeader = request.headers.get('cookie')
-        const storeResponse = await fetch(`${baseUrl}/api/trades/store`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...(cookieHeader && { 'cookie': cookieHeader }),
-            ...(request.headers.get('authorization') && {
-              'authorization': request.headers.get('authorization')
-            })
-          },
-          body: JSON.stringify({
-            spotTrades,
-            futuresIncome,
-            userId: user.id,
-            exchange: exchangeName,
-            connectionId: conn.id,
-            metadata: data.metadata
-          })
-        })
-
-        const storeResult = await storeResponse.json()
-
-        if (!storeResponse.ok) {
-          throw new Error(storeResult.error || storeResult.message || 'Failed to store trades')
-        }
-
-        // Update last_synced timestamp
-        await supabase
-          .from('exchange_connections')
-          .update({ last_synced: new Date().toISOString() })
-          .eq('id', conn.id)
-
-        const newTradesCount = storeResult.tradesCount || 0
-        results.totalNewTrades += newTradesCount
-        results.refreshed.push({
-          connectionId: conn.id,
-          exchange: conn.exchange,
-          newTrades: newTradesCount,
-          totalFetched: spotTrades.length + futuresIncome.length
-        })
-
-        console.log(`✅ Refreshed ${conn.exchange}: ${newTradesCount} new trades stored`)
+        const result = await syncApiConnection(supabase, conn, { userId: user.id, storeTrades })
+        results.totalNewTrades += result.newTrades
+        results.refreshed.push(result)
+        history.push(historyEntry(conn, startedAt, { status: 'success', newTrades: result.newTrades, newBySymbol: result.newBySymbol }))
       } catch (error) {
         console.error(`❌ Error refreshing ${conn.exchange}:`, error)
         results.errors.push({
@@ -272,88 +140,16 @@ export async function POST(request) {
           exchange: conn.exchange,
           error: error.message || 'Unknown error'
         })
+        history.push(historyEntry(conn, startedAt, { status: 'error', error: error.message }))
       }
     }
 
     // Refresh SnapTrade connections using SDK directly (no session needed)
     if (snaptradeConnections.length > 0) {
+      const startedAt = Date.now()
       try {
-        console.log(`🔄 Refreshing ${snaptradeConnections.length} SnapTrade brokerage connection(s) using SDK...`)
-        
-        // Get SnapTrade user credentials from database
-        const { data: snaptradeUser, error: snaptradeUserError } = await supabase
-          .from('snaptrade_users')
-          .select('snaptrade_user_id, user_secret_encrypted')
-          .eq('user_id', user.id)
-          .single()
-
-        if (snaptradeUserError || !snaptradeUser) {
-          throw new Error('User not registered with SnapTrade. Please register first.')
-        }
-
-        // Decrypt user secret
-        const userSecret = decrypt(snaptradeUser.user_secret_encrypted)
-        const snaptradeUserId = snaptradeUser.snaptrade_user_id
-
-        console.log(`✅ Decrypted SnapTrade credentials for user ${snaptradeUserId.substring(0, 20)}...`)
-
-        // Fetch activities from SnapTrade using SDK directly
-        const activities = await getActivities(snaptradeUserId, userSecret, {
-          // Fetch all accounts - store endpoint will map trades to correct connections by brokerage
-        })
-
-        console.log(`✅ Fetched ${activities.length} activities from SnapTrade`)
-
-        // Transform activities to TradeClarity trades format
-        const trades = transformActivitiesToTrades(activities)
-
-        console.log(`✅ Transformed ${activities.length} activities to ${trades.length} trades`)
-
-        // Store trades via store endpoint
-        const protocol = process.env.NODE_ENV === 'production' ? 'https' : 'http'
-        const host = request.headers.get('host') || 'localhost:3000'
-        const baseUrl = `${protocol}://${host}`
-
-        // Forward cookies to maintain session for internal fetch
-        const cookieHeader = request.headers.get('cookie')
-        const storeResponse = await fetch(`${baseUrl}/api/trades/store`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...(cookieHeader && { 'cookie': cookieHeader }),
-            ...(request.headers.get('authorization') && {
-              'authorization': request.headers.get('authorization')
-            })
-          },
-          body: JSON.stringify({
-            spotTrades: trades,
-            futuresIncome: [], // SnapTrade doesn't provide futures income in activities
-            userId: user.id,
-            exchange: 'snaptrade',
-            connectionId: null, // Store endpoint will map by brokerage name
-            metadata: {
-              primaryCurrency: 'USD',
-              accountType: 'SPOT',
-              source: 'snaptrade',
-            },
-          }),
-        })
-
-        const storeResult = await storeResponse.json()
-
-        if (!storeResponse.ok) {
-          throw new Error(storeResult.error || storeResult.message || 'Failed to store trades')
-        }
-
-        // Update last_synced timestamp for all SnapTrade connections
-        const snaptradeConnectionIds = snaptradeConnections.map(c => c.id)
-        await supabase
-          .from('exchange_connections')
-          .update({ last_synced: new Date().toISOString() })
-          .in('id', snaptradeConnectionIds)
-
-        const newTradesCount = storeResult.tradesCount || 0
-        results.totalNewTrades += newTradesCount
+        const { newTrades, newTradesByConnection, totalFetched } = await syncSnaptradeConnections(supabase, snaptradeConnections, { userId: user.id, storeTrades })
+        results.totalNewTrades += newTrades
         
         // Add all SnapTrade connections to refreshed list
         snaptradeConnections.forEach(conn => {
@@ -361,12 +157,11 @@ export async function POST(request) {
             connectionId: conn.id,
             exchange: conn.exchange,
             brokerageName: conn.metadata?.brokerage_name || null,
-            newTrades: 0, // Can't determine per-connection count from single fetch
-            totalFetched: activities.length
+            newTrades: newTradesByConnection[conn.id] || 0,
+            totalFetched
           })
         })
-
-        console.log(`✅ Refreshed SnapTrade: ${newTradesCount} new trades stored across ${snaptradeConnections.length} brokerage connection(s)`)
+        history.push(...snaptradeConnections.map(conn => historyEntry(conn, startedAt, { status: 'success', newTrades: newTradesByConnection[conn.id] || 0 })))
       } catch (error) {
         console.error(`❌ Error refreshing SnapTrade connections:`, error)
         // Add all SnapTrade connections to errors
@@ -378,9 +173,12 @@ export async function POST(request) {
             error: error.message || 'Unknown error'
           })
         })
+        history.push(...snaptradeConnections.map(conn => historyEntry(conn, startedAt, { status: 'error', error: error.message })))
       }
     }
 
+    await recordSyncHistory(supabase, history)
+
     return NextResponse.json({
       success: results.errors.length === 0 || results.refreshed.length > 0,
       ...results,
@@ -4,6 +4,7 @@ import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
 import { decrypt } from '@/lib/encryption'
 import { getEffectiveTier } from '@/lib/featureGates'
+import { getRefreshCooldown } from '@/lib/syncCursor'
 
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL
 
@@ -41,7 +42,7 @@ export async function POST(request) {
     // Get all active exchange connections
     const { data: connections, error: connectionsError } = await supabase
       .from('exchange_connections')
-      .select('id, exchange, last_synced, metadata')
+      .select('id, exchange, last_synced, metadata, sync_cursor')
       .eq('user_id', user.id)
       .eq('is_active', true)
 
@@ -62,23 +63,21 @@ export async function POST(request) {
       })
     }
 
-    // Check cooldown (24 hours)
-    const now = new Date()
-    const cooldownMs = 24 * 60 * 60 * 1000 // 24 hours
+    // Check cooldown (24 hours for full syncs, shorter once the connection syncs incrementally)
+    const now = Date.now()
     const exchangesWithCooldown = []
     const exchangesReady = []
 
     for (const conn of connections) {
-      const lastSynced = conn.last_synced ? new Date(conn.last_synced) : null
-      const timeSinceLastSync = lastSynced ? now - lastSynced : Infinity
-      const isOnCooldown = lastSynced && timeSinceLastSync < cooldownMs
+      const { remainingMs, incremental } = getRefreshCooldown(conn, now)
       
-      if (isOnCooldown) {
-        const hoursRemaining = Math.ceil((cooldownMs - timeSinceLastSync) / (60 * 60 * 1000))
+      if (remainingMs > 0) {
         exchangesWithCooldown.push({
           connectionId: conn.id,
           exchange: conn.exchange,
-          hoursRemaining,
+          hoursRemaining: Math.ceil(remainingMs / (60 * 60 * 1000)),
+          minutesRemaining: Math.ceil(remainingMs / (60 * 1000)),
+          incremental,
           lastSynced: conn.last_synced
         })
       } else {
@@ -101,17 +100,20 @@ export async function POST(request) {
         exchange: e.exchange,
         brokerageName: e.metadata?.brokerage_name || null
       })),
-      exchangesOnCooldown: exchangesWithCooldown.map(e => ({
+      // Soonest first so clients can show exchangesOnCooldown[0] as the next available refresh
+      exchangesOnCooldown: exchangesWithCooldown.sort((a, b) => a.minutesRemaining - b.minutesRemaining).map(e => ({
         connectionId: e.connectionId,
         exchange: e.exchange,
         hoursRemaining: e.hoursRemaining,
+        minutesRemaining: e.minutesRemaining,
+        incremental: e.incremental,
         lastSynced: e.lastSynced
       })),
       totalReady: exchangesReady.length,
       totalOnCooldown: exchangesWithCooldown.length,
       message: exchangesReady.length > 0 
         ? `${exchangesReady.length} exchange(s) ready to refresh`
-        : 'All exchanges are on cooldown (24 hours)'
+        : 'All exchanges are on cooldown'
     })
   } catch (error) {
     console.error('Error in refresh preview:', error)
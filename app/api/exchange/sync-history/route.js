@@ -0,0 +1,57 @@
+// app/api/exchange/sync-history/route.js
+// Recent manual and automatic sync runs for the current user (written by refresh-all and /api/cron/sync-exchanges)
+import { createClient } from '@/lib/supabase-server'
+import { NextResponse } from 'next/server'
+
+export const dynamic = 'force-dynamic'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+export async function GET(request) {
+  try {
+    const supabase = await createClient()
+
+    // Get current user
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const connectionId = searchParams.get('connectionId')
+    const limit = Math.min(MAX_LIMIT, parseInt(searchParams.get('limit'), 10) || DEFAULT_LIMIT)
+
+    let query = supabase
+      .from('exchange_sync_history')
+      .select('id, connection_id, exchange, trigger, status, new_trades, new_by_symbol, error, started_at, finished_at, duration_ms')
+      .eq('user_id', user.id)
+      .order('started_at', { ascending: false })
+      .limit(limit)
+
+    if (connectionId) {
+      query = query.eq('connection_id', connectionId)
+    }
+
+    const { data: history, error: historyError } = await query
+
+    if (historyError) {
+      console.error('❌ [Sync History] Error fetching history:', historyError)
+      return NextResponse.json(
+        { error: 'Failed to fetch sync history' },
+        { status: 500 }
+      )
+    }
+
+    return NextResponse.json({
+      success: true,
+      history: history || []
+    })
+  } catch (error) {
+    console.error('❌ [Sync History] Unhandled error:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch sync history', details: error.message },
+      { status: 500 }
+    )
+  }
+}
@@ -2,6 +2,7 @@
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
 import { encrypt } from '@/lib/encryption'
+import { getExchangeAdapter } from '@/app/analyze/utils/exchanges'
 
 export async function POST(request) {
   console.log('📡 [API] /api/exchange/update-keys called')
@@ -15,8 +16,8 @@ export async function POST(request) {
       return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
     }
 
-    const { connectionId, apiKey, apiSecret } = await request.json()
-    console.log('📥 [API] Request data:', { connectionId, hasApiKey: !!apiKey, hasApiSecret: !!apiSecret })
+    const { connectionId, apiKey, apiSecret, passphrase } = await request.json()
+    console.log('📥 [API] Request data:', { connectionId, hasApiKey: !!apiKey, hasApiSecret: !!apiSecret, hasPassphrase: !!passphrase })
 
     // Validate inputs
     if (!connectionId || !apiKey || !apiSecret) {
@@ -43,19 +44,35 @@ export async function POST(request) {
       )
     }
 
+    const adapter = getExchangeAdapter(existingConnection.exchange)
+    if (adapter?.capabilities.requiresPassphrase && !passphrase) {
+      return NextResponse.json(
+        { error: `${adapter.config.displayName} API passphrase is required` },
+        { status: 400 }
+      )
+    }
+
     // Encrypt API credentials
     const apiKeyEncrypted = encrypt(apiKey)
     const apiSecretEncrypted = encrypt(apiSecret)
 
+    const updates = {
+      api_key_encrypted: apiKeyEncrypted,
+      api_secret_encrypted: apiSecretEncrypted,
+      updated_at: new Date().toISOString(),
+      is_active: true
+    }
+    // Keep the stored passphrase unless a new one was sent (cleared for exchanges that don't use one)
+    if (passphrase) {
+      updates.api_passphrase_encrypted = encrypt(passphrase)
+    } else if (!adapter?.capabilities.requiresPassphrase) {
+      updates.api_passphrase_encrypted = null
+    }
+
     // Update the connection with new keys
     const { data: updatedConnection, error: updateError } = await supabase
       .from('exchange_connections')
-      .update({
-        api_key_encrypted: apiKeyEncrypted,
-        api_secret_encrypted: apiSecretEncrypted,
-        updated_at: new Date().toISOString(),
-        is_active: true
-      })
+      .update(updates)
       .eq('id', connectionId)
       .select('id, exchange, updated_at')
       .single()
@@ -1,11 +1,17 @@
 // app/api/files/upload/route.js
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
+import { pruneUnsavedJournalScreenshots } from '@/lib/journalScreenshots'
 
 const MAX_FILE_SIZE = 1 * 1024 * 1024 // 1MB
 const ALLOWED_TYPES = ['text/csv', 'application/vnd.ms-excel', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/pdf']
 const MAX_FILES_PER_USER = 10
 
+// Trade journal screenshots (purpose=journal) have their own type, size and count limits
+const JOURNAL_MAX_FILE_SIZE = 5 * 1024 * 1024 // 5MB
+const JOURNAL_ALLOWED_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif']
+const JOURNAL_MAX_FILES_PER_USER = 200
+
 export async function POST(request) {
   try {
     const supabase = await createClient()
@@ -19,20 +25,33 @@ export async function POST(request) {
     // Parse form data
     const formData = await request.formData()
     const files = formData.getAll('files')
+    const purpose = formData.get('purpose') === 'journal' ? 'journal' : 'data'
+    const isJournal = purpose === 'journal'
+    const maxFileSize = isJournal ? JOURNAL_MAX_FILE_SIZE : MAX_FILE_SIZE
+    const maxFiles = isJournal ? JOURNAL_MAX_FILES_PER_USER : MAX_FILES_PER_USER
 
     if (!files || files.length === 0) {
       return NextResponse.json({ error: 'No files provided' }, { status: 400 })
     }
 
-    // Check current file count
-    const { count } = await supabase
+    // Screenshots uploaded but never saved to an entry shouldn't count against the limit
+    if (isJournal) {
+      await pruneUnsavedJournalScreenshots(supabase, user.id)
+    }
+
+    // Check current file count (data files and journal screenshots are counted separately)
+    let countQuery = supabase
       .from('file_uploads')
       .select('*', { count: 'exact', head: true })
       .eq('user_id', user.id)
 
-    if (count >= MAX_FILES_PER_USER) {
+    // Rows from before the purpose column have purpose = null
+    countQuery = isJournal ? countQuery.eq('purpose', 'journal') : countQuery.or('purpose.is.null,purpose.neq.journal')
+    const { count } = await countQuery
+
+    if (count >= maxFiles) {
       return NextResponse.json(
-        { error: `Maximum ${MAX_FILES_PER_USER} files allowed` },
+        { error: `Maximum ${maxFiles} ${isJournal ? 'screenshots' : 'files'} allowed` },
         { status: 400 }
       )
     }
@@ -43,8 +62,13 @@ export async function POST(request) {
     for (const file of files) {
       try {
         // Validate file
-        if (file.size > MAX_FILE_SIZE) {
-          errors.push(`${file.name}: File too large (max 1MB)`)
+        if (file.size > maxFileSize) {
+          errors.push(`${file.name}: File too large (max ${maxFileSize / (1024 * 1024)}MB)`)
+          continue
+        }
+
+        if (isJournal && !JOURNAL_ALLOWED_TYPES.includes(file.type)) {
+          errors.push(`${file.name}: Screenshots must be PNG, JPEG, WebP or GIF`)
           continue
         }
 
@@ -79,7 +103,8 @@ export async function POST(request) {
             filename: file.name,
             storage_path: fileName,
             size: file.size,
-            mime_type: file.type
+            mime_type: file.type,
+            purpose
           })
           .select()
           .single()
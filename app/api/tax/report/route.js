@@ -0,0 +1,487 @@
+// app/api/tax/report/route.js
+// Capital gains report for a fiscal year, exported as JSON, CSV or printable HTML/PDF
+// Rendering mirrors /api/subscriptions/invoice-pdf (HTML with print styles, browser "Save as PDF")
+
+import { createClient } from '@/lib/supabase-server'
+import { NextResponse } from 'next/server'
+import { generateTaxReport, taxReportToCSV, getTaxJurisdiction, isCostBasisMethodAllowed, TAX_JURISDICTIONS } from '@/app/analyze/utils/taxReport'
+import { autoConvertToUSD, createUsdRateResolver, getFxHistoryRange, getRecordQuoteCurrency, getCurrencyKind } from '@/app/analyze/utils/currencyConverter'
+import { normalizeSpotCommissions } from '@/app/analyze/utils/feeNormalization'
+import { createAdminClient } from '@/lib/supabase-admin'
+import { fetchFxRateHistory } from '@/lib/fxRateHistory'
+
+export const dynamic = 'force-dynamic'
+
+const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:5000'
+
+/**
+ * Fetch live currency rates from backend (USD base)
+ */
+async function getCurrencyRates() {
+  try {
+    const response = await fetch(`${BACKEND_URL}/api/currency-rate`, {
+      method: 'GET',
+      headers: { 'Content-Type': 'application/json' }
+    })
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`)
+    }
+
+    const data = await response.json()
+    if (data.success && data.rates) {
+      return data.rates
+    }
+
+    throw new Error('Invalid response format')
+  } catch (error) {
+    console.error('⚠️ [Tax Report] Failed to fetch currency rates:', error.message)
+    return {
+      'USD': 1.0,
+      'INR': 87.0,
+      'EUR': 0.92,
+      'GBP': 0.79
+    }
+  }
+}
+
+/**
+ * Convert stored spot trades into analyzer format, expressed in the reporting currency
+ * Each trade converts from its own quote currency to USD and then to the reporting currency at the rates
+ * for its trade date (fiat: stored FX history, crypto quotes like ETHBTC: daily closes). Trades with no
+ * rate at all are excluded and listed by symbol. Commissions charged in another asset (BNB, the base
+ * asset) are valued at the trade date like in analytics, so they still reduce gains
+ */
+async function transformTradesForTax(trades, reportingCurrency, rates) {
+  const rawTrades = trades
+    .filter(trade => trade.account_type === 'SPOT')
+    .map(trade => ({
+      symbol: trade.symbol,
+      qty: String(trade.quantity),
+      price: String(trade.price),
+      commission: String(trade.commission || 0),
+      commissionAsset: trade.commission_asset || null,
+      isBuyer: trade.side === 'BUY',
+        time: new Date(trade.trade_time).getTime(),
+      id: trade.trade_id,
+      exchange: trade.exchange
+    }))
+
+  // Daily FX history for fiat quotes and the reporting currency
+  const fxRateHistory = {}
+  const range = getFxHistoryRange({ spotTrades: rawTrades })
+  const fiatCurrencies = [...new Set([
+    ...rawTrades.map(trade => getRecordQuoteCurrency(trade)),
+    reportingCurrency
+  ])].filter(currency => getCurrencyKind(currency) === 'fiat')
+
+  if (range && fiatCurrencies.length > 0) {
+    const adminClient = createAdminClient()
+    for (const currency of fiatCurrencies) {
+      try {
+        fxRateHistory[currency] = await fetchFxRateHistory(adminClient, currency, range.from, range.to)
+      } catch (fxError) {
+        console.warn(`⚠️ [Tax Report] Failed to fetch ${currency} rate history, using current rate:`, fxError.message)
+      }
+    }
+  }
+
+  const converted = await autoConvertToUSD({ spotTrades: rawTrades, metadata: {} }, { fxRateHistory })
+  const usdTrades = await normalizeSpotCommissions(converted.spotTrades, { fxRateHistory })
+  const unvaluedFees = usdTrades.filter(trade => trade.commissionValuation === 'unvalued').length
+
+  // USD -> reporting currency at each trade's own date
+  const toReporting = reportingCurrency === 'USD'
+    ? null
+    : createUsdRateResolver(fxRateHistory[reportingCurrency], rates[reportingCurrency] ? 1 / rates[reportingCurrency] : null)
+
+  const spotTrades = []
+  const convertedKeys = new Set()
+  usdTrades.forEach(trade => {
+    const usdPerUnit = toReporting ? toReporting.rateFor(trade.time) : 1
+    if (!usdPerUnit) return
+
+    convertedKeys.add(`${trade.id}|${trade.time}`)
+    spotTrades.push({
+      ...trade,
+      price: String(parseFloat(trade.price) / usdPerUnit),
+      commission: String(parseFloat(trade.commission || 0) / usdPerUnit)
+    })
+  })
+
+  const excludedSymbols = [...new Set(
+    rawTrades.filter(trade => !convertedKeys.has(`${trade.id}|${trade.time}`)).map(trade => trade.symbol)
+  )]
+
+  return { spotTrades, excludedSymbols, unvaluedFees, fxConversion: converted.metadata.fxConversion || null }
+}
+
+export async function GET(request) {
+  try {
+    const supabase = await createClient()
+
+    const { data: { user }, error: authError } = await supabase.auth.getUser()
+    if (authError || !user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const jurisdictionParam = (searchParams.get('jurisdiction') || 'US').toUpperCase()
+    const fiscalYear = parseInt(searchParams.get('fiscalYear'), 10)
+    const costBasisMethod = searchParams.get('costBasisMethod') || undefined
+    const format = searchParams.get('format') || 'json' // 'json' | 'csv' | 'html' | 'pdf'
+
+    if (!TAX_JURISDICTIONS[jurisdictionParam]) {
+      return NextResponse.json(
+        { error: `Invalid jurisdiction. Supported: ${Object.keys(TAX_JURISDICTIONS).join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    if (!fiscalYear || fiscalYear < 2009 || fiscalYear > new Date().getUTCFullYear()) {
+      return NextResponse.json(
+        { error: 'Valid fiscalYear required' },
+        { status: 400 }
+      )
+    }
+
+    const jurisdiction = getTaxJurisdiction(jurisdictionParam)
+
+    // Without an explicit method the jurisdiction's default applies (FIFO for US/India)
+    if (costBasisMethod && jurisdiction.costBasisMethods && !isCostBasisMethodAllowed(jurisdiction.id, costBasisMethod)) {
+      return NextResponse.json(
+        { error: `Cost basis method not accepted for ${jurisdiction.label}. Supported: ${jurisdiction.costBasisMethods.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    // Full spot history is needed to match lots acquired before the fiscal year
+    const { data: trades, error: fetchError } = await supabase
+      .from('trades')
+      .select('symbol, quantity, price, commission, commission_asset, side, trade_time, trade_id, exchange, account_type')
+      .eq('user_id', user.id)
+      .eq('account_type', 'SPOT')
+      .order('trade_time', { ascending: true })
+
+    if (fetchError) {
+      console.error('[Tax Report] Error fetching trades:', fetchError)
+      return NextResponse.json(
+        { error: 'Failed to fetch trades' },
+        { status: 500 }
+      )
+    }
+
+    const rates = await getCurrencyRates()
+    const { spotTrades, excludedSymbols, unvaluedFees, fxConversion } = await transformTradesForTax(trades || [], jurisdiction.currency, rates)
+
+    const report = {
+      ...generateTaxReport(spotTrades, {
+        jurisdiction: jurisdiction.id,
+        fiscalYear,
+        costBasisMethod
+      }),
+      excludedSymbols,
+      unvaluedFees,
+      fxConversion
+    }
+
+    const filename = `tradeclarity-capital-gains-${jurisdiction.id.toLowerCase()}-${report.fiscalYearLabel}`
+
+    if (format === 'csv') {
+      return new NextResponse(taxReportToCSV(report), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${filename}.csv"`
+        }
+      })
+    }
+
+    if (format === 'html' || format === 'pdf') {
+      const reportHtml = generateTaxReportHTML(report, user)
+
+      if (format === 'html') {
+        return new NextResponse(reportHtml, {
+          headers: {
+            'Content-Type': 'text/html',
+            'Content-Disposition': `inline; filename="${filename}.html"`
+          }
+        })
+      }
+
+      // Same approach as invoices: print-optimized HTML the browser can save as PDF
+      return new NextResponse(generatePDFOptimizedHTML(reportHtml), {
+        headers: {
+          'Content-Type': 'text/html',
+          'Content-Disposition': `attachment; filename="${filename}.pdf"`
+        }
+      })
+    }
+
+    return NextResponse.json({ success: true, report })
+  } catch (error) {
+    console.error('Error generating tax report:', error)
+    return NextResponse.json(
+      { error: 'Failed to generate tax report' },
+      { status: 500 }
+    )
+  }
+}
+
+function generatePDFOptimizedHTML(html) {
+  return html.replace(
+    '</head>',
+    `
+    <style>
+      @media print {
+        body { margin: 0; padding: 0; }
+        .no-print { display: none; }
+      }
+      @page {
+        margin: 1cm;
+        size: A4 landscape;
+      }
+    </style>
+    </head>`
+  )
+}
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+const HOLDING_CLASS_LABELS = {
+  SHORT_TERM: 'Short-term',
+  LONG_TERM: 'Long-term',
+  VDA_FLAT: 'VDA (flat rate)',
+  SAME_DAY: 'Same-day rule',
+  BED_AND_BREAKFAST: '30-day rule',
+  SECTION_104: 'Section 104 pool'
+}
+
+function generateTaxReportHTML(report, user) {
+  const money = (value) => `${report.currency} ${(value || 0).toFixed(2)}`
+  const { summary } = report
+
+  const summaryRows = [
+    ['Disposals', summary.disposalCount],
+    ['Total proceeds', money(summary.totalProceeds)],
+    ['Total cost basis', money(summary.totalCostBasis)],
+    ['Acquisition fees (in cost basis)', money(summary.totalAcquisitionFees)],
+    [report.deductDisposalFees ? 'Disposal fees' : 'Disposal fees (not deductible)', money(summary.totalFees)],
+    ['Gains', money(summary.totalGains)],
+    ['Losses', money(summary.totalLosses)],
+    ['Net gain / loss', money(summary.netGain)]
+  ]
+
+  if (summary.shortTermNet !== undefined) {
+    summaryRows.push(['Short-term net', money(summary.shortTermNet)])
+    summaryRows.push(['Long-term net', money(summary.longTermNet)])
+  }
+
+  if (summary.flatRate !== undefined) {
+    summaryRows.push(['Taxable gain', money(summary.taxableGain)])
+    summaryRows.push(['Losses not set off', money(summary.disallowedLosses)])
+    summaryRows.push([`Estimated tax (${(summary.flatRate * 100).toFixed(0)}%)`, money(summary.estimatedTax)])
+  }
+
+  if (summary.byMatchRule) {
+    Object.entries(summary.byMatchRule).forEach(([rule, data]) => {
+      summaryRows.push([`${HOLDING_CLASS_LABELS[rule]} (${data.count})`, money(data.gain)])
+    })
+  }
+
+  const example = report.verification
+  const verificationHtml = example ? `
+    <h3 class="section-title">How the figures are calculated</h3>
+    <p class="note">Worked example: ${escapeHTML(example.quantity.toFixed(8))} ${escapeHTML(example.asset)} acquired ${escapeHTML(example.acquiredDate)}, disposed ${escapeHTML(example.disposedDate)}</p>
+    <table class="summary-table">
+      <tbody>
+        <tr><td>Purchase cost</td><td class="text-right">${escapeHTML(money(example.purchaseCost))}</td></tr>
+        <tr><td>+ Acquisition fees</td><td class="text-right">${escapeHTML(money(example.acquisitionFees))}</td></tr>
+        <tr><td>= Cost basis</td><td class="text-right"><strong>${escapeHTML(money(example.costBasis))}</strong></td></tr>
+        <tr><td>Proceeds</td><td class="text-right">${escapeHTML(money(example.proceeds))}</td></tr>
+        <tr><td>- Cost basis</td><td class="text-right">${escapeHTML(money(example.costBasis))}</td></tr>
+        ${example.disposalFeesDeducted
+          ? `<tr><td>- Disposal fees</td><td class="text-right">${escapeHTML(money(example.disposalFees))}</td></tr>`
+          : `<tr><td>Disposal fees (not deductible)</td><td class="text-right">${escapeHTML(money(example.disposalFees))}</td></tr>`}
+        <tr><td>= Gain / loss</td><td class="text-right"><strong>${escapeHTML(money(example.gain))}</strong></td></tr>
+      </tbody>
+    </table>` : ''
+
+  const disposalRows = report.disposals.map(d => `
+        <tr>
+          <td>${escapeHTML(d.asset)}</td>
+          <td class="text-right">${d.quantity.toFixed(8)}</td>
+          <td>${escapeHTML(d.acquiredDate)}</td>
+          <td>${escapeHTML(d.disposedDate)}</td>
+          <td class="text-right">${d.proceeds.toFixed(2)}</td>
+          <td class="text-right">${d.costBasis.toFixed(2)}</td>
+          <td class="text-right">${d.fees.toFixed(2)}</td>
+          <td class="text-right ${d.gain >= 0 ? 'gain' : 'loss'}">${d.gain.toFixed(2)}</td>
+          <td>${escapeHTML(HOLDING_CLASS_LABELS[d.holdingPeriodClass] || d.holdingPeriodClass)}</td>
+        </tr>`).join('')
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Capital Gains Report ${escapeHTML(report.fiscalYearLabel)}</title>
+  <style>
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      margin: 0;
+      padding: 40px;
+      color: #1e293b;
+      background: #ffffff;
+    }
+    .report-container {
+      max-width: 1100px;
+      margin: 0 auto;
+      background: white;
+      padding: 40px;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    }
+    .header {
+      display: flex;
+      justify-content: space-between;
+      margin-bottom: 30px;
+      padding-bottom: 20px;
+      border-bottom: 2px solid #e2e8f0;
+    }
+    .logo {
+      font-size: 24px;
+      font-weight: bold;
+      color: #10b981;
+    }
+    .report-title {
+      text-align: right;
+    }
+    .report-period {
+      font-size: 18px;
+      font-weight: 600;
+      color: #64748b;
+    }
+    .summary-table, .items-table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 30px;
+    }
+    .summary-table {
+      width: 420px;
+    }
+    .summary-table td {
+      padding: 6px 12px;
+      border-bottom: 1px solid #e2e8f0;
+    }
+    .items-table th {
+      background: #f1f5f9;
+      padding: 10px;
+      text-align: left;
+      font-size: 11px;
+      text-transform: uppercase;
+      color: #64748b;
+      font-weight: 600;
+    }
+    .items-table td {
+      padding: 8px 10px;
+      border-bottom: 1px solid #e2e8f0;
+      font-size: 12px;
+    }
+    .text-right {
+      text-align: right;
+    }
+    .gain {
+      color: #059669;
+    }
+    .loss {
+      color: #dc2626;
+    }
+    .note {
+      color: #64748b;
+      font-size: 12px;
+      margin-bottom: 20px;
+    }
+    .section-title {
+      font-size: 14px;
+      font-weight: 600;
+      color: #1e293b;
+      margin: 0 0 8px;
+    }
+    .footer {
+      margin-top: 40px;
+      padding-top: 20px;
+      border-top: 1px solid #e2e8f0;
+      text-align: center;
+      color: #64748b;
+      font-size: 12px;
+    }
+    @media print {
+      body {
+        padding: 0;
+      }
+      .report-container {
+        box-shadow: none;
+      }
+    }
+  </style>
+</head>
+<body>
+  <div class="report-container">
+    <div class="header">
+      <div>
+        <div class="logo">TradeClarity</div>
+        <p style="color: #64748b; margin-top: 5px;">Capital Gains Report</p>
+        <p style="color: #64748b; margin-top: 5px;">${escapeHTML(user?.email || '')}</p>
+      </div>
+      <div class="report-title">
+        <div class="report-period">${escapeHTML(report.jurisdictionLabel)} &middot; FY ${escapeHTML(report.fiscalYearLabel)}</div>
+        <p style="color: #64748b; margin-top: 5px;">${escapeHTML(report.period.start)} to ${escapeHTML(report.period.end)}</p>
+        ${report.costBasisMethod ? `<p style="color: #64748b; margin-top: 5px;">Cost basis: ${escapeHTML(report.costBasisMethod)}</p>` : ''}
+      </div>
+    </div>
+
+    <table class="summary-table">
+      <tbody>
+        ${summaryRows.map(([label, value]) => `<tr><td>${escapeHTML(label)}</td><td class="text-right"><strong>${escapeHTML(value)}</strong></td></tr>`).join('')}
+      </tbody>
+    </table>
+
+    ${report.excludedSymbols?.length ? `<p class="note">Excluded (no exchange rate available): ${report.excludedSymbols.map(escapeHTML).join(', ')}</p>` : ''}
+    ${report.unvaluedFees > 0 ? `<p class="note">${report.unvaluedFees} fee(s) charged in an asset with no price on record are counted as zero.</p>` : ''}
+    ${summary.unmatchedQuantity > 0 ? '<p class="note">Some disposals had no matching acquisition on record (e.g. transferred-in assets) and are not included.</p>' : ''}
+
+    <table class="items-table">
+      <thead>
+        <tr>
+          <th>Asset</th>
+          <th class="text-right">Quantity</th>
+          <th>Acquired</th>
+          <th>Disposed</th>
+          <th class="text-right">Proceeds</th>
+          <th class="text-right">Cost Basis</th>
+          <th class="text-right">Disposal Fees</th>
+          <th class="text-right">Gain / Loss</th>
+          <th>Class</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${disposalRows || '<tr><td colspan="9" style="text-align:center;color:#64748b;">No disposals in this period</td></tr>'}
+      </tbody>
+    </table>
+
+    ${verificationHtml}
+
+    <div class="footer">
+      <p>Generated ${escapeHTML(new Date(report.generatedAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }))} from your TradeClarity trade history.</p>
+      <p>This report is informational only and is not tax advice. Please confirm figures with a qualified tax professional.</p>
+    </div>
+  </div>
+</body>
+</html>
+  `
+}
@@ -1,6 +1,7 @@
 // app/api/trades/fetch/route.js
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
+import { getUserBaseCurrency, getDefaultBaseCurrency } from '@/lib/userPreferences'
 
 export const dynamic = 'force-dynamic'
 
@@ -108,6 +109,7 @@ export async function GET(request) {
         .select('*', { count: 'exact', head: true })
         .eq('user_id', user.id)
         .eq('account_type', 'FUTURES')
+        .eq('side', 'INCOME')
 
       const { data: oldestTrade } = await supabase
         .from('trades')
@@ -131,12 +133,7 @@ export async function GET(request) {
         .eq('user_id', user.id)
 
       const uniqueExchanges = [...new Set(exchangeData?.map(t => t.exchange) || [])]
-      let primaryCurrency = 'USD'
-      if (uniqueExchanges.length === 1 && uniqueExchanges[0] === 'coindcx') {
-        primaryCurrency = 'INR'
-      } else if (uniqueExchanges.includes('coindcx')) {
-        primaryCurrency = 'INR'
-      }
+      const primaryCurrency = await getUserBaseCurrency(supabase, user.id) || getDefaultBaseCurrency(uniqueExchanges)
 
       return NextResponse.json({
         success: true,
@@ -206,6 +203,7 @@ export async function GET(request) {
     // Group trades by account type
     const spotTrades = []
     const futuresIncome = []
+    const futuresTrades = []
 
     trades.forEach(trade => {
       if (trade.account_type === 'SPOT') {
@@ -224,6 +222,26 @@ export async function GET(request) {
           accountType: 'SPOT',
           exchange: trade.exchange // Include exchange from database
         })
+      } else if (trade.account_type === 'FUTURES' && trade.side !== 'INCOME') {
+        // Futures fill (trade_id carries a _FILL suffix so it can't collide with spot ids)
+        futuresTrades.push({
+          symbol: trade.symbol,
+          side: trade.side,
+          qty: String(trade.quantity),
+          price: String(trade.price),
+          quoteQty: String(trade.quote_quantity),
+          commission: String(trade.commission),
+          commissionAsset: trade.commission_asset,
+          realizedPnl: trade.raw_data?.realizedPnl,
+          positionSide: trade.raw_data?.positionSide,
+          leverage: trade.raw_data?.leverage,
+          isMaker: trade.type === 'LIMIT',
+          time: new Date(trade.trade_time).getTime(),
+          orderId: trade.order_id,
+          id: String(trade.trade_id).replace(/_FILL$/, ''),
+          accountType: 'FUTURES',
+          exchange: trade.exchange
+        })
       } else if (trade.account_type === 'FUTURES') {
         futuresIncome.push({
           symbol: trade.symbol,
@@ -233,6 +251,7 @@ export async function GET(request) {
           time: new Date(trade.trade_time).getTime(),
           tranId: trade.trade_id,
           id: trade.trade_id,
+          tradeId: trade.raw_data?.tradeId || undefined, // Links REALIZED_PNL / COMMISSION to the fill
           exchange: trade.exchange // Include exchange from database
         })
       }
@@ -244,17 +263,10 @@ export async function GET(request) {
     const oldestTrade = trades.length > 0 ? trades[0].trade_time : null
     const newestTrade = trades.length > 0 ? trades[trades.length - 1].trade_time : null
 
-    // Detect primary currency based on exchange
-    // CoinDCX trades are stored in INR, need conversion
-    // Binance trades are stored in USD/USDT, no conversion needed
-    let primaryCurrency = 'USD'
-    if (uniqueExchanges.length === 1 && uniqueExchanges[0] === 'coindcx') {
-      primaryCurrency = 'INR'
-    } else if (uniqueExchanges.includes('coindcx')) {
-      // Mixed exchanges - need to handle per-trade conversion
-      // For now, mark as INR and let frontend handle it
-      primaryCurrency = 'INR'
-    }
+    // Primary currency is the user's base (display) currency
+    // Each trade is converted to USD from its own quote currency in autoConvertToUSD, so this no longer
+    // describes what the stored amounts are in
+    const primaryCurrency = await getUserBaseCurrency(supabase, user.id) || getDefaultBaseCurrency(uniqueExchanges)
 
     // Enable currency switcher - always support all top 10 currencies
     const availableCurrencies = ['USD', 'INR', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'CNY', 'SGD', 'CHF']
@@ -576,11 +588,23 @@ export async function GET(request) {
       })
     }
 
+    // Journal tags feed the per-strategy breakdown in analyzeData (non-critical)
+    const { data: journalRows, error: journalError } = await supabase
+      .from('trade_journal')
+      .select('exchange, trade_id, tags')
+      .eq('user_id', user.id)
+
+    if (journalError) {
+      console.warn('⚠️ Failed to fetch trade journal (non-critical):', journalError.message)
+    }
+
     return NextResponse.json({
       success: true,
       spotTrades,
       futuresIncome,
+      futuresTrades,
       futuresPositions: [],
+      journalEntries: (journalRows || []).map(row => ({ exchange: row.exchange, tradeId: row.trade_id, tags: row.tags })),
       metadata: {
         primaryCurrency: primaryCurrency,
         availableCurrencies: availableCurrencies,
@@ -0,0 +1,267 @@
+// app/api/trades/journal/route.js
+// Trade journal: notes, tags and screenshots attached to stored trades
+// Entries live in trade_journal keyed by (user_id, exchange, trade_id) - the same key trades are deduped on -
+// so they survive re-syncs and re-imports of the same trade. Screenshots are uploaded through
+// /api/files/upload (purpose=journal) and referenced here by file_uploads id
+import { createClient } from '@/lib/supabase-server'
+import { NextResponse } from 'next/server'
+import { normalizeJournalTags, MAX_NOTES_LENGTH } from '@/app/analyze/utils/tradeJournal'
+import { removeJournalScreenshots } from '@/lib/journalScreenshots'
+
+export const dynamic = 'force-dynamic'
+
+const MAX_ATTACHMENTS_PER_ENTRY = 5
+const SIGNED_URL_TTL_SECONDS = 60 * 60
+
+const toEntry = (row, signedUrls = {}) => ({
+  id: row.id,
+  exchange: row.exchange,
+  tradeId: row.trade_id,
+  notes: row.notes || '',
+  tags: normalizeJournalTags(row.tags),
+  attachments: (row.attachments || []).map(attachment => ({
+    ...attachment,
+    url: signedUrls[attachment.storage_path] || null
+  })),
+  updatedAt: row.updated_at
+})
+
+/**
+ * Signed URLs for every screenshot in the given rows, keyed by storage path
+ */
+async function signAttachments(supabase, rows) {
+  const paths = rows.flatMap(row => (row.attachments || []).map(a => a.storage_path)).filter(Boolean)
+  if (paths.length === 0) return {}
+
+  const { data, error } = await supabase.storage.from('trade-files').createSignedUrls(paths, SIGNED_URL_TTL_SECONDS)
+  if (error) {
+    console.warn('⚠️ [Journal] Could not sign screenshot URLs:', error.message)
+    return {}
+  }
+  return Object.fromEntries((data || []).filter(d => d.signedUrl).map(d => [d.path, d.signedUrl]))
+}
+
+/**
+ * Strategy tags feed analyzeData's strategy breakdown, so cached analytics go stale on every journal change
+ */
+async function invalidateAnalyticsCache(supabase, userId) {
+  const { error } = await supabase
+    .from('user_analytics_cache')
+    .delete()
+    .eq('user_id', userId)
+
+  if (error) {
+    console.warn('⚠️ [Journal] Failed to invalidate analytics cache (non-critical):', error.message)
+  }
+}
+
+async function getUser(supabase) {
+  const { data: { user }, error: authError } = await supabase.auth.getUser()
+  return authError ? null : user
+}
+
+export async function GET(request) {
+  try {
+    const supabase = await createClient()
+    const user = await getUser(supabase)
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const exchange = searchParams.get('exchange')
+    const tradeId = searchParams.get('tradeId')
+
+    let query = supabase
+      .from('trade_journal')
+      .select('id, exchange, trade_id, notes, tags, attachments, updated_at')
+      .eq('user_id', user.id)
+      .order('updated_at', { ascending: false })
+
+    if (exchange && tradeId) {
+      query = query.eq('exchange', exchange.toLowerCase()).eq('trade_id', tradeId)
+    }
+
+    const { data: rows, error: fetchError } = await query
+
+    if (fetchError) {
+      console.error('❌ [Journal] Error fetching entries:', fetchError)
+      return NextResponse.json({ error: 'Failed to fetch journal' }, { status: 500 })
+    }
+
+    const signedUrls = await signAttachments(supabase, rows || [])
+
+    return NextResponse.json({
+      success: true,
+      entries: (rows || []).map(row => toEntry(row, signedUrls))
+    })
+  } catch (error) {
+    console.error('❌ [Journal] Unhandled GET error:', error)
+    return NextResponse.json({ error: 'Failed to fetch journal', details: error.message }, { status: 500 })
+  }
+}
+
+/**
+ * Create or replace the journal entry for one trade
+ * Body: { exchange, tradeId, notes, tags: { setup, strategy, emotion, mistake }, attachmentIds: [] }
+ * An entry with no notes, tags or screenshots is removed; screenshots dropped from the entry are deleted
+ */
+export async function PUT(request) {
+  try {
+    const supabase = await createClient()
+    const user = await getUser(supabase)
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { exchange, tradeId, notes = '', tags = {}, attachmentIds = [] } = await request.json()
+
+    if (!exchange || !tradeId) {
+      return NextResponse.json({ error: 'exchange and tradeId are required' }, { status: 400 })
+    }
+
+    if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+      return NextResponse.json({ error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` }, { status: 400 })
+    }
+
+    if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_ENTRY) {
+      return NextResponse.json({ error: `At most ${MAX_ATTACHMENTS_PER_ENTRY} screenshots per trade` }, { status: 400 })
+    }
+
+    const normalizedExchange = exchange.toLowerCase()
+    const tradeIdStr = String(tradeId)
+
+    // Only journal trades the user actually has
+    const { data: trade, error: tradeError } = await supabase
+      .from('trades')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('exchange', normalizedExchange)
+      .eq('trade_id', tradeIdStr)
+      .limit(1)
+      .maybeSingle()
+
+    if (tradeError || !trade) {
+      return NextResponse.json({ error: 'Trade not found' }, { status: 404 })
+    }
+
+    // Screenshots must be the user's own journal uploads
+    let attachments = []
+    if (attachmentIds.length > 0) {
+      const { data: files, error: filesError } = await supabase
+        .from('file_uploads')
+        .select('id, filename, storage_path, mime_type')
+        .eq('user_id', user.id)
+        .eq('purpose', 'journal')
+        .in('id', attachmentIds)
+
+      if (filesError || (files || []).length !== attachmentIds.length) {
+        return NextResponse.json({ error: 'One or more screenshots were not found' }, { status: 400 })
+      }
+      attachments = attachmentIds.map(id => files.find(f => f.id === id))
+    }
+
+    // Screenshots on the saved entry that this save drops
+    const { data: existing } = await supabase
+      .from('trade_journal')
+      .select('attachments')
+      .eq('user_id', user.id)
+      .eq('exchange', normalizedExchange)
+      .eq('trade_id', tradeIdStr)
+      .maybeSingle()
+    const droppedAttachments = (existing?.attachments || []).filter(a => !attachmentIds.includes(a.id))
+
+    const normalizedTags = normalizeJournalTags(tags)
+    const trimmedNotes = notes.trim()
+    const isEmpty = !trimmedNotes && attachments.length === 0 && Object.values(normalizedTags).every(list => list.length === 0)
+
+    if (isEmpty) {
+      const { error: deleteError } = await supabase
+        .from('trade_journal')
+        .delete()
+        .eq('user_id', user.id)
+        .eq('exchange', normalizedExchange)
+        .eq('trade_id', tradeIdStr)
+
+      if (deleteError) {
+        console.error('❌ [Journal] Error clearing entry:', deleteError)
+        return NextResponse.json({ error: 'Failed to save journal entry' }, { status: 500 })
+      }
+
+      await removeJournalScreenshots(supabase, user.id, droppedAttachments)
+      await invalidateAnalyticsCache(supabase, user.id)
+      return NextResponse.json({ success: true, entry: null })
+    }
+
+    const { data: row, error: upsertError } = await supabase
+      .from('trade_journal')
+      .upsert({
+        user_id: user.id,
+        exchange: normalizedExchange,
+        trade_id: tradeIdStr,
+        notes: trimmedNotes,
+        tags: normalizedTags,
+        attachments,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,exchange,trade_id' })
+      .select('id, exchange, trade_id, notes, tags, attachments, updated_at')
+      .single()
+
+    if (upsertError) {
+      console.error('❌ [Journal] Error saving entry:', upsertError)
+      return NextResponse.json({ error: 'Failed to save journal entry' }, { status: 500 })
+    }
+
+    await removeJournalScreenshots(supabase, user.id, droppedAttachments)
+    await invalidateAnalyticsCache(supabase, user.id)
+    const signedUrls = await signAttachments(supabase, [row])
+
+    return NextResponse.json({ success: true, entry: toEntry(row, signedUrls) })
+  } catch (error) {
+    console.error('❌ [Journal] Unhandled PUT error:', error)
+    return NextResponse.json({ error: 'Failed to save journal entry', details: error.message }, { status: 500 })
+  }
+}
+
+/**
+ * Remove a trade's journal entry and its screenshots
+ * Query: ?exchange=...&tradeId=...
+ */
+export async function DELETE(request) {
+  try {
+    const supabase = await createClient()
+    const user = await getUser(supabase)
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const { searchParams } = new URL(request.url)
+    const exchange = searchParams.get('exchange')
+    const tradeId = searchParams.get('tradeId')
+
+    if (!exchange || !tradeId) {
+      return NextResponse.json({ error: 'exchange and tradeId are required' }, { status: 400 })
+    }
+
+    const { data: deleted, error: deleteError } = await supabase
+      .from('trade_journal')
+      .delete()
+      .eq('user_id', user.id)
+      .eq('exchange', exchange.toLowerCase())
+      .eq('trade_id', tradeId)
+      .select('attachments')
+
+    if (deleteError) {
+      console.error('❌ [Journal] Error deleting entry:', deleteError)
+      return NextResponse.json({ error: 'Failed to delete journal entry' }, { status: 500 })
+    }
+
+    await removeJournalScreenshots(supabase, user.id, (deleted || []).flatMap(row => row.attachments || []))
+
+    await invalidateAnalyticsCache(supabase, user.id)
+    return NextResponse.json({ success: true })
+  } catch (error) {
+    console.error('❌ [Journal] Unhandled DELETE error:', error)
+    return NextResponse.json({ error: 'Failed to delete journal entry', details: error.message }, { status: 500 })
+  }
+}
@@ -1,6 +1,7 @@
 // app/api/trades/stats/route.js
 import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
+import { getUserBaseCurrency, getDefaultBaseCurrency } from '@/lib/userPreferences'
 
 export const dynamic = 'force-dynamic'
 
@@ -44,6 +45,7 @@ export async function GET(request) {
       .select('*', { count: 'exact', head: true })
       .eq('user_id', user.id)
       .eq('account_type', 'FUTURES')
+      .eq('side', 'INCOME')
 
     // Get date range (only fetch first and last trade times, not all trades)
     const { data: oldestTrade } = await supabase
@@ -70,13 +72,8 @@ export async function GET(request) {
 
     const uniqueExchanges = [...new Set(exchangeData?.map(t => t.exchange) || [])]
 
-    // Detect primary currency based on exchange
-    let primaryCurrency = 'USD'
-    if (uniqueExchanges.length === 1 && uniqueExchanges[0] === 'coindcx') {
-      primaryCurrency = 'INR'
-    } else if (uniqueExchanges.includes('coindcx')) {
-      primaryCurrency = 'INR'
-    }
+    // Primary currency is the user's base (display) currency
+    const primaryCurrency = await getUserBaseCurrency(supabase, user.id) || getDefaultBaseCurrency(uniqueExchanges)
 
     // Try to get portfolio snapshot (lightweight - just latest)
     let portfolioSnapshot = null
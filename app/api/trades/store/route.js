@@ -1,13 +1,15 @@
 // app/api/trades/store/route.js
 // Background endpoint to store fetched trades to database
 import { createAdminClient } from '@/lib/supabase-admin'
-import { createClient } from '@/lib/supabase-server'
 import { NextResponse } from 'next/server'
 import { TIER_LIMITS, canAnalyzeTrades } from '@/lib/featureGates'
 
+// Futures fills make up trades already counted through their REALIZED_PNL income, so they don't use up the monthly limit
+const isFuturesFill = (trade) => trade.account_type === 'FUTURES' && trade.side !== 'INCOME'
+
 export async function POST(request) {
   try {
-    const { spotTrades, futuresIncome, userId, exchange, connectionId, csvUploadId, metadata } = await request.json()
+    const { spotTrades, futuresIncome, futuresTrades, userId, exchange, connectionId, csvUploadId, metadata } = await request.json()
 
     if (!userId || !exchange) {
       return NextResponse.json(
@@ -26,8 +28,8 @@ export async function POST(request) {
     if (normalizedExchange === 'snaptrade' && spotTrades && spotTrades.length > 0) {
       // Get all SnapTrade connections for this user
       // SnapTrade connections use exchange='snaptrade-{brokerage}' format
-      const supabase = await createClient()
-      const { data: allConnections } = await supabase
+      // Admin client - background auto-sync calls this without a user session
+      const { data: allConnections } = await createAdminClient()
         .from('exchange_connections')
         .select('id, exchange, metadata')
         .eq('user_id', userId)
@@ -155,6 +157,33 @@ export async function POST(request) {
       })
     }
 
+    // Process futures fills (rebuilt into positions at analysis time)
+    if (futuresTrades && futuresTrades.length > 0) {
+      futuresTrades.forEach(fill => {
+        tradesToInsert.push({
+          user_id: userId,
+          exchange: normalizedExchange,
+          exchange_connection_id: connectionId || null,
+          csv_upload_id: csvUploadId || null,
+          symbol: fill.symbol,
+          side: fill.side,
+          type: fill.isMaker ? 'LIMIT' : 'MARKET',
+          quantity: parseFloat(fill.qty),
+          price: parseFloat(fill.price),
+          quote_quantity: parseFloat(fill.quoteQty || parseFloat(fill.qty) * parseFloat(fill.price)),
+          commission: parseFloat(fill.commission || 0),
+          commission_asset: fill.commissionAsset || 'USDT',
+          timestamp: fill.time,
+          trade_time: new Date(fill.time).toISOString(),
+          // Suffixed so fill ids can't collide with spot trade ids from the same exchange
+          trade_id: `${String(fill.id)}_FILL`,
+          order_id: String(fill.orderId || fill.id),
+          is_futures: true,
+          account_type: 'FUTURES',
+          raw_data: fill
+        })
+      })
+    }
 
     if (tradesToInsert.length === 0) {
       return NextResponse.json({
@@ -277,7 +306,7 @@ export async function POST(request) {
       .in('trade_id', tradeIds)
 
     const existingTradeIds = new Set(existingTrades?.map(t => t.trade_id) || [])
-    const newTradesCount = tradesToInsert.filter(trade => !existingTradeIds.has(trade.trade_id)).length
+    const newTradesCount = tradesToInsert.filter(trade => !existingTradeIds.has(trade.trade_id) && !isFuturesFill(trade)).length
 
     // Check if adding new trades would exceed limit
     // Skip check entirely if limit is Infinity (Pro plan)
@@ -343,6 +372,9 @@ export async function POST(request) {
     // Insert new trades in batches (Supabase has a limit)
     const batchSize = 1000
     let insertedCount = 0
+    let countedInsertedCount = 0 // Excludes futures fills
+    const insertedByConnection = {} // SnapTrade stores several brokerage connections in one call
+    const failedTradeIds = [] // Lets sync callers keep their cursor behind failed batches
 
     for (let i = 0; i < newTrades.length; i += batchSize) {
       const batch = newTrades.slice(i, i + batchSize)
@@ -353,16 +385,23 @@ export async function POST(request) {
 
       if (insertError) {
         console.error(`Error inserting batch ${i / batchSize + 1}:`, insertError)
+        failedTradeIds.push(...batch.map(trade => trade.trade_id))
         // Continue with next batch
       } else {
         insertedCount += batch.length
+        countedInsertedCount += batch.filter(trade => !isFuturesFill(trade)).length
+        batch.forEach(trade => {
+          if (trade.exchange_connection_id && !isFuturesFill(trade)) {
+            insertedByConnection[trade.exchange_connection_id] = (insertedByConnection[trade.exchange_connection_id] || 0) + 1
+          }
+        })
       }
     }
 
 
     // Update monthly trade counter in subscription
-    if (insertedCount > 0) {
-      const newCount = currentMonthTrades + insertedCount
+    if (countedInsertedCount > 0) {
+      const newCount = currentMonthTrades + countedInsertedCount
       await adminClient
         .from('subscriptions')
         .update({
@@ -482,6 +521,8 @@ export async function POST(request) {
     return NextResponse.json({
       success: true,
       tradesCount: insertedCount,
+      insertedByConnection,
+      failedTradeIds,
       totalProcessed: tradesToInsert.length,
       alreadyExisted: existingTradeIds.size,
       portfolioSnapshotStored: snapshotStored,
@@ -0,0 +1,80 @@
+// app/api/user/preferences/route.js
+// Reporting preferences for the signed-in user (see lib/userPreferences)
+// The base currency is baked into cached analytics metadata and Vega's context, so changing it drops the cache
+import { createClient } from '@/lib/supabase-server'
+import { NextResponse } from 'next/server'
+import { getUserBaseCurrency, saveUserBaseCurrency } from '@/lib/userPreferences'
+import { SUPPORTED_CURRENCIES } from '@/app/analyze/utils/currencyConverter'
+
+export const dynamic = 'force-dynamic'
+
+async function getUser(supabase) {
+  const { data: { user }, error: authError } = await supabase.auth.getUser()
+  return authError ? null : user
+}
+
+export async function GET() {
+  try {
+    const supabase = await createClient()
+    const user = await getUser(supabase)
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const baseCurrency = await getUserBaseCurrency(supabase, user.id)
+
+    return NextResponse.json({
+      success: true,
+      preferences: { baseCurrency },
+      supportedCurrencies: SUPPORTED_CURRENCIES
+    })
+  } catch (error) {
+    console.error('❌ Error fetching user preferences:', error)
+    return NextResponse.json(
+      { success: false, error: 'INTERNAL_ERROR', message: error.message },
+      { status: 500 }
+    )
+  }
+}
+
+export async function PATCH(request) {
+  try {
+    const supabase = await createClient()
+    const user = await getUser(supabase)
+    if (!user) {
+      return NextResponse.json({ error: 'Unauthorized' }, { status: 401 })
+    }
+
+    const body = await request.json().catch(() => ({}))
+    const requested = String(body.baseCurrency || '').toUpperCase()
+
+    if (!SUPPORTED_CURRENCIES.includes(requested)) {
+      return NextResponse.json(
+        { success: false, error: 'INVALID_CURRENCY', message: `baseCurrency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` },
+        { status: 400 }
+      )
+    }
+
+    const previous = await getUserBaseCurrency(supabase, user.id)
+    const baseCurrency = await saveUserBaseCurrency(supabase, user.id, requested)
+
+    if (previous !== baseCurrency) {
+      const { error: cacheError } = await supabase
+        .from('user_analytics_cache')
+        .delete()
+        .eq('user_id', user.id)
+
+      if (cacheError) {
+        console.warn('⚠️ [Preferences] Failed to invalidate analytics cache (non-critical):', cacheError.message)
+      }
+    }
+
+    return NextResponse.json({ success: true, preferences: { baseCurrency } })
+  } catch (error) {
+    console.error('❌ Error saving user preferences:', error)
+    return NextResponse.json(
+      { success: false, error: 'INTERNAL_ERROR', message: error.message },
+      { status: 500 }
+    )
+  }
+}
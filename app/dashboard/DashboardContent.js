@@ -9,6 +9,7 @@ import LoginForm from '../analyze/components/LoginForm'
 import CSVUploadFlow from '../analyze/components/CSVUploadFlow'
 import { EXCHANGES, getExchangeList } from '../analyze/utils/exchanges'
 import { analyzeData } from '../analyze/utils/masterAnalyzer'
+import { getSavedCostBasisMethod } from '../analyze/utils/costBasis'
 import { TrendingUp, BarChart3, Brain, Zap, Sparkles } from 'lucide-react'
 
 // Loading screen component for real mode (API connection) - from main branch
@@ -466,7 +467,7 @@ export default function DashboardContent() {
                       // Transform and analyze data
                       console.log('📊 [Snaptrade Flow] Analyzing data...')
                       setProgress('Analyzing your trading data...')
-                      const analysis = await analyzeData(analysisData)
+                      const analysis = await analyzeData(analysisData, { costBasisMethod: getSavedCostBasisMethod() })
                       console.log('✅ [Snaptrade Flow] Analysis complete:', {
                         hasAnalysis: !!analysis,
                         analysisKeys: analysis ? Object.keys(analysis) : [],
@@ -658,7 +659,7 @@ export default function DashboardContent() {
       setProgress('Analyzing your trading data...')
       
       try {
-        const analysis = await analyzeData(preFetchedData)
+        const analysis = await analyzeData(preFetchedData, { costBasisMethod: getSavedCostBasisMethod() })
 
         // Calculate tradesStats from raw data
         const allTradesArray = [
@@ -718,7 +719,7 @@ export default function DashboardContent() {
     if (preFetchedData) {
       try {
         setProgress('Analyzing your trading data...')
-        const analysis = await analyzeData(preFetchedData)
+        const analysis = await analyzeData(preFetchedData, { costBasisMethod: getSavedCostBasisMethod() })
 
         // Calculate tradesStats from raw data
         const allTradesArray = [
@@ -792,7 +793,7 @@ export default function DashboardContent() {
       const data = responseData.data || responseData
 
       setProgress('Analyzing your trading data...')
-      const analysis = await analyzeData(data)
+      const analysis = await analyzeData(data, { costBasisMethod: getSavedCostBasisMethod() })
 
       // Calculate tradesStats from raw data
       const allTradesArray = [
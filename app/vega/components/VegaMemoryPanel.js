@@ -0,0 +1,315 @@
+// app/vega/components/VegaMemoryPanel.js
+// Settings panel for what Vega remembers about the user across conversations
+// (goals, risk tolerance, personal rules, recurring mistakes, preferred assets)
+
+import { useState, useEffect, useCallback } from 'react'
+import { Brain, Pencil, Trash2, Plus, Loader2, Check, X } from 'lucide-react'
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription } from '@/components/ui/dialog'
+import { toast } from 'sonner'
+
+const MAX_MEMORY_LENGTH = 300
+
+export default function VegaMemoryPanel({ open, onOpenChange }) {
+  const [memories, setMemories] = useState([])
+  const [categories, setCategories] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [editValue, setEditValue] = useState('')
+  const [newCategory, setNewCategory] = useState('goal')
+  const [newContent, setNewContent] = useState('')
+  const [confirmClear, setConfirmClear] = useState(false)
+
+  const fetchMemories = useCallback(async () => {
+    setLoading(true)
+    try {
+      const res = await fetch('/api/ai/memory')
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to load memories')
+      }
+      setMemories(data.memories || [])
+      setCategories(data.categories || [])
+    } catch (error) {
+      console.error('Failed to fetch memories:', error)
+      toast.error(error.message || 'Failed to load memories')
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (open) {
+      fetchMemories()
+    } else {
+      setEditingId(null)
+      setConfirmClear(false)
+    }
+  }, [open, fetchMemories])
+
+  const handleAdd = async () => {
+    if (!newContent.trim()) return
+    setSaving(true)
+    try {
+      const res = await fetch('/api/ai/memory', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category: newCategory, content: newContent.trim() })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to save memory')
+      }
+      setMemories(prev => [...prev.filter(m => m.id !== data.memory.id), data.memory])
+      setNewContent('')
+      toast.success('Vega will remember that')
+    } catch (error) {
+      console.error('Add memory error:', error)
+      toast.error(error.message || 'Failed to save memory')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleEditSave = async (memory) => {
+    if (!editValue.trim() || editValue.trim() === memory.content) {
+      setEditingId(null)
+      return
+    }
+    setSaving(true)
+    try {
+      const res = await fetch(`/api/ai/memory/${memory.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ category: memory.category, content: editValue.trim() })
+      })
+      const data = await res.json()
+      if (!res.ok) {
+        throw new Error(data.error || 'Failed to update memory')
+      }
+      setMemories(prev => prev.map(m => m.id === memory.id ? data.memory : m))
+      setEditingId(null)
+    } catch (error) {
+      console.error('Update memory error:', error)
+      toast.error(error.message || 'Failed to update memory')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (memoryId) => {
+    setSaving(true)
+    try {
+      const res = await fetch(`/api/ai/memory/${memoryId}`, { method: 'DELETE' })
+      if (!res.ok) {
+        const data = await res.json()
+        throw new Error(data.error || 'Failed to delete memory')
+      }
+      setMemories(prev => prev.filter(m => m.id !== memoryId))
+    } catch (error) {
+      console.error('Delete memory error:', error)
+      toast.error(error.message || 'Failed to delete memory')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleClearAll = async () => {
+    setSaving(true)
+    try {
+      const res = await fetch('/api/ai/memory', { method: 'DELETE' })
+      if (!res.ok) {
+        const data = await res.json()
+        throw new Error(data.error || 'Failed to clear memories')
+      }
+      setMemories([])
+      setConfirmClear(false)
+      toast.success('Vega\'s memory cleared')
+    } catch (error) {
+      console.error('Clear memories error:', error)
+      toast.error(error.message || 'Failed to clear memories')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-zinc-900 border-white/10 max-w-xl max-h-[85vh] overflow-y-auto chat-scrollbar">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2 text-white/90">
+            <Brain className="w-4 h-4 text-emerald-400" />
+            Vega Memory
+          </DialogTitle>
+          <DialogDescription className="text-white/50 text-xs leading-relaxed">
+            What Vega remembers about you between conversations. Vega picks these up from your chats - edit anything
+            that&apos;s wrong, delete what it shouldn&apos;t remember, or add your own.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="w-4 h-4 animate-spin text-white/40" />
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {memories.length === 0 && (
+              <p className="text-xs text-white/30 text-center py-4">
+                Nothing remembered yet. Tell Vega about your goals, risk limits or trading rules.
+              </p>
+            )}
+
+            {categories.map(category => {
+              const items = memories.filter(m => m.category === category.id)
+              if (items.length === 0) return null
+
+              return (
+                <div key={category.id} className="space-y-1">
+                  <h4 className="text-xs font-semibold text-white/40 uppercase tracking-wider">{category.label}</h4>
+                  {items.map(memory => (
+                    <div key={memory.id} className="group flex items-start gap-2 px-2 py-1.5 rounded-lg hover:bg-white/5">
+                      {editingId === memory.id ? (
+                        <div className="flex-1 flex items-start gap-2">
+                          <textarea
+                            value={editValue}
+                            onChange={(e) => setEditValue(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault()
+                                handleEditSave(memory)
+                              }
+                              if (e.key === 'Escape') {
+                                setEditingId(null)
+                              }
+                            }}
+                            maxLength={MAX_MEMORY_LENGTH}
+                            rows={2}
+                            className="flex-1 px-2 py-1 text-xs bg-white/10 border border-emerald-500/30 rounded text-white focus:outline-none focus:border-emerald-500/50 resize-none"
+                            disabled={saving}
+                            autoFocus
+                          />
+                          <button
+                            onClick={() => handleEditSave(memory)}
+                            disabled={saving}
+                            className="p-1 hover:bg-white/10 rounded text-emerald-400 disabled:opacity-50"
+                            title="Save"
+                          >
+                            <Check className="w-3 h-3" />
+                          </button>
+                          <button
+                            onClick={() => setEditingId(null)}
+                            disabled={saving}
+                            className="p-1 hover:bg-white/10 rounded text-white/40 disabled:opacity-50"
+                            title="Cancel"
+                          >
+                            <X className="w-3 h-3" />
+                          </button>
+                        </div>
+                      ) : (
+                        <>
+                          <p className="flex-1 text-xs text-white/70 leading-relaxed">{memory.content}</p>
+                          <div className="flex items-center gap-1 opacity-0 group-hover:opacity-100 transition-opacity">
+                            <button
+                              onClick={() => {
+                                setEditingId(memory.id)
+                                setEditValue(memory.content)
+                              }}
+                              disabled={saving}
+                              className="p-1 hover:bg-white/10 rounded text-white/40 hover:text-emerald-400 transition-colors"
+                              title="Edit memory"
+                            >
+                              <Pencil className="w-3 h-3" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(memory.id)}
+                              disabled={saving}
+                              className="p-1 hover:bg-white/10 rounded text-white/40 hover:text-red-400 disabled:opacity-50 transition-colors"
+                              title="Delete memory"
+                            >
+                              <Trash2 className="w-3 h-3" />
+                            </button>
+                          </div>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )
+            })}
+
+            {/* Add a memory */}
+            <div className="pt-3 border-t border-white/5 space-y-2">
+              <div className="flex gap-2">
+                <select
+                  value={newCategory}
+                  onChange={(e) => setNewCategory(e.target.value)}
+                  className="px-2 py-1.5 text-xs bg-white/5 border border-white/10 rounded text-white/80 focus:outline-none focus:border-emerald-500/40"
+                  disabled={saving}
+                >
+                  {categories.map(category => (
+                    <option key={category.id} value={category.id} className="bg-zinc-900">
+                      {category.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  value={newContent}
+                  onChange={(e) => setNewContent(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      e.preventDefault()
+                      handleAdd()
+                    }
+                  }}
+                  maxLength={MAX_MEMORY_LENGTH}
+                  placeholder="e.g. Never risk more than 1% per trade"
+                  className="flex-1 min-w-0 px-2 py-1.5 text-xs bg-white/5 border border-white/10 rounded text-white placeholder:text-white/30 focus:outline-none focus:border-emerald-500/40"
+                  disabled={saving}
+                />
+                <button
+                  onClick={handleAdd}
+                  disabled={saving || !newContent.trim()}
+                  className="flex items-center gap-1 px-3 py-1.5 text-xs font-medium bg-emerald-500/10 hover:bg-emerald-500/20 text-emerald-400 border border-emerald-500/20 rounded disabled:opacity-50 transition-colors"
+                >
+                  {saving ? <Loader2 className="w-3 h-3 animate-spin" /> : <Plus className="w-3 h-3" />}
+                  Add
+                </button>
+              </div>
+
+              {memories.length > 0 && (
+                <div className="flex justify-end">
+                  {confirmClear ? (
+                    <div className="flex items-center gap-2 text-xs">
+                      <span className="text-white/50">Forget everything?</span>
+                      <button
+                        onClick={handleClearAll}
+                        disabled={saving}
+                        className="px-2 py-1 bg-red-500/10 hover:bg-red-500/20 text-red-400 border border-red-500/20 rounded disabled:opacity-50"
+                      >
+                        Clear memory
+                      </button>
+                      <button
+                        onClick={() => setConfirmClear(false)}
+                        disabled={saving}
+                        className="px-2 py-1 text-white/50 hover:text-white/70"
+                      >
+                        Cancel
+                      </button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => setConfirmClear(true)}
+                      className="text-xs text-white/30 hover:text-red-400 transition-colors"
+                    >
+                      Clear all memories
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -1,9 +1,10 @@
 import { useState, useEffect, useRef } from 'react'
-import { MessageSquarePlus, MessageSquare, MessageCircle, Trash2, Loader2, Pencil, Check, X } from 'lucide-react'
+import { MessageSquarePlus, MessageSquare, MessageCircle, Trash2, Loader2, Pencil, Check, X, Brain } from 'lucide-react'
 import { Tooltip, TooltipContent, TooltipProvider, TooltipTrigger } from '@/components/ui/tooltip'
 import { AlertDialog, AlertDialogAction, AlertDialogCancel, AlertDialogContent, AlertDialogDescription, AlertDialogFooter, AlertDialogHeader, AlertDialogTitle } from '@/components/ui/alert-dialog'
 import { useAuth } from '@/lib/AuthContext'
 import { toast } from 'sonner'
+import VegaMemoryPanel from './VegaMemoryPanel'
 
 export default function VegaSidebar({ onNewChat, coachMode, setCoachMode, onSelectChat, currentConversationId, isMobile = false }) {
   const { user } = useAuth()
@@ -16,6 +17,7 @@ export default function VegaSidebar({ onNewChat, coachMode, setCoachMode, onSele
   const [renameValue, setRenameValue] = useState('')
   const [renaming, setRenaming] = useState(false)
   const renameInputRef = useRef(null)
+  const [showMemory, setShowMemory] = useState(false)
 
   useEffect(() => {
     if (!user) {
@@ -354,8 +356,20 @@ export default function VegaSidebar({ onNewChat, coachMode, setCoachMode, onSele
       </AlertDialog>
 
 
+      {/* Long-term memory settings */}
+      <VegaMemoryPanel open={showMemory} onOpenChange={setShowMemory} />
+
       {/* Bottom Actions - Removed Coach Mode as it is now at top */}
       <div className="p-4 border-t border-white/5 space-y-2">
+        {user && (
+          <button
+            onClick={() => setShowMemory(true)}
+            className="w-full flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm text-white/50 hover:text-white/80 hover:bg-white/5 transition-colors"
+          >
+            <Brain className="w-4 h-4" />
+            <span>Vega Memory</span>
+          </button>
+        )}
         <div className="px-2 py-1 text-xs text-center text-white/30">
            Vega AI v1.0
         </div>
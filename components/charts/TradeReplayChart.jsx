@@ -0,0 +1,139 @@
+'use client'
+
+/**
+ * TradeReplayChart - Candles for a trade replay with every fill marked
+ *
+ * Renders the frame from getReplayFrame (app/analyze/utils/tradeReplay.js):
+ * - Candles up to the current bar
+ * - A marker per fill (side, size, price) on the bar it executed in
+ * - Entry price line plus MAE / MFE lines once the trade is open
+ */
+
+import { memo, useCallback, useEffect, useRef, useState } from 'react'
+import TradingViewChart, { CHART_COLORS } from './TradingViewChart'
+import { CandlestickSeries, LineStyle, createSeriesMarkers } from 'lightweight-charts'
+
+const toChartTime = (ms) => Math.floor(ms / 1000)
+
+// Intraday bars need times on the axis, not just dates
+const REPLAY_CHART_OPTIONS = {
+  timeScale: {
+    borderColor: CHART_COLORS.borderColor,
+    timeVisible: true,
+    secondsVisible: false,
+    tickMarkFormatter: (time) => {
+      const date = new Date(time * 1000)
+      return date.getHours() === 0 && date.getMinutes() === 0
+        ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        : date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
+    },
+  },
+}
+
+const formatQty = (qty) => Number(qty).toLocaleString('en-US', { maximumFractionDigits: 6 })
+const formatPrice = (price) => Number(price).toLocaleString('en-US', { maximumFractionDigits: price >= 100 ? 2 : 6 })
+
+/**
+ * Fill markers, snapped to the bar each fill executed in
+ */
+export function buildFillMarkers(fills, candles, intervalMs) {
+  return fills
+    .map(fill => {
+      const bar = candles.find(candle => fill.time >= candle.time && fill.time < candle.time + intervalMs)
+      if (!bar) return null
+      const isBuy = fill.side === 'BUY'
+      return {
+        time: toChartTime(bar.time),
+        position: isBuy ? 'belowBar' : 'aboveBar',
+        shape: isBuy ? 'arrowUp' : 'arrowDown',
+        color: isBuy ? '#10b981' : '#ef4444',
+        text: `${fill.side} ${formatQty(fill.qty)} @ ${formatPrice(fill.price)}`
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time)
+}
+
+/**
+ * @param {Object} props
+ * @param {Object} props.frame - getReplayFrame result (candles, fills, excursion)
+ * @param {number} props.intervalMs - Bar length
+ * @param {number} props.entryPrice - Average entry price (drawn as a line)
+ * @param {number} props.height - Chart height
+ */
+function TradeReplayChart({ frame, intervalMs, entryPrice, height = 320, className = '' }) {
+  const chartRef = useRef(null)
+  const seriesRef = useRef(null)
+  const markersRef = useRef(null)
+  const priceLinesRef = useRef([])
+  const fittedRef = useRef(false)
+  const [chartVersion, setChartVersion] = useState(0)
+
+  const render = useCallback(() => {
+    const series = seriesRef.current
+    if (!series || !frame) return
+
+    series.setData(frame.candles.map(candle => ({
+      time: toChartTime(candle.time),
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+    })))
+    markersRef.current.setMarkers(buildFillMarkers(frame.fills, frame.candles, intervalMs))
+
+    priceLinesRef.current.forEach(line => series.removePriceLine(line))
+    priceLinesRef.current = []
+    if (entryPrice > 0 && frame.fills.length > 0) {
+      priceLinesRef.current.push(series.createPriceLine({ price: entryPrice, color: '#94a3b8', lineWidth: 1, lineStyle: LineStyle.Dashed, title: 'Entry' }))
+    }
+    if (frame.excursion) {
+      priceLinesRef.current.push(series.createPriceLine({ price: frame.excursion.maePrice, color: '#ef4444', lineWidth: 1, lineStyle: LineStyle.Dotted, title: 'MAE' }))
+      priceLinesRef.current.push(series.createPriceLine({ price: frame.excursion.mfePrice, color: '#10b981', lineWidth: 1, lineStyle: LineStyle.Dotted, title: 'MFE' }))
+    }
+
+    // Fit once; afterwards keep the user's zoom while bars are added
+    if (!fittedRef.current && frame.candles.length > 0) {
+      chartRef.current.timeScale().fitContent()
+      fittedRef.current = true
+    }
+  }, [frame, intervalMs, entryPrice])
+
+  const handleChartReady = useCallback((chart, { colors }) => {
+    chartRef.current = chart
+    fittedRef.current = false
+    const series = chart.addSeries(CandlestickSeries, {
+      upColor: colors.upColor,
+      downColor: colors.downColor,
+      borderUpColor: colors.upColor,
+      borderDownColor: colors.downColor,
+      wickUpColor: colors.upColor,
+      wickDownColor: colors.downColor,
+    })
+    seriesRef.current = series
+    markersRef.current = createSeriesMarkers(series, [])
+    priceLinesRef.current = []
+    // Draws the current frame through the effect below
+    setChartVersion(version => version + 1)
+  }, [])
+
+  // Redraw on every frame and whenever the chart is (re)created
+  useEffect(() => {
+    try {
+      render()
+    } catch (error) {
+      console.error('[TradeReplayChart] Error drawing frame:', error)
+    }
+  }, [render, chartVersion])
+
+  return (
+    <TradingViewChart
+      height={height}
+      onChartReady={handleChartReady}
+      options={REPLAY_CHART_OPTIONS}
+      className={`rounded-lg overflow-hidden ${className}`}
+    />
+  )
+}
+
+export default memo(TradeReplayChart)
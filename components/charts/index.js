@@ -16,6 +16,7 @@ export { default as PerformanceComparisonChart } from './PerformanceComparisonCh
 
 // Market price charts
 export { default as PriceChart, transformPriceData, transformVolumeData } from './PriceChart'
+export { default as TradeReplayChart, buildFillMarkers } from './TradeReplayChart'
 
 // Chart renderer for Vega AI
 export { default as VegaChartRenderer, CHART_TYPES, parseChartRequest, removeChartBlock } from './VegaChartRenderer'
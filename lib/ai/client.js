@@ -20,6 +20,7 @@ import {
   getModel,
   estimateCost as registryEstimateCost
 } from './models/registry.js'
+import { hasOpenAICompatibleEndpoints } from './models/openaiCompatible.js'
 
 // Initialize Anthropic client (lazy-loaded)
 let anthropicClient = null
@@ -249,7 +250,7 @@ export function estimateCost(inputTokens, outputTokens, model = AI_MODELS.HAIKU.
  * Returns true if at least one provider is configured
  */
 export function isAIConfigured() {
-  return !!(process.env.ANTHROPIC_API_KEY || process.env.DEEPSEEK_API_KEY)
+  return !!(process.env.ANTHROPIC_API_KEY || process.env.DEEPSEEK_API_KEY) || hasOpenAICompatibleEndpoints()
 }
 
 // Re-export key functions from registry for convenience
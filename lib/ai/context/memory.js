@@ -0,0 +1,439 @@
+// lib/ai/context/memory.js
+/**
+ * Long-Term User Memory
+ *
+ * Structured facts Vega keeps about a user across conversations - stated goals, risk
+ * tolerance, rules they set for themselves, recurring mistakes Vega pointed out and
+ * preferred assets. Facts are extracted after each conversation (see the summarize
+ * endpoint), can be added, edited and deleted by the user, and are injected into the
+ * system prompt as their own cached block (see prompts/compiler.js).
+ *
+ * Stored in `ai_user_memories`:
+ *   id uuid, user_id uuid, category text, content text (NULL once deleted),
+ *   fingerprint text, source text ('extracted' | 'user'), conversation_id uuid,
+ *   created_at timestamptz, updated_at timestamptz, deleted_at timestamptz
+ * Deleted memories keep only their fingerprint so the same fact isn't extracted again.
+ *
+ * @see lib/ai/context/summarizer.js
+ */
+
+import { PROVIDERS } from '../models/registry.js'
+import { createDeepSeekCompletion } from '../deepseek-client.js'
+import { generateCompletion, AI_MODELS } from '../client.js'
+
+const TABLE = 'ai_user_memories'
+
+export const MEMORY_CATEGORIES = {
+  GOAL: 'goal',
+  RISK_TOLERANCE: 'risk_tolerance',
+  RULE: 'rule',
+  MISTAKE: 'mistake',
+  PREFERRED_ASSET: 'preferred_asset'
+}
+
+export const MEMORY_CATEGORY_LABELS = {
+  [MEMORY_CATEGORIES.GOAL]: 'Goals',
+  [MEMORY_CATEGORIES.RISK_TOLERANCE]: 'Risk tolerance',
+  [MEMORY_CATEGORIES.RULE]: 'Personal trading rules',
+  [MEMORY_CATEGORIES.MISTAKE]: 'Recurring mistakes',
+  [MEMORY_CATEGORIES.PREFERRED_ASSET]: 'Preferred assets'
+}
+
+// Categories holding a single fact - a new one replaces the old
+const SINGLE_VALUE_CATEGORIES = [MEMORY_CATEGORIES.RISK_TOLERANCE]
+
+export const MAX_MEMORY_LENGTH = 300
+export const MAX_MEMORIES_PER_USER = 50
+
+const EXTRACTION_PROMPT = `You maintain long-term memory for Vega, a trading performance assistant.
+Read the conversation and extract durable facts about the USER worth remembering in future conversations.
+
+Categories:
+- goal: trading goals the user stated (e.g. "Reach a 55% win rate by December")
+- risk_tolerance: how much risk the user is willing to take (e.g. "Risks at most 1% of the account per trade")
+- rule: rules the user set for themselves (e.g. "No trading in the first 15 minutes after the open")
+- mistake: mistakes Vega pointed out that the user acknowledged or that keep recurring (e.g. "Moves stop losses further away on losing trades")
+- preferred_asset: assets or markets the user prefers to trade (e.g. "Mainly trades BTC and ETH perpetuals")
+
+Rules:
+- Only facts about this user that will still be true next week - no one-off questions, prices or metrics
+- One short sentence per fact, written in the third person
+- Skip anything already in KNOWN MEMORIES (also when worded differently)
+- Return at most 5 facts; return an empty list when there is nothing worth remembering
+
+KNOWN MEMORIES:
+{memories}
+
+CONVERSATION:
+{messages}
+
+Respond with JSON only: {"memories": [{"category": "goal", "content": "..."}]}`
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const isValidCategory = (category) => Object.values(MEMORY_CATEGORIES).includes(category)
+
+/**
+ * Normalized form of a memory, used to recognise the same fact (including deleted ones)
+ * @param {string} content
+ * @returns {string}
+ */
+export function getMemoryFingerprint(content) {
+  return String(content || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9%$.]+/g, ' ')
+    .replace(/\.(?=\s|$)/g, '')
+    .trim()
+}
+
+/**
+ * Validate a memory coming from the user or the extractor
+ * @param {Object} memory - { category, content }
+ * @returns {Object} { valid, error, memory } with trimmed content
+ */
+export function validateMemory(memory) {
+  const { category, content } = memory || {}
+  if (!isValidCategory(category)) {
+    return { valid: false, error: `Category must be one of: ${Object.values(MEMORY_CATEGORIES).join(', ')}` }
+  }
+  const trimmed = typeof content === 'string' ? content.trim().replace(/\s+/g, ' ') : ''
+  if (!trimmed) {
+    return { valid: false, error: 'Content is required' }
+  }
+  if (trimmed.length > MAX_MEMORY_LENGTH) {
+    return { valid: false, error: `Content must be at most ${MAX_MEMORY_LENGTH} characters` }
+  }
+  return { valid: true, memory: { category, content: trimmed } }
+}
+
+function formatMessagesForExtraction(messages) {
+  return messages
+    .filter(m => (m.role === 'user' || m.role === 'assistant') && typeof m.content === 'string')
+    .map(m => `${m.role === 'user' ? 'User' : 'Vega'}: ${m.content.substring(0, m.role === 'user' ? 1000 : 1500)}`)
+    .join('\n\n')
+}
+
+function parseExtractionResponse(text) {
+  const match = String(text || '').match(/\{[\s\S]*\}/)
+  if (!match) return []
+  try {
+    const parsed = JSON.parse(match[0])
+    return Array.isArray(parsed.memories) ? parsed.memories : []
+  } catch (error) {
+    console.warn('⚠️ [Memory] Could not parse extracted memories:', error.message)
+    return []
+  }
+}
+
+// ============================================
+// EXTRACTION
+// ============================================
+
+/**
+ * Extract memories from a finished conversation
+ * Uses DeepSeek (cheap) when configured, Claude Haiku otherwise.
+ *
+ * @param {Array} messages - Conversation messages ({ role, content })
+ * @param {Array} knownMemories - The user's current memories, so they aren't extracted again
+ * @param {Object} options
+ * @param {string} options.preferredProvider - Provider to extract with
+ * @returns {Promise<Array>} Valid memories { category, content }
+ */
+export async function extractMemories(messages, knownMemories = [], options = {}) {
+  const { preferredProvider = PROVIDERS.DEEPSEEK } = options
+
+  const conversation = formatMessagesForExtraction(messages || [])
+  if (!conversation || !messages.some(m => m.role === 'user')) return []
+
+  const known = knownMemories.length > 0
+    ? knownMemories.map(m => `- [${m.category}] ${m.content}`).join('\n')
+    : '(none)'
+  const prompt = EXTRACTION_PROMPT
+    .replace('{memories}', known)
+    .replace('{messages}', conversation)
+
+  let responseText
+  if (preferredProvider === PROVIDERS.DEEPSEEK && process.env.DEEPSEEK_API_KEY) {
+    const response = await createDeepSeekCompletion({
+      model: 'deepseek-chat',
+      messages: [{ role: 'user', content: prompt }],
+      maxTokens: 500,
+      temperature: 0.2
+    })
+    responseText = response.choices?.[0]?.message?.content
+  } else if (process.env.ANTHROPIC_API_KEY) {
+    responseText = await generateCompletion({
+      prompt,
+      model: AI_MODELS.HAIKU.id,
+      maxTokens: 500,
+      temperature: 0.2
+    })
+  } else {
+    return []
+  }
+
+  return parseExtractionResponse(responseText)
+    .map(memory => validateMemory(memory))
+    .filter(result => result.valid)
+    .map(result => result.memory)
+    .slice(0, 5)
+}
+
+// ============================================
+// STORAGE
+// ============================================
+
+/**
+ * The user's memories (deleted ones excluded)
+ * @param {Object} supabase - Supabase client allowed to read the user's memories
+ * @param {string} userId
+ * @returns {Promise<Array>} Memories, oldest first; empty when the table is unavailable
+ */
+export async function getUserMemories(supabase, userId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('id, category, content, source, conversation_id, created_at, updated_at')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true })
+    .limit(MAX_MEMORIES_PER_USER)
+
+  if (error) {
+    console.warn('⚠️ [Memory] Failed to read user memories:', error.message)
+    return []
+  }
+
+  return data || []
+}
+
+/**
+ * Save memories extracted from a conversation
+ * Skips facts the user already has or deleted; single-value categories replace the
+ * previous extracted fact (facts the user wrote themselves are never overwritten).
+ *
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {Array} memories - Extracted memories { category, content }
+ * @param {Object} options
+ * @param {string} options.conversationId - Conversation they came from
+ * @returns {Promise<Array>} Memories that were saved
+ */
+export async function saveExtractedMemories(supabase, userId, memories, { conversationId = null } = {}) {
+  if (!memories || memories.length === 0) return []
+
+  const { data: existing, error } = await supabase
+    .from(TABLE)
+    .select('id, category, fingerprint, source, deleted_at')
+    .eq('user_id', userId)
+
+  if (error) {
+    console.warn('⚠️ [Memory] Failed to read user memories:', error.message)
+    return []
+  }
+
+  const rows = existing || []
+  const seen = new Set(rows.map(row => row.fingerprint))
+  let activeCount = rows.filter(row => !row.deleted_at).length
+  const now = new Date().toISOString()
+  const saved = []
+
+  for (const memory of memories) {
+    const fingerprint = getMemoryFingerprint(memory.content)
+    if (seen.has(fingerprint)) continue
+    seen.add(fingerprint)
+
+    if (SINGLE_VALUE_CATEGORIES.includes(memory.category)) {
+      const current = rows.find(row => row.category === memory.category && !row.deleted_at)
+      if (current?.source === 'user') continue
+      if (current) {
+        const { data, error: updateError } = await supabase
+          .from(TABLE)
+          .update({ content: memory.content, fingerprint, conversation_id: conversationId, updated_at: now })
+          .eq('id', current.id)
+          .eq('user_id', userId)
+          .select()
+          .single()
+        if (updateError) {
+          console.error('❌ [Memory] Failed to update memory:', updateError.message)
+        } else {
+          saved.push(data)
+        }
+        continue
+      }
+    }
+
+    if (activeCount >= MAX_MEMORIES_PER_USER) break
+
+    const { data, error: insertError } = await supabase
+      .from(TABLE)
+      .insert({
+        user_id: userId,
+        category: memory.category,
+        content: memory.content,
+        fingerprint,
+        source: 'extracted',
+        conversation_id: conversationId
+      })
+      .select()
+      .single()
+
+    if (insertError) {
+      console.error('❌ [Memory] Failed to save memory:', insertError.message)
+      continue
+    }
+    activeCount++
+    saved.push(data)
+  }
+
+  if (saved.length > 0) {
+    console.log(`✅ [Memory] Saved ${saved.length} memor${saved.length === 1 ? 'y' : 'ies'} for user ${userId}`)
+  }
+  return saved
+}
+
+/**
+ * Extract memories from a conversation and save the new ones
+ * Never throws - memory is a nice-to-have next to the conversation summary.
+ *
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {Array} messages - Conversation messages
+ * @param {Object} options
+ * @param {string} options.conversationId
+ * @returns {Promise<Array>} Memories that were saved
+ */
+export async function updateMemoriesFromConversation(supabase, userId, messages, { conversationId = null } = {}) {
+  try {
+    const knownMemories = await getUserMemories(supabase, userId)
+    const extracted = await extractMemories(messages, knownMemories)
+    return await saveExtractedMemories(supabase, userId, extracted, { conversationId })
+  } catch (error) {
+    console.error('❌ [Memory] Memory extraction failed:', error.message)
+    return []
+  }
+}
+
+/**
+ * Add a memory the user wrote themselves
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {Object} memory - Validated { category, content }
+ * @returns {Promise<Object>} The saved memory
+ */
+export async function addUserMemory(supabase, userId, { category, content }) {
+  const fingerprint = getMemoryFingerprint(content)
+
+  // Re-adding a deleted fact brings its row back
+  const { data: existing } = await supabase
+    .from(TABLE)
+    .select('id')
+    .eq('user_id', userId)
+    .eq('fingerprint', fingerprint)
+    .limit(1)
+    .maybeSingle()
+
+  const values = { category, content, fingerprint, source: 'user', deleted_at: null, updated_at: new Date().toISOString() }
+  const query = existing
+    ? supabase.from(TABLE).update(values).eq('id', existing.id).eq('user_id', userId)
+    : supabase.from(TABLE).insert({ ...values, user_id: userId })
+
+  const { data, error } = await query
+    .select('id, category, content, source, conversation_id, created_at, updated_at')
+    .single()
+
+  if (error) {
+    throw new Error(`Failed to save memory: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Edit a memory - it becomes the user's own, so extraction won't overwrite it
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {string} memoryId
+ * @param {Object} memory - Validated { category, content }
+ * @returns {Promise<Object|null>} The updated memory, or null when not found
+ */
+export async function updateUserMemory(supabase, userId, memoryId, { category, content }) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .update({
+      category,
+      content,
+      fingerprint: getMemoryFingerprint(content),
+      source: 'user',
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', memoryId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select('id, category, content, source, conversation_id, created_at, updated_at')
+    .maybeSingle()
+
+  if (error) {
+    throw new Error(`Failed to update memory: ${error.message}`)
+  }
+  return data
+}
+
+/**
+ * Delete one memory, or all of them when memoryId is omitted
+ * The content is erased; only the fingerprint stays so the fact isn't extracted again.
+ * @param {Object} supabase
+ * @param {string} userId
+ * @param {string} memoryId - Optional
+ * @returns {Promise<number>} Number of memories deleted
+ */
+export async function deleteUserMemories(supabase, userId, memoryId = null) {
+  let query = supabase
+    .from(TABLE)
+    .update({ content: null, deleted_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+
+  if (memoryId) {
+    query = query.eq('id', memoryId)
+  }
+
+  const { data, error } = await query.select('id')
+
+  if (error) {
+    throw new Error(`Failed to delete memory: ${error.message}`)
+  }
+  return (data || []).length
+}
+
+// ============================================
+// PROMPT
+// ============================================
+
+/**
+ * Memory section for the system prompt
+ * @param {Array} memories - The user's memories
+ * @returns {string|null} Prompt text, or null when there is nothing to remember
+ */
+export function formatMemoryForPrompt(memories) {
+  if (!Array.isArray(memories) || memories.length === 0) return null
+
+  const sections = Object.values(MEMORY_CATEGORIES)
+    .map(category => {
+      const items = memories.filter(m => m.category === category && m.content)
+      if (items.length === 0) return null
+      return `${MEMORY_CATEGORY_LABELS[category]}:\n${items.map(m => `- ${m.content}`).join('\n')}`
+    })
+    .filter(Boolean)
+
+  if (sections.length === 0) return null
+
+  return `WHAT YOU REMEMBER ABOUT THIS USER (LONG-TERM MEMORY)
+Facts from earlier conversations and from the user's memory settings. Use them to personalize answers:
+- Hold the user to their own goals and rules, and flag when their data shows a recurring mistake again
+- Keep their risk tolerance in mind before suggesting position sizes, leverage or stops
+- Prefer examples from their preferred assets
+- Don't list these facts back unless asked; if the user contradicts one, trust what they say now
+
+${sections.join('\n\n')}`
+}
@@ -0,0 +1,275 @@
+// lib/ai/models/openaiCompatible.js
+/**
+ * OpenAI-Compatible Endpoints
+ *
+ * Endpoints that speak the OpenAI chat completions API: OpenAI itself, Groq, OpenRouter and
+ * self-hosted servers (Ollama, llama.cpp). Each configured endpoint registers its models in the
+ * model registry under PROVIDERS.OPENAI, with ids of the form `<endpoint>:<model>`.
+ *
+ * Built-in endpoints are enabled by their environment variables:
+ * - OPENAI_API_KEY (+ optional OPENAI_BASE_URL, OPENAI_MODELS)
+ * - GROQ_API_KEY (+ optional GROQ_MODELS)
+ * - OPENROUTER_API_KEY + OPENROUTER_MODELS
+ * - OLLAMA_BASE_URL (+ optional OLLAMA_MODELS, default llama3.1) - no API key, runs offline
+ * - LLAMACPP_BASE_URL (+ optional LLAMACPP_MODELS) - no API key, runs offline
+ * *_MODELS are comma-separated model names.
+ *
+ * Any other endpoint (or models with specific capabilities/costs) can be added with a JSON array in
+ * OPENAI_COMPATIBLE_ENDPOINTS:
+ * [{ "id": "lmstudio", "name": "LM Studio", "baseUrl": "http://localhost:1234/v1", "apiKeyEnv": null,
+ *    "models": [{ "model": "qwen2.5-7b-instruct", "contextWindow": 32768, "supportsTools": true }] }]
+ *
+ * @see lib/ai/providers/openai-compatible.js
+ */
+
+import { PROVIDERS, TOOL_FORMATS, MODEL_REGISTRY, registerModel, getModelsByProvider } from './registry.js'
+
+const DEFAULT_LOCAL_CONTEXT_WINDOW = 8192
+
+/**
+ * Built-in endpoint presets
+ * A preset is enabled when `enabledBy` is set in the environment
+ */
+const ENDPOINT_PRESETS = [
+  {
+    id: 'openai',
+    name: 'OpenAI',
+    enabledBy: 'OPENAI_API_KEY',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    baseUrlEnv: 'OPENAI_BASE_URL',
+    baseUrl: 'https://api.openai.com/v1',
+    modelsEnv: 'OPENAI_MODELS',
+    models: [
+      { model: 'gpt-4o-mini', name: 'GPT-4o mini', contextWindow: 128000, maxOutput: 4096, supportsTools: true, supportsVision: true, costPer1MInput: 0.15, costPer1MOutput: 0.60, bestFor: ['general-chat', 'cost-efficient'], tier: 'free' },
+      { model: 'gpt-4o', name: 'GPT-4o', contextWindow: 128000, maxOutput: 8192, supportsTools: true, supportsVision: true, costPer1MInput: 2.50, costPer1MOutput: 10.00, bestFor: ['complex-analysis', 'reasoning'], tier: 'pro' }
+    ]
+  },
+  {
+    id: 'groq',
+    name: 'Groq',
+    enabledBy: 'GROQ_API_KEY',
+    apiKeyEnv: 'GROQ_API_KEY',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    modelsEnv: 'GROQ_MODELS',
+    models: [
+      { model: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B (Groq)', contextWindow: 128000, maxOutput: 4096, supportsTools: true, costPer1MInput: 0.59, costPer1MOutput: 0.79, bestFor: ['general-chat', 'low-latency'], tier: 'free' }
+    ]
+  },
+  {
+    id: 'openrouter',
+    name: 'OpenRouter',
+    enabledBy: 'OPENROUTER_API_KEY',
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    modelsEnv: 'OPENROUTER_MODELS',
+    headers: { 'X-Title': 'TradeClarity' },
+    models: []
+  },
+  {
+    id: 'ollama',
+    name: 'Ollama',
+    enabledBy: 'OLLAMA_BASE_URL',
+    baseUrlEnv: 'OLLAMA_BASE_URL',
+    baseUrl: 'http://localhost:11434/v1',
+    modelsEnv: 'OLLAMA_MODELS',
+    local: true,
+    models: [
+      { model: 'llama3.1', name: 'Llama 3.1 (Ollama)', supportsTools: true }
+    ]
+  },
+  {
+    id: 'llamacpp',
+    name: 'llama.cpp',
+    enabledBy: 'LLAMACPP_BASE_URL',
+    baseUrlEnv: 'LLAMACPP_BASE_URL',
+    baseUrl: 'http://localhost:8080/v1',
+    modelsEnv: 'LLAMACPP_MODELS',
+    local: true,
+    // llama-server only parses tool calls with --jinja, so tools are opt-in via OPENAI_COMPATIBLE_ENDPOINTS
+    models: [
+      { model: 'default', name: 'llama.cpp server', supportsTools: false }
+    ]
+  }
+]
+
+// Endpoint id -> resolved endpoint
+const endpoints = new Map()
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const parseList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean)
+
+// OpenAI-style base URLs end in /v1 - accept them with or without a trailing slash
+const normalizeBaseUrl = (url) => String(url || '').trim().replace(/\/+$/, '')
+
+function parseCustomEndpoints() {
+  const raw = process.env.OPENAI_COMPATIBLE_ENDPOINTS
+  if (!raw) return []
+
+  try {
+    const parsed = JSON.parse(raw)
+    return Array.isArray(parsed) ? parsed : [parsed]
+  } catch (error) {
+    console.error('❌ [OpenAICompatible] Invalid OPENAI_COMPATIBLE_ENDPOINTS JSON:', error.message)
+    return []
+  }
+}
+
+/**
+ * Models of a preset: the env list overrides the preset list, keeping known capabilities
+ * for models the preset already describes
+ */
+function resolvePresetModels(preset) {
+  const listed = parseList(preset.modelsEnv && process.env[preset.modelsEnv])
+  if (listed.length === 0) return preset.models
+
+  return listed.map(model => preset.models.find(m => m.model === model) || {
+    model,
+    name: `${model} (${preset.name})`,
+    // Hosted routers serve mostly tool-capable models; local servers depend on the model
+    supportsTools: !preset.local
+  })
+}
+
+function toEndpoint(config, models) {
+  const apiKey = config.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : null) || null
+
+  return {
+    id: config.id,
+    name: config.name || config.id,
+    baseUrl: normalizeBaseUrl((config.baseUrlEnv && process.env[config.baseUrlEnv]) || config.baseUrl),
+    apiKey,
+    requiresApiKey: config.requiresApiKey ?? !!config.apiKeyEnv,
+    headers: config.headers || {},
+    local: !!config.local,
+    models
+  }
+}
+
+function toRegistryEntry(endpoint, model) {
+  const { model: apiModel, ...capabilities } = model
+
+  return {
+    contextWindow: endpoint.local ? DEFAULT_LOCAL_CONTEXT_WINDOW : 32000,
+    toolFormat: TOOL_FORMATS.OPENAI,
+    ...capabilities,
+    id: `${endpoint.id}:${apiModel}`,
+    provider: PROVIDERS.OPENAI,
+    name: model.name || `${apiModel} (${endpoint.name})`,
+    endpoint: endpoint.id,
+    apiModel
+  }
+}
+
+// ============================================
+// MAIN FUNCTIONS
+// ============================================
+
+/**
+ * Resolve all configured endpoints (built-in presets enabled by env + OPENAI_COMPATIBLE_ENDPOINTS)
+ * @returns {Object[]} Endpoints { id, name, baseUrl, apiKey, requiresApiKey, headers, local, models }
+ */
+export function loadOpenAICompatibleEndpoints() {
+  const resolved = ENDPOINT_PRESETS
+    .filter(preset => process.env[preset.enabledBy])
+    .map(preset => toEndpoint(preset, resolvePresetModels(preset)))
+
+  for (const config of parseCustomEndpoints()) {
+    if (!config?.id || !config?.baseUrl) {
+      console.warn('⚠️ [OpenAICompatible] Skipping endpoint without id or baseUrl:', config?.id || config)
+      continue
+    }
+    const models = (config.models || []).map(m => typeof m === 'string' ? { model: m } : m).filter(m => m.model)
+    const endpoint = toEndpoint(config, models)
+    // Custom config replaces a preset with the same id
+    const existing = resolved.findIndex(e => e.id === endpoint.id)
+    if (existing >= 0) resolved.splice(existing, 1, endpoint)
+    else resolved.push(endpoint)
+  }
+
+  return resolved
+}
+
+/**
+ * Register the models of every configured endpoint in the model registry
+ * Runs once at module load; call again after changing the environment (e.g. in scripts)
+ * @returns {Object[]} Registered model configurations
+ */
+export function registerOpenAICompatibleModels() {
+  // Drop models from a previous registration so removed endpoints don't linger
+  for (const model of getModelsByProvider(PROVIDERS.OPENAI)) {
+    delete MODEL_REGISTRY[model.id]
+  }
+  endpoints.clear()
+  const registered = []
+
+  for (const endpoint of loadOpenAICompatibleEndpoints()) {
+    if (endpoint.models.length === 0) {
+      console.warn(`⚠️ [OpenAICompatible] Endpoint ${endpoint.id} has no models configured`)
+    }
+    endpoints.set(endpoint.id, endpoint)
+    for (const model of endpoint.models) {
+      registered.push(registerModel(toRegistryEntry(endpoint, model)))
+    }
+  }
+
+  return registered
+}
+
+/**
+ * Get a configured endpoint by id
+ * @param {string} endpointId - Endpoint identifier (model.endpoint)
+ * @returns {Object|null}
+ */
+export function getOpenAICompatibleEndpoint(endpointId) {
+  return endpoints.get(endpointId) || null
+}
+
+/**
+ * Whether an endpoint can be called (has a base URL and, for hosted endpoints, an API key)
+ * @param {Object} endpoint - Endpoint from getOpenAICompatibleEndpoint
+ * @returns {boolean}
+ */
+export function isEndpointConfigured(endpoint) {
+  return !!(endpoint?.baseUrl && (endpoint.apiKey || !endpoint.requiresApiKey))
+}
+
+/**
+ * Registered OpenAI-compatible models whose endpoint is configured
+ * @returns {Object[]} Model configurations
+ */
+export function getOpenAICompatibleModels() {
+  return getModelsByProvider(PROVIDERS.OPENAI)
+    .filter(model => isEndpointConfigured(endpoints.get(model.endpoint)))
+}
+
+/**
+ * Whether at least one OpenAI-compatible endpoint is usable
+ * @returns {boolean}
+ */
+export function hasOpenAICompatibleEndpoints() {
+  return getOpenAICompatibleModels().length > 0
+}
+
+/**
+ * Default OpenAI-compatible model for a tier
+ * OPENAI_COMPATIBLE_DEFAULT_MODEL (a registry id like "ollama:llama3.1") wins when set
+ * @param {string} tier - User tier ('free', 'trader', 'pro')
+ * @returns {Object|null} Model configuration
+ */
+export function getDefaultOpenAICompatibleModel(tier = 'free') {
+  const models = getOpenAICompatibleModels()
+  const preferred = models.find(m => m.id === process.env.OPENAI_COMPATIBLE_DEFAULT_MODEL)
+  if (preferred) return preferred
+
+  if (tier === 'pro') {
+    const proModel = models.find(m => m.tier === 'pro')
+    if (proModel) return proModel
+  }
+
+  return models.find(m => m.tier === 'free') || models[0] || null
+}
+
+registerOpenAICompatibleModels()
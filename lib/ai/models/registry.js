@@ -14,7 +14,7 @@
 export const PROVIDERS = {
   ANTHROPIC: 'anthropic',
   DEEPSEEK: 'deepseek',
-  OPENAI: 'openai', // Future
+  OPENAI: 'openai', // OpenAI and OpenAI-compatible endpoints (Groq, OpenRouter, Ollama, llama.cpp)
   // Add more providers here as needed
 }
 
@@ -44,6 +44,11 @@ export const TOOL_FORMATS = {
  * - costPer1MOutput: Cost per 1M output tokens (USD)
  * - bestFor: Array of use cases this model excels at
  * - tier: Minimum subscription tier required ('free', 'trader', 'pro')
+ *
+ * OpenAI-compatible models are added at runtime by models/openaiCompatible.js (see registerModel)
+ * and additionally carry:
+ * - endpoint: Endpoint id the model is served from
+ * - apiModel: Model name sent to the endpoint
  */
 export const MODEL_REGISTRY = {
   // =========================================================================
@@ -129,6 +134,39 @@ export const MODEL_REGISTRY = {
 // HELPER FUNCTIONS
 // =========================================================================
 
+/**
+ * Register a model at runtime (e.g. from endpoint configuration)
+ * Missing capabilities get conservative defaults: no tools, no caching, free to run.
+ *
+ * @param {Object} config - Model entry (id and provider are required)
+ * @returns {Object} Registered model configuration
+ */
+export function registerModel(config) {
+  if (!config?.id || !config?.provider) {
+    throw new Error('registerModel requires an id and a provider')
+  }
+
+  const model = {
+    name: config.id,
+    contextWindow: 8192,
+    maxOutput: 2048,
+    supportsStreaming: true,
+    supportsTools: false,
+    toolFormat: TOOL_FORMATS.OPENAI,
+    supportsCaching: false,
+    supportsPrefixCaching: false,
+    supportsVision: false,
+    costPer1MInput: 0,
+    costPer1MOutput: 0,
+    bestFor: [],
+    tier: 'free',
+    ...config
+  }
+
+  MODEL_REGISTRY[model.id] = model
+  return model
+}
+
 /**
  * Get model configuration by ID
  * @param {string} modelId - Model identifier
@@ -0,0 +1,183 @@
+// lib/ai/openai-compatible-client.js
+/**
+ * OpenAI-Compatible API Client for TradeClarity
+ *
+ * Chat completions client for any endpoint that speaks the OpenAI API
+ * (OpenAI, Groq, OpenRouter, Ollama, llama.cpp). Endpoints are resolved
+ * by lib/ai/models/openaiCompatible.js.
+ */
+
+/**
+ * POST a chat completions request to an endpoint
+ * Maps HTTP and connection errors to errors with status codes (same shape as deepseek-client)
+ */
+async function postChatCompletions(endpoint, requestBody) {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...endpoint.headers
+  }
+  if (endpoint.apiKey) {
+    headers['Authorization'] = `Bearer ${endpoint.apiKey}`
+  }
+
+  let response
+  try {
+    response = await fetch(`${endpoint.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(requestBody)
+    })
+  } catch (fetchError) {
+    // Connection refused / DNS - most often a local server that isn't running
+    const error = new Error(`Could not reach ${endpoint.name} at ${endpoint.baseUrl}: ${fetchError.message}`)
+    error.status = 503
+    error.statusCode = 503
+    throw error
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text()
+    let errorData
+    try {
+      errorData = JSON.parse(errorText)
+    } catch {
+      errorData = { error: { message: errorText } }
+    }
+
+    const error = new Error(errorData.error?.message || `${endpoint.name} API error: ${response.status}`)
+    error.status = response.status
+    error.statusCode = response.status
+    error.errorData = errorData
+
+    if (response.status === 401) {
+      error.message = `${endpoint.name} API authentication failed. Check API key.`
+    } else if (response.status === 402) {
+      error.message = `${endpoint.name} API quota exceeded or insufficient balance.`
+    } else if (response.status === 404) {
+      error.message = `${endpoint.name} does not serve model "${requestBody.model}".`
+    } else if (response.status === 429) {
+      error.message = `${endpoint.name} API rate limit exceeded. Please try again later.`
+    }
+
+    throw error
+  }
+
+  return response
+}
+
+function buildRequestBody({ model, messages, maxTokens, temperature, tools, stream }) {
+  const requestBody = {
+    model,
+    messages,
+    max_tokens: maxTokens,
+    temperature
+  }
+
+  if (stream) {
+    requestBody.stream = true
+    // Ask for usage in the final chunk (ignored by servers that don't support it)
+    requestBody.stream_options = { include_usage: true }
+  }
+
+  if (tools && Array.isArray(tools) && tools.length > 0) {
+    requestBody.tools = tools
+  }
+
+  return requestBody
+}
+
+/**
+ * Create a streaming chat completion with an OpenAI-compatible endpoint
+ *
+ * @param {Object} options
+ * @param {Object} options.endpoint - Endpoint {name, baseUrl, apiKey, headers}
+ * @param {string} options.model - Model name as the endpoint knows it (model.apiModel)
+ * @param {Array} options.messages - Array of message objects in OpenAI format
+ * @param {number} options.maxTokens - Max tokens in response
+ * @param {number} options.temperature - Randomness (0-1)
+ * @param {Array} options.tools - Optional tools in OpenAI format
+ * @returns {AsyncGenerator} Stream of response chunks (OpenAI format)
+ */
+export async function* createOpenAICompatibleStream({
+  endpoint,
+  model,
+  messages,
+  maxTokens = 2000,
+  temperature = 0.7,
+  tools = null
+}) {
+  const response = await postChatCompletions(endpoint, buildRequestBody({
+    model,
+    messages,
+    maxTokens,
+    temperature,
+    tools,
+    stream: true
+  }))
+
+  if (process.env.NODE_ENV === 'development') {
+    console.log(`[${endpoint.name}] API connected`, { model, baseUrl: endpoint.baseUrl })
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+
+      if (done) {
+        break
+      }
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split('\n')
+      buffer = lines.pop() || '' // Keep incomplete line in buffer
+
+      for (const line of lines) {
+        const trimmed = line.trim()
+        // Some servers omit the space after "data:"
+        if (!trimmed.startsWith('data:')) continue
+        const data = trimmed.slice(5).trim()
+        if (data === '[DONE]') {
+          return
+        }
+
+        try {
+          yield JSON.parse(data)
+        } catch (e) {
+          console.warn(`[${endpoint.name}] Failed to parse SSE data:`, data)
+        }
+      }
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+/**
+ * Create a non-streaming chat completion with an OpenAI-compatible endpoint
+ *
+ * @param {Object} options - Same as createOpenAICompatibleStream
+ * @returns {Promise<Object>} Complete response (OpenAI format)
+ */
+export async function createOpenAICompatibleCompletion({
+  endpoint,
+  model,
+  messages,
+  maxTokens = 2000,
+  temperature = 0.7,
+  tools = null
+}) {
+  const response = await postChatCompletions(endpoint, buildRequestBody({
+    model,
+    messages,
+    maxTokens,
+    temperature,
+    tools,
+    stream: false
+  }))
+
+  return response.json()
+}
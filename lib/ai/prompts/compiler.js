@@ -16,8 +16,13 @@ import {
   formatStructuredContext,
   determineExperienceLevel,
   getBenchmarkComparisons,
-  getCoachModePrompt
+  getCoachModePrompt,
+  getTradeToolsGuidance
 } from './vega-system-prompt.js'
+import { formatMemoryForPrompt } from '../context/memory.js'
+
+// Anthropic accepts at most 4 cache_control breakpoints per request
+const MAX_CACHE_BREAKPOINTS = 4
 
 /**
  * Compile system prompt for a specific model
@@ -30,7 +35,9 @@ import {
  * @param {string} options.tier - User subscription tier
  * @param {string} options.experienceLevel - User experience level
  * @param {boolean} options.hasMCPTools - Whether MCP tools are available
+ * @param {boolean} options.hasTradeTools - Whether the user's trade history tools are available
  * @param {Object} options.coachModeConfig - Coach mode configuration
+ * @param {Array} options.userMemory - Long-term memories about the user (see context/memory.js)
  * @returns {string|Array} Compiled system prompt (format depends on provider)
  */
 export function compileSystemPrompt({
@@ -41,7 +48,9 @@ export function compileSystemPrompt({
   tier = 'free',
   experienceLevel = 'intermediate',
   hasMCPTools = false,
-  coachModeConfig = null
+  hasTradeTools = false,
+  coachModeConfig = null,
+  userMemory = []
 }) {
   const provider = getProvider(modelId)
   
@@ -54,7 +63,9 @@ export function compileSystemPrompt({
       tier,
       experienceLevel,
       hasMCPTools,
-      coachModeConfig
+      hasTradeTools,
+      coachModeConfig,
+      userMemory
     })
   }
   
@@ -68,10 +79,14 @@ export function compileSystemPrompt({
         tier,
         experienceLevel,
         hasMCPTools,
-        coachModeConfig
+        hasTradeTools,
+        coachModeConfig,
+        userMemory
       })
       
     case PROVIDERS.DEEPSEEK:
+    case PROVIDERS.OPENAI:
+      // OpenAI-compatible endpoints take the same plain-string prompt as DeepSeek
       return compileDeepSeekPrompt({
         aiContext,
         currentSummary,
@@ -79,7 +94,9 @@ export function compileSystemPrompt({
         tier,
         experienceLevel,
         hasMCPTools,
-        coachModeConfig
+        hasTradeTools,
+        coachModeConfig,
+        userMemory
       })
       
     default:
@@ -91,7 +108,9 @@ export function compileSystemPrompt({
         tier,
         experienceLevel,
         hasMCPTools,
-        coachModeConfig
+        hasTradeTools,
+        coachModeConfig,
+        userMemory
       })
   }
 }
@@ -104,15 +123,55 @@ export function compileSystemPrompt({
  */
 function compileAnthropicPrompt(options) {
   // Use existing buildCachedSystemBlocks - it's already optimized for Anthropic
-  return buildCachedSystemBlocks(
+  const blocks = buildCachedSystemBlocks(
     options.aiContext,
     options.currentSummary,
     options.previousSummaries,
     options.tier,
     options.experienceLevel,
     options.hasMCPTools,
-    options.coachModeConfig
+    options.coachModeConfig,
+    options.hasTradeTools
   )
+
+  // User memory: its own block right after the core instructions - it only changes
+  // between conversations, so it gets the long TTL (1h blocks must precede 5m blocks)
+  const memoryText = formatMemoryForPrompt(options.userMemory)
+  if (memoryText) {
+    blocks.splice(1, 0, {
+      type: 'text',
+      text: memoryText,
+      cache_control: {
+        type: 'ephemeral',
+        ttl: '1h'
+      }
+    })
+  }
+
+  return limitCacheBreakpoints(blocks)
+}
+
+/**
+ * Keep the number of cache breakpoints within Anthropic's limit
+ * Drops the breakpoint of the earliest block followed by one with the same TTL - the
+ * later breakpoint still caches it as part of the prefix. The core instructions (first
+ * block) keep theirs since they're shared by every user.
+ *
+ * @private
+ */
+function limitCacheBreakpoints(blocks, max = MAX_CACHE_BREAKPOINTS) {
+  let breakpoints = blocks.filter(block => block.cache_control).length
+
+  for (let i = 1; i < blocks.length - 1 && breakpoints > max; i++) {
+    const ttl = blocks[i].cache_control?.ttl
+    if (ttl && blocks[i + 1].cache_control?.ttl === ttl) {
+      const { cache_control: _dropped, ...block } = blocks[i]
+      blocks[i] = block
+      breakpoints--
+    }
+  }
+
+  return blocks
 }
 
 /**
@@ -132,7 +191,9 @@ function compileDeepSeekPrompt(options) {
     tier,
     experienceLevel,
     hasMCPTools,
-    coachModeConfig
+    hasTradeTools,
+    coachModeConfig,
+    userMemory
   } = options
   
   // Build prompt with static content first (better prefix caching)
@@ -206,10 +267,21 @@ Examples of what TO say:
 Available tools include real-time prices, time series data, technical indicators, news sentiment, and economic data. Use them when users ask about current prices, market conditions, or need chart data.`)
   }
 
+  // Section 3b: User trade history tools (SEMI-STATIC)
+  if (hasTradeTools) {
+    sections.push(getTradeToolsGuidance())
+  }
+
   // Section 4: Experience level guidance (SEMI-STATIC - changes rarely)
   const experienceGuidance = getExperienceGuidanceText(experienceLevel)
   sections.push(experienceGuidance)
 
+  // Section 4b: Long-term user memory (SEMI-STATIC - changes between conversations)
+  const memoryText = formatMemoryForPrompt(userMemory)
+  if (memoryText) {
+    sections.push(memoryText)
+  }
+
   // Section 5: Coach mode if enabled (DYNAMIC)
   if (coachModeConfig?.enabled) {
     const coachPrompt = getCoachModePrompt(
@@ -290,14 +362,18 @@ function compilePlainSystemPrompt(options) {
     portfolio: options.aiContext?.portfolio || null
   }
   
-  return buildVegaSystemPrompt(
+  const prompt = buildVegaSystemPrompt(
     contextData,
     options.currentSummary,
     options.previousSummaries,
     options.tier,
     options.experienceLevel,
-    options.hasMCPTools
+    options.hasMCPTools,
+    options.hasTradeTools
   )
+
+  const memoryText = formatMemoryForPrompt(options.userMemory)
+  return memoryText ? `${prompt}\n\n${memoryText}` : prompt
 }
 
 /**
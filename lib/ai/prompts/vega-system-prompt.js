@@ -44,7 +44,7 @@ export function determineExperienceLevel(tradesStats, analytics) {
  * This provides normalized, structured data that the AI can easily parse and analyze
  */
 export function formatStructuredContext(contextData) {
-  const { tradesStats, analytics, allTrades, portfolio } = contextData
+  const { tradesStats, analytics, allTrades, portfolio, currency: currencyInfo } = contextData
   
   // Calculate trading duration
   let tradingMonths = 1
@@ -83,14 +83,44 @@ export function formatStructuredContext(contextData) {
     performance.maxDrawdown = analytics.maxDrawdown !== undefined && analytics.maxDrawdown !== null
       ? (analytics.maxDrawdown * 100).toFixed(1)
       : null
-    performance.sharpeRatio = analytics.sharpeRatio !== undefined && analytics.sharpeRatio !== null
-      ? analytics.sharpeRatio.toFixed(2)
+    const sharpeRatio = analytics.sharpeRatio ?? analytics.riskMetrics?.sharpeRatio
+    performance.sharpeRatio = sharpeRatio !== undefined && sharpeRatio !== null
+      ? sharpeRatio.toFixed(2)
       : null
     performance.maxConsecutiveWins = analytics.maxConsecutiveWins ?? 0
     performance.maxConsecutiveLosses = analytics.maxConsecutiveLosses ?? 0
     performance.winningTrades = analytics.winningTrades ?? 0
     performance.losingTrades = analytics.losingTrades ?? 0
     performance.completedTrades = analytics.completedTrades ?? 0
+    // Spot realized P&L depends on how sells were matched to buy lots
+    performance.costBasisMethod = analytics.costBasisMethod || 'AVERAGE'
+    // Realized + unrealized (open spot lots at mark price, open futures positions)
+    if (analytics.totalReturn) {
+      performance.unrealizedPnL = analytics.totalReturn.unrealizedPnL ?? 0
+      performance.totalReturn = analytics.totalReturn.totalReturn ?? 0
+      performance.totalReturnPercent = (analytics.totalReturn.totalReturnPercent || 0).toFixed(1)
+    }
+    // Risk-adjusted ratios from the daily return series (null when there is too little history)
+    if (analytics.riskMetrics) {
+      const risk = analytics.riskMetrics
+      const fixed = (value, digits = 2) => value !== undefined && value !== null ? value.toFixed(digits) : null
+      performance.riskAdjusted = {
+        basis: risk.basis, // 'returns' (% of capital base) or 'pnl' (no capital base)
+        days: risk.days,
+        sortinoRatio: fixed(risk.sortinoRatio),
+        calmarRatio: fixed(risk.calmarRatio),
+        ulcerIndex: fixed(risk.ulcerIndex),
+        tailRatio: fixed(risk.tailRatio),
+        expectancy: risk.expectancy ?? 0,
+        sqn: fixed(risk.sqn),
+        sqnRating: risk.sqnRating,
+        avgRMultiple: fixed(risk.avgRMultiple),
+        annualizedReturnPercent: fixed(risk.annualizedReturnPercent, 1),
+        annualizedVolatilityPercent: fixed(risk.annualizedVolatilityPercent, 1),
+        maxDrawdownPercent: fixed(risk.maxDrawdownPercent, 1),
+        rMultiples: (risk.rMultiples || []).map(bucket => ({ label: bucket.label, count: bucket.count }))
+      }
+    }
   } else {
     // Mark as unavailable if analytics is null/undefined
     performance.dataAvailable = false
@@ -267,6 +297,59 @@ export function formatStructuredContext(contextData) {
     portfolioInfo.available = false
   }
   
+  // Open spot positions from trade history, valued at current mark prices (top 10 by value)
+  const openPositions = []
+  const openAssets = analytics?.spotPositionValuation?.byAsset
+  if (Array.isArray(openAssets)) {
+    openAssets.slice(0, 10).forEach(asset => {
+      openPositions.push({
+        asset: asset.asset,
+        quantity: asset.quantity,
+        avgEntryPrice: asset.avgEntryPrice,
+        markPrice: asset.markPrice,
+        marketValue: asset.marketValue,
+        unrealizedPnL: asset.unrealizedPnL,
+        unrealizedReturnPercent: (asset.unrealizedReturnPercent || 0).toFixed(1),
+        exposurePercent: (asset.exposurePercent || 0).toFixed(1)
+      })
+    })
+  }
+
+  // Per-strategy performance from journal strategy tags
+  const strategies = { available: false }
+  const breakdown = analytics?.strategyBreakdown
+  if (breakdown && breakdown.strategies?.length > 0) {
+    const formatStrategy = (s) => ({
+      strategy: s.strategy,
+      closedTrades: s.closedTrades,
+      winRate: (s.winRate || 0).toFixed(1),
+      totalPnL: s.totalPnL,
+      profitFactor: (s.profitFactor || 0).toFixed(2),
+      avgWin: s.avgWin,
+      avgLoss: s.avgLoss,
+      expectancy: s.expectancy,
+      maxDrawdownAmount: s.maxDrawdownAmount
+    })
+
+    strategies.available = true
+    strategies.taggedTrades = breakdown.taggedTrades
+    strategies.bestStrategy = breakdown.bestStrategy
+    strategies.worstStrategy = breakdown.worstStrategy
+    strategies.byStrategy = breakdown.strategies.slice(0, 15).map(formatStrategy)
+    strategies.untagged = breakdown.untagged ? formatStrategy(breakdown.untagged) : null
+  }
+
+  // Every amount above is USD; the user thinks in their base currency
+  const fxConversion = analytics?.metadata?.fxConversion
+  const currency = {
+    reportingCurrency: 'USD',
+    baseCurrency: currencyInfo?.baseCurrency || analytics?.metadata?.primaryCurrency || 'USD',
+    usdToBaseRate: currencyInfo?.usdToBaseRate ?? null,
+    quoteCurrencies: analytics?.metadata?.quoteCurrencies || {},
+    conversionMethod: fxConversion?.method || null,
+    unconvertedRecords: fxConversion?.unconvertedRecords || 0
+  }
+
   return {
     summary,
     performance,
@@ -275,7 +358,10 @@ export function formatStructuredContext(contextData) {
     behavioral,
     accountBreakdown,
     recentTrades,
-    portfolio: portfolioInfo
+    portfolio: portfolioInfo,
+    openPositions,
+    strategies,
+    currency
   }
 }
 
@@ -309,6 +395,15 @@ Profit Factor: ${structured.performance.profitFactor}x
 Average Win: $${structured.performance.avgWin.toFixed(2)}
 Average Loss: $${structured.performance.avgLoss.toFixed(2)}`
     
+    if (structured.performance.costBasisMethod) {
+      context += `\nCost Basis Method: ${structured.performance.costBasisMethod}`
+    }
+    
+    if (structured.performance.totalReturn !== undefined) {
+      context += `\nUnrealized P&L: $${structured.performance.unrealizedPnL.toFixed(2)}`
+      context += `\nTotal Return (realized + unrealized): $${structured.performance.totalReturn.toFixed(2)} (${structured.performance.totalReturnPercent}%)`
+    }
+    
     if (structured.performance.totalCommission) {
       context += `\nTotal Fees Paid: $${structured.performance.totalCommission.toFixed(2)}`
     }
@@ -320,6 +415,14 @@ Average Loss: $${structured.performance.avgLoss.toFixed(2)}`
     if (structured.performance.sharpeRatio) {
       context += `\nSharpe Ratio: ${structured.performance.sharpeRatio}`
     }
+
+    const risk = structured.performance.riskAdjusted
+    if (risk) {
+      if (risk.sortinoRatio) context += `\nSortino Ratio: ${risk.sortinoRatio}`
+      if (risk.calmarRatio) context += `\nCalmar Ratio: ${risk.calmarRatio}`
+      if (risk.sqn) context += `\nSQN: ${risk.sqn} (${risk.sqnRating})`
+      context += `\nExpectancy per Trade: $${risk.expectancy.toFixed(2)}`
+    }
     
     context += '\n'
   }
@@ -373,7 +476,7 @@ export function getBenchmarkComparisons(analytics, experienceLevel) {
  * Uses structured JSON format for better AI analysis
  * NOTE: This is kept for backward compatibility. Use buildCachedSystemBlocks() for new implementation.
  */
-export function buildVegaSystemPrompt(contextData, currentSummary, previousSummaries, tier, experienceLevel, hasMCPTools = false) {
+export function buildVegaSystemPrompt(contextData, currentSummary, previousSummaries, tier, experienceLevel, hasMCPTools = false, hasTradeTools = false) {
   // Format context as structured JSON
   const structuredContext = formatStructuredContext(contextData)
   // analytics.winRate is already a percentage (0-100), not a decimal
@@ -418,6 +521,8 @@ ${getCapabilities()}
 
 ${hasMCPTools ? getMCPToolsGuidance() : ''}
 
+${hasTradeTools ? getTradeToolsGuidance() : ''}
+
 ${getFAQGuidance()}
 
 ${experienceGuidance}
@@ -462,7 +567,7 @@ Remember: Every trader has potential. Your role is to unlock it through insights
  * Returns array of cacheable blocks with TTL settings
  * Related: CLAUDE_AI_OPTIMIZATION_STRATEGY.md
  */
-export function buildCachedSystemBlocks(aiContext, currentSummary, previousSummaries, tier, experienceLevel, hasMCPTools = false, coachModeConfig = null) {
+export function buildCachedSystemBlocks(aiContext, currentSummary, previousSummaries, tier, experienceLevel, hasMCPTools = false, coachModeConfig = null, hasTradeTools = false) {
   const blocks = []
   
   // IMPORTANT: Blocks must be ordered by TTL (longest first)
@@ -478,6 +583,8 @@ ${getCapabilities()}
 
 ${hasMCPTools ? getMCPToolsGuidance() : ''}
 
+${hasTradeTools ? getTradeToolsGuidance() : ''}
+
 ${getFAQGuidance()}
 
 ${getResponseGuidelines()}
@@ -642,6 +749,16 @@ The user's trading data is provided in structured JSON format. Use this data to:
 5. Account Breakdown: Compare spot vs futures performance
    - Use accountBreakdown to identify which account type performs better
    - Provide recommendations based on account-specific metrics
+   - Use openPositions and performance.totalReturn when asked about unrealized gains, open exposure or overall return
+   - Use performance.sharpeRatio and performance.riskAdjusted (Sortino, Calmar, Ulcer, SQN, R-multiples, tail ratio)
+     for risk-adjusted questions; null ratios mean there is too little history, so say so rather than guessing
+   - Use strategies (built from the user's journal strategy tags) for "which of my strategies is profitable" questions:
+     judge profitability by totalPnL, expectancy and profitFactor together, mention closedTrades so small samples
+     are not over-read, and compare against strategies.untagged. If strategies.available is false, explain that
+     tagging trades with a strategy in the trade journal enables this breakdown
+   - All amounts are in USD (currency.reportingCurrency). When currency.baseCurrency is not USD and
+     currency.usdToBaseRate is set, also state key figures in the base currency (USD amount x usdToBaseRate);
+     currency.quoteCurrencies shows which currencies the trades were actually settled in
 
 6. Always Reference Specific Data: 
    - Quote exact numbers from the JSON
@@ -809,6 +926,22 @@ Example Usage:
   → Step 3: Extract latest price from most recent candle, include timestamp`
 }
 
+/**
+ * Guidance for the first-party "My Trades" tools (lib/ai/tools/tradeTools.js)
+ */
+export function getTradeToolsGuidance() {
+  return `USER TRADE HISTORY TOOLS
+
+The structured data below is a summary. When the user asks about specific trades, symbols, dates or periods that the summary doesn't cover, look them up in their own history instead of estimating:
+- Individual trades by symbol, side, market or date range
+- Realized P&L for any window, e.g. "last week" or "March"
+- Their biggest losing trades
+- One period compared with another, e.g. "this month vs last month"
+- Drawdown episodes: how deep, how long, whether they recovered
+
+Convert relative dates ("last month") to exact dates before looking them up. P&L figures are in USD; trade prices are in each trade's quote currency. Use these lookups silently - never mention tool names.`
+}
+
 function getCapabilities() {
   return `CORE CAPABILITIES
 - Analyze trading performance metrics (win rate, profit factor, P&L, drawdowns)
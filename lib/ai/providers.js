@@ -2,7 +2,8 @@
 /**
  * Provider abstraction layer for multiple LLM providers
  * 
- * Provides a unified interface for Anthropic (Claude) and DeepSeek.
+ * Provides a unified interface for Anthropic (Claude), DeepSeek and
+ * OpenAI-compatible endpoints (OpenAI, Groq, OpenRouter, Ollama, llama.cpp).
  * Handles provider-specific differences in:
  * - System prompt format (cached blocks vs plain string)
  * - Message normalization
@@ -14,9 +15,11 @@
 
 import Anthropic from '@anthropic-ai/sdk'
 import * as deepseekClient from './deepseek-client'
+import { createOpenAICompatibleStream } from './openai-compatible-client'
 import { blocksToString, isCachedBlockFormat } from './prompts/compiler.js'
-import { transformToolsForModel } from './tools/transformer.js'
-import { PROVIDERS as REGISTRY_PROVIDERS, getProvider, getToolFormat, TOOL_FORMATS } from './models/registry.js'
+import { transformToolsForModel, transformMessagesToOpenAI } from './tools/transformer.js'
+import { PROVIDERS as REGISTRY_PROVIDERS, getModel, getProvider, getToolFormat, TOOL_FORMATS } from './models/registry.js'
+import { getOpenAICompatibleEndpoint, isEndpointConfigured, hasOpenAICompatibleEndpoints } from './models/openaiCompatible.js'
 
 // Re-export PROVIDERS for backward compatibility
 // Canonical source is now models/registry.js
@@ -39,7 +42,8 @@ function getAnthropicClient() {
  * 
  * Handles provider-specific differences:
  * - Anthropic: Uses separate `system` parameter, supports cached blocks
- * - DeepSeek/OpenAI: Uses system message in messages array, plain string only
+ * - DeepSeek/OpenAI: Uses system message in messages array, plain string only,
+ *   and tool rounds as tool_calls / role 'tool' messages
  * 
  * @param {Array} messages - Original messages array
  * @param {string|Array} systemPrompt - System prompt (string or array of cached blocks)
@@ -70,7 +74,7 @@ export function normalizeMessages(messages, systemPrompt, provider) {
   
   if (provider === PROVIDERS.DEEPSEEK) {
     // DeepSeek uses system message in messages array (plain string only)
-    const normalizedMessages = [...messages].filter(msg => msg.role !== 'system')
+    const normalizedMessages = transformMessagesToOpenAI(messages.filter(msg => msg.role !== 'system'))
     
     if (systemPrompt) {
       // Convert cached blocks to plain string if needed
@@ -93,8 +97,8 @@ export function normalizeMessages(messages, systemPrompt, provider) {
     }
   }
   
-  // Generic fallback - treat like DeepSeek (OpenAI-compatible)
-  const normalizedMessages = [...messages].filter(msg => msg.role !== 'system')
+  // OpenAI-compatible endpoints and generic fallback - treat like DeepSeek
+  const normalizedMessages = transformMessagesToOpenAI(messages.filter(msg => msg.role !== 'system'))
   
   if (systemPrompt) {
     const systemString = isCachedBlockFormat(systemPrompt) 
@@ -121,7 +125,7 @@ export function normalizeMessages(messages, systemPrompt, provider) {
  * - Streaming event normalization
  * 
  * @param {Object} options
- * @param {string} options.provider - Provider type (PROVIDERS.ANTHROPIC or PROVIDERS.DEEPSEEK)
+ * @param {string} options.provider - Provider type (PROVIDERS.ANTHROPIC, PROVIDERS.DEEPSEEK or PROVIDERS.OPENAI)
  * @param {string} options.model - Model ID
  * @param {Array} options.messages - Message array
  * @param {string|Array} options.system - System prompt (string, cached blocks, or null)
@@ -206,160 +210,216 @@ export async function* createStream({
     })
     
     // Convert DeepSeek SSE format to Anthropic-like format for consistency
-    let lastUsage = null
-    let chunkCount = 0
-    let currentToolCall = null // Track current tool call being streamed
-    let toolCallIndex = 0
+    const chunkCount = yield* normalizeOpenAIStream(stream, 'DeepSeek')
     
-    try {
-      for await (const chunk of stream) {
-        chunkCount++
+    // Log completion (dev only)
+    if (process.env.NODE_ENV === 'development') {
+      console.log('[DeepSeek Provider] Stream complete', { totalChunks: chunkCount })
+    }
+    
+  } else if (provider === PROVIDERS.OPENAI) {
+    // OpenAI-compatible endpoint (OpenAI, Groq, OpenRouter, Ollama, llama.cpp)
+    // The registry model says which endpoint serves it and under which name
+    const modelConfig = getModel(model)
+    const endpoint = getOpenAICompatibleEndpoint(modelConfig?.endpoint)
+    if (!isEndpointConfigured(endpoint)) {
+      throw new Error(`No OpenAI-compatible endpoint configured for model: ${model}`)
+    }
+    
+    const hasSystemMessage = messages.some(msg => msg.role === 'system')
+    const normalized = hasSystemMessage && !system
+      ? { messages: transformMessagesToOpenAI(messages), system: null }
+      : normalizeMessages(messages, system, PROVIDERS.OPENAI)
+    
+    // Tools are only sent to models registered as tool-capable
+    const transformedTools = tools ? transformToolsForModel(tools, model) : null
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[${endpoint.name} Provider] Starting stream request`, {
+        model: modelConfig.apiModel,
+        baseUrl: endpoint.baseUrl,
+        hasTools: !!transformedTools,
+        toolCount: transformedTools?.length || 0,
+        totalMessages: normalized.messages.length
+      })
+    }
+    
+    const stream = createOpenAICompatibleStream({
+      endpoint,
+      model: modelConfig.apiModel,
+      messages: normalized.messages,
+      maxTokens: Math.min(maxTokens, modelConfig.maxOutput || maxTokens),
+      temperature,
+      tools: transformedTools
+    })
+    
+    const chunkCount = yield* normalizeOpenAIStream(stream, endpoint.name)
+    
+    if (process.env.NODE_ENV === 'development') {
+      console.log(`[${endpoint.name} Provider] Stream complete`, { totalChunks: chunkCount })
+    }
+    
+  } else {
+    throw new Error(`Unsupported provider: ${provider}`)
+  }
+}
+
+/**
+ * Convert an OpenAI-format chunk stream (DeepSeek, OpenAI-compatible endpoints)
+ * to Anthropic-like events so the chat route handles every provider the same way
+ * 
+ * @param {AsyncGenerator} stream - OpenAI-format chunks
+ * @param {string} label - Provider name for logs and error messages
+ * @returns {AsyncGenerator} Anthropic-like events; returns the number of chunks received
+ */
+async function* normalizeOpenAIStream(stream, label) {
+  let lastUsage = null
+  let chunkCount = 0
+  let currentToolCall = null // Track current tool call being streamed
+  let toolCallIndex = 0
+  let finished = false // finish_reason received
+  let stopped = false // message_stop emitted
+  
+  const messageStop = () => ({
+    type: 'message_stop',
+    message: lastUsage ? {
+      usage: {
+        input_tokens: lastUsage.prompt_tokens || lastUsage.input_tokens || 0,
+        output_tokens: lastUsage.completion_tokens || lastUsage.output_tokens || 0
+      }
+    } : null
+  })
+  
+  try {
+    for await (const chunk of stream) {
+      chunkCount++
+      
+      // Handle error chunks
+      if (chunk.error) {
+        console.error(`[${label} Provider] Error in stream chunk:`, chunk.error)
+        yield {
+          type: 'error',
+          error: {
+            message: chunk.error.message || `${label} API error`,
+            code: chunk.error.code
+          }
+        }
+        break
+      }
+      
+      // Store usage if present
+      if (chunk.usage) {
+        lastUsage = chunk.usage
+      }
+      
+      // OpenAI-compatible format
+      // Convert to Anthropic-like format for unified handling
+      if (chunk.choices && chunk.choices[0]) {
+        const choice = chunk.choices[0]
+        const delta = choice.delta
         
-        // Handle error chunks
-        if (chunk.error) {
-          console.error('[DeepSeek Provider] Error in stream chunk:', chunk.error)
+        // Handle text content
+        if (delta && delta.content) {
           yield {
-            type: 'error',
-            error: {
-              message: chunk.error.message || 'DeepSeek API error',
-              code: chunk.error.code
+            type: 'content_block_delta',
+            delta: {
+              type: 'text_delta',
+              text: delta.content
             }
           }
-          break
         }
         
-        // DeepSeek uses OpenAI-compatible format
-        // Convert to Anthropic-like format for unified handling
-        if (chunk.choices && chunk.choices[0]) {
-          const choice = chunk.choices[0]
-          const delta = choice.delta
-          
-          // Handle text content
-          if (delta && delta.content) {
-            yield {
-              type: 'content_block_delta',
-              delta: {
-                type: 'text_delta',
-                text: delta.content
+        // Handle tool calls (OpenAI format → Anthropic format)
+        if (delta && delta.tool_calls && delta.tool_calls.length > 0) {
+          for (const toolCallDelta of delta.tool_calls) {
+            const idx = toolCallDelta.index ?? toolCallIndex
+            
+            // New tool call starting
+            if (toolCallDelta.id) {
+              currentToolCall = {
+                id: toolCallDelta.id,
+                name: toolCallDelta.function?.name || '',
+                arguments: ''
               }
-            }
-          }
-          
-          // Handle tool calls (OpenAI format → Anthropic format)
-          if (delta && delta.tool_calls && delta.tool_calls.length > 0) {
-            for (const toolCallDelta of delta.tool_calls) {
-              const idx = toolCallDelta.index ?? toolCallIndex
+              toolCallIndex = idx
               
-              // New tool call starting
-              if (toolCallDelta.id) {
-                currentToolCall = {
-                  id: toolCallDelta.id,
-                  name: toolCallDelta.function?.name || '',
-                  arguments: toolCallDelta.function?.arguments || ''
-                }
-                toolCallIndex = idx
-                
-                // Emit tool_use start in Anthropic format
-                yield {
-                  type: 'content_block_start',
-                  index: idx,
-                  content_block: {
-                    type: 'tool_use',
-                    id: currentToolCall.id,
-                    name: currentToolCall.name,
-                    input: {}
-                  }
+              // Emit tool_use start in Anthropic format
+              yield {
+                type: 'content_block_start',
+                index: idx,
+                content_block: {
+                  type: 'tool_use',
+                  id: currentToolCall.id,
+                  name: currentToolCall.name,
+                  input: {}
                 }
               }
-              
+            } else if (toolCallDelta.function?.name && currentToolCall) {
               // Accumulate function name
-              if (toolCallDelta.function?.name && currentToolCall) {
-                currentToolCall.name += toolCallDelta.function.name
-              }
+              currentToolCall.name += toolCallDelta.function.name
+            }
+            
+            // Accumulate function arguments (streamed as JSON string)
+            if (toolCallDelta.function?.arguments && currentToolCall) {
+              currentToolCall.arguments += toolCallDelta.function.arguments
               
-              // Accumulate function arguments (streamed as JSON string)
-              if (toolCallDelta.function?.arguments && currentToolCall) {
-                currentToolCall.arguments += toolCallDelta.function.arguments
-                
-                // Emit input_json_delta in Anthropic format
-                yield {
-                  type: 'content_block_delta',
-                  index: idx,
-                  delta: {
-                    type: 'input_json_delta',
-                    partial_json: toolCallDelta.function.arguments
-                  }
+              // Emit input_json_delta in Anthropic format
+              yield {
+                type: 'content_block_delta',
+                index: idx,
+                delta: {
+                  type: 'input_json_delta',
+                  partial_json: toolCallDelta.function.arguments
                 }
               }
             }
           }
-          
-          // Store usage if present
-          if (chunk.usage) {
-            lastUsage = chunk.usage
-          }
-          
-          // Handle finish reason
-          if (choice.finish_reason) {
-            // If we were building a tool call, emit content_block_stop
-            if (currentToolCall) {
-              yield {
-                type: 'content_block_stop',
-                index: toolCallIndex
-              }
-              currentToolCall = null
-            }
-            
-            // Yield message_stop with usage info (similar to Anthropic)
+        }
+        
+        // Handle finish reason
+        if (choice.finish_reason) {
+          // If we were building a tool call, emit content_block_stop
+          if (currentToolCall) {
             yield {
-              type: 'message_stop',
-              message: lastUsage ? {
-                usage: {
-                  input_tokens: lastUsage.prompt_tokens || lastUsage.input_tokens || 0,
-                  output_tokens: lastUsage.completion_tokens || lastUsage.output_tokens || 0
-                }
-              } : null
+              type: 'content_block_stop',
+              index: toolCallIndex
             }
-            break
+            currentToolCall = null
           }
-        } else if (chunkCount === 1 && process.env.NODE_ENV === 'development') {
-          // Log unexpected first chunk format (dev only)
-          console.warn('[DeepSeek Provider] Unexpected chunk format:', Object.keys(chunk))
+          finished = true
         }
+      } else if (chunkCount === 1 && !chunk.usage && process.env.NODE_ENV === 'development') {
+        // Log unexpected first chunk format (dev only)
+        console.warn(`[${label} Provider] Unexpected chunk format:`, Object.keys(chunk))
       }
-    } catch (streamError) {
-      console.error('[DeepSeek Provider] ❌ Stream error:', streamError)
-      yield {
-        type: 'error',
-        error: {
-          message: streamError.message || 'DeepSeek stream error',
-          name: streamError.name
-        }
+      
+      // Yield message_stop with usage info (similar to Anthropic)
+      // OpenAI sends usage in a separate chunk after finish_reason, DeepSeek in the same one
+      if (finished && lastUsage) {
+        yield messageStop()
+        stopped = true
+        break
       }
-      throw streamError
     }
-    
-    // If we didn't get a finish_reason but have usage, yield it
-    if (lastUsage && !lastUsage.yielded) {
-      yield {
-        type: 'message_stop',
-        message: {
-          usage: {
-            input_tokens: lastUsage.prompt_tokens || lastUsage.input_tokens || 0,
-            output_tokens: lastUsage.completion_tokens || lastUsage.output_tokens || 0
-          }
-        }
+  } catch (streamError) {
+    console.error(`[${label} Provider] ❌ Stream error:`, streamError)
+    yield {
+      type: 'error',
+      error: {
+        message: streamError.message || `${label} stream error`,
+        name: streamError.name,
+        status: streamError.status || streamError.statusCode
       }
     }
-    
-    // Log completion (dev only)
-    if (process.env.NODE_ENV === 'development') {
-      console.log('[DeepSeek Provider] Stream complete', { totalChunks: chunkCount })
-    }
-    
-  } else {
-    throw new Error(`Unsupported provider: ${provider}`)
+    throw streamError
+  }
+  
+  // Stream ended without usage (or without finish_reason) - still close the message
+  if (!stopped && (finished || lastUsage)) {
+    yield messageStop()
   }
+  
+  return chunkCount
 }
 
 /**
@@ -399,7 +459,7 @@ export function extractUsage(response, provider) {
         output_tokens: response.usage.output_tokens
       }
     }
-  } else if (provider === PROVIDERS.DEEPSEEK) {
+  } else if (provider === PROVIDERS.DEEPSEEK || provider === PROVIDERS.OPENAI) {
     if (response.usage) {
       return {
         input_tokens: response.usage.prompt_tokens || response.usage.input_tokens || 0,
@@ -419,6 +479,8 @@ export function isProviderConfigured(provider) {
     return !!process.env.ANTHROPIC_API_KEY
   } else if (provider === PROVIDERS.DEEPSEEK) {
     return !!process.env.DEEPSEEK_API_KEY
+  } else if (provider === PROVIDERS.OPENAI) {
+    return hasOpenAICompatibleEndpoints()
   }
   return false
 }
@@ -0,0 +1,161 @@
+// lib/ai/providers/health.js
+/**
+ * Provider Health & Circuit Breaker
+ *
+ * Tracks failures per provider (per endpoint for OpenAI-compatible models) and opens a
+ * circuit after repeated failures so requests skip a provider that is down instead of
+ * waiting for it to time out again:
+ * - closed: requests go through, failures within FAILURE_WINDOW_MS are counted
+ * - open: FAILURE_THRESHOLD failures reached - provider is skipped for OPEN_DURATION_MS
+ * - half_open: cool-down over - one trial request decides between closed and open
+ *
+ * State is in-memory, i.e. per server instance.
+ *
+ * @see lib/ai/providers/router.js
+ */
+
+import { getModel } from '../models/registry.js'
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+}
+
+const FAILURE_THRESHOLD = 3
+const FAILURE_WINDOW_MS = 60 * 1000
+const OPEN_DURATION_MS = 30 * 1000
+
+// Health key -> { state, failures: [timestamps], openedAt, trialInFlight, lastError, lastSuccessAt }
+const health = new Map()
+
+function getEntry(key) {
+  if (!health.has(key)) {
+    health.set(key, {
+      state: CIRCUIT_STATES.CLOSED,
+      failures: [],
+      openedAt: null,
+      trialInFlight: false,
+      lastError: null,
+      lastSuccessAt: null
+    })
+  }
+  return health.get(key)
+}
+
+/**
+ * Health key for a model: its provider, or provider + endpoint for OpenAI-compatible models
+ * (a local Ollama server being down says nothing about OpenRouter)
+ * @param {string} modelId - Model identifier
+ * @returns {string}
+ */
+export function getHealthKey(modelId) {
+  const model = getModel(modelId)
+  if (!model) return modelId
+  return model.endpoint ? `${model.provider}:${model.endpoint}` : model.provider
+}
+
+/**
+ * Whether a request may be sent (circuit closed, or half-open with no trial running)
+ * Moves an open circuit to half-open once its cool-down has passed
+ * @param {string} key - Health key (getHealthKey)
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+export function isAvailable(key, now = Date.now()) {
+  const entry = getEntry(key)
+
+  if (entry.state === CIRCUIT_STATES.OPEN && now - entry.openedAt >= OPEN_DURATION_MS) {
+    entry.state = CIRCUIT_STATES.HALF_OPEN
+    entry.trialInFlight = false
+  }
+
+  if (entry.state === CIRCUIT_STATES.OPEN) return false
+  if (entry.state === CIRCUIT_STATES.HALF_OPEN) return !entry.trialInFlight
+  return true
+}
+
+/**
+ * Mark the start of a request (claims the trial slot of a half-open circuit)
+ * @param {string} key - Health key
+ */
+export function recordAttempt(key) {
+  const entry = getEntry(key)
+  if (entry.state === CIRCUIT_STATES.HALF_OPEN) {
+    entry.trialInFlight = true
+  }
+}
+
+/**
+ * Record a successful request - closes the circuit
+ * @param {string} key - Health key
+ * @param {number} now - Current time (ms)
+ */
+export function recordSuccess(key, now = Date.now()) {
+  const entry = getEntry(key)
+  if (entry.state !== CIRCUIT_STATES.CLOSED) {
+    console.log(`✅ [ProviderHealth] ${key} recovered - circuit closed`)
+  }
+  entry.state = CIRCUIT_STATES.CLOSED
+  entry.failures = []
+  entry.openedAt = null
+  entry.trialInFlight = false
+  entry.lastSuccessAt = now
+}
+
+/**
+ * Record a failed request - opens the circuit after FAILURE_THRESHOLD recent failures,
+ * or straight away when a half-open trial fails
+ * @param {string} key - Health key
+ * @param {Error} error - The failure
+ * @param {number} now - Current time (ms)
+ */
+export function recordFailure(key, error, now = Date.now()) {
+  const entry = getEntry(key)
+  entry.lastError = { message: error?.message || String(error), status: error?.status || error?.statusCode || null, at: now }
+  entry.failures = [...entry.failures.filter(at => now - at < FAILURE_WINDOW_MS), now]
+
+  const shouldOpen = entry.state === CIRCUIT_STATES.HALF_OPEN || entry.failures.length >= FAILURE_THRESHOLD
+  if (shouldOpen && entry.state !== CIRCUIT_STATES.OPEN) {
+    console.warn(`⚠️ [ProviderHealth] ${key} circuit opened after ${entry.failures.length} failure(s): ${entry.lastError.message}`)
+  }
+  if (shouldOpen) {
+    entry.state = CIRCUIT_STATES.OPEN
+    entry.openedAt = now
+  }
+  entry.trialInFlight = false
+}
+
+/**
+ * Snapshot of a provider's health
+ * @param {string} key - Health key
+ * @returns {Object} { key, state, recentFailures, openedAt, lastError, lastSuccessAt }
+ */
+export function getProviderHealth(key) {
+  const entry = getEntry(key)
+  return {
+    key,
+    state: entry.state,
+    recentFailures: entry.failures.length,
+    openedAt: entry.openedAt,
+    lastError: entry.lastError,
+    lastSuccessAt: entry.lastSuccessAt
+  }
+}
+
+/**
+ * Snapshots for every provider seen so far
+ * @returns {Object[]}
+ */
+export function getAllProviderHealth() {
+  return Array.from(health.keys()).map(getProviderHealth)
+}
+
+/**
+ * Forget health state (one key, or everything)
+ * @param {string} key - Health key (optional)
+ */
+export function resetProviderHealth(key) {
+  if (key) health.delete(key)
+  else health.clear()
+}
@@ -8,9 +8,11 @@
  * @see docs/MULTI_MODEL_ARCHITECTURE.md
  */
 
-import { PROVIDERS, getProvider as getProviderFromRegistry } from '../models/registry.js'
+import { PROVIDERS, getModel, getProvider as getProviderFromRegistry } from '../models/registry.js'
+import { hasOpenAICompatibleEndpoints } from '../models/openaiCompatible.js'
 import { AnthropicProvider, getAnthropicProvider } from './anthropic.js'
 import { DeepSeekProvider, getDeepSeekProvider } from './deepseek.js'
+import { OpenAICompatibleProvider } from './openai-compatible.js'
 import { BaseProvider, STREAM_EVENTS } from './base.js'
 
 // Provider instances cache
@@ -30,6 +32,11 @@ export function getProviderForModel(modelId, config = {}) {
     throw new Error(`Unknown model: ${modelId}`)
   }
   
+  // OpenAI-compatible models are served by the endpoint they were registered from
+  if (providerName === PROVIDERS.OPENAI) {
+    return getProviderByName(providerName, { endpointId: getModel(modelId).endpoint, ...config })
+  }
+  
   return getProviderByName(providerName, config)
 }
 
@@ -58,12 +65,17 @@ export function getProviderByName(providerName, config = {}) {
       provider = new DeepSeekProvider(config)
       break
       
+    case PROVIDERS.OPENAI:
+      provider = new OpenAICompatibleProvider(config)
+      break
+      
     default:
       throw new Error(`Unsupported provider: ${providerName}`)
   }
   
-  // Cache if no custom config
-  if (Object.keys(config).length === 0) {
+  // Cache if no custom config (an endpoint id alone is not custom)
+  const { endpointId, ...customConfig } = config
+  if (Object.keys(customConfig).length === 0) {
     providerInstances.set(cacheKey, provider)
   }
   
@@ -71,7 +83,7 @@ export function getProviderByName(providerName, config = {}) {
 }
 
 /**
- * Check if a provider is configured (has API key)
+ * Check if a provider is configured (has API key, or a usable OpenAI-compatible endpoint)
  * 
  * @param {string} providerName - Provider identifier
  * @returns {boolean}
@@ -82,6 +94,8 @@ export function isProviderConfigured(providerName) {
       return !!process.env.ANTHROPIC_API_KEY
     case PROVIDERS.DEEPSEEK:
       return !!process.env.DEEPSEEK_API_KEY
+    case PROVIDERS.OPENAI:
+      return hasOpenAICompatibleEndpoints()
     default:
       return false
   }
@@ -131,8 +145,13 @@ export {
   BaseProvider, 
   AnthropicProvider, 
   DeepSeekProvider,
+  OpenAICompatibleProvider,
   STREAM_EVENTS
 }
 
 // Re-export PROVIDERS for convenience
 export { PROVIDERS }
+
+// Failover routing and provider health (circuit breaker)
+export { createRoutedStream, getFailoverModels } from './router.js'
+export { getProviderHealth, getAllProviderHealth, resetProviderHealth, CIRCUIT_STATES } from './health.js'
@@ -0,0 +1,283 @@
+// lib/ai/providers/openai-compatible.js
+/**
+ * OpenAI-Compatible Provider Implementation
+ *
+ * Extends BaseProvider for any endpoint that speaks the OpenAI chat completions API:
+ * - OpenAI, Groq, OpenRouter (API key)
+ * - Self-hosted Ollama / llama.cpp servers (no API key, works offline)
+ * - OpenAI tool format, tool rounds as tool_calls / role 'tool' messages
+ *
+ * One instance serves one endpoint (see models/openaiCompatible.js). Registry model ids
+ * (`<endpoint>:<model>`) are translated to the endpoint's model name on each request.
+ *
+ * @see docs/MULTI_MODEL_ARCHITECTURE.md
+ */
+
+import {
+  BaseProvider,
+  createTextDeltaEvent,
+  createToolUseStartEvent,
+  createToolUseDeltaEvent,
+  createToolUseEndEvent,
+  createMessageEndEvent,
+  createErrorEvent
+} from './base.js'
+import { PROVIDERS, TOOL_FORMATS, getModel } from '../models/registry.js'
+import { getOpenAICompatibleEndpoint } from '../models/openaiCompatible.js'
+import { transformMessagesToOpenAI } from '../tools/transformer.js'
+import { createOpenAICompatibleStream, createOpenAICompatibleCompletion } from '../openai-compatible-client.js'
+
+/**
+ * OpenAI-Compatible Provider
+ *
+ * @param {Object} config
+ * @param {string} config.endpointId - Configured endpoint id (e.g. 'ollama'), or
+ * @param {Object} config.endpoint - Endpoint {id, name, baseUrl, apiKey, requiresApiKey, headers}
+ */
+export class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    const { endpointId, endpoint: endpointConfig, ...rest } = config
+    const endpoint = endpointConfig || getOpenAICompatibleEndpoint(endpointId) || {}
+
+    super({
+      providerId: PROVIDERS.OPENAI,
+      apiKey: endpoint.apiKey,
+      baseUrl: endpoint.baseUrl,
+      toolFormat: TOOL_FORMATS.OPENAI,
+      supportsCaching: false,
+      ...rest
+    })
+
+    this.endpoint = {
+      id: endpoint.id || endpointId || 'openai-compatible',
+      name: endpoint.name || endpoint.id || endpointId || 'OpenAI-compatible endpoint',
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      headers: endpoint.headers || {}
+    }
+    // Self-hosted servers (Ollama, llama.cpp) don't need a key
+    this.requiresApiKey = endpoint.requiresApiKey ?? false
+
+    // Track tool calls being built during streaming
+    this._pendingToolCalls = new Map()
+  }
+
+  /**
+   * Configured when the endpoint has a base URL and, if it needs one, an API key
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.baseUrl && (!!this.apiKey || !this.requiresApiKey)
+  }
+
+  /**
+   * OpenAI format: system message first, tool rounds converted from Anthropic blocks
+   * @protected
+   */
+  _prepareMessages(messages, system) {
+    return super._prepareMessages(transformMessagesToOpenAI(messages), system)
+  }
+
+  /**
+   * Registry id -> model name the endpoint knows (ids without a registry entry pass through)
+   * @private
+   */
+  _resolveModel(modelId) {
+    return getModel(modelId)?.apiModel || modelId
+  }
+
+  /**
+   * Create streaming completion with the endpoint
+   * @protected
+   */
+  async *_createStreamInternal(options) {
+    // Reset pending tool calls
+    this._pendingToolCalls.clear()
+
+    try {
+      const stream = createOpenAICompatibleStream({
+        endpoint: this.endpoint,
+        model: this._resolveModel(options.model),
+        messages: options.messages,
+        maxTokens: options.maxTokens || 2000,
+        temperature: options.temperature ?? 0.7,
+        tools: options.tools
+      })
+
+      for await (const chunk of stream) {
+        yield chunk
+      }
+    } catch (error) {
+      this._handleError(error)
+    }
+  }
+
+  /**
+   * Create non-streaming completion with the endpoint
+   * @protected
+   */
+  async _createCompletionInternal(options) {
+    try {
+      const response = await createOpenAICompatibleCompletion({
+        endpoint: this.endpoint,
+        model: this._resolveModel(options.model),
+        messages: options.messages,
+        maxTokens: options.maxTokens || 2000,
+        temperature: options.temperature ?? 0.7,
+        tools: options.tools
+      })
+
+      return this._parseCompletionResponse(response)
+    } catch (error) {
+      this._handleError(error)
+    }
+  }
+
+  /**
+   * Normalize OpenAI-format stream chunks to standard format
+   * @protected
+   */
+  _normalizeStreamEvent(event) {
+    // Handle errors
+    if (event.error) {
+      return createErrorEvent(
+        event.error.message || `${this.endpoint.name} API error`,
+        event.error.code
+      )
+    }
+
+    // Usage-only chunk (stream_options.include_usage) after finish_reason
+    if ((!event.choices || event.choices.length === 0) && event.usage) {
+      return createMessageEndEvent(event.usage)
+    }
+
+    if (!event.choices || !event.choices[0]) {
+      return null
+    }
+
+    const choice = event.choices[0]
+    const delta = choice.delta
+
+    // Text content
+    if (delta?.content) {
+      return createTextDeltaEvent(delta.content)
+    }
+
+    // Tool calls (OpenAI format)
+    if (delta?.tool_calls && delta.tool_calls.length > 0) {
+      const events = []
+
+      for (const toolCallDelta of delta.tool_calls) {
+        const idx = toolCallDelta.index ?? 0
+
+        // New tool call starting
+        if (toolCallDelta.id) {
+          this._pendingToolCalls.set(idx, {
+            id: toolCallDelta.id,
+            name: toolCallDelta.function?.name || '',
+            arguments: toolCallDelta.function?.arguments || ''
+          })
+
+          events.push(createToolUseStartEvent(
+            toolCallDelta.id,
+            toolCallDelta.function?.name || ''
+          ))
+        } else if (this._pendingToolCalls.has(idx)) {
+          // Accumulating tool call
+          const pending = this._pendingToolCalls.get(idx)
+
+          if (toolCallDelta.function?.name) {
+            pending.name += toolCallDelta.function.name
+          }
+
+          if (toolCallDelta.function?.arguments) {
+            pending.arguments += toolCallDelta.function.arguments
+
+            events.push(createToolUseDeltaEvent(
+              pending.id,
+              toolCallDelta.function.arguments
+            ))
+          }
+        }
+      }
+
+      // Return first event (typically we only get one at a time)
+      return events[0] || null
+    }
+
+    // Finish reason - local servers often send whole tool calls in one chunk, so close
+    // them with their parsed input
+    if (choice.finish_reason) {
+      const pending = [...this._pendingToolCalls.values()]
+      this._pendingToolCalls.clear()
+
+      if (pending.length > 0) {
+        const call = pending[pending.length - 1]
+        let input = {}
+        try {
+          input = call.arguments ? JSON.parse(call.arguments) : {}
+        } catch (e) {
+          console.warn(`[OpenAICompatibleProvider] Failed to parse tool arguments from ${this.endpoint.name}:`, e.message)
+        }
+        return createToolUseEndEvent(call.id, call.name, input)
+      }
+
+      return createMessageEndEvent(event.usage)
+    }
+
+    return null
+  }
+
+  /**
+   * Parse non-streaming response
+   * @private
+   */
+  _parseCompletionResponse(response) {
+    const choice = response.choices?.[0]
+    const message = choice?.message || {}
+
+    const toolCalls = (message.tool_calls || []).map(tc => {
+      let input = {}
+      try {
+        input = tc.function?.arguments ? JSON.parse(tc.function.arguments) : {}
+      } catch (e) {
+        console.warn(`[OpenAICompatibleProvider] Failed to parse tool arguments from ${this.endpoint.name}:`, e.message)
+      }
+      return { id: tc.id, name: tc.function?.name, input }
+    })
+
+    return {
+      content: message.content || '',
+      toolCalls,
+      usage: {
+        input_tokens: response.usage?.prompt_tokens || 0,
+        output_tokens: response.usage?.completion_tokens || 0
+      },
+      stopReason: choice?.finish_reason,
+      model: response.model
+    }
+  }
+
+  /**
+   * Name the endpoint in errors (several endpoints share the 'openai' provider id)
+   * @protected
+   */
+  _handleError(error) {
+    const status = error.status || error.statusCode
+
+    // Unreachable local server - keep the message that says where we tried to connect
+    if (status === 503 && error.message?.startsWith('Could not reach')) {
+      error.type = 'server_error'
+      throw error
+    }
+
+    try {
+      super._handleError(error)
+    } catch (handled) {
+      if (handled !== error) {
+        handled.message = handled.message.replace(this.providerId, this.endpoint.name)
+      }
+      throw handled
+    }
+  }
+}
@@ -0,0 +1,275 @@
+// lib/ai/providers/router.js
+/**
+ * Provider Router - Automatic Failover
+ *
+ * Wraps the provider streams with failover: when the requested model's provider errors or
+ * doesn't start answering in time, the turn is retried on an equivalent model from another
+ * provider. Equivalent = allowed for the user's tier, supports tools when the turn uses them,
+ * has room for the prompt; models of the same tier as the requested one come first.
+ * Providers whose circuit is open (see health.js) are skipped without a request.
+ *
+ * Failover only happens before anything reached the caller. Once a provider has streamed
+ * content, a later error is surfaced as-is (retrying would duplicate output).
+ *
+ * @see lib/ai/providers/health.js
+ */
+
+import { MODEL_REGISTRY, PROVIDERS, getModel } from '../models/registry.js'
+import { getOpenAICompatibleEndpoint, isEndpointConfigured } from '../models/openaiCompatible.js'
+import { createStream, normalizeMessages, isProviderConfigured } from '../providers.js'
+import { getHealthKey, isAvailable, recordAttempt, recordSuccess, recordFailure } from './health.js'
+
+const TIER_RANK = { free: 0, trader: 1, pro: 2 }
+// Preference between providers when several equivalent models qualify
+const PROVIDER_ORDER = [PROVIDERS.ANTHROPIC, PROVIDERS.DEEPSEEK, PROVIDERS.OPENAI]
+
+// Time allowed until a provider starts answering / between two events once it has
+const FIRST_EVENT_TIMEOUT_MS = 30 * 1000
+const STREAM_IDLE_TIMEOUT_MS = 60 * 1000
+
+// Request errors: another provider would reject the same request, and they say nothing about health
+const REQUEST_ERROR_STATUSES = [400, 404, 413, 422]
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+const tierRank = (tier) => TIER_RANK[tier] ?? 0
+
+function isModelConfigured(model) {
+  if (model.provider === PROVIDERS.OPENAI) {
+    return isEndpointConfigured(getOpenAICompatibleEndpoint(model.endpoint))
+  }
+  return isProviderConfigured(model.provider)
+}
+
+/**
+ * Whether an error is the request's fault rather than the provider's
+ */
+export function isRequestError(error) {
+  const status = error?.status || error?.statusCode
+  return REQUEST_ERROR_STATUSES.includes(status)
+}
+
+function timeoutError(modelId, ms) {
+  const error = new Error(`${modelId} did not respond within ${Math.round(ms / 1000)}s`)
+  error.status = 504
+  error.statusCode = 504
+  error.type = 'timeout'
+  return error
+}
+
+// Stream error events (e.g. DeepSeek's { type: 'error' }) become errors so they can fail over
+function streamEventError(event) {
+  const error = new Error(event.error?.message || 'Stream error occurred')
+  error.status = event.error?.status || event.error?.code || null
+  return error
+}
+
+async function nextWithTimeout(iterator, ms, modelId) {
+  let timeoutId
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => reject(timeoutError(modelId, ms)), ms)
+  })
+  try {
+    return await Promise.race([iterator.next(), timeout])
+  } finally {
+    clearTimeout(timeoutId)
+  }
+}
+
+// Events that put something in front of the user - after the first one there's no failing over
+const isContentEvent = (event) =>
+  (event.type === 'content_block_delta') ||
+  (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') ||
+  event.type === 'message_stop'
+
+// ============================================
+// MODEL SELECTION
+// ============================================
+
+/**
+ * Models to fall back to when the requested one fails, best first (one per provider/endpoint)
+ *
+ * @param {Object} options
+ * @param {string} options.model - Requested model id
+ * @param {string} options.tier - User tier ('free', 'trader', 'pro')
+ * @param {boolean} options.requiresTools - The turn sends tools
+ * @param {number} options.inputTokens - Estimated prompt size (models need 20% headroom)
+ * @returns {Object[]} Model configurations
+ */
+export function getFailoverModels({ model, tier = 'free', requiresTools = false, inputTokens = 0 }) {
+  const requested = getModel(model)
+  const requestedKey = getHealthKey(model)
+  const requestedRank = tierRank(requested?.tier)
+
+  const candidates = Object.values(MODEL_REGISTRY)
+    .filter(candidate =>
+      getHealthKey(candidate.id) !== requestedKey &&
+      candidate.supportsStreaming !== false &&
+      tierRank(candidate.tier) <= tierRank(tier) &&
+      (!requiresTools || candidate.supportsTools) &&
+      (!inputTokens || inputTokens <= candidate.contextWindow * 0.8) &&
+      isModelConfigured(candidate)
+    )
+    .sort((a, b) =>
+      Math.abs(tierRank(a.tier) - requestedRank) - Math.abs(tierRank(b.tier) - requestedRank) ||
+      // Same distance: prefer the more capable model
+      tierRank(b.tier) - tierRank(a.tier) ||
+      PROVIDER_ORDER.indexOf(a.provider) - PROVIDER_ORDER.indexOf(b.provider)
+    )
+
+  // Trying a second model on a provider that just failed rarely helps
+  const seen = new Set()
+  return candidates.filter(candidate => {
+    const key = getHealthKey(candidate.id)
+    if (seen.has(key)) return false
+    seen.add(key)
+    return true
+  })
+}
+
+// ============================================
+// ROUTED STREAM
+// ============================================
+
+/**
+ * Stream a completion from the requested model, failing over to equivalent models
+ *
+ * Takes un-normalized messages (Anthropic format) and the compiled system prompt, and
+ * normalizes them for whichever provider ends up answering.
+ *
+ * @param {Object} options
+ * @param {string} options.provider - Requested provider
+ * @param {string} options.model - Requested model id
+ * @param {string} options.tier - User tier, bounds the fallback models
+ * @param {Array} options.messages - Messages (Anthropic format)
+ * @param {string|Array} options.system - Compiled system prompt (string or cached blocks)
+ * @param {number} options.maxTokens - Max tokens
+ * @param {number} options.temperature - Temperature
+ * @param {Array} options.tools - Tools (Anthropic format)
+ * @param {number} options.inputTokens - Estimated prompt size, used to filter fallback models
+ * @param {boolean} options.failover - Set false to only try the requested model (still tracks health)
+ * @param {Function} options.onRoute - Called with { provider, model, requestedProvider, requestedModel, failedOver, attempts } once a model starts answering
+ * @returns {AsyncGenerator} Normalized stream events (Anthropic format)
+ */
+export async function* createRoutedStream({
+  provider,
+  model,
+  tier = 'free',
+  messages,
+  system = null,
+  maxTokens = 2000,
+  temperature = 0.7,
+  tools = null,
+  inputTokens = 0,
+  failover = true,
+  onRoute = null
+}) {
+  const requiresTools = Array.isArray(tools) && tools.length > 0
+  const requested = { id: model, provider }
+  const plan = failover
+    ? [requested, ...getFailoverModels({ model, tier, requiresTools, inputTokens })]
+    : [requested]
+
+  const attempts = []
+  let lastError = null
+  const routeFor = (candidate) => ({
+    provider: candidate.provider,
+    model: candidate.id,
+    requestedProvider: provider,
+    requestedModel: model,
+    failedOver: candidate.id !== model,
+    attempts
+  })
+
+  for (const candidate of plan) {
+    const healthKey = getHealthKey(candidate.id)
+    if (!isAvailable(healthKey)) {
+      attempts.push({ provider: candidate.provider, model: candidate.id, skipped: 'circuit_open' })
+      continue
+    }
+
+    recordAttempt(healthKey)
+    const normalized = normalizeMessages(messages, system, candidate.provider)
+    const iterator = createStream({
+      provider: candidate.provider,
+      model: candidate.id,
+      messages: normalized.messages,
+      system: normalized.system,
+      maxTokens,
+      temperature,
+      tools
+    })[Symbol.asyncIterator]()
+
+    // Hold back events until the first one that reaches the user, so a failure up to
+    // that point can still go to the next model
+    const buffered = []
+    let committed = false
+    let finished = false
+
+    try {
+      while (true) {
+        const { value: event, done } = await nextWithTimeout(
+          iterator,
+          committed || buffered.length > 0 ? STREAM_IDLE_TIMEOUT_MS : FIRST_EVENT_TIMEOUT_MS,
+          candidate.id
+        )
+        if (done) {
+          finished = true
+          break
+        }
+        if (event.type === 'error') throw streamEventError(event)
+
+        if (!committed) {
+          buffered.push(event)
+          if (!isContentEvent(event)) continue
+
+          committed = true
+          const route = routeFor(candidate)
+          if (route.failedOver) {
+            console.warn(`⚠️ [ProviderRouter] ${model} unavailable - answered by ${candidate.id}`, attempts)
+          }
+          onRoute?.(route)
+          yield* buffered
+          continue
+        }
+
+        yield event
+      }
+
+      recordSuccess(healthKey)
+      if (!committed) {
+        // Provider finished without content - still the answer (e.g. empty reply)
+        onRoute?.(routeFor(candidate))
+        yield* buffered
+      }
+      return
+    } catch (error) {
+      lastError = error
+
+      if (isRequestError(error)) {
+        // The request itself is bad - the provider is fine and another one won't do better
+        recordSuccess(healthKey)
+        throw error
+      }
+
+      recordFailure(healthKey, error)
+      if (committed) throw error
+
+      attempts.push({ provider: candidate.provider, model: candidate.id, error: error.message, status: error.status || error.statusCode || null })
+      console.warn(`⚠️ [ProviderRouter] ${candidate.id} failed before answering: ${error.message}`)
+    } finally {
+      // Abandoned (timed out, failed over, or the caller stopped reading) - release the provider stream
+      if (!finished) iterator.return?.().catch(() => {})
+    }
+  }
+
+  if (!lastError) {
+    lastError = new Error('All AI providers are temporarily unavailable. Please try again in a moment.')
+    lastError.status = 503
+    lastError.statusCode = 503
+  }
+  lastError.attempts = attempts
+  throw lastError
+}
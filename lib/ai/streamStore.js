@@ -0,0 +1,339 @@
+// lib/ai/streamStore.js
+/**
+ * Resumable Chat Streams
+ *
+ * Records every SSE event of a chat answer (text deltas, tool logs, chart payloads, done/error)
+ * under a client-generated stream id, with an increasing offset per event. A client that lost
+ * the connection (reload, network drop) replays from the last offset it received instead of
+ * sending the message again - the answer keeps generating server-side and is billed once.
+ *
+ * Events live in memory on the instance producing the answer and are flushed in batches to
+ * the `ai_stream_events` table so another instance can replay them:
+ *   stream_id text, user_id uuid, conversation_id uuid, first_offset int,
+ *   events jsonb (array), finished boolean, created_at timestamptz
+ * Without that table, resuming still works against the producing instance.
+ */
+
+const TABLE = 'ai_stream_events'
+
+const FLUSH_INTERVAL_MS = 1000
+const POLL_INTERVAL_MS = 1000
+const MEMORY_TTL_MS = 30 * 60 * 1000 // Finished streams stay replayable from memory this long
+const STORED_TTL_MS = 24 * 60 * 60 * 1000 // Stored events older than this are pruned
+const STALE_STREAM_MS = 90 * 1000 // No new event for this long - the producer is gone
+
+const TERMINAL_EVENTS = ['done', 'error']
+
+// Stream id -> { id, userId, conversationId, events, finished, updatedAt, listeners, pending, flushTimer, supabase }
+const streams = new Map()
+let persistenceAvailable = true
+
+// ============================================
+// HELPER FUNCTIONS
+// ============================================
+
+/**
+ * Stream ids are generated by the client (crypto.randomUUID)
+ * @param {*} streamId
+ * @returns {boolean}
+ */
+export function isValidStreamId(streamId) {
+  return typeof streamId === 'string' && /^[A-Za-z0-9_-]{8,64}$/.test(streamId)
+}
+
+/**
+ * SSE frame for a recorded event
+ * @param {Object} event - Event with offset
+ * @returns {Uint8Array}
+ */
+export function encodeStreamEvent(event) {
+  return new TextEncoder().encode(`data: ${JSON.stringify(event)}\n\n`)
+}
+
+const isTerminal = (event) => TERMINAL_EVENTS.includes(event?.type)
+
+function isMissingTableError(error) {
+  return error?.code === '42P01' || error?.code === 'PGRST205' ||
+    /does not exist|could not find the table/i.test(error?.message || '')
+}
+
+function pruneMemory(now = Date.now()) {
+  for (const [id, stream] of streams) {
+    if (stream.finished && now - stream.updatedAt > MEMORY_TTL_MS) {
+      streams.delete(id)
+    }
+  }
+}
+
+async function flush(stream) {
+  clearTimeout(stream.flushTimer)
+  stream.flushTimer = null
+  if (!persistenceAvailable || !stream.supabase || stream.pending.length === 0) return
+
+  const events = stream.pending
+  stream.pending = []
+
+  const { error } = await stream.supabase
+    .from(TABLE)
+    .insert({
+      stream_id: stream.id,
+      user_id: stream.userId,
+      conversation_id: stream.conversationId,
+      first_offset: events[0].offset,
+      events,
+      finished: isTerminal(events[events.length - 1])
+    })
+
+  if (!error) return
+
+  if (isMissingTableError(error)) {
+    persistenceAvailable = false
+    console.warn(`⚠️ [StreamStore] ${TABLE} table unavailable - streams are only resumable on the instance producing them`)
+    return
+  }
+
+  // Keep the batch for the next flush
+  console.error('❌ [StreamStore] Failed to persist stream events:', error.message)
+  stream.pending = [...events, ...stream.pending]
+  scheduleFlush(stream)
+}
+
+function scheduleFlush(stream) {
+  if (stream.flushTimer || !persistenceAvailable || !stream.supabase) return
+  stream.flushTimer = setTimeout(() => {
+    flush(stream).catch(error => console.error('❌ [StreamStore] Flush error:', error.message))
+  }, FLUSH_INTERVAL_MS)
+}
+
+async function loadStoredEvents(streamId, { userId, supabase }) {
+  if (!persistenceAvailable || !supabase) return null
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('conversation_id, first_offset, events, finished, created_at')
+    .eq('stream_id', streamId)
+    .eq('user_id', userId)
+    .order('first_offset', { ascending: true })
+
+  if (error) {
+    if (isMissingTableError(error)) {
+      persistenceAvailable = false
+    } else {
+      console.error('❌ [StreamStore] Failed to load stream events:', error.message)
+    }
+    return null
+  }
+  if (!data || data.length === 0) return null
+
+  const last = data[data.length - 1]
+  return {
+    id: streamId,
+    conversationId: data[0].conversation_id,
+    events: data.flatMap(row => row.events || []),
+    finished: data.some(row => row.finished),
+    updatedAt: new Date(last.created_at).getTime()
+  }
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Start recording a stream
+ *
+ * @param {Object} options
+ * @param {string} options.streamId - Client-generated stream id
+ * @param {string} options.userId - Owner
+ * @param {string} options.conversationId - Conversation the answer belongs to
+ * @param {Object} options.supabase - Supabase client used to persist events (optional)
+ * @returns {boolean} False when the stream id is already being recorded on this instance
+ */
+export function openStream({ streamId, userId, conversationId = null, supabase = null }) {
+  pruneMemory()
+  if (streams.has(streamId)) return false
+
+  streams.set(streamId, {
+    id: streamId,
+    userId,
+    conversationId,
+    events: [],
+    finished: false,
+    updatedAt: Date.now(),
+    listeners: new Set(),
+    pending: [],
+    flushTimer: null,
+    supabase
+  })
+
+  // Opportunistic cleanup of this user's old stored events
+  if (persistenceAvailable && supabase) {
+    supabase
+      .from(TABLE)
+      .delete()
+      .eq('user_id', userId)
+      .lt('created_at', new Date(Date.now() - STORED_TTL_MS).toISOString())
+      .then(({ error }) => {
+        if (error && isMissingTableError(error)) persistenceAvailable = false
+      }, () => {})
+  }
+
+  return true
+}
+
+/**
+ * Record an event and hand it to live listeners
+ * A done/error event finishes the stream.
+ *
+ * @param {string} streamId
+ * @param {Object} payload - SSE payload ({ type, ... })
+ * @returns {Object} The payload with its offset (payload unchanged for unknown streams)
+ */
+export function appendStreamEvent(streamId, payload) {
+  const stream = streams.get(streamId)
+  if (!stream || stream.finished) return payload
+
+  const event = { ...payload, offset: stream.events.length }
+  stream.events.push(event)
+  stream.pending.push(event)
+  stream.updatedAt = Date.now()
+
+  for (const listener of stream.listeners) {
+    try {
+      listener(event)
+    } catch (error) {
+      console.error('❌ [StreamStore] Listener error:', error.message)
+    }
+  }
+
+  if (isTerminal(event)) {
+    stream.finished = true
+    stream.listeners.clear()
+    flush(stream).catch(error => console.error('❌ [StreamStore] Flush error:', error.message))
+  } else {
+    scheduleFlush(stream)
+  }
+
+  return event
+}
+
+// ============================================
+// REPLAY
+// ============================================
+
+/**
+ * Look up a stream (memory first, then stored events)
+ *
+ * @param {string} streamId
+ * @param {Object} options
+ * @param {string} options.userId - Only the owner's streams are returned
+ * @param {Object} options.supabase - Supabase client (optional)
+ * @returns {Promise<Object|null>} { id, conversationId, events, finished, updatedAt, local }
+ */
+export async function findStream(streamId, { userId, supabase = null }) {
+  const stream = streams.get(streamId)
+  if (stream) {
+    if (stream.userId !== userId) return null
+    return { ...stream, local: true }
+  }
+
+  const stored = await loadStoredEvents(streamId, { userId, supabase })
+  return stored ? { ...stored, local: false } : null
+}
+
+/**
+ * Replay a stream from an offset as SSE, then follow it until it finishes
+ * Follows live events on the producing instance, polls stored events elsewhere.
+ *
+ * @param {Object} stream - Result of findStream
+ * @param {Object} options
+ * @param {number} options.offset - First offset to send (= number of events already received)
+ * @param {string} options.userId - Owner
+ * @param {Object} options.supabase - Supabase client (optional)
+ * @returns {ReadableStream}
+ */
+export function createReplayStream(stream, { offset = 0, userId, supabase = null }) {
+  let cleanup = () => {}
+
+  return new ReadableStream({
+    start(controller) {
+      let nextOffset = Math.max(0, offset)
+      let closed = false
+
+      const close = () => {
+        if (closed) return
+        closed = true
+        cleanup()
+        try {
+          controller.close()
+        } catch {
+          // Client already gone
+        }
+      }
+
+      const send = (event) => {
+        if (closed || event.offset < nextOffset) return
+        nextOffset = event.offset + 1
+        try {
+          controller.enqueue(encodeStreamEvent(event))
+        } catch {
+          closed = true
+          cleanup()
+          return
+        }
+        if (isTerminal(event)) close()
+      }
+
+      const interrupted = () => {
+        send({
+          type: 'error',
+          error: 'The response was interrupted before it finished. Please try again.',
+          errorType: 'stream_interrupted',
+          offset: nextOffset
+        })
+        close()
+      }
+
+      stream.events.forEach(send)
+      if (closed) return
+      if (stream.finished) {
+        // Finished without a terminal event we could send (e.g. the client already had it)
+        close()
+        return
+      }
+
+      const live = streams.get(stream.id)
+      if (live && !live.finished) {
+        live.listeners.add(send)
+        // Events recorded between the snapshot and subscribing
+        live.events.slice(nextOffset).forEach(send)
+        cleanup = () => live.listeners.delete(send)
+        return
+      }
+      if (live?.finished) {
+        live.events.slice(nextOffset).forEach(send)
+        close()
+        return
+      }
+
+      // Produced on another instance - poll stored events
+      let lastProgressAt = stream.updatedAt || Date.now()
+      const timer = setInterval(async () => {
+        if (closed) return
+        const stored = await loadStoredEvents(stream.id, { userId, supabase }).catch(() => null)
+        if (closed) return
+        if (stored && stored.events.length > nextOffset) {
+          lastProgressAt = Date.now()
+          stored.events.slice(nextOffset).forEach(send)
+        }
+        if (closed) return
+        if (stored?.finished) close()
+        else if (Date.now() - lastProgressAt > STALE_STREAM_MS) interrupted()
+      }, POLL_INTERVAL_MS)
+      cleanup = () => clearInterval(timer)
+    },
+    cancel() {
+      cleanup()
+    }
+  })
+}
@@ -0,0 +1,373 @@
+// lib/ai/tools/tradeTools.js
+/**
+ * First-party "My Trades" tools
+ *
+ * Local tools Vega can call to drill into the user's own history instead of relying only on the
+ * pre-summarized aiContext. They execute server-side:
+ * - query_my_trades reads raw fills from the user's `trades` table
+ * - P&L, worst trades, period comparison and drawdowns read the cached analytics
+ *   (analytics.allTrades: realized P&L per spot sell and futures income, in USD)
+ *
+ * Definitions use the Anthropic format (like converted MCP tools) so they merge with MCP tools
+ * and are transformed for every provider by tools/transformer.js.
+ */
+
+import { calculateEquityCurve, calculateDrawdowns, getWorstDrawdowns, calculateDrawdownStats } from '@/app/analyze/utils/drawdownAnalysis'
+
+const MAX_QUERY_ROWS = 50
+const MAX_WORST_TRADES = 20
+const MAX_DRAWDOWNS = 10
+
+const DATE_PROPERTY = (description) => ({
+  type: 'string',
+  description: `${description} (YYYY-MM-DD or ISO 8601)`
+})
+
+export const TRADE_TOOLS = [
+  {
+    name: 'query_my_trades',
+    description: "Look up the user's own executed trades (fills) from their connected exchanges and CSV uploads. Filter by symbol, side, market and date range. Prices and values are in each trade's quote currency.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        symbol: { type: 'string', description: 'Symbol or part of it, e.g. BTCUSDT or BTC' },
+        side: { type: 'string', enum: ['BUY', 'SELL'], description: 'Only buys or only sells' },
+        account_type: { type: 'string', enum: ['SPOT', 'FUTURES'], description: 'Spot or futures trades' },
+        start_date: DATE_PROPERTY('Earliest trade time'),
+        end_date: DATE_PROPERTY('Latest trade time, inclusive'),
+        limit: { type: 'integer', description: `Maximum trades to return, newest first (default 20, max ${MAX_QUERY_ROWS})` }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'get_my_pnl',
+    description: "Realized P&L for the user's trades over any window: net P&L, wins, losses, win rate, best and worst trade and the top symbols. Amounts in USD.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        start_date: DATE_PROPERTY('Window start'),
+        end_date: DATE_PROPERTY('Window end, inclusive'),
+        symbol: { type: 'string', description: 'Only this symbol (optional)' },
+        account_type: { type: 'string', enum: ['SPOT', 'FUTURES'], description: 'Only spot or only futures (optional)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'get_my_worst_trades',
+    description: "The user's biggest losing trades by realized P&L (USD), optionally within a date range or for one symbol.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: `Number of trades (default 5, max ${MAX_WORST_TRADES})` },
+        start_date: DATE_PROPERTY('Window start'),
+        end_date: DATE_PROPERTY('Window end, inclusive'),
+        symbol: { type: 'string', description: 'Only this symbol (optional)' }
+      },
+      required: []
+    }
+  },
+  {
+    name: 'compare_my_periods',
+    description: "Compare the user's realized performance between two date ranges (e.g. this month vs last month): P&L, trade count, win rate and average win/loss, with the change between them. Amounts in USD.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        period_a_start: DATE_PROPERTY('First period start'),
+        period_a_end: DATE_PROPERTY('First period end, inclusive'),
+        period_b_start: DATE_PROPERTY('Second period start'),
+        period_b_end: DATE_PROPERTY('Second period end, inclusive'),
+        symbol: { type: 'string', description: 'Only this symbol (optional)' }
+      },
+      required: ['period_a_start', 'period_a_end', 'period_b_start', 'period_b_end']
+    }
+  },
+  {
+    name: 'get_my_drawdowns',
+    description: "The user's worst drawdown episodes on their realized equity curve: peak, trough, depth, duration and whether and when they recovered. Amounts in USD.",
+    input_schema: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', description: `Number of episodes (default 5, max ${MAX_DRAWDOWNS})` },
+        start_date: DATE_PROPERTY('Window start'),
+        end_date: DATE_PROPERTY('Window end, inclusive')
+      },
+      required: []
+    }
+  }
+]
+
+const TRADE_TOOL_NAMES = new Set(TRADE_TOOLS.map(tool => tool.name))
+
+/**
+ * Whether a tool call should run locally instead of through MCP
+ */
+export function isTradeTool(toolName) {
+  return TRADE_TOOL_NAMES.has(toolName)
+}
+
+// ============================================
+// HELPERS
+// ============================================
+
+const round = (value, digits = 2) => value === null || value === undefined || !isFinite(value)
+  ? null
+  : Math.round(value * 10 ** digits) / 10 ** digits
+
+const clampLimit = (value, fallback, max) => {
+  const limit = parseInt(value, 10)
+  return Number.isFinite(limit) && limit > 0 ? Math.min(limit, max) : fallback
+}
+
+/**
+ * Parse a tool date; a bare YYYY-MM-DD end date covers the whole day
+ */
+const parseDate = (value, { endOfDay = false } = {}) => {
+  if (!value) return null
+  const text = String(value).trim()
+  const time = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text).getTime()
+  if (!Number.isFinite(time)) {
+    throw new Error(`Invalid date "${value}" - use YYYY-MM-DD`)
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? time + 24 * 60 * 60 * 1000 - 1 : time
+}
+
+const getWindow = (start, end) => ({
+  from: parseDate(start),
+  to: parseDate(end, { endOfDay: true })
+})
+
+const matchesSymbol = (symbol, filter) =>
+  !filter || String(symbol || '').toUpperCase().includes(String(filter).toUpperCase().replace(/[^A-Z0-9]/g, ''))
+
+/**
+ * Realized P&L events from analytics.allTrades within a window
+ */
+const getRealizedEvents = (analytics, { from = null, to = null, symbol = null, accountType = null } = {}) => {
+  const allTrades = analytics?.allTrades || []
+  return allTrades.filter(trade => {
+    const time = new Date(trade.timestamp).getTime()
+    if (from !== null && time < from) return false
+    if (to !== null && time > to) return false
+    if (!matchesSymbol(trade.symbol, symbol)) return false
+    if (accountType && trade.type !== accountType.toLowerCase()) return false
+    return true
+  })
+}
+
+// Closed trades: spot sells and futures realized P&L (commissions and buys only move net P&L)
+const isClosedTrade = (trade) =>
+  (trade.type === 'spot' && trade.side === 'sell') || (trade.type === 'futures' && trade.incomeType === 'REALIZED_PNL')
+
+const toTradeSummary = (trade) => ({
+  time: trade.timestamp,
+  symbol: trade.symbol,
+  market: trade.type,
+  exchange: trade.exchange,
+  realizedPnl: round(trade.realizedPnl),
+  ...(trade.quantity ? { quantity: trade.quantity, price: trade.price } : {})
+})
+
+const summarizeEvents = (events) => {
+  const closed = events.filter(isClosedTrade)
+  const wins = closed.filter(trade => trade.realizedPnl > 0)
+  const losses = closed.filter(trade => trade.realizedPnl < 0)
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.realizedPnl, 0)
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.realizedPnl, 0))
+  const sorted = [...closed].sort((a, b) => a.realizedPnl - b.realizedPnl)
+
+  return {
+    netPnL: round(events.reduce((sum, trade) => sum + (trade.realizedPnl || 0), 0)),
+    closedTrades: closed.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: closed.length > 0 ? round((wins.length / closed.length) * 100, 1) : null,
+    avgWin: wins.length > 0 ? round(grossProfit / wins.length) : null,
+    avgLoss: losses.length > 0 ? round(-grossLoss / losses.length) : null,
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    bestTrade: sorted.length > 0 && sorted[sorted.length - 1].realizedPnl > 0 ? toTradeSummary(sorted[sorted.length - 1]) : null,
+    worstTrade: sorted.length > 0 && sorted[0].realizedPnl < 0 ? toTradeSummary(sorted[0]) : null
+  }
+}
+
+const describeWindow = ({ from, to }) => ({
+  from: from !== null ? new Date(from).toISOString() : 'all time',
+  to: to !== null ? new Date(to).toISOString() : 'now'
+})
+
+// ============================================
+// TOOL IMPLEMENTATIONS
+// ============================================
+
+async function queryMyTrades(input, { supabase, userId }) {
+  const { from, to } = getWindow(input.start_date, input.end_date)
+  const limit = clampLimit(input.limit, 20, MAX_QUERY_ROWS)
+
+  let query = supabase
+    .from('trades')
+    .select('symbol, side, quantity, price, quote_quantity, commission, commission_asset, account_type, exchange, trade_time', { count: 'exact' })
+    .eq('user_id', userId)
+    .neq('side', 'INCOME')
+
+  if (input.symbol) query = query.ilike('symbol', `%${String(input.symbol).replace(/[^A-Za-z0-9]/g, '')}%`)
+  if (input.side) query = query.eq('side', String(input.side).toUpperCase())
+  if (input.account_type) query = query.eq('account_type', String(input.account_type).toUpperCase())
+  if (from !== null) query = query.gte('trade_time', new Date(from).toISOString())
+  if (to !== null) query = query.lte('trade_time', new Date(to).toISOString())
+
+  const { data, count, error } = await query.order('trade_time', { ascending: false }).limit(limit)
+  if (error) {
+    throw new Error(`Failed to query trades: ${error.message}`)
+  }
+
+  return {
+    window: describeWindow({ from, to }),
+    totalMatching: count ?? data.length,
+    returned: data.length,
+    trades: data.map(trade => ({
+      time: trade.trade_time,
+      symbol: trade.symbol,
+      side: trade.side,
+      market: trade.account_type,
+      exchange: trade.exchange,
+      quantity: Number(trade.quantity),
+      price: Number(trade.price),
+      value: Number(trade.quote_quantity),
+      commission: Number(trade.commission),
+      commissionAsset: trade.commission_asset
+    }))
+  }
+}
+
+function getMyPnL(input, { analytics }) {
+  const range = getWindow(input.start_date, input.end_date)
+  const events = getRealizedEvents(analytics, { ...range, symbol: input.symbol, accountType: input.account_type })
+
+  const bySymbol = {}
+  events.forEach(trade => {
+    bySymbol[trade.symbol] = (bySymbol[trade.symbol] || 0) + (trade.realizedPnl || 0)
+  })
+  const symbols = Object.entries(bySymbol)
+    .map(([symbol, pnl]) => ({ symbol, netPnL: round(pnl) }))
+    .sort((a, b) => Math.abs(b.netPnL) - Math.abs(a.netPnL))
+
+  return {
+    currency: 'USD',
+    window: describeWindow(range),
+    ...summarizeEvents(events),
+    topSymbols: symbols.slice(0, 5)
+  }
+}
+
+function getMyWorstTrades(input, { analytics }) {
+  const range = getWindow(input.start_date, input.end_date)
+  const limit = clampLimit(input.limit, 5, MAX_WORST_TRADES)
+  const losers = getRealizedEvents(analytics, { ...range, symbol: input.symbol })
+    .filter(trade => isClosedTrade(trade) && trade.realizedPnl < 0)
+    .sort((a, b) => a.realizedPnl - b.realizedPnl)
+
+  return {
+    currency: 'USD',
+    window: describeWindow(range),
+    totalLosingTrades: losers.length,
+    trades: losers.slice(0, limit).map(toTradeSummary)
+  }
+}
+
+function compareMyPeriods(input, { analytics }) {
+  const windowA = getWindow(input.period_a_start, input.period_a_end)
+  const windowB = getWindow(input.period_b_start, input.period_b_end)
+  const periodA = summarizeEvents(getRealizedEvents(analytics, { ...windowA, symbol: input.symbol }))
+  const periodB = summarizeEvents(getRealizedEvents(analytics, { ...windowB, symbol: input.symbol }))
+
+  const change = (field) => periodA[field] !== null && periodB[field] !== null ? round(periodB[field] - periodA[field]) : null
+
+  return {
+    currency: 'USD',
+    periodA: { ...describeWindow(windowA), ...periodA },
+    periodB: { ...describeWindow(windowB), ...periodB },
+    change: {
+      netPnL: change('netPnL'),
+      closedTrades: periodB.closedTrades - periodA.closedTrades,
+      winRate: change('winRate'),
+      avgWin: change('avgWin'),
+      avgLoss: change('avgLoss'),
+      profitFactor: change('profitFactor')
+    }
+  }
+}
+
+function getMyDrawdowns(input, { analytics }) {
+  const range = getWindow(input.start_date, input.end_date)
+  const limit = clampLimit(input.limit, 5, MAX_DRAWDOWNS)
+  const drawdowns = calculateDrawdowns(calculateEquityCurve(getRealizedEvents(analytics, range)))
+  const stats = calculateDrawdownStats(drawdowns)
+
+  return {
+    currency: 'USD',
+    window: describeWindow(range),
+    totalDrawdowns: stats.totalDrawdowns,
+    averageDrawdownPercent: round(stats.averageDrawdown),
+    episodes: getWorstDrawdowns(drawdowns, limit).map(episode => ({
+      ...episode,
+      peakBalance: round(episode.peakBalance),
+      lowestBalance: round(episode.lowestBalance),
+      drawdownAmount: round(episode.drawdownAmount),
+      drawdownPercent: round(episode.drawdownPercent, 1)
+    }))
+  }
+}
+
+const TOOL_HANDLERS = {
+  query_my_trades: queryMyTrades,
+  get_my_pnl: getMyPnL,
+  get_my_worst_trades: getMyWorstTrades,
+  compare_my_periods: compareMyPeriods,
+  get_my_drawdowns: getMyDrawdowns
+}
+
+/**
+ * Load the user's cached analytics for the analytics-backed tools (an expired cache is still the
+ * best available history)
+ */
+async function loadCachedAnalytics(supabase, userId) {
+  const { data, error } = await supabase
+    .from('user_analytics_cache')
+    .select('analytics_data')
+    .eq('user_id', userId)
+    .single()
+
+  if (error || !data?.analytics_data) {
+    return null
+  }
+  return data.analytics_data
+}
+
+/**
+ * Execute a "My Trades" tool
+ * @param {string} toolName - One of TRADE_TOOLS
+ * @param {Object} toolInput - Tool arguments from the model
+ * @param {Object} context - { supabase, userId, analytics } (analytics: USD analytics_data, loaded from the cache when omitted)
+ * @returns {Promise<string>} JSON result, like callMCPTool
+ */
+export async function executeTradeTool(toolName, toolInput = {}, context = {}) {
+  const handler = TOOL_HANDLERS[toolName]
+  if (!handler) {
+    throw new Error(`Unknown trade tool: ${toolName}`)
+  }
+  if (!context.supabase || !context.userId) {
+    throw new Error('Trade tools require an authenticated user')
+  }
+
+  if (toolName !== 'query_my_trades' && !context.analytics?.allTrades) {
+    // Kept on the context so later tool calls in the same request reuse it
+    context.analytics = await loadCachedAnalytics(context.supabase, context.userId)
+    if (!context.analytics?.allTrades) {
+      return JSON.stringify({ error: 'No analyzed trades yet - the user needs to connect an exchange or upload trades first' })
+    }
+  }
+
+  const result = await handler(toolInput || {}, context)
+  return JSON.stringify(result)
+}
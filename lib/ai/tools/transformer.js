@@ -52,6 +52,34 @@ export function transformToolsForModel(tools, modelId) {
   return tools
 }
 
+/**
+ * Merge tool sets from different sources (e.g. first-party trade tools and MCP tools)
+ *
+ * transformToolsForModel detects the source format from the first tool, so every tool is
+ * normalized to Anthropic format here. Names must be unique - the first definition wins.
+ *
+ * @param {...Array} toolSets - Arrays of tool definitions (Anthropic or OpenAI format)
+ * @returns {Array} Merged tool definitions in Anthropic format
+ */
+export function mergeToolSets(...toolSets) {
+  const merged = new Map()
+
+  for (const tools of toolSets) {
+    if (!Array.isArray(tools)) continue
+
+    for (const tool of tools) {
+      const normalized = detectToolFormat(tool) === TOOL_FORMATS.OPENAI ? openAIToAnthropic(tool) : tool
+      if (merged.has(normalized.name)) {
+        console.warn(`[ToolTransformer] Duplicate tool name ignored: ${normalized.name}`)
+        continue
+      }
+      merged.set(normalized.name, normalized)
+    }
+  }
+
+  return Array.from(merged.values())
+}
+
 /**
  * Detect the format of a tool definition
  * 
@@ -340,3 +368,66 @@ export function extractToolCalls(message) {
   
   return calls
 }
+
+/**
+ * Convert an Anthropic-format conversation to OpenAI chat format
+ *
+ * The chat route builds tool rounds the Anthropic way (assistant tool_use blocks followed by a
+ * user message of tool_result blocks). OpenAI-compatible APIs expect assistant tool_calls and one
+ * role 'tool' message per result instead. Messages that are already plain strings pass through.
+ *
+ * @param {Array} messages - Messages (Anthropic or OpenAI format)
+ * @returns {Array} Messages in OpenAI format
+ */
+export function transformMessagesToOpenAI(messages) {
+  const transformed = []
+
+  for (const message of messages || []) {
+    if (!Array.isArray(message.content)) {
+      transformed.push(message)
+      continue
+    }
+
+    const text = message.content
+      .filter(block => block.type === 'text' && block.text)
+      .map(block => block.text)
+      .join('\n')
+    const toolUses = message.content.filter(block => block.type === 'tool_use')
+    const toolResults = message.content.filter(block => block.type === 'tool_result')
+
+    if (message.role === 'assistant' && toolUses.length > 0) {
+      transformed.push({
+        role: 'assistant',
+        content: text || null,
+        tool_calls: toolUses.map(block => ({
+          id: block.id,
+          type: 'function',
+          function: {
+            name: block.name,
+            arguments: JSON.stringify(block.input || {})
+          }
+        }))
+      })
+      continue
+    }
+
+    if (toolResults.length > 0) {
+      for (const block of toolResults) {
+        transformed.push(transformToolResultForOpenAI({
+          id: block.tool_use_id,
+          result: Array.isArray(block.content)
+            ? block.content.map(c => c.text || '').join('')
+            : block.content
+        }))
+      }
+      if (text) {
+        transformed.push({ role: message.role, content: text })
+      }
+      continue
+    }
+
+    transformed.push({ role: message.role, content: text })
+  }
+
+  return transformed
+}
@@ -0,0 +1,255 @@
+// lib/exchangeSync.js
+// Shared sync runner for manual refreshes (/api/exchange/refresh-all) and background auto-sync (/api/cron/sync-exchanges)
+// Callers pass the Supabase client to use (session client for users, admin client for cron) and a storeTrades
+// function that posts to /api/trades/store - the store endpoint dedupes, enforces trade limits and
+// invalidates user_analytics_cache when new trades land
+
+import { decrypt } from '@/lib/encryption'
+import { getActivities } from '@/lib/snaptrade-client'
+import { transformActivitiesToTrades } from '@/lib/snaptrade-transform'
+import { isSupportedExchange, fetchExchangeData } from '@/app/analyze/utils/exchanges'
+import {
+  normalizeSyncCursor,
+  getSyncSince,
+  filterNewRecords,
+  advanceSyncCursor,
+  getSpotRecordId,
+  getIncomeRecordId
+} from '@/lib/syncCursor'
+
+const MINUTE_MS = 60 * 1000
+
+// Auto-sync retry delay after consecutive failures: 30m, 1h, 2h ... capped at 24h
+const SYNC_BACKOFF_BASE_MS = 30 * MINUTE_MS
+const SYNC_BACKOFF_MAX_MS = 24 * 60 * MINUTE_MS
+
+export const getSyncBackoffMs = (failureCount) => {
+  if (!failureCount || failureCount < 1) return 0
+  return Math.min(SYNC_BACKOFF_MAX_MS, SYNC_BACKOFF_BASE_MS * 2 ** (failureCount - 1))
+}
+
+/**
+ * Build a storeTrades(payload) function that posts to /api/trades/store
+ * @param {string} baseUrl - Origin of this deployment
+ * @param {Object} headers - Extra headers to forward (cookie / authorization)
+ */
+export const createTradeStore = (baseUrl, headers = {}) => async (payload) => {
+  const storeResponse = await fetch(`${baseUrl}/api/trades/store`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(payload)
+  })
+
+  const storeResult = await storeResponse.json()
+
+  if (!storeResponse.ok) {
+    throw new Error(storeResult.error || storeResult.message || 'Failed to store trades')
+  }
+
+  return storeResult
+}
+
+/**
+ * Decrypt a connection's stored API credentials
+ * @throws {Error} When credentials are missing or fail to decrypt
+ */
+export const decryptConnectionCredentials = (conn) => {
+  if (!conn.api_key_encrypted || !conn.api_secret_encrypted) {
+    throw new Error(`API credentials not found in database (api_key: ${!!conn.api_key_encrypted}, api_secret: ${!!conn.api_secret_encrypted})`)
+  }
+
+  if (conn.api_key_encrypted.trim() === '' || conn.api_secret_encrypted.trim() === '') {
+    throw new Error('API credentials are empty strings in database')
+  }
+
+  let apiKey, apiSecret, passphrase
+  try {
+    apiKey = decrypt(conn.api_key_encrypted)
+    apiSecret = decrypt(conn.api_secret_encrypted)
+    passphrase = conn.api_passphrase_encrypted ? decrypt(conn.api_passphrase_encrypted) : null
+  } catch (decryptError) {
+    throw new Error(`Failed to decrypt API credentials: ${decryptError.message}`)
+  }
+
+  if (!apiKey || !apiSecret || apiKey.trim() === '' || apiSecret.trim() === '') {
+    throw new Error('Failed to decrypt API credentials: decrypted credentials are empty or invalid')
+  }
+
+  return { apiKey, apiSecret, passphrase }
+}
+
+/**
+ * Sync one API-key connection from its cursor and advance the cursor past what was stored
+ * Also clears any auto-sync backoff on success
+ * @param {Object} supabase - Client allowed to update the connection row
+ * @param {Object} conn - exchange_connections row (credentials, sync_cursor)
+ * @param {Object} options - { userId, storeTrades }
+ * @returns {Promise<{ connectionId, exchange, newTrades, newBySymbol, incremental, failedTrades, totalFetched }>}
+ */
+export const syncApiConnection = async (supabase, conn, { userId, storeTrades }) => {
+  const exchangeName = conn.exchange.toLowerCase()
+  if (!isSupportedExchange(exchangeName)) {
+    throw new Error(`Unsupported exchange: ${exchangeName}`)
+  }
+
+  const credentials = decryptConnectionCredentials(conn)
+  const cursor = normalizeSyncCursor(conn.sync_cursor)
+  const since = getSyncSince(cursor)
+  const syncStartedAt = Date.now()
+
+  console.log(`📡 Fetching data from ${exchangeName} (${since ? `since ${new Date(since).toISOString()}` : 'full history'})`)
+  const data = await fetchExchangeData(exchangeName, credentials, { since })
+  const { spotTrades, futuresIncome, futuresTrades, newBySymbol } = filterNewRecords(cursor, data)
+  const totalFetched = data.spotTrades.length + data.futuresIncome.length + data.futuresTrades.length
+
+  const syncedFields = {
+    last_synced: new Date().toISOString(),
+    sync_failure_count: 0,
+    next_sync_at: null
+  }
+
+  if (spotTrades.length === 0 && futuresIncome.length === 0 && futuresTrades.length === 0) {
+    // Nothing past the cursor - just move syncedThrough forward
+    await supabase
+      .from('exchange_connections')
+      .update({ ...syncedFields, sync_cursor: advanceSyncCursor(cursor, {}, { syncStartedAt }) })
+      .eq('id', conn.id)
+
+    console.log(`✅ ${conn.exchange} is up to date`)
+    return {
+      connectionId: conn.id,
+      exchange: conn.exchange,
+      newTrades: 0,
+      newBySymbol: {},
+      incremental: !!since,
+      failedTrades: 0,
+      totalFetched
+    }
+  }
+
+  const storeResult = await storeTrades({
+    spotTrades,
+    futuresIncome,
+    futuresTrades,
+    userId,
+    exchange: exchangeName,
+    connectionId: conn.id,
+    metadata: data.metadata
+  })
+
+  // Advance the cursor past what was stored and update last_synced
+  const failedTradeIds = storeResult.failedTradeIds || []
+  await supabase
+    .from('exchange_connections')
+    .update({
+      ...syncedFields,
+      sync_cursor: advanceSyncCursor(cursor, { spotTrades, futuresIncome, futuresTrades }, { syncStartedAt, failedIds: failedTradeIds })
+    })
+    .eq('id', conn.id)
+
+  // Per-symbol counts exclude records the store could not insert
+  const failedSet = new Set(failedTradeIds)
+  const storedBySymbol = failedSet.size === 0
+    ? newBySymbol
+    : filterNewRecords(null, {
+      spotTrades: spotTrades.filter(t => !failedSet.has(getSpotRecordId(t))),
+      futuresIncome: futuresIncome.filter(r => !failedSet.has(getIncomeRecordId(r)))
+    }).newBySymbol
+
+  const newTradesCount = storeResult.tradesCount || 0
+  console.log(`✅ Refreshed ${conn.exchange}: ${newTradesCount} new trades stored`, storedBySymbol)
+
+  return {
+    connectionId: conn.id,
+    exchange: conn.exchange,
+    newTrades: newTradesCount,
+    newBySymbol: storedBySymbol,
+    incremental: !!since,
+    failedTrades: failedTradeIds.length,
+    totalFetched
+  }
+}
+
+/**
+ * Sync all of a user's SnapTrade brokerage connections (one activities fetch covers every brokerage)
+ * @param {Object} supabase - Client allowed to read snaptrade_users and update the connection rows
+ * @param {Array} connections - The user's snaptrade exchange_connections rows
+ * @param {Object} options - { userId, storeTrades }
+ * @returns {Promise<{ newTrades: number, newTradesByConnection: Object, totalFetched: number }>}
+ *   newTradesByConnection maps connection id -> trades stored for that brokerage
+ */
+export const syncSnaptradeConnections = async (supabase, connections, { userId, storeTrades }) => {
+  console.log(`🔄 Refreshing ${connections.length} SnapTrade brokerage connection(s) using SDK...`)
+
+  // Get SnapTrade user credentials from database
+  const { data: snaptradeUser, error: snaptradeUserError } = await supabase
+    .from('snaptrade_users')
+    .select('snaptrade_user_id, user_secret_encrypted')
+    .eq('user_id', userId)
+    .single()
+
+  if (snaptradeUserError || !snaptradeUser) {
+    throw new Error('User not registered with SnapTrade. Please register first.')
+  }
+
+  const userSecret = decrypt(snaptradeUser.user_secret_encrypted)
+
+  // Fetch all accounts - store endpoint will map trades to correct connections by brokerage
+  const activities = await getActivities(snaptradeUser.snaptrade_user_id, userSecret, {})
+  const trades = transformActivitiesToTrades(activities)
+
+  console.log(`✅ Transformed ${activities.length} SnapTrade activities to ${trades.length} trades`)
+
+  const storeResult = await storeTrades({
+    spotTrades: trades,
+    futuresIncome: [], // SnapTrade doesn't provide futures income in activities
+    userId,
+    exchange: 'snaptrade',
+    connectionId: null, // Store endpoint will map by brokerage name
+    metadata: {
+      primaryCurrency: 'USD',
+      accountType: 'SPOT',
+      source: 'snaptrade',
+    },
+  })
+
+  await supabase
+    .from('exchange_connections')
+    .update({ last_synced: new Date().toISOString(), sync_failure_count: 0, next_sync_at: null })
+    .in('id', connections.map(c => c.id))
+
+  const newTrades = storeResult.tradesCount || 0
+  console.log(`✅ Refreshed SnapTrade: ${newTrades} new trades stored across ${connections.length} brokerage connection(s)`)
+
+  return { newTrades, newTradesByConnection: storeResult.insertedByConnection || {}, totalFetched: activities.length }
+}
+
+/**
+ * Append rows to exchange_sync_history (non-critical - failures are only logged)
+ * @param {Object} supabase - Client allowed to insert for these users
+ * @param {Array} entries - [{ userId, connectionId, exchange, trigger: 'manual'|'auto', status: 'success'|'error',
+ *                           newTrades, newBySymbol, error, startedAt }]
+ */
+export const recordSyncHistory = async (supabase, entries) => {
+  if (!entries.length) return
+
+  const finishedAt = new Date()
+  const rows = entries.map(entry => ({
+    user_id: entry.userId,
+    connection_id: entry.connectionId,
+    exchange: entry.exchange,
+    trigger: entry.trigger,
+    status: entry.status,
+    new_trades: entry.newTrades || 0,
+    new_by_symbol: entry.newBySymbol || {},
+    error: entry.error || null,
+    started_at: new Date(entry.startedAt).toISOString(),
+    finished_at: finishedAt.toISOString(),
+    duration_ms: finishedAt.getTime() - entry.startedAt
+  }))
+
+  const { error } = await supabase.from('exchange_sync_history').insert(rows)
+  if (error) {
+    console.warn('⚠️ Failed to record sync history (non-critical):', error.message)
+  }
+}
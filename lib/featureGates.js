@@ -7,6 +7,7 @@ export const TIER_LIMITS = {
     maxTradesPerMonth: 500,
     maxReportsPerMonth: 0,
     maxTokensPerMonth: 10000, // 10k tokens per month for free tier (testing)
+    autoSyncIntervalHours: null, // No background auto-sync
     features: [
       'basic_analytics',
       'psychology_score',
@@ -20,6 +21,7 @@ export const TIER_LIMITS = {
     maxTradesPerMonth: 1000,
     maxReportsPerMonth: Infinity,
     maxTokensPerMonth: 100000, // 100k tokens per month for trader tier (testing)
+    autoSyncIntervalHours: 12,
     features: [
       'basic_analytics',
       'psychology_score',
@@ -33,6 +35,7 @@ export const TIER_LIMITS = {
     maxTradesPerMonth: Infinity,
     maxReportsPerMonth: Infinity,
     maxTokensPerMonth: 1000000, // 1M tokens per month for pro tier (testing)
+    autoSyncIntervalHours: 1,
     features: [
       'basic_analytics',
       'psychology_score',
@@ -60,6 +63,17 @@ export function canAccessFeature(userTierOrSubscription, feature) {
   return tierConfig.features.includes(feature)
 }
 
+/**
+ * How often /api/cron/sync-exchanges may sync a user's connections
+ * @param {object} subscription - Subscription object
+ * @returns {number|null} Interval in ms, or null when the tier has no auto-sync
+ */
+export function getAutoSyncIntervalMs(subscription) {
+  const effectiveTier = getEffectiveTier(subscription)
+  const hours = TIER_LIMITS[effectiveTier]?.autoSyncIntervalHours
+  return hours ? hours * 60 * 60 * 1000 : null
+}
+
 /**
  * Check if user can add another exchange connection
  */
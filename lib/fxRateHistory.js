@@ -0,0 +1,127 @@
+// lib/fxRateHistory.js
+// Daily FX rate history (currency_exchange_rates: one row per currency per rate_date, units per 1 USD)
+// Written daily by /api/cron/update-currency-rates and backfilled by POSTing a rate file to the same route;
+// read by /api/currency-rate/history and /api/analytics/compute for trade-date conversion and base currency reporting
+
+const PAGE_SIZE = 1000
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const CURRENCY_PATTERN = /^[A-Z]{3}$/
+
+export const isValidRateDate = (value) => DATE_PATTERN.test(value || '') && !isNaN(Date.parse(`${value}T00:00:00Z`))
+
+const toRow = (date, currency, rate) => {
+  const rateDate = String(date || '').trim()
+  const currencyCode = String(currency || '').trim().toUpperCase()
+  const value = parseFloat(rate)
+
+  if (!isValidRateDate(rateDate) || !CURRENCY_PATTERN.test(currencyCode) || !isFinite(value) || value <= 0) {
+    return null
+  }
+  return { currency_code: currencyCode, rate: value, rate_date: rateDate }
+}
+
+/**
+ * Parse a backfill file into currency_exchange_rates rows
+ * Accepts CSV with a date,currency,rate header (column order free) or JSON shaped as
+ * [{ date, currency, rate }] or { "YYYY-MM-DD": { INR: 83.1, ... } }. Rates are units per 1 USD
+ * @param {string} text - File contents
+ * @returns {{ rows: Array, skipped: number }} Later duplicates of a currency/date win
+ */
+export function parseFxRateFile(text) {
+  const source = String(text || '').trim()
+  const parsed = []
+  let skipped = 0
+
+  const add = (row) => {
+    if (row) parsed.push(row)
+    else skipped++
+  }
+
+  if (source.startsWith('[') || source.startsWith('{')) {
+    const json = JSON.parse(source)
+    if (Array.isArray(json)) {
+      json.forEach(entry => add(toRow(entry.date ?? entry.rate_date, entry.currency ?? entry.currency_code, entry.rate)))
+    } else {
+      Object.entries(json).forEach(([date, rates]) => {
+        Object.entries(rates || {}).forEach(([currency, rate]) => add(toRow(date, currency, rate)))
+      })
+    }
+  } else {
+    const lines = source.split(/\r?\n/).filter(line => line.trim())
+    const header = (lines.shift() || '').toLowerCase().split(',').map(column => column.trim())
+    const dateIndex = header.findIndex(column => column === 'date' || column === 'rate_date')
+    const currencyIndex = header.findIndex(column => column === 'currency' || column === 'currency_code')
+    const rateIndex = header.indexOf('rate')
+
+    if (dateIndex === -1 || currencyIndex === -1 || rateIndex === -1) {
+      throw new Error('CSV header must include date, currency and rate columns')
+    }
+
+    lines.forEach(line => {
+      const cells = line.split(',')
+      add(toRow(cells[dateIndex], cells[currencyIndex], cells[rateIndex]))
+    })
+  }
+
+  const byKey = new Map()
+  parsed.forEach(row => byKey.set(`${row.currency_code}|${row.rate_date}`, row))
+  return { rows: [...byKey.values()], skipped }
+}
+
+/**
+ * Daily rates for one currency between two dates (inclusive)
+ * @param {Object} supabase - Supabase client allowed to read currency_exchange_rates
+ * @param {string} currency - e.g. 'INR'
+ * @param {string} fromDate - YYYY-MM-DD
+ * @param {string} toDate - YYYY-MM-DD
+ * @returns {Promise<Object>} { 'YYYY-MM-DD': rate } (units per 1 USD)
+ */
+export async function fetchFxRateHistory(supabase, currency, fromDate, toDate) {
+  const history = {}
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('currency_exchange_rates')
+      .select('rate, rate_date')
+      .eq('currency_code', currency)
+      .gte('rate_date', fromDate)
+      .lte('rate_date', toDate)
+      .order('rate_date', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+
+    if (error) {
+      throw new Error(`Failed to fetch ${currency} rate history: ${error.message}`)
+    }
+
+    (data || []).forEach(row => {
+      const rate = parseFloat(row.rate)
+      if (isFinite(rate) && rate > 0) history[row.rate_date] = rate
+    })
+
+    if (!data || data.length < PAGE_SIZE) break
+  }
+
+  return history
+}
+
+/**
+ * Most recent stored rate for a currency
+ * @param {Object} supabase - Supabase client allowed to read currency_exchange_rates
+ * @param {string} currency - e.g. 'INR'
+ * @returns {Promise<number|null>} Units per 1 USD, or null when nothing is stored
+ */
+export async function fetchLatestFxRate(supabase, currency) {
+  const { data, error } = await supabase
+    .from('currency_exchange_rates')
+    .select('rate')
+    .eq('currency_code', currency)
+    .order('rate_date', { ascending: false })
+    .limit(1)
+
+  if (error) {
+    throw new Error(`Failed to fetch ${currency} rate: ${error.message}`)
+  }
+
+  const rate = parseFloat(data?.[0]?.rate)
+  return isFinite(rate) && rate > 0 ? rate : null
+}
@@ -0,0 +1,43 @@
+// lib/hooks/useExcursionAnalysis.js
+'use client'
+
+import { useState, useEffect, useRef } from 'react'
+import { analyzeExcursions } from '@/app/analyze/utils/excursionAnalysis'
+
+/**
+ * MAE / MFE and exit efficiency for an analysis, loaded after the analysis itself
+ * Candles are requested per closed trade, so measured trades are cached for the lifetime of the
+ * component: changing filters or the cost basis method only requests trades not measured yet.
+ * @param {Object} analytics - analyzeData result in USD (spotAnalysis.lotLedger, futuresAnalysis.positionHistory)
+ * @param {Object} options - { enabled, provider } - enabled false skips loading (e.g. tab not visible)
+ * @returns {{ excursions: Object|null, loading: boolean }}
+ */
+export function useExcursionAnalysis(analytics, { enabled = true, provider } = {}) {
+  const [excursions, setExcursions] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const cacheRef = useRef(new Map())
+
+  const lotLedger = analytics?.spotAnalysis?.lotLedger
+  const positions = analytics?.futuresAnalysis?.positionHistory?.positions
+
+  useEffect(() => {
+    if (!enabled || (!lotLedger && !positions)) return
+
+    let cancelled = false
+    setLoading(true)
+    analyzeExcursions({ lotLedger, positions }, { provider, cache: cacheRef.current })
+      .then(result => {
+        if (!cancelled) setExcursions(result)
+      })
+      .catch(error => {
+        if (!cancelled) console.error('Error analyzing excursions:', error)
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => { cancelled = true }
+  }, [enabled, lotLedger, positions, provider])
+
+  return { excursions, loading }
+}
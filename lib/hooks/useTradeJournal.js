@@ -0,0 +1,104 @@
+// lib/hooks/useTradeJournal.js
+'use client'
+
+import { useState, useEffect, useMemo, useCallback } from 'react'
+import { indexJournalEntries, getJournalKey } from '@/app/analyze/utils/tradeJournal'
+
+/**
+ * Load and edit the signed-in user's trade journal (/api/trades/journal)
+ * @param {Object} options - { enabled } - pass false in demo mode to skip all requests
+ * @returns {{ entries, journalIndex, loading, loaded, error, saveEntry, deleteEntry, uploadScreenshots }}
+ */
+export function useTradeJournal({ enabled = true } = {}) {
+  const [entries, setEntries] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [loaded, setLoaded] = useState(false) // entries reflect the server (not just the initial [])
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!enabled) return
+
+    let cancelled = false
+    const fetchJournal = async () => {
+      setLoading(true)
+      try {
+        const response = await fetch('/api/trades/journal')
+        const data = await response.json()
+        if (cancelled) return
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to load journal')
+        }
+        setEntries(data.entries || [])
+        setLoaded(true)
+        setError(null)
+      } catch (err) {
+        if (!cancelled) {
+          console.error('Error loading trade journal:', err)
+          setError(err.message)
+        }
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchJournal()
+    return () => { cancelled = true }
+  }, [enabled])
+
+  const journalIndex = useMemo(() => indexJournalEntries(entries), [entries])
+
+  const replaceEntry = useCallback((exchange, tradeId, entry) => {
+    const key = getJournalKey(exchange, tradeId)
+    setEntries(prev => {
+      const rest = prev.filter(e => getJournalKey(e.exchange, e.tradeId) !== key)
+      return entry ? [entry, ...rest] : rest
+    })
+  }, [])
+
+  /**
+   * @param {Object} payload - { exchange, tradeId, notes, tags, attachmentIds }
+   * @returns {Promise<Object|null>} Saved entry (null when the entry was emptied and removed)
+   */
+  const saveEntry = useCallback(async (payload) => {
+    const response = await fetch('/api/trades/journal', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    })
+    const data = await response.json()
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to save journal entry')
+    }
+    replaceEntry(payload.exchange, payload.tradeId, data.entry)
+    return data.entry
+  }, [replaceEntry])
+
+  const deleteEntry = useCallback(async (exchange, tradeId) => {
+    const params = new URLSearchParams({ exchange, tradeId: String(tradeId) })
+    const response = await fetch(`/api/trades/journal?${params.toString()}`, { method: 'DELETE' })
+    const data = await response.json()
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to delete journal entry')
+    }
+    replaceEntry(exchange, tradeId, null)
+  }, [replaceEntry])
+
+  /**
+   * Upload screenshots through /api/files/upload
+   * @returns {Promise<{ uploaded: Array, errors: string[] }>} uploaded = file_uploads rows
+   */
+  const uploadScreenshots = useCallback(async (files) => {
+    const formData = new FormData()
+    formData.append('purpose', 'journal')
+    Array.from(files).forEach(file => formData.append('files', file))
+
+    const response = await fetch('/api/files/upload', { method: 'POST', body: formData })
+    const data = await response.json()
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || 'Failed to upload screenshots')
+    }
+    return { uploaded: data.uploaded || [], errors: data.errors || [] }
+  }, [])
+
+  return { entries, journalIndex, loading, loaded, error, saveEntry, deleteEntry, uploadScreenshots }
+}
@@ -0,0 +1,71 @@
+// lib/journalScreenshots.js
+// Cleanup for trade journal screenshots (file_uploads rows with purpose = 'journal' in the trade-files bucket)
+//
+// Screenshots are uploaded before the entry is saved, so a file can end up referenced by no entry:
+// removed from an entry, entry cleared, or the editor closed without saving. Dropped files are removed
+// when the entry is saved; files that were never saved are pruned once they're older than the grace period.
+
+// Uploads younger than this may still belong to an editor that hasn't saved yet
+const UNSAVED_GRACE_MS = 60 * 60 * 1000
+
+/**
+ * Delete screenshots from storage and file_uploads
+ * @param {Object} supabase - Supabase client for the user
+ * @param {string} userId
+ * @param {Array} attachments - [{ id, storage_path }]
+ */
+export async function removeJournalScreenshots(supabase, userId, attachments = []) {
+  if (attachments.length === 0) return
+
+  const { error: storageError } = await supabase
+    .storage
+    .from('trade-files')
+    .remove(attachments.map(a => a.storage_path).filter(Boolean))
+
+  if (storageError) {
+    console.warn('⚠️ [Journal] Failed to remove screenshots (non-critical):', storageError.message)
+  }
+
+  const { error: dbError } = await supabase
+    .from('file_uploads')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', attachments.map(a => a.id))
+
+  if (dbError) {
+    console.warn('⚠️ [Journal] Failed to remove screenshot records (non-critical):', dbError.message)
+  }
+}
+
+/**
+ * Remove the user's journal uploads that no entry references (past the grace period)
+ * @param {Object} supabase - Supabase client for the user
+ * @param {string} userId
+ * @returns {Promise<number>} Number of screenshots removed
+ */
+export async function pruneUnsavedJournalScreenshots(supabase, userId) {
+  const cutoff = new Date(Date.now() - UNSAVED_GRACE_MS).toISOString()
+
+  const { data: files, error: filesError } = await supabase
+    .from('file_uploads')
+    .select('id, storage_path')
+    .eq('user_id', userId)
+    .eq('purpose', 'journal')
+    .lt('uploaded_at', cutoff)
+
+  if (filesError || !files || files.length === 0) return 0
+
+  const { data: entries, error: entriesError } = await supabase
+    .from('trade_journal')
+    .select('attachments')
+    .eq('user_id', userId)
+
+  // Without the entries we can't tell what's referenced - keep everything
+  if (entriesError) return 0
+
+  const referenced = new Set((entries || []).flatMap(entry => (entry.attachments || []).map(a => a.id)))
+  const unsaved = files.filter(file => !referenced.has(file.id))
+
+  await removeJournalScreenshots(supabase, userId, unsaved)
+  return unsaved.length
+}
@@ -154,6 +154,34 @@ export async function getDrawdownInsights(drawdown, normalizedData = null) {
   }
 }
 
+/**
+ * Get historical OHLC candles for one instrument (same market data the context endpoints use)
+ * Not logged here: callers request candles per trade and report failures in one summary
+ * @param {Object} params - { symbol, instrument, interval, startTime, endTime } (times in ms)
+ * @returns {Promise<Array>} Candles { time, open, high, low, close, volume }
+ */
+export async function getHistoricalCandles({ symbol, instrument, interval, startTime, endTime }) {
+  const response = await fetch(`${BACKEND_URL}/api/context/candles`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      symbol,
+      instrument,
+      interval,
+      startTime: new Date(startTime).toISOString(),
+      endTime: new Date(endTime).toISOString()
+    })
+  })
+
+  if (!response.ok) {
+    const error = await response.json()
+    throw new Error(error.error || `HTTP ${response.status}`)
+  }
+
+  const data = await response.json()
+  return data.candles || []
+}
+
 /**
  * Get WebSocket status
  * @returns {Promise<Object>}
@@ -0,0 +1,190 @@
+// lib/syncCursor.js
+// Incremental sync cursors stored on exchange_connections.sync_cursor
+//
+// Shape:
+//   {
+//     version: 1,
+//     syncedThrough: ms | null,  // fetch start of the last sync whose trades were all stored
+//     spot:    { [symbol]: { lastTime, recentIds } },
+//     futures: { [symbol]: { lastTime, recentIds } },  // futures fills
+//     income:  { [incomeType]: { [symbol]: { lastTime, recentIds } } }
+//   }
+// Cursors saved before futures fills were synced have no futures section and start it empty
+// recentIds maps every record id within SYNC_OVERLAP_MS of lastTime to its time, so records inside the
+// re-fetched overlap are deduped by id: late-settled ones get through, already stored ones don't.
+// Positions saved before that carry lastIds (the ids at lastTime) instead
+
+const HOUR_MS = 60 * 60 * 1000
+
+export const SYNC_CURSOR_VERSION = 1
+
+// Re-request this much history before syncedThrough to catch records the exchange settles late
+export const SYNC_OVERLAP_MS = HOUR_MS
+
+// Full re-fetches are expensive, so they keep the 24h cooldown; incremental syncs only need a short gap
+export const FULL_SYNC_COOLDOWN_MS = 24 * HOUR_MS
+export const INCREMENTAL_SYNC_COOLDOWN_MS = 15 * 60 * 1000
+
+/**
+ * Fill in defaults for a stored cursor (null / legacy / other version -> empty cursor)
+ */
+export const normalizeSyncCursor = (raw) => {
+  if (!raw || raw.version !== SYNC_CURSOR_VERSION) {
+    return { version: SYNC_CURSOR_VERSION, syncedThrough: null, spot: {}, futures: {}, income: {} }
+  }
+  return {
+    version: SYNC_CURSOR_VERSION,
+    syncedThrough: raw.syncedThrough || null,
+    spot: raw.spot || {},
+    futures: raw.futures || {},
+    income: raw.income || {}
+  }
+}
+
+export const isIncrementalCursor = (cursor) => !!normalizeSyncCursor(cursor).syncedThrough
+
+/**
+ * Start of the next fetch window, or null when a full sync is needed
+ */
+export const getSyncSince = (cursor) => {
+  const { syncedThrough } = normalizeSyncCursor(cursor)
+  return syncedThrough ? syncedThrough - SYNC_OVERLAP_MS : null
+}
+
+/**
+ * Time left before a connection can refresh again
+ * @param {string|null} lastSynced - exchange_connections.last_synced
+ * @param {boolean} incremental - Whether the connection has a usable cursor
+ */
+export const getCooldownRemainingMs = (lastSynced, incremental, now = Date.now()) => {
+  if (!lastSynced) return 0
+  const cooldownMs = incremental ? INCREMENTAL_SYNC_COOLDOWN_MS : FULL_SYNC_COOLDOWN_MS
+  return Math.max(0, cooldownMs - (now - new Date(lastSynced).getTime()))
+}
+
+/**
+ * Cooldown between refreshes for a connection row ({ last_synced, sync_cursor })
+ * @returns {{ cooldownMs: number, remainingMs: number, incremental: boolean }}
+ */
+export const getRefreshCooldown = (connection, now = Date.now()) => {
+  const incremental = isIncrementalCursor(connection.sync_cursor)
+  return {
+    cooldownMs: incremental ? INCREMENTAL_SYNC_COOLDOWN_MS : FULL_SYNC_COOLDOWN_MS,
+    remainingMs: getCooldownRemainingMs(connection.last_synced, incremental, now),
+    incremental
+  }
+}
+
+// Ids must match the trade_id the store endpoint writes
+export const getSpotRecordId = (trade) => String(trade.id)
+export const getIncomeRecordId = (income) => `${String(income.tranId || income.id)}_${income.incomeType || 'UNKNOWN'}`
+export const getFuturesFillRecordId = (fill) => `${String(fill.id)}_FILL`
+
+const getRecentIds = (position) => position.recentIds ||
+  Object.fromEntries((position.lastIds || []).map(id => [id, position.lastTime]))
+
+// Older than the overlap window: covered by an earlier sync. Inside it: new unless the id was seen
+const isNewer = (position, time, id) => {
+  if (!position) return true
+  if (time > position.lastTime) return true
+  if (time < position.lastTime - SYNC_OVERLAP_MS) return false
+  return !Object.hasOwn(getRecentIds(position), id)
+}
+
+const advancePosition = (position, time, id) => {
+  const lastTime = position ? Math.max(position.lastTime, time) : time
+  const ids = { ...(position ? getRecentIds(position) : {}), [id]: time }
+  const recentIds = Object.fromEntries(
+    Object.entries(ids).filter(([, idTime]) => idTime >= lastTime - SYNC_OVERLAP_MS)
+  )
+  return { lastTime, recentIds }
+}
+
+const countBySymbol = (counts, symbol) => {
+  counts[symbol] = (counts[symbol] || 0) + 1
+}
+
+/**
+ * Drop records the cursor has already seen
+ * @param {Object} cursor - Stored sync cursor
+ * @param {Object} data - { spotTrades, futuresIncome, futuresTrades } in the normalized adapter shape
+ * @returns {{ spotTrades: Array, futuresIncome: Array, futuresTrades: Array, newBySymbol: Object, newByIncomeType: Object }}
+ */
+export const filterNewRecords = (cursor, { spotTrades = [], futuresIncome = [], futuresTrades = [] }) => {
+  const { spot, futures, income } = normalizeSyncCursor(cursor)
+  const newBySymbol = {}
+  const newByIncomeType = {}
+
+  const newSpot = spotTrades.filter(trade => {
+    const fresh = isNewer(spot[trade.symbol], Number(trade.time), getSpotRecordId(trade))
+    if (fresh) countBySymbol(newBySymbol, trade.symbol)
+    return fresh
+  })
+
+  const newIncome = futuresIncome.filter(record => {
+    const type = record.incomeType || 'UNKNOWN'
+    const symbol = record.symbol || 'N/A'
+    const fresh = isNewer(income[type]?.[symbol], Number(record.time), getIncomeRecordId(record))
+    if (fresh) {
+      countBySymbol(newBySymbol, symbol)
+      newByIncomeType[type] = (newByIncomeType[type] || 0) + 1
+    }
+    return fresh
+  })
+
+  // Fills aren't counted in newBySymbol - the REALIZED_PNL income they produce already is
+  const newFutures = futuresTrades.filter(fill => isNewer(futures[fill.symbol], Number(fill.time), getFuturesFillRecordId(fill)))
+
+  return { spotTrades: newSpot, futuresIncome: newIncome, futuresTrades: newFutures, newBySymbol, newByIncomeType }
+}
+
+/**
+ * Move the cursor past records that were stored
+ * Symbols with a failed record keep their old position so the next sync retries them,
+ * and syncedThrough only moves when nothing failed
+ * @param {Object} cursor - Stored sync cursor
+ * @param {Object} data - { spotTrades, futuresIncome, futuresTrades } that were sent to the store endpoint
+ * @param {Object} options
+ * @param {number} options.syncStartedAt - When the fetch began (ms)
+ * @param {string[]} options.failedIds - trade_ids the store endpoint could not insert
+ * @returns {Object} New cursor
+ */
+export const advanceSyncCursor = (cursor, { spotTrades = [], futuresIncome = [], futuresTrades = [] }, { syncStartedAt, failedIds = [] } = {}) => {
+  const current = normalizeSyncCursor(cursor)
+  const failed = new Set(failedIds)
+  const spot = { ...current.spot }
+  const futures = { ...current.futures }
+  const income = Object.fromEntries(Object.entries(current.income).map(([type, symbols]) => [type, { ...symbols }]))
+
+  const blockedSpot = new Set(spotTrades.filter(t => failed.has(getSpotRecordId(t))).map(t => t.symbol))
+  const blockedFutures = new Set(futuresTrades.filter(f => failed.has(getFuturesFillRecordId(f))).map(f => f.symbol))
+  const blockedIncome = new Set(
+    futuresIncome.filter(r => failed.has(getIncomeRecordId(r))).map(r => `${r.incomeType || 'UNKNOWN'}:${r.symbol || 'N/A'}`)
+  )
+
+  spotTrades.forEach(trade => {
+    if (blockedSpot.has(trade.symbol)) return
+    spot[trade.symbol] = advancePosition(spot[trade.symbol], Number(trade.time), getSpotRecordId(trade))
+  })
+
+  futuresTrades.forEach(fill => {
+    if (blockedFutures.has(fill.symbol)) return
+    futures[fill.symbol] = advancePosition(futures[fill.symbol], Number(fill.time), getFuturesFillRecordId(fill))
+  })
+
+  futuresIncome.forEach(record => {
+    const type = record.incomeType || 'UNKNOWN'
+    const symbol = record.symbol || 'N/A'
+    if (blockedIncome.has(`${type}:${symbol}`)) return
+    income[type] = income[type] || {}
+    income[type][symbol] = advancePosition(income[type][symbol], Number(record.time), getIncomeRecordId(record))
+  })
+
+  return {
+    version: SYNC_CURSOR_VERSION,
+    syncedThrough: failed.size > 0 ? current.syncedThrough : syncStartedAt,
+    spot,
+    futures,
+    income
+  }
+}
@@ -0,0 +1,57 @@
+// lib/userPreferences.js
+// Per-user reporting preferences stored on the users table
+//
+// base_currency: the currency analytics, exports and Vega report in (NULL = not chosen yet).
+// Analytics are always computed in USD; the base currency only decides what they're displayed in.
+
+import { normalizeBaseCurrency } from '@/app/analyze/utils/currencyConverter'
+
+/**
+ * Base currency for users who haven't picked one - CoinDCX accounts report in INR, everyone else in USD
+ * @param {string[]} exchanges - Exchanges the user has trades on
+ * @returns {string}
+ */
+export const getDefaultBaseCurrency = (exchanges = []) => exchanges.includes('coindcx') ? 'INR' : 'USD'
+
+/**
+ * The user's saved base currency
+ * @param {Object} supabase - Supabase client allowed to read the user's row
+ * @param {string} userId
+ * @returns {Promise<string|null>} Currency code, or null when unset or unreadable
+ */
+export async function getUserBaseCurrency(supabase, userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('base_currency')
+    .eq('id', userId)
+    .maybeSingle()
+
+  if (error) {
+    console.warn('⚠️ Failed to read base currency preference:', error.message)
+    return null
+  }
+
+  return data?.base_currency ? normalizeBaseCurrency(data.base_currency) : null
+}
+
+/**
+ * Save the user's base currency
+ * @param {Object} supabase - Supabase client allowed to update the user's row
+ * @param {string} userId
+ * @param {string} currency - Must be one of SUPPORTED_CURRENCIES (checked by the caller)
+ * @returns {Promise<string>} The saved currency code
+ */
+export async function saveUserBaseCurrency(supabase, userId, currency) {
+  const baseCurrency = normalizeBaseCurrency(currency)
+
+  const { error } = await supabase
+    .from('users')
+    .update({ base_currency: baseCurrency })
+    .eq('id', userId)
+
+  if (error) {
+    throw new Error(`Failed to save base currency: ${error.message}`)
+  }
+
+  return baseCurrency
+}
@@ -0,0 +1,184 @@
+/**
+ * Exchange Adapter Test Script
+ *
+ * Runs the Bybit, OKX, KuCoin and WazirX adapters offline against the recorded responses in
+ * app/analyze/utils/exchanges/fixtures (createFixtureFetch) and checks the normalized output:
+ * - fetchTrades + normalizeTrades produce the expected spot trades, futures income and metadata
+ * - fetchBalances parses the recorded balance responses
+ *
+ * Usage:
+ *   npm run test:adapters
+ *
+ * Exits with code 1 when any check fails.
+ */
+
+import { register } from 'node:module'
+import { readFileSync } from 'node:fs'
+import assert from 'node:assert/strict'
+
+// The app's modules use Next-style imports ('@/lib/...', extensionless paths) and the package isn't
+// "type": "module", so resolve those the way Next does and load the app's .js files as ES modules
+const resolverHooks = `
+import { existsSync, statSync } from 'node:fs'
+import { pathToFileURL, fileURLToPath } from 'node:url'
+import path from 'node:path'
+
+const ROOT = ${JSON.stringify(new URL('./', import.meta.url).pathname)}
+const candidates = (base) => [base, base + '.js', base + '.jsx', path.join(base, 'index.js')]
+
+export async function resolve(specifier, context, next) {
+  let base = null
+  if (specifier.startsWith('@/')) base = path.join(ROOT, specifier.slice(2))
+  else if (specifier.startsWith('.') && context.parentURL?.startsWith('file:')) {
+    base = path.resolve(path.dirname(fileURLToPath(context.parentURL)), specifier)
+  }
+  const file = base && candidates(base).find(candidate => existsSync(candidate) && statSync(candidate).isFile())
+  return next(file ? pathToFileURL(file).href : specifier, context)
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith('file:') && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return next(url, { ...context, format: 'module' })
+  }
+  return next(url, context)
+}
+`
+register(`data:text/javascript,${encodeURIComponent(resolverHooks)}`, import.meta.url)
+
+const { fetchExchangeData, getExchangeAdapter } = await import('./app/analyze/utils/exchanges/index.js')
+const { createFixtureFetch } = await import('./app/analyze/utils/exchanges/shared.js')
+
+const CREDENTIALS = { apiKey: 'fixture-key', apiSecret: 'fixture-secret', passphrase: 'fixture-passphrase' }
+
+const loadFixture = (exchange) =>
+  JSON.parse(readFileSync(new URL(`./app/analyze/utils/exchanges/fixtures/${exchange}.json`, import.meta.url), 'utf8'))
+
+const pick = (record, fields) => Object.fromEntries(fields.map(field => [field, record[field]]))
+
+const SPOT_FIELDS = ['symbol', 'qty', 'price', 'commission', 'commissionAsset', 'isBuyer', 'isMaker', 'time', 'id', 'accountType']
+const INCOME_FIELDS = ['symbol', 'income', 'asset', 'incomeType', 'time']
+
+/**
+ * Expected normalized output per fixture
+ */
+const TEST_SUITE = [
+  {
+    exchange: 'bybit',
+    spotTrades: [
+      { symbol: 'BTCUSDT', qty: '0.004', price: '61250.5', commission: '0.000004', commissionAsset: 'BTC', isBuyer: true, isMaker: false, time: 1717228800000, id: '2100000000042281845', accountType: 'SPOT' },
+      { symbol: 'BTCUSDT', qty: '0.004', price: '63010', commission: '0.25204', commissionAsset: 'USDT', isBuyer: false, isMaker: true, time: 1717315200000, id: '2100000000042356112', accountType: 'SPOT' }
+    ],
+    futuresIncome: [
+      { symbol: 'ETHUSDT', income: '-0.187255', asset: 'USDT', incomeType: 'FUNDING_FEE', time: 1717401600000 },
+      { symbol: 'ETHUSDT', income: '34.1274', asset: 'USDT', incomeType: 'REALIZED_PNL', time: 1717405200000 }
+    ],
+    metadata: { primaryCurrency: 'USD', accountType: 'UNIFIED', hasFutures: true },
+    balances: [{ asset: 'USDT', total: 1520.41 }]
+  },
+  {
+    exchange: 'okx',
+    spotTrades: [
+      { symbol: 'SOLUSDT', qty: '3', price: '171.42', commission: '0.51426', commissionAsset: 'USDT', isBuyer: false, isMaker: false, time: 1717488000000, id: '412803551', accountType: 'SPOT' },
+      { symbol: 'SOLUSDT', qty: '3', price: '165.1', commission: '0.0024', commissionAsset: 'SOL', isBuyer: true, isMaker: true, time: 1717401600000, id: '412511209', accountType: 'SPOT' }
+    ],
+    futuresIncome: [
+      { symbol: 'BTCUSDT', income: '15.394', asset: 'USDT', incomeType: 'REALIZED_PNL', time: 1717588800000 },
+      { symbol: 'BTCUSDT', income: '-2.70021', asset: 'USDT', incomeType: 'COMMISSION', time: 1717588800000 },
+      { symbol: 'BTCUSDT', income: '-0.41233', asset: 'USDT', incomeType: 'FUNDING_FEE', time: 1717588800000 }
+    ],
+    metadata: { primaryCurrency: 'USD', accountType: 'UNIFIED', hasFutures: true },
+    balances: [{ asset: 'USDT', total: 2105.12 }, { asset: 'SOL', total: 1.8 }]
+  },
+  {
+    exchange: 'kucoin',
+    spotTrades: [
+      { symbol: 'KCSUSDT', qty: '25', price: '9.812', commission: '0.2453', commissionAsset: 'USDT', isBuyer: true, isMaker: false, time: 1717660800000, id: '5c35c02709e4f67d5266954e', accountType: 'SPOT' },
+      { symbol: 'KCSUSDT', qty: '25', price: '10.204', commission: '0.2551', commissionAsset: 'USDT', isBuyer: false, isMaker: true, time: 1717747200000, id: '5c35c02709e4f67d5266a1b2', accountType: 'SPOT' }
+    ],
+    futuresIncome: [],
+    metadata: { primaryCurrency: 'USD', accountType: 'SPOT', hasFutures: false },
+    balances: [{ asset: 'USDT', total: 600.5 }]
+  },
+  {
+    exchange: 'wazirx',
+    // The fixture's btcusdt request is rejected (Invalid symbol); the adapter skips that symbol
+    spotTrades: [
+      { symbol: 'BTCINR', qty: '0.0021', price: '5812000', commission: '24.41', commissionAsset: 'INR', isBuyer: true, isMaker: false, time: 1717833600000, id: 'wazirx_48571201', accountType: 'SPOT' }
+    ],
+    futuresIncome: [],
+    metadata: { primaryCurrency: 'INR', accountType: 'SPOT', hasFutures: false },
+    balances: [{ asset: 'INR', total: 15230.5 }, { asset: 'BTC', total: 0.0021 }]
+  }
+]
+
+/**
+ * Run one adapter against its fixture
+ */
+async function testAdapter(expected) {
+  const fixture = loadFixture(expected.exchange)
+
+  const data = await fetchExchangeData(expected.exchange, CREDENTIALS, {
+    fetchImpl: createFixtureFetch(fixture),
+    now: fixture.recordedAt
+  })
+
+  assert.deepEqual(data.spotTrades.map(trade => pick(trade, SPOT_FIELDS)), expected.spotTrades, 'spot trades')
+  assert.deepEqual(data.futuresIncome.map(record => pick(record, INCOME_FIELDS)), expected.futuresIncome, 'futures income')
+  data.futuresIncome.forEach(record => assert.ok(record.id && record.tranId === record.id, `income id for ${record.incomeType}`))
+  assert.deepEqual(pick(data.metadata, Object.keys(expected.metadata)), expected.metadata, 'metadata')
+  assert.equal(data.metadata.spotTrades, expected.spotTrades.length, 'metadata.spotTrades')
+  assert.equal(data.metadata.futuresIncome, expected.futuresIncome.length, 'metadata.futuresIncome')
+
+  const balances = await getExchangeAdapter(expected.exchange).fetchBalances(CREDENTIALS.apiKey, CREDENTIALS.apiSecret, {
+    passphrase: CREDENTIALS.passphrase,
+    fetchImpl: createFixtureFetch(fixture)
+  })
+  assert.deepEqual(balances.map(balance => pick(balance, ['asset', 'total'])), expected.balances, 'balances')
+}
+
+async function runTests() {
+  console.log(`\n${'='.repeat(80)}`)
+  console.log(`🚀 Exchange Adapter Fixture Tests`)
+  console.log(`📊 Adapters to test: ${TEST_SUITE.length}`)
+  console.log(`${'='.repeat(80)}\n`)
+
+  const results = []
+  for (const expected of TEST_SUITE) {
+    try {
+      await testAdapter(expected)
+      results.push({ exchange: expected.exchange })
+      console.log(`✅ ${expected.exchange}`)
+    } catch (error) {
+      results.push({ exchange: expected.exchange, error })
+      console.log(`❌ ${expected.exchange}: ${error.message}`)
+    }
+  }
+
+  // Passphrase exchanges must reject credentials without one before any request
+  try {
+    await assert.rejects(
+      fetchExchangeData('okx', { apiKey: CREDENTIALS.apiKey, apiSecret: CREDENTIALS.apiSecret }),
+      /passphrase/i
+    )
+    results.push({ exchange: 'okx (missing passphrase)' })
+    console.log(`✅ okx (missing passphrase)`)
+  } catch (error) {
+    results.push({ exchange: 'okx (missing passphrase)', error })
+    console.log(`❌ okx (missing passphrase): ${error.message}`)
+  }
+
+  const failed = results.filter(result => result.error)
+  console.log(`\n${'='.repeat(80)}`)
+  console.log(`📊 TEST SUMMARY`)
+  console.log(`✅ Passed: ${results.length - failed.length}`)
+  console.log(`❌ Failed: ${failed.length}`)
+  console.log(`${'='.repeat(80)}`)
+
+  if (failed.length > 0) process.exit(1)
+}
+
+// Run tests
+runTests().catch(error => {
+  console.error('Fatal error:', error)
+  process.exit(1)
+})